@@ -0,0 +1,233 @@
+// Copyright 2016 Erik Neumann.  All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+goog.module('myphysicslab.lab.app.BatchRunner');
+
+const AbstractSubject = goog.require('myphysicslab.lab.util.AbstractSubject');
+const AdvanceStrategy = goog.require('myphysicslab.lab.model.AdvanceStrategy');
+const ConcreteMemoList = goog.require('myphysicslab.lab.util.ConcreteMemoList');
+const GenericEvent = goog.require('myphysicslab.lab.util.GenericEvent');
+const MemoList = goog.require('myphysicslab.lab.util.MemoList');
+const Memorizable = goog.require('myphysicslab.lab.util.Memorizable');
+const ParameterNumber = goog.require('myphysicslab.lab.util.ParameterNumber');
+const Util = goog.require('myphysicslab.lab.util.Util');
+
+/** Uses an {@link AdvanceStrategy} to advance the
+{@link myphysicslab.lab.model.Simulation Simulation} state as fast as possible, without
+any {@link myphysicslab.lab.util.Timer Timer}, {@link myphysicslab.lab.util.Clock Clock}
+or {@link myphysicslab.lab.view.LabCanvas LabCanvas}. This is the headless
+counterpart of {@link myphysicslab.lab.app.SimRunner}: it needs no browser window and
+so can be used to run a simulation from a script, for example to do a parameter sweep
+under Node.js and compare the results in a continuous integration test.
+
+Like SimRunner, BatchRunner is a {@link MemoList}: the AdvanceStrategy calls `memorize`
+after each time step, which in turn calls `memorize` on each Memorizable that has been
+added. To record the simulation variables, add a
+{@link myphysicslab.lab.graph.VarsHistory}, and after the run export the data with
+{@link myphysicslab.lab.graph.VarsHistory#toCSV} or
+{@link myphysicslab.lab.graph.VarsHistory#toJSONString}:
+
+    var sim = new SingleSpringSim();
+    var advance = new SimpleAdvance(sim);
+    var batch = new BatchRunner(advance);
+    var hist = new VarsHistory(sim.getVarsList());
+    batch.addMemo(hist);
+    batch.runUntil(10);
+    console.log(hist.toCSV());
+
+A parameter sweep can then be done by changing a parameter of the simulation, calling
+{@link #reset} and {@link #runUntil} again.
+
+Parameters Created
+------------------
++ ParameterNumber named `TIME_STEP`, see {@link #setTimeStep}
+
+Events Broadcast
+----------------
+All the Parameters are broadcast when their values change.  In addition:
+
++ GenericEvent named `RESET`, see {@link #reset}.
+
+* @implements {MemoList}
+*/
+class BatchRunner extends AbstractSubject {
+/**
+* @param {!AdvanceStrategy} advance  the AdvanceStrategy which advances the Simulation
+* @param {string=} opt_name name of this BatchRunner.
+*/
+constructor(advance, opt_name) {
+  super(opt_name || 'BATCH_RUNNER');
+  /** The AdvanceStrategy to run.
+  * @type {!AdvanceStrategy}
+  * @private
+  */
+  this.advance_ = advance;
+  /** Amount of time to advance the simulation, in seconds.
+  * @type {number}
+  * @private
+  */
+  this.timeStep_ = advance.getTimeStep();
+  /**
+  * @type {!MemoList}
+  * @private
+  */
+  this.memoList_ = new ConcreteMemoList();
+  this.addParameter(new ParameterNumber(this, BatchRunner.en.TIME_STEP,
+      BatchRunner.i18n.TIME_STEP,
+      goog.bind(this.getTimeStep, this), goog.bind(this.setTimeStep, this))
+      .setSignifDigits(3));
+};
+
+/** @override */
+toString() {
+  return Util.ADVANCED ? '' : this.toStringShort().slice(0, -1)
+      +', advance_: '+this.advance_.toStringShort()
+      +', timeStep_: '+Util.NF(this.timeStep_)
+      +', memoList_: '+this.memoList_
+      + super.toString();
+};
+
+/** @override */
+getClassName() {
+  return 'BatchRunner';
+};
+
+/** @override */
+addMemo(memorizable) {
+  this.memoList_.addMemo(memorizable);
+};
+
+/** Returns the AdvanceStrategy which advances the Simulation.
+@return {!AdvanceStrategy}
+*/
+getAdvanceStrategy() {
+  return this.advance_;
+};
+
+/** @override */
+getMemos() {
+  return this.memoList_.getMemos();
+};
+
+/** Returns the current simulation time.
+@return {number} the current simulation time.
+*/
+getTime() {
+  return this.advance_.getTime();
+};
+
+/** Returns the amount of time to advance the simulation, in seconds.
+@return {number} the length of a time step, in seconds.
+*/
+getTimeStep() {
+  return this.timeStep_;
+};
+
+/** @override */
+memorize() {
+  this.memoList_.memorize();
+};
+
+/** @override */
+removeMemo(memorizable) {
+  this.memoList_.removeMemo(memorizable);
+};
+
+/** Sets the Simulation to its initial conditions by calling
+{@link AdvanceStrategy#reset}, then calls `memorize` on the list of Memorizables so
+that they record the initial state. Broadcasts a {@link BatchRunner.RESET} event.
+@return {number} the simulation time after resetting
+*/
+reset() {
+  this.advance_.reset();
+  this.memorize();
+  this.broadcast(new GenericEvent(this, BatchRunner.RESET));
+  return this.advance_.getTime();
+};
+
+/** Advances the Simulation until the simulation time reaches the target time, calling
+`memorize` on the list of Memorizables after each time step. The last time step is
+shortened if needed so that the simulation stops at the target time.
+@param {number} targetTime the simulation time to advance to
+@return {number} the number of time steps taken
+@throws {!Error} if the simulation time does not advance
+*/
+runUntil(targetTime) {
+  var simTime = this.advance_.getTime();
+  var n = 0;
+  // Use a small tolerance to avoid taking a tiny extra step due to roundoff error.
+  var tol = this.timeStep_ * 1e-8;
+  while (simTime < targetTime - tol) {
+    var dt = Math.min(this.timeStep_, targetTime - simTime);
+    // the AdvanceStrategy is what actually calls `memorize`
+    this.advance_.advance(dt, /*memoList=*/this);
+    n++;
+    // Prevent infinite loop when time doesn't advance.
+    var lastSimTime = simTime;
+    simTime = this.advance_.getTime();
+    if (simTime - lastSimTime <= 1e-15) {
+      throw new Error('BatchRunner: time did not advance');
+    }
+  }
+  return n;
+};
+
+/** Sets the amount of time to advance the simulation, in seconds.
+@param {number} timeStep the length of a time step, in seconds.
+*/
+setTimeStep(timeStep) {
+  if (timeStep <= 0) {
+    throw new Error('time step must be positive '+timeStep);
+  }
+  this.timeStep_ = timeStep;
+  this.broadcastParameter(BatchRunner.en.TIME_STEP);
+};
+
+} // end class
+
+/** Name of GenericEvent that is broadcast when {@link #reset} method occurs.
+* @type {string}
+* @const
+*/
+BatchRunner.RESET = 'RESET';
+
+/** Set of internationalized strings.
+@typedef {{
+  TIME_STEP: string
+  }}
+*/
+BatchRunner.i18n_strings;
+
+/**
+@type {BatchRunner.i18n_strings}
+*/
+BatchRunner.en = {
+  TIME_STEP: 'time step'
+};
+
+/**
+@private
+@type {BatchRunner.i18n_strings}
+*/
+BatchRunner.de_strings = {
+  TIME_STEP: 'Zeitschritt'
+};
+
+/** Set of internationalized strings.
+@type {BatchRunner.i18n_strings}
+*/
+BatchRunner.i18n = goog.LOCALE === 'de' ? BatchRunner.de_strings :
+    BatchRunner.en;
+
+exports = BatchRunner;
@@ -0,0 +1,375 @@
+// Copyright 2016 Erik Neumann.  All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+goog.module('myphysicslab.lab.app.FrameRecorder');
+
+const AbstractSubject = goog.require('myphysicslab.lab.util.AbstractSubject');
+const GenericEvent = goog.require('myphysicslab.lab.util.GenericEvent');
+const LabCanvas = goog.require('myphysicslab.lab.view.LabCanvas');
+const ParameterNumber = goog.require('myphysicslab.lab.util.ParameterNumber');
+const ParameterString = goog.require('myphysicslab.lab.util.ParameterString');
+const SimRunner = goog.require('myphysicslab.lab.app.SimRunner');
+const Timer = goog.require('myphysicslab.lab.util.Timer');
+const Util = goog.require('myphysicslab.lab.util.Util');
+
+/** Records a {@link LabCanvas} as a sequence of numbered PNG images, for making videos
+of a simulation. Also exports the current frame of the LabCanvas as an SVG document,
+see {@link #saveSVG}.
+
+While recording, the {@link SimRunner} is paused and FrameRecorder advances the
+simulation itself at a fixed rate: each frame is at a time that is `1/frameRate`
+seconds of simulation time after the previous frame, regardless of how long it takes
+to capture the frame. See {@link SimRunner#advanceTo}. The first frame shows the
+current state of the simulation. The recording stops after the specified number of
+frames, or when {@link #stop} is called.
+
+Each frame is given to the *frame handler* function along with its file name, which is
+the file name prefix followed by the frame number, for example `frame0012.png`. The
+default frame handler {@link #download} makes the browser save the image as a file.
+Use {@link #setFrameHandler} to do something else with the images.
+
+The recording can be started from a {@link myphysicslab.lab.util.Terminal} session:
+
+    recorder.setFrameRate(60);
+    recorder.start();
+
+or from a {@link myphysicslab.lab.controls.ButtonControl}:
+
+    new ButtonControl(FrameRecorder.i18n.RECORD, goog.bind(recorder.start, recorder));
+
+Parameters Created
+------------------
+
++ ParameterNumber named `FRAME_RATE`, see {@link #setFrameRate}
+
++ ParameterNumber named `NUMBER_OF_FRAMES`, see {@link #setNumberOfFrames}
+
++ ParameterString named `FILE_NAME`, see {@link #setFileName}
+
+Events Broadcast
+----------------
+All the Parameters are broadcast when their values change.  In addition:
+
++ GenericEvent named `RECORDING_STARTED`, see {@link #start}.
+
++ GenericEvent named `RECORDING_STOPPED`, see {@link #stop}; the value is the number
+    of frames recorded.
+
+*/
+class FrameRecorder extends AbstractSubject {
+/**
+* @param {!SimRunner} simRun the SimRunner which advances the simulation
+* @param {!LabCanvas} labCanvas the LabCanvas to record
+* @param {string=} opt_name name of this FrameRecorder.
+*/
+constructor(simRun, labCanvas, opt_name) {
+  super(opt_name || 'FRAME_RECORDER');
+  /**
+  * @type {!SimRunner}
+  * @private
+  */
+  this.simRun_ = simRun;
+  /**
+  * @type {!LabCanvas}
+  * @private
+  */
+  this.labCanvas_ = labCanvas;
+  /** Number of frames per second of simulation time.
+  * @type {number}
+  * @private
+  */
+  this.frameRate_ = 30;
+  /** Number of frames to record.
+  * @type {number}
+  * @private
+  */
+  this.numFrames_ = 100;
+  /** Prefix of the file name of each frame.
+  * @type {string}
+  * @private
+  */
+  this.fileName_ = 'frame';
+  /** Number of the next frame to capture.
+  * @type {number}
+  * @private
+  */
+  this.frameNum_ = 0;
+  /** Simulation time of the first frame.
+  * @type {number}
+  * @private
+  */
+  this.startTime_ = 0;
+  /**
+  * @type {boolean}
+  * @private
+  */
+  this.recording_ = false;
+  /** Function that is given the image data URL and file name of each frame.
+  * @type {function(string, string)}
+  * @private
+  */
+  this.frameHandler_ = FrameRecorder.download;
+  /** Captures a frame each time the browser is ready to paint.
+  * @type {!Timer}
+  * @private
+  */
+  this.timer_ = new Timer();
+  this.timer_.setCallBack(goog.bind(this.captureFrame, this));
+  this.addParameter(new ParameterNumber(this, FrameRecorder.en.FRAME_RATE,
+      FrameRecorder.i18n.FRAME_RATE,
+      goog.bind(this.getFrameRate, this), goog.bind(this.setFrameRate, this))
+      .setSignifDigits(3));
+  this.addParameter(new ParameterNumber(this, FrameRecorder.en.NUMBER_OF_FRAMES,
+      FrameRecorder.i18n.NUMBER_OF_FRAMES,
+      goog.bind(this.getNumberOfFrames, this),
+      goog.bind(this.setNumberOfFrames, this))
+      .setDecimalPlaces(0).setLowerLimit(1));
+  this.addParameter(new ParameterString(this, FrameRecorder.en.FILE_NAME,
+      FrameRecorder.i18n.FILE_NAME,
+      goog.bind(this.getFileName, this), goog.bind(this.setFileName, this)));
+};
+
+/** @override */
+toString() {
+  return Util.ADVANCED ? '' : this.toStringShort().slice(0, -1)
+      +', frameRate_: '+Util.NF(this.frameRate_)
+      +', numFrames_: '+this.numFrames_
+      +', fileName_: "'+this.fileName_+'"'
+      +', frameNum_: '+this.frameNum_
+      +', recording_: '+this.recording_
+      + super.toString();
+};
+
+/** @override */
+getClassName() {
+  return 'FrameRecorder';
+};
+
+/** Captures the next frame: advances the simulation to the time of the frame, paints
+the LabCanvas, and gives the image to the frame handler. Stops the recording after the
+last frame. This is called by the Timer while recording.
+@return {undefined}
+*/
+captureFrame() {
+  if (this.frameNum_ > 0) {
+    this.simRun_.advanceTo(this.startTime_ + this.frameNum_/this.frameRate_);
+  } else {
+    this.labCanvas_.paint();
+  }
+  var url = this.labCanvas_.getCanvas().toDataURL('image/png');
+  this.frameHandler_(url, this.getFrameFileName(this.frameNum_));
+  this.frameNum_++;
+  if (this.frameNum_ >= this.numFrames_) {
+    this.stop();
+  }
+};
+
+/** Returns the prefix of the file name of each frame.
+@return {string} the prefix of the file name of each frame
+*/
+getFileName() {
+  return this.fileName_;
+};
+
+/** Returns the file name of the given frame: the file name prefix followed by the
+frame number with at least 4 digits.
+@param {number} frameNum the number of the frame
+@return {string} the file name of the frame
+*/
+getFrameFileName(frameNum) {
+  var s = String(frameNum);
+  while (s.length < 4) {
+    s = '0' + s;
+  }
+  return this.fileName_ + s + '.png';
+};
+
+/** Returns the number of the next frame to capture, which is the number of frames
+captured since recording started.
+@return {number} the number of the next frame
+*/
+getFrameNumber() {
+  return this.frameNum_;
+};
+
+/** Returns the number of frames per second of simulation time.
+@return {number} the number of frames per second of simulation time
+*/
+getFrameRate() {
+  return this.frameRate_;
+};
+
+/** Returns the number of frames to record.
+@return {number} the number of frames to record
+*/
+getNumberOfFrames() {
+  return this.numFrames_;
+};
+
+/** Whether frames are being recorded.
+@return {boolean} whether frames are being recorded
+*/
+getRecording() {
+  return this.recording_;
+};
+
+/** Makes the browser save the LabCanvas as an SVG file, see {@link LabCanvas#toSVG}.
+@param {string=} opt_fileName the file name, default is the file name prefix followed
+    by `.svg`
+@return {string} the SVG document
+*/
+saveSVG(opt_fileName) {
+  var svg = this.labCanvas_.toSVG();
+  FrameRecorder.download('data:image/svg+xml;charset=utf-8,'+encodeURIComponent(svg),
+      opt_fileName || this.fileName_ + '.svg');
+  return svg;
+};
+
+/** Sets the prefix of the file name of each frame.
+@param {string} value the prefix of the file name of each frame
+*/
+setFileName(value) {
+  this.fileName_ = value;
+  this.broadcastParameter(FrameRecorder.en.FILE_NAME);
+};
+
+/** Sets the function that is given each frame. The function is called with the data
+URL of the PNG image, and the file name of the frame.
+@param {function(string, string)} handler the function that is given each frame
+*/
+setFrameHandler(handler) {
+  this.frameHandler_ = handler;
+};
+
+/** Sets the number of frames per second of simulation time.
+@param {number} value the number of frames per second of simulation time
+*/
+setFrameRate(value) {
+  if (value <= 0) {
+    throw new Error('frame rate must be positive '+value);
+  }
+  this.frameRate_ = value;
+  this.broadcastParameter(FrameRecorder.en.FRAME_RATE);
+};
+
+/** Sets the number of frames to record.
+@param {number} value the number of frames to record
+*/
+setNumberOfFrames(value) {
+  if (value < 1) {
+    throw new Error('number of frames must be at least 1 '+value);
+  }
+  this.numFrames_ = Math.round(value);
+  this.broadcastParameter(FrameRecorder.en.NUMBER_OF_FRAMES);
+};
+
+/** Starts recording frames: pauses the SimRunner, and starts capturing a frame each
+time the browser is ready to paint. Does nothing if already recording. Broadcasts a
+{@link FrameRecorder.RECORDING_STARTED} event.
+@return {undefined}
+*/
+start() {
+  if (this.recording_) {
+    return;
+  }
+  this.simRun_.pause();
+  this.startTime_ = this.simRun_.getClock().getTime();
+  this.frameNum_ = 0;
+  this.recording_ = true;
+  this.broadcast(new GenericEvent(this, FrameRecorder.RECORDING_STARTED));
+  this.timer_.startFiring();
+};
+
+/** Stops recording frames. Broadcasts a {@link FrameRecorder.RECORDING_STOPPED} event.
+The SimRunner remains paused.
+@return {undefined}
+*/
+stop() {
+  this.timer_.stopFiring();
+  if (this.recording_) {
+    this.recording_ = false;
+    this.broadcast(new GenericEvent(this, FrameRecorder.RECORDING_STOPPED,
+        this.frameNum_));
+  }
+};
+
+/** Makes the browser save the data of the URL as a file, by clicking on a temporary
+link.
+@param {string} url the URL of the data to save, usually a data URL
+@param {string} fileName the name of the file
+*/
+static download(url, fileName) {
+  var a = document.createElement('a');
+  a.href = url;
+  a.setAttribute('download', fileName);
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+};
+
+} // end class
+
+/** Name of GenericEvent that is broadcast when recording starts.
+* @type {string}
+* @const
+*/
+FrameRecorder.RECORDING_STARTED = 'RECORDING_STARTED';
+
+/** Name of GenericEvent that is broadcast when recording stops.
+* @type {string}
+* @const
+*/
+FrameRecorder.RECORDING_STOPPED = 'RECORDING_STOPPED';
+
+/** Set of internationalized strings.
+@typedef {{
+  FRAME_RATE: string,
+  NUMBER_OF_FRAMES: string,
+  FILE_NAME: string,
+  RECORD: string,
+  SAVE_SVG: string
+  }}
+*/
+FrameRecorder.i18n_strings;
+
+/**
+@type {FrameRecorder.i18n_strings}
+*/
+FrameRecorder.en = {
+  FRAME_RATE: 'frame rate',
+  NUMBER_OF_FRAMES: 'number of frames',
+  FILE_NAME: 'file name',
+  RECORD: 'record frames',
+  SAVE_SVG: 'save SVG'
+};
+
+/**
+@private
+@type {FrameRecorder.i18n_strings}
+*/
+FrameRecorder.de_strings = {
+  FRAME_RATE: 'Bildrate',
+  NUMBER_OF_FRAMES: 'Anzahl der Bilder',
+  FILE_NAME: 'Dateiname',
+  RECORD: 'Bilder aufnehmen',
+  SAVE_SVG: 'SVG speichern'
+};
+
+/** Set of internationalized strings.
+@type {FrameRecorder.i18n_strings}
+*/
+FrameRecorder.i18n = goog.LOCALE === 'de' ? FrameRecorder.de_strings :
+    FrameRecorder.en;
+
+exports = FrameRecorder;
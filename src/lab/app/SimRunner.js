@@ -285,6 +285,26 @@ advanceSims(strategy, targetTime) {
   }
 };
 
+/** Advances the Simulation(s) to the target time regardless of the Clock, calling
+`memorize` on the list of Memorizables after each time step. Then sets the Clock to
+match the simulation time and repaints the LabCanvas's. This is for advancing at a
+fixed rate while the Clock is paused, as done by
+{@link myphysicslab.lab.app.FrameRecorder}. The simulation time can end up short of
+the target time by less than one time step.
+@param {number} targetTime the time to advance to
+@return {number} the current time on the Clock
+*/
+advanceTo(targetTime) {
+  goog.array.forEach(this.advanceList_, function(strategy) {
+    this.advanceSims(strategy, targetTime);
+  }, this);
+  var t = this.advanceList_[0].getTime();
+  this.clock_.setTime(t);
+  this.clock_.setRealTime(t);
+  this.paintAll();
+  return this.clock_.getTime();
+};
+
 /** Advances the Simulation AdvanceStrategy(s) to match the current Clock time and
 repaints the LabCanvas's. Calls `memorize` on the list of Memorizables after each time
 step. This is the callback function that is being run by the {@link Timer}.
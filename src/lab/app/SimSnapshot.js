@@ -0,0 +1,399 @@
+// Copyright 2016 Erik Neumann.  All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+goog.module('myphysicslab.lab.app.SimSnapshot');
+
+goog.require('goog.array');
+goog.require('goog.object');
+const AbstractSubject = goog.require('myphysicslab.lab.util.AbstractSubject');
+const EasyScriptParser = goog.require('myphysicslab.lab.util.EasyScriptParser');
+const FrameRecorder = goog.require('myphysicslab.lab.app.FrameRecorder');
+const GenericEvent = goog.require('myphysicslab.lab.util.GenericEvent');
+const MassObject = goog.require('myphysicslab.lab.model.MassObject');
+const ODESim = goog.require('myphysicslab.lab.model.ODESim');
+const SimRunner = goog.require('myphysicslab.lab.app.SimRunner');
+const Spring = goog.require('myphysicslab.lab.model.Spring');
+const Subject = goog.require('myphysicslab.lab.util.Subject');
+const Timeline = goog.require('myphysicslab.lab.app.Timeline');
+const Util = goog.require('myphysicslab.lab.util.Util');
+
+/** Saves and loads snapshots of the complete state of a simulation application as
+JSON text, so that an interesting configuration can be bookmarked in a file and shared.
+This is unlike {@link myphysicslab.lab.model.ODESim#saveState} and
+{@link SimRunner#save} which hold only one copy of the state in memory.
+
+A snapshot contains:
+
++ `time` the time on the {@link myphysicslab.lab.util.Clock}
+
++ `parameters` the value of every Parameter of the Subjects of the
+    {@link EasyScriptParser}, in the same order that EasyScriptParser makes a script.
+    Computed Parameters are omitted, as are the Parameters of the VarsList because the
+    variables are saved separately. Transient state of the user interface is also
+    omitted: the Parameters of a {@link Timeline} or {@link FrameRecorder}, and whether
+    the SimRunner is running or firing.
+
++ `variables` the name and value of each non-computed variable in the VarsList.
+
++ `bodies` the name and mass of each {@link MassObject} in the SimList. The positions
+    and velocities of bodies are saved in the variables.
+
++ `springs` the name, stiffness, rest length and damping of each {@link Spring} in the
+    SimList.
+
+Numbers that JSON cannot represent, such as infinity and `NaN`, are saved as strings.
+
+Subclasses can save and load more objects by overriding {@link #saveObjects} and
+{@link #loadObjects}; see {@link myphysicslab.lab.engine2D.RigidBodySnapshot} which
+saves the connectors and force laws of a rigid body simulation.
+
+Loading a Snapshot
+------------------
+The structure of a simulation (which bodies exist and how they are connected) is
+usually determined by Parameters of the application, such as the number of blocks in
+[PileApp](https://www.myphysicslab.com/engine2D/pile-en.html). Therefore {@link #load}
+first sets the Parameters, which rebuilds the simulation as needed. Then it checks that
+each body and spring in the snapshot exists with the same name, and throws an Error
+if one is missing. Finally it restores the masses, springs, the variables and the clock
+time.
+
+Usage from {@link myphysicslab.lab.util.Terminal}, where `snapshot` is the short name
+for the SimSnapshot of the application:
+
+    var s = snapshot.save();
+    // ... change things ...
+    snapshot.load(s);
+
+Use {@link #saveFile} and {@link #loadFile} to save to and load from a file.
+
+Events Broadcast
+----------------
++ GenericEvent named `SNAPSHOT_LOADED`, see {@link #load}.
+
+*/
+class SimSnapshot extends AbstractSubject {
+/**
+* @param {!ODESim} sim the simulation to save and load
+* @param {!SimRunner} simRun the SimRunner of the simulation, its Clock time is saved
+* @param {!EasyScriptParser} easyScript the EasyScriptParser whose Subjects'
+*     Parameters are saved
+* @param {string=} opt_name name of this SimSnapshot.
+*/
+constructor(sim, simRun, easyScript, opt_name) {
+  super(opt_name || 'SIM_SNAPSHOT');
+  /**
+  * @type {!ODESim}
+  * @private
+  */
+  this.sim_ = sim;
+  /**
+  * @type {!SimRunner}
+  * @private
+  */
+  this.simRun_ = simRun;
+  /**
+  * @type {!EasyScriptParser}
+  * @private
+  */
+  this.easyScript_ = easyScript;
+};
+
+/** @override */
+toString() {
+  return Util.ADVANCED ? '' : this.toStringShort().slice(0, -1)
+      +', sim_: '+this.sim_.toStringShort()
+      +', simRun_: '+this.simRun_.toStringShort()
+      +', easyScript_: '+this.easyScript_.toStringShort()
+      + super.toString();
+};
+
+/** @override */
+getClassName() {
+  return 'SimSnapshot';
+};
+
+/** Returns the number, or a string when the number is infinite or NaN, because JSON
+has no way to represent those. Other values are returned unchanged.
+@param {*} value
+@return {*}
+*/
+static encodeNumber(value) {
+  return goog.isNumber(value) && !isFinite(value) ? String(value) : value;
+};
+
+/** Returns the MassObjects in the SimList.
+@return {!Array<!MassObject>}
+@private
+*/
+getBodies_() {
+  var objs = goog.array.filter(this.sim_.getSimList().toArray(),
+      function(obj) { return obj.isMassObject(); });
+  return /** @type {!Array<!MassObject>} */(objs);
+};
+
+/** Returns the Subjects whose Parameters are saved: the Subjects of the
+EasyScriptParser except for the VarsList, Timeline and FrameRecorder.
+@return {!Array<!Subject>}
+@private
+*/
+getSubjects_() {
+  var va = this.sim_.getVarsList();
+  return goog.array.filter(this.easyScript_.getSubjects(), function(subj) {
+      return subj != va && !(subj instanceof Timeline)
+          && !(subj instanceof FrameRecorder);
+    });
+};
+
+/** Returns true if the Parameter is transient state of the user interface which
+should not be saved: whether the SimRunner is running or firing.
+@param {!Subject} subj the Subject that has the Parameter
+@param {string} name the name of the Parameter
+@return {boolean}
+@private
+*/
+static isTransient_(subj, name) {
+  return subj instanceof SimRunner && (name == Util.toName(SimRunner.en.RUNNING)
+      || name == Util.toName(SimRunner.en.FIRING));
+};
+
+/** Sets the state of the application from a snapshot that was made by {@link #save}.
+See [Loading a Snapshot](#loadingasnapshot). Broadcasts a
+{@link SimSnapshot.SNAPSHOT_LOADED} event.
+@param {string} json the snapshot, as JSON text
+@return {number} the current time on the Clock
+@throws {!Error} when the snapshot does not match the simulation
+*/
+load(json) {
+  var snap = /** @type {!Object} */(JSON.parse(json));
+  if (snap['version'] != SimSnapshot.VERSION) {
+    throw new Error('unknown snapshot version '+snap['version']);
+  }
+  goog.array.forEach(snap['parameters'], function(p) {
+    var subj = this.easyScript_.getSubject(p['subject']);
+    if (subj == null) {
+      throw new Error('unknown subject '+p['subject']);
+    }
+    SimSnapshot.setParameter(subj, p['name'], p['value']);
+  }, this);
+  this.loadObjects(snap);
+  var va = this.sim_.getVarsList();
+  var vars = va.toArray();
+  goog.array.forEach(snap['variables'], function(v) {
+    var index = goog.array.findIndex(vars, function(vr) {
+        return vr.getName() == v['name'];
+      });
+    if (index < 0) {
+      throw new Error('unknown variable '+v['name']);
+    }
+    va.setValue(index, Number(v['value']), /*continuous=*/false);
+  });
+  this.sim_.modifyObjects();
+  var clock = this.simRun_.getClock();
+  clock.setTime(snap['time']);
+  clock.setRealTime(snap['time']);
+  this.simRun_.paintAll();
+  this.broadcast(new GenericEvent(this, SimSnapshot.SNAPSHOT_LOADED));
+  return clock.getTime();
+};
+
+/** Lets the user pick a snapshot file that was saved by {@link #saveFile}, and then
+loads the snapshot from the file with {@link #load}.
+@return {undefined}
+*/
+loadFile() {
+  var input = /** @type {!HTMLInputElement} */(document.createElement('input'));
+  input.type = 'file';
+  input.accept = '.json,application/json';
+  input.addEventListener('change', goog.bind(function() {
+    if (input.files.length == 0) {
+      return;
+    }
+    var reader = new FileReader();
+    reader.onload = goog.bind(function() {
+      this.load(/** @type {string} */(reader.result));
+    }, this);
+    reader.readAsText(input.files[0]);
+  }, this));
+  input.click();
+};
+
+/** Restores the objects of the simulation from a snapshot, this is called by
+{@link #load} after the Parameters have been set and before the variables are set.
+Restores the mass of each body and the properties of each Spring. Subclasses can
+override this to restore more objects, and should call this method.
+@param {!Object} snap the snapshot object
+@throws {!Error} when a body or spring in the snapshot does not exist
+*/
+loadObjects(snap) {
+  var bodies = this.getBodies_();
+  goog.array.forEach(snap['bodies'], function(b) {
+    var body = goog.array.find(bodies, function(obj) {
+        return obj.getName() == b['name'];
+      });
+    if (body == null) {
+      throw new Error('unknown body '+b['name']);
+    }
+    var mass = Number(b['mass']);
+    if (body.getMass() != mass) {
+      body.setMass(mass);
+    }
+  });
+  var simObjs = this.sim_.getSimList().toArray();
+  goog.array.forEach(snap['springs'], function(sp) {
+    var spring = goog.array.find(simObjs, function(obj) {
+        return obj instanceof Spring && obj.getName() == sp['name'];
+      });
+    if (!(spring instanceof Spring)) {
+      throw new Error('unknown spring '+sp['name']);
+    }
+    spring.setStiffness(Number(sp['stiffness']));
+    spring.setRestLength(Number(sp['restLength']));
+    spring.setDamping(Number(sp['damping']));
+  });
+};
+
+/** Returns a snapshot of the current state of the application as JSON text. See
+{@link SimSnapshot} for what the snapshot contains.
+@return {string} the snapshot, as JSON text
+*/
+save() {
+  var parameters = [];
+  goog.array.forEach(this.getSubjects_(), function(subj) {
+    goog.array.forEach(subj.getParameters(), function(p) {
+      if (!p.isComputed() && p.getName() != 'DELETED'
+          && !SimSnapshot.isTransient_(subj, p.getName())) {
+        parameters.push({
+          'subject': subj.getName(),
+          'name': p.getName(),
+          'value': SimSnapshot.encodeNumber(p.getValue())
+        });
+      }
+    });
+  });
+  var va = this.sim_.getVarsList();
+  var variables = goog.array.map(
+      goog.array.filter(va.toArray(), function(v) { return !v.isComputed(); }),
+      function(v) {
+        return {'name': v.getName(), 'value': SimSnapshot.encodeNumber(v.getValue())};
+      });
+  var snap = {
+    'version': SimSnapshot.VERSION,
+    'time': this.simRun_.getClock().getTime(),
+    'parameters': parameters,
+    'variables': variables
+  };
+  this.saveObjects(snap);
+  return JSON.stringify(snap, null, 1);
+};
+
+/** Makes the browser save a snapshot of the current state of the application as a
+file, see {@link #save}.
+@param {string=} opt_fileName the file name, default is `snapshot.json`
+@return {string} the snapshot, as JSON text
+*/
+saveFile(opt_fileName) {
+  var json = this.save();
+  FrameRecorder.download('data:application/json;charset=utf-8,'
+      +encodeURIComponent(json), opt_fileName || 'snapshot.json');
+  return json;
+};
+
+/** Adds the objects of the simulation to a snapshot, this is called by {@link #save}.
+Adds the name and mass of each body and the properties of each Spring. Subclasses can
+override this to save more objects, and should call this method.
+@param {!Object} snap the snapshot object
+*/
+saveObjects(snap) {
+  snap['bodies'] = goog.array.map(this.getBodies_(), function(body) {
+    return {
+      'name': body.getName(),
+      'mass': SimSnapshot.encodeNumber(body.getMass())
+    };
+  });
+  var springs = goog.array.filter(this.sim_.getSimList().toArray(),
+      function(obj) { return obj instanceof Spring; });
+  snap['springs'] = goog.array.map(springs, function(obj) {
+    var spring = /** @type {!Spring} */(obj);
+    return {
+      'name': spring.getName(),
+      'stiffness': SimSnapshot.encodeNumber(spring.getStiffness()),
+      'restLength': SimSnapshot.encodeNumber(spring.getRestLength()),
+      'damping': SimSnapshot.encodeNumber(spring.getDamping())
+    };
+  });
+};
+
+/** Sets the value of a Parameter of a Subject.
+@param {!Subject} subj the Subject that has the Parameter
+@param {string} name the name of the Parameter
+@param {number|boolean|string} value the value to set
+@throws {!Error} when the value cannot be set
+*/
+static setParameter(subj, name, value) {
+  var param = subj.getParameter(name);
+  try {
+    param.setFromString(String(value));
+  } catch(ex) {
+    ex.message += '\nwhile setting value "'+value+'" on parameter '
+        +subj.getName()+'.'+name;
+    throw ex;
+  }
+};
+
+} // end class
+
+/** Version number of the snapshot format.
+* @type {number}
+* @const
+*/
+SimSnapshot.VERSION = 1;
+
+/** Name of GenericEvent that is broadcast when a snapshot has been loaded.
+* @type {string}
+* @const
+*/
+SimSnapshot.SNAPSHOT_LOADED = 'SNAPSHOT_LOADED';
+
+/** Set of internationalized strings.
+@typedef {{
+  SAVE_SNAPSHOT: string,
+  LOAD_SNAPSHOT: string
+  }}
+*/
+SimSnapshot.i18n_strings;
+
+/**
+@type {SimSnapshot.i18n_strings}
+*/
+SimSnapshot.en = {
+  SAVE_SNAPSHOT: 'save snapshot',
+  LOAD_SNAPSHOT: 'load snapshot'
+};
+
+/**
+@private
+@type {SimSnapshot.i18n_strings}
+*/
+SimSnapshot.de_strings = {
+  SAVE_SNAPSHOT: 'Momentaufnahme speichern',
+  LOAD_SNAPSHOT: 'Momentaufnahme laden'
+};
+
+/** Set of internationalized strings.
+@type {SimSnapshot.i18n_strings}
+*/
+SimSnapshot.i18n = goog.LOCALE === 'de' ? SimSnapshot.de_strings :
+    SimSnapshot.en;
+
+exports = SimSnapshot;
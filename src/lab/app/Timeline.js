@@ -0,0 +1,364 @@
+// Copyright 2016 Erik Neumann.  All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+goog.module('myphysicslab.lab.app.Timeline');
+
+const AbstractSubject = goog.require('myphysicslab.lab.util.AbstractSubject');
+const CircularList = goog.require('myphysicslab.lab.util.CircularList');
+const Memorizable = goog.require('myphysicslab.lab.util.Memorizable');
+const ODESim = goog.require('myphysicslab.lab.model.ODESim');
+const ParameterBoolean = goog.require('myphysicslab.lab.util.ParameterBoolean');
+const ParameterNumber = goog.require('myphysicslab.lab.util.ParameterNumber');
+const SimRunner = goog.require('myphysicslab.lab.app.SimRunner');
+const Util = goog.require('myphysicslab.lab.util.Util');
+
+/** Records the recent history of a simulation so that it can be rewound: the user can
+go back in time, step backwards one time step at a time, and resume the simulation
+from any past point. This is useful for debugging, for example to look closely at a
+collision that went wrong.
+
+Timeline is a {@link Memorizable} that is added to the {@link SimRunner}. After each
+time step it stores the values of all the variables in the
+{@link myphysicslab.lab.model.VarsList} in a {@link CircularList}, so that only the
+most recent states are kept, see {@link #getCapacity}.
+
+Setting the *timeline position* (usually with a
+{@link myphysicslab.lab.controls.SliderControl}) pauses the SimRunner and shows a past
+state of the simulation: `0` is the oldest recorded state and `1` is the newest. The
+methods {@link #stepBack} and {@link #stepForward} move by one recorded state. When the
+SimRunner resumes from a past state, the recorded states after that time are discarded.
+
+Only the variables are recorded. When a past state is shown, the ODESim forgets other
+information that depends on how it arrived at the current state, see
+{@link ODESim#clearHistory}. For example a {@link myphysicslab.lab.engine2D.ContactSim}
+wakes up any sleeping bodies. The {@link myphysicslab.lab.model.CollisionAdvance} needs
+no such reset because it starts each step with no collisions. Connectors that have broken
+are not restored.
+
+The recording is also cleared when the number of variables changes, which happens when
+the configuration of the simulation changes.
+
+Parameters Created
+------------------
+
++ ParameterBoolean named `RECORD_TIMELINE`, see {@link #setRecording}
+
++ ParameterNumber named `TIMELINE_POSITION`, see {@link #setPosition}
+
+* @implements {Memorizable}
+*/
+class Timeline extends AbstractSubject {
+/**
+* @param {!SimRunner} simRun the SimRunner which advances the simulation
+* @param {!ODESim} sim the simulation to record
+* @param {number=} opt_capacity the number of states to record, default is 1000
+* @param {string=} opt_name name of this Timeline.
+*/
+constructor(simRun, sim, opt_capacity, opt_name) {
+  super(opt_name || 'TIMELINE');
+  /**
+  * @type {!SimRunner}
+  * @private
+  */
+  this.simRun_ = simRun;
+  /**
+  * @type {!ODESim}
+  * @private
+  */
+  this.sim_ = sim;
+  /**
+  * @type {number}
+  * @private
+  */
+  this.capacity_ = opt_capacity || 1000;
+  /** The recorded states, in order of increasing time.
+  * @type {!CircularList<!Timeline.State>}
+  * @private
+  */
+  this.states_ = new CircularList(this.capacity_);
+  /** Index in the list of the state being shown, or -1 when the simulation is at the
+  * newest state.
+  * @type {number}
+  * @private
+  */
+  this.index_ = -1;
+  /**
+  * @type {boolean}
+  * @private
+  */
+  this.recording_ = true;
+  simRun.addMemo(this);
+  this.addParameter(new ParameterBoolean(this, Timeline.en.RECORD_TIMELINE,
+      Timeline.i18n.RECORD_TIMELINE,
+      goog.bind(this.getRecording, this), goog.bind(this.setRecording, this)));
+  this.addParameter(new ParameterNumber(this, Timeline.en.TIMELINE_POSITION,
+      Timeline.i18n.TIMELINE_POSITION,
+      goog.bind(this.getPosition, this), goog.bind(this.setPosition, this))
+      .setLowerLimit(0).setUpperLimit(1).setSignifDigits(3));
+};
+
+/** @override */
+toString() {
+  return Util.ADVANCED ? '' : this.toStringShort().slice(0, -1)
+      +', capacity_: '+this.capacity_
+      +', size: '+this.states_.getSize()
+      +', index_: '+this.index_
+      +', recording_: '+this.recording_
+      + super.toString();
+};
+
+/** @override */
+getClassName() {
+  return 'Timeline';
+};
+
+/** Forgets all the recorded states.
+@return {undefined}
+*/
+clear() {
+  this.states_.reset();
+  this.index_ = -1;
+  this.broadcastParameter(Timeline.en.TIMELINE_POSITION);
+};
+
+/** Discards the recorded states at or after the given time.
+@param {number} time the time from which to discard states
+@private
+*/
+discardFrom_(time) {
+  var states = new CircularList(this.capacity_);
+  var iter = this.states_.getIterator(this.states_.getStartIndex());
+  while (iter.hasNext()) {
+    var s = iter.nextValue();
+    if (s.time < time) {
+      states.store(s);
+    }
+  }
+  this.states_ = states;
+};
+
+/** Returns the maximum number of states that are recorded.
+@return {number} the maximum number of states that are recorded
+*/
+getCapacity() {
+  return this.capacity_;
+};
+
+/** Returns the position in the timeline of the state being shown: `0` is the oldest
+recorded state and `1` is the newest.
+@return {number} the position in the timeline, from 0 to 1
+*/
+getPosition() {
+  var n = this.states_.getSize();
+  if (this.index_ < 0 || n < 2) {
+    return 1;
+  }
+  return (this.index_ - this.states_.getStartIndex())/(n - 1);
+};
+
+/** Whether the states of the simulation are being recorded.
+@return {boolean} whether the states of the simulation are being recorded
+*/
+getRecording() {
+  return this.recording_;
+};
+
+/** Returns the number of recorded states.
+@return {number} the number of recorded states
+*/
+getSize() {
+  return this.states_.getSize();
+};
+
+/** Returns the simulation time of each recorded state, from oldest to newest.
+@return {!Array<number>} the simulation time of each recorded state
+*/
+getTimes() {
+  var times = [];
+  var iter = this.states_.getIterator(this.states_.getStartIndex());
+  while (iter.hasNext()) {
+    times.push(iter.nextValue().time);
+  }
+  return times;
+};
+
+/** Whether a past state is being shown, instead of the newest state.
+@return {boolean} whether a past state is being shown
+*/
+isRewound() {
+  return this.index_ >= 0;
+};
+
+/** @override */
+memorize() {
+  if (!this.recording_) {
+    return;
+  }
+  var t = this.sim_.getTime();
+  if (this.index_ >= 0 && this.states_.getValue(this.index_).time == t) {
+    // still showing the past state
+    return;
+  }
+  var va = this.sim_.getVarsList();
+  var last = this.states_.getEndValue();
+  if (last != null) {
+    if (last.vars.length != va.numVariables()) {
+      // the configuration of the simulation changed
+      this.states_.reset();
+    } else if (t <= last.time) {
+      // the simulation was resumed from an earlier time, or was reset
+      this.discardFrom_(t);
+    }
+  }
+  this.states_.store({time: t, vars: va.getValues(/*computed=*/true)});
+  if (this.index_ >= 0) {
+    this.index_ = -1;
+    this.broadcastParameter(Timeline.en.TIMELINE_POSITION);
+  }
+};
+
+/** Pauses the SimRunner and shows the recorded state at the given position in the
+timeline. Does nothing when no states have been recorded.
+@param {number} value the position in the timeline: `0` is the oldest recorded state
+    and `1` is the newest
+*/
+setPosition(value) {
+  var n = this.states_.getSize();
+  if (n == 0) {
+    return;
+  }
+  value = Math.max(0, Math.min(1, value));
+  var start = this.states_.getStartIndex();
+  this.show_(start + Math.round(value * (n - 1)));
+};
+
+/** Sets whether the states of the simulation are recorded. Turning off recording
+forgets the recorded states.
+@param {boolean} value whether to record the states of the simulation
+*/
+setRecording(value) {
+  if (this.recording_ != value) {
+    this.recording_ = value;
+    if (!value) {
+      this.clear();
+    } else {
+      this.memorize();
+    }
+    this.broadcastParameter(Timeline.en.RECORD_TIMELINE);
+  }
+};
+
+/** Sets the simulation to the recorded state with the given index.
+@param {number} index index of the state in the list of states
+@private
+*/
+show_(index) {
+  this.simRun_.pause();
+  var state = this.states_.getValue(index);
+  var va = this.sim_.getVarsList();
+  if (state.vars.length != va.numVariables()) {
+    // the configuration of the simulation changed
+    this.clear();
+    return;
+  }
+  this.index_ = index;
+  va.setValues(state.vars, /*continuous=*/false);
+  // forget hidden state from the future, such as sleeping bodies or collisions shown
+  this.sim_.clearHistory();
+  this.sim_.modifyObjects();
+  var clock = this.simRun_.getClock();
+  clock.setTime(state.time);
+  clock.setRealTime(state.time);
+  this.simRun_.paintAll();
+  this.broadcastParameter(Timeline.en.TIMELINE_POSITION);
+};
+
+/** Pauses the SimRunner and goes back by one recorded state, which is usually one time
+step. Does nothing when at the oldest recorded state.
+@return {number} the current time on the Clock
+*/
+stepBack() {
+  if (this.states_.getSize() > 0) {
+    var index = this.index_;
+    if (index < 0) {
+      index = this.states_.getEndIndex();
+      if (this.states_.getValue(index).time == this.sim_.getTime()) {
+        // the newest state is being shown now
+        index--;
+      }
+    } else {
+      index--;
+    }
+    if (index >= this.states_.getStartIndex()) {
+      this.show_(index);
+    }
+  }
+  return this.simRun_.getClock().getTime();
+};
+
+/** Goes forward by one recorded state when showing a past state; otherwise steps the
+SimRunner forward by one time step, see {@link SimRunner#step}.
+@return {number} the current time on the Clock
+*/
+stepForward() {
+  if (this.index_ >= 0 && this.index_ < this.states_.getEndIndex()) {
+    this.show_(this.index_ + 1);
+    return this.simRun_.getClock().getTime();
+  }
+  return this.simRun_.step();
+};
+
+} // end class
+
+/** A recorded state of the simulation: the simulation time, and the values of all the
+variables.
+@typedef {{time: number, vars: !Array<number>}}
+*/
+Timeline.State;
+
+/** Set of internationalized strings.
+@typedef {{
+  RECORD_TIMELINE: string,
+  TIMELINE_POSITION: string,
+  STEP_BACK: string
+  }}
+*/
+Timeline.i18n_strings;
+
+/**
+@type {Timeline.i18n_strings}
+*/
+Timeline.en = {
+  RECORD_TIMELINE: 'record timeline',
+  TIMELINE_POSITION: 'timeline position',
+  STEP_BACK: 'step back'
+};
+
+/**
+@private
+@type {Timeline.i18n_strings}
+*/
+Timeline.de_strings = {
+  RECORD_TIMELINE: 'Zeitleiste aufnehmen',
+  TIMELINE_POSITION: 'Position auf der Zeitleiste',
+  STEP_BACK: 'Schritt zurück'
+};
+
+/** Set of internationalized strings.
+@type {Timeline.i18n_strings}
+*/
+Timeline.i18n = goog.LOCALE === 'de' ? Timeline.de_strings :
+    Timeline.en;
+
+exports = Timeline;
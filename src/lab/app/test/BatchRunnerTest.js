@@ -0,0 +1,133 @@
+// Copyright 2016 Erik Neumann.  All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+goog.module('myphysicslab.lab.app.test.BatchRunnerTest');
+
+const BatchRunner = goog.require('myphysicslab.lab.app.BatchRunner');
+const SimpleAdvance = goog.require('myphysicslab.lab.model.SimpleAdvance');
+const SingleSpringSim = goog.require('myphysicslab.sims.springs.SingleSpringSim');
+const TestRig = goog.require('myphysicslab.test.TestRig');
+const Util = goog.require('myphysicslab.lab.util.Util');
+const VarsHistory = goog.require('myphysicslab.lab.graph.VarsHistory');
+
+const assertEquals = TestRig.assertEquals;
+const assertRoughlyEquals = TestRig.assertRoughlyEquals;
+const assertTrue = TestRig.assertTrue;
+const assertThrows = TestRig.assertThrows;
+const schedule = TestRig.schedule;
+const startTest = TestRig.startTest;
+
+class BatchRunnerTest {
+
+static test() {
+  schedule(BatchRunnerTest.testBatchRunner);
+  schedule(BatchRunnerTest.testVarsHistoryExport);
+};
+
+static testBatchRunner() {
+  startTest(BatchRunnerTest.groupName+'testBatchRunner');
+  var sim = new SingleSpringSim();
+  var advance = new SimpleAdvance(sim);
+  var batch = new BatchRunner(advance);
+  assertEquals(advance, batch.getAdvanceStrategy());
+  assertEquals(0.025, batch.getTimeStep());
+  assertEquals(0, batch.getTime());
+  var hist = new VarsHistory(sim.getVarsList());
+  batch.addMemo(hist);
+  assertEquals(1, batch.getMemos().length);
+  // reset memorizes the initial state
+  assertEquals(0, batch.reset());
+  assertEquals(1, hist.getDataPoints().getSize());
+  // 40 steps of 0.025 reaches time 1, memorizing after each step
+  assertEquals(40, batch.runUntil(1));
+  assertRoughlyEquals(1, batch.getTime(), 1E-10);
+  assertEquals(41, hist.getDataPoints().getSize());
+  // the last step is shortened to stop at the target time
+  assertEquals(1, batch.runUntil(1.01));
+  assertRoughlyEquals(1.01, batch.getTime(), 1E-10);
+  // nothing happens when already at the target time
+  assertEquals(0, batch.runUntil(1.01));
+  var endPos = sim.getVarsList().getValue(0);
+
+  // running again after reset gives identical results
+  hist.reset();
+  batch.reset();
+  batch.runUntil(1.01);
+  assertEquals(endPos, sim.getVarsList().getValue(0));
+  assertEquals(42, hist.getDataPoints().getSize());
+
+  // a parameter sweep: more damping means the block moves less
+  var csv1 = hist.toCSV();
+  var speed1 = Math.abs(sim.getVarsList().getValue(1));
+  sim.setDamping(2.0);
+  hist.reset();
+  batch.reset();
+  batch.runUntil(1.01);
+  var speed2 = Math.abs(sim.getVarsList().getValue(1));
+  assertTrue(speed2 < speed1);
+  assertTrue(hist.toCSV() != csv1);
+
+  // smaller time step
+  batch.setTimeStep(0.01);
+  assertEquals(0.01, batch.getTimeStep());
+  assertEquals(0.01, batch.getParameterNumber(BatchRunner.en.TIME_STEP).getValue());
+  batch.reset();
+  assertEquals(100, batch.runUntil(1));
+  assertThrows(function() { batch.setTimeStep(0); });
+  batch.removeMemo(hist);
+  assertEquals(0, batch.getMemos().length);
+};
+
+static testVarsHistoryExport() {
+  startTest(BatchRunnerTest.groupName+'testVarsHistoryExport');
+  var sim = new SingleSpringSim();
+  var batch = new BatchRunner(new SimpleAdvance(sim));
+  var hist = new VarsHistory(sim.getVarsList());
+  batch.addMemo(hist);
+  hist.setVariables([3, 0, 1]);
+  assertEquals(Util.toName(SingleSpringSim.en.POSITION),
+      hist.getVariableNames()[1]);
+  assertEquals(SingleSpringSim.i18n.POSITION,
+      hist.getVariableNames(/*localized=*/true)[1]);
+  batch.reset();
+  batch.runUntil(0.1);
+  var lines = hist.toCSV().split('\n');
+  // header row, 5 samples, and an empty string after the final newline
+  assertEquals(7, lines.length);
+  assertEquals('TIME,POSITION,VELOCITY', lines[0]);
+  assertEquals('', lines[6]);
+  var row = lines[5].split(',');
+  assertEquals(3, row.length);
+  assertRoughlyEquals(0.1, parseFloat(row[0]), 1E-5);
+  assertRoughlyEquals(sim.getVarsList().getValue(0), parseFloat(row[1]), 1E-5);
+
+  var obj = JSON.parse(hist.toJSONString());
+  assertEquals('TIME', obj['variables'][0]);
+  assertEquals('POSITION', obj['variables'][1]);
+  assertEquals('VELOCITY', obj['variables'][2]);
+  assertEquals(5, obj['data'].length);
+  // JSON has full precision
+  assertEquals(sim.getVarsList().getValue(0), obj['data'][4][1]);
+  assertEquals(sim.getVarsList().getValue(1), obj['data'][4][2]);
+};
+
+} // end class
+
+/**
+* @type {string}
+* @const
+*/
+BatchRunnerTest.groupName = 'BatchRunnerTest.';
+
+exports = BatchRunnerTest;
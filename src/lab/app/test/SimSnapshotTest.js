@@ -0,0 +1,132 @@
+// Copyright 2016 Erik Neumann.  All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+goog.module('myphysicslab.lab.app.test.SimSnapshotTest');
+
+goog.require('goog.array');
+
+const EasyScriptParser = goog.require('myphysicslab.lab.util.EasyScriptParser');
+const GenericObserver = goog.require('myphysicslab.lab.util.GenericObserver');
+const SimRunner = goog.require('myphysicslab.lab.app.SimRunner');
+const SimSnapshot = goog.require('myphysicslab.lab.app.SimSnapshot');
+const SimpleAdvance = goog.require('myphysicslab.lab.model.SimpleAdvance');
+const SingleSpringSim = goog.require('myphysicslab.sims.springs.SingleSpringSim');
+const TestRig = goog.require('myphysicslab.test.TestRig');
+const Timeline = goog.require('myphysicslab.lab.app.Timeline');
+const Util = goog.require('myphysicslab.lab.util.Util');
+
+const assertEquals = TestRig.assertEquals;
+const assertRoughlyEquals = TestRig.assertRoughlyEquals;
+const assertTrue = TestRig.assertTrue;
+const assertThrows = TestRig.assertThrows;
+const schedule = TestRig.schedule;
+const startTest = TestRig.startTest;
+
+class SimSnapshotTest {
+
+static test() {
+  schedule(SimSnapshotTest.testSpring);
+};
+
+static testSpring() {
+  startTest(SimSnapshotTest.groupName+'testSpring');
+  var sim = new SingleSpringSim();
+  var simRun = new SimRunner(new SimpleAdvance(sim));
+  simRun.pause();
+  var timeline = new Timeline(simRun, sim);
+  var easyScript = new EasyScriptParser([sim, simRun, timeline],
+      [sim.getVarsList()]);
+  var snapshot = new SimSnapshot(sim, simRun, easyScript);
+  // infinite parameter values are saved as strings because JSON has no infinity
+  sim.setDamping(Util.POSITIVE_INFINITY);
+  var snap = JSON.parse(snapshot.save());
+  var damping = goog.array.find(snap['parameters'], function(p) {
+      return p['name'] == 'DAMPING';
+    });
+  assertEquals('Infinity', damping['value']);
+  sim.setDamping(0);
+  snapshot.load(JSON.stringify(snap));
+  assertEquals(Util.POSITIVE_INFINITY, sim.getDamping());
+  sim.setDamping(0.3);
+  sim.setMass(0.7);
+  simRun.advanceTo(1);
+  var json = snapshot.save();
+  snap = JSON.parse(json);
+  assertEquals(SimSnapshot.VERSION, snap['version']);
+  assertRoughlyEquals(1, snap['time'], 0.03);
+  assertEquals(2, snap['bodies'].length);
+  assertEquals('BLOCK', snap['bodies'][0]['name']);
+  assertEquals(0.7, snap['bodies'][0]['mass']);
+  // infinite mass is saved as a string because JSON has no infinity
+  assertEquals('Infinity', snap['bodies'][1]['mass']);
+  assertEquals('SPRING', snap['springs'][0]['name']);
+  assertEquals(3, snap['springs'][0]['stiffness']);
+  // the Timeline and whether the SimRunner is running are not saved
+  assertTrue(snap['parameters'].every(function(p) {
+      return p['subject'] != timeline.getName() && p['name'] != 'RUNNING';
+    }));
+  // computed variables and the VarsList Parameters are not saved
+  assertTrue(snap['variables'].length < sim.getVarsList().numVariables());
+  assertTrue(snap['parameters'].every(function(p) {
+      return p['subject'] != sim.getVarsList().getName();
+    }));
+  var time = sim.getTime();
+  var vars = sim.getVarsList().getValues();
+  // change the state of the simulation
+  sim.setDamping(0.1);
+  sim.setMass(2);
+  sim.setSpringStiffness(5);
+  simRun.advanceTo(2);
+  assertTrue(sim.getTime() > time);
+  // load the snapshot
+  var loaded = false;
+  new GenericObserver(snapshot, function(evt) {
+      loaded = loaded || evt.nameEquals(SimSnapshot.SNAPSHOT_LOADED);
+    }, 'observes snapshot loading');
+  assertRoughlyEquals(snap['time'], snapshot.load(json), 1E-10);
+  assertTrue(loaded);
+  assertEquals(0.3, sim.getDamping());
+  assertEquals(0.7, sim.getMass());
+  assertEquals(3, sim.getSpringStiffness());
+  assertEquals(time, sim.getTime());
+  var vars2 = sim.getVarsList().getValues();
+  for (var i=0; i<vars.length; i++) {
+    assertRoughlyEquals(vars[i], vars2[i], 1E-12);
+  }
+  assertEquals(Util.POSITIVE_INFINITY,
+      sim.getSimList().getPointMass('fixed_point').getMass());
+  // the simulation continues the same way from the snapshot
+  simRun.advanceTo(2);
+  var vars3 = sim.getVarsList().getValues();
+  snapshot.load(json);
+  simRun.advanceTo(2);
+  var vars4 = sim.getVarsList().getValues();
+  assertRoughlyEquals(vars3[0], vars4[0], 1E-12);
+  assertRoughlyEquals(vars3[1], vars4[1], 1E-12);
+  // a snapshot that does not match the simulation
+  snap['bodies'][0]['name'] = 'ANVIL';
+  assertThrows(function() { snapshot.load(JSON.stringify(snap)); });
+  snap['version'] = 0;
+  assertThrows(function() { snapshot.load(JSON.stringify(snap)); });
+};
+
+} // end class
+
+/**
+* @type {string}
+* @const
+*/
+SimSnapshotTest.groupName = 'SimSnapshotTest.';
+
+exports = SimSnapshotTest;
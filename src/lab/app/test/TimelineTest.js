@@ -0,0 +1,179 @@
+// Copyright 2016 Erik Neumann.  All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+goog.module('myphysicslab.lab.app.test.TimelineTest');
+
+const CollisionAdvance = goog.require('myphysicslab.lab.model.CollisionAdvance');
+const ContactSim = goog.require('myphysicslab.lab.engine2D.ContactSim');
+const GravityLaw = goog.require('myphysicslab.lab.model.GravityLaw');
+const Shapes = goog.require('myphysicslab.lab.engine2D.Shapes');
+const SimRunner = goog.require('myphysicslab.lab.app.SimRunner');
+const SimpleAdvance = goog.require('myphysicslab.lab.model.SimpleAdvance');
+const SingleSpringSim = goog.require('myphysicslab.sims.springs.SingleSpringSim');
+const TestRig = goog.require('myphysicslab.test.TestRig');
+const Timeline = goog.require('myphysicslab.lab.app.Timeline');
+const Util = goog.require('myphysicslab.lab.util.Util');
+const Vector = goog.require('myphysicslab.lab.util.Vector');
+
+const assertEquals = TestRig.assertEquals;
+const assertRoughlyEquals = TestRig.assertRoughlyEquals;
+const assertTrue = TestRig.assertTrue;
+const assertFalse = TestRig.assertFalse;
+const schedule = TestRig.schedule;
+const startTest = TestRig.startTest;
+
+class TimelineTest {
+
+static test() {
+  schedule(TimelineTest.testRewind);
+  schedule(TimelineTest.testCapacity);
+  schedule(TimelineTest.testSleeping);
+};
+
+static testRewind() {
+  startTest(TimelineTest.groupName+'testRewind');
+  var sim = new SingleSpringSim();
+  var simRun = new SimRunner(new SimpleAdvance(sim));
+  simRun.pause();
+  var timeStep = simRun.getTimeStep();
+  var timeline = new Timeline(simRun, sim, 100);
+  assertEquals(0, timeline.getSize());
+  assertFalse(timeline.isRewound());
+  // advanceTo can stop short of the target time by less than a time step
+  simRun.advanceTo(10.5*timeStep);
+  var n = timeline.getSize();
+  assertEquals(10, n);
+  var times = timeline.getTimes();
+  assertEquals(n, times.length);
+  for (var i=1; i<n; i++) {
+    assertTrue(times[i] > times[i-1]);
+  }
+  assertRoughlyEquals(sim.getTime(), times[n-1], 1E-12);
+  var vars = sim.getVarsList().getValues();
+  // go back to the oldest state
+  timeline.setPosition(0);
+  assertTrue(timeline.isRewound());
+  assertEquals(0, timeline.getPosition());
+  assertEquals(times[0], sim.getTime());
+  assertEquals(times[0], simRun.getClock().getTime());
+  // go forward to the newest state
+  timeline.setPosition(1);
+  assertEquals(1, timeline.getPosition());
+  assertEquals(times[n-1], sim.getTime());
+  var vars2 = sim.getVarsList().getValues();
+  for (i=0; i<vars.length; i++) {
+    assertRoughlyEquals(vars[i], vars2[i], 1E-12);
+  }
+  // step backwards and forwards one state at a time
+  assertEquals(times[n-2], timeline.stepBack());
+  assertEquals(times[n-3], timeline.stepBack());
+  assertEquals(times[n-2], timeline.stepForward());
+  assertEquals(n, timeline.getSize());
+  timeline.setPosition(0);
+  assertEquals(times[0], timeline.stepBack());
+  // resume from a past state: the later states are discarded
+  timeline.setPosition(0.5);
+  var t = sim.getTime();
+  var k = times.indexOf(t);
+  assertTrue(k > 0 && k < n-1);
+  simRun.advanceTo(t + timeStep/2);
+  assertFalse(timeline.isRewound());
+  assertEquals(1, timeline.getPosition());
+  times = timeline.getTimes();
+  assertEquals(k+2, times.length);
+  assertEquals(t, times[k]);
+  assertTrue(times[k+1] > t);
+  // turning off recording forgets the states
+  timeline.setRecording(false);
+  assertEquals(0, timeline.getSize());
+  simRun.advanceTo(sim.getTime() + 5*timeStep);
+  assertEquals(0, timeline.getSize());
+  timeline.setRecording(true);
+  assertEquals(1, timeline.getSize());
+  // a reset of the simulation discards the states after the reset time
+  simRun.advanceTo(sim.getTime() + 5*timeStep);
+  assertTrue(timeline.getSize() > 1);
+  sim.reset();
+  simRun.getClock().setTime(sim.getTime());
+  assertEquals(1, timeline.getSize());
+  assertEquals(0, timeline.getTimes()[0]);
+};
+
+static testCapacity() {
+  startTest(TimelineTest.groupName+'testCapacity');
+  var sim = new SingleSpringSim();
+  var simRun = new SimRunner(new SimpleAdvance(sim));
+  simRun.pause();
+  var timeStep = simRun.getTimeStep();
+  var timeline = new Timeline(simRun, sim, 10);
+  assertEquals(10, timeline.getCapacity());
+  simRun.advanceTo(30.5*timeStep);
+  // only the most recent states are kept
+  assertEquals(10, timeline.getSize());
+  var times = timeline.getTimes();
+  assertRoughlyEquals(sim.getTime(), times[9], 1E-12);
+  assertTrue(times[0] > 15*timeStep);
+  timeline.setPosition(0);
+  assertEquals(times[0], sim.getTime());
+  for (var i=1; i<10; i++) {
+    assertEquals(times[i], timeline.stepForward());
+  }
+  assertEquals(1, timeline.getPosition());
+  // resume from the newest state
+  simRun.advanceTo(sim.getTime() + 2.5*timeStep);
+  assertFalse(timeline.isRewound());
+  assertEquals(10, timeline.getSize());
+  assertEquals(times[2], timeline.getTimes()[0]);
+};
+
+static testSleeping() {
+  startTest(TimelineTest.groupName+'testSleeping');
+  var sim = new ContactSim();
+  sim.setSleepEnabled(true);
+  sim.setSleepTime(0.5);
+  sim.setSleepVelocity(0.1);
+  var floor = Shapes.makeBlock(20, 1, 'floor');
+  floor.setMass(Util.POSITIVE_INFINITY);
+  floor.setPosition(new Vector(0,  -0.5),  0);
+  sim.addBody(floor);
+  var block = Shapes.makeBlock(1, 1, 'block');
+  block.setPosition(new Vector(0,  0.505),  0);
+  sim.addBody(block);
+  sim.setElasticity(0);
+  sim.addForceLaw(new GravityLaw(10, sim.getSimList()));
+  var simRun = new SimRunner(new CollisionAdvance(sim));
+  simRun.pause();
+  var timeline = new Timeline(simRun, sim, 100);
+  simRun.advanceTo(1.5);
+  assertTrue(block.isSleeping());
+  assertEquals(1, sim.getSleepStats().numSleepingBodies);
+  // the block was awake in the oldest state, so it should not stay asleep there
+  timeline.setPosition(0);
+  assertFalse(block.isSleeping());
+  assertEquals(0, sim.getSleepStats().numSleepingBodies);
+  // the block falls asleep again after resuming
+  simRun.advanceTo(1.5);
+  assertFalse(timeline.isRewound());
+  assertTrue(block.isSleeping());
+};
+
+} // end class
+
+/**
+* @type {string}
+* @const
+*/
+TimelineTest.groupName = 'TimelineTest.';
+
+exports = TimelineTest;
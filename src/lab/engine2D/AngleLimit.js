@@ -0,0 +1,252 @@
+// Copyright 2016 Erik Neumann.  All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+goog.module('myphysicslab.lab.engine2D.AngleLimit');
+
+const AbstractSimObject = goog.require('myphysicslab.lab.model.AbstractSimObject');
+const Connector = goog.require('myphysicslab.lab.engine2D.Connector');
+const ConnectorCollision = goog.require('myphysicslab.lab.engine2D.ConnectorCollision');
+const DoubleRect = goog.require('myphysicslab.lab.util.DoubleRect');
+const RigidBody = goog.require('myphysicslab.lab.engine2D.RigidBody');
+const RigidBodyCollision = goog.require('myphysicslab.lab.engine2D.RigidBodyCollision');
+const Util = goog.require('myphysicslab.lab.util.Util');
+const Vector = goog.require('myphysicslab.lab.util.Vector');
+
+/** Limits the relative rotation of two RigidBodys that are connected by a hinge, for
+example an elbow that can only bend one way. The *relative angle* is the angle of the
+second body minus the angle of the first body; an AngleLimit keeps the relative angle
+between a minimum and maximum angle. AngleLimit generates collisions or contacts when
+the relative angle reaches either limit, so the limit acts like a stop that can only
+push, never pull.
+
+The two bodies should be connected at the *pivot* point by a double Joint, see
+{@link myphysicslab.lab.engine2D.JointUtil#attachRigidBody}. To limit the rotation of a
+body that is hinged to a fixed point in space use the {@link
+myphysicslab.lab.engine2D.Scrim} as the first body.
+
+AngleLimits are immutable: they cannot be changed after they are constructed.
+
+### Implementation Notes
+
+The limit is modeled as a point on the second body that collides with a straight edge on
+the first body. The point is at unit distance from the pivot, and the straight edge
+passes through the pivot at the limiting angle, so the edge rotates along with the first
+body. The collision force at the point is perpendicular to the line from the pivot, so
+it only creates a torque around the pivot, and the Joints at the pivot take up the rest
+of the force.
+
+Because the point is at unit distance from the pivot, the distance of the collision is
+the angle in radians between the relative angle and the limit. Therefore the distance
+tolerance of the bodies (see {@link RigidBody#getDistanceTol}) determines how close in
+radians the relative angle must be to a limit to generate a contact. Like other
+contacts, a resting contact is kept at a gap of about half the distance tolerance, so
+the relative angle rests that many radians away from the limit.
+
+* @implements {Connector}
+*/
+class AngleLimit extends AbstractSimObject {
+/**
+@param {!RigidBody} body1 the first body; can be an immoveable object like Scrim
+    or an infinite mass Polygon
+@param {!Vector} attach1_body the pivot point on the first body, in body coordinates
+@param {!RigidBody} body2 the second body
+@param {!Vector} attach2_body the pivot point on the second body, in body coordinates
+@param {number} minAngle the minimum relative angle, in radians
+@param {number} maxAngle the maximum relative angle, in radians
+@param {string=} opt_name name of this AngleLimit
+@throws {!Error} if the minimum angle is not less than the maximum angle
+*/
+constructor(body1, attach1_body, body2, attach2_body, minAngle, maxAngle, opt_name) {
+  super(opt_name || 'ANGLE_LIMIT'+(AngleLimit.nextLimitNum++));
+  if (!(minAngle < maxAngle)) {
+    throw new Error('minAngle must be less than maxAngle '+minAngle+' '+maxAngle);
+  }
+  /**
+  * @type {!RigidBody}
+  * @private
+  */
+  this.body1_ = body1;
+  /** pivot point in body coords for body1
+  * @type {!Vector}
+  * @private
+  */
+  this.attach1_body_ = attach1_body;
+  /**
+  * @type {!RigidBody}
+  * @private
+  */
+  this.body2_ = body2;
+  /** pivot point in body coords for body2
+  * @type {!Vector}
+  * @private
+  */
+  this.attach2_body_ = attach2_body;
+  /**
+  * @type {number}
+  * @private
+  */
+  this.minAngle_ = minAngle;
+  /**
+  * @type {number}
+  * @private
+  */
+  this.maxAngle_ = maxAngle;
+  /** One of the bodies can be a Scrim which has zero distance tolerance, so find the
+  max distance tolerance of the bodies.
+  * @type {number}
+  * @private
+  */
+  this.distTol_ = Math.max(body1.getDistanceTol(), body2.getDistanceTol());
+};
+
+/** @override */
+toString() {
+  return Util.ADVANCED ? '' : super.toString().slice(0, -1)
+      +', body1_: '+this.body1_.toStringShort()
+      +', attach1_body_: '+this.attach1_body_
+      +', body2_: '+this.body2_.toStringShort()
+      +', attach2_body_: '+this.attach2_body_
+      +', minAngle_: '+Util.NF(this.minAngle_)
+      +', maxAngle_: '+Util.NF(this.maxAngle_)
+      +'}';
+};
+
+/** @override */
+getClassName() {
+  return 'AngleLimit';
+};
+
+/** @override */
+addCollision(collisions, time, accuracy) {
+  if (this.getNormalDistance() < this.distTol_) {
+    var c = new ConnectorCollision(this.body2_, this.body1_, this, /*joint=*/false);
+    this.updateCollision(c);
+    c.setDetectedTime(time);
+    collisions.unshift(c);
+  }
+};
+
+/** Does nothing, because the AngleLimit does not move the bodies.
+* @override
+*/
+align() {
+};
+
+/** Returns the pivot point on the first body in body coordinates.
+@return {!Vector} the pivot point on the first body in body coordinates
+*/
+getAttach1() {
+  return this.attach1_body_;
+};
+
+/** Returns the pivot point on the second body in body coordinates.
+@return {!Vector} the pivot point on the second body in body coordinates
+*/
+getAttach2() {
+  return this.attach2_body_;
+};
+
+/** @override */
+getBody1() {
+  return this.body1_;
+};
+
+/** @override */
+getBody2() {
+  return this.body2_;
+};
+
+/** @override */
+getBoundsWorld() {
+  return DoubleRect.make(this.getPosition1(), this.getPosition2());
+};
+
+/** Returns the maximum relative angle.
+@return {number} the maximum relative angle, in radians
+*/
+getMaxAngle() {
+  return this.maxAngle_;
+};
+
+/** Returns the minimum relative angle.
+@return {number} the minimum relative angle, in radians
+*/
+getMinAngle() {
+  return this.minAngle_;
+};
+
+/** Returns the angle in radians between the relative angle and the nearest limit;
+negative means the relative angle is beyond the limit.
+@return {number} the angle between the relative angle and the nearest limit
+@override
+*/
+getNormalDistance() {
+  var angle = this.getRelativeAngle();
+  return Math.min(this.maxAngle_ - angle, angle - this.minAngle_);
+};
+
+/** @override */
+getPosition1() {
+  return this.body1_.bodyToWorld(this.attach1_body_);
+};
+
+/** @override */
+getPosition2() {
+  return this.body2_.bodyToWorld(this.attach2_body_);
+};
+
+/** Returns the relative angle: the angle of the second body minus the angle of the
+first body.
+@return {number} the relative angle, in radians
+*/
+getRelativeAngle() {
+  return this.body2_.getAngle() - this.body1_.getAngle();
+};
+
+/** @override */
+updateCollision(c) {
+  if (c.primaryBody != this.body2_ || c.normalBody != this.body1_) {
+    throw new Error();
+  }
+  if (c.getConnector() != this) {
+    throw new Error();
+  }
+  var angle = this.getRelativeAngle();
+  // use whichever limit is nearest
+  var upperLimit = this.maxAngle_ - angle < angle - this.minAngle_;
+  var limit = upperLimit ? this.maxAngle_ : this.minAngle_;
+  // the straight edge on body1 is at the limiting angle
+  var beta = this.body1_.getAngle() + limit;
+  var normal = new Vector(Math.sin(beta), -Math.cos(beta));
+  c.normal = upperLimit ? normal : normal.multiply(-1);
+  c.normalFixed = false;
+  c.ballNormal = false;
+  c.distance = upperLimit ? limit - angle : angle - limit;
+  // the point on body2 is at unit distance from the pivot
+  var a2 = this.body2_.getAngle();
+  c.impact1 = this.getPosition2().add(new Vector(Math.cos(a2), Math.sin(a2)));
+  // the nearest point on the straight edge of body1
+  var offset = c.normal.dotProduct(c.impact1.subtract(this.getPosition1()));
+  c.impact2 = c.impact1.subtract(c.normal.multiply(offset));
+  c.creator = Util.DEBUG ? 'AngleLimit' : '';
+};
+
+} // end class
+
+/**
+* @type {number}
+*/
+AngleLimit.nextLimitNum = 0;
+
+exports = AngleLimit;
@@ -814,6 +814,15 @@ static isWithinArc(p_edge, angleLow, angleHigh) {
   return angleLow <= angle && angle <= angleHigh;
 };
 
+/** Returns `true` when the arc of this CircularEdge moves clockwise from the
+previous Vertex to the next Vertex.
+@return {boolean} `true` means the arc moves clockwise, `false` means
+counter-clockwise.
+*/
+isClockwise() {
+  return this.clockwise_;
+};
+
 /** Returns true if the angle of the given point is within this arc. Looks at the angle
 from the origin to the point, compares this angle to the angle range of this arc.
 @param {!Vector} p_edge the point of interest, in edge
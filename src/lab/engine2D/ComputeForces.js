@@ -625,6 +625,64 @@ compute_forces(A, f, b, joint, debug, time) {
   return -1;
 }
 
+/** Calculates the friction forces at each contact point of a multi-body contact
+situation. This solves the *box constrained* problem
+
+    a = A f + b
+    |f[i]| <= limit[i]
+    a[i] = 0  when  |f[i]| < limit[i]
+    a[i] f[i] <= 0  when  |f[i]| == limit[i]
+
+where `a` is the tangential acceleration at each contact point. Each friction force
+tries to bring the tangential acceleration to zero, but is restricted in magnitude by
+the corresponding limit, which is typically the coefficient of static friction times
+the normal force. When the limit is reached the contact is starting to slide, and
+the friction force opposes the sliding acceleration.
+
+Uses the projected Gauss-Seidel iterative method. A contact with zero limit is given
+zero friction force.
+
+@param {!Array<!Float64Array>} A an n x n matrix giving change in tangential
+    acceleration for friction force at each contact
+@param {!Array<number>} f friction force at each contact (vector, length n),
+    this is what is solved for and is returned via this vector (this vector is zeroed
+    out at start).
+@param {!Array<number>} b external and inertial forces in the system (vector, length n)
+@param {!Array<number>} limit maximum magnitude of friction force at each contact
+    (vector, length n)
+@return {number} the largest change in friction force during the last iteration
+*/
+compute_friction(A, f, b, limit) {
+  var n = b.length;
+  goog.asserts.assert(A.length == n);
+  goog.asserts.assert(f.length == n);
+  goog.asserts.assert(limit.length == n);
+  for (var i=0; i<n; i++) {
+    f[i] = 0;
+  }
+  var maxDelta = 0;
+  for (var k=0; k<ComputeForces.FRICTION_ITERATIONS; k++) {
+    maxDelta = 0;
+    for (i=0; i<n; i++) {
+      if (limit[i] <= 0 || A[i][i] <= 0) {
+        continue;
+      }
+      var a = b[i];
+      for (var j=0; j<n; j++) {
+        a += A[i][j]*f[j];
+      }
+      var fi = f[i] - a/A[i][i];
+      fi = Math.max(-limit[i], Math.min(limit[i], fi));
+      maxDelta = Math.max(maxDelta, Math.abs(fi - f[i]));
+      f[i] = fi;
+    }
+    if (maxDelta < this.SMALL_POSITIVE) {
+      break;
+    }
+  }
+  return maxDelta;
+}
+
 /** Detects infinite loop while solving reject contacts by checking if the current
 'state' is a duplicate of an earlier state. State is specified by the pattern of which
 contacts are in C, NC, or R, plus which contact is currently being driven-to-zero. We
@@ -1899,5 +1957,11 @@ most negative acceleration, except Joints are treated first in random order.
 * @const
 */
 ComputeForces.NEXT_CONTACT_HYBRID = 4;
+/** Maximum number of iterations of the projected Gauss-Seidel method used in
+{@link #compute_friction}.
+* @type {number}
+* @const
+*/
+ComputeForces.FRICTION_ITERATIONS = 50;
 
 exports = ComputeForces;
@@ -24,17 +24,24 @@ const ExtraAccel = goog.require('myphysicslab.lab.engine2D.ExtraAccel');
 const Force = goog.require('myphysicslab.lab.model.Force');
 const GenericEvent = goog.require('myphysicslab.lab.util.GenericEvent');
 const ImpulseSim = goog.require('myphysicslab.lab.engine2D.ImpulseSim');
+const Joint = goog.require('myphysicslab.lab.engine2D.Joint');
+const Motor = goog.require('myphysicslab.lab.engine2D.Motor');
+const ParameterBoolean = goog.require('myphysicslab.lab.util.ParameterBoolean');
 const ParameterNumber = goog.require('myphysicslab.lab.util.ParameterNumber');
 const ParameterString = goog.require('myphysicslab.lab.util.ParameterString');
 const Polygon = goog.require('myphysicslab.lab.engine2D.Polygon');
+const RigidBody = goog.require('myphysicslab.lab.engine2D.RigidBody');
 const RigidBodyCollision = goog.require('myphysicslab.lab.engine2D.RigidBodyCollision');
 const RigidBodySim = goog.require('myphysicslab.lab.engine2D.RigidBodySim');
+const Rope = goog.require('myphysicslab.lab.engine2D.Rope');
 const Scrim = goog.require('myphysicslab.lab.engine2D.Scrim');
 const SimList = goog.require('myphysicslab.lab.model.SimList');
 const Simulation = goog.require('myphysicslab.lab.model.Simulation');
+const SleepStats = goog.require('myphysicslab.lab.engine2D.SleepStats');
 const UtilEngine = goog.require('myphysicslab.lab.engine2D.UtilEngine');
 const UtilityCollision = goog.require('myphysicslab.lab.engine2D.UtilityCollision');
 const Util = goog.require('myphysicslab.lab.util.Util');
+const Vector = goog.require('myphysicslab.lab.util.Vector');
 
 /** Physics engine for rigid bodies with contact forces to allow resting contact. The
 contact forces prevent the bodies from interpenetrating when they are in resting
@@ -52,6 +59,12 @@ of the simulation.
 
 + ParameterString named `EXTRA_ACCEL`, see {@link #setExtraAccel}
 
++ ParameterBoolean named `SLEEP_ENABLED`, see {@link #setSleepEnabled}
+
++ ParameterNumber named `SLEEP_TIME`, see {@link #setSleepTime}
+
++ ParameterNumber named `SLEEP_VELOCITY`, see {@link #setSleepVelocity}
+
 See also the super class for additional Parameters.
 
 ### Background and References
@@ -224,6 +237,58 @@ The last step is to **apply the contact forces** to the bodies, which gives the
 set of accelerations that the `evaluate()` method then returns to the differential
 equation solver.
 
+### Motors
+
+A {@link Motor} applies equal and opposite torques to two bodies to drive their relative
+angular velocity towards a target speed, see {@link #addMotor}. Each Motor adds a row
+to the matrix equation: the acceleration is the relative angular acceleration of the
+two bodies, and the 'force' is the torque of the Motor. Like a Joint, a Motor can push
+or pull, and the desired acceleration is the amount needed to reach the target speed
+over the time step given by {@link #setExtraAccelTimeStep}.
+
+When the torque found for a Motor is more than its maximum torque, that Motor instead
+applies the maximum torque, and the forces are found again for the remaining contacts
+and Motors. The Motor torques are then applied to the bodies before the contact forces
+are found in the usual way.
+
+### Breakable Connectors
+
+A {@link Joint} or {@link Rope} can be given a *break force* or *break impulse*, see
+{@link Joint#setBreakForce} and {@link Joint#setBreakImpulse}. ContactSim records the
+contact force found for each Joint and Rope in `evaluate()`. After each step of the
+simulation, {@link #breakConnectors} removes each Joint or Rope whose force at the most
+recent accepted state exceeds its break force; the forces of the Joints of a double
+joint are combined. After handling collisions, {@link #handleCollisions}
+removes each Joint or Rope whose collision impulse exceeds its break impulse. A broken
+connector is removed from the list of Connectors and from the SimList, and a
+{@link RigidBodySim#CONNECTOR_BROKEN} event is broadcast.
+
+### Sleeping Bodies
+
+When sleeping is enabled with {@link #setSleepEnabled}, bodies that have come to rest
+are put to *sleep* so that no time is spent finding collisions and contact forces for
+them. An *island* is a group of moveable bodies that are linked to each other by
+contacts or joints; fixed (infinite mass) bodies do not link islands together. After
+each step of the simulation, the islands are found from the contacts of the most recent
+`evaluate()`. An island falls asleep when all of its bodies have been moving slower than
+{@link #getSleepVelocity} for at least {@link #getSleepTime} seconds. The bodies of a
+sleeping island report {@link myphysicslab.lab.model.MassObject#isSleeping} and do not
+move.
+
+The bodies of a sleeping island all wake up together when any of these happens:
+
++ an awake body touches or collides with a body of the island
+
++ the acceleration of a body of the island due to external forces changes, for example
+when a body is dragged with the mouse or a ForceLaw is added or removed
+
++ the velocity of a body of the island is changed, or
+{@link #initializeFromBody} is called for a body of the island
+
++ a Connector is added or removed for a body of the island, or any body is removed
+
+Statistics about islands and sleeping bodies are available from {@link #getSleepStats}.
+
 ### Extra Acceleration
 
 The contact forces are calculated so that there is zero acceleration at contact points; but this does not immediately affect the remaining small velocity at a contact point.  As a result, objects that are in resting contact will often have some undesirable jittery motion.
@@ -266,6 +331,11 @@ constructor(opt_name) {
   * @private
   */
   this.connectors_ = [];
+  /**
+  * @type {!Array<!Motor>}
+  * @private
+  */
+  this.motors_ = [];
   /** sum of depth of recent contacts, for debugging
   * @type {number}
   * @private
@@ -317,6 +387,65 @@ constructor(opt_name) {
   * @private
   */
   this.debugPrintTime_ = 0;
+  /** whether bodies can fall asleep, see {@link #setSleepEnabled}
+  * @type {boolean}
+  * @private
+  */
+  this.sleepEnabled_ = false;
+  /** how long the bodies of an island must be moving slowly before the island falls
+  * asleep, in seconds
+  * @type {number}
+  * @private
+  */
+  this.sleepTime_ = 0.5;
+  /** the speed below which a body is moving slowly
+  * @type {number}
+  * @private
+  */
+  this.sleepVelocity_ = 0.1;
+  /** the islands of bodies that are sleeping
+  * @type {!Array<!ContactSim.SleepingIsland_>}
+  * @private
+  */
+  this.sleepingIslands_ = [];
+  /** the awake bodies that are moving slowly
+  * @type {!Array<!Polygon>}
+  * @private
+  */
+  this.slowBodies_ = [];
+  /** the time when each of the slowBodies_ started moving slowly
+  * @type {!Array<number>}
+  * @private
+  */
+  this.slowTimes_ = [];
+  /** the contacts found in the most recent evaluate(), used to find islands
+  * @type {!Array<!RigidBodyCollision>}
+  * @private
+  */
+  this.recentContacts_ = [];
+  /** simulation time when sleeping bodies were last updated
+  * @type {number}
+  * @private
+  */
+  this.sleepUpdateTime_ = Util.NaN;
+  /**
+  * @type {!SleepStats}
+  * @private
+  */
+  this.sleepStats_ = new SleepStats();
+  /** the breakable Joints and Ropes at the most recent accepted state, see
+  * {@link #breakConnectors}
+  * @type {!Array<!(Joint|Rope)>}
+  * @private
+  */
+  this.breakable_ = [];
+  /** the contact force of each of the breakable Joints and Ropes at the most recent
+  * accepted state; for a Joint this is the combined force of the Joints at the same
+  * location
+  * @type {!Array<number>}
+  * @private
+  */
+  this.breakForces_ = [];
   // Need a special 'setter' because `setExtraAccel` takes an argument of
   // the enum type `ExtraAccel`, not of type `string`.
   this.addParameter(new ParameterString(this, RigidBodySim.en.EXTRA_ACCEL,
@@ -324,12 +453,25 @@ constructor(opt_name) {
       goog.bind(this.getExtraAccel, this),
       goog.bind(function(s) { this.setExtraAccel(ExtraAccel.stringToEnum(s)); }, this),
       ExtraAccel.getChoices(), ExtraAccel.getValues()));
+  this.addParameter(new ParameterBoolean(this, RigidBodySim.en.SLEEP_ENABLED,
+      RigidBodySim.i18n.SLEEP_ENABLED,
+      goog.bind(this.getSleepEnabled, this), goog.bind(this.setSleepEnabled, this)));
+  this.addParameter(new ParameterNumber(this, RigidBodySim.en.SLEEP_TIME,
+      RigidBodySim.i18n.SLEEP_TIME,
+      goog.bind(this.getSleepTime, this), goog.bind(this.setSleepTime, this)));
+  this.addParameter(new ParameterNumber(this, RigidBodySim.en.SLEEP_VELOCITY,
+      RigidBodySim.i18n.SLEEP_VELOCITY,
+      goog.bind(this.getSleepVelocity, this), goog.bind(this.setSleepVelocity, this))
+      .setSignifDigits(3));
 };
 
 /** @override  */
 toString_() {
   return Util.ADVANCED ? '' : ', extra_accel_: '+this.extra_accel_
       +', extraAccelTimeStep_: '+Util.NF(this.extraAccelTimeStep_)
+      +', sleepEnabled_: '+this.sleepEnabled_
+      +', sleepTime_: '+Util.NF(this.sleepTime_)
+      +', sleepVelocity_: '+Util.NF(this.sleepVelocity_)
       + super.toString_()
 };
 
@@ -377,17 +519,95 @@ getExtraAccelTimeStep() {
   return this.extraAccelTimeStep_;
 };
 
+/** Whether bodies that have come to rest can fall asleep. See the section about
+sleeping bodies above.
+@return {boolean} whether bodies can fall asleep
+*/
+getSleepEnabled() {
+  return this.sleepEnabled_;
+};
+
+/** Sets whether bodies that have come to rest can fall asleep. Turning this off wakes
+up all sleeping bodies. See the section about sleeping bodies above.
+@param {boolean} value whether bodies can fall asleep
+*/
+setSleepEnabled(value) {
+  if (this.sleepEnabled_ != value) {
+    this.sleepEnabled_ = value;
+    if (!value) {
+      this.clearSleep_();
+    }
+    this.broadcastParameter(RigidBodySim.en.SLEEP_ENABLED);
+  }
+};
+
+/** Returns the statistics about islands and sleeping bodies. The number of islands and
+bodies are as of the most recent step of the simulation.
+@return {!SleepStats} the statistics about islands and sleeping bodies
+*/
+getSleepStats() {
+  return this.sleepStats_;
+};
+
+/** Returns how long the bodies of an island must be moving slowly before the island
+falls asleep.
+@return {number} how long the bodies must be moving slowly, in seconds
+*/
+getSleepTime() {
+  return this.sleepTime_;
+};
+
+/** Sets how long the bodies of an island must be moving slowly before the island falls
+asleep.
+@param {number} value how long the bodies must be moving slowly, in seconds
+*/
+setSleepTime(value) {
+  this.sleepTime_ = value;
+  this.broadcastParameter(RigidBodySim.en.SLEEP_TIME);
+};
+
+/** Returns the speed below which a body is moving slowly enough to fall asleep. The
+speed of a body is the speed of its center of mass plus the speed due to rotation at
+{@link Polygon#getCentroidRadius}.
+@return {number} the speed below which a body is moving slowly
+*/
+getSleepVelocity() {
+  return this.sleepVelocity_;
+};
+
+/** Sets the speed below which a body is moving slowly enough to fall asleep. The
+speed of a body is the speed of its center of mass plus the speed due to rotation at
+{@link Polygon#getCentroidRadius}.
+@param {number} value the speed below which a body is moving slowly
+*/
+setSleepVelocity(value) {
+  this.sleepVelocity_ = value;
+  this.broadcastParameter(RigidBodySim.en.SLEEP_VELOCITY);
+};
+
 /** @override */
 cleanSlate() {
+  this.clearSleep_();
   super.cleanSlate();
   this.connectors_ = [];
+  this.motors_ = [];
   this.computeForces_ = new ComputeForces('C',  this.simRNG_);
 };
 
+/** Also wakes up all sleeping bodies and forgets about slow bodies, see the section
+about sleeping bodies above.
+* @override
+*/
+clearHistory() {
+  this.clearSleep_();
+  super.clearHistory();
+};
+
 /** @override */
 reset() {
   // prevent the Simulation.RESET message being broadcast by sub-class
   var saveBroadcast = this.setBroadcast(false);
+  this.clearSleep_();
   super.reset();
   this.setBroadcast(saveBroadcast);
   // ensure that joints are properly connected.
@@ -395,11 +615,13 @@ reset() {
   this.broadcast(new GenericEvent(this, Simulation.RESET));
 };
 
-/** Removes the Polygon from the simulation, and any Connectors that were attached
-* to it.
+/** Removes the Polygon from the simulation, and any Connectors or Motors that were
+* attached to it.
 * @param {!Polygon} body  Polygons to remove from the simulation
 */
 removeBody(body) {
+  // the removed body might support a sleeping island
+  this.wakeAll_();
   super.removeBody(body);
   // remove any Connectors attached to the removed body
   goog.array.forEachRight(this.connectors_,
@@ -408,6 +630,12 @@ removeBody(body) {
         this.removeConnector(connect);
       }
     }, this);
+  goog.array.forEachRight(this.motors_,
+    function(motor, index, array) {
+      if (motor.getBody1() == body || motor.getBody2() == body) {
+        this.removeMotor(motor);
+      }
+    }, this);
 };
 
 /** Adds a Connector to the list of active Connectors and to the
@@ -445,6 +673,8 @@ addConnector(connector, follow) {
   } else {
     this.connectors_.push(connector);
   }
+  this.wakeIsland_(connector.getBody1());
+  this.wakeIsland_(connector.getBody2());
   this.getSimList().add(connector);
 };
 
@@ -465,9 +695,131 @@ also a SimObject, then removes it from the {@link com.SimList}.
 */
 removeConnector(connector) {
   goog.array.remove(this.connectors_, connector);
+  this.wakeIsland_(connector.getBody1());
+  this.wakeIsland_(connector.getBody2());
   this.getSimList().remove(connector);
 };
 
+/** Removes any connectors whose force has exceeded their break force. In addition to
+the Springs removed by the super class, this removes each {@link Joint} or {@link Rope}
+whose contact force is more than its break force. The contact forces are those recorded
+by {@link #evaluate} at the most recent accepted state, which is where each step of the
+DiffEqSolver starts; the forces found at the trial states during the step are not
+used. The force on a Joint is the total force of the Joints at the same location
+between the same bodies, so that a double joint breaks as a unit when the magnitude of
+the combined force is more than the break force. Broadcasts a
+{@link RigidBodySim#CONNECTOR_BROKEN} event for each connector that is removed.
+* @override
+*/
+breakConnectors() {
+  super.breakConnectors();
+  goog.array.forEach(this.breakable_, function(connector, i) {
+    if (this.breakForces_[i] > connector.getBreakForce()) {
+      this.breakConnector_(connector);
+    }
+  }, this);
+  this.breakable_ = [];
+  this.breakForces_ = [];
+};
+
+/** Records the contact force of each Joint and Rope that has a break force, for use
+by {@link #breakConnectors}. The force of a Joint is the combined force of the Joints
+at the same location between the same bodies.
+@return {undefined}
+@private
+*/
+recordBreakForces_() {
+  this.breakable_ = /** @type {!Array<!(Joint|Rope)>} */(goog.array.filter(
+      this.connectors_, function(connector) {
+        return connector instanceof Joint && isFinite(connector.getBreakForce())
+            || connector instanceof Rope && isFinite(connector.getBreakForce());
+      }));
+  this.breakForces_ = goog.array.map(this.breakable_, function(connector) {
+    if (connector instanceof Joint) {
+      return goog.array.reduce(this.jointsAt_(connector), function(sum, joint) {
+          return sum.add(joint.getForceWorld());
+        }, Vector.ORIGIN).length();
+    } else {
+      return connector.getForce();
+    }
+  }, this);
+};
+
+/** Removes the connector because it has broken, and broadcasts a
+{@link RigidBodySim#CONNECTOR_BROKEN} event. If the connector is a Joint, then also
+removes the other Joints at the same location between the same bodies.
+@param {!Connector} connector the connector that has broken
+@return {!Array<!Connector>} the connectors that were removed
+@private
+*/
+breakConnector_(connector) {
+  if (!goog.array.contains(this.connectors_, connector)) {
+    // already removed along with another Joint
+    return [];
+  }
+  /** @type {!Array<!Connector>} */
+  var broken = connector instanceof Joint ? this.jointsAt_(connector) : [connector];
+  goog.array.forEach(broken, function(c) {
+    this.removeConnector(c);
+    this.broadcast(new GenericEvent(this, RigidBodySim.CONNECTOR_BROKEN, c));
+  }, this);
+  return broken;
+};
+
+/** Returns the Joints at the same location between the same bodies as the given Joint,
+including the given Joint. For a double joint these are the two Joints.
+@param {!Joint} joint the Joint to find the location of
+@return {!Array<!Joint>} the Joints at the same location as the given Joint
+@private
+*/
+jointsAt_(joint) {
+  var p = joint.getPosition1();
+  /** @type {!Array<!Joint>} */
+  var joints = [joint];
+  goog.array.forEach(this.connectors_, function(c) {
+    if (c != joint && c instanceof Joint
+        && c.getBody1() == joint.getBody1()
+        && c.getBody2() == joint.getBody2()
+        && c.getPosition1().nearEqual(p)) {
+      joints.push(c);
+    }
+  });
+  return joints;
+};
+
+/** Wakes up the sleeping bodies involved in colliding collisions, and handles the
+collisions as in the super class. Then removes each {@link Joint} or {@link Rope} whose
+collision impulse is more than its break impulse. Collisions of removed connectors are
+also removed from the list of collisions. Broadcasts a
+{@link RigidBodySim#CONNECTOR_BROKEN} event for each connector that is removed.
+* @override
+*/
+handleCollisions(collisions, opt_totals) {
+  var rbcs = /** @type !Array<!RigidBodyCollision>*/(collisions);
+  goog.array.forEach(rbcs, function(c) {
+    if (c.isColliding()) {
+      this.wakeIsland_(c.primaryBody);
+      this.wakeIsland_(c.normalBody);
+    }
+  }, this);
+  var impulse = super.handleCollisions(collisions, opt_totals);
+  /** @type {!Array<!Connector>} */
+  var broken = [];
+  goog.array.forEach(rbcs, function(c) {
+    var connector = c.getConnector();
+    if ((connector instanceof Joint || connector instanceof Rope)
+        && Math.abs(c.impulse) > connector.getBreakImpulse()) {
+      goog.array.extend(broken, this.breakConnector_(connector));
+    }
+  }, this);
+  if (broken.length > 0) {
+    goog.array.removeAllIf(rbcs, function(c) {
+      return goog.array.contains(broken, c.getConnector());
+    });
+  }
+  return impulse;
+};
+
 /**  Returns the list of active Connectors.
 @return {!Array<!Connector>} the list of active Connectors
 */
@@ -475,6 +827,41 @@ getConnectors() {
   return goog.array.clone(this.connectors_);
 };
 
+/** Adds a Motor which drives the relative rotation of two RigidBodys. The torques of
+the Motors are calculated along with the contact forces, see the section about Motors
+above.
+The RigidBodys of the Motor must already have been added to this ContactSim,
+unless it is a Scrim.
+@param {!Motor} motor the Motor to add
+@throws {!Error} if RigidBodys of the Motor have not been added to this ContactSim
+*/
+addMotor(motor) {
+  if (goog.array.contains(this.motors_, motor)) {
+    return;
+  }
+  goog.array.forEach([motor.getBody1(), motor.getBody2()], function(b) {
+    if (!(goog.array.contains(this.bods_, b) || b instanceof Scrim)) {
+      throw new Error('body not found '+b);
+    }
+  }, this);
+  this.motors_.push(motor);
+};
+
+/** Returns the list of Motors.
+@return {!Array<!Motor>} the list of Motors
+*/
+getMotors() {
+  return goog.array.clone(this.motors_);
+};
+
+/** Removes the Motor from the list of Motors.
+@param {!Motor} motor the Motor to remove
+*/
+removeMotor(motor) {
+  goog.array.remove(this.motors_, motor);
+  motor.setTorque(0);
+};
+
 /** Aligns all Connectors. This is generally done only during set up of initial
 conditions of the simulation, or whenever a Connector is being created.
 
@@ -495,6 +882,205 @@ alignConnectors() {
   }
 };
 
+/** Wakes up the sleeping island that the body belongs to, and sets the simulation
+variables to match the body state.
+* @override
+*/
+initializeFromBody(body) {
+  this.wakeIsland_(body);
+  super.initializeFromBody(body);
+};
+
+/** Puts to sleep the islands of bodies that have come to rest, see the section about
+sleeping bodies above. This is done only for accepted states, because a trial state
+during a step might be discarded.
+* @override
+*/
+acceptStep() {
+  super.acceptStep();
+  if (this.sleepEnabled_) {
+    this.updateSleeping_();
+  }
+};
+
+/** Puts to sleep each island whose bodies have all been moving slowly for the sleep
+time, see the section about sleeping bodies above. Does nothing when the simulation time
+has not changed since this was last done.
+@return {undefined}
+@private
+*/
+updateSleeping_() {
+  var time = this.getTime();
+  if (time == this.sleepUpdateTime_) {
+    return;
+  }
+  this.sleepUpdateTime_ = time;
+  /** @type {!Array<!Polygon>} */
+  var awake = goog.array.filter(this.bods_, ContactSim.isAwake_);
+  // find how long each slow body has been moving slowly
+  /** @type {!Array<!Polygon>} */
+  var slowBodies = [];
+  /** @type {!Array<number>} */
+  var slowTimes = [];
+  goog.array.forEach(awake, function(body) {
+    if (this.isSlow_(body)) {
+      var idx = goog.array.indexOf(this.slowBodies_, body);
+      slowBodies.push(body);
+      slowTimes.push(idx < 0 ? time : this.slowTimes_[idx]);
+    }
+  }, this);
+  this.slowBodies_ = slowBodies;
+  this.slowTimes_ = slowTimes;
+  var islands = UtilityCollision.findIslands(awake, this.recentContacts_);
+  goog.array.removeAllIf(islands, function(island) {
+    var asleep = goog.array.every(island, function(body) {
+      var idx = goog.array.indexOf(this.slowBodies_, body);
+      return idx > -1 && time - this.slowTimes_[idx] >= this.sleepTime_;
+    }, this);
+    if (asleep) {
+      goog.array.forEach(island, function(body) {
+        body.setSleeping(true);
+        var idx = goog.array.indexOf(this.slowBodies_, body);
+        goog.array.removeAt(this.slowBodies_, idx);
+        goog.array.removeAt(this.slowTimes_, idx);
+      }, this);
+      this.sleepingIslands_.push({bodies: island, accel: []});
+      this.sleepStats_.numSleeps++;
+    }
+    return asleep;
+  }, this);
+  this.sleepStats_.update(islands,
+      goog.array.map(this.sleepingIslands_, function(s) { return s.bodies; }));
+};
+
+/** Wakes up each sleeping island whose bodies are moving, or whose acceleration due to
+external forces has changed since the island fell asleep. Then sets the rate of change
+of the variables of the sleeping bodies to zero so that they do not move. The
+acceleration of the bodies is remembered the first time this is called after the island
+falls asleep.
+@param {!Array<number>} change  array of change rates for each variable, with the
+    external forces applied
+@private
+*/
+checkSleepingIslands_(change) {
+  goog.array.forEachRight(this.sleepingIslands_, function(island) {
+    /** @type {!Array<number>} */
+    var accel = [];
+    goog.array.forEach(island.bodies, function(body) {
+      var idx = body.getVarsIndex();
+      accel.push(change[idx + RigidBodySim.VX_], change[idx + RigidBodySim.VY_],
+          change[idx + RigidBodySim.VW_]);
+    });
+    if (island.accel.length == 0) {
+      island.accel = accel;
+    }
+    var wake = goog.array.some(island.bodies, function(body) {
+          return !this.isSlow_(body);
+        }, this)
+        || goog.array.some(accel, function(a, i) {
+          return Util.veryDifferent(a, island.accel[i], 1E-10);
+        });
+    if (wake) {
+      this.wakeIsland_(island.bodies[0]);
+    } else {
+      goog.array.forEach(island.bodies, function(body) {
+        var idx = body.getVarsIndex();
+        for (var k=0; k<6; k++) {
+          change[idx + k] = 0;  // sleeping bodies don't move
+        }
+      });
+    }
+  }, this);
+};
+
+/** Wakes up the sleeping islands of sleeping bodies that are touching or colliding
+with an awake body. Only contacts and collisions are considered, not imminent
+collisions.
+@param {!Array<!RigidBodyCollision>} collisions the contacts and collisions found
+@return {boolean} whether any island was woken up
+@private
+*/
+wakeTouchedIslands_(collisions) {
+  if (this.sleepingIslands_.length == 0) {
+    return false;
+  }
+  var woke = false;
+  goog.array.forEach(collisions, function(c) {
+    if (c.contact() || c.illegalState() || c.isColliding()) {
+      // the other body must be awake, see findCollisions
+      woke = this.wakeIsland_(c.primaryBody) || woke;
+      woke = this.wakeIsland_(c.normalBody) || woke;
+    }
+  }, this);
+  return woke;
+};
+
+/** Wakes up the sleeping island that contains the body.
+@param {!RigidBody} body the body to wake up
+@return {boolean} whether a sleeping island was woken up
+@private
+*/
+wakeIsland_(body) {
+  if (!body.isSleeping()) {
+    return false;
+  }
+  var island = goog.array.find(this.sleepingIslands_, function(s) {
+    return goog.array.contains(s.bodies, body);
+  });
+  if (island == null) {
+    return false;
+  }
+  goog.array.remove(this.sleepingIslands_, island);
+  goog.array.forEach(island.bodies, function(b) {
+    b.setSleeping(false);
+  });
+  this.sleepStats_.numWakes++;
+  return true;
+};
+
+/** Wakes up all sleeping islands.
+@return {undefined}
+@private
+*/
+wakeAll_() {
+  while (this.sleepingIslands_.length > 0) {
+    this.wakeIsland_(this.sleepingIslands_[0].bodies[0]);
+  }
+};
+
+/** Wakes up all sleeping islands, and forgets about slow bodies and statistics.
+@return {undefined}
+@private
+*/
+clearSleep_() {
+  this.wakeAll_();
+  this.slowBodies_ = [];
+  this.slowTimes_ = [];
+  this.recentContacts_ = [];
+  this.sleepUpdateTime_ = Util.NaN;
+  this.sleepStats_.clear();
+};
+
+/** Whether the body is moving slower than the sleep velocity.
+@param {!Polygon} body
+@return {boolean} whether the body is moving slower than the sleep velocity
+@private
+*/
+isSlow_(body) {
+  var speed = body.getVelocity().length()
+      + Math.abs(body.getAngularVelocity()) * body.getCentroidRadius();
+  return speed < this.sleepVelocity_;
+};
+
+/** Whether the body can move: it has finite mass and is not sleeping.
+@param {!RigidBody} body
+@return {boolean} whether the body can move
+@private
+*/
+static isAwake_(body) {
+  return isFinite(body.getMass()) && !body.isSleeping();
+};
+
 /** For debugging, returns the number of contacts in the biggest subset of contacts
 that are all interrelated.
 @return {number} number of contacts in the biggest subset of contacts that
@@ -513,10 +1099,19 @@ evaluate(vars, change, timeStep) {
   // to the resulting current location & orientation,
   // so that we can figure out the points of resting contact.
   super.evaluate(vars, change, timeStep);
+  if (this.sleepingIslands_.length > 0) {
+    this.checkSleepingIslands_(change);
+  }
   // Note that findCollisions does not look at vars[], only at object positions.
   /** @type {!Array<!RigidBodyCollision>} */
   var contactsFound = [];
   this.findCollisions(contactsFound, vars, timeStep);
+  // When an awake body touches a sleeping body, wake up the sleeping island and find
+  // the contacts again to include the bodies that were woken up.
+  while (this.wakeTouchedIslands_(contactsFound)) {
+    contactsFound = [];
+    this.findCollisions(contactsFound, vars, timeStep);
+  }
   // If there are penetrating collisions, these must be handled before
   // doing contact calculations.
   var ccount = goog.array.count(contactsFound, function(c) {
@@ -526,6 +1121,17 @@ evaluate(vars, change, timeStep) {
     return contactsFound;
   }
   this.removeNonContacts(contactsFound);
+  if (this.sleepEnabled_) {
+    this.recentContacts_ = goog.array.clone(contactsFound);
+  }
+  goog.array.forEach(this.motors_, function(m) { m.setTorque(0); });
+  goog.array.forEach(this.connectors_, function(connector) {
+    if (connector instanceof Joint || connector instanceof Rope) {
+      connector.setForce(0);
+    }
+  });
+  /** @type {!Array<!Motor>} */
+  var motors = goog.array.filter(this.motors_, function(m) { return m.isActive(); });
   var startN = contactsFound.length;  // starting number of contacts
   var loopCtr = 0;
   while (contactsFound.length > 0) {
@@ -542,7 +1148,8 @@ evaluate(vars, change, timeStep) {
           UtilityCollision.subsetCollisions1(contactsFound) : contactsFound;
     if (subset.length > maxContacts)
       maxContacts = subset.length;
-    this.calcContactForces(vars, change, subset);
+    this.calcContactForces(vars, change, subset,
+        ContactSim.removeMotors_(subset, motors));
     if (subset.length == contactsFound.length) {
       // all contacts have been treated.
       break;
@@ -554,7 +1161,15 @@ evaluate(vars, change, timeStep) {
       }
     }
   }
+  if (motors.length > 0) {
+    // these Motors turn bodies that have no contacts
+    this.calcMotorTorques(vars, change, [], motors);
+  }
   this.numContacts_ = maxContacts;
+  if (vars[this.varsList_.timeIndex()] == this.getTime()) {
+    // this is the accepted state that a step of the DiffEqSolver starts from
+    this.recordBreakForces_();
+  }
   if (Util.DEBUG && 1 == 1) this.printNumContacts();
   if (Util.DEBUG && 0 == 1) this.myPrint('*** EXIT CONTACTSIM.EVALUATE');
   return null;
@@ -564,11 +1179,16 @@ evaluate(vars, change, timeStep) {
 * @param {!Array<number>} vars the current array of state variables (input)
 * @param {!Array<number>} change  array of change rates for each variable (output)
 * @param {!Array<!RigidBodyCollision>} subset
+* @param {!Array<!Motor>} motors the Motors that turn bodies of the subset
 * @private
 */
-calcContactForces(vars, change, subset) {
+calcContactForces(vars, change, subset, motors) {
   if (0 == 1 && Util.DEBUG)
     UtilEngine.printList('subset size='+subset.length, subset);
+  if (motors.length > 0) {
+    // the Motor torques are then included in the b vector
+    this.calcMotorTorques(vars, change, subset, motors);
+  }
   /** @type {boolean} */
   var pileDebug = false; //Math.abs(getTime() - 52.2250000) < 2e-7;
   // ===================== calculate A matrix & b vector =====================
@@ -603,11 +1223,18 @@ calcContactForces(vars, change, subset) {
   if (Util.DEBUG && ContactSim.SHOW_CONTACTS && subset.length > 0) {
     this.myPrint('found '+subset.length+' contacts');
   }
+  // ===================== compute friction forces =====================
+  /** @type {!Array<number>} */
+  var ft = Util.newNumberArray(b.length);
+  if (goog.array.some(subset, ContactSim.hasFriction_)) {
+    this.calcFrictionForces(subset, A, f, b, ft, change, time);
+  }
   // apply the calculated contact forces
   for (var i=0, len=subset.length; i<len; i++) {
     /** @type {!RigidBodyCollision} */
     var c = subset[i];
     this.applyContactForce(c, f[i], change);
+    this.applyFrictionForce(c, ft[i], change);
     if (Util.DEBUG && ContactSim.SHOW_CONTACTS) {
       this.myPrint('contact['+i+']= '+c);
     }
@@ -617,6 +1244,214 @@ calcContactForces(vars, change, subset) {
   }
 };
 
+/** Calculates the torques of the Motors, and applies them to the bodies. The Motors
+are added as extra rows of the matrix equation for the given contacts, so that the
+torques take into account the contact and Joint forces. A Motor that would exceed its
+maximum torque is set to apply the maximum torque, and the remaining contacts and
+Motors are solved again. The contact forces found here are not applied; they are found
+again afterwards with the Motor torques included in the `b` vector.
+* @param {!Array<number>} vars the current array of state variables (input)
+* @param {!Array<number>} change  array of change rates for each variable
+*    (input and output)
+* @param {!Array<!RigidBodyCollision>} contacts the set of contacts
+* @param {!Array<!Motor>} motors the Motors that turn bodies of the contacts
+* @private
+*/
+calcMotorTorques(vars, change, contacts, motors) {
+  var n = contacts.length;
+  var nm = motors.length;
+  var i, j, k;
+  // ===================== A matrix & b vector with Motor rows =====================
+  /** @type {!Array<!Float64Array>} */
+  var A = UtilEngine.newEmptyMatrix(n + nm, n + nm);
+  /** @type {!Array<!Float64Array>} */
+  var Acc = ContactSim.calculate_a_matrix(contacts);
+  for (i=0; i<n; i++) {
+    /** @type {!RigidBodyCollision} */
+    var ci = contacts[i];
+    for (j=0; j<n; j++) {
+      A[i][j] = Acc[i][j];
+    }
+    for (k=0; k<nm; k++) {
+      // acceleration at contact i from unit torque of Motor k
+      A[i][n+k] = ContactSim.torqueInfluence_(ci.primaryBody, ci.getU1(), ci.normal,
+          motors[k])
+          - ContactSim.torqueInfluence_(ci.normalBody, ci.getU2(), ci.normal,
+          motors[k]);
+      // relative angular acceleration of Motor k from unit force at contact i
+      A[n+k][i] = ContactSim.angularInfluence_(motors[k].getBody2(), ci)
+          - ContactSim.angularInfluence_(motors[k].getBody1(), ci);
+    }
+  }
+  for (k=0; k<nm; k++) {
+    for (j=0; j<nm; j++) {
+      A[n+k][n+j] = ContactSim.motorInfluence_(motors[k].getBody2(), motors[j])
+          - ContactSim.motorInfluence_(motors[k].getBody1(), motors[j]);
+    }
+  }
+  /** @type {!Array<number>} */
+  var b = this.calculate_b_vector(contacts, change, vars);
+  for (k=0; k<nm; k++) {
+    var m = motors[k];
+    var w = this.angularVelocity_(m.getBody2(), vars)
+        - this.angularVelocity_(m.getBody1(), vars);
+    var accel = this.angularVelocity_(m.getBody2(), change)
+        - this.angularVelocity_(m.getBody1(), change);
+    // desired acceleration reaches the target speed over the time step
+    b.push(accel - (m.getSpeed() - w)/this.extraAccelTimeStep_);
+  }
+  // ===================== find torques =====================
+  var time = vars[this.varsList_.timeIndex()];
+  /** @type {!Array<number>} */
+  var torque = Util.newNumberArray(nm);
+  /** @type {!Array<boolean>} */
+  var limited = goog.array.repeat(false, nm);
+  while (true) {
+    // solve for the contacts and Motors that are not limited
+    /** @type {!Array<number>} */
+    var rows = goog.array.range(n + nm);
+    goog.array.removeAllIf(rows, function(r) { return r >= n && limited[r - n]; });
+    var nr = rows.length;
+    /** @type {!Array<!Float64Array>} */
+    var A2 = UtilEngine.newEmptyMatrix(nr, nr);
+    /** @type {!Array<number>} */
+    var b2 = Util.newNumberArray(nr);
+    /** @type {!Array<boolean>} */
+    var joint = goog.array.map(rows, function(r) {
+      return r >= n || contacts[r].joint;
+    });
+    for (i=0; i<nr; i++) {
+      for (j=0; j<nr; j++) {
+        A2[i][j] = A[rows[i]][rows[j]];
+      }
+      b2[i] = b[rows[i]];
+      for (k=0; k<nm; k++) {
+        if (limited[k]) {
+          b2[i] += A[rows[i]][n+k]*torque[k];
+        }
+      }
+    }
+    /** @type {!Array<number>} */
+    var f = Util.newNumberArray(nr);
+    var error = this.computeForces_.compute_forces(A2, f, b2, joint, false, time);
+    var tol = 1e-4;
+    if (error !== -1 || !this.computeForces_.checkAccel(tol)) {
+      this.reportError(error, tol, A2, f, b2, joint);
+    }
+    // find the Motor that most exceeds its maximum torque
+    var worst = -1;
+    var excess = 0;
+    for (i=0; i<nr; i++) {
+      if (rows[i] >= n) {
+        k = rows[i] - n;
+        torque[k] = f[i];
+        var e = Math.abs(f[i]) - motors[k].getMaxTorque();
+        if (e > excess) {
+          excess = e;
+          worst = k;
+        }
+      }
+    }
+    if (worst < 0) {
+      break;
+    }
+    limited[worst] = true;
+    torque[worst] = (torque[worst] > 0 ? 1 : -1) * motors[worst].getMaxTorque();
+  }
+  // ===================== apply torques =====================
+  for (k=0; k<nm; k++) {
+    this.applyMotorTorque(motors[k], torque[k], change);
+  }
+};
+
+/** Calculates Coulomb friction forces at the contacts, and recalculates the normal
+contact forces to include the effect of the friction forces.
+
+The friction force at each contact tries to bring the tangential velocity at the
+contact point to zero by the end of the time step, similar to the extra acceleration
+used for normal forces (see {@link #setExtraAccel}). The magnitude of the friction force
+is limited to the coefficient of friction times the normal force. Those forces are found
+with {@link ComputeForces#compute_friction}.
+
+A contact is *sliding* when the tangential velocity at the contact point is more than
+{@link #STICKING_VELOCITY}, in which case the coefficient of kinetic friction is used.
+Otherwise the contact is *sticking*, and the coefficient of static friction is used.
+A sliding contact usually needs more than the limiting force to stop within a time
+step, so the friction force then opposes the sliding velocity with magnitude equal to
+the coefficient of kinetic friction times the normal force.
+
+Because the friction forces depend on the normal forces and vice versa, we alternate
+between calculating friction forces and normal forces for {@link #FRICTION_PASSES}
+passes. The derivative of the tangent vector is ignored, which is an approximation for
+contacts involving a rotating or curved edge.
+
+* @param {!Array<!RigidBodyCollision>} subset the set of contacts
+* @param {!Array<!Float64Array>} A the matrix for normal contact forces
+* @param {!Array<number>} f the normal contact forces (input and output)
+* @param {!Array<number>} b the b vector for normal contact forces
+* @param {!Array<number>} ft the friction forces (output)
+* @param {!Array<number>} change  array of change rates for each variable
+* @param {number} time  the current time, used only for debugging
+* @private
+*/
+calcFrictionForces(subset, A, f, b, ft, change, time) {
+  var n = subset.length;
+  /** @type {!Array<boolean>} */
+  var joint = goog.array.map(subset, function(c) { return c.joint; });
+  // coefficient of friction at each contact
+  /** @type {!Array<number>} */
+  var mu = goog.array.map(subset, function(c) {
+    if (!ContactSim.hasFriction_(c)) {
+      return 0;
+    } else if (Math.abs(c.getSlidingVelocity()) > ContactSim.STICKING_VELOCITY) {
+      return c.getKineticFriction();
+    } else {
+      return Math.max(c.getStaticFriction(), c.getKineticFriction());
+    }
+  });
+  /** @type {!Array<!Float64Array>} */
+  var Att = ContactSim.calculate_influence_matrix(subset, true, true);
+  /** @type {!Array<!Float64Array>} */
+  var Atn = ContactSim.calculate_influence_matrix(subset, true, false);
+  /** @type {!Array<!Float64Array>} */
+  var Ant = ContactSim.calculate_influence_matrix(subset, false, true);
+  /** @type {!Array<number>} */
+  var bt = this.calculate_bt_vector(subset, change);
+  /** @type {!Array<number>} */
+  var bt2 = Util.newNumberArray(n);
+  /** @type {!Array<number>} */
+  var b2 = Util.newNumberArray(n);
+  /** @type {!Array<number>} */
+  var limit = Util.newNumberArray(n);
+  var i, j;
+  for (var pass=0; true; pass++) {
+    // ---------- friction forces based on current normal forces ----------
+    for (i=0; i<n; i++) {
+      limit[i] = f[i] > 0 ? mu[i]*f[i] : 0;
+      bt2[i] = bt[i];
+      for (j=0; j<n; j++) {
+        bt2[i] += Atn[i][j]*f[j];
+      }
+    }
+    this.computeForces_.compute_friction(Att, ft, bt2, limit);
+    if (pass >= ContactSim.FRICTION_PASSES) {
+      break;
+    }
+    // ---------- normal forces including effect of friction forces ----------
+    for (i=0; i<n; i++) {
+      b2[i] = b[i];
+      for (j=0; j<n; j++) {
+        b2[i] += Ant[i][j]*ft[j];
+      }
+    }
+    var error = this.computeForces_.compute_forces(A, f, b2, joint, false, time);
+    var tol = 1e-4;
+    if (error !== -1 || !this.computeForces_.checkAccel(tol)) {
+      this.reportError(error, tol, A, f, b2, joint);
+    }
+  }
+};
+
 /** Removes imminent collisions from the given set of contacts/collisions.
 * @param {!Array<!RigidBodyCollision>} contactsFound  the set of contacts/collisions
     to modify
@@ -658,6 +1493,13 @@ findCollisions(collisions, vars, stepSize) {
     var time = vars[this.varsList_.timeIndex()];
     connector.addCollision(rbcs, time, this.collisionAccuracy_);
   }
+  if (this.sleepingIslands_.length > 0) {
+    // sleeping bodies do not move, so no contact between them or with fixed bodies
+    goog.array.removeAllIf(rbcs, function(c) {
+      return !ContactSim.isAwake_(c.primaryBody)
+          && !ContactSim.isAwake_(c.normalBody);
+    });
+  }
   if (0 == 1 && Util.DEBUG) {
     var numFound = 0;
     for (i=0, len=rbcs.length; i<len; i++) {
@@ -770,6 +1612,215 @@ static calculate_a_matrix(contacts) {
   return a;
 };
 
+/** Returns matrix giving change in acceleration at each contact point resulting
+from a force applied at each contact point. This generalizes
+{@link #calculate_a_matrix} so that both the acceleration and the force can be along
+either the normal or the tangent vector (see {@link RigidBodyCollision#getTangent}) of
+the contact. This is used for calculating friction forces.
+
+Forces are applied at the contact point (the `R` vector). Tangential acceleration is
+measured at the contact point (the `R` vector), while normal acceleration is measured
+with the `U` vector as in {@link #calculate_a_matrix}.
+
+* @param {!Array<!RigidBodyCollision>} contacts the set of contacts
+* @param {boolean} tangentAccel true means acceleration is along the tangent vector,
+*     false means acceleration is along the normal vector
+* @param {boolean} tangentForce true means force is along the tangent vector,
+*     false means force is along the normal vector
+* @return {!Array<!Float64Array>} matrix where element `[i][j]` is change in
+*     acceleration at contact `i` from unit force at contact `j`
+* @package
+*/
+static calculate_influence_matrix(contacts, tangentAccel, tangentForce) {
+  var nc = contacts.length;
+  /** @type {!Array<!Float64Array>} */
+  var a = UtilEngine.newEmptyMatrix(nc, nc);
+  for (var i=0; i<nc; i++) {
+    /** @type {!RigidBodyCollision} */
+    var ci = contacts[i];
+    var di = tangentAccel ? ci.getTangent() : ci.normal;
+    var s1 = tangentAccel ? ci.getR1() : ci.getU1();
+    var s2 = tangentAccel ? ci.getR2() : ci.getU2();
+    for (var j=0; j<nc; j++) {
+      /** @type {!RigidBodyCollision} */
+      var cj = contacts[j];
+      var dj = tangentForce ? cj.getTangent() : cj.normal;
+      a[i][j] = ContactSim.influence_(ci.primaryBody, s1, di, cj, dj)
+          - ContactSim.influence_(ci.normalBody, s2, di, cj, dj);
+    }
+  }
+  return a;
+};
+
+/** Returns the acceleration of a point on a body, along a given direction, resulting
+from a unit force applied along direction `dj` at contact `cj`. The force is applied
+positively to the primary body of the contact, and negatively to the normal body.
+* @param {!RigidBody} body the body whose point is being accelerated
+* @param {!Vector} s vector from center of mass of body to the point
+* @param {!Vector} d direction of acceleration to measure
+* @param {!RigidBodyCollision} cj the contact where the force is applied
+* @param {!Vector} dj direction of the force
+* @return {number} the acceleration of the point along direction `d`
+* @private
+*/
+static influence_(body, s, d, cj, dj) {
+  var m = body.getMass();
+  if (!isFinite(m)) {
+    return 0;
+  }
+  var I = body.momentAboutCM();
+  var accel = 0;
+  for (var k=0; k<2; k++) {
+    var sign = k==0 ? 1 : -1;
+    if (body != (k==0 ? cj.primaryBody : cj.normalBody)) {
+      continue;
+    }
+    var r = k==0 ? cj.getR1() : cj.getR2();
+    // angular acceleration from torque = r x F
+    var alpha = sign*(r.getX()*dj.getY() - r.getY()*dj.getX())/I;
+    // linear acceleration of point is  F/m + alpha x s
+    accel += d.getX()*(sign*dj.getX()/m - alpha*s.getY());
+    accel += d.getY()*(sign*dj.getY()/m + alpha*s.getX());
+  }
+  return accel;
+};
+
+/** Returns the angular acceleration of a body resulting from a unit force at a
+contact. The force is applied positively to the primary body of the contact, and
+negatively to the normal body.
+* @param {!RigidBody} body the body whose angular acceleration is found
+* @param {!RigidBodyCollision} cj the contact where the force is applied
+* @return {number} the angular acceleration of the body
+* @private
+*/
+static angularInfluence_(body, cj) {
+  var m = body.getMass();
+  if (!isFinite(m)) {
+    return 0;
+  }
+  var alpha = 0;
+  for (var k=0; k<2; k++) {
+    if (body != (k==0 ? cj.primaryBody : cj.normalBody)) {
+      continue;
+    }
+    var r = k==0 ? cj.getU1() : cj.getU2();
+    var sign = k==0 ? 1 : -1;
+    alpha += sign*(r.getX()*cj.normal.getY() - r.getY()*cj.normal.getX());
+  }
+  return alpha/body.momentAboutCM();
+};
+
+/** Returns the angular velocity of a body from the given array of state variables; or
+the angular acceleration when given the array of change rates.
+* @param {!RigidBody} body the body
+* @param {!Array<number>} vars the array of state variables or change rates
+* @return {number} the angular velocity of the body, or zero for a fixed body
+* @private
+*/
+angularVelocity_(body, vars) {
+  if (!isFinite(body.getMass()) || !goog.array.contains(this.bods_, body)) {
+    return 0;
+  }
+  return vars[body.getVarsIndex() + RigidBodySim.VW_];
+};
+
+/** Returns the angular acceleration of a body resulting from a unit torque of a
+Motor. The torque is applied positively to the second body of the Motor, and
+negatively to the first body.
+* @param {!RigidBody} body the body whose angular acceleration is found
+* @param {!Motor} motor the Motor that applies the torque
+* @return {number} the angular acceleration of the body
+* @private
+*/
+static motorInfluence_(body, motor) {
+  if (!isFinite(body.getMass())) {
+    return 0;
+  }
+  var alpha = 0;
+  if (body == motor.getBody2()) {
+    alpha += 1;
+  }
+  if (body == motor.getBody1()) {
+    alpha -= 1;
+  }
+  return alpha/body.momentAboutCM();
+};
+
+/** Removes from the list the Motors that turn a moveable body of any of the contacts.
+* @param {!Array<!RigidBodyCollision>} contacts the set of contacts
+* @param {!Array<!Motor>} motors the list of Motors, the Motors found are removed
+* @return {!Array<!Motor>} the Motors that turn a body of the contacts
+* @private
+*/
+static removeMotors_(contacts, motors) {
+  /** @type {!Array<!Motor>} */
+  var found = goog.array.filter(motors, function(m) {
+    return goog.array.some(contacts, function(c) {
+      return goog.array.some([c.primaryBody, c.normalBody], function(body) {
+        return isFinite(body.getMass())
+            && (body == m.getBody1() || body == m.getBody2());
+      });
+    });
+  });
+  goog.array.forEach(found, function(m) { goog.array.remove(motors, m); });
+  return found;
+};
+
+/** Returns the acceleration of a point on a body, along a given direction, resulting
+from a unit torque of a Motor.
+* @param {!RigidBody} body the body whose point is being accelerated
+* @param {!Vector} s vector from center of mass of body to the point
+* @param {!Vector} d direction of acceleration to measure
+* @param {!Motor} motor the Motor that applies the torque
+* @return {number} the acceleration of the point along direction `d`
+* @private
+*/
+static torqueInfluence_(body, s, d, motor) {
+  var alpha = ContactSim.motorInfluence_(body, motor);
+  if (alpha == 0) {
+    return 0;
+  }
+  // linear acceleration of point is  alpha x s
+  return alpha*(-d.getX()*s.getY() + d.getY()*s.getX());
+};
+
+/** Calculates the tangential acceleration at each contact point resulting from
+external forces (like gravity, thrust, etc.), but not including contact forces. An
+extra acceleration is added so that the friction force will try to eliminate the
+tangential velocity over the time step given by {@link #setExtraAccelTimeStep}.
+* @param {!Array<!RigidBodyCollision>} contacts the set of contacts
+* @param {!Array<number>} change  array of change rates for each variable
+* @return {!Array<number>} the tangential acceleration at each contact point
+* @private
+*/
+calculate_bt_vector(contacts, change) {
+  var nc = contacts.length;
+  /** @type {!Array<number>} */
+  var b = Util.newNumberArray(nc);
+  for (var i=0; i<nc; i++) {
+    /** @type {!RigidBodyCollision} */
+    var c = contacts[i];
+    var t = c.getTangent();
+    for (var k=0; k<2; k++) {
+      var body = k==0 ? c.primaryBody : c.normalBody;
+      if (!isFinite(body.getMass())) {
+        continue;
+      }
+      var sign = k==0 ? 1 : -1;
+      var r = k==0 ? c.getR1() : c.getR2();
+      var idx = body.getVarsIndex();
+      var w = body.getAngularVelocity();
+      // A + a x R + w x (w x R) = (Ax - a Ry - w^2 Rx, Ay + a Rx - w^2 Ry, 0)
+      b[i] += sign*t.getX()*(change[idx+RigidBodySim.VX_]
+            - change[idx+RigidBodySim.VW_]*r.getY() - w*w*r.getX());
+      b[i] += sign*t.getY()*(change[idx+RigidBodySim.VY_]
+            + change[idx+RigidBodySim.VW_]*r.getX() - w*w*r.getY());
+    }
+    b[i] += c.getSlidingVelocity()/this.extraAccelTimeStep_;
+  }
+  return b;
+};
+
 /** Calculates the `b` vector which specifies how external forces (like gravity, thrust,
 etc) affect acceleration of contact points.
 
@@ -1041,6 +2092,12 @@ applyContactForce(c, f, change) {
     this.myPrint('contact force '+Util.NF5(f)+' '+c);
   }
   c.force = f;
+  var connector = c.getConnector();
+  if (connector instanceof Joint) {
+    connector.setForce(f);
+  } else if (connector instanceof Rope) {
+    connector.setForce(Math.abs(f));
+  }
   if (f==0) {
     return;
   }
@@ -1071,6 +2128,72 @@ applyContactForce(c, f, change) {
   }
 };
 
+/** Applies the torque of a Motor to its bodies: the torque is applied to the second
+body, and the opposite torque to the first body. Result is modification of the rigid
+body accelerations in the change vector.
+* @param {!Motor} motor the Motor
+* @param {number} torque the torque to apply to the second body
+* @param {!Array<number>} change  vector of rigid body accelerations
+* @private
+*/
+applyMotorTorque(motor, torque, change) {
+  motor.setTorque(torque);
+  for (var k=0; k<2; k++) {
+    var body = k==0 ? motor.getBody2() : motor.getBody1();
+    if (isFinite(body.getMass()) && goog.array.contains(this.bods_, body)) {
+      change[body.getVarsIndex() + RigidBodySim.VW_] +=
+          (k==0 ? torque : -torque)/body.momentAboutCM();
+    }
+  }
+};
+
+/** Applies a friction force at the contact point, along the tangent vector of the
+contact. Result is modification of the rigid body accelerations in the change vector.
+Also the Force objects are added to the SimList for display purposes when the 'show
+forces' flag is on. See {@link #applyContactForce}.
+
+* @param {!RigidBodyCollision} c  the contact point where the
+*    force is to be applied
+* @param {number} f  the magnitude of the friction force along the tangent vector
+* @param {!Array<number>} change  vector of rigid body accelerations
+* @private
+*/
+applyFrictionForce(c, f, change) {
+  c.frictionForce = f;
+  if (f==0) {
+    return;
+  }
+  var forceNum = 1;
+  var t = c.getTangent();
+  if (isFinite(c.primaryBody.getMass())) {
+    var f1 = new Force('friction_force'+forceNum+'_'+c.primaryBody.getName(),
+        c.primaryBody,
+        /*location=*/c.impact1, CoordType.WORLD,
+        /*direction=*/t.multiply(f), CoordType.WORLD);
+    forceNum++;
+    this.applyForce(change, f1);
+  }
+  if (isFinite(c.normalBody.getMass())) {
+    var impact2 = (c.impact2 == null) ? c.impact1 : c.impact2;
+    var f2 = new Force('friction_force'+forceNum+'_'+c.normalBody.getName(),
+        c.normalBody,
+        /*location=*/impact2,  CoordType.WORLD,
+        /*direction=*/t.multiply(-f), CoordType.WORLD);
+    this.applyForce(change, f2);
+  }
+};
+
+/** Whether friction should be calculated for the given contact. Joints and contacts
+generated by a Connector have no friction.
+* @param {!RigidBodyCollision} c
+* @return {boolean} true when friction should be calculated for the contact
+* @private
+*/
+static hasFriction_(c) {
+  return !c.joint && c.getConnector() == null &&
+      (c.getStaticFriction() > 0 || c.getKineticFriction() > 0);
+};
+
 /**
 * @param {number} error
 * @param {number} tol  tolerance used
@@ -1249,4 +2372,27 @@ ContactSim.SHOW_CONTACTS = false;
 */
 ContactSim.SHOW_NUM_CONTACTS = false;
 
+/** Tangential velocity at a contact point above which the contact is regarded as
+sliding, and so kinetic friction is applied instead of static friction.
+* @type {number}
+* @const
+*/
+ContactSim.STICKING_VELOCITY = 0.01;
+
+/** Number of times to recalculate normal contact forces to include the effect of
+friction forces. See {@link #calcFrictionForces}.
+* @type {number}
+* @const
+*/
+ContactSim.FRICTION_PASSES = 2;
+
+/** An island of bodies that are sleeping. The `accel` array holds the acceleration due
+to external forces of each body in the island -- horizontal, vertical and angular
+acceleration for each body in turn -- as found in the first `evaluate()` after the island
+fell asleep; it is empty until then.
+* @typedef {{bodies: !Array<!Polygon>, accel: !Array<number>}}
+* @private
+*/
+ContactSim.SleepingIsland_;
+
 exports = ContactSim;
@@ -0,0 +1,605 @@
+// Copyright 2016 Erik Neumann.  All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+goog.module('myphysicslab.lab.engine2D.FluidLaw');
+
+goog.require('goog.array');
+goog.require('goog.asserts');
+
+const AbstractSubject = goog.require('myphysicslab.lab.util.AbstractSubject');
+const CircularEdge = goog.require('myphysicslab.lab.engine2D.CircularEdge');
+const CoordType = goog.require('myphysicslab.lab.model.CoordType');
+const Force = goog.require('myphysicslab.lab.model.Force');
+const ForceLaw = goog.require('myphysicslab.lab.model.ForceLaw');
+const Observer = goog.require('myphysicslab.lab.util.Observer');
+const ParameterNumber = goog.require('myphysicslab.lab.util.ParameterNumber');
+const Polygon = goog.require('myphysicslab.lab.engine2D.Polygon');
+const SimList = goog.require('myphysicslab.lab.model.SimList');
+const SimObject = goog.require('myphysicslab.lab.model.SimObject');
+const Util = goog.require('myphysicslab.lab.util.Util');
+const Vector = goog.require('myphysicslab.lab.util.Vector');
+const Vertex = goog.require('myphysicslab.lab.engine2D.Vertex');
+
+/** Applies buoyancy and fluid drag forces to a set of Polygons that are in a fluid. The
+fluid fills the region below a horizontal surface line, see {@link #setSurface}.
+
+The set of Polygons can be specified with the {@link #addBody} method, or the FluidLaw
+can observe a SimList and automatically add all Polygons with finite mass.
+
+### Buoyancy
+
+The part of a Polygon that is below the surface is the *submerged area* `A`. The
+buoyant force is `density * gravity * A` upwards, and is applied at the center of the
+submerged area. Because the center of the submerged area is usually not the center of
+mass, the buoyant force also makes a floating body turn to a stable orientation. The
+submerged area is found from the outline of the Polygon, where each curved Edge is
+approximated by short straight lines.
+
+The buoyant force is conservative, so it has potential energy: the potential energy of
+a Polygon is `density * gravity * A * (surface - y)`, where `y` is the height of the
+center of the submerged area. This is the work needed to push the fluid out of the way.
+
+### Drag
+
+The drag forces act on the submerged part of a Polygon. Let `v` be the velocity of the
+center of the submerged area, and `w` the width of the submerged area perpendicular to
+`v`. The drag force is applied at the center of the submerged area and is the sum of
+
++ linear drag `-viscosity * w * v`
+
++ quadratic drag `-0.5 * density * dragCoefficient * w * |v| * v`
+
+The angular drag is a torque `-angularDrag * A * vw` where `vw` is the angular velocity
+of the Polygon.
+
+The drag forces do negative work which removes energy from the simulation.
+{@link RigidBodySim} keeps track of that work in a variable named `WORK_DONE` when a
+FluidLaw is added, and reports it with the EnergyInfo from
+{@link RigidBodySim#getEnergyInfo}. The rate at which the drag forces do work is found
+with {@link #getPower}.
+
+### Parameters Created
+
++ ParameterNumber named `SURFACE`, see {@link #setSurface}
+
++ ParameterNumber named `DENSITY`, see {@link #setDensity}
+
++ ParameterNumber named `GRAVITY`, see {@link #setGravity}
+
++ ParameterNumber named `VISCOSITY`, see {@link #setViscosity}
+
++ ParameterNumber named `DRAG_COEFFICIENT`, see {@link #setDragCoefficient}
+
++ ParameterNumber named `ANGULAR_DRAG`, see {@link #setAngularDrag}
+
+@implements {ForceLaw}
+@implements {Observer}
+*/
+class FluidLaw extends AbstractSubject {
+/**
+@param {number} surface vertical world coordinate of the surface of the fluid
+@param {number} density density of the fluid, which is mass per unit area
+@param {number} gravity magnitude of gravity, used for the buoyant force
+@param {!SimList=} opt_simList optional SimList to observe for when objects are added;
+    also adds all existing Polygons on that SimList.
+*/
+constructor(surface, density, gravity, opt_simList) {
+  var id = FluidLaw.NAME_ID++;
+  var nm = 'FLUID_LAW' + (id > 0 ? '_'+id : '');
+  super(nm);
+  /** vertical world coordinate of the surface of the fluid
+  * @type {number}
+  * @private
+  */
+  this.surface_ = surface;
+  /**
+  * @type {number}
+  * @private
+  */
+  this.density_ = density;
+  /**
+  * @type {number}
+  * @private
+  */
+  this.gravity_ = gravity;
+  /** linear drag coefficient
+  * @type {number}
+  * @private
+  */
+  this.viscosity_ = 0;
+  /** quadratic drag coefficient
+  * @type {number}
+  * @private
+  */
+  this.dragCoefficient_ = 0;
+  /** angular drag coefficient
+  * @type {number}
+  * @private
+  */
+  this.angularDrag_ = 0;
+  /** rate at which the drag forces were doing work at the last call to
+  * calculateForces
+  * @type {number}
+  * @private
+  */
+  this.power_ = 0;
+  /**
+  * @type {!Array<!Polygon>}
+  * @private
+  */
+  this.bods_ = [];
+  /** outline of each Polygon in body coords, one list of points for each path
+  * @type {!Array<!Array<!Array<!Vector>>>}
+  * @private
+  */
+  this.outlines_ = [];
+  /**
+  * @type {?SimList}
+  * @private
+  */
+  this.simList_ = null;
+  if (goog.isDefAndNotNull(opt_simList)) {
+    this.connect(opt_simList);
+  };
+  this.addParameter(new ParameterNumber(this, FluidLaw.en.SURFACE,
+      FluidLaw.i18n.SURFACE,
+      goog.bind(this.getSurface, this), goog.bind(this.setSurface, this))
+      .setLowerLimit(Util.NEGATIVE_INFINITY));
+  this.addParameter(new ParameterNumber(this, FluidLaw.en.DENSITY,
+      FluidLaw.i18n.DENSITY,
+      goog.bind(this.getDensity, this), goog.bind(this.setDensity, this))
+      .setSignifDigits(3));
+  this.addParameter(new ParameterNumber(this, FluidLaw.en.GRAVITY,
+      FluidLaw.i18n.GRAVITY,
+      goog.bind(this.getGravity, this), goog.bind(this.setGravity, this))
+      .setSignifDigits(4));
+  this.addParameter(new ParameterNumber(this, FluidLaw.en.VISCOSITY,
+      FluidLaw.i18n.VISCOSITY,
+      goog.bind(this.getViscosity, this), goog.bind(this.setViscosity, this))
+      .setSignifDigits(3));
+  this.addParameter(new ParameterNumber(this, FluidLaw.en.DRAG_COEFFICIENT,
+      FluidLaw.i18n.DRAG_COEFFICIENT,
+      goog.bind(this.getDragCoefficient, this),
+      goog.bind(this.setDragCoefficient, this))
+      .setSignifDigits(3));
+  this.addParameter(new ParameterNumber(this, FluidLaw.en.ANGULAR_DRAG,
+      FluidLaw.i18n.ANGULAR_DRAG,
+      goog.bind(this.getAngularDrag, this), goog.bind(this.setAngularDrag, this))
+      .setSignifDigits(3));
+};
+
+/** @override */
+toString() {
+  return Util.ADVANCED ? '' : this.toStringShort().slice(0, -1)
+      +', density: '+Util.NF5(this.density_)
+      +', gravity: '+Util.NF5(this.gravity_)
+      +', viscosity: '+Util.NF5(this.viscosity_)
+      +', dragCoefficient: '+Util.NF5(this.dragCoefficient_)
+      +', angularDrag: '+Util.NF5(this.angularDrag_)
+      +', bodies: '+this.bods_.length
+      + super.toString();
+};
+
+/** @override */
+toStringShort() {
+  return Util.ADVANCED ? '' :
+      super.toStringShort().slice(0, -1)
+      +', surface: '+Util.NF5(this.surface_)+'}';
+};
+
+/** @override */
+getClassName() {
+  return 'FluidLaw';
+};
+
+/** Adds any Polygons with finite mass among the given list of SimObjects.
+* @param {!Array<!SimObject>} bodies set of SimObjects to possibly add
+*/
+addBodies(bodies) {
+  goog.array.forEach(bodies, goog.bind(this.addBody, this));
+};
+
+/** Adds the SimObject to list of objects that FluidLaw applies forces to, but only
+* if it is a Polygon with positive finite mass.
+* @param {!SimObject} obj the SimObject to possibly add
+*/
+addBody(obj) {
+  if (!(obj instanceof Polygon) || goog.array.contains(this.bods_, obj)) {
+    return;
+  }
+  var m = obj.getMass();
+  if (m > 0 && isFinite(m)) {
+    this.bods_.push(obj);
+    this.outlines_.push(FluidLaw.outline_(obj));
+  }
+};
+
+/** @override */
+calculateForces() {
+  /** @type {!Array<!Force>} */
+  var forces = [];
+  this.power_ = 0;
+  goog.array.forEach(this.bods_, function(body, i) {
+    var sub = this.submerged_(body, this.outlines_[i]);
+    if (sub == null) {
+      return;
+    }
+    forces.push(new Force('buoyancy', body,
+        /*location=*/sub.center, CoordType.WORLD,
+        /*direction=*/new Vector(0, this.density_ * this.gravity_ * sub.area),
+        CoordType.WORLD));
+    var v = body.getVelocity(body.worldToBody(sub.center));
+    var vw = body.getAngularVelocity();
+    var speed = v.length();
+    var drag = Vector.ORIGIN;
+    if (speed > 0) {
+      var w = FluidLaw.width_(sub.points, new Vector(-v.getY(), v.getX()).divide(speed));
+      drag = v.multiply(-w * (this.viscosity_
+          + 0.5 * this.density_ * this.dragCoefficient_ * speed));
+    }
+    var torque = -this.angularDrag_ * sub.area * vw;
+    if (speed > 0 || torque != 0) {
+      forces.push(new Force('drag', body,
+          /*location=*/sub.center, CoordType.WORLD,
+          /*direction=*/drag, CoordType.WORLD, torque));
+      this.power_ += drag.dotProduct(v) + torque * vw;
+    }
+  }, this);
+  return forces;
+};
+
+/** Connect to the given SimList, so that the force applies to all Polygons in the
+SimList. Also adds all existing Polygons on that SimList.
+* @param {!SimList} simList  the SimList to connect with
+*/
+connect(simList) {
+  this.addBodies(simList.toArray());
+  simList.addObserver(this);
+  this.simList_ = simList;
+};
+
+/** @override */
+disconnect() {
+  if (this.simList_ != null) {
+    this.simList_.removeObserver(this);
+    this.simList_ = null;
+  }
+};
+
+/** Returns the angular drag coefficient.
+* @return {number} the angular drag coefficient
+*/
+getAngularDrag() {
+  return this.angularDrag_;
+};
+
+/** @override */
+getBodies() {
+  return goog.array.clone(this.bods_);
+};
+
+/** Returns the density of the fluid.
+* @return {number} the density of the fluid, which is mass per unit area
+*/
+getDensity() {
+  return this.density_;
+};
+
+/** Returns the quadratic drag coefficient.
+* @return {number} the quadratic drag coefficient
+*/
+getDragCoefficient() {
+  return this.dragCoefficient_;
+};
+
+/** Returns the magnitude of gravity used for the buoyant force.
+* @return {number} the magnitude of gravity
+*/
+getGravity() {
+  return this.gravity_;
+};
+
+/** @override */
+getPotentialEnergy() {
+  var pe = 0;
+  goog.array.forEach(this.bods_, function(body, i) {
+    var sub = this.submerged_(body, this.outlines_[i]);
+    if (sub != null) {
+      pe += this.density_ * this.gravity_ * sub.area
+          * (this.surface_ - sub.center.getY());
+    }
+  }, this);
+  return pe;
+};
+
+/** Returns the rate at which the drag forces were doing work at the last call to
+{@link #calculateForces}. This is zero or negative because drag removes energy.
+* @return {number} the rate at which the drag forces do work
+*/
+getPower() {
+  return this.power_;
+};
+
+/** Returns the area of the given Polygon that is below the surface of the fluid.
+* @param {!Polygon} body the Polygon of interest
+* @return {number} the submerged area of the Polygon
+*/
+getSubmergedArea(body) {
+  var sub = this.submerged_(body, FluidLaw.outline_(body));
+  return sub == null ? 0 : sub.area;
+};
+
+/** Returns the vertical world coordinate of the surface of the fluid.
+* @return {number} the vertical world coordinate of the surface of the fluid
+*/
+getSurface() {
+  return this.surface_;
+};
+
+/** Returns the linear drag coefficient.
+* @return {number} the linear drag coefficient
+*/
+getViscosity() {
+  return this.viscosity_;
+};
+
+/** @override */
+observe(event) {
+  var obj = /** @type {!SimObject} */ (event.getValue());
+  if (event.nameEquals(SimList.OBJECT_ADDED)) {
+    this.addBody(obj);
+  } else if (event.nameEquals(SimList.OBJECT_REMOVED)) {
+    var idx = goog.array.indexOf(this.bods_, obj);
+    if (idx > -1) {
+      goog.array.removeAt(this.bods_, idx);
+      goog.array.removeAt(this.outlines_, idx);
+    }
+    goog.asserts.assert( !goog.array.contains(this.bods_, obj));
+  }
+};
+
+/** Returns the outline of the Polygon in body coordinates, as a list of points for
+each path of the Polygon. Each curved Edge is approximated by short straight lines.
+* @param {!Polygon} body the Polygon
+* @return {!Array<!Array<!Vector>>} list of points for each path of the Polygon
+* @private
+*/
+static outline_(body) {
+  /** @type {!Array<!Array<!Vector>>} */
+  var paths = [];
+  /** @type {!Array<!Vector>} */
+  var path = [];
+  /** @type {?Vertex} */
+  var prev = null;
+  goog.array.forEach(body.getEdges(), function(e) {
+    var v1 = e.getVertex1();
+    if (prev != null && prev != v1) {
+      // this Edge starts a new path
+      paths.push(path);
+      path = [];
+    }
+    prev = e.getVertex2();
+    var p1 = v1.locBody();
+    if (e instanceof CircularEdge) {
+      var center = e.getCenterBody();
+      var a1 = p1.subtract(center).getAngle();
+      var sweep = e.getVertex2().locBody().subtract(center).getAngle() - a1;
+      // the arc goes from vertex1 to vertex2, in the direction of the arc
+      if (e.isClockwise()) {
+        while (sweep >= 0) {
+          sweep -= 2*Math.PI;
+        }
+      } else {
+        while (sweep <= 0) {
+          sweep += 2*Math.PI;
+        }
+      }
+      var n = Math.ceil(Math.abs(sweep) / FluidLaw.ARC_STEP);
+      for (var k=0; k<n; k++) {
+        var a = a1 + sweep * k / n;
+        path.push(center.add(new Vector(Math.cos(a), Math.sin(a)).multiply(
+            e.getRadius())));
+      }
+    } else {
+      path.push(p1);
+    }
+  });
+  if (path.length > 0) {
+    paths.push(path);
+  }
+  return paths;
+};
+
+/** Returns the submerged area of the Polygon, the center of that area, and the points
+in world coordinates of the outline of that area; or `null` when the Polygon is not in
+the fluid.
+* @param {!Polygon} body the Polygon
+* @param {!Array<!Array<!Vector>>} outline outline of the Polygon in body coordinates,
+*     see {@link #outline_}
+* @return {?{area: number, center: !Vector, points: !Array<!Vector>}} the submerged
+*     area, or `null` when the Polygon is not in the fluid
+* @private
+*/
+submerged_(body, outline) {
+  if (body.getBottomWorld() >= this.surface_) {
+    return null;
+  }
+  var s = this.surface_;
+  var area = 0;
+  var cx = 0;
+  var cy = 0;
+  /** @type {!Array<!Vector>} */
+  var points = [];
+  goog.array.forEach(outline, function(path) {
+    // clip the path to the region below the surface
+    /** @type {!Array<!Vector>} */
+    var clip = [];
+    var n = path.length;
+    for (var i=0; i<n; i++) {
+      var p1 = body.bodyToWorld(path[i]);
+      var p2 = body.bodyToWorld(path[(i+1) % n]);
+      if (p1.getY() <= s) {
+        clip.push(p1);
+      }
+      if ((p1.getY() < s && p2.getY() > s) || (p1.getY() > s && p2.getY() < s)) {
+        var t = (s - p1.getY()) / (p2.getY() - p1.getY());
+        clip.push(new Vector(p1.getX() + t * (p2.getX() - p1.getX()), s));
+      }
+    }
+    // find signed area and centroid of the clipped path
+    var m = clip.length;
+    for (i=0; i<m; i++) {
+      var a = clip[i];
+      var b = clip[(i+1) % m];
+      var cross = a.getX() * b.getY() - b.getX() * a.getY();
+      area += cross;
+      cx += (a.getX() + b.getX()) * cross;
+      cy += (a.getY() + b.getY()) * cross;
+    }
+    goog.array.extend(points, clip);
+  });
+  if (area == 0) {
+    return null;
+  }
+  var center = new Vector(cx / (3 * area), cy / (3 * area));
+  // the sign of the area depends on whether the paths go clockwise
+  return {area: Math.abs(area) / 2, center: center, points: points};
+};
+
+/** Returns the width of the set of points in the given direction.
+* @param {!Array<!Vector>} points the set of points
+* @param {!Vector} direction unit vector giving the direction to measure
+* @return {number} the width of the set of points in the given direction
+* @private
+*/
+static width_(points, direction) {
+  var min = Util.POSITIVE_INFINITY;
+  var max = Util.NEGATIVE_INFINITY;
+  goog.array.forEach(points, function(p) {
+    var d = p.dotProduct(direction);
+    min = Math.min(min, d);
+    max = Math.max(max, d);
+  });
+  return max - min;
+};
+
+/** Sets the angular drag coefficient.
+* @param {number} value the angular drag coefficient
+*/
+setAngularDrag(value) {
+  this.angularDrag_ = value;
+  this.broadcastParameter(FluidLaw.en.ANGULAR_DRAG);
+};
+
+/** Sets the density of the fluid. A Polygon floats when its mass is less than the
+density times its area.
+* @param {number} value the density of the fluid, which is mass per unit area
+*/
+setDensity(value) {
+  this.density_ = value;
+  this.broadcastParameter(FluidLaw.en.DENSITY);
+};
+
+/** Sets the quadratic drag coefficient.
+* @param {number} value the quadratic drag coefficient
+*/
+setDragCoefficient(value) {
+  this.dragCoefficient_ = value;
+  this.broadcastParameter(FluidLaw.en.DRAG_COEFFICIENT);
+};
+
+/** Sets the magnitude of gravity used for the buoyant force. This is usually the same
+as the magnitude of gravity of the {@link myphysicslab.lab.model.GravityLaw}.
+* @param {number} value the magnitude of gravity
+*/
+setGravity(value) {
+  this.gravity_ = value;
+  this.broadcastParameter(FluidLaw.en.GRAVITY);
+};
+
+/** Sets the vertical world coordinate of the surface of the fluid; the fluid fills
+the region below the surface.
+* @param {number} value the vertical world coordinate of the surface of the fluid
+*/
+setSurface(value) {
+  this.surface_ = value;
+  this.broadcastParameter(FluidLaw.en.SURFACE);
+};
+
+/** Sets the linear drag coefficient.
+* @param {number} value the linear drag coefficient
+*/
+setViscosity(value) {
+  this.viscosity_ = value;
+  this.broadcastParameter(FluidLaw.en.VISCOSITY);
+};
+
+} // end class
+
+/**
+* @type {number}
+*/
+FluidLaw.NAME_ID = 0;
+
+/** Largest angle in radians of the short straight lines that approximate a curved Edge.
+* @type {number}
+* @const
+* @private
+*/
+FluidLaw.ARC_STEP = Math.PI/32;
+
+/** Set of internationalized strings.
+@typedef {{
+  ANGULAR_DRAG: string,
+  DENSITY: string,
+  DRAG_COEFFICIENT: string,
+  GRAVITY: string,
+  SURFACE: string,
+  VISCOSITY: string
+  }}
+*/
+FluidLaw.i18n_strings;
+
+/**
+@type {FluidLaw.i18n_strings}
+*/
+FluidLaw.en = {
+  ANGULAR_DRAG: 'angular drag',
+  DENSITY: 'density',
+  DRAG_COEFFICIENT: 'drag coefficient',
+  GRAVITY: 'gravity',
+  SURFACE: 'surface',
+  VISCOSITY: 'viscosity'
+};
+
+/**
+@private
+@type {FluidLaw.i18n_strings}
+*/
+FluidLaw.de_strings = {
+  ANGULAR_DRAG: 'Drehwiderstand',
+  DENSITY: 'Dichte',
+  DRAG_COEFFICIENT: 'Widerstandsbeiwert',
+  GRAVITY: 'Gravitation',
+  SURFACE: 'Oberfläche',
+  VISCOSITY: 'Viskosität'
+};
+
+/** Set of internationalized strings.
+@type {FluidLaw.i18n_strings}
+*/
+FluidLaw.i18n = goog.LOCALE === 'de' ? FluidLaw.de_strings :
+    FluidLaw.en;
+
+exports = FluidLaw;
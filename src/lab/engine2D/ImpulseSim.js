@@ -83,8 +83,20 @@ multiple simultaneous impulses during collision handling.
 
 + ParameterNumber named `RANDOM_SEED`, see {@link #setRandomSeed}
 
++ ParameterBoolean named `BROAD_PHASE`, see {@link #setBroadPhase}
+
 See also the super class for additional Parameters.
 
+### Sensors
+
+A Polygon that is a sensor (see {@link Polygon#setSensor}) never collides with other
+bodies. Instead, after each time step ImpulseSim finds which bodies overlap each sensor
+and broadcasts a GenericEvent for each of them: named `SENSOR_ENTER` when the body has
+just entered the sensor, `SENSOR_STAY` when the body was already inside the sensor, and
+`SENSOR_LEAVE` when the body has left the sensor. See {@link RigidBodySim#SENSOR_ENTER}
+and {@link #getSensorBodies}. Sensors do not detect each other, and a sensor with
+infinite mass does not detect bodies of infinite mass.
+
 ### Collision Handling Options
 
 There are several different collision handling options available. See the section on
@@ -257,6 +269,22 @@ constructor(opt_name) {
   * @private
   */
   this.warningTime_ = 0;
+  /** whether to use broad-phase culling to find pairs of bodies that might collide
+  * @type {boolean}
+  * @private
+  */
+  this.broadPhase_ = true;
+  /** pairs of sensor and body that were overlapping at the last update of sensors;
+  * each pair is an array holding the sensor and the body.
+  * @type {!Array<!Array<!Polygon>>}
+  * @private
+  */
+  this.sensorPairs_ = [];
+  /** simulation time at the last update of sensors
+  * @type {number}
+  * @private
+  */
+  this.sensorUpdateTime_ = Util.NaN;
   // Need a special 'setter' because `setCollisionHandling` takes an argument of
   // the enum type `CollisionHandling`, not of type `string`.
   this.addParameter(new ParameterString(this, RigidBodySim.en.COLLISION_HANDLING,
@@ -285,6 +313,9 @@ constructor(opt_name) {
       goog.bind(this.getRandomSeed, this), goog.bind(this.setRandomSeed, this))
       .setDecimalPlaces(0)
       .setLowerLimit(Util.NEGATIVE_INFINITY));
+  this.addParameter(new ParameterBoolean(this, RigidBodySim.en.BROAD_PHASE,
+      RigidBodySim.i18n.BROAD_PHASE,
+      goog.bind(this.getBroadPhase, this), goog.bind(this.setBroadPhase, this)));
 };
 
 /** @override  */
@@ -294,6 +325,8 @@ toString_() {
       + ', velocityTol_: '+Util.NF(this.velocityTol_)
       + ', collisionAccuracy_: '+Util.NF(this.collisionAccuracy_)
       + ', showCollisions_: '+this.showCollisions_
+      + ', broadPhase_: '+this.broadPhase_
+      + ', sensorPairs_: '+this.sensorPairs_.length
       + ', simRNG_: '+this.simRNG_
       + super.toString_();
 };
@@ -331,6 +364,27 @@ setRandomSeed(value) {
   this.broadcastParameter(RigidBodySim.en.RANDOM_SEED);
 };
 
+/** Whether broad-phase collision culling is used. See {@link #setBroadPhase}.
+* @return {boolean} whether broad-phase collision culling is used
+*/
+getBroadPhase() {
+  return this.broadPhase_;
+};
+
+/** Sets whether to use broad-phase collision culling. When on, the bounding rectangles
+of the bodies are used to quickly find the pairs of bodies that might collide, and only
+those pairs are checked further for collisions. When off, every pair of bodies is
+checked, which is much slower when there are many bodies. The collisions found are the
+same either way. See {@link UtilityCollision#broadPhase}.
+* @param {boolean} value whether to use broad-phase collision culling
+*/
+setBroadPhase(value) {
+  if (this.broadPhase_ != value) {
+    this.broadPhase_ = value;
+    this.broadcastParameter(RigidBodySim.en.BROAD_PHASE);
+  }
+};
+
 /** Returns the collision handling method being used.
 * @return {!CollisionHandling} the collision handling method
 *     being used, from {@link CollisionHandling}.
@@ -447,6 +501,18 @@ setShowCollisions(value) {
   this.showCollisions_ = value;
 };
 
+/** Returns the bodies that were inside the given sensor at the last time step. See
+[Sensors](#sensors).
+* @param {!Polygon} sensor the sensor Polygon
+* @return {!Array<!Polygon>} the bodies that are inside the sensor
+*/
+getSensorBodies(sensor) {
+  var pairs = goog.array.filter(this.sensorPairs_, function(p) {
+    return p[0] == sensor;
+  });
+  return goog.array.map(pairs, function(p) { return p[1]; });
+};
+
 /** @override */
 addBody(body) {
   super.addBody(body);
@@ -459,6 +525,17 @@ addBody(body) {
 cleanSlate() {
   super.cleanSlate();
   this.computeImpacts_ = new ComputeForces('I', this.simRNG_);
+  this.sensorPairs_ = [];
+  this.sensorUpdateTime_ = Util.NaN;
+};
+
+/** Also forgets which bodies overlap each sensor, see [Sensors](#sensors).
+* @override
+*/
+clearHistory() {
+  super.clearHistory();
+  this.sensorPairs_ = [];
+  this.sensorUpdateTime_ = Util.NaN;
 };
 
 /** Check that infinite mass object remain at rest.
@@ -491,59 +568,23 @@ findCollisions(collisions, vars, stepSize) {
     return;
   }
   var time = vars[this.varsList_.timeIndex()];
+  var rbcs = /** @type {!Array<!RigidBodyCollision>} */(collisions);
   // NOTE: assumes that bodies have been moved to current positions
-  var i, j, k, len, len2;
-  for (i=0, len=this.bods_.length; i<len; i++) {
-    var bod1 = this.bods_[i];
-    // check bod1 against all bodies after it in the list
-    loop2:
-    for (j = i+1; j < len; j++) {
-      var bod2 = this.bods_[j];
-      if (bod1.doesNotCollide(bod2) || bod2.doesNotCollide(bod1)) {
-        continue loop2;
-      }
-      // infinite mass objects cannot move, so no contact or collisions between them
-      if (bod1.getMass() == Util.POSITIVE_INFINITY
-          && bod2.getMass() == Util.POSITIVE_INFINITY)
-        continue loop2;
-      // if both bodies are moving slowly, do an intersection test
-      // Ensure that the bodies cannot move through each other during the time step.
-      // minimum width = smallest distance a body could move to entirely cross a line
-      // = smallest dimension across the body
-      // Let h = time step; m1, m2 = minimum width of body 1, 2
-      // v = combined velocity of 1 & 2
-      // must have:  h*v < m1+m2, so v < (m1+m2)/h
-      var speeding; // bodies are exceeding speed limit for proximity test
-      var speed_limit;
-      if (DebugEngine2D.PROXIMITY_TEST) {
-        // assumes the minimum width is twice the minHeight.
-        speed_limit = 2*(bod1.getMinHeight() + bod2.getMinHeight())/stepSize;
-        // use lengthCheap because this is a rough test that happens a lot.
-        speeding = bod1.getVelocity().lengthCheap()
-                  + bod2.getVelocity().lengthCheap() > speed_limit;
-      } else {
-        // this section turns off the proximity check, and issues a periodic warning
-        if (this.getTime() - this.warningTime_ > 5) {
-          this.warningTime_ = this.getTime();
-          if (Util.DEBUG)
-            this.myPrint('%cWARNING:  proximity test is off%c', 'background:#fc6',
-                'color:black');
-        }
-        speeding = true;
-        speed_limit = 0;
-      }
-      if (!speeding) {
-        if (!UtilityCollision.intersectionPossible(bod1, bod2, this.distanceTol_))
-          continue loop2;
-      } else {
-        if (1 == 0 && Util.DEBUG) {
-          this.myPrint('velocity ' +Util.NF5(bod1.getVelocity().lengthCheap()
-              + bod2.getVelocity().lengthCheap())+ ' >  speed limit = '+Util.NF5(speed_limit)
-              +' step='+Util.NF5(stepSize));
-        }
+  var i, j, len;
+  if (this.broadPhase_) {
+    len = this.bods_.length;
+    var pairs = UtilityCollision.broadPhase(this.bods_, this.distanceTol_, stepSize);
+    for (i=0; i<pairs.length; i++) {
+      var p = pairs[i];
+      j = p % len;
+      this.checkPair(rbcs, this.bods_[(p - j)/len], this.bods_[j], time, stepSize);
+    }
+  } else {
+    for (i=0, len=this.bods_.length; i<len; i++) {
+      // check bod1 against all bodies after it in the list
+      for (j = i+1; j < len; j++) {
+        this.checkPair(rbcs, this.bods_[i], this.bods_[j], time, stepSize);
       }
-      var rbcs = /** @type {!Array<!RigidBodyCollision>} */(collisions);
-      bod1.checkCollision(rbcs, bod2, time);
     }
   }
   /*  for catching situation where an object escapes past the walls
@@ -565,6 +606,130 @@ findCollisions(collisions, vars, stepSize) {
   }
 };
 
+/** Checks for collisions or contacts between a pair of bodies, and adds any found to
+the list of collisions.
+* @param {!Array<!RigidBodyCollision>} collisions the list of collisions to add to
+* @param {!Polygon} bod1 the first body of the pair
+* @param {!Polygon} bod2 the second body of the pair
+* @param {number} time current simulation time
+* @param {number} stepSize the time step
+* @private
+*/
+checkPair(collisions, bod1, bod2, time, stepSize) {
+  if (bod1.doesNotCollide(bod2) || bod2.doesNotCollide(bod1)) {
+    return;
+  }
+  // sensors never collide, see updateSensors_
+  if (bod1.isSensor() || bod2.isSensor()) {
+    return;
+  }
+  // infinite mass objects cannot move, so no contact or collisions between them
+  if (bod1.getMass() == Util.POSITIVE_INFINITY
+      && bod2.getMass() == Util.POSITIVE_INFINITY)
+    return;
+  // sleeping bodies do not move either, see ContactSim.setSleepEnabled
+  if ((bod1.isSleeping() || bod1.getMass() == Util.POSITIVE_INFINITY)
+      && (bod2.isSleeping() || bod2.getMass() == Util.POSITIVE_INFINITY))
+    return;
+  // if both bodies are moving slowly, do an intersection test
+  // Ensure that the bodies cannot move through each other during the time step.
+  // minimum width = smallest distance a body could move to entirely cross a line
+  // = smallest dimension across the body
+  // Let h = time step; m1, m2 = minimum width of body 1, 2
+  // v = combined velocity of 1 & 2
+  // must have:  h*v < m1+m2, so v < (m1+m2)/h
+  var speeding; // bodies are exceeding speed limit for proximity test
+  var speed_limit;
+  if (DebugEngine2D.PROXIMITY_TEST) {
+    // assumes the minimum width is twice the minHeight.
+    speed_limit = 2*(bod1.getMinHeight() + bod2.getMinHeight())/stepSize;
+    // use lengthCheap because this is a rough test that happens a lot.
+    speeding = bod1.getVelocity().lengthCheap()
+              + bod2.getVelocity().lengthCheap() > speed_limit;
+  } else {
+    // this section turns off the proximity check, and issues a periodic warning
+    if (this.getTime() - this.warningTime_ > 5) {
+      this.warningTime_ = this.getTime();
+      if (Util.DEBUG)
+        this.myPrint('%cWARNING:  proximity test is off%c', 'background:#fc6',
+            'color:black');
+    }
+    speeding = true;
+    speed_limit = 0;
+  }
+  if (!speeding) {
+    if (!UtilityCollision.intersectionPossible(bod1, bod2, this.distanceTol_))
+      return;
+  } else {
+    if (1 == 0 && Util.DEBUG) {
+      this.myPrint('velocity ' +Util.NF5(bod1.getVelocity().lengthCheap()
+          + bod2.getVelocity().lengthCheap())+ ' >  speed limit = '+Util.NF5(speed_limit)
+          +' step='+Util.NF5(stepSize));
+    }
+  }
+  bod1.checkCollision(collisions, bod2, time);
+};
+
+/** Finds which bodies overlap each sensor, see [Sensors](#sensors). This is done only
+for accepted states, so that the sensor events are not broadcast for a trial state
+during a step which might be discarded.
+* @override
+*/
+acceptStep() {
+  super.acceptStep();
+  this.updateSensors_();
+};
+
+/** Finds which bodies overlap each sensor, and broadcasts the `SENSOR_ENTER`,
+`SENSOR_STAY` and `SENSOR_LEAVE` events, see [Sensors](#sensors). Does nothing when the
+simulation time has not changed since this was last done.
+* @return {undefined}
+* @private
+*/
+updateSensors_() {
+  var time = this.getTime();
+  if (time == this.sensorUpdateTime_) {
+    return;
+  }
+  this.sensorUpdateTime_ = time;
+  var sensors = goog.array.filter(this.bods_, function(b) { return b.isSensor(); });
+  if (sensors.length == 0 && this.sensorPairs_.length == 0) {
+    return;
+  }
+  /** @type {!Array<!Array<!Polygon>>} */
+  var pairs = [];
+  goog.array.forEach(sensors, function(sensor) {
+    goog.array.forEach(this.bods_, function(body) {
+      if (body.isSensor() || sensor.doesNotCollide(body)
+          || body.doesNotCollide(sensor)) {
+        return;
+      }
+      if (sensor.getMass() == Util.POSITIVE_INFINITY
+          && body.getMass() == Util.POSITIVE_INFINITY) {
+        return;
+      }
+      if (sensor.overlaps(body)) {
+        pairs.push([sensor, body]);
+      }
+    });
+  }, this);
+  var oldPairs = this.sensorPairs_;
+  this.sensorPairs_ = pairs;
+  var samePair = function(p1, p2) {
+    return p1[0] == p2[0] && p1[1] == p2[1];
+  };
+  goog.array.forEach(oldPairs, function(p) {
+    if (!goog.array.some(pairs, function(p2) { return samePair(p, p2); })) {
+      this.broadcast(new GenericEvent(this, RigidBodySim.SENSOR_LEAVE, p));
+    }
+  }, this);
+  goog.array.forEach(pairs, function(p) {
+    var stay = goog.array.some(oldPairs, function(p2) { return samePair(p, p2); });
+    this.broadcast(new GenericEvent(this,
+        stay ? RigidBodySim.SENSOR_STAY : RigidBodySim.SENSOR_ENTER, p));
+  }, this);
+};
+
 /** Returns the change in relative normal velocity at collision ci resulting
 from a unit impulse on the given body at collision cj.
 
@@ -766,6 +931,9 @@ handleCollisions(collisions, opt_totals) {
       throw new Error(Util.DEBUG ?
         ('unknown collision handler '+this.collisionHandling_) : '');
   }
+  if (this.handleFriction(rbcs)) {
+    impulse = true;
+  }
   if (0 == 1 && Util.DEBUG) {
     var energy2 = this.getEnergyInfo().getTotalEnergy();
     this.myPrint('handleCollisions energy change '+ Util.NFE(energy2 - energy)
@@ -1368,6 +1536,71 @@ hcs_handle(hybrid, grouped, debugHCS,
   }
 };
 
+/** Applies friction impulses at the given set of collisions, after the normal
+impulses have been applied. This implements Coulomb friction: the friction impulse is
+along the tangent vector at the point of impact (see
+{@link RigidBodyCollision#getTangent}) and tries to stop the sliding velocity. If that
+would need a friction impulse larger than the coefficient of static friction times the
+normal impulse, then the bodies slide and the friction impulse is the coefficient of
+kinetic friction times the normal impulse, opposing the sliding velocity.
+
+Each collision is treated separately, in order. Joints and collisions with no normal
+impulse have no friction.
+* @param {!Array<!RigidBodyCollision>} collisions  the set of collisions whose normal
+*    impulses have been applied
+* @return {boolean} whether any friction impulse was applied
+* @private
+*/
+handleFriction(collisions) {
+  var applied = false;
+  goog.array.forEach(collisions, function(c) {
+    c.frictionImpulse = 0;
+    var j = c.impulse;
+    var muS = c.getStaticFriction();
+    var muK = c.getKineticFriction();
+    if (c.joint || c.getConnector() != null || !(j > ImpulseSim.TINY_IMPULSE)
+        || muS <= 0 && muK <= 0) {
+      return;
+    }
+    var t = c.getTangent();
+    // effective inverse mass for an impulse along the tangent at the impact point
+    var k = 0;
+    goog.array.forEach([c.primaryBody, c.normalBody], function(body, i) {
+      var m = body.getMass();
+      if (isFinite(m)) {
+        var r = i==0 ? c.getR1() : c.getR2();
+        var rxt = r.getX()*t.getY() - r.getY()*t.getX();
+        k += 1/m + rxt*rxt/body.momentAboutCM();
+      }
+    });
+    var vt = c.getSlidingVelocity();
+    if (k <= 0 || vt == 0) {
+      return;
+    }
+    // impulse needed to stop the sliding
+    var jt = -vt/k;
+    if (Math.abs(jt) > muS*j) {
+      jt = vt > 0 ? -muK*j : muK*j;
+    }
+    if (jt == 0) {
+      return;
+    }
+    c.frictionImpulse = jt;
+    this.applyImpulse(new Impulse('FRICTION1', c.primaryBody, jt, c.impact1, t,
+        c.getR1()));
+    var i2 = c.impact2 != null ? c.impact2 : c.impact1;
+    this.applyImpulse(new Impulse('FRICTION2', c.normalBody, -jt, i2, t, c.getR2()));
+    // update body velocities for the next collision
+    this.modifyObjects();
+    applied = true;
+  }, this);
+  if (applied) {
+    // discontinuous change to energy; 1 = KE, 2 = PE, 3 = TE
+    this.getVarsList().incrSequence(1, 3);
+  }
+  return applied;
+};
+
 /** Applies the given impulse to the objects involved in the given collision, at
 * the impact point of the collision.
 * @param {!RigidBodyCollision} cd collision where the impulse
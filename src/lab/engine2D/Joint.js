@@ -67,6 +67,14 @@ distance between the two attachment points. See {@link #getNormalDistance}.
 To attach to a ***fixed position in space*** use the {@link Scrim} object.
 Or attach to an immoveable (infinite mass) Polygon.
 
+A Joint can be made ***breakable*** by specifying a *break force* or *break impulse*,
+see {@link #setBreakForce} and {@link #setBreakImpulse}. When the force or impulse on
+the Joint is larger, then {@link myphysicslab.lab.engine2D.ContactSim} removes the Joint
+from the simulation. The other Joints at the same location between the same bodies (for
+example the other Joint of a double joint) are removed at the same time. The break force
+is compared to the combined force of the Joints at the same location, see
+{@link #getForceWorld}.
+
 The two attachment points can be widely separated in 'single joints',
 see CartPendulum2 for an example.
 
@@ -171,6 +179,21 @@ constructor(rigidBody1, attach1_body, rigidBody2, attach2_body, normalType, norm
   * @private
   */
   this.normalType_ = normalType;
+  /** force above which this Joint breaks
+  * @type {number}
+  * @private
+  */
+  this.breakForce_ = Util.POSITIVE_INFINITY;
+  /** impulse above which this Joint breaks
+  * @type {number}
+  * @private
+  */
+  this.breakImpulse_ = Util.POSITIVE_INFINITY;
+  /** the most recent contact force on this Joint along the normal
+  * @type {number}
+  * @private
+  */
+  this.force_ = 0;
 };
 
 /** @override */
@@ -251,6 +274,41 @@ getBoundsWorld() {
   return DoubleRect.make(this.getPosition1(), this.getPosition2());
 };
 
+/** Returns the force above which this Joint breaks.
+@return {number} the force above which this Joint breaks; infinity means the Joint
+    never breaks
+*/
+getBreakForce() {
+  return this.breakForce_;
+};
+
+/** Returns the collision impulse above which this Joint breaks.
+@return {number} the impulse above which this Joint breaks; infinity means the Joint
+    never breaks
+*/
+getBreakImpulse() {
+  return this.breakImpulse_;
+};
+
+/** Returns the magnitude of the contact force that was most recently applied at this
+Joint by ContactSim. The force can push or pull, so this is the absolute value of the
+force.
+@return {number} magnitude of the most recent contact force on this Joint
+*/
+getForce() {
+  return Math.abs(this.force_);
+};
+
+/** Returns the contact force that was most recently applied at this Joint by
+ContactSim, as a vector in world coordinates along the normal of this Joint. Adding
+these vectors for the Joints of a double joint gives the total force on the double
+joint.
+@return {!Vector} the most recent contact force on this Joint, in world coordinates
+*/
+getForceWorld() {
+  return this.getNormalWorld().multiply(this.force_);
+};
+
 /** Returns this Joint's unit normal vector, in body or world coordinates according
 to `getNormalType`.  If in body coordinates it is relative to body2.
 @return {!Vector} this Joint's normal vector, in body or world
@@ -296,6 +354,42 @@ getPosition2() {
   return this.body2_.bodyToWorld(this.attach2_body_);
 };
 
+/** Sets the force above which this Joint breaks, see the section about breakable
+Joints above.
+@param {number} value the force above which this Joint breaks; infinity means the
+    Joint never breaks
+@throws {!Error} if value is not positive
+*/
+setBreakForce(value) {
+  if (!(value > 0)) {
+    throw new Error('break force must be positive '+value);
+  }
+  this.breakForce_ = value;
+};
+
+/** Sets the collision impulse above which this Joint breaks, see the section about
+breakable Joints above.
+@param {number} value the impulse above which this Joint breaks; infinity means the
+    Joint never breaks
+@throws {!Error} if value is not positive
+*/
+setBreakImpulse(value) {
+  if (!(value > 0)) {
+    throw new Error('break impulse must be positive '+value);
+  }
+  this.breakImpulse_ = value;
+};
+
+/** Sets the contact force that was most recently applied at this Joint. This is
+called by ContactSim after calculating the contact forces.
+@param {number} value the contact force on this Joint in the direction of the normal,
+    which is negative when the force is opposite to the normal
+@package
+*/
+setForce(value) {
+  this.force_ = value;
+};
+
 /** @override */
 updateCollision(c) {
   if (c.primaryBody != this.body1_ || c.normalBody != this.body2_)
@@ -0,0 +1,196 @@
+// Copyright 2016 Erik Neumann.  All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+goog.module('myphysicslab.lab.engine2D.Motor');
+
+const AbstractSimObject = goog.require('myphysicslab.lab.model.AbstractSimObject');
+const DoubleRect = goog.require('myphysicslab.lab.util.DoubleRect');
+const RigidBody = goog.require('myphysicslab.lab.engine2D.RigidBody');
+const Scrim = goog.require('myphysicslab.lab.engine2D.Scrim');
+const Util = goog.require('myphysicslab.lab.util.Util');
+
+/** A Motor drives the rotation of one RigidBody relative to another, for example a
+wheel turning on an axle, or a crank turning on a fixed pivot. The Motor applies equal
+and opposite torques to the two bodies, which try to keep their *relative angular
+velocity* at the specified target speed. The relative angular velocity is the angular
+velocity of the second body minus the angular velocity of the first body.
+
+The magnitude of the torque is limited by the *maximum torque*. When the bodies resist
+turning, for example because of a heavy load, the Motor applies only the maximum torque
+and the relative angular velocity is then less than the target speed. A Motor with a
+maximum torque of zero is turned off.
+
+The Motor is usually placed at a double Joint that connects the two bodies, which makes
+a *motorized revolute joint*, see
+{@link myphysicslab.lab.engine2D.JointUtil#attachRigidBody}. To drive a body relative
+to a fixed position in space, use the {@link Scrim} as the first body. The Motor does
+not need any Joints however: it only applies torques to the bodies.
+
+The torques are calculated by {@link myphysicslab.lab.engine2D.ContactSim} together
+with the contact and Joint forces, see {@link myphysicslab.lab.engine2D.ContactSim#addMotor}.
+The speed and maximum torque can be changed while the simulation is running, for
+example from a {@link myphysicslab.lab.util.ParameterNumber} that is made by an
+application.
+
+*/
+class Motor extends AbstractSimObject {
+/**
+@param {!RigidBody} rigidBody1 the first body of the Motor
+@param {!RigidBody} rigidBody2 the second body of the Motor, which is turned relative
+    to the first body
+@param {number=} opt_speed the target relative angular velocity, in radians per
+    second; default is zero
+@param {number=} opt_maxTorque the maximum magnitude of torque; default is infinite
+@param {string=} opt_name name of this Motor
+*/
+constructor(rigidBody1, rigidBody2, opt_speed, opt_maxTorque, opt_name) {
+  super(opt_name || 'MOTOR'+(Motor.nextMotorNum++));
+  /** first body of the Motor
+  * @type {!RigidBody}
+  * @private
+  */
+  this.body1_ = rigidBody1;
+  /** second body of the Motor
+  * @type {!RigidBody}
+  * @private
+  */
+  this.body2_ = rigidBody2;
+  /** target relative angular velocity
+  * @type {number}
+  * @private
+  */
+  this.speed_ = opt_speed || 0;
+  /** maximum magnitude of torque
+  * @type {number}
+  * @private
+  */
+  this.maxTorque_ = opt_maxTorque === undefined ? Util.POSITIVE_INFINITY :
+      opt_maxTorque;
+  /** most recent torque applied to the second body
+  * @type {number}
+  * @private
+  */
+  this.torque_ = 0;
+};
+
+/** @override */
+toString() {
+  return Util.ADVANCED ? '' : super.toString().slice(0, -1)
+      +', body1_: '+this.body1_.toStringShort()
+      +', body2_: '+this.body2_.toStringShort()
+      +', speed_: '+Util.NF(this.speed_)
+      +', maxTorque_: '+Util.NF(this.maxTorque_)
+      +', torque_: '+Util.NF(this.torque_)
+      +'}';
+};
+
+/** @override */
+getClassName() {
+  return 'Motor';
+};
+
+/** Returns the first body of the Motor.
+@return {!RigidBody} the first body of the Motor
+*/
+getBody1() {
+  return this.body1_;
+};
+
+/** Returns the second body of the Motor, which is turned relative to the first body.
+@return {!RigidBody} the second body of the Motor
+*/
+getBody2() {
+  return this.body2_;
+};
+
+/** @override */
+getBoundsWorld() {
+  var body = this.body2_ instanceof Scrim ? this.body1_ : this.body2_;
+  return DoubleRect.make(body.getPosition(), body.getPosition());
+};
+
+/** Returns the maximum magnitude of torque that the Motor can apply.
+@return {number} the maximum magnitude of torque
+*/
+getMaxTorque() {
+  return this.maxTorque_;
+};
+
+/** Returns the current relative angular velocity: the angular velocity of the second
+body minus the angular velocity of the first body.
+@return {number} the relative angular velocity, in radians per second
+*/
+getRelativeVelocity() {
+  return this.body2_.getAngularVelocity() - this.body1_.getAngularVelocity();
+};
+
+/** Returns the target relative angular velocity.
+@return {number} the target relative angular velocity, in radians per second
+*/
+getSpeed() {
+  return this.speed_;
+};
+
+/** Returns the torque that was most recently applied to the second body by the Motor.
+An equal and opposite torque is applied to the first body.
+@return {number} the most recent torque applied to the second body
+*/
+getTorque() {
+  return this.torque_;
+};
+
+/** Whether the Motor is turned on: it has a non-zero maximum torque and at least one of
+its bodies can move.
+@return {boolean} whether the Motor is turned on
+*/
+isActive() {
+  return this.maxTorque_ > 0 && (isFinite(this.body1_.getMass())
+      || isFinite(this.body2_.getMass()));
+};
+
+/** Sets the maximum magnitude of torque that the Motor can apply. Zero turns the
+Motor off.
+@param {number} value the maximum magnitude of torque
+*/
+setMaxTorque(value) {
+  if (value < 0) {
+    throw new Error('max torque must be non-negative '+value);
+  }
+  this.maxTorque_ = value;
+};
+
+/** Sets the target relative angular velocity.
+@param {number} value the target relative angular velocity, in radians per second
+*/
+setSpeed(value) {
+  this.speed_ = value;
+};
+
+/** Sets the torque that was most recently applied to the second body. This is called
+by ContactSim after calculating the torque.
+@param {number} value the torque applied to the second body
+@package
+*/
+setTorque(value) {
+  this.torque_ = value;
+};
+
+} // end class
+
+/**
+* @type {number}
+*/
+Motor.nextMotorNum = 0;
+
+exports = Motor;
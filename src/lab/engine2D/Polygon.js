@@ -147,6 +147,58 @@ a collision may have happened; for example whether a Vertex crossed over an Edge
 the last time step. See {@link #saveOldCoords}, {@link #getOldCoords}, and
 {@link #eraseOldCoords}.
 
+<a id="continuouscollisiondetection"></a>
+### Continuous Collision Detection
+
+A small fast moving Polygon can pass completely through another object during a single
+time step. When a corner passes through a StraightEdge this is found by checking
+whether the path of the corner crossed the Edge. But a corner or a circle that passes
+through a CircularEdge, or a circle that passes through a StraightEdge, can be outside
+of the other object again at the end of the time step, so no collision is found. Turn
+on continuous collision detection with {@link #setContinuousCollision} to find where
+the swept path of the corners and circles of the Polygon first touch the Edges of other
+objects, see {@link UtilityCollision#checkSwept}. This is done only for a pair of
+objects where one of them has continuous collision detection turned on, because it
+takes extra computation.
+
+<a id="collisionfiltering"></a>
+### Collision Filtering
+
+Besides the list of bodies given to {@link #addNonCollide}, whether two Polygons collide
+is decided by their *collision category*, *collision mask* and *collision group*.
+These make it possible to turn off collisions within a large assembly of bodies,
+like a ragdoll or a vehicle, without listing every pair of bodies.
+
++ The collision category is a set of bits that says what kind of object this is,
+    usually a single bit. The default category is `0x0001`.
+
++ The collision mask is a set of bits that says which categories of objects this
+    Polygon collides with. The default mask is `0xFFFF`, which collides with all
+    categories.
+
++ The collision group overrides the category and mask for Polygons that have the same
+    non-zero group number: a positive group means they always collide, a negative group
+    means they never collide. The default group is zero, which means no group.
+
+When the two Polygons are not in the same non-zero group, they collide only when the
+category of each Polygon is in the mask of the other Polygon. See
+{@link #setCollisionCategory}, {@link #setCollisionMask}, {@link #setCollisionGroup}
+and {@link #doesNotCollide}.
+
+Collision filtering only affects collisions and contacts between the Edges and Vertexes
+of the bodies; a {@link Joint} or other Connector between two bodies still works
+regardless of collision filtering.
+
+<a id="sensors"></a>
+### Sensors
+
+A Polygon that is a *sensor* is a trigger zone: it takes part in collision detection,
+but never generates collision impulses or contact forces, so other bodies pass freely
+through it. Instead {@link ImpulseSim} broadcasts an event when another body enters,
+stays in, or leaves the sensor, see {@link RigidBodySim#SENSOR_ENTER}. Collision
+filtering applies to sensors as for other Polygons: a sensor detects only the bodies
+that it would collide with. See {@link #setSensor} and {@link #overlaps}.
+
 ### Minimum Height
 
 The minimum height of a Polygon is used for potential energy calculations, see
@@ -238,6 +290,16 @@ constructor(opt_name, opt_localName) {
   * @private
   */
   this.elasticity_ = 1.0;
+  /** coefficient of static friction of this body
+  * @type {number}
+  * @private
+  */
+  this.staticFriction_ = 0;
+  /** coefficient of kinetic (sliding) friction of this body
+  * @type {number}
+  * @private
+  */
+  this.kineticFriction_ = 0;
   /** list of objects this body does not collide with
   * @type {!Array<!RigidBody>}
   * @private
@@ -321,6 +383,31 @@ constructor(opt_name, opt_localName) {
   * @private
   */
   this.accuracy_ = 0.6;
+  /** whether to use continuous collision detection for this Polygon
+  * @type {boolean}
+  * @private
+  */
+  this.continuousCollision_ = false;
+  /** collision category bits, see {@link #setCollisionCategory}
+  * @type {number}
+  * @private
+  */
+  this.collisionCategory_ = 0x0001;
+  /** collision mask bits, see {@link #setCollisionMask}
+  * @type {number}
+  * @private
+  */
+  this.collisionMask_ = 0xFFFF;
+  /** collision group index, see {@link #setCollisionGroup}
+  * @type {number}
+  * @private
+  */
+  this.collisionGroup_ = 0;
+  /** whether this Polygon is a sensor, see {@link #setSensor}
+  * @type {boolean}
+  * @private
+  */
+  this.sensor_ = false;
 };
 
 /** @override */
@@ -328,9 +415,16 @@ toString() {
   return Util.ADVANCED ? '' :
       super.toString().slice(0, -1)
       +', elasticity: ' +Util.NF(this.elasticity_)
+      +', staticFriction: ' +Util.NF(this.staticFriction_)
+      +', kineticFriction: ' +Util.NF(this.kineticFriction_)
       +', distanceTol_: '+Util.NF(this.distanceTol_)
       +', velocityTol_: '+Util.NF(this.velocityTol_)
       +', accuracy_:'+Util.NF(this.accuracy_)
+      +', continuousCollision_: '+this.continuousCollision_
+      +', collisionCategory_: '+this.collisionCategory_
+      +', collisionMask_: '+this.collisionMask_
+      +', collisionGroup_: '+this.collisionGroup_
+      +', sensor_: '+this.sensor_
       +', varsIndex_: '+this.varsIndex_
       +', centroid_body_: '+this.centroid_body_
       +'}';
@@ -523,6 +617,10 @@ checkCollision(collisions, body, time) {
       e1.testCollisionEdge(collisions, e2, time);
     }, this);
   }, this);
+  if (this.continuousCollision_ || body.getContinuousCollision()) {
+    UtilityCollision.checkSwept(collisions, this, body, time);
+    UtilityCollision.checkSwept(collisions, body, this, time);
+  }
 };
 
 /**
@@ -551,6 +649,19 @@ checkConsistent() {
   });
 };
 
+/** Returns the value when it is valid as collision category or mask bits.
+@param {number} value the collision bits
+@return {number} the collision bits
+@throws {!Error} if value is not an integer from 0 to `0xFFFF`
+@private
+*/
+static checkBits_(value) {
+  if (value != Math.floor(value) || value < 0 || value > 0xFFFF) {
+    throw new Error('collision bits must be an integer from 0 to 0xFFFF '+value);
+  }
+  return value;
+};
+
 /** Closes the current path of the Polygon. Connects the starting Vertex of the open
 path with the last Edge of the open path. See {@link #startPath}, {@link #lastOpenEdge},
 and {@link #getStartVertex}.
@@ -656,9 +767,26 @@ createCanvasPath(context) {
   }
 };
 
-/** @override */
+/** Returns true if this body does not collide with the given body. This is the case
+when the given body was added with {@link #addNonCollide}, or when collision filtering
+prevents the two bodies from colliding, see
+[Collision Filtering](#collisionfiltering).
+@param {!RigidBody} body the RigidBody of interest
+@return {boolean} true if this body does not collide with the given body
+*/
 doesNotCollide(body) {
-  return goog.array.contains(this.nonCollideBodies_, body);
+  if (goog.array.contains(this.nonCollideBodies_, body)) {
+    return true;
+  }
+  if (body instanceof Polygon) {
+    var group = this.collisionGroup_;
+    if (group != 0 && group == body.collisionGroup_) {
+      return group < 0;
+    }
+    return (this.collisionCategory_ & body.collisionMask_) == 0
+        || (body.collisionCategory_ & this.collisionMask_) == 0;
+  }
+  return false;
 };
 
 /** @override */
@@ -757,6 +885,53 @@ getCentroidRadius() {
   return this.centroidRadius_;
 };
 
+/** Returns a rectangle in world coordinates that contains the entire Polygon,
+including the extent of curved edges. This transforms the corners of the bounding
+rectangle in body coordinates (see {@link #getBoundsBody}), so it can be larger than
+needed when the Polygon is rotated. Used for broad-phase collision culling.
+@return {!DoubleRect} rectangle in world coordinates that contains the entire Polygon
+*/
+getCollisionBoundsWorld() {
+  var r = this.getBoundsBody();
+  return DoubleRect.make(
+        this.bodyToWorld(new Vector(r.getLeft(), r.getBottom())),
+        this.bodyToWorld(new Vector(r.getRight(), r.getTop())))
+      .unionPoint(this.bodyToWorld(new Vector(r.getRight(), r.getBottom())))
+      .unionPoint(this.bodyToWorld(new Vector(r.getLeft(), r.getTop())));
+};
+
+/** Returns the collision category bits of this Polygon, see
+[Collision Filtering](#collisionfiltering).
+@return {number} the collision category bits of this Polygon
+*/
+getCollisionCategory() {
+  return this.collisionCategory_;
+};
+
+/** Returns the collision group of this Polygon, see
+[Collision Filtering](#collisionfiltering).
+@return {number} the collision group of this Polygon, zero means no group
+*/
+getCollisionGroup() {
+  return this.collisionGroup_;
+};
+
+/** Returns the collision mask bits of this Polygon, see
+[Collision Filtering](#collisionfiltering).
+@return {number} the collision mask bits of this Polygon
+*/
+getCollisionMask() {
+  return this.collisionMask_;
+};
+
+/** Whether continuous collision detection is used for this Polygon. See
+[Continuous Collision Detection](#continuouscollisiondetection).
+@return {boolean} whether continuous collision detection is used for this Polygon
+*/
+getContinuousCollision() {
+  return this.continuousCollision_;
+};
+
 /** @override */
 getDistanceTol() {
   return this.distanceTol_;
@@ -783,6 +958,11 @@ getElasticity() {
   return this.elasticity_;
 };
 
+/** @override */
+getKineticFriction() {
+  return this.kineticFriction_;
+};
+
 /** @override */
 getLeftBody() {
   return this.left_body_;
@@ -863,6 +1043,15 @@ getMinHeight2() {
   return this.minHeight_;
 };
 
+/** Returns the bodies that this Polygon does not collide with, as given to
+{@link #addNonCollide}. Does not include bodies that are prevented from colliding by
+[Collision Filtering](#collisionfiltering).
+@return {!Array<!RigidBody>} the bodies that this Polygon does not collide with
+*/
+getNonCollide() {
+  return goog.array.clone(this.nonCollideBodies_);
+};
+
 /** @override */
 getOldCoords() {
   return this.body_old_;
@@ -873,6 +1062,14 @@ getRightBody() {
   return this.right_body_;
 };
 
+/** Returns the Edge that takes priority for collision handling, or `null` when there
+is no special edge. See {@link #setSpecialEdge}.
+@return {?Edge} the special Edge, or `null` when there is no special edge
+*/
+getSpecialEdge() {
+  return this.specialEdge_;
+};
+
 /** The normal vector (if any) used in the special edge proximity test. When a special
 edge has been specified, that Edge that takes priority for collision handling, as in a
 wall object, and this method returns the normal vector to use for special proximity
@@ -900,6 +1097,11 @@ getSpecialNormalWorld() {
   return v;
 };
 
+/** @override */
+getStaticFriction() {
+  return this.staticFriction_;
+};
+
 /** Returns starting Vertex for current open path, or `null` if there is no open path.
 * See {@link #startPath}.
 * @return {?Vertex} starting Vertex for the current open path,
@@ -965,6 +1167,14 @@ getVerticesBody() {
   return goog.array.map(this.vertices_, function(v) { return v.locBody(); });
 };
 
+/** Whether this Polygon is a sensor which detects other bodies but does not collide
+with them. See [Sensors](#sensors).
+@return {boolean} whether this Polygon is a sensor
+*/
+isSensor() {
+  return this.sensor_;
+};
+
 /** Returns last Edge in current open path or `null` when there is no last Edge or no
 open path.
 * @return {?Edge} last Edge in current open path
@@ -1055,6 +1265,78 @@ nonCollideEdge(edge) {
   }
 };
 
+/** Returns true if this Polygon overlaps the given Polygon in their current positions.
+The Polygons overlap when a StraightEdge of one crosses an Edge of the other, or when a
+Vertex of one is inside the other. A curved Edge is only represented by its Vertexes
+here, so two curved Edges that cross slightly between their Vertexes are not found to
+overlap. This is used to find which bodies are inside a sensor, see
+[Sensors](#sensors).
+@param {!Polygon} body the other Polygon
+@return {boolean} true if this Polygon overlaps the given Polygon
+*/
+overlaps(body) {
+  var dist = this.getCentroidWorld().distanceTo(body.getCentroidWorld());
+  if (dist > this.getCentroidRadius() + body.getCentroidRadius()) {
+    return false;
+  }
+  return this.edgesCross_(body) || body.edgesCross_(this)
+      || this.vertexInside_(body) || body.vertexInside_(this);
+};
+
+/** Returns true if the given point is inside this Polygon. Counts how many times the
+Edges of this Polygon cross a line from the point to a point outside of this Polygon;
+the point is inside when that number is odd.
+@param {!Vector} p_body the point in body coords
+@return {boolean} true if the given point is inside this Polygon
+@private
+*/
+containsPoint_(p_body) {
+  var centroid = this.getCentroidBody();
+  var r = this.getCentroidRadius() + p_body.distanceTo(centroid);
+  // the line goes in an arbitrary direction, which makes it unlikely to pass exactly
+  // through a Vertex
+  var p2_body = centroid.add(Polygon.OUTSIDE_DIRECTION.multiply(2*r));
+  var count = 0;
+  goog.array.forEach(this.edges_, function(e) {
+    var pts = e.intersection(p_body, p2_body);
+    if (pts != null) {
+      count += pts.length;
+    }
+  });
+  return count % 2 == 1;
+};
+
+/** Returns true if a StraightEdge of this Polygon crosses an Edge of the given
+Polygon.
+@param {!Polygon} body the other Polygon
+@return {boolean} true if a StraightEdge of this Polygon crosses an Edge of the given
+    Polygon
+@private
+*/
+edgesCross_(body) {
+  return goog.array.some(this.edges_, function(e) {
+    if (!(e instanceof StraightEdge)) {
+      return false;
+    }
+    var p1 = body.worldToBody(this.bodyToWorld(e.getVertex1().locBody()));
+    var p2 = body.worldToBody(this.bodyToWorld(e.getVertex2().locBody()));
+    return goog.array.some(body.edges_, function(e2) {
+      return e2.intersection(p1, p2) != null;
+    });
+  }, this);
+};
+
+/** Returns true if a Vertex of the given Polygon is inside this Polygon.
+@param {!Polygon} body the other Polygon
+@return {boolean} true if a Vertex of the given Polygon is inside this Polygon
+@private
+*/
+vertexInside_(body) {
+  return goog.array.some(body.vertices_, function(v) {
+    return this.containsPoint_(this.worldToBody(body.bodyToWorld(v.locBody())));
+  }, this);
+};
+
 /** Prints all edges and Vertexes to console for debugging.
 * @return {undefined}
 */
@@ -1151,6 +1433,55 @@ setCentroid(centroid_body) {
   return this;
 };
 
+/** Sets the collision category bits of this Polygon, which say what kind of object
+this is; usually a single bit is set. See [Collision Filtering](#collisionfiltering).
+@param {number} value the collision category bits, an integer from 0 to `0xFFFF`
+@return {!Polygon} this Polygon, for chaining setters
+@throws {!Error} if value is not an integer from 0 to `0xFFFF`
+*/
+setCollisionCategory(value) {
+  this.collisionCategory_ = Polygon.checkBits_(value);
+  return this;
+};
+
+/** Sets the collision group of this Polygon. Polygons in the same positive group
+always collide, Polygons in the same negative group never collide. Zero means no group.
+See [Collision Filtering](#collisionfiltering).
+@param {number} value the collision group, an integer
+@return {!Polygon} this Polygon, for chaining setters
+@throws {!Error} if value is not an integer
+*/
+setCollisionGroup(value) {
+  if (value != Math.floor(value)) {
+    throw new Error('collision group must be an integer '+value);
+  }
+  this.collisionGroup_ = value;
+  return this;
+};
+
+/** Sets the collision mask bits of this Polygon, which say which categories of objects
+this Polygon collides with. See [Collision Filtering](#collisionfiltering).
+@param {number} value the collision mask bits, an integer from 0 to `0xFFFF`
+@return {!Polygon} this Polygon, for chaining setters
+@throws {!Error} if value is not an integer from 0 to `0xFFFF`
+*/
+setCollisionMask(value) {
+  this.collisionMask_ = Polygon.checkBits_(value);
+  return this;
+};
+
+/** Sets whether to use continuous collision detection for this Polygon, which finds
+collisions with other objects even when this Polygon passes completely through them
+during a time step. See
+[Continuous Collision Detection](#continuouscollisiondetection).
+@param {boolean} value whether to use continuous collision detection for this Polygon
+@return {!Polygon} this Polygon, for chaining setters
+*/
+setContinuousCollision(value) {
+  this.continuousCollision_ = value;
+  return this;
+};
+
 /** @override */
 setDistanceTol(value) {
   this.distanceTol_ = value;
@@ -1161,6 +1492,14 @@ setElasticity(value) {
   this.elasticity_ = value;
 };
 
+/** @override */
+setKineticFriction(value) {
+  if (value < 0) {
+    throw new Error('friction must be non-negative '+value);
+  }
+  this.kineticFriction_ = value;
+};
+
 /** Set the mass of this Polygon.
 @param {number} mass the mass of this Polygon
 @return {!Polygon} this object for chaining setters
@@ -1201,6 +1540,16 @@ setPosition(loc_world, angle) {
   }
 };
 
+/** Sets whether this Polygon is a sensor which detects other bodies but does not
+collide with them. See [Sensors](#sensors).
+@param {boolean} value whether this Polygon is a sensor
+@return {!Polygon} this Polygon, for chaining setters
+*/
+setSensor(value) {
+  this.sensor_ = value;
+  return this;
+};
+
 /** Sets which Edge takes priority for collision handling, as in a wall object. Can only
 be called on a rectangular Polygon.
 Sets the centroid radius of the non-special edges on this Polygon to zero, which makes
@@ -1229,6 +1578,14 @@ setSpecialEdge(edgeIndex, radius) {
   }, this);
 };
 
+/** @override */
+setStaticFriction(value) {
+  if (value < 0) {
+    throw new Error('friction must be non-negative '+value);
+  }
+  this.staticFriction_ = value;
+};
+
 /** Sets the index into the {@link myphysicslab.lab.model.VarsList VarsList} for this
 Polygon. The VarsList contains 6 values for each Polygon,
 
@@ -1328,6 +1685,14 @@ Polygon.ID = 1;
 */
 Polygon.OPEN_PATH_ERROR = 'Polygon does not have an open path to add edges to';
 
+/** Direction of the line used to test whether a point is inside a Polygon, see
+{@link #containsPoint_}.
+* @type {!Vector}
+* @private
+* @const
+*/
+Polygon.OUTSIDE_DIRECTION = new Vector(Math.cos(1), Math.sin(1));
+
 /** add small circle at end point Vertexes
 * @type {boolean}
 * @const
@@ -0,0 +1,327 @@
+// Copyright 2016 Erik Neumann.  All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+goog.module('myphysicslab.lab.engine2D.PrismaticJoint');
+
+const AbstractSimObject = goog.require('myphysicslab.lab.model.AbstractSimObject');
+const Connector = goog.require('myphysicslab.lab.engine2D.Connector');
+const ConnectorCollision = goog.require('myphysicslab.lab.engine2D.ConnectorCollision');
+const CoordType = goog.require('myphysicslab.lab.model.CoordType');
+const DoubleRect = goog.require('myphysicslab.lab.util.DoubleRect');
+const Joint = goog.require('myphysicslab.lab.engine2D.Joint');
+const RigidBody = goog.require('myphysicslab.lab.engine2D.RigidBody');
+const RigidBodyCollision = goog.require('myphysicslab.lab.engine2D.RigidBodyCollision');
+const Util = goog.require('myphysicslab.lab.util.Util');
+const Vector = goog.require('myphysicslab.lab.util.Vector');
+
+/** A PrismaticJoint (also called a *slider joint*) connects two RigidBodys so that the
+second body can only slide along an *axis* that is fixed on the first body, like a
+piston in a cylinder or the sections of a telescoping arm. The bodies cannot rotate
+relative to each other: the relative angle of the bodies when the PrismaticJoint is
+created is kept.
+
+The *travel* is the distance along the axis from the attachment point on the first body
+to the attachment point on the second body. The travel can optionally be limited to be
+between a minimum and maximum value. PrismaticJoint generates collisions or contacts
+when the travel reaches either limit, so the limit acts like a stop that can only push,
+never pull.
+
+When two RigidBodys are connected by a PrismaticJoint, the two bodies are set to
+***not collide*** with each other via {@link RigidBody#addNonCollide}.
+
+PrismaticJoints are immutable: they cannot be changed after they are constructed.
+
+### Implementation Notes
+
+PrismaticJoint contains two {@link Joint}s whose normal is perpendicular to the axis.
+The first Joint is at the attachment points, the second Joint is at unit distance along
+the axis from the attachment points. Each of these *single joints* makes a sliding
+track; together they prevent both rotation and sideways motion. See the section about
+single joints in {@link Joint}. The collisions generated by the Joints refer to those
+Joints (see {@link RigidBodyCollision#getConnector}), not to the PrismaticJoint.
+
+The travel limits are modeled like a vertex on the second body colliding with a straight
+edge on the first body: the normal is along the axis and rotates along with the first
+body.
+
+* @implements {Connector}
+*/
+class PrismaticJoint extends AbstractSimObject {
+/**
+@param {!RigidBody} body1 the first body; can be an immoveable object like Scrim
+    or an infinite mass Polygon
+@param {!Vector} attach1_body the attachment point on the first body, in body
+    coordinates
+@param {!RigidBody} body2 the second body, which slides along the axis
+@param {!Vector} attach2_body the attachment point on the second body, in body
+    coordinates
+@param {!Vector} axis the direction of the axis, in body coordinates of the first body
+@param {number=} opt_minTravel the minimum travel along the axis; default is no limit
+@param {number=} opt_maxTravel the maximum travel along the axis; default is no limit
+@param {string=} opt_name name of this PrismaticJoint
+@throws {!Error} if the minimum travel is not less than the maximum travel, or the
+    axis has zero length
+*/
+constructor(body1, attach1_body, body2, attach2_body, axis, opt_minTravel,
+    opt_maxTravel, opt_name) {
+  super(opt_name || 'PRISMATIC_JOINT'+(PrismaticJoint.nextJointNum++));
+  /**
+  * @type {!RigidBody}
+  * @private
+  */
+  this.body1_ = body1;
+  /** attachment point in body coords for body1
+  * @type {!Vector}
+  * @private
+  */
+  this.attach1_body_ = attach1_body;
+  /**
+  * @type {!RigidBody}
+  * @private
+  */
+  this.body2_ = body2;
+  /** attachment point in body coords for body2
+  * @type {!Vector}
+  * @private
+  */
+  this.attach2_body_ = attach2_body;
+  var a = axis.normalize();
+  /** unit vector along the axis, in body coords for body1
+  * @type {!Vector}
+  * @private
+  */
+  this.axis_ = a;
+  /**
+  * @type {number}
+  * @private
+  */
+  this.minTravel_ = opt_minTravel === undefined ? Util.NEGATIVE_INFINITY :
+      opt_minTravel;
+  /**
+  * @type {number}
+  * @private
+  */
+  this.maxTravel_ = opt_maxTravel === undefined ? Util.POSITIVE_INFINITY :
+      opt_maxTravel;
+  if (!(this.minTravel_ < this.maxTravel_)) {
+    throw new Error('minTravel must be less than maxTravel '+this.minTravel_
+        +' '+this.maxTravel_);
+  }
+  /** the relative angle of the bodies, which is kept fixed
+  * @type {number}
+  * @private
+  */
+  this.angle_ = body2.getAngle() - body1.getAngle();
+  // the axis and the joint normal in body coords of body2
+  var axis2 = body2.rotateWorldToBody(body1.rotateBodyToWorld(a));
+  var normal2 = new Vector(-axis2.getY(), axis2.getX());
+  /** Joint at the attachment points.
+  * @type {!Joint}
+  * @private
+  */
+  this.joint1_ = new Joint(body1, attach1_body, body2, attach2_body,
+      CoordType.BODY, normal2);
+  /** Joint at unit distance along the axis from the attachment points.
+  * @type {!Joint}
+  * @private
+  */
+  this.joint2_ = new Joint(body1, attach1_body.add(a), body2,
+      attach2_body.add(axis2), CoordType.BODY, normal2);
+  /** One of the bodies can be a Scrim which has zero distance tolerance, so find the
+  max distance tolerance of the bodies.
+  * @type {number}
+  * @private
+  */
+  this.distTol_ = Math.max(body1.getDistanceTol(), body2.getDistanceTol());
+};
+
+/** @override */
+toString() {
+  return Util.ADVANCED ? '' : super.toString().slice(0, -1)
+      +', body1_: '+this.body1_.toStringShort()
+      +', attach1_body_: '+this.attach1_body_
+      +', body2_: '+this.body2_.toStringShort()
+      +', attach2_body_: '+this.attach2_body_
+      +', axis_: '+this.axis_
+      +', minTravel_: '+Util.NF(this.minTravel_)
+      +', maxTravel_: '+Util.NF(this.maxTravel_)
+      +', travel: '+Util.NF(this.getTravel())
+      +'}';
+};
+
+/** @override */
+getClassName() {
+  return 'PrismaticJoint';
+};
+
+/** @override */
+addCollision(collisions, time, accuracy) {
+  this.joint2_.addCollision(collisions, time, accuracy);
+  this.joint1_.addCollision(collisions, time, accuracy);
+  if (this.getLimitDistance() < this.distTol_) {
+    var c = new ConnectorCollision(this.body2_, this.body1_, this, /*joint=*/false);
+    this.updateCollision(c);
+    c.setDetectedTime(time);
+    collisions.unshift(c);
+  }
+};
+
+/** Moves the second body so that it has the same angle relative to the first body as
+when this PrismaticJoint was created, and so that its attachment point is on the axis
+and within the travel limits. If the second body has infinite mass, then the first body
+is moved instead.
+* @override
+*/
+align() {
+  var travel = Math.max(this.minTravel_,
+      Math.min(this.maxTravel_, this.getTravel()));
+  var axis = this.getAxisWorld();
+  if (isFinite(this.body2_.getMass())) {
+    this.body2_.alignTo(/*p_body=*/this.attach2_body_,
+        /*p_world=*/this.getPosition1().add(axis.multiply(travel)),
+        /*angle=*/this.body1_.getAngle() + this.angle_);
+  } else if (isFinite(this.body1_.getMass())) {
+    var angle = this.body2_.getAngle() - this.angle_;
+    axis = this.axis_.rotate(angle);
+    this.body1_.alignTo(/*p_body=*/this.attach1_body_,
+        /*p_world=*/this.getPosition2().subtract(axis.multiply(travel)),
+        /*angle=*/angle);
+  }
+};
+
+/** Returns the attachment point on the first body in body coordinates.
+@return {!Vector} the attachment point on the first body in body coordinates
+*/
+getAttach1() {
+  return this.attach1_body_;
+};
+
+/** Returns the attachment point on the second body in body coordinates.
+@return {!Vector} the attachment point on the second body in body coordinates
+*/
+getAttach2() {
+  return this.attach2_body_;
+};
+
+/** Returns the direction of the axis, in body coordinates of the first body.
+@return {!Vector} unit vector in the direction of the axis
+*/
+getAxis() {
+  return this.axis_;
+};
+
+/** Returns the direction of the axis in world coordinates.
+@return {!Vector} unit vector in the direction of the axis, in world coordinates
+*/
+getAxisWorld() {
+  return this.body1_.rotateBodyToWorld(this.axis_);
+};
+
+/** @override */
+getBody1() {
+  return this.body1_;
+};
+
+/** @override */
+getBody2() {
+  return this.body2_;
+};
+
+/** @override */
+getBoundsWorld() {
+  return DoubleRect.make(this.getPosition1(), this.getPosition2());
+};
+
+/** Returns the distance from the travel to the nearest travel limit; negative means the
+travel is beyond the limit. Returns infinity when there are no travel limits.
+@return {number} distance from the travel to the nearest travel limit
+*/
+getLimitDistance() {
+  var travel = this.getTravel();
+  return Math.min(this.maxTravel_ - travel, travel - this.minTravel_);
+};
+
+/** Returns the maximum travel along the axis.
+@return {number} the maximum travel, or infinity when there is no maximum
+*/
+getMaxTravel() {
+  return this.maxTravel_;
+};
+
+/** Returns the minimum travel along the axis.
+@return {number} the minimum travel, or negative infinity when there is no minimum
+*/
+getMinTravel() {
+  return this.minTravel_;
+};
+
+/** Returns the sideways distance between the attachment points of the bodies,
+perpendicular to the axis; ideally zero.
+@return {number} sideways distance between attachment points of the bodies
+@override
+*/
+getNormalDistance() {
+  return this.joint1_.getNormalDistance();
+};
+
+/** @override */
+getPosition1() {
+  return this.body1_.bodyToWorld(this.attach1_body_);
+};
+
+/** @override */
+getPosition2() {
+  return this.body2_.bodyToWorld(this.attach2_body_);
+};
+
+/** Returns the travel: the distance along the axis from the attachment point on the
+first body to the attachment point on the second body.
+@return {number} the travel along the axis
+*/
+getTravel() {
+  return this.getAxisWorld().dotProduct(this.getPosition2().subtract(
+      this.getPosition1()));
+};
+
+/** @override */
+updateCollision(c) {
+  if (c.primaryBody != this.body2_ || c.normalBody != this.body1_) {
+    throw new Error();
+  }
+  if (c.getConnector() != this) {
+    throw new Error();
+  }
+  var travel = this.getTravel();
+  // use whichever limit is nearest
+  var upperLimit = this.maxTravel_ - travel < travel - this.minTravel_;
+  var limit = upperLimit ? this.maxTravel_ : this.minTravel_;
+  var axis = this.getAxisWorld();
+  c.normal = upperLimit ? axis.multiply(-1) : axis;
+  c.normalFixed = false;
+  c.ballNormal = false;
+  c.distance = upperLimit ? limit - travel : travel - limit;
+  c.impact1 = this.getPosition2();
+  // the point on body1 where the limit is
+  c.impact2 = this.getPosition1().add(axis.multiply(limit));
+  c.creator = Util.DEBUG ? 'PrismaticJoint' : '';
+};
+
+} // end class
+
+/**
+* @type {number}
+*/
+PrismaticJoint.nextJointNum = 0;
+
+exports = PrismaticJoint;
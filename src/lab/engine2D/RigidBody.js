@@ -29,6 +29,8 @@ there is a Joint between two RigidBodys. See {@link #addNonCollide} and
 
 The Polygon class has a way of specifying a subset of Edges which do not collide with
 another Polygon. See {@link myphysicslab.lab.engine2D.Polygon#setNonCollideEdge}.
+Polygons also have collision filtering by category, mask and group, see
+[Collision Filtering](myphysicslab.lab.engine2D.Polygon.html#collisionfiltering).
 
 @todo  how is initialize() method used?  It is not private anymore!!!
 
@@ -87,11 +89,28 @@ uses the lesser elasticity value of the two bodies involved.
 */
 getElasticity() {}
 
+/** Returns the coefficient of kinetic (sliding) friction used when calculating contact
+forces and collision impulses. The friction force opposes the sliding motion at a
+contact point and has magnitude equal to this coefficient times the normal force. A
+contact or collision uses the lesser friction value of the two bodies involved.
+* @return {number} coefficient of kinetic friction, zero means frictionless
+*/
+getKineticFriction() {}
+
 /** Returns the recently saved local coordinate system. See {@link #saveOldCoords}.
 * @return {?LocalCoords} the recently saved local coordinate system.
 */
 getOldCoords() {}
 
+/** Returns the coefficient of static friction used when calculating contact forces and
+collision impulses. When the bodies are not sliding at a contact point, the friction
+force can be as large as this coefficient times the normal force in order to prevent
+sliding. A contact or collision uses the lesser friction value of the two bodies
+involved.
+* @return {number} coefficient of static friction, zero means frictionless
+*/
+getStaticFriction() {}
+
 /** Returns the index into the {@link myphysicslab.lab.model.VarsList VarsList} for
 this RigidBody. The VarsList contains 6 values for each RigidBody,
 
@@ -166,6 +185,18 @@ lesser elasticity value of the two bodies involved.
 */
 setElasticity(value) {}
 
+/** Sets the coefficient of kinetic (sliding) friction used when calculating contact
+forces and collision impulses. See {@link #getKineticFriction}.
+* @param {number} value coefficient of kinetic friction, zero means frictionless
+*/
+setKineticFriction(value) {}
+
+/** Sets the coefficient of static friction used when calculating contact forces and
+collision impulses. See {@link #getStaticFriction}.
+* @param {number} value coefficient of static friction, zero means frictionless
+*/
+setStaticFriction(value) {}
+
 /** Sets velocity tolerance to use to determine if this RigidBody is in contact with
 another RigidBody
 @param {number} value velocity tolerance to use to determine if this RigidBody is in
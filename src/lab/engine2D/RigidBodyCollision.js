@@ -268,6 +268,18 @@ constructor(body, normalBody, joint) {
   * @private
   */
   this.elasticity_ = Math.min(body.getElasticity(), normalBody.getElasticity());
+  /** coefficient of static friction of this collision; the lesser of the two bodies.
+  * @type {number}
+  * @private
+  */
+  this.staticFriction_ = Math.min(body.getStaticFriction(),
+      normalBody.getStaticFriction());
+  /** coefficient of kinetic friction of this collision; the lesser of the two bodies.
+  * @type {number}
+  * @private
+  */
+  this.kineticFriction_ = Math.min(body.getKineticFriction(),
+      normalBody.getKineticFriction());
   /** true = normal is constant
   * @type {boolean}
   * @package
@@ -370,6 +382,18 @@ constructor(body, normalBody, joint) {
   * @package
   */
   this.force = Util.NaN;
+  /** friction force applied at the point of contact, along the tangent vector
+  * (see {@link #getTangent}); or NaN when friction force was not calculated.
+  * @type {number}
+  * @package
+  */
+  this.frictionForce = Util.NaN;
+  /** friction impulse applied at the point of impact, along the tangent vector
+  * (see {@link #getTangent}); or NaN when friction impulse was not calculated.
+  * @type {number}
+  * @package
+  */
+  this.frictionImpulse = Util.NaN;
 };
 
 /** @override */
@@ -383,6 +407,8 @@ toString() {
       +', contact: '+this.contact()
       +', joint: '+this.joint
       +', elasticity_: ' +Util.nf5(this.elasticity_)
+      +', staticFriction_: ' +Util.nf5(this.staticFriction_)
+      +', kineticFriction_: ' +Util.nf5(this.kineticFriction_)
       +', targetGap_: '+Util.NF5E(this.targetGap_)
       +', accuracy_: '+Util.NF7(this.accuracy_)
       +', mustHandle_: '+this.mustHandle_
@@ -396,6 +422,8 @@ toString() {
       +', detectedVelocity_: '+Util.NF5E(this.detectedVelocity_)
       +', impulse: '+Util.NF5E(this.impulse)
       +', force: '+Util.NF5E(this.force)
+      +', frictionImpulse: '+Util.NF5E(this.frictionImpulse)
+      +', frictionForce: '+Util.NF5E(this.frictionForce)
       +', updateTime_: '+Util.NF7(this.updateTime_)
       +', creator: '+this.creator
       +'}';
@@ -536,6 +564,15 @@ getImpulse() {
   return this.impulse;
 };
 
+/** Returns the coefficient of kinetic friction used when calculating the friction
+of sliding contacts and collisions. A collision uses the lesser kinetic friction value
+of the two bodies involved.
+* @return {number} coefficient of kinetic friction, a non-negative number
+*/
+getKineticFriction() {
+  return this.kineticFriction_;
+};
+
 /** The lateral velocity (sideways to normal) between the two bodies at the point of
 * contact.
 * @return {number} the lateral velocity (sideways to normal) between the two bodies
@@ -650,6 +687,54 @@ getRelativeVelocity() {
   return new Vector(vax - vbx, vay - vby);
 };
 
+/** Returns the tangential velocity of the two contact points of the collision,
+based on current velocity of the bodies. This is the component of relative velocity
+along the tangent vector (see {@link #getTangent}). Unlike {@link #getLateralVelocity}
+this uses the actual contact points (the `R` vectors) even for curved edges, so that a
+ball rolling without slipping has zero sliding velocity.
+* @return {number} the tangential velocity between the two contact points
+* @package
+*/
+getSlidingVelocity() {
+  var vax = 0;
+  var vay = 0;
+  var vbx = 0;
+  var vby = 0;
+  if (isFinite(this.primaryBody.getMass())) {
+    var r1 = this.getR1();
+    var va = this.primaryBody.getVelocity();
+    var wa = this.primaryBody.getAngularVelocity();
+    vax = va.getX() - wa*r1.getY();
+    vay = va.getY() + wa*r1.getX();
+  }
+  if (isFinite(this.normalBody.getMass())) {
+    var r2 = this.getR2();
+    var vb = this.normalBody.getVelocity();
+    var wb = this.normalBody.getAngularVelocity();
+    vbx = vb.getX() - wb*r2.getY();
+    vby = vb.getY() + wb*r2.getX();
+  }
+  return this.getTangent().dotProduct(new Vector(vax - vbx, vay - vby));
+};
+
+/** Returns the coefficient of static friction used when calculating the friction
+of contacts and collisions that are not sliding. A collision uses the lesser static
+friction value of the two bodies involved.
+* @return {number} coefficient of static friction, a non-negative number
+*/
+getStaticFriction() {
+  return this.staticFriction_;
+};
+
+/** Returns the unit tangent vector, which is perpendicular to the normal vector.
+Friction forces and impulses are measured along this vector.
+* @return {!Vector} the unit tangent vector, in world coords
+* @package
+*/
+getTangent() {
+  return new Vector(-this.normal.getY(), this.normal.getX());
+};
+
 /** Returns vector from center of mass of primary body to either point of impact
 * or to center of circular edge in world coords.
 * @return {!Vector} vector from center of mass of primary body to either point
@@ -25,6 +25,8 @@ const DebugEngine2D = goog.require('myphysicslab.lab.engine2D.DebugEngine2D');
 const DoubleRect = goog.require('myphysicslab.lab.util.DoubleRect');
 const EnergyInfo = goog.require('myphysicslab.lab.model.EnergyInfo');
 const EnergySystem = goog.require('myphysicslab.lab.model.EnergySystem');
+const EventFunction = goog.require('myphysicslab.lab.model.EventFunction');
+const FluidLaw = goog.require('myphysicslab.lab.engine2D.FluidLaw');
 const Force = goog.require('myphysicslab.lab.model.Force');
 const ForceLaw = goog.require('myphysicslab.lab.model.ForceLaw');
 const GenericEvent = goog.require('myphysicslab.lab.util.GenericEvent');
@@ -39,6 +41,7 @@ const RigidBody = goog.require('myphysicslab.lab.engine2D.RigidBody');
 const Scrim = goog.require('myphysicslab.lab.engine2D.Scrim');
 const SimList = goog.require('myphysicslab.lab.model.SimList');
 const Simulation = goog.require('myphysicslab.lab.model.Simulation');
+const Spring = goog.require('myphysicslab.lab.model.Spring');
 const UtilEngine = goog.require('myphysicslab.lab.engine2D.UtilEngine');
 const Util = goog.require('myphysicslab.lab.util.Util');
 const VarsList = goog.require('myphysicslab.lab.model.VarsList');
@@ -74,6 +77,14 @@ All the Parameters are broadcast when their values change.  In addition:
 
 + GenericEvent named `ELASTICITY_SET`, see {@link #setElasticity}.
 
++ GenericEvent named `FRICTION_SET`, see {@link #setFriction}.
+
++ GenericEvent named `CONNECTOR_BROKEN`, see {@link #breakConnectors}.
+
++ GenericEvents named `SENSOR_ENTER`, `SENSOR_STAY` and `SENSOR_LEAVE` are broadcast
+    by {@link ImpulseSim} for bodies that are inside a sensor, see
+    {@link #SENSOR_ENTER}.
+
 ### RigidBodys
 
 RigidBodySim maintains a list of {@link RigidBody}s which are
@@ -89,6 +100,10 @@ ForceLaws such as {@link GravityLaw} and
 {@link DampingLaw} are set up so that they observe the SimList and
 can therefore apply their force to every RigidBody.
 
+A {@link Spring} that has a break force (see {@link Spring#setBreakForce}) is removed
+from the list of ForceLaws and from the SimList when its force exceeds the break force,
+see {@link #breakConnectors}.
+
 ### Variables
 
 Variables are stored in a {@link VarsList}. Each RigidBody gets
@@ -127,6 +142,12 @@ the VarsList are then available for later reuse. Adding a RigidBody either exten
 length of the VarsList or reuses some previously deleted slots of variables. But the 6
 variables allocated for a RigidBody are guaranteed to be contiguous.
 
+When a {@link FluidLaw} is added, a variable named `WORK_DONE` is added to the
+VarsList. It is the work done by the drag forces of FluidLaws, which is reported by
+{@link EnergyInfo#getWorkDone} in the EnergyInfo from {@link #getEnergyInfo}. The total
+energy minus the work done stays constant, unless there are other forces like damping
+or collisions that change the energy.
+
 {@link myphysicslab.lab.model.ExpressionVariable ExpressionVariables} or
 {@link myphysicslab.lab.model.FunctionVariable FunctionVariables} can be added to a
 VarsList. Their position in the VarsList remains constant after they are allocated.
@@ -167,6 +188,11 @@ constructor(opt_name) {
   * @protected
   */
   this.simList_ = new SimList();
+  /** Functions of the state whose zero crossings are events.
+  * @type {!Array<!EventFunction>}
+  * @private
+  */
+  this.eventFunctions_ = [];
   var var_names = [
       VarsList.en.TIME,
       EnergySystem.en.KINETIC_ENERGY,
@@ -203,6 +229,12 @@ constructor(opt_name) {
   * @private
   */
   this.potentialOffset_ = 0;
+  /** index of the variable for work done by drag forces, or -1 when there is no such
+  * variable
+  * @type {number}
+  * @private
+  */
+  this.workIndex_ = -1;
   /* How to use debugPaint_:
   * Note that RigidBodySim has a debugPaint_, it is called inside moveObjects()
   * Note that CollisionAdvance has a debugPaint_; ensure it calls sim.setDebugPaint().
@@ -281,6 +313,44 @@ getTime() {
   return this.varsList_.getTime();
 };
 
+/** Removes any connectors that have broken, see {@link #breakConnectors}.
+* @override
+*/
+acceptStep() {
+  this.breakConnectors();
+};
+
+/** @override */
+addEventFunction(eventFunction) {
+  if (!goog.array.contains(this.eventFunctions_, eventFunction)) {
+    this.eventFunctions_.push(eventFunction);
+  }
+};
+
+/** @override */
+getEventFunctions() {
+  return goog.array.clone(this.eventFunctions_);
+};
+
+/** @override */
+removeEventFunction(eventFunction) {
+  goog.array.remove(this.eventFunctions_, eventFunction);
+};
+
+/** Returns an empty array: the rate of change of the position variables is equal to
+the velocity variables, but the contact and collision forces depend on velocity, so
+symplectic DiffEqSolvers are not appropriate.
+* @override
+*/
+getPositionVariables() {
+  return [];
+};
+
+/** @override */
+getVelocityVariables() {
+  return [];
+};
+
 /** Whether to add Forces to the SimList so they can be seen.
 * @return {boolean} whether to add Forces to the SimList so they can be seen
 */
@@ -345,6 +415,18 @@ saveInitialState() {
   this.broadcast(new GenericEvent(this, Simulation.INITIAL_STATE_SAVED));
 };
 
+/** Forgets the saved state and the old coordinates of the bodies, and removes the
+temporary elements (such as collisions being shown) from the SimList.
+* @override
+*/
+clearHistory() {
+  this.recentState_ = null;
+  goog.array.forEach(this.bods_, function(b) {
+    b.eraseOldCoords();
+  });
+  this.getSimList().removeTemporary(Util.POSITIVE_INFINITY);
+};
+
 /** Removes all RigidBodys, ForceLaws, most Variables, and clears the SimList. This is
 used in applications to build a new configuration of RigidBodys. This should give
 essentially the same state that you would get from making a new RigidBodySim, except for
@@ -369,6 +451,7 @@ cleanSlate() {
     // delete all variables except: 0 = time, 1 = KE, 2 = PE, 3 = TE
     this.varsList_.deleteVariables(4, nv - 4);
   }
+  this.workIndex_ = -1;
   for (var i=0, n=this.bods_.length; i<n; i++) {
     // For safety, erase any varsIndex info in the bodies that are being removed,
     // even though those bodies are about to be deleted.
@@ -512,6 +595,24 @@ modifyObjects() {
   va.setValue(3, einfo.getTotalEnergy(), true);
 };
 
+/** Removes any connectors whose force has exceeded their break force. RigidBodySim
+removes each broken {@link Spring} from the list of ForceLaws and from the SimList, so
+that the Spring is also removed from the display. Broadcasts a {@link #CONNECTOR_BROKEN}
+event for each connector that is removed, with the connector as the value of the event.
+This is called from {@link #acceptStep} after each step of the simulation, so that
+connectors are not broken by the trial states that are discarded during a step.
+@return {undefined}
+*/
+breakConnectors() {
+  goog.array.forEachRight(this.forceLaws_, function(f) {
+    if (f instanceof Spring && f.isBroken()) {
+      this.removeForceLaw(f);
+      this.simList_.remove(f);
+      this.broadcast(new GenericEvent(this, RigidBodySim.CONNECTOR_BROKEN, f));
+    }
+  }, this);
+};
+
 /** Adds the ForceLaw to the list of ForceLaws operating in this simulation, if it is
 not already on the list.
 @param {!ForceLaw} forceLaw the ForceLaw to add
@@ -536,6 +637,10 @@ addForceLaw(forceLaw) {
   if (!goog.array.contains(this.forceLaws_, forceLaw)) {
     this.forceLaws_.push(forceLaw);
   }
+  if (forceLaw instanceof FluidLaw && this.workIndex_ < 0) {
+    this.workIndex_ = this.varsList_.addVariables([RigidBodySim.en.WORK_DONE],
+        [RigidBodySim.i18n.WORK_DONE]);
+  }
   // discontinuous change to energy; 1 = KE, 2 = PE, 3 = TE
   this.getVarsList().incrSequence(1, 2, 3);
 };
@@ -597,7 +702,8 @@ getEnergyInfo_(vars) {
   goog.array.forEach(this.forceLaws_, function(forceLaw) {
     pe += forceLaw.getPotentialEnergy();
   });
-  return new EnergyInfo(pe + this.potentialOffset_, te, re);
+  var work = this.workIndex_ < 0 ? Util.NaN : vars[this.workIndex_];
+  return new EnergyInfo(pe + this.potentialOffset_, te, re, work);
 };
 
 /** @override */
@@ -646,12 +752,19 @@ evaluate(vars, change, timeStep) {
       change[idx + RigidBodySim.VW_] = 0;
     }
   }, this);
+  var power = 0;
   goog.array.forEach(this.forceLaws_, function(forceLaw) {
     var forces = forceLaw.calculateForces();
     goog.array.forEach(forces, function(force) {
       this.applyForce(change, force);
     }, this);
+    if (forceLaw instanceof FluidLaw) {
+      power += forceLaw.getPower();
+    }
   }, this);
+  if (this.workIndex_ >= 0) {
+    change[this.workIndex_] = power; // work done by drag forces
+  }
   change[this.varsList_.timeIndex()] = 1; // time variable
   return null;
 };
@@ -744,6 +857,28 @@ setElasticity(value) {
   this.broadcast(new GenericEvent(this, RigidBodySim.ELASTICITY_SET, value));
 };
 
+/** Sets the coefficients of static and kinetic friction of all RigidBodys.
+Friction is used when calculating contact forces and collision impulses; a value of
+zero means no friction. Broadcasts a {@link #FRICTION_SET} event with the coefficient
+of static friction as value. See {@link RigidBody#setStaticFriction} and
+{@link RigidBody#setKineticFriction}.
+* @param {number} staticFriction coefficient of static friction to set on all
+*     RigidBodys, a non-negative number
+* @param {number} kineticFriction coefficient of kinetic friction to set on all
+*     RigidBodys, a non-negative number
+* @throws {!Error} if there are no RigidBodys
+*/
+setFriction(staticFriction, kineticFriction) {
+  if (this.bods_.length == 0) {
+    throw new Error('setFriction: no bodies');
+  }
+  goog.array.forEach(this.bods_, function(body) {
+    body.setStaticFriction(staticFriction);
+    body.setKineticFriction(kineticFriction);
+  });
+  this.broadcast(new GenericEvent(this, RigidBodySim.FRICTION_SET, staticFriction));
+};
+
 } // end class
 
 /** Offset in the VarsList for a RigidBody's x position
@@ -781,9 +916,41 @@ RigidBodySim.VW_ = 5;
 * @const
 */
 RigidBodySim.ELASTICITY_SET = 'ELASTICITY_SET';
+/** Name of event broadcast from {@link #setFriction}.
+* @type {string}
+* @const
+*/
+RigidBodySim.FRICTION_SET = 'FRICTION_SET';
+/** Name of event broadcast from {@link #breakConnectors}.
+* @type {string}
+* @const
+*/
+RigidBodySim.CONNECTOR_BROKEN = 'CONNECTOR_BROKEN';
+/** Name of event broadcast by {@link ImpulseSim} when a body enters a sensor, see
+[Sensors](myphysicslab.lab.engine2D.Polygon.html#sensors). The value of the event is an
+array holding the sensor Polygon and the other body.
+* @type {string}
+* @const
+*/
+RigidBodySim.SENSOR_ENTER = 'SENSOR_ENTER';
+/** Name of event broadcast by {@link ImpulseSim} after each time step for each body
+that stays inside a sensor. The value of the event is an array holding the sensor
+Polygon and the other body. See {@link #SENSOR_ENTER}.
+* @type {string}
+* @const
+*/
+RigidBodySim.SENSOR_STAY = 'SENSOR_STAY';
+/** Name of event broadcast by {@link ImpulseSim} when a body leaves a sensor, or is
+removed from the simulation while inside a sensor. The value of the event is an array
+holding the sensor Polygon and the other body. See {@link #SENSOR_ENTER}.
+* @type {string}
+* @const
+*/
+RigidBodySim.SENSOR_LEAVE = 'SENSOR_LEAVE';
 
 /** Set of internationalized strings.
 @typedef {{
+  BROAD_PHASE: string,
   COLLISION_HANDLING: string,
   COLLISION_ACCURACY: string,
   DISTANCE_TOL: string,
@@ -791,7 +958,11 @@ RigidBodySim.ELASTICITY_SET = 'ELASTICITY_SET';
   RANDOM_SEED: string,
   SHOW_FORCES: string,
   SHOW_COLLISIONS: string,
-  VELOCITY_TOL: string
+  SLEEP_ENABLED: string,
+  SLEEP_TIME: string,
+  SLEEP_VELOCITY: string,
+  VELOCITY_TOL: string,
+  WORK_DONE: string
   }}
 */
 RigidBodySim.i18n_strings;
@@ -800,6 +971,7 @@ RigidBodySim.i18n_strings;
 @type {RigidBodySim.i18n_strings}
 */
 RigidBodySim.en = {
+  BROAD_PHASE: 'broad phase',
   COLLISION_HANDLING: 'collision method',
   COLLISION_ACCURACY: 'collision accuracy',
   DISTANCE_TOL: 'distance tolerance',
@@ -807,7 +979,11 @@ RigidBodySim.en = {
   RANDOM_SEED: 'random seed',
   SHOW_FORCES: 'show forces',
   SHOW_COLLISIONS: 'show collisions',
-  VELOCITY_TOL: 'velocity tolerance'
+  SLEEP_ENABLED: 'sleep enabled',
+  SLEEP_TIME: 'sleep time',
+  SLEEP_VELOCITY: 'sleep velocity',
+  VELOCITY_TOL: 'velocity tolerance',
+  WORK_DONE: 'work done'
 };
 
 /**
@@ -815,6 +991,7 @@ RigidBodySim.en = {
 @type {RigidBodySim.i18n_strings}
 */
 RigidBodySim.de_strings = {
+  BROAD_PHASE: 'Grobphase',
   COLLISION_HANDLING: 'Kollisionsmethode',
   COLLISION_ACCURACY: 'Kollisionsgenauigkeit',
   DISTANCE_TOL: 'Distanztoleranz',
@@ -822,7 +999,11 @@ RigidBodySim.de_strings = {
   RANDOM_SEED: 'Zufallskern',
   SHOW_FORCES: 'Kräfte anzeigen',
   SHOW_COLLISIONS: 'Kollisionen anzeigen',
-  VELOCITY_TOL: 'Geschwindigkeitstoleranz'
+  SLEEP_ENABLED: 'Schlafen aktiviert',
+  SLEEP_TIME: 'Schlafzeit',
+  SLEEP_VELOCITY: 'Schlafgeschwindigkeit',
+  VELOCITY_TOL: 'Geschwindigkeitstoleranz',
+  WORK_DONE: 'verrichtete Arbeit'
 };
 
 /** Set of internationalized strings.
@@ -0,0 +1,134 @@
+// Copyright 2016 Erik Neumann.  All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+goog.module('myphysicslab.lab.engine2D.RigidBodySnapshot');
+
+goog.require('goog.array');
+goog.require('goog.object');
+const AbstractSubject = goog.require('myphysicslab.lab.util.AbstractSubject');
+const ContactSim = goog.require('myphysicslab.lab.engine2D.ContactSim');
+const EasyScriptParser = goog.require('myphysicslab.lab.util.EasyScriptParser');
+const RigidBodySim = goog.require('myphysicslab.lab.engine2D.RigidBodySim');
+const SimRunner = goog.require('myphysicslab.lab.app.SimRunner');
+const SimSnapshot = goog.require('myphysicslab.lab.app.SimSnapshot');
+const Spring = goog.require('myphysicslab.lab.model.Spring');
+
+/** Saves and loads snapshots of a {@link RigidBodySim} application as JSON text. In
+addition to what {@link SimSnapshot} saves, a snapshot contains:
+
++ `connectors` the name of each {@link myphysicslab.lab.engine2D.Connector} of a
+    ContactSim.
+
++ `forceLaws` the names of the bodies that each ForceLaw acts on; and for a ForceLaw
+    that is a Subject, its name and Parameter values. Springs are saved by SimSnapshot.
+
+Connectors are part of the structure of the simulation which is built by the
+application, so only their names are saved. When loading, a connector in the snapshot
+that does not exist causes an Error. A connector that exists but is not in the
+snapshot is removed from the simulation; this restores the state after a connector has
+broken, see {@link RigidBodySim#breakConnectors}.
+
+*/
+class RigidBodySnapshot extends SimSnapshot {
+/**
+* @param {!RigidBodySim} sim the simulation to save and load
+* @param {!SimRunner} simRun the SimRunner of the simulation, its Clock time is saved
+* @param {!EasyScriptParser} easyScript the EasyScriptParser whose Subjects'
+*     Parameters are saved
+* @param {string=} opt_name name of this RigidBodySnapshot.
+*/
+constructor(sim, simRun, easyScript, opt_name) {
+  super(sim, simRun, easyScript, opt_name);
+  /**
+  * @type {!RigidBodySim}
+  * @private
+  */
+  this.rbSim_ = sim;
+};
+
+/** @override */
+getClassName() {
+  return 'RigidBodySnapshot';
+};
+
+/** @override */
+loadObjects(snap) {
+  super.loadObjects(snap);
+  var sim = this.rbSim_;
+  if (sim instanceof ContactSim) {
+    var contactSim = /** @type {!ContactSim} */(sim);
+    var names = goog.array.map(snap['connectors'], function(c) { return c['name']; });
+    var connectors = sim.getConnectors();
+    goog.array.forEach(names, function(name) {
+      if (!goog.array.some(connectors, function(c) { return c.getName() == name; })) {
+        throw new Error('unknown connector '+name);
+      }
+    });
+    goog.array.forEach(connectors, function(c) {
+      if (!goog.array.contains(names, c.getName())) {
+        contactSim.removeConnector(c);
+      }
+    });
+  }
+  var forceLaws = this.rbSim_.getForceLaws();
+  goog.array.forEach(snap['forceLaws'], function(f) {
+    if (!goog.isString(f['name'])) {
+      return;
+    }
+    var law = goog.array.find(forceLaws, function(fl) {
+        return fl instanceof AbstractSubject && fl.getName() == f['name'];
+      });
+    if (law instanceof AbstractSubject) {
+      var subj = /** @type {!AbstractSubject} */(law);
+      goog.object.forEach(f['parameters'], function(value, name) {
+        SimSnapshot.setParameter(subj, name, value);
+      });
+    }
+  });
+};
+
+/** @override */
+saveObjects(snap) {
+  super.saveObjects(snap);
+  var sim = this.rbSim_;
+  snap['connectors'] = sim instanceof ContactSim ?
+      goog.array.map(sim.getConnectors(), function(c) {
+        return {'name': c.getName()};
+      }) : [];
+  var forceLaws = [];
+  goog.array.forEach(sim.getForceLaws(), function(fl) {
+    if (fl instanceof Spring) {
+      // springs are saved by SimSnapshot
+      return;
+    }
+    var f = {
+      'bodies': goog.array.map(fl.getBodies(), function(b) { return b.getName(); })
+    };
+    if (fl instanceof AbstractSubject) {
+      f['name'] = fl.getName();
+      f['parameters'] = {};
+      goog.array.forEach(fl.getParameters(), function(p) {
+        if (!p.isComputed()) {
+          f['parameters'][p.getName()] = SimSnapshot.encodeNumber(p.getValue());
+        }
+      });
+    }
+    forceLaws.push(f);
+  });
+  snap['forceLaws'] = forceLaws;
+};
+
+} // end class
+
+exports = RigidBodySnapshot;
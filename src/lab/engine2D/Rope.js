@@ -34,7 +34,11 @@ when the rope becomes tight. A flexible rope becomes tight when its length is cl
 or exceeds its rest length. A rigid rod is always tight and so is always generating
 collisions and contacts, similar to a Joint.
 
-Ropes are immutable: they cannot be changed after they are constructed.
+Ropes are immutable: they cannot be changed after they are constructed, except that
+a Rope can be made ***breakable*** by specifying a *break force* or *break impulse*, see
+{@link #setBreakForce} and {@link #setBreakImpulse}. When the force or impulse on the
+Rope is larger, then {@link myphysicslab.lab.engine2D.ContactSim} removes the Rope from
+the simulation.
 
 Rope uses 'curved edge physics' for calculating contact forces. See the paper [Curved
 Edge Physics paper](CEP_Curved_Edge_Physics.pdf) by Erik Neumann. The objects attached to a
@@ -114,6 +118,21 @@ constructor(body1, attach1_body, body2, attach2, length, ropeType) {
   @private
   */
   this.veloTol_ = Math.max(this.body1_.getVelocityTol(), this.body2_.getVelocityTol());
+  /** force above which this Rope breaks
+  * @type {number}
+  * @private
+  */
+  this.breakForce_ = Util.POSITIVE_INFINITY;
+  /** impulse above which this Rope breaks
+  * @type {number}
+  * @private
+  */
+  this.breakImpulse_ = Util.POSITIVE_INFINITY;
+  /** magnitude of the most recent contact force on this Rope
+  * @type {number}
+  * @private
+  */
+  this.force_ = 0;
 };
 
 /** @override */
@@ -166,6 +185,20 @@ align() {
   this.body2_.alignTo(/*p_body=*/this.attach2_body_, /*p_world=*/d2);
 };
 
+/** Returns attachment point for body 1, in body coordinates of body 1.
+@return {!Vector} attachment point for body 1, in body coordinates of body 1.
+*/
+getAttach1() {
+  return this.attach1_body_;
+};
+
+/** Returns attachment point for body 2, in body coordinates of body 2.
+@return {!Vector} attachment point for body 2, in body coordinates of body 2.
+*/
+getAttach2() {
+  return this.attach2_body_;
+};
+
 /** @override */
 getBody1() {
   return this.body1_;
@@ -181,11 +214,35 @@ getBoundsWorld() {
   return DoubleRect.make(this.getPosition1(), this.getPosition2());
 };
 
+/** Returns the force above which this Rope breaks.
+@return {number} the force above which this Rope breaks; infinity means the Rope
+    never breaks
+*/
+getBreakForce() {
+  return this.breakForce_;
+};
+
+/** Returns the collision impulse above which this Rope breaks.
+@return {number} the impulse above which this Rope breaks; infinity means the Rope
+    never breaks
+*/
+getBreakImpulse() {
+  return this.breakImpulse_;
+};
+
 /** @override */
 getEndPoint() {
   return this.body2_.bodyToWorld(this.attach2_body_);
 };
 
+/** Returns the magnitude of the contact force that was most recently applied by this
+Rope, as calculated by ContactSim. The force is zero when a flexible rope is slack.
+@return {number} magnitude of the most recent contact force of this Rope
+*/
+getForce() {
+  return this.force_;
+};
+
 /** Returns the distance between end points of this spring
 @return {number} the distance between end points of this spring
 */
@@ -232,6 +289,14 @@ getVector() {
   return this.getEndPoint().subtract(this.getStartPoint());
 };
 
+/** Returns `true` if this is a rod, which has fixed length; or `false` for a rope,
+which can be slack.
+@return {boolean} `true` if this is a rod
+*/
+isRod() {
+  return this.rod_;
+};
+
 /** Returns `true` if the rope is tight, meaning its length is equal to its rest
 length.
 @return {boolean} `true` if the rope is tight
@@ -241,6 +306,39 @@ isTight() {
       this.getLength() > this.restLength_ - this.distTol_;
 };
 
+/** Sets the force above which this Rope breaks.
+@param {number} value the force above which this Rope breaks; infinity means the
+    Rope never breaks
+@throws {!Error} if value is not positive
+*/
+setBreakForce(value) {
+  if (!(value > 0)) {
+    throw new Error('break force must be positive '+value);
+  }
+  this.breakForce_ = value;
+};
+
+/** Sets the collision impulse above which this Rope breaks.
+@param {number} value the impulse above which this Rope breaks; infinity means the
+    Rope never breaks
+@throws {!Error} if value is not positive
+*/
+setBreakImpulse(value) {
+  if (!(value > 0)) {
+    throw new Error('break impulse must be positive '+value);
+  }
+  this.breakImpulse_ = value;
+};
+
+/** Sets the magnitude of the contact force that was most recently applied by this
+Rope. This is called by ContactSim after calculating the contact forces.
+@param {number} value magnitude of the contact force of this Rope
+@package
+*/
+setForce(value) {
+  this.force_ = value;
+};
+
 /** @override */
 updateCollision(c) {
   if (c.primaryBody != this.body1_ || c.normalBody != this.body2_)
@@ -136,6 +136,11 @@ getCenterOfMassBody() {
   return Vector.ORIGIN;
 };
 
+/** @override */
+getCharge() {
+  return 0;
+};
+
 /** @override */
 getCentroidBody() {
   return Vector.ORIGIN;
@@ -181,6 +186,11 @@ getKineticEnergy() {
   return 0;
 };
 
+/** @override */
+getKineticFriction() {
+  return 0;
+};
+
 /** @override */
 getLeftBody() {
   return Util.NEGATIVE_INFINITY;
@@ -226,6 +236,11 @@ getRightWorld() {
   return Util.POSITIVE_INFINITY;
 };
 
+/** @override */
+getStaticFriction() {
+  return 0;
+};
+
 /** @override */
 getTopBody() {
 return Util.POSITIVE_INFINITY;
@@ -271,6 +286,11 @@ isMassObject() {
   return true;
 };
 
+/** @override */
+isSleeping() {
+  return false;
+};
+
 /** @override */
 momentAboutCM() {
   return Util.POSITIVE_INFINITY;
@@ -323,6 +343,11 @@ setAngle(angle) {
 setAngularVelocity(angular_velocity) {
 };
 
+/** @override */
+setCharge(charge) {
+  throw new Error();
+};
+
 /** @override */
 setCenterOfMass(x_body, y_body) {
 };
@@ -344,6 +369,10 @@ setExpireTime(time) {
   return this;
 };
 
+/** @override */
+setKineticFriction(value) {
+};
+
 /** @override */
 setMass(mass) {
   throw new Error();
@@ -367,6 +396,10 @@ setPosition(loc_world, angle) {
   }
 };
 
+/** @override */
+setStaticFriction(value) {
+};
+
 /** @override */
 setVelocity(velocity_world, angular_velocity) {
   if (velocity_world.getX() != 0 || velocity_world.getY() != 0) {
@@ -0,0 +1,96 @@
+// Copyright 2016 Erik Neumann.  All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+goog.module('myphysicslab.lab.engine2D.SleepStats');
+
+goog.require('goog.array');
+
+const Util = goog.require('myphysicslab.lab.util.Util');
+
+/** Statistics about the islands of bodies and sleeping bodies in a
+{@link myphysicslab.lab.engine2D.ContactSim}, see
+{@link myphysicslab.lab.engine2D.ContactSim#getSleepStats}. An *island* is a group of
+moveable bodies that are linked to each other by contacts or joints.
+
+Statistics are simply stored in public properties, there are no 'getter' or 'setter'
+methods.
+*/
+class SleepStats {
+constructor() {
+  /** number of islands, both awake and sleeping
+  * @type {number}
+  */
+  this.numIslands = 0;
+  /** number of sleeping islands
+  * @type {number}
+  */
+  this.numSleepingIslands = 0;
+  /** number of moveable bodies, both awake and sleeping
+  * @type {number}
+  */
+  this.numBodies = 0;
+  /** number of sleeping bodies
+  * @type {number}
+  */
+  this.numSleepingBodies = 0;
+  /** number of times an island has fallen asleep, since last cleared
+  * @type {number}
+  */
+  this.numSleeps = 0;
+  /** number of times an island has woken up, since last cleared
+  * @type {number}
+  */
+  this.numWakes = 0;
+};
+
+/** @override */
+toString() {
+  return Util.ADVANCED ? '' : 'SleepStats{islands: '+this.numIslands
+      +', sleepingIslands: '+this.numSleepingIslands
+      +', bodies: '+this.numBodies
+      +', sleepingBodies: '+this.numSleepingBodies
+      +', sleeps: '+this.numSleeps
+      +', wakes: '+this.numWakes
+      +'}';
+};
+
+/** Resets statistics to start from zero.
+@return {undefined}
+*/
+clear() {
+  this.numIslands = 0;
+  this.numSleepingIslands = 0;
+  this.numBodies = 0;
+  this.numSleepingBodies = 0;
+  this.numSleeps = 0;
+  this.numWakes = 0;
+};
+
+/** Collects the statistics about the given islands. The number of sleeps and wakes is
+not changed.
+@param {!Array<!Array<?>>} awakeIslands the islands that are awake, each island is
+    a list of bodies
+@param {!Array<!Array<?>>} sleepingIslands the islands that are sleeping, each island
+    is a list of bodies
+*/
+update(awakeIslands, sleepingIslands) {
+  var count = function(sum, island) { return sum + island.length; };
+  this.numSleepingIslands = sleepingIslands.length;
+  this.numIslands = awakeIslands.length + this.numSleepingIslands;
+  this.numSleepingBodies = goog.array.reduce(sleepingIslands, count, 0);
+  this.numBodies = goog.array.reduce(awakeIslands, count, this.numSleepingBodies);
+};
+
+} // end class
+exports = SleepStats;
@@ -490,6 +490,15 @@ maxDistanceTo(p_body) {
   return dist1 > dist2 ? dist1 : dist2;
 };
 
+/** Returns `true` when the region above this Edge is outside of the Polygon (when
+viewed in body coordinates); for a vertical Edge `true` means the region right of the
+Edge is outside.
+@return {boolean} `true` means the region above (or right of) this Edge is outside
+*/
+outsideIsUp() {
+  return this.outsideIsUp_;
+};
+
 /**  Returns the projection of the given point onto the extended line of this Edge,
 where the extensions continue beyond the endpoints of this Edge.
 This is the point on this line where a perpendicular would cross the given point.
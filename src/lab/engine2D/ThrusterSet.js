@@ -166,6 +166,13 @@ getMagnitude() {
   return this.magnitude_;
 };
 
+/** Returns the number of thrusters in this ThrusterSet.
+* @return {number} the number of thrusters
+*/
+getNumThrusters() {
+  return this.active_.length;
+};
+
 /** @override */
 getPotentialEnergy() {
   return 0;
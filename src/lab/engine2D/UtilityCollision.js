@@ -18,7 +18,9 @@ goog.require('goog.array');
 goog.require('goog.asserts');
 
 const CornerEdgeCollision = goog.require('myphysicslab.lab.engine2D.CornerEdgeCollision');
+const DoubleRect = goog.require('myphysicslab.lab.util.DoubleRect');
 const Edge = goog.require('myphysicslab.lab.engine2D.Edge');
+const EdgeEdgeCollision = goog.require('myphysicslab.lab.engine2D.EdgeEdgeCollision');
 const RigidBody = goog.require('myphysicslab.lab.engine2D.RigidBody');
 const RigidBodyCollision = goog.require('myphysicslab.lab.engine2D.RigidBodyCollision');
 const UtilEngine = goog.require('myphysicslab.lab.engine2D.UtilEngine');
@@ -234,6 +236,188 @@ static checkVertexes(collisions, body1, body2, time) {
   }); // forEach
 };
 
+/** Continuous collision detection: finds Vertexes and convex CircularEdges of body2
+that swept into an Edge of body1 during the last time step, even when they passed
+completely through the Edge. The motion of each feature is taken to be along a
+straight line from its old position (see
+{@link myphysicslab.lab.engine2D.Polygon#getOldCoords}) to its current position, as
+seen from body1. A circle is swept as its center point, with the Edges of body1 offset
+by the radius of the circle.
+
+The distance of the collision is measured from the line tangent to the Edge at the
+point of impact. The collision is therefore penetrating when the feature has moved
+past the point of impact, which causes the collision to be found at the time of impact
+by backing up in time. Otherwise a feature that passed thru a CircularEdge is outside
+of the Edge again at the end of the time step, and no collision would be found.
+
+Vertexes crossing a StraightEdge are found by {@link #testCollisionVertex}, so only
+CircularEdges are checked for Vertexes here.
+
+See {@link myphysicslab.lab.engine2D.Polygon#setContinuousCollision}.
+@param {!Array<!RigidBodyCollision>} collisions  the list of
+    collisions to add to
+@param {!myphysicslab.lab.engine2D.Polygon} body1 the Polygon whose edges are checked
+@param {!myphysicslab.lab.engine2D.Polygon} body2 the Polygon whose Vertexes and
+    CircularEdges are swept
+@param {number} time current simulation time
+@package
+*/
+static checkSwept(collisions, body1, body2, time) {
+  var bodyOld1 = body1.getOldCoords();
+  var bodyOld2 = body2.getOldCoords();
+  // either both should be null or both should be non-null
+  if (bodyOld1 == null || bodyOld2 == null) {
+    if (bodyOld1 != null || bodyOld2 != null) {
+      throw new Error('problem with old copy in checkSwept');
+    }
+    return;
+  }
+  goog.array.forEach(body2.getVertexes_(), function sweepVertex(v2) {
+    if (body1.nonCollideEdge(v2.getEdge1()) && body1.nonCollideEdge(v2.getEdge2())) {
+      return;
+    }
+    // mid-point Vertexes of a convex circle are covered by sweeping the circle
+    var e2 = v2.getEdge1();
+    if (!v2.isEndPoint() && e2 != null && !e2.isStraight
+        && /** @type {!myphysicslab.lab.engine2D.CircularEdge} */(e2).outsideIsOut()) {
+      return;
+    }
+    // p_body = position of Vertex v2 in body1 coords
+    var p_body = body1.worldToBody(body2.bodyToWorld(v2.locBody()));
+    // p_body_old = old position of Vertex v2 in old-body1 coords
+    var p_body_old = bodyOld1.worldToBody(bodyOld2.bodyToWorld(v2.locBody()));
+    goog.array.forEach(body1.getEdges_(), function(e1) {
+      if (e1.isStraight || body2.nonCollideEdge(e1)) {
+        return;
+      }
+      var r = UtilityCollision.sweepEdge(e1, p_body, p_body_old, 0);
+      if (r == null) {
+        return;
+      }
+      var c = new CornerEdgeCollision(v2, e1);
+      c.distance = p_body.subtract(r[0]).dotProduct(r[1]);
+      c.impact1 = body1.bodyToWorld(r[0]);
+      c.normal = body1.rotateBodyToWorld(r[1]);
+      c.radius2 = e1.getCurvature(r[0]);
+      c.ballNormal = true;
+      c.creator = Util.DEBUG ? 'checkSwept' : '';
+      c.setDetectedTime(time);
+      UtilityCollision.addCollision(collisions, c);
+    });
+  });
+  goog.array.forEach(body2.getEdges_(), function sweepCircle(e2) {
+    if (e2.isStraight || body1.nonCollideEdge(e2)) {
+      return;
+    }
+    var circle = /** @type {!myphysicslab.lab.engine2D.CircularEdge} */(e2);
+    if (!circle.outsideIsOut()) {
+      return;
+    }
+    var radius = circle.getRadius();
+    // p_body = center of circle in body1 coords
+    var p_body = body1.worldToBody(body2.bodyToWorld(circle.getCenterBody()));
+    // p_body_old = old center of circle in old-body1 coords
+    var p_body_old = bodyOld1.worldToBody(bodyOld2.bodyToWorld(circle.getCenterBody()));
+    goog.array.forEach(body1.getEdges_(), function(e1) {
+      if (body2.nonCollideEdge(e1)) {
+        return;
+      }
+      var r = UtilityCollision.sweepEdge(e1, p_body, p_body_old, radius);
+      if (r == null) {
+        return;
+      }
+      // the point of impact on the circle must be within the arc of the circle
+      var n_body2 = body2.rotateWorldToBody(body1.rotateBodyToWorld(r[1]));
+      if (!circle.isWithinArc(n_body2.multiply(-radius))) {
+        return;
+      }
+      var c = new EdgeEdgeCollision(circle, e1);
+      c.distance = p_body.subtract(r[0]).dotProduct(r[1]) - radius;
+      c.impact1 = body1.bodyToWorld(r[0]);
+      c.normal = body1.rotateBodyToWorld(r[1]);
+      c.ballObject = true;
+      c.ballNormal = !e1.isStraight;
+      c.radius1 = radius;
+      c.radius2 = e1.getCurvature(r[0]);
+      c.creator = Util.DEBUG ? 'checkSwept' : '';
+      c.setDetectedTime(time);
+      UtilityCollision.addCollision(collisions, c);
+    });
+  });
+};
+
+/** Finds where a point moving along a straight line first touches an Edge, when the
+point is offset from the Edge by the given radius.
+@param {!Edge} edge the Edge to check
+@param {!Vector} p_body the current position of the point, in body coords of the Edge
+@param {!Vector} p_body_old the position of the point at the last time step, in body
+    coords of the Edge
+@param {number} radius the distance from the point to the Edge when touching
+@return {?Array<!Vector>} the point of impact on the Edge and the normal at that point,
+    both in body coords; or `null` when the point does not touch the Edge
+@private
+*/
+static sweepEdge(edge, p_body, p_body_old, radius) {
+  // Edges with zero centroid radius are not used for collisions, see
+  // Polygon.setSpecialEdge
+  if (edge.getCentroidRadius() == 0) {
+    return null;
+  }
+  var d = p_body.subtract(p_body_old);
+  // Proximity test: the path of the point is within a circle around its midpoint
+  var maxRadius = edge.getCentroidRadius() + radius + d.length()/2;
+  var mid = p_body_old.add(d.multiply(0.5));
+  if (edge.getCentroidBody().distanceSquaredTo(mid) > maxRadius*maxRadius) {
+    return null;
+  }
+  // s = fraction of the path travelled at time of impact
+  var s;
+  if (edge.isStraight) {
+    // distance to the line of the edge changes linearly along the path
+    var dist_old = edge.distanceToLine(p_body_old) - radius;
+    var dist = edge.distanceToLine(p_body) - radius;
+    if (dist_old < 0 || dist >= 0) {
+      return null;
+    }
+    s = dist_old/(dist_old - dist);
+  } else {
+    var circle = /** @type {!myphysicslab.lab.engine2D.CircularEdge} */(edge);
+    var convex = circle.outsideIsOut();
+    // rho = distance from center of the circle when the point is touching
+    var rho = circle.getRadius() + (convex ? radius : -radius);
+    var a = d.lengthSquared();
+    if (rho <= 0 || a == 0) {
+      return null;
+    }
+    // solve |q + s d| = rho for s, where q = old point relative to center
+    var q = circle.bodyToEdge(p_body_old);
+    var b = 2*q.dotProduct(d);
+    var c = q.lengthSquared() - rho*rho;
+    // point must start outside of a convex edge, or inside of a concave edge
+    if (convex ? c < 0 : c > 0) {
+      return null;
+    }
+    var det = b*b - 4*a*c;
+    if (det < 0) {
+      return null;
+    }
+    // convex edge: the point enters the circle; concave edge: the point leaves
+    s = (-b + (convex ? -1 : 1)*Math.sqrt(det))/(2*a);
+  }
+  if (s < 0 || s > 1) {
+    return null;
+  }
+  // p = position of the point at time of impact
+  var p = p_body_old.add(d.multiply(s));
+  var n = edge.getNormalBody(p);
+  var impact = p.subtract(n.multiply(radius));
+  // impact point must be on the Edge, not on its extended line
+  if (edge.distanceToPoint(impact) == Util.POSITIVE_INFINITY) {
+    return null;
+  }
+  return [impact, n];
+};
+
 /** Performs a rough proximity test: are the bodies close enough that their proximity
 circles overlap? Returns `false` when there can be no intersection between the two
 Polygon bounding rectangles. Returns `true` when an intersection between the
@@ -289,6 +473,104 @@ static intersectionPossibleSpecial(poly1, poly2, swellage) {
   return dist1 < dist2;
 };
 
+/** Broad-phase collision culling: finds the pairs of bodies whose bounding rectangles
+overlap, using the *sweep and prune* method. Only those pairs of bodies need to be
+checked further for collisions with
+{@link myphysicslab.lab.engine2D.Polygon#checkCollision}.
+
+The bounding rectangle of each body (from
+{@link myphysicslab.lab.engine2D.Polygon#getCollisionBoundsWorld}) is enlarged by the
+`swellage` amount, plus the distance the body can travel during the time step at its
+current velocity, plus the distance a point at the centroid radius can travel during
+the time step at its current angular velocity. The bodies are sorted by the left edge
+of their bounding rectangles, then we sweep from left to right checking for overlap
+only between bodies whose horizontal extents overlap. This makes finding candidate
+pairs roughly `O(n log n)` instead of the `O(n^2)` needed to check every pair of
+bodies.
+
+A body with a special edge (see
+{@link myphysicslab.lab.engine2D.Polygon#getSpecialNormalWorld}) is paired with every
+other body because an object can penetrate deeply into a special edge, beyond its
+bounding rectangle.
+
+The pairs are returned in the same order as a double loop over the list of bodies
+would visit them, so that collision detection gives the same results as checking
+every pair of bodies. Each pair is encoded as a single number `i*n + j` where `i < j`
+are indexes into the list of bodies and `n` is the number of bodies.
+
+@param {!Array<!myphysicslab.lab.engine2D.Polygon>} bodies  the list of bodies
+@param {number} swellage  amount to increase the bounding rectangle sizes
+@param {number} stepSize  the time step, used to estimate how far bodies can travel
+@return {!Array<number>} sorted list of encoded pairs of bodies whose bounding
+    rectangles overlap
+@package
+*/
+static broadPhase(bodies, swellage, stepSize) {
+  var n = bodies.length;
+  /** @type {!Array<number>} */
+  var pairs = [];
+  /** @type {!Array<!DoubleRect>} */
+  var rects = new Array(n);
+  // indexes of bodies with special edges
+  /** @type {!Array<number>} */
+  var special = [];
+  // indexes of other bodies, to be sorted by left edge
+  /** @type {!Array<number>} */
+  var sorted = [];
+  var i, j, k;
+  for (i=0; i<n; i++) {
+    var body = bodies[i];
+    if (body.getSpecialNormalWorld() != null) {
+      special.push(i);
+      continue;
+    }
+    var grow = swellage + stepSize * (body.getVelocity().lengthCheap()
+        + Math.abs(body.getAngularVelocity()) * body.getCentroidRadius());
+    rects[i] = body.getCollisionBoundsWorld().expand(grow, grow);
+    sorted.push(i);
+  }
+  goog.array.sort(sorted, function(a, b) {
+    return rects[a].getLeft() - rects[b].getLeft();
+  });
+  for (i=0; i<sorted.length; i++) {
+    var r1 = rects[sorted[i]];
+    for (j=i+1; j<sorted.length; j++) {
+      var r2 = rects[sorted[j]];
+      if (r2.getLeft() > r1.getRight()) {
+        // no later body in the sorted list can overlap r1
+        break;
+      }
+      if (r2.getBottom() > r1.getTop() || r1.getBottom() > r2.getTop()) {
+        continue;
+      }
+      pairs.push(UtilityCollision.encodePair_(sorted[i], sorted[j], n));
+    }
+  }
+  for (i=0; i<special.length; i++) {
+    for (j=0; j<n; j++) {
+      k = special[i];
+      // avoid adding twice a pair of bodies that both have special edges
+      if (j != k && !(j < k && goog.array.contains(special, j))) {
+        pairs.push(UtilityCollision.encodePair_(j, k, n));
+      }
+    }
+  }
+  goog.array.sort(pairs);
+  return pairs;
+};
+
+/** Encodes a pair of body indexes as a single number.
+See {@link #broadPhase}.
+@param {number} i  index of a body
+@param {number} j  index of another body
+@param {number} n  number of bodies
+@return {number} the encoded pair of body indexes
+@private
+*/
+static encodePair_(i, j, n) {
+  return i < j ? i*n + j : j*n + i;
+};
+
 /**
 @param {!Array<!RigidBodyCollision>} collisions  the list of collisions to add to
 @param {!Edge} edge
@@ -359,6 +641,44 @@ static printCollisionStatistics() {
   UtilityCollision.specialNormalMisses = 0;
 };
 
+/** Divides the given bodies into *islands*: groups of bodies that are linked to each
+other by the given contacts or joints. Two bodies are in the same island when you can go
+from one body to the other via a chain of contacts. Only the given bodies are linked, so
+leaving out the fixed (infinite mass) bodies means that bodies resting on the same fixed
+body are in separate islands, unless they touch each other.
+@param {!Array<T>} bodies the bodies to divide into islands
+@param {!Array<!RigidBodyCollision>} contacts the contacts and joints that link the
+    bodies
+@return {!Array<!Array<T>>} the islands; each body is in exactly one island
+@template T
+@package
+*/
+static findIslands(bodies, contacts) {
+  /** @type {!Array<!Array<T>>} */
+  var islands = [];
+  /** @type {!Array<T>} */
+  var remaining = goog.array.clone(bodies);
+  while (remaining.length > 0) {
+    /** @type {!Array<T>} */
+    var island = [remaining.shift()];
+    // Add the bodies linked to each body in the island; the island grows until
+    // no more linked bodies are found.
+    for (var i=0; i<island.length; i++) {
+      var body = island[i];
+      for (var j=0, len=contacts.length; j<len; j++) {
+        var c = contacts[j];
+        var other = c.primaryBody == body ? c.normalBody :
+            (c.normalBody == body ? c.primaryBody : null);
+        if (other != null && goog.array.remove(remaining, other)) {
+          island.push(other);
+        }
+      }
+    }
+    islands.push(island);
+  }
+  return islands;
+};
+
 /** Returns a subset of collisions such that all the collisions in the set are are
 connected. Two collisions are connected when they have a common moveable (finite mass)
 body. The subset will be such that you can go from one collision to any other
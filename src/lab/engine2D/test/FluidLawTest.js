@@ -0,0 +1,166 @@
+// Copyright 2016 Erik Neumann.  All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+goog.module('myphysicslab.lab.engine2D.test.FluidLawTest');
+
+const FluidLaw = goog.require('myphysicslab.lab.engine2D.FluidLaw');
+const GravityLaw = goog.require('myphysicslab.lab.model.GravityLaw');
+const RigidBodySim = goog.require('myphysicslab.lab.engine2D.RigidBodySim');
+const RungeKutta = goog.require('myphysicslab.lab.model.RungeKutta');
+const Shapes = goog.require('myphysicslab.lab.engine2D.Shapes');
+const SimpleAdvance = goog.require('myphysicslab.lab.model.SimpleAdvance');
+const SimList = goog.require('myphysicslab.lab.model.SimList');
+const TestRig = goog.require('myphysicslab.test.TestRig');
+const Util = goog.require('myphysicslab.lab.util.Util');
+const Vector = goog.require('myphysicslab.lab.util.Vector');
+
+const assertEquals = TestRig.assertEquals;
+const assertNaN = TestRig.assertNaN;
+const assertRoughlyEquals = TestRig.assertRoughlyEquals;
+const assertTrue = TestRig.assertTrue;
+const schedule = TestRig.schedule;
+const startTest = TestRig.startTest;
+
+class FluidLawTest {
+
+static test() {
+  schedule(FluidLawTest.testBuoyancy);
+  schedule(FluidLawTest.testDrag);
+  schedule(FluidLawTest.testEnergy);
+};
+
+static testBuoyancy() {
+  startTest(FluidLawTest.groupName+'testBuoyancy');
+  var tol = 1E-12;
+  var simList = new SimList();
+  var block = Shapes.makeBlock(2, 1, 'block');
+  simList.add(block);
+  var fluid = new FluidLaw(/*surface=*/0, /*density=*/2, /*gravity=*/10, simList);
+  assertEquals(1, fluid.getBodies().length);
+  // block is entirely above the surface
+  block.setPosition(new Vector(0, 1));
+  assertEquals(0, fluid.getSubmergedArea(block));
+  assertEquals(0, fluid.calculateForces().length);
+  assertEquals(0, fluid.getPotentialEnergy());
+  // lower half of the block is submerged
+  block.setPosition(new Vector(0, 0));
+  assertRoughlyEquals(1, fluid.getSubmergedArea(block), tol);
+  var forces = fluid.calculateForces();
+  assertEquals(1, forces.length);
+  assertRoughlyEquals(0, forces[0].getVector().getX(), tol);
+  assertRoughlyEquals(20, forces[0].getVector().getY(), tol);
+  assertRoughlyEquals(0, forces[0].getStartPoint().getX(), tol);
+  assertRoughlyEquals(-0.25, forces[0].getStartPoint().getY(), tol);
+  assertRoughlyEquals(5, fluid.getPotentialEnergy(), tol);
+  // the buoyant force of a tilted block is at the center of the submerged area
+  block.setPosition(new Vector(0, 0), Math.PI/4);
+  assertRoughlyEquals(1, fluid.getSubmergedArea(block), tol);
+  forces = fluid.calculateForces();
+  assertRoughlyEquals(20, forces[0].getVector().getY(), tol);
+  assertTrue(forces[0].getStartPoint().getX() < 0);
+  // block is entirely submerged, and the surface is moved
+  fluid.setSurface(5);
+  assertRoughlyEquals(2, fluid.getSubmergedArea(block), tol);
+  // a submerged ball
+  var ball = Shapes.makeBall(0.5, 'ball');
+  ball.setPosition(new Vector(0, -2));
+  simList.add(ball);
+  assertEquals(2, fluid.getBodies().length);
+  assertRoughlyEquals(Math.PI/4, fluid.getSubmergedArea(ball), 0.002);
+  // half of the ball is submerged
+  ball.setPosition(new Vector(0, 5));
+  assertRoughlyEquals(Math.PI/8, fluid.getSubmergedArea(ball), 0.001);
+  simList.remove(ball);
+  assertEquals(1, fluid.getBodies().length);
+  // bodies with infinite mass are not affected
+  var wall = Shapes.makeBlock(1, 1, 'wall');
+  wall.setMass(Util.POSITIVE_INFINITY);
+  simList.add(wall);
+  assertEquals(1, fluid.getBodies().length);
+};
+
+static testDrag() {
+  startTest(FluidLawTest.groupName+'testDrag');
+  var tol = 1E-12;
+  var block = Shapes.makeBlock(2, 1, 'block');
+  block.setPosition(new Vector(0, 0));
+  var fluid = new FluidLaw(/*surface=*/0, /*density=*/2, /*gravity=*/10);
+  fluid.addBody(block);
+  fluid.setViscosity(3);
+  // moving horizontally, the width of the submerged area across the velocity is 0.5
+  block.setVelocity(new Vector(1, 0), 0);
+  var forces = fluid.calculateForces();
+  assertEquals(2, forces.length);
+  assertEquals('DRAG', forces[1].getName());
+  assertRoughlyEquals(-1.5, forces[1].getVector().getX(), tol);
+  assertRoughlyEquals(0, forces[1].getVector().getY(), tol);
+  assertRoughlyEquals(-1.5, fluid.getPower(), tol);
+  // quadratic drag increases with the square of the speed
+  fluid.setViscosity(0);
+  fluid.setDragCoefficient(1);
+  block.setVelocity(new Vector(0, -2), 0);
+  forces = fluid.calculateForces();
+  assertRoughlyEquals(8, forces[1].getVector().getY(), tol);
+  assertRoughlyEquals(-16, fluid.getPower(), tol);
+  // angular drag
+  fluid.setDragCoefficient(0);
+  fluid.setAngularDrag(0.5);
+  block.setVelocity(new Vector(0, 0), 2);
+  forces = fluid.calculateForces();
+  assertRoughlyEquals(-1, forces[1].getTorque(), tol);
+  assertRoughlyEquals(-2, fluid.getPower(), tol);
+};
+
+static testEnergy() {
+  startTest(FluidLawTest.groupName+'testEnergy');
+  var sim = new RigidBodySim();
+  var block = Shapes.makeBlock(1, 1, 'block');
+  block.setPosition(new Vector(0, 1));
+  sim.addBody(block);
+  sim.addForceLaw(new GravityLaw(10, sim.getSimList()));
+  assertNaN(sim.getEnergyInfo().getWorkDone());
+  var fluid = new FluidLaw(/*surface=*/0, /*density=*/2, /*gravity=*/10,
+      sim.getSimList());
+  fluid.setViscosity(2);
+  fluid.setAngularDrag(1);
+  sim.addForceLaw(fluid);
+  var va = sim.getVarsList();
+  assertTrue(va.getVariable(RigidBodySim.en.WORK_DONE) != null);
+  assertEquals(0, sim.getEnergyInfo().getWorkDone());
+  sim.saveInitialState();
+  var e0 = sim.getEnergyInfo().getTotalEnergy();
+  var advance = new SimpleAdvance(sim, new RungeKutta(sim));
+  for (var i=0; i<400; i++) {
+    advance.advance(0.025);
+  }
+  // the block floats with half of it submerged
+  assertRoughlyEquals(0, block.getPosition().getY(), 0.01);
+  // the energy lost is the work done by drag
+  var ei = sim.getEnergyInfo();
+  assertTrue(ei.getWorkDone() < -1);
+  assertRoughlyEquals(e0, ei.getTotalEnergy() - ei.getWorkDone(), 1E-3);
+  // the work done variable is removed with the force laws
+  sim.cleanSlate();
+  assertNaN(sim.getEnergyInfo().getWorkDone());
+};
+
+} // end class
+
+/**
+* @type {string}
+* @const
+*/
+FluidLawTest.groupName = 'FluidLawTest.';
+
+exports = FluidLawTest;
@@ -15,6 +15,7 @@
 goog.module('myphysicslab.lab.engine2D.test.PolygonTest');
 
 const ConcreteVertex = goog.require('myphysicslab.lab.engine2D.ConcreteVertex');
+const ContactSim = goog.require('myphysicslab.lab.engine2D.ContactSim');
 const Polygon = goog.require('myphysicslab.lab.engine2D.Polygon');
 const RigidBody = goog.require('myphysicslab.lab.engine2D.RigidBody');
 const Shapes = goog.require('myphysicslab.lab.engine2D.Shapes');
@@ -36,6 +37,8 @@ class PolygonTest {
 
 static test() {
   schedule(PolygonTest.testPolygon1);
+  schedule(PolygonTest.testCollisionFilter);
+  schedule(PolygonTest.testOverlaps);
 };
 
 static testPolygon1() {
@@ -95,6 +98,102 @@ static testPolygon1() {
   assertEquals(Math.PI/4, p.getAngle());
 };
 
+static testCollisionFilter() {
+  startTest(PolygonTest.groupName+'testCollisionFilter');
+  var p1 = Shapes.makeBlock(1, 1, 'block1');
+  var p2 = Shapes.makeBlock(1, 1, 'block2');
+  var p3 = Shapes.makeBall(0.5, 'ball3');
+  // default category, mask and group collide with everything
+  assertEquals(0x0001, p1.getCollisionCategory());
+  assertEquals(0xFFFF, p1.getCollisionMask());
+  assertEquals(0, p1.getCollisionGroup());
+  assertFalse(p1.doesNotCollide(p2));
+  // category must be in the mask of the other body, in both directions
+  p1.setCollisionCategory(0x0002);
+  p2.setCollisionMask(0x0001);
+  assertTrue(p1.doesNotCollide(p2));
+  assertTrue(p2.doesNotCollide(p1));
+  assertFalse(p1.doesNotCollide(p3));
+  p2.setCollisionMask(0x0003);
+  assertFalse(p1.doesNotCollide(p2));
+  // same negative group never collides, regardless of category and mask
+  p1.setCollisionGroup(-1);
+  p2.setCollisionGroup(-1);
+  assertTrue(p1.doesNotCollide(p2));
+  assertTrue(p2.doesNotCollide(p1));
+  assertFalse(p1.doesNotCollide(p3));
+  // same positive group always collides, regardless of category and mask
+  p1.setCollisionGroup(2).setCollisionMask(0);
+  p2.setCollisionGroup(2);
+  assertFalse(p1.doesNotCollide(p2));
+  // different groups use category and mask
+  p2.setCollisionGroup(3);
+  assertTrue(p1.doesNotCollide(p2));
+  assertThrows(function() { p1.setCollisionCategory(0x10000); });
+  assertThrows(function() { p1.setCollisionMask(-1); });
+  assertThrows(function() { p1.setCollisionGroup(0.5); });
+  // ContactSim finds no collisions between overlapping bodies in a negative group
+  var sim = new ContactSim();
+  var b1 = Shapes.makeBlock(1, 1, 'b1');
+  var b2 = Shapes.makeBlock(1, 1, 'b2');
+  b2.setPosition(new Vector(0.8, 0), 0);
+  sim.addBody(b1);
+  sim.addBody(b2);
+  var collisions = [];
+  sim.findCollisions(collisions, sim.getVarsList().getValues(), 0.01);
+  assertTrue(collisions.length > 0);
+  b1.setCollisionGroup(-1);
+  b2.setCollisionGroup(-1);
+  collisions = [];
+  sim.findCollisions(collisions, sim.getVarsList().getValues(), 0.01);
+  assertEquals(0, collisions.length);
+};
+
+static testOverlaps() {
+  startTest(PolygonTest.groupName+'testOverlaps');
+  var block = Shapes.makeBlock(2, 1, 'block');
+  var ball = Shapes.makeBall(0.2, 'ball');
+  // ball is far away
+  ball.setPosition(new Vector(0, 3), 0);
+  assertFalse(block.overlaps(ball));
+  assertFalse(ball.overlaps(block));
+  // ball is just above the top edge
+  ball.setPosition(new Vector(0.3, 0.71), 0);
+  assertFalse(block.overlaps(ball));
+  // ball crosses the top edge between the Vertexes of the block
+  ball.setPosition(new Vector(0.3, 0.6), 0);
+  assertTrue(block.overlaps(ball));
+  assertTrue(ball.overlaps(block));
+  // ball is entirely inside of the block
+  ball.setPosition(new Vector(0.3, 0), 0);
+  assertTrue(block.overlaps(ball));
+  assertTrue(ball.overlaps(block));
+  // rotated block has a corner inside of the other block
+  var block2 = Shapes.makeBlock(1, 1, 'block2');
+  block2.setPosition(new Vector(0.5, 1.0), Math.PI/4);
+  assertTrue(block.overlaps(block2));
+  block2.setPosition(new Vector(0.5, 1.3), Math.PI/4);
+  assertFalse(block.overlaps(block2));
+  // a sensor never collides
+  var sim = new ContactSim();
+  var b1 = Shapes.makeBlock(1, 1, 'b1');
+  var b2 = Shapes.makeBlock(1, 1, 'b2');
+  b2.setPosition(new Vector(0.8, 0), 0);
+  sim.addBody(b1);
+  sim.addBody(b2);
+  assertFalse(b1.isSensor());
+  assertTrue(b1.setSensor(true).isSensor());
+  var collisions = [];
+  sim.findCollisions(collisions, sim.getVarsList().getValues(), 0.01);
+  assertEquals(0, collisions.length);
+  // sensors are updated only for an accepted state
+  sim.modifyObjects();
+  assertEquals(0, sim.getSensorBodies(b1).length);
+  sim.acceptStep();
+  assertEquals(b2, sim.getSensorBodies(b1)[0]);
+  assertEquals(0, sim.getSensorBodies(b2).length);
+};
+
 } // end class
 
 /**
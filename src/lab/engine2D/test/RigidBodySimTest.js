@@ -15,7 +15,12 @@
 goog.module('myphysicslab.lab.engine2D.test.RigidBodySimTest');
 
 goog.require('goog.array');
+const CollisionAdvance = goog.require('myphysicslab.lab.model.CollisionAdvance');
+const ContactSim = goog.require('myphysicslab.lab.engine2D.ContactSim');
+const EventFunction = goog.require('myphysicslab.lab.model.EventFunction');
 const GenericEvent = goog.require('myphysicslab.lab.util.GenericEvent');
+const GenericObserver = goog.require('myphysicslab.lab.util.GenericObserver');
+const GravityLaw = goog.require('myphysicslab.lab.model.GravityLaw');
 const ParameterBoolean = goog.require('myphysicslab.lab.util.ParameterBoolean');
 const ParameterNumber = goog.require('myphysicslab.lab.util.ParameterNumber');
 const ParameterString = goog.require('myphysicslab.lab.util.ParameterString');
@@ -28,6 +33,7 @@ const SimObject = goog.require('myphysicslab.lab.model.SimObject');
 const Spring = goog.require('myphysicslab.lab.model.Spring');
 const Subject = goog.require('myphysicslab.lab.util.Subject');
 const TestRig = goog.require('myphysicslab.test.TestRig');
+const Util = goog.require('myphysicslab.lab.util.Util');
 const VarsList = goog.require('myphysicslab.lab.model.VarsList');
 const Vector = goog.require('myphysicslab.lab.util.Vector');
 
@@ -43,6 +49,7 @@ class RigidBodySimTest {
 
 static test() {
   schedule(RigidBodySimTest.testRigidBodySim1);
+  schedule(RigidBodySimTest.testEventFunction);
 };
 
 static testRigidBodySim1() {
@@ -92,6 +99,53 @@ static testRigidBodySim1() {
   assertEquals(16, sim.getVarsList().getValues().length);
 };
 
+static testEventFunction() {
+  startTest(RigidBodySimTest.groupName+'testEventFunction');
+  // Ball falls from rest at the origin and bounces elastically on a floor whose top is
+  // at -2. The event is when the center of the ball passes thru -1.
+  var sim = new ContactSim();
+  var advance = new CollisionAdvance(sim);
+  var floor = Shapes.makeBlock(4, 1, 'floor');
+  floor.setMass(Util.POSITIVE_INFINITY);
+  floor.setPosition(new Vector(0, -2.5), 0);
+  sim.addBody(floor);
+  var ball = Shapes.makeBall(0.2, 'ball');
+  sim.addBody(ball);
+  sim.setElasticity(1);
+  sim.addForceLaw(new GravityLaw(10, sim.getSimList()));
+  var idx = ball.getVarsIndex() + RigidBodySim.Y_;
+  var ef = new EventFunction('pass', 'pass', function(vars) { return vars[idx] + 1; });
+  sim.addEventFunction(ef);
+  assertEquals(1, sim.getEventFunctions().length);
+  var times = [];
+  new GenericObserver(sim, function(evt) {
+      if (evt.nameEquals('pass')) {
+        var ge = /** @type {!GenericEvent} */(evt);
+        times.push(/** @type {number} */(ge.getValue()));
+      }
+    }, 'records event times');
+  for (var i=0; i<40; i++) {
+    advance.advance(0.025);
+  }
+  assertRoughlyEquals(1, sim.getTime(), 1E-10);
+  // passes -1 going down at time sqrt(0.2); hits the floor at time 0.6 and then
+  // passes -1 going up at time 1.2 - sqrt(0.2). The collision happens slightly early
+  // because it is handled when the gap is within the distance tolerance.
+  assertEquals(2, times.length);
+  assertRoughlyEquals(Math.sqrt(0.2), times[0], 1E-6);
+  assertRoughlyEquals(1.2 - Math.sqrt(0.2), times[1], 0.005);
+  assertEquals(times[1], ef.getEventTime());
+  assertThrows(function() { advance.setEventTolerance(0); });
+  // an EventFunction that stops the advance
+  ef.setStop(true);
+  for (i=0; i<40 && times.length < 3; i++) {
+    advance.advance(0.025);
+  }
+  assertEquals(3, times.length);
+  assertRoughlyEquals(1.2 + Math.sqrt(0.2), times[2], 0.005);
+  assertEquals(times[2], sim.getTime());
+};
+
 } // end class
 
 /**
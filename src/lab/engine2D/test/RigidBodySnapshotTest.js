@@ -0,0 +1,123 @@
+// Copyright 2016 Erik Neumann.  All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+goog.module('myphysicslab.lab.engine2D.test.RigidBodySnapshotTest');
+
+const ContactSim = goog.require('myphysicslab.lab.engine2D.ContactSim');
+const CoordType = goog.require('myphysicslab.lab.model.CoordType');
+const DampingLaw = goog.require('myphysicslab.lab.model.DampingLaw');
+const EasyScriptParser = goog.require('myphysicslab.lab.util.EasyScriptParser');
+const GravityLaw = goog.require('myphysicslab.lab.model.GravityLaw');
+const JointUtil = goog.require('myphysicslab.lab.engine2D.JointUtil');
+const RigidBodySnapshot = goog.require('myphysicslab.lab.engine2D.RigidBodySnapshot');
+const Shapes = goog.require('myphysicslab.lab.engine2D.Shapes');
+const SimRunner = goog.require('myphysicslab.lab.app.SimRunner');
+const SimpleAdvance = goog.require('myphysicslab.lab.model.SimpleAdvance');
+const TestRig = goog.require('myphysicslab.test.TestRig');
+const Vector = goog.require('myphysicslab.lab.util.Vector');
+
+const assertEquals = TestRig.assertEquals;
+const assertRoughlyEquals = TestRig.assertRoughlyEquals;
+const assertThrows = TestRig.assertThrows;
+const assertTrue = TestRig.assertTrue;
+const schedule = TestRig.schedule;
+const startTest = TestRig.startTest;
+
+class RigidBodySnapshotTest {
+
+static test() {
+  schedule(RigidBodySnapshotTest.testRigidBody);
+  schedule(RigidBodySnapshotTest.testConnectors);
+};
+
+static testRigidBody() {
+  startTest(RigidBodySnapshotTest.groupName+'testRigidBody');
+  var sim = new ContactSim();
+  var block1 = Shapes.makeBlock(1, 2, 'block1');
+  block1.setPosition(new Vector(-1, 1), Math.PI/6);
+  var block2 = Shapes.makeBlock(1, 1, 'block2');
+  block2.setPosition(new Vector(2, 0), 0);
+  block2.setVelocity(new Vector(-1, 0.5), 2);
+  sim.addBody(block1);
+  sim.addBody(block2);
+  var gravity = new GravityLaw(4, sim.getSimList());
+  sim.addForceLaw(gravity);
+  var damping = new DampingLaw(0.1, 0.15, sim.getSimList());
+  sim.addForceLaw(damping);
+  var simRun = new SimRunner(new SimpleAdvance(sim));
+  simRun.pause();
+  var easyScript = new EasyScriptParser([sim, simRun], [sim.getVarsList()]);
+  var snapshot = new RigidBodySnapshot(sim, simRun, easyScript);
+  simRun.advanceTo(0.5);
+  var json = snapshot.save();
+  var snap = JSON.parse(json);
+  assertEquals(2, snap['bodies'].length);
+  assertEquals('BLOCK2', snap['bodies'][1]['name']);
+  assertEquals(2, snap['forceLaws'].length);
+  assertEquals(gravity.getName(), snap['forceLaws'][0]['name']);
+  assertEquals(4, snap['forceLaws'][0]['parameters']['GRAVITY']);
+  assertEquals(2, snap['forceLaws'][0]['bodies'].length);
+  var p2 = block2.getPosition();
+  var angle2 = block2.getAngle();
+  var v1 = block1.getVelocity();
+  // change the state of the simulation
+  gravity.setGravity(10);
+  block1.setMass(5);
+  simRun.advanceTo(1);
+  assertTrue(!block2.getPosition().nearEqual(p2, 1E-3));
+  snapshot.load(json);
+  assertEquals(4, gravity.getGravity());
+  assertEquals(1, block1.getMass());
+  assertTrue(block2.getPosition().nearEqual(p2, 1E-12));
+  assertRoughlyEquals(angle2, block2.getAngle(), 1E-12);
+  assertTrue(block1.getVelocity().nearEqual(v1, 1E-12));
+};
+
+static testConnectors() {
+  startTest(RigidBodySnapshotTest.groupName+'testConnectors');
+  var sim = new ContactSim();
+  var block1 = Shapes.makeBlock(1, 2, 'block1');
+  var block2 = Shapes.makeBlock(1, 1, 'block2');
+  sim.addBody(block1);
+  sim.addBody(block2);
+  JointUtil.attachRigidBody(sim, block1, new Vector(0, 1), block2, new Vector(0, -0.5),
+      CoordType.BODY);
+  var joints = sim.getConnectors();
+  assertEquals(2, joints.length);
+  var simRun = new SimRunner(new SimpleAdvance(sim));
+  simRun.pause();
+  var easyScript = new EasyScriptParser([sim, simRun], [sim.getVarsList()]);
+  var snapshot = new RigidBodySnapshot(sim, simRun, easyScript);
+  var snap = JSON.parse(snapshot.save());
+  assertEquals(2, snap['connectors'].length);
+  assertEquals(joints[0].getName(), snap['connectors'][0]['name']);
+  // a connector which is not in the snapshot is removed, as when it has broken
+  snap['connectors'].pop();
+  snapshot.load(JSON.stringify(snap));
+  assertEquals(1, sim.getConnectors().length);
+  assertTrue(sim.getConnectors()[0] == joints[0]);
+  // a connector in the snapshot must exist
+  snap['connectors'].push({'name': 'NO_SUCH_JOINT'});
+  assertThrows(function() { snapshot.load(JSON.stringify(snap)); });
+};
+
+} // end class
+
+/**
+* @type {string}
+* @const
+*/
+RigidBodySnapshotTest.groupName = 'RigidBodySnapshotTest.';
+
+exports = RigidBodySnapshotTest;
@@ -26,6 +26,7 @@ const GraphStyle = goog.require('myphysicslab.lab.graph.GraphStyle');
 const HistoryList = goog.require('myphysicslab.lab.util.HistoryList');
 const LabView = goog.require('myphysicslab.lab.view.LabView');
 const ScreenRect = goog.require('myphysicslab.lab.view.ScreenRect');
+const SVGContext = goog.require('myphysicslab.lab.view.SVGContext');
 const Util = goog.require('myphysicslab.lab.util.Util');
 const Vector = goog.require('myphysicslab.lab.util.Vector');
 
@@ -155,7 +156,13 @@ draw(context, map) {
       break;
     }
   }
-  if (!this.useBuffer_) {
+  if (context instanceof SVGContext) {
+    // Draw the graph as vector graphics, without disturbing the offscreen buffer
+    // which is updated incrementally.
+    var memDraw = this.memDraw_;
+    this.fullDraw(context, map);
+    this.memDraw_ = memDraw;
+  } else if (!this.useBuffer_) {
     // without offscreen buffer, always need to redraw
     this.needRedraw_ = true;
     // draw without offscreen buffer.
@@ -0,0 +1,317 @@
+// Copyright 2016 Erik Neumann.  All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+goog.module('myphysicslab.lab.graph.PoincareLine');
+
+const GraphLine = goog.require('myphysicslab.lab.graph.GraphLine');
+const GraphPoint = goog.require('myphysicslab.lab.graph.GraphPoint');
+const ParameterNumber = goog.require('myphysicslab.lab.util.ParameterNumber');
+const Util = goog.require('myphysicslab.lab.util.Util');
+const VarsList = goog.require('myphysicslab.lab.model.VarsList');
+
+/** A {@link GraphLine} that shows a
+[Poincaré section](https://en.wikipedia.org/wiki/Poincar%C3%A9_map) of the trajectory
+of a simulation. Instead of storing a point every time {@link #memorize} is called, a
+point is stored only when the trajectory crosses the *section*: when the *section
+variable* passes through the *section value*. The section is chosen with
+{@link #setSectionVariable}, {@link #setSectionValue} and {@link #setSectionDirection}.
+
+The stored point is found by linear interpolation between the previous and current
+values of the X and Y variables, at the fraction of the time step where the section
+variable equals the section value. No point is stored when any of the three variables
+has a discontinuous change between the two memorized states, for example when an angle
+is limited to the range `-pi` to `pi`; see
+{@link myphysicslab.lab.model.VarsList#getSequence}.
+
+When the section variable is `NONE`, the PoincareLine behaves as an ordinary GraphLine.
+
+The points of a Poincaré section are usually drawn as dots, see
+{@link #setDrawingMode}.
+
+Parameters Created
+------------------
+
++ ParameterNumber named `SECTION_VARIABLE`, see {@link #setSectionVariable}.
+  Has an extra `NONE` choice, which causes every point to be stored.
+
++ ParameterNumber named `SECTION_VALUE`, see {@link #setSectionValue}.
+
++ ParameterNumber named `SECTION_DIRECTION`, see {@link #setSectionDirection}.
+
+See {@link GraphLine} for other Parameters created.
+
+*/
+class PoincareLine extends GraphLine {
+/**
+* @param {string} name
+* @param {!VarsList} varsList the VarsList to collect data from
+* @param {number=} opt_capacity number of GraphPoints to store
+*/
+constructor(name, varsList, opt_capacity) {
+  super(name, varsList, opt_capacity);
+  /** index of the section variable in the VarsList, or -1 to store every point
+  * @type {number}
+  * @private
+  */
+  this.sectionVar_ = -1;
+  /** the value of the section variable where a point is stored
+  * @type {number}
+  * @private
+  */
+  this.sectionValue_ = 0;
+  /** which direction of crossing the section stores a point: 1 for increasing,
+  * -1 for decreasing, 0 for both directions.
+  * @type {number}
+  * @private
+  */
+  this.direction_ = 1;
+  /** the section, X and Y values and their sequence numbers from the previous call
+  * to memorize, or null when there is no previous state.
+  * @type {?Array<number>}
+  * @private
+  */
+  this.last_ = null;
+  /** Parameter that represents the section variable, and the available choices of
+  * variables.
+  * @type {!ParameterNumber}
+  * @private
+  */
+  this.sectionParam_ = new ParameterNumber(this, PoincareLine.en.SECTION_VARIABLE,
+      PoincareLine.i18n.SECTION_VARIABLE,
+      goog.bind(this.getSectionVariable, this),
+      goog.bind(this.setSectionVariable, this))
+      .setLowerLimit(-1);
+  this.addParameter(this.sectionParam_);
+  this.buildSectionMenu();
+  this.addParameter(new ParameterNumber(this, PoincareLine.en.SECTION_VALUE,
+      PoincareLine.i18n.SECTION_VALUE,
+      goog.bind(this.getSectionValue, this), goog.bind(this.setSectionValue, this))
+      .setLowerLimit(Util.NEGATIVE_INFINITY));
+  this.addParameter(new ParameterNumber(this, PoincareLine.en.SECTION_DIRECTION,
+      PoincareLine.i18n.SECTION_DIRECTION,
+      goog.bind(this.getSectionDirection, this),
+      goog.bind(this.setSectionDirection, this),
+      [PoincareLine.i18n.INCREASING, PoincareLine.i18n.DECREASING,
+          PoincareLine.i18n.BOTH], [1, -1, 0])
+      .setLowerLimit(-1));
+};
+
+/** @override */
+toString() {
+  return Util.ADVANCED ? '' : super.toString();
+};
+
+/** @override */
+toStringShort() {
+  return Util.ADVANCED ? '' :
+      super.toStringShort().slice(0, -1)
+      +', sectionVar: '+Util.NF(this.sectionVar_)
+      +', sectionValue: '+Util.NF(this.sectionValue_)
+      +', direction: '+Util.NF(this.direction_)
+      +'}';
+};
+
+/** @override */
+getClassName() {
+  return 'PoincareLine';
+};
+
+/** Modify the choices in the section variable Parameter to match those of the
+VarsList, plus add the `NONE` choice.
+@return {undefined}
+@private
+*/
+buildSectionMenu() {
+  var va = this.getVarsList();
+  var varNames = [GraphLine.i18n.NONE];
+  var vals = [-1];
+  for (var i=0, len=va.numVariables(); i<len; i++) {
+    varNames.push(va.getVariable(i).getName(/*localized=*/true));
+    vals.push(i);
+  }
+  this.sectionParam_.setChoices(varNames, vals);
+};
+
+/** Returns which direction of crossing the section stores a point.
+@return {number} 1 for increasing, -1 for decreasing, 0 for both directions
+*/
+getSectionDirection() {
+  return this.direction_;
+};
+
+/** Returns the value of the section variable where a point is stored.
+@return {number} the value of the section variable where a point is stored
+*/
+getSectionValue() {
+  return this.sectionValue_;
+};
+
+/** Returns the index in the VarsList of the section variable.
+@return {number} the index of the section variable in the VarsList, or -1 if every
+    point is stored
+*/
+getSectionVariable() {
+  return this.sectionVar_;
+};
+
+/** Returns localized section variable name.
+@return {string} variable name or empty string in case index is -1
+*/
+getSectionVarName() {
+  return this.sectionVar_ > -1 ?
+      this.getVarsList().getVariable(this.sectionVar_).getName(/*localized=*/true) : '';
+};
+
+/** @override */
+memorize() {
+  if (this.sectionVar_ < 0) {
+    super.memorize();
+    return;
+  }
+  var xIdx = this.getXVariable();
+  var yIdx = this.getYVariable();
+  if (xIdx < 0 || yIdx < 0) {
+    return;
+  }
+  var va = this.getVarsList();
+  var sVar = va.getVariable(this.sectionVar_);
+  var xVar = va.getVariable(xIdx);
+  var yVar = va.getVariable(yIdx);
+  var now = [sVar.getValue() - this.sectionValue_, xVar.getValue(), yVar.getValue(),
+      sVar.getSequence(), xVar.getSequence(), yVar.getSequence()];
+  var last = this.last_;
+  this.last_ = now;
+  if (last == null || last[3] != now[3] || last[4] != now[4] || last[5] != now[5]) {
+    return;
+  }
+  var s0 = last[0];
+  var s1 = now[0];
+  var up = s0 < 0 && s1 >= 0;
+  var down = s0 > 0 && s1 <= 0;
+  if (!((up && this.direction_ >= 0) || (down && this.direction_ <= 0))) {
+    return;
+  }
+  var f = s0 / (s0 - s1);
+  var x = last[1] + f * (now[1] - last[1]);
+  var y = last[2] + f * (now[2] - last[2]);
+  this.getGraphPoints().store(new GraphPoint(this.xTransform(x, y),
+      this.yTransform(x, y), now[4], now[5]));
+};
+
+/** @override */
+observe(event) {
+  super.observe(event);
+  if (event.getSubject() == this.getVarsList()) {
+    if (event.nameEquals(VarsList.VARS_MODIFIED)) {
+      this.buildSectionMenu();
+    }
+  }
+};
+
+/** @override */
+reset() {
+  this.last_ = null;
+  super.reset();
+};
+
+/** Sets which direction of crossing the section stores a point. Starts over with a
+new HistoryList.
+@param {number} value 1 for increasing, -1 for decreasing, 0 for both directions
+@throws {!Error} if the value is not one of 1, -1, 0
+*/
+setSectionDirection(value) {
+  if (value != 1 && value != -1 && value != 0) {
+    throw new Error('setSectionDirection bad value '+value);
+  }
+  if (value != this.direction_) {
+    this.direction_ = value;
+    this.reset();
+    this.broadcastParameter(PoincareLine.en.SECTION_DIRECTION);
+  }
+};
+
+/** Sets the value of the section variable where a point is stored. Starts over with a
+new HistoryList.
+@param {number} value the value of the section variable where a point is stored
+*/
+setSectionValue(value) {
+  if (value != this.sectionValue_) {
+    this.sectionValue_ = value;
+    this.reset();
+    this.broadcastParameter(PoincareLine.en.SECTION_VALUE);
+  }
+};
+
+/** Sets the variable which defines the section: a point is stored when this variable
+crosses the section value. Starts over with a new HistoryList.
+@param {number} sectionVar the index of the section variable in the VarsList, or -1
+    to store every point like an ordinary GraphLine
+*/
+setSectionVariable(sectionVar) {
+  if (sectionVar < -1 || sectionVar > this.getVarsList().numVariables()-1) {
+    throw new Error('setSectionVariable bad index '+sectionVar);
+  }
+  if (sectionVar != this.sectionVar_) {
+    this.sectionVar_ = sectionVar;
+    this.reset();
+    this.broadcastParameter(PoincareLine.en.SECTION_VARIABLE);
+  }
+};
+
+} // end class
+
+/** Set of internationalized strings.
+@typedef {{
+  BOTH: string,
+  DECREASING: string,
+  INCREASING: string,
+  SECTION_DIRECTION: string,
+  SECTION_VALUE: string,
+  SECTION_VARIABLE: string
+  }}
+*/
+PoincareLine.i18n_strings;
+
+/**
+@type {PoincareLine.i18n_strings}
+*/
+PoincareLine.en = {
+  BOTH: 'both',
+  DECREASING: 'decreasing',
+  INCREASING: 'increasing',
+  SECTION_DIRECTION: 'section direction',
+  SECTION_VALUE: 'section value',
+  SECTION_VARIABLE: 'section variable'
+};
+
+/**
+@private
+@type {PoincareLine.i18n_strings}
+*/
+PoincareLine.de_strings = {
+  BOTH: 'beide',
+  DECREASING: 'abnehmend',
+  INCREASING: 'zunehmend',
+  SECTION_DIRECTION: 'Schnittrichtung',
+  SECTION_VALUE: 'Schnittwert',
+  SECTION_VARIABLE: 'Schnittvariable'
+};
+
+/** Set of internationalized strings.
+@type {PoincareLine.i18n_strings}
+*/
+PoincareLine.i18n = goog.LOCALE === 'de' ? PoincareLine.de_strings :
+    PoincareLine.en;
+
+exports = PoincareLine;
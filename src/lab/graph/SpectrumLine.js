@@ -0,0 +1,701 @@
+// Copyright 2016 Erik Neumann.  All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+goog.module('myphysicslab.lab.graph.SpectrumLine');
+
+goog.require('goog.array');
+
+const GenericEvent = goog.require('myphysicslab.lab.util.GenericEvent');
+const GraphLine = goog.require('myphysicslab.lab.graph.GraphLine');
+const GraphPoint = goog.require('myphysicslab.lab.graph.GraphPoint');
+const ParameterNumber = goog.require('myphysicslab.lab.util.ParameterNumber');
+const ParameterString = goog.require('myphysicslab.lab.util.ParameterString');
+const Util = goog.require('myphysicslab.lab.util.Util');
+const VarsHistory = goog.require('myphysicslab.lab.graph.VarsHistory');
+const Vector = goog.require('myphysicslab.lab.util.Vector');
+
+/** A {@link GraphLine} that shows the frequency spectrum of a variable's recent
+history. The history comes from a *source* which is either another GraphLine whose
+X variable is time, or a {@link VarsHistory} which records the time variable.
+
+Every few calls to {@link #memorize} the spectrum is recalculated from the most
+recent samples of the source, see {@link #update}:
+
+1. The most recent continuous samples are taken from the source, up to the *window
+   size* number of samples. Samples before a discontinuity (where a sequence number
+   changes or time goes backwards) are not used, see
+   {@link myphysicslab.lab.model.VarsList#getSequence}.
+
+2. The samples are resampled to the window size number of points, uniformly spaced in
+   time, using linear interpolation.
+
+3. The mean is subtracted, and a window function is applied, see
+   {@link #setWindowFunction}.
+
+4. A radix-2 Fast Fourier Transform gives the spectrum, see {@link #fft}.
+
+The GraphPoints of the SpectrumLine are then replaced by the magnitude of the spectrum
+versus frequency, where frequency is in cycles per unit of simulation time. The
+magnitude is scaled so that a sinusoid of amplitude `A` gives a peak of height close to
+`A`. The largest peaks are found by parabolic interpolation around local maxima of the
+magnitude, see {@link #getPeaks}.
+
+With a GraphLine source, the Y variable of the SpectrumLine follows the Y variable of
+the source. With a VarsHistory source, the Y variable can be chosen among the variables
+recorded by the VarsHistory, see {@link #setYVariable}. The X variable of the
+SpectrumLine is not used.
+
+Because the GraphPoints are replaced on each update without calling {@link #reset},
+a {@link myphysicslab.lab.graph.DisplayGraph} showing a SpectrumLine should not use an
+offscreen buffer, see {@link myphysicslab.lab.graph.DisplayGraph#setUseBuffer}.
+
+Parameters Created
+------------------
+
++ ParameterNumber named `WINDOW_SIZE`, see {@link #setWindowSize}.
+
++ ParameterString named `WINDOW_FUNCTION`, see {@link #setWindowFunction}.
+
++ ParameterNumber named `UPDATE_INTERVAL`, see {@link #setUpdateInterval}.
+
++ ParameterNumber named `MAX_FREQUENCY`, see {@link #setMaxFrequency}.
+
++ ParameterNumber named `NUM_PEAKS`, see {@link #setNumPeaks}.
+
+See {@link GraphLine} for other Parameters created.
+
+Events Broadcast
+----------------
+All the Parameters are broadcast when their values change.  In addition:
+
++ GenericEvent named `SPECTRUM_UPDATED`, see {@link #update}.
+
++ GenericEvent named `RESET`, see {@link #reset}.
+
+*/
+class SpectrumLine extends GraphLine {
+/**
+* @param {string} name
+* @param {!GraphLine|!VarsHistory} source the GraphLine or VarsHistory which
+*     provides the history of the variable
+*/
+constructor(name, source) {
+  super(name, source.getVarsList());
+  /**
+  * @type {!GraphLine|!VarsHistory}
+  * @private
+  */
+  this.source_ = source;
+  /** number of points in the Fast Fourier Transform, a power of 2
+  * @type {number}
+  * @private
+  */
+  this.windowSize_ = 1024;
+  /** which window function to apply to the samples
+  * @type {string}
+  * @private
+  */
+  this.windowFunction_ = SpectrumLine.HANN;
+  /** number of calls to memorize between updates of the spectrum
+  * @type {number}
+  * @private
+  */
+  this.updateInterval_ = 10;
+  /** number of calls to memorize since the last update of the spectrum
+  * @type {number}
+  * @private
+  */
+  this.count_ = 0;
+  /** the highest frequency shown, or zero to show up to the Nyquist frequency
+  * @type {number}
+  * @private
+  */
+  this.maxFrequency_ = 0;
+  /** the maximum number of peaks to find
+  * @type {number}
+  * @private
+  */
+  this.numPeaks_ = 3;
+  /** the peaks found on the last update, as (frequency, magnitude) in order of
+  * decreasing magnitude
+  * @type {!Array<!Vector>}
+  * @private
+  */
+  this.peaks_ = [];
+  if (source instanceof GraphLine) {
+    source.addObserver(this);
+    this.setYVariable(source.getYVariable());
+  } else {
+    var timeIdx = this.getVarsList().timeIndex();
+    var vars = source.getVariables();
+    var yIdx = goog.array.find(vars, function(idx) { return idx != timeIdx; });
+    if (yIdx != null) {
+      this.setYVariable(yIdx);
+    }
+  }
+  var sizes = [64, 128, 256, 512, 1024, 2048, 4096, 8192];
+  this.addParameter(new ParameterNumber(this, SpectrumLine.en.WINDOW_SIZE,
+      SpectrumLine.i18n.WINDOW_SIZE,
+      goog.bind(this.getWindowSize, this), goog.bind(this.setWindowSize, this),
+      goog.array.map(sizes, function(n) { return n.toString(); }), sizes));
+  this.addParameter(new ParameterString(this, SpectrumLine.en.WINDOW_FUNCTION,
+      SpectrumLine.i18n.WINDOW_FUNCTION,
+      goog.bind(this.getWindowFunction, this),
+      goog.bind(this.setWindowFunction, this),
+      [SpectrumLine.i18n.HANN, SpectrumLine.i18n.HAMMING,
+          SpectrumLine.i18n.RECTANGULAR],
+      [SpectrumLine.HANN, SpectrumLine.HAMMING, SpectrumLine.RECTANGULAR]));
+  this.addParameter(new ParameterNumber(this, SpectrumLine.en.UPDATE_INTERVAL,
+      SpectrumLine.i18n.UPDATE_INTERVAL,
+      goog.bind(this.getUpdateInterval, this),
+      goog.bind(this.setUpdateInterval, this))
+      .setDecimalPlaces(0).setLowerLimit(1));
+  this.addParameter(new ParameterNumber(this, SpectrumLine.en.MAX_FREQUENCY,
+      SpectrumLine.i18n.MAX_FREQUENCY,
+      goog.bind(this.getMaxFrequency, this),
+      goog.bind(this.setMaxFrequency, this)));
+  this.addParameter(new ParameterNumber(this, SpectrumLine.en.NUM_PEAKS,
+      SpectrumLine.i18n.NUM_PEAKS,
+      goog.bind(this.getNumPeaks, this), goog.bind(this.setNumPeaks, this))
+      .setDecimalPlaces(0));
+};
+
+/** @override */
+toString() {
+  return Util.ADVANCED ? '' : super.toString();
+};
+
+/** @override */
+toStringShort() {
+  return Util.ADVANCED ? '' :
+      super.toStringShort().slice(0, -1)
+      +', windowSize: '+this.windowSize_
+      +', windowFunction: '+this.windowFunction_
+      +', updateInterval: '+this.updateInterval_
+      +', maxFrequency: '+Util.NF(this.maxFrequency_)
+      +', numPeaks: '+this.numPeaks_
+      +'}';
+};
+
+/** @override */
+getClassName() {
+  return 'SpectrumLine';
+};
+
+/** Computes the discrete Fourier transform of a sequence of complex numbers, using
+the radix-2 Fast Fourier Transform algorithm. The transform is done in place, so
+that on return the arrays hold the real and imaginary parts of the transform
+`X[k] = sum_j x[j] exp(-2 pi i j k / n)`.
+* @param {!Array<number>} re the real parts of the sequence
+* @param {!Array<number>} im the imaginary parts of the sequence
+* @throws {!Error} if the arrays have different lengths, or the length is not a
+*     power of 2
+*/
+static fft(re, im) {
+  var n = re.length;
+  if (im.length != n || !SpectrumLine.isPowerOfTwo_(n)) {
+    throw new Error('fft needs arrays with length a power of 2, not '+n
+        +' and '+im.length);
+  }
+  // rearrange into bit-reversed order
+  for (var i=1, j=0; i<n; i++) {
+    var bit = n >> 1;
+    for (; j & bit; bit >>= 1) {
+      j ^= bit;
+    }
+    j ^= bit;
+    if (i < j) {
+      var tmp = re[i];
+      re[i] = re[j];
+      re[j] = tmp;
+      tmp = im[i];
+      im[i] = im[j];
+      im[j] = tmp;
+    }
+  }
+  // combine transforms of increasing length
+  for (var len=2; len<=n; len <<= 1) {
+    var angle = -2*Math.PI/len;
+    var wr = Math.cos(angle);
+    var wi = Math.sin(angle);
+    for (i=0; i<n; i += len) {
+      var ur = 1;
+      var ui = 0;
+      var half = len >> 1;
+      for (var k=0; k<half; k++) {
+        var a = i + k;
+        var b = a + half;
+        var tr = ur*re[b] - ui*im[b];
+        var ti = ur*im[b] + ui*re[b];
+        re[b] = re[a] - tr;
+        im[b] = im[a] - ti;
+        re[a] += tr;
+        im[a] += ti;
+        tmp = ur*wr - ui*wi;
+        ui = ur*wi + ui*wr;
+        ur = tmp;
+      }
+    }
+  }
+};
+
+/** Returns the largest peaks of the magnitude spectrum. Each local maximum is refined
+by fitting a parabola through it and its two neighbors.
+* @param {!Array<number>} mag the magnitude at each frequency
+* @param {number} df the frequency step between magnitudes
+* @param {number} numPeaks the maximum number of peaks to return
+* @return {!Array<!Vector>} the peaks as (frequency, magnitude), in order of
+*     decreasing magnitude
+* @private
+*/
+static findPeaks_(mag, df, numPeaks) {
+  /** @type {!Array<!Vector>} */
+  var peaks = [];
+  for (var k=1, len=mag.length; k<len-1; k++) {
+    var a = mag[k-1];
+    var b = mag[k];
+    var c = mag[k+1];
+    if (b > a && b >= c) {
+      var p = 0.5*(a - c)/(a - 2*b + c);
+      peaks.push(new Vector((k + p)*df, b - 0.25*(a - c)*p));
+    }
+  }
+  goog.array.sort(peaks, function(p1, p2) { return p2.getY() - p1.getY(); });
+  if (peaks.length > 0) {
+    var min = SpectrumLine.PEAK_THRESHOLD * peaks[0].getY();
+    peaks = goog.array.filter(peaks, function(p) { return p.getY() >= min; });
+  }
+  return goog.array.slice(peaks, 0, numPeaks);
+};
+
+/** Returns the highest frequency shown, or zero when the spectrum is shown up to the
+Nyquist frequency (half of the sampling rate).
+* @return {number} the highest frequency shown, or zero for the Nyquist frequency
+*/
+getMaxFrequency() {
+  return this.maxFrequency_;
+};
+
+/** Returns the maximum number of peaks to find.
+* @return {number} the maximum number of peaks to find
+*/
+getNumPeaks() {
+  return this.numPeaks_;
+};
+
+/** Returns the peaks of the spectrum found on the last update, in order of decreasing
+magnitude. Each peak is a Vector with frequency as the `x` value and magnitude as the
+`y` value. Peaks smaller than {@link #PEAK_THRESHOLD} times the largest peak are
+ignored.
+* @return {!Array<!Vector>} the peaks of the spectrum, as (frequency, magnitude)
+*/
+getPeaks() {
+  return goog.array.clone(this.peaks_);
+};
+
+/** Returns the most recent continuous samples of the source, up to the window size
+number of samples.
+* @return {?Array<!Array<number>>} the times and the values of the samples, or null
+*     when there are not enough samples
+* @private
+*/
+getSamples_() {
+  var timeIdx = this.getVarsList().timeIndex();
+  var src = this.source_;
+  var isLine = src instanceof GraphLine;
+  var tCol = -1;
+  var yCol = -1;
+  var list;
+  if (src instanceof GraphLine) {
+    if (src.getXVariable() != timeIdx || src.getYVariable() < 0) {
+      return null;
+    }
+    list = src.getGraphPoints();
+  } else {
+    var vars = src.getVariables();
+    tCol = goog.array.indexOf(vars, timeIdx);
+    yCol = goog.array.indexOf(vars, this.getYVariable());
+    if (tCol < 0 || yCol < 0) {
+      return null;
+    }
+    list = src.getDataPoints();
+  }
+  var end = list.getEndIndex();
+  if (end < 0) {
+    return null;
+  }
+  var times = [];
+  var values = [];
+  var iter = list.getIterator(Math.max(list.getStartIndex(),
+      end - this.windowSize_ + 1));
+  var lastT = Util.NEGATIVE_INFINITY;
+  var lastSeq = [0, 0];
+  while (iter.hasNext()) {
+    var t, y, seq;
+    if (isLine) {
+      var p = /** @type {!GraphPoint} */(iter.nextValue());
+      t = p.x;
+      y = p.y;
+      seq = [p.seqX, p.seqY];
+    } else {
+      var d = /** @type {!Array<number>} */(iter.nextValue());
+      t = d[tCol];
+      y = d[yCol];
+      seq = lastSeq;
+    }
+    if (t < lastT || !goog.array.equals(seq, lastSeq)) {
+      // discontinuity: start over from this sample
+      times = [];
+      values = [];
+    } else if (t == lastT) {
+      continue;
+    }
+    times.push(t);
+    values.push(y);
+    lastT = t;
+    lastSeq = seq;
+  }
+  if (times.length < SpectrumLine.MIN_SAMPLES) {
+    return null;
+  }
+  return [times, values];
+};
+
+/** Returns the number of calls to {@link #memorize} between updates of the spectrum.
+* @return {number} the number of calls to memorize between updates
+*/
+getUpdateInterval() {
+  return this.updateInterval_;
+};
+
+/** Returns which window function is applied to the samples.
+* @return {string} the window function, one of {@link #HANN}, {@link #HAMMING},
+*     {@link #RECTANGULAR}
+*/
+getWindowFunction() {
+  return this.windowFunction_;
+};
+
+/** Returns the number of points in the Fast Fourier Transform.
+* @return {number} the number of points in the Fast Fourier Transform
+*/
+getWindowSize() {
+  return this.windowSize_;
+};
+
+/** Returns true if the number is a positive integer power of 2.
+* @param {number} n
+* @return {boolean}
+* @private
+*/
+static isPowerOfTwo_(n) {
+  return n >= 1 && Math.floor(n) == n && (n & (n - 1)) == 0;
+};
+
+/** Returns the values of the window function.
+* @param {string} windowFunction the window function, one of {@link #HANN},
+*     {@link #HAMMING}, {@link #RECTANGULAR}
+* @param {number} n the number of points
+* @return {!Array<number>} the values of the window function at each of the points
+* @throws {!Error} if the window function is unknown
+*/
+static makeWindow(windowFunction, n) {
+  var w = new Array(n);
+  for (var i=0; i<n; i++) {
+    var c = n > 1 ? Math.cos(2*Math.PI*i/(n-1)) : 1;
+    switch (windowFunction) {
+      case SpectrumLine.HANN: w[i] = 0.5 - 0.5*c; break;
+      case SpectrumLine.HAMMING: w[i] = 0.54 - 0.46*c; break;
+      case SpectrumLine.RECTANGULAR: w[i] = 1; break;
+      default: throw new Error('unknown window function '+windowFunction);
+    }
+  }
+  return w;
+};
+
+/** Updates the spectrum when {@link #getUpdateInterval} calls have been made since the
+last update.
+* @override
+*/
+memorize() {
+  if (++this.count_ >= this.updateInterval_) {
+    this.count_ = 0;
+    this.update();
+  }
+};
+
+/** @override */
+observe(event) {
+  super.observe(event);
+  var src = this.source_;
+  if (src instanceof GraphLine && event.getSubject() == src) {
+    if (event.nameEquals(GraphLine.en.Y_VARIABLE)) {
+      this.setYVariable(src.getYVariable());
+    } else if (event.nameEquals(GraphLine.en.X_VARIABLE) ||
+        event.nameEquals(GraphLine.RESET)) {
+      this.reset();
+    }
+  }
+};
+
+/** Returns values at uniformly spaced times from the first to the last of the given
+times, found by linear interpolation of the given values.
+* @param {!Array<number>} times the times of the samples, in increasing order
+* @param {!Array<number>} values the values of the samples
+* @param {number} n the number of values to return
+* @return {!Array<number>} the values at `n` uniformly spaced times
+*/
+static resample(times, values, n) {
+  var len = times.length;
+  var t0 = times[0];
+  var dt = n > 1 ? (times[len-1] - t0)/(n-1) : 0;
+  var r = new Array(n);
+  var j = 0;
+  for (var i=0; i<n; i++) {
+    var t = t0 + i*dt;
+    while (j < len-2 && times[j+1] < t) {
+      j++;
+    }
+    if (len < 2) {
+      r[i] = values[0];
+    } else {
+      var f = (t - times[j])/(times[j+1] - times[j]);
+      r[i] = values[j] + Math.min(1, f) * (values[j+1] - values[j]);
+    }
+  }
+  return r;
+};
+
+/** Forgets any memorized data, styles and peaks, starts from scratch.
+* @override
+*/
+reset() {
+  this.count_ = 0;
+  this.peaks_ = [];
+  super.reset();
+};
+
+/** Sets the highest frequency shown, or zero to show the spectrum up to the Nyquist
+frequency (half of the sampling rate). Peaks are only found below this frequency.
+* @param {number} value the highest frequency shown, or zero for the Nyquist frequency
+*/
+setMaxFrequency(value) {
+  if (value < 0) {
+    throw new Error('max frequency must be non-negative '+value);
+  }
+  if (value != this.maxFrequency_) {
+    this.maxFrequency_ = value;
+    this.broadcastParameter(SpectrumLine.en.MAX_FREQUENCY);
+  }
+};
+
+/** Sets the maximum number of peaks to find, see {@link #getPeaks}.
+* @param {number} value the maximum number of peaks to find
+*/
+setNumPeaks(value) {
+  value = Math.floor(value);
+  if (value < 0) {
+    throw new Error('number of peaks must be non-negative '+value);
+  }
+  if (value != this.numPeaks_) {
+    this.numPeaks_ = value;
+    this.broadcastParameter(SpectrumLine.en.NUM_PEAKS);
+  }
+};
+
+/** Sets the number of calls to {@link #memorize} between updates of the spectrum.
+Larger numbers use less computation.
+* @param {number} value the number of calls to memorize between updates
+*/
+setUpdateInterval(value) {
+  value = Math.floor(value);
+  if (value < 1) {
+    throw new Error('update interval must be at least 1: '+value);
+  }
+  if (value != this.updateInterval_) {
+    this.updateInterval_ = value;
+    this.broadcastParameter(SpectrumLine.en.UPDATE_INTERVAL);
+  }
+};
+
+/** Sets which window function is applied to the samples before the Fourier transform.
+A window function reduces the 'leakage' of a peak into neighboring frequencies, which
+happens because the samples do not contain a whole number of oscillations.
+* @param {string} value the window function, one of {@link #HANN},
+*     {@link #HAMMING}, {@link #RECTANGULAR}
+* @throws {!Error} if the window function is unknown
+*/
+setWindowFunction(value) {
+  value = value.toUpperCase();
+  if (!goog.array.contains([SpectrumLine.HANN, SpectrumLine.HAMMING,
+      SpectrumLine.RECTANGULAR], value)) {
+    throw new Error('unknown window function '+value);
+  }
+  if (value != this.windowFunction_) {
+    this.windowFunction_ = value;
+    this.broadcastParameter(SpectrumLine.en.WINDOW_FUNCTION);
+  }
+};
+
+/** Sets the number of points in the Fast Fourier Transform, which is also the maximum
+number of samples taken from the source. A larger window gives finer frequency
+resolution, but responds more slowly to changes.
+* @param {number} value the number of points in the Fast Fourier Transform, a power
+*     of 2 that is at least {@link #MIN_SAMPLES}
+* @throws {!Error} if the value is not a power of 2 or is too small
+*/
+setWindowSize(value) {
+  if (!SpectrumLine.isPowerOfTwo_(value) || value < SpectrumLine.MIN_SAMPLES) {
+    throw new Error('window size must be a power of 2, at least '
+        +SpectrumLine.MIN_SAMPLES+': '+value);
+  }
+  if (value != this.windowSize_) {
+    this.windowSize_ = value;
+    this.broadcastParameter(SpectrumLine.en.WINDOW_SIZE);
+  }
+};
+
+/** Recalculates the spectrum from the most recent samples of the source, replacing
+the GraphPoints and the peaks. The GraphPoints and peaks are empty when there are
+fewer than {@link #MIN_SAMPLES} continuous samples. Broadcasts a GenericEvent named
+`SPECTRUM_UPDATED`.
+* @return {undefined}
+*/
+update() {
+  var pts = this.getGraphPoints();
+  pts.reset();
+  this.resetStyle();
+  this.peaks_ = [];
+  var samples = this.getSamples_();
+  if (samples != null) {
+    var times = samples[0];
+    var n = this.windowSize_;
+    var re = SpectrumLine.resample(times, samples[1], n);
+    var dt = (times[times.length-1] - times[0])/(n-1);
+    var mean = goog.array.reduce(re, function(sum, v) { return sum + v; }, 0)/n;
+    var w = SpectrumLine.makeWindow(this.windowFunction_, n);
+    var wsum = 0;
+    var im = new Array(n);
+    for (var i=0; i<n; i++) {
+      re[i] = (re[i] - mean) * w[i];
+      im[i] = 0;
+      wsum += w[i];
+    }
+    SpectrumLine.fft(re, im);
+    var df = 1/(n*dt);
+    var kMax = n/2;
+    if (this.maxFrequency_ > 0) {
+      kMax = Math.min(kMax, Math.floor(this.maxFrequency_/df));
+    }
+    var mag = new Array(kMax+1);
+    for (var k=0; k<=kMax; k++) {
+      // one-sided spectrum: double all but the zero and Nyquist frequencies
+      var scale = (k == 0 || k == n/2) ? 1 : 2;
+      mag[k] = scale * Math.sqrt(re[k]*re[k] + im[k]*im[k]) / wsum;
+      pts.store(new GraphPoint(k*df, mag[k], 0, 0));
+    }
+    this.peaks_ = SpectrumLine.findPeaks_(mag, df, this.numPeaks_);
+  }
+  this.broadcast(new GenericEvent(this, SpectrumLine.SPECTRUM_UPDATED));
+};
+
+} // end class
+
+/** Hann window function, see {@link #setWindowFunction}.
+* @type {string}
+* @const
+*/
+SpectrumLine.HANN = 'HANN';
+
+/** Hamming window function, see {@link #setWindowFunction}.
+* @type {string}
+* @const
+*/
+SpectrumLine.HAMMING = 'HAMMING';
+
+/** Rectangular window function, which leaves the samples unchanged, see
+* {@link #setWindowFunction}.
+* @type {string}
+* @const
+*/
+SpectrumLine.RECTANGULAR = 'RECTANGULAR';
+
+/** Minimum number of continuous samples needed to calculate a spectrum.
+* @type {number}
+* @const
+*/
+SpectrumLine.MIN_SAMPLES = 8;
+
+/** Peaks smaller than this fraction of the largest peak are ignored.
+* @type {number}
+* @const
+*/
+SpectrumLine.PEAK_THRESHOLD = 0.05;
+
+/** Event broadcast when {@link #update} has recalculated the spectrum.
+* @type {string}
+* @const
+*/
+SpectrumLine.SPECTRUM_UPDATED = 'SPECTRUM_UPDATED';
+
+/** Set of internationalized strings.
+@typedef {{
+  HAMMING: string,
+  HANN: string,
+  MAX_FREQUENCY: string,
+  NUM_PEAKS: string,
+  RECTANGULAR: string,
+  UPDATE_INTERVAL: string,
+  WINDOW_FUNCTION: string,
+  WINDOW_SIZE: string
+  }}
+*/
+SpectrumLine.i18n_strings;
+
+/**
+@type {SpectrumLine.i18n_strings}
+*/
+SpectrumLine.en = {
+  HAMMING: 'Hamming',
+  HANN: 'Hann',
+  MAX_FREQUENCY: 'max frequency',
+  NUM_PEAKS: 'number of peaks',
+  RECTANGULAR: 'rectangular',
+  UPDATE_INTERVAL: 'update interval',
+  WINDOW_FUNCTION: 'window function',
+  WINDOW_SIZE: 'window size'
+};
+
+/**
+@private
+@type {SpectrumLine.i18n_strings}
+*/
+SpectrumLine.de_strings = {
+  HAMMING: 'Hamming',
+  HANN: 'Hann',
+  MAX_FREQUENCY: 'Höchstfrequenz',
+  NUM_PEAKS: 'Anzahl Spitzen',
+  RECTANGULAR: 'rechteckig',
+  UPDATE_INTERVAL: 'Aktualisierungsintervall',
+  WINDOW_FUNCTION: 'Fensterfunktion',
+  WINDOW_SIZE: 'Fenstergröße'
+};
+
+/** Set of internationalized strings.
+@type {SpectrumLine.i18n_strings}
+*/
+SpectrumLine.i18n = goog.LOCALE === 'de' ? SpectrumLine.de_strings :
+    SpectrumLine.en;
+
+exports = SpectrumLine;
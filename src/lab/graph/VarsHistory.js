@@ -43,6 +43,10 @@ See {@link #output}. The resulting text can then be copied from the Terminal tex
 saved as a text document with suffix '.csv' (for 'comma separated values') and imported
 into a spreadsheet program for analysis.
 
+To save the data along with the names of the variables use {@link #toCSV} which
+includes a header row, or {@link #toJSONString}. These are useful when running a
+simulation without a user interface, see {@link myphysicslab.lab.app.BatchRunner}.
+
 The VarsHistory will gather data on all the variables by default. To change which
 variables are sampled or the order of the variables within each sample see
 {@link #setVariables}. For example:
@@ -110,6 +114,13 @@ getVariables() {
   return goog.array.clone(this.varIndex_);
 };
 
+/** Returns the VarsList that this VarsHistory is collecting from.
+* @return {!VarsList} the VarsList that this is collecting from
+*/
+getVarsList() {
+  return this.variablesList_;
+};
+
 /** @override */
 memorize() {
   var vars = this.variablesList_.getValues(/*computed=*/true);
@@ -158,6 +169,19 @@ setVariables(varIndex) {
   this.dataPoints_.reset();
 };
 
+/** Returns the names of the variables being remembered, in the same order as the
+numbers in each data sample.
+* @param {boolean=} opt_localized `true` means return localized names,
+*    otherwise return language-independent names.
+* @return {!Array<string>} names of the variables being remembered
+*/
+getVariableNames(opt_localized) {
+  var varsList = this.variablesList_;
+  return goog.array.map(this.varIndex_, function(idx) {
+    return varsList.getVariable(idx).getName(opt_localized);
+  });
+};
+
 /** Returns arrays of the data points, one array for each sample.
 * @return {!Array<!Array<number>>}
 */
@@ -170,5 +194,40 @@ toArray() {
   return r;
 };
 
+/** Returns string form of the data points in 'comma separated values' (CSV) format.
+The first line is a header row with the language-independent names of the variables,
+see {@link #getVariableNames}. Then there is one line for each sample, using the number
+formatting function specified by the property {@link #numberFormat}.
+* @return {string}
+*/
+toCSV() {
+  var names = goog.array.map(this.getVariableNames(), function(name) {
+    // quote names that contain a comma or a quote, as specified by RFC 4180
+    return /[,"]/.test(name) ? '"' + name.replace(/"/g, '""') + '"' : name;
+  });
+  var s = names.join(',') + '\n';
+  var iter = this.dataPoints_.getIterator();
+  while (iter.hasNext()) {
+    var data = iter.nextValue();
+    s += Util.array2string(data, this.numberFormat, ',') + '\n';
+  }
+  return s;
+};
+
+/** Returns JSON string form of the data points. The JSON object has two properties:
+`variables` is an array of the language-independent names of the variables (see
+{@link #getVariableNames}), and `data` is an array of the data samples, where each
+sample is an array of numbers in the same order as the names. The numbers are stored
+with full precision, the {@link #numberFormat} property is not used. This is not
+named `toJSON` because `JSON.stringify` would call that and quote the returned string.
+* @return {string}
+*/
+toJSONString() {
+  return JSON.stringify({
+    'variables': this.getVariableNames(),
+    'data': this.toArray()
+  });
+};
+
 } // end class
 exports = VarsHistory;
@@ -0,0 +1,134 @@
+// Copyright 2016 Erik Neumann.  All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+goog.module('myphysicslab.lab.graph.test.PoincareLineTest');
+
+const DrawingMode = goog.require('myphysicslab.lab.view.DrawingMode');
+const PoincareLine = goog.require('myphysicslab.lab.graph.PoincareLine');
+const TestRig = goog.require('myphysicslab.test.TestRig');
+const VarsList = goog.require('myphysicslab.lab.model.VarsList');
+
+const assertEquals = TestRig.assertEquals;
+const assertNull = TestRig.assertNull;
+const assertRoughlyEquals = TestRig.assertRoughlyEquals;
+const assertThrows = TestRig.assertThrows;
+const schedule = TestRig.schedule;
+const startTest = TestRig.startTest;
+
+class PoincareLineTest {
+
+static test() {
+  schedule(PoincareLineTest.testSection);
+  schedule(PoincareLineTest.testCircle);
+};
+
+static testSection() {
+  startTest(PoincareLineTest.groupName+'testSection');
+  var tol = 1E-12;
+  var va = new VarsList(['s', 'x', 'y'], ['s', 'x', 'y']);
+  var line = new PoincareLine('LINE', va);
+  line.setXVariable(1);
+  line.setYVariable(2);
+  var points = line.getGraphPoints();
+  // with no section variable every point is stored
+  assertEquals(-1, line.getSectionVariable());
+  va.setValues([-1, 0, 0], /*continuous=*/true);
+  line.memorize();
+  va.setValues([1, 2, 4], /*continuous=*/true);
+  line.memorize();
+  assertEquals(2, points.getSize());
+  line.setSectionVariable(0);
+  assertEquals('s', line.getSectionVarName());
+  assertEquals(0, points.getSize());
+  assertEquals(1, line.getSectionDirection());
+  // the first state is only remembered
+  va.setValues([-1, 0, 0], /*continuous=*/true);
+  line.memorize();
+  assertEquals(0, points.getSize());
+  // crossing upwards stores a point at one quarter of the way
+  va.setValues([3, 4, 8], /*continuous=*/true);
+  line.memorize();
+  assertEquals(1, points.getSize());
+  var p = points.getEndValue();
+  assertRoughlyEquals(1, p.getX(), tol);
+  assertRoughlyEquals(2, p.getY(), tol);
+  // crossing downwards is ignored
+  va.setValues([-1, 0, 0], /*continuous=*/true);
+  line.memorize();
+  assertEquals(1, points.getSize());
+  line.setSectionDirection(-1);
+  assertEquals(0, points.getSize());
+  va.setValues([1, 0, 0], /*continuous=*/true);
+  line.memorize();
+  va.setValues([-3, 4, 8], /*continuous=*/true);
+  line.memorize();
+  assertEquals(1, points.getSize());
+  assertRoughlyEquals(1, points.getEndValue().getX(), tol);
+  // with both directions, the section value is used
+  line.setSectionDirection(0);
+  line.setSectionValue(2);
+  va.setValues([0, 0, 0], /*continuous=*/true);
+  line.memorize();
+  va.setValues([4, 2, 2], /*continuous=*/true);
+  line.memorize();
+  va.setValues([0, 2, 6], /*continuous=*/true);
+  line.memorize();
+  assertEquals(2, points.getSize());
+  assertRoughlyEquals(2, points.getEndValue().getX(), tol);
+  assertRoughlyEquals(4, points.getEndValue().getY(), tol);
+  // no point is stored across a discontinuous change
+  va.setValue(0, 4, /*continuous=*/false);
+  line.memorize();
+  assertEquals(2, points.getSize());
+  assertThrows(function() { line.setSectionDirection(2); });
+  assertThrows(function() { line.setSectionVariable(3); });
+  // resetting forgets the previous state
+  line.reset();
+  assertNull(points.getEndValue());
+  va.setValues([0, 0, 0], /*continuous=*/true);
+  line.memorize();
+  assertEquals(0, points.getSize());
+  assertEquals(DrawingMode.LINES, line.getDrawingMode());
+};
+
+static testCircle() {
+  startTest(PoincareLineTest.groupName+'testCircle');
+  // motion on a circle, sampled with a time step that does not divide the period;
+  // every crossing of the positive x-axis is at radius 1
+  var va = new VarsList(['x', 'y'], ['x', 'y']);
+  var line = new PoincareLine('LINE', va);
+  line.setXVariable(0);
+  line.setYVariable(1);
+  line.setSectionVariable(1);
+  for (var t=0; t<100; t += 0.01) {
+    va.setValues([Math.cos(t), Math.sin(t)], /*continuous=*/true);
+    line.memorize();
+  }
+  var points = line.getGraphPoints();
+  assertEquals(15, points.getSize());
+  for (var i=points.getStartIndex(); i<=points.getEndIndex(); i++) {
+    assertRoughlyEquals(1, points.getValue(i).getX(), 1E-4);
+    assertRoughlyEquals(0, points.getValue(i).getY(), 1E-12);
+  }
+};
+
+} // end class
+
+/**
+* @type {string}
+* @const
+*/
+PoincareLineTest.groupName = 'PoincareLineTest.';
+
+exports = PoincareLineTest;
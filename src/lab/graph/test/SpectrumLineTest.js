@@ -0,0 +1,190 @@
+// Copyright 2016 Erik Neumann.  All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+goog.module('myphysicslab.lab.graph.test.SpectrumLineTest');
+
+const GraphLine = goog.require('myphysicslab.lab.graph.GraphLine');
+const SpectrumLine = goog.require('myphysicslab.lab.graph.SpectrumLine');
+const TestRig = goog.require('myphysicslab.test.TestRig');
+const VarsHistory = goog.require('myphysicslab.lab.graph.VarsHistory');
+const VarsList = goog.require('myphysicslab.lab.model.VarsList');
+
+const assertEquals = TestRig.assertEquals;
+const assertRoughlyEquals = TestRig.assertRoughlyEquals;
+const assertThrows = TestRig.assertThrows;
+const assertTrue = TestRig.assertTrue;
+const schedule = TestRig.schedule;
+const startTest = TestRig.startTest;
+
+class SpectrumLineTest {
+
+static test() {
+  schedule(SpectrumLineTest.testFFT);
+  schedule(SpectrumLineTest.testGraphLine);
+  schedule(SpectrumLineTest.testHistory);
+};
+
+static testFFT() {
+  startTest(SpectrumLineTest.groupName+'testFFT');
+  var tol = 1E-10;
+  var n = 16;
+  var re = [];
+  var im = [];
+  for (var i=0; i<n; i++) {
+    re.push(Math.sin(i*i + 1));
+    im.push(Math.cos(3*i));
+  }
+  // compare with the discrete Fourier transform calculated directly
+  var dftRe = [];
+  var dftIm = [];
+  for (var k=0; k<n; k++) {
+    var sr = 0;
+    var si = 0;
+    for (var j=0; j<n; j++) {
+      var a = -2*Math.PI*j*k/n;
+      sr += re[j]*Math.cos(a) - im[j]*Math.sin(a);
+      si += re[j]*Math.sin(a) + im[j]*Math.cos(a);
+    }
+    dftRe.push(sr);
+    dftIm.push(si);
+  }
+  SpectrumLine.fft(re, im);
+  for (k=0; k<n; k++) {
+    assertRoughlyEquals(dftRe[k], re[k], tol);
+    assertRoughlyEquals(dftIm[k], im[k], tol);
+  }
+  assertThrows(function() { SpectrumLine.fft([1, 2, 3], [0, 0, 0]); });
+  assertThrows(function() { SpectrumLine.fft([1, 2], [0]); });
+  // resampling uses linear interpolation
+  var r = SpectrumLine.resample([0, 1, 3], [0, 2, 0], 4);
+  assertEquals(4, r.length);
+  assertRoughlyEquals(0, r[0], tol);
+  assertRoughlyEquals(2, r[1], tol);
+  assertRoughlyEquals(1, r[2], tol);
+  assertRoughlyEquals(0, r[3], tol);
+  var w = SpectrumLine.makeWindow(SpectrumLine.HANN, 5);
+  assertRoughlyEquals(0, w[0], tol);
+  assertRoughlyEquals(1, w[2], tol);
+  assertRoughlyEquals(0, w[4], tol);
+  w = SpectrumLine.makeWindow(SpectrumLine.HAMMING, 5);
+  assertRoughlyEquals(0.08, w[0], tol);
+  assertRoughlyEquals(1, w[2], tol);
+  assertThrows(function() { SpectrumLine.makeWindow('foo', 5); });
+};
+
+static testGraphLine() {
+  startTest(SpectrumLineTest.groupName+'testGraphLine');
+  var va = new VarsList(['x', 'time'], ['x', 'time']);
+  var line = new GraphLine('LINE', va);
+  line.setXVariable(1);
+  line.setYVariable(0);
+  var spectrum = new SpectrumLine('SPECTRUM', line);
+  assertEquals(0, spectrum.getYVariable());
+  assertEquals(1024, spectrum.getWindowSize());
+  assertThrows(function() { spectrum.setWindowSize(1000); });
+  assertThrows(function() { spectrum.setWindowFunction('foo'); });
+  spectrum.setUpdateInterval(5);
+  // too few samples gives no spectrum
+  va.setValues([0, 0], /*continuous=*/true);
+  line.memorize();
+  spectrum.update();
+  assertEquals(0, spectrum.getGraphPoints().getSize());
+  assertEquals(0, spectrum.getPeaks().length);
+  // two sinusoids with frequencies 1.3 and 4.1
+  var dt = 0.02;
+  for (var i=1; i<=1500; i++) {
+    var t = i*dt;
+    va.setValues([2*Math.sin(2*Math.PI*1.3*t) + 0.5*Math.sin(2*Math.PI*4.1*t) + 3,
+        t], /*continuous=*/true);
+    line.memorize();
+    if (i == 1499) {
+      // the spectrum is updated every 5 calls to memorize
+      spectrum.memorize();
+      spectrum.memorize();
+      spectrum.memorize();
+      spectrum.memorize();
+      assertEquals(0, spectrum.getGraphPoints().getSize());
+      spectrum.memorize();
+      assertEquals(513, spectrum.getGraphPoints().getSize());
+    }
+  }
+  spectrum.update();
+  // the spectrum extends to the Nyquist frequency
+  var points = spectrum.getGraphPoints();
+  assertEquals(513, points.getSize());
+  assertRoughlyEquals(0.5/dt, points.getEndValue().getX(), 1E-10);
+  var peaks = spectrum.getPeaks();
+  assertEquals(2, peaks.length);
+  assertRoughlyEquals(1.3, peaks[0].getX(), 0.005);
+  assertRoughlyEquals(2, peaks[0].getY(), 0.1);
+  assertRoughlyEquals(4.1, peaks[1].getX(), 0.005);
+  assertRoughlyEquals(0.5, peaks[1].getY(), 0.03);
+  // limit the range of frequencies
+  spectrum.setMaxFrequency(3);
+  spectrum.setWindowFunction(SpectrumLine.RECTANGULAR);
+  spectrum.update();
+  assertTrue(points.getEndValue().getX() <= 3);
+  peaks = spectrum.getPeaks();
+  assertTrue(peaks.length >= 1);
+  // parabolic interpolation is less accurate with the rectangular window
+  assertRoughlyEquals(1.3, peaks[0].getX(), 0.02);
+  spectrum.setNumPeaks(1);
+  spectrum.update();
+  assertEquals(1, spectrum.getPeaks().length);
+  // the spectrum follows the Y variable of the source
+  line.setYVariable(-1);
+  assertEquals(-1, spectrum.getYVariable());
+  assertEquals(0, spectrum.getGraphPoints().getSize());
+  spectrum.update();
+  assertEquals(0, spectrum.getGraphPoints().getSize());
+};
+
+static testHistory() {
+  startTest(SpectrumLineTest.groupName+'testHistory');
+  var va = new VarsList(['time', 'x', 'y'], ['time', 'x', 'y']);
+  var hist = new VarsHistory(va);
+  hist.setVariables([0, 2]);
+  var spectrum = new SpectrumLine('SPECTRUM', hist);
+  assertEquals(2, spectrum.getYVariable());
+  spectrum.setWindowSize(256);
+  var dt = 0.05;
+  for (var i=0; i<400; i++) {
+    var t = i*dt;
+    // frequency changes after time goes backwards
+    var f = i < 200 ? 0.7 : 2.2;
+    va.setValues([i < 200 ? t : t - 15, 0, Math.cos(2*Math.PI*f*t)],
+        /*continuous=*/true);
+    hist.memorize();
+  }
+  spectrum.update();
+  var peaks = spectrum.getPeaks();
+  assertTrue(peaks.length >= 1);
+  assertRoughlyEquals(2.2, peaks[0].getX(), 0.01);
+  assertRoughlyEquals(1, peaks[0].getY(), 0.1);
+  // a variable which is not in the history gives no spectrum
+  spectrum.setYVariable(1);
+  spectrum.update();
+  assertEquals(0, spectrum.getGraphPoints().getSize());
+  assertEquals(0, spectrum.getPeaks().length);
+};
+
+} // end class
+
+/**
+* @type {string}
+* @const
+*/
+SpectrumLineTest.groupName = 'SpectrumLineTest.';
+
+exports = SpectrumLineTest;
@@ -39,6 +39,11 @@ constructor(opt_name, opt_localName) {
   * @protected
   */
   this.mass_ = 1;
+  /** electric charge
+  * @type {number}
+  * @protected
+  */
+  this.charge_ = 0;
   /**
   * @type {!Vector}
   * @protected
@@ -96,6 +101,11 @@ constructor(opt_name, opt_localName) {
   * @protected
   */
   this.minHeight_ = Util.NaN;
+  /** whether this body is sleeping
+  * @type {boolean}
+  * @private
+  */
+  this.sleeping_ = false;
 };
 
 /** @override */
@@ -103,6 +113,7 @@ toString() {
   return Util.ADVANCED ? '' :
       super.toString().slice(0, -1)
       +', mass_: '+Util.NF(this.mass_)
+      +', charge_: '+Util.NF(this.charge_)
       +', loc_world_: '+this.loc_world_
       +', angle_: '+this.angle_
       +', velocity_: '+this.velocity_
@@ -110,6 +121,7 @@ toString() {
       +', cm_body_: '+this.cm_body_
       +', zeroEnergyLevel_: '+Util.NF(this.zeroEnergyLevel_)
       +', moment_: '+Util.NF(this.moment_)
+      +', sleeping_: '+this.sleeping_
       +'}';
 };
 
@@ -191,6 +203,11 @@ getCenterOfMassBody() {
   return this.cm_body_;
 };
 
+/** @override */
+getCharge() {
+  return this.charge_;
+};
+
 /** @abstract */
 getCentroidBody() {};
 
@@ -301,6 +318,11 @@ isMassObject() {
   return true;
 };
 
+/** @override */
+isSleeping() {
+  return this.sleeping_;
+};
+
 /** @override */
 momentAboutCM() {
   return this.mass_*this.moment_;
@@ -347,6 +369,12 @@ setAngularVelocity(angular_velocity) {
   this.angular_velocity_ = angular_velocity;
 };
 
+/** @override */
+setCharge(charge) {
+  this.charge_ = charge;
+  return this;
+};
+
 /** @override */
 setCenterOfMass(x_body, y_body) {
   this.cm_body_ = new Vector(x_body, y_body);
@@ -388,6 +416,14 @@ setPosition(loc_world, angle) {
   }
 };
 
+/** Sets whether this body is sleeping. This is usually set by the simulation, see
+{@link myphysicslab.lab.engine2D.ContactSim#setSleepEnabled}.
+@param {boolean} value whether this body is sleeping
+*/
+setSleeping(value) {
+  this.sleeping_ = value;
+};
+
 /** @override */
 setVelocity(velocity_world, angular_velocity) {
   this.velocity_ = Vector.clone(velocity_world);
@@ -17,6 +17,7 @@ goog.module('myphysicslab.lab.model.AbstractODESim');
 goog.require('goog.array');
 
 const AbstractSubject = goog.require('myphysicslab.lab.util.AbstractSubject');
+const EventFunction = goog.require('myphysicslab.lab.model.EventFunction');
 const GenericEvent = goog.require('myphysicslab.lab.util.GenericEvent');
 const ODESim = goog.require('myphysicslab.lab.model.ODESim');
 const SimList = goog.require('myphysicslab.lab.model.SimList');
@@ -60,6 +61,11 @@ constructor(opt_name, opt_simList, opt_varsList) {
   * @private
   */
   this.recentState_ = null;
+  /**
+  * @type {!Array<!EventFunction>}
+  * @private
+  */
+  this.eventFunctions_ = [];
 };
 
 /** @override */
@@ -69,9 +75,32 @@ toString() {
       + super.toString();
 };
 
+/** @override */
+acceptStep() {};
+
+/** @override */
+addEventFunction(eventFunction) {
+  if (!goog.array.contains(this.eventFunctions_, eventFunction)) {
+    this.eventFunctions_.push(eventFunction);
+  }
+};
+
+/** @override */
+clearHistory() {};
+
 /** @abstract */
 evaluate(vars, change, timeStep) {};
 
+/** @override */
+getEventFunctions() {
+  return goog.array.clone(this.eventFunctions_);
+};
+
+/** @override */
+getPositionVariables() {
+  return [];
+};
+
 /** @override */
 getTime() {
   return this.varsList_.getTime();
@@ -82,9 +111,19 @@ getVarsList() {
   return this.varsList_;
 };
 
+/** @override */
+getVelocityVariables() {
+  return [];
+};
+
 /** @abstract */
 modifyObjects() {};
 
+/** @override */
+removeEventFunction(eventFunction) {
+  goog.array.remove(this.eventFunctions_, eventFunction);
+};
+
 /** @override */
 reset() {
   if (this.initialState_ != null) {
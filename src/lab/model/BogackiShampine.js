@@ -0,0 +1,107 @@
+// Copyright 2016 Erik Neumann.  All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+goog.module('myphysicslab.lab.model.BogackiShampine');
+
+const EmbeddedRungeKutta = goog.require('myphysicslab.lab.model.EmbeddedRungeKutta');
+const ODESim = goog.require('myphysicslab.lab.model.ODESim');
+const Util = goog.require('myphysicslab.lab.util.Util');
+
+/** Bogacki-Shampine 3(2) method for solving ordinary differential equations expressed
+as an {@link ODESim}, with automatic step size control. Uses 4 evaluations of the
+differential equations for each step, to find a 3rd order solution and a 2nd order
+error estimate. This is the method used by `ode23` in MATLAB; it is efficient when
+only low accuracy is needed.
+
+See {@link EmbeddedRungeKutta} about the tolerances and step size control. See
+[Bogacki-Shampine method](https://en.wikipedia.org/wiki/Bogacki%E2%80%93Shampine_method).
+*/
+class BogackiShampine extends EmbeddedRungeKutta {
+/**
+* @param {!ODESim} ode the set of differential equations to solve
+*/
+constructor(ode) {
+  super(ode, BogackiShampine.A, BogackiShampine.B, BogackiShampine.B_HAT, BogackiShampine.C, /*lowerOrder=*/2);
+};
+
+/** @override */
+getClassName() {
+  return 'BogackiShampine';
+};
+
+/** @override */
+getName(opt_localized) {
+  return opt_localized ? BogackiShampine.i18n.NAME :
+      Util.toName(BogackiShampine.en.NAME);
+};
+
+} // end class
+
+/** Runge-Kutta matrix of the Butcher tableau.
+* @type {!Array<!Array<number>>}
+* @const
+*/
+BogackiShampine.A = [
+  [1/2],
+  [0, 3/4],
+  [2/9, 1/3, 4/9]
+];
+
+/** Weights for the higher order solution.
+* @type {!Array<number>}
+* @const
+*/
+BogackiShampine.B = [2/9, 1/3, 4/9, 0];
+
+/** Weights for the lower order solution.
+* @type {!Array<number>}
+* @const
+*/
+BogackiShampine.B_HAT = [7/24, 1/4, 1/3, 1/8];
+
+/** Nodes of the Butcher tableau.
+* @type {!Array<number>}
+* @const
+*/
+BogackiShampine.C = [0, 1/2, 3/4, 1];
+
+/** Set of internationalized strings.
+@typedef {{
+  NAME: string
+  }}
+*/
+BogackiShampine.i18n_strings;
+
+/**
+@type {BogackiShampine.i18n_strings}
+*/
+BogackiShampine.en = {
+  NAME: 'Bogacki-Shampine'
+};
+
+/**
+@private
+@type {BogackiShampine.i18n_strings}
+*/
+BogackiShampine.de_strings = {
+  NAME: 'Bogacki-Shampine'
+};
+
+/** Set of internationalized strings.
+@type {BogackiShampine.i18n_strings}
+*/
+BogackiShampine.i18n = goog.LOCALE === 'de' ? BogackiShampine.de_strings :
+    BogackiShampine.en;
+
+exports = BogackiShampine;
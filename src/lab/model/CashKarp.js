@@ -0,0 +1,108 @@
+// Copyright 2016 Erik Neumann.  All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+goog.module('myphysicslab.lab.model.CashKarp');
+
+const EmbeddedRungeKutta = goog.require('myphysicslab.lab.model.EmbeddedRungeKutta');
+const ODESim = goog.require('myphysicslab.lab.model.ODESim');
+const Util = goog.require('myphysicslab.lab.util.Util');
+
+/** Cash-Karp 5(4) method for solving ordinary differential equations expressed as an
+{@link ODESim}, with automatic step size control. Uses 6 evaluations of the
+differential equations for each step, to find a 5th order solution and a 4th order
+error estimate.
+
+See {@link EmbeddedRungeKutta} about the tolerances and step size control. See
+[Cash-Karp method](https://en.wikipedia.org/wiki/Cash%E2%80%93Karp_method).
+*/
+class CashKarp extends EmbeddedRungeKutta {
+/**
+* @param {!ODESim} ode the set of differential equations to solve
+*/
+constructor(ode) {
+  super(ode, CashKarp.A, CashKarp.B, CashKarp.B_HAT, CashKarp.C, /*lowerOrder=*/4);
+};
+
+/** @override */
+getClassName() {
+  return 'CashKarp';
+};
+
+/** @override */
+getName(opt_localized) {
+  return opt_localized ? CashKarp.i18n.NAME :
+      Util.toName(CashKarp.en.NAME);
+};
+
+} // end class
+
+/** Runge-Kutta matrix of the Butcher tableau.
+* @type {!Array<!Array<number>>}
+* @const
+*/
+CashKarp.A = [
+  [1/5],
+  [3/40, 9/40],
+  [3/10, -9/10, 6/5],
+  [-11/54, 5/2, -70/27, 35/27],
+  [1631/55296, 175/512, 575/13824, 44275/110592, 253/4096]
+];
+
+/** Weights for the higher order solution.
+* @type {!Array<number>}
+* @const
+*/
+CashKarp.B = [37/378, 0, 250/621, 125/594, 0, 512/1771];
+
+/** Weights for the lower order solution.
+* @type {!Array<number>}
+* @const
+*/
+CashKarp.B_HAT = [2825/27648, 0, 18575/48384, 13525/55296, 277/14336, 1/4];
+
+/** Nodes of the Butcher tableau.
+* @type {!Array<number>}
+* @const
+*/
+CashKarp.C = [0, 1/5, 3/10, 3/5, 1, 7/8];
+
+/** Set of internationalized strings.
+@typedef {{
+  NAME: string
+  }}
+*/
+CashKarp.i18n_strings;
+
+/**
+@type {CashKarp.i18n_strings}
+*/
+CashKarp.en = {
+  NAME: 'Cash-Karp'
+};
+
+/**
+@private
+@type {CashKarp.i18n_strings}
+*/
+CashKarp.de_strings = {
+  NAME: 'Cash-Karp'
+};
+
+/** Set of internationalized strings.
+@type {CashKarp.i18n_strings}
+*/
+CashKarp.i18n = goog.LOCALE === 'de' ? CashKarp.de_strings :
+    CashKarp.en;
+
+exports = CashKarp;
@@ -21,6 +21,7 @@ const CollisionSim = goog.require('myphysicslab.lab.model.CollisionSim');
 const CollisionStats = goog.require('myphysicslab.lab.model.CollisionStats');
 const CollisionTotals = goog.require('myphysicslab.lab.model.CollisionTotals');
 const DiffEqSolver = goog.require('myphysicslab.lab.model.DiffEqSolver');
+const EventFunction = goog.require('myphysicslab.lab.model.EventFunction');
 const ODEAdvance = goog.require('myphysicslab.lab.model.ODEAdvance');
 const RungeKutta = goog.require('myphysicslab.lab.model.RungeKutta');
 const Util = goog.require('myphysicslab.lab.util.Util');
@@ -33,6 +34,20 @@ collision, handles the collision, then continues to advance to the end of the ti
 (This process can happen many times during a single call to `advance`). Uses a binary
 search algorithm to get to the time just before the collision.
 The {@link DiffEqSolver} is used to move the simulation forward in time.
+After the entire time step is done, {@link CollisionSim#acceptStep} is called; the states
+visited while searching for a collision are not accepted.
+
+## Events
+
+When the CollisionSim has {@link EventFunction}s (see
+{@link CollisionSim#addEventFunction}) then each step that is not backed up because of a
+collision is checked for zero crossings of the EventFunctions. The time of the zero
+crossing is found by bisection: the step is repeated from the state saved at the start
+of the step with smaller step sizes, until the time is known within the event
+tolerance, see {@link #setEventTolerance}. The simulation is advanced to just past the
+zero crossing where the event is handled as described in {@link EventFunction}. Then
+the advance continues to the end of the time step, unless the EventFunction stops the
+advance.
 
 ## Debugging with WayPoints
 
@@ -93,6 +108,11 @@ constructor(sim, opt_diffEqSolver) {
   * @private
   */
   this.collisionTotals_ = new CollisionTotals();
+  /** How accurately to find the time of an event.
+  * @type {number}
+  * @private
+  */
+  this.eventTolerance_ = 1E-10;
 
   // =======================================================================
   // The following variables exist only for communicating between
@@ -157,6 +177,26 @@ constructor(sim, opt_diffEqSolver) {
   * @private
   */
   this.detectedTime_ = NaN;
+  /** the EventFunctions of the simulation
+  * @type {!Array<!EventFunction>}
+  * @private
+  */
+  this.eventFunctions_ = [];
+  /** values of the EventFunctions at the start of the current step
+  * @type {!Array<number>}
+  * @private
+  */
+  this.eventValues_ = [];
+  /** simulation time at the start of the current step
+  * @type {number}
+  * @private
+  */
+  this.eventStartTime_ = NaN;
+  /** number of events during the current call to advance()
+  * @type {number}
+  * @private
+  */
+  this.numEvents_ = 0;
   /** for detecting 'stuck' condition
   * @type {number}
   * @private
@@ -263,6 +303,8 @@ advance(timeStep, opt_memoList) {
   this.odeSteps_ = 0;
   this.collisionCounter_ = 0;
   this.numClose_ = 0;
+  this.eventFunctions_ = this.sim_.getEventFunctions();
+  this.numEvents_ = 0;
   this.stats_.clear();
   this.collisions_ = [];
   this.sim_.getVarsList().saveHistory();
@@ -313,6 +355,9 @@ advance(timeStep, opt_memoList) {
         }
       }
     }
+    // Events can shorten the step, so they are handled before handling collisions at
+    // the end of the step.
+    var stop = !didBackup && this.eventFunctions_.length > 0 && this.do_events();
     // If we did backup, then we cannot backup again to an earlier time; therefore
     // if any 'too tiny' collisions cannot be made to have a larger gap (closer
     // to the target gap size) we tell closeEnough to 'allowTiny'.
@@ -346,6 +391,10 @@ advance(timeStep, opt_memoList) {
       // We advanced and did not backup, therefore: update the time,
       // and memorize new data on the memoList.
       this.timeAdvanced_ += this.currentStep_;
+      if (stop) {
+        // an EventFunction ends the advance at the time of the event
+        this.totalTimeStep_ = this.timeAdvanced_;
+      }
       this.print(WayPoint.ADVANCED_NO_BACKUP);
       if (opt_memoList !== undefined) {
         opt_memoList.memorize();
@@ -372,6 +421,7 @@ advance(timeStep, opt_memoList) {
   if (!didHandle && this.jointSmallImpacts_ && this.stats_.numJoints > 0) {
     this.do_small_impacts();
   }
+  this.sim_.acceptStep();
   //this.printJointDistance();
   this.collisionTotals_.addCollisions(this.collisionCounter_);
   this.collisionTotals_.addSteps(this.odeSteps_);
@@ -484,6 +534,13 @@ do_advance_sim(stepSize) {
   this.collisions_ = [];
   // ===================== save current state =====================
   this.sim_.saveState();
+  if (this.eventFunctions_.length > 0) {
+    var startVars = this.sim_.getVarsList().getValues();
+    this.eventStartTime_ = this.sim_.getTime();
+    this.eventValues_ = goog.array.map(this.eventFunctions_, function(ef) {
+        return ef.getValue(startVars);
+      });
+  }
   if (Util.DEBUG && stepSize <= 1E-15) {
     this.myPrint('*** WARNING tiny time step = '+Util.NFE(stepSize));
   }
@@ -644,6 +701,59 @@ do_handle_collision(numClose) {
   }
 };
 
+/** Finds the EventFunctions that cross zero during the step that was just taken. When
+there are any, the time of the zero crossing is found by bisection, and the simulation
+is advanced from the state saved at the start of the step to just past that time. The
+current step size and the set of collisions are changed accordingly. Then the events
+are handled, see {@link EventFunction#handleEvents}.
+@return {boolean} whether any of the EventFunctions stops the advance
+@private
+*/
+do_events() {
+  var va = this.sim_.getVarsList();
+  var crossed = EventFunction.findCrossings(this.eventFunctions_, this.eventValues_,
+      this.eventStartTime_, va.getValues());
+  if (crossed.length == 0) {
+    return false;
+  }
+  // Bisection: there is no crossing at time lo and there is a crossing at time hi.
+  var lo = 0;
+  var hi = this.currentStep_;
+  while (hi - lo > this.eventTolerance_) {
+    var mid = (lo + hi)/2;
+    this.sim_.restoreState();
+    this.odeSteps_++;
+    if (this.odeSolver_.step(mid) != null) {
+      // collisions during the shorter step; use the last step without collisions
+      break;
+    }
+    var c = EventFunction.findCrossings(this.eventFunctions_, this.eventValues_,
+        this.eventStartTime_, va.getValues());
+    if (c.length > 0) {
+      hi = mid;
+      crossed = c;
+    } else {
+      lo = mid;
+    }
+  }
+  // repeat the step to find the collisions at the time of the event
+  this.sim_.restoreState();
+  this.do_advance_sim(hi);
+  this.currentStep_ = hi;
+  this.numEvents_ += crossed.length;
+  if (this.numEvents_ > CollisionAdvance.MAX_EVENTS) {
+    throw new Error('CollisionAdvance: too many events '+this.numEvents_);
+  }
+  var stop = EventFunction.handleEvents(crossed, this.sim_, va);
+  // update the collisions to see the state after the event
+  var time = this.sim_.getTime();
+  goog.array.forEach(this.collisions_, function(c) {
+    c.updateCollision(time);
+  });
+  this.stats_.update(this.collisions_);
+  return stop;
+};
+
 /** Reduces velocity at joints to zero by doing `handleCollisions()`.
 * @return {undefined}
 * @private
@@ -712,6 +822,13 @@ getJointSmallImpacts() {
   return this.jointSmallImpacts_;
 };
 
+/** Returns how accurately to find the time of an event.
+@return {number} how accurately to find the time of an event, in seconds
+*/
+getEventTolerance() {
+  return this.eventTolerance_;
+};
+
 /** @override */
 getTime() {
   return this.sim_.getTime();
@@ -1238,6 +1355,16 @@ setDiffEqSolver(diffEqSolver) {
   this.odeSolver_ = diffEqSolver;
 };
 
+/** Sets how accurately to find the time of an event.
+@param {number} value how accurately to find the time of an event, in seconds
+*/
+setEventTolerance(value) {
+  if (value <= 0) {
+    throw new Error('event tolerance must be positive '+value);
+  }
+  this.eventTolerance_ = value;
+};
+
 /** Sets whether to apply small impacts to joints to keep them aligned.
 * @param {boolean} value `true` means apply small impacts to joints
 */
@@ -1269,6 +1396,13 @@ returns `false` to indicate it was unable to advance the simulation.
 */
 CollisionAdvance.MAX_STUCK_COUNT = 30;
 
+/** Maximum number of events during a single call to {@link #advance}. This prevents an
+endless loop when events happen over and over.
+* @type {number}
+* @const
+*/
+CollisionAdvance.MAX_EVENTS = 100;
+
 /** Enum that specifies pre-defined groups of debug messages to show.
 * @readonly
 * @enum {number}
@@ -0,0 +1,298 @@
+// Copyright 2016 Erik Neumann.  All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+goog.module('myphysicslab.lab.model.CoulombLaw');
+
+goog.require('goog.array');
+goog.require('goog.asserts');
+
+const AbstractSubject = goog.require('myphysicslab.lab.util.AbstractSubject');
+const CoordType = goog.require('myphysicslab.lab.model.CoordType');
+const Force = goog.require('myphysicslab.lab.model.Force');
+const ForceLaw = goog.require('myphysicslab.lab.model.ForceLaw');
+const MassObject = goog.require('myphysicslab.lab.model.MassObject');
+const Observer = goog.require('myphysicslab.lab.util.Observer');
+const ParameterNumber = goog.require('myphysicslab.lab.util.ParameterNumber');
+const SimList = goog.require('myphysicslab.lab.model.SimList');
+const SimObject = goog.require('myphysicslab.lab.model.SimObject');
+const Util = goog.require('myphysicslab.lab.util.Util');
+
+/** Applies electrostatic force between each pair of charged objects proportional to
+the inverse square of distance between them. The equation for the force is
+
+    F = k q1 q2 / r^2
+
+for two objects with charges `q1, q2` separated by distance `r`, with strength `k`
+(the Coulomb constant). Objects with charges of the same sign repel each other, objects
+with charges of opposite sign attract each other. The charge of an object is set with
+{@link MassObject#setCharge}.
+
+The set of objects can be specified with the {@link #addBody} method, or the
+CoulombLaw can observe a SimList and automatically add all bodies that have
+mass to the set of objects. Unlike {@link myphysicslab.lab.model.Gravity2Law}, objects
+with infinite mass are included, so that they can be used as fixed charges.
+
+The potential energy of each pair of objects is `k q1 q2 / r`, which is zero when the
+objects are infinitely far apart.
+
+Parameters Created
+------------------
+
++ ParameterNumber named `COULOMB`, see {@link #setCoulomb}
+
+* @implements {ForceLaw}
+* @implements {Observer}
+*/
+class CoulombLaw extends AbstractSubject {
+/**
+* @param {number} coulomb strength of the electrostatic force, the `k` factor in
+*     `F = k q1 q2 / r^2`
+* @param {!SimList=} opt_simList optional SimList to observe
+    for when objects are added; also adds all existing bodies on that SimList.
+*/
+constructor(coulomb, opt_simList) {
+  var id = CoulombLaw.NAME_ID++;
+  var nm = 'COULOMB_LAW' + (id > 0 ? '_'+id : '');
+  super(nm);
+  /**
+  * @type {number}
+  * @private
+  */
+  this.coulomb_ = coulomb;
+  /**
+  * @type {!Array<!MassObject>}
+  * @private
+  */
+  this.bods_ = [];
+  /**
+  * @type {?SimList}
+  * @private
+  */
+  this.simList_ = null;
+  if (goog.isDefAndNotNull(opt_simList)) {
+    this.connect(opt_simList);
+  };
+  this.addParameter(new ParameterNumber(this, CoulombLaw.en.COULOMB,
+      CoulombLaw.i18n.COULOMB,
+      goog.bind(this.getCoulomb, this), goog.bind(this.setCoulomb, this))
+      .setSignifDigits(4));
+};
+
+/** @override */
+toString() {
+  return Util.ADVANCED ? '' : this.toStringShort().slice(0, -1)
+      +', bodies: '+this.bods_.length
+      + super.toString();
+};
+
+/** @override */
+toStringShort() {
+  return Util.ADVANCED ? '' :
+      super.toStringShort().slice(0, -1)
+      +', coulomb: '+Util.NF5(this.coulomb_)+'}';
+};
+
+/** @override */
+getClassName() {
+  return 'CoulombLaw';
+};
+
+/** Adds any MassObjects with positive mass among the given list of SimObjects.
+@param {!Array<!SimObject>} bodies set of SimObjects to
+  possibly add
+*/
+addBodies(bodies) {
+  goog.array.forEach(bodies, goog.bind(this.addBody, this));
+};
+
+/** Adds the SimObject to list of objects that CoulombLaw applies forces to, but only
+if it has positive mass. The mass can be infinite.
+* @param {!SimObject} obj the SimObject to possibly add
+*/
+addBody(obj) {
+  if (!obj.isMassObject() || goog.array.contains(this.bods_, obj)) {
+    return;
+  }
+  var mobj = /** @type {!MassObject}*/(obj);
+  if (mobj.getMass() > 0) {
+    this.bods_.push(mobj);
+  }
+};
+
+/** @override */
+calculateForces() {
+  // Calculate the force between each pair of bodies.
+  // Avoid duplicate calculations by only looking at the 'upper triangle' of the matrix:
+  // in a matrix of bodies x bodies, only look at the entries above the diagonal.
+  /** @type {!Array<!Force>} */
+  var forces = [];
+  var n = this.bods_.length;
+  for (var j=0; j<n; j++) {
+    var body1 = this.bods_[j];
+    var q1 = body1.getCharge();
+    if (q1 == 0) {
+      continue;
+    }
+    var body1cm = body1.getPosition();
+    for (var k=j+1; k<n; k++) {
+      var body2 = this.bods_[k];
+      var q2 = body2.getCharge();
+      if (q2 == 0) {
+        continue;
+      }
+      var vector = body1cm.subtract(body2.getPosition());
+      var r = vector.length();
+      var direction = vector.normalize();
+      if (direction != null) {
+        // direction is the force on body1; like charges repel
+        direction = direction.multiply(this.coulomb_ * q1 * q2 / (r * r));
+        forces.push(new Force('coulomb', body1,
+            /*location=*/body1cm, CoordType.WORLD,
+            /*direction=*/direction, CoordType.WORLD));
+        forces.push(new Force('coulomb', body2,
+            /*location=*/body2.getPosition(), CoordType.WORLD,
+            /*direction=*/direction.multiply(-1), CoordType.WORLD));
+      }
+    }
+  }
+  return forces;
+};
+
+/** Connect to the given SimList, so that the force applies to all objects in the
+SimList. Also adds all existing bodies on that SimList.
+* @param {!SimList} simList  the SimList to connect with
+*/
+connect(simList) {
+  this.addBodies(simList.toArray());
+  simList.addObserver(this);
+  this.simList_ = simList;
+};
+
+/** @override */
+disconnect() {
+  if (this.simList_ != null) {
+    this.simList_.removeObserver(this);
+    this.simList_ = null;
+  }
+};
+
+/** @override */
+getBodies() {
+  return goog.array.clone(this.bods_);
+};
+
+/** Returns the strength of the electrostatic force, the `k` factor in
+`F = k q1 q2 / r^2`.
+* @return {number} the strength of the electrostatic force
+*/
+getCoulomb() {
+  return this.coulomb_;
+};
+
+/** Returns potential energy of the collection of charged MassObjects. This is the sum
+over each pair of objects of `k q1 q2 / r`, which is zero when the objects are
+infinitely far apart. The potential energy is positive for charges of the same sign,
+and negative for charges of opposite sign.
+* @return {number} the potential energy due to this ForceLaw
+*/
+getPotentialEnergy() {
+  var pe = 0;
+  var n = this.bods_.length;
+  for (var j=0; j<n; j++) {
+    var body1 = this.bods_[j];
+    var q1 = body1.getCharge();
+    if (q1 == 0) {
+      continue;
+    }
+    var body1cm = body1.getPosition();
+    for (var k=j+1; k<n; k++) {
+      var body2 = this.bods_[k];
+      var q2 = body2.getCharge();
+      if (q2 == 0) {
+        continue;
+      }
+      var r = body1cm.distanceTo(body2.getPosition());
+      if (r > 0) {
+        pe += this.coulomb_ * q1 * q2 / r;
+      }
+    }
+  }
+  return pe;
+};
+
+/** @override */
+observe(event) {
+  var obj;
+  if (event.nameEquals(SimList.OBJECT_ADDED)) {
+    obj = /** @type {!SimObject} */ (event.getValue());
+    this.addBody(obj);
+  } else if (event.nameEquals(SimList.OBJECT_REMOVED)) {
+    obj = /** @type {!SimObject} */ (event.getValue());
+    this.removeBody(obj);
+  }
+};
+
+/** Removes the SimObject from the list of objects that CoulombLaw applies forces to.
+* @param {!SimObject} obj the SimObject to remove
+*/
+removeBody(obj) {
+  goog.array.remove(this.bods_, obj);
+  goog.asserts.assert( !goog.array.contains(this.bods_, obj));
+};
+
+/** Sets the strength of the electrostatic force, the `k` factor in
+`F = k q1 q2 / r^2`.
+* @param {number} value the strength of the electrostatic force
+*/
+setCoulomb(value) {
+  this.coulomb_ = value;
+  this.broadcastParameter(CoulombLaw.en.COULOMB);
+};
+
+} // end class
+
+/**
+* @type {number}
+*/
+CoulombLaw.NAME_ID = 0;
+
+/** Set of internationalized strings.
+@typedef {{
+  COULOMB: string
+  }}
+*/
+CoulombLaw.i18n_strings;
+
+/**
+@type {CoulombLaw.i18n_strings}
+*/
+CoulombLaw.en = {
+  COULOMB: 'coulomb constant'
+};
+
+/**
+@private
+@type {CoulombLaw.i18n_strings}
+*/
+CoulombLaw.de_strings = {
+  COULOMB: 'Coulomb-Konstante'
+};
+
+/** Set of internationalized strings.
+@type {CoulombLaw.i18n_strings}
+*/
+CoulombLaw.i18n = goog.LOCALE === 'de' ? CoulombLaw.de_strings :
+    CoulombLaw.en;
+
+exports = CoulombLaw;
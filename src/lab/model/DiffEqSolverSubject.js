@@ -16,15 +16,24 @@ goog.module('myphysicslab.lab.model.DiffEqSolverSubject');
 
 const AbstractSubject = goog.require('myphysicslab.lab.util.AbstractSubject');
 const AdaptiveStepSolver = goog.require('myphysicslab.lab.model.AdaptiveStepSolver');
+const BogackiShampine = goog.require('myphysicslab.lab.model.BogackiShampine');
+const CashKarp = goog.require('myphysicslab.lab.model.CashKarp');
 const DiffEqSolver = goog.require('myphysicslab.lab.model.DiffEqSolver');
+const DormandPrince = goog.require('myphysicslab.lab.model.DormandPrince');
 const EnergySystem = goog.require('myphysicslab.lab.model.EnergySystem');
 const EulersMethod = goog.require('myphysicslab.lab.model.EulersMethod');
+const Leapfrog = goog.require('myphysicslab.lab.model.Leapfrog');
 const ModifiedEuler = goog.require('myphysicslab.lab.model.ModifiedEuler');
 const ODEAdvance = goog.require('myphysicslab.lab.model.ODEAdvance');
 const ODESim = goog.require('myphysicslab.lab.model.ODESim');
+const Observer = goog.require('myphysicslab.lab.util.Observer');
 const ParameterString = goog.require('myphysicslab.lab.util.ParameterString');
+const Rosenbrock = goog.require('myphysicslab.lab.model.Rosenbrock');
 const RungeKutta = goog.require('myphysicslab.lab.model.RungeKutta');
+const SymplecticSolver = goog.require('myphysicslab.lab.model.SymplecticSolver');
 const Util = goog.require('myphysicslab.lab.util.Util');
+const VelocityVerlet = goog.require('myphysicslab.lab.model.VelocityVerlet');
+const Yoshida = goog.require('myphysicslab.lab.model.Yoshida');
 
 /** Makes available several {@link DiffEqSolver}s for advancing
 an ODESim simulation. Creates a ParameterString for changing which DiffEqSolver to use.
@@ -35,11 +44,23 @@ The EnergySystem is only needed for the experimental
 {@link AdaptiveStepSolver}. If EnergySystem is not provided then
 all DiffEqSolver options are still available except for AdaptiveStepSolver.
 
+The symplectic DiffEqSolvers {@link VelocityVerlet}, {@link Leapfrog} and
+{@link Yoshida} are only available when the ODESim declares its position and velocity
+variables, see {@link ODESim#getPositionVariables}. This can change while the
+simulation runs, for example when the number of objects or the damping changes.
+Therefore DiffEqSolverSubject observes the ODESim and its VarsList, and modifies the
+choices of the `DIFF_EQ_SOLVER` Parameter as needed. When the current DiffEqSolver is
+no longer available, then {@link RungeKutta} is used instead.
+
+The implicit DiffEqSolver {@link Rosenbrock} is for stiff simulations, such as those
+with very stiff springs or large damping.
+
 Parameters Created
 ------------------
 
 + ParameterString named `DIFF_EQ_SOLVER`, see {@link #setDiffEqSolver}
 
+* @implements {Observer}
 */
 class DiffEqSolverSubject extends AbstractSubject {
 /**
@@ -67,7 +88,7 @@ constructor(sim, energySystem, advanceStrategy, opt_name) {
   * @private
   */
   this.advanceStrategy_ = advanceStrategy;
-  /**
+  /** all the DiffEqSolvers, including those that are not currently available
   * @type {!Array<!DiffEqSolver>}
   * @private
   */
@@ -75,6 +96,13 @@ constructor(sim, energySystem, advanceStrategy, opt_name) {
   this.solvers_.push(new EulersMethod(this.sim_));
   this.solvers_.push(new ModifiedEuler(this.sim_));
   this.solvers_.push(new RungeKutta(this.sim_));
+  this.solvers_.push(new DormandPrince(this.sim_));
+  this.solvers_.push(new CashKarp(this.sim_));
+  this.solvers_.push(new BogackiShampine(this.sim_));
+  this.solvers_.push(new Rosenbrock(this.sim_));
+  this.solvers_.push(new VelocityVerlet(this.sim_));
+  this.solvers_.push(new Leapfrog(this.sim_));
+  this.solvers_.push(new Yoshida(this.sim_));
   if (this.energySystem_ != null) {
     var solver = new AdaptiveStepSolver(this.sim_, this.energySystem_,
         new ModifiedEuler(this.sim_));
@@ -83,15 +111,23 @@ constructor(sim, energySystem, advanceStrategy, opt_name) {
         new RungeKutta(this.sim_));
     this.solvers_.push(solver);
   };
-  var choices = goog.array.map(this.solvers_, function(s) {
-      return s.getName(/*localized=*/true);
-  });
-  var values = goog.array.map(this.solvers_, function(s) { return s.getName(); });
-  this.addParameter(
-    new ParameterString(this, DiffEqSolverSubject.en.DIFF_EQ_SOLVER,
-        DiffEqSolverSubject.i18n.DIFF_EQ_SOLVER,
-        goog.bind(this.getDiffEqSolver, this), goog.bind(this.setDiffEqSolver, this),
-        choices, values));
+  /** whether the symplectic DiffEqSolvers are available
+  * @type {boolean}
+  * @private
+  */
+  this.symplectic_ = this.sim_.getPositionVariables().length > 0;
+  /**
+  * @type {!ParameterString}
+  * @private
+  */
+  this.solverParam_ = new ParameterString(this, DiffEqSolverSubject.en.DIFF_EQ_SOLVER,
+      DiffEqSolverSubject.i18n.DIFF_EQ_SOLVER,
+      goog.bind(this.getDiffEqSolver, this), goog.bind(this.setDiffEqSolver, this),
+      [], []);
+  this.addParameter(this.solverParam_);
+  this.buildChoices_();
+  this.sim_.addObserver(this);
+  this.sim_.getVarsList().addObserver(this);
 };
 
 /** @override */
@@ -107,6 +143,20 @@ toString() {
       + super.toString();
 };
 
+/** Sets the choices of the `DIFF_EQ_SOLVER` Parameter to be the available
+DiffEqSolvers.
+@return {undefined}
+@private
+*/
+buildChoices_() {
+  var solvers = this.getSolvers_();
+  var choices = goog.array.map(solvers, function(s) {
+      return s.getName(/*localized=*/true);
+  });
+  var values = goog.array.map(solvers, function(s) { return s.getName(); });
+  this.solverParam_.setChoices(choices, values);
+};
+
 /** @override */
 getClassName() {
   return Util.ADVANCED ? '' : 'DiffEqSolverSubject';
@@ -119,12 +169,37 @@ getDiffEqSolver() {
   return this.advanceStrategy_.getDiffEqSolver().getName();
 };
 
+/** Returns the DiffEqSolvers that are currently available.
+@return {!Array<!DiffEqSolver>} the available DiffEqSolvers
+@private
+*/
+getSolvers_() {
+  return goog.array.filter(this.solvers_, function(s) {
+      return this.symplectic_ || !(s instanceof SymplecticSolver);
+  }, this);
+};
+
+/** @override */
+observe(event) {
+  var symplectic = this.sim_.getPositionVariables().length > 0;
+  if (symplectic == this.symplectic_) {
+    return;
+  }
+  this.symplectic_ = symplectic;
+  this.buildChoices_();
+  if (!symplectic && this.advanceStrategy_.getDiffEqSolver()
+      instanceof SymplecticSolver) {
+    this.setDiffEqSolver(RungeKutta.en.NAME);
+  }
+};
+
 /** Sets which DiffEqSolver to use.
 * @param {string} value the language-independent name of the DiffEqSolver to use
+* @throws {!Error} if the DiffEqSolver is not available
 */
 setDiffEqSolver(value) {
   if (!this.advanceStrategy_.getDiffEqSolver().nameEquals(value)) {
-    var solver = goog.array.find(this.solvers_, function(s) {
+    var solver = goog.array.find(this.getSolvers_(), function(s) {
         return s.nameEquals(value);
     });
     if (solver != null) {
@@ -0,0 +1,110 @@
+// Copyright 2016 Erik Neumann.  All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+goog.module('myphysicslab.lab.model.DormandPrince');
+
+const EmbeddedRungeKutta = goog.require('myphysicslab.lab.model.EmbeddedRungeKutta');
+const ODESim = goog.require('myphysicslab.lab.model.ODESim');
+const Util = goog.require('myphysicslab.lab.util.Util');
+
+/** Dormand-Prince 5(4) method for solving ordinary differential equations expressed
+as an {@link ODESim}, with automatic step size control. Uses 7 evaluations of the
+differential equations for each step, to find a 5th order solution and a 4th order
+error estimate. This is the method used by `ode45` in MATLAB.
+
+See {@link EmbeddedRungeKutta} about the tolerances and step size control. See
+[Dormand-Prince method](https://en.wikipedia.org/wiki/Dormand%E2%80%93Prince_method).
+*/
+class DormandPrince extends EmbeddedRungeKutta {
+/**
+* @param {!ODESim} ode the set of differential equations to solve
+*/
+constructor(ode) {
+  super(ode, DormandPrince.A, DormandPrince.B, DormandPrince.B_HAT, DormandPrince.C, /*lowerOrder=*/4);
+};
+
+/** @override */
+getClassName() {
+  return 'DormandPrince';
+};
+
+/** @override */
+getName(opt_localized) {
+  return opt_localized ? DormandPrince.i18n.NAME :
+      Util.toName(DormandPrince.en.NAME);
+};
+
+} // end class
+
+/** Runge-Kutta matrix of the Butcher tableau.
+* @type {!Array<!Array<number>>}
+* @const
+*/
+DormandPrince.A = [
+  [1/5],
+  [3/40, 9/40],
+  [44/45, -56/15, 32/9],
+  [19372/6561, -25360/2187, 64448/6561, -212/729],
+  [9017/3168, -355/33, 46732/5247, 49/176, -5103/18656],
+  [35/384, 0, 500/1113, 125/192, -2187/6784, 11/84]
+];
+
+/** Weights for the higher order solution.
+* @type {!Array<number>}
+* @const
+*/
+DormandPrince.B = [35/384, 0, 500/1113, 125/192, -2187/6784, 11/84, 0];
+
+/** Weights for the lower order solution.
+* @type {!Array<number>}
+* @const
+*/
+DormandPrince.B_HAT = [5179/57600, 0, 7571/16695, 393/640, -92097/339200, 187/2100,
+    1/40];
+
+/** Nodes of the Butcher tableau.
+* @type {!Array<number>}
+* @const
+*/
+DormandPrince.C = [0, 1/5, 3/10, 4/5, 8/9, 1, 1];
+
+/** Set of internationalized strings.
+@typedef {{
+  NAME: string
+  }}
+*/
+DormandPrince.i18n_strings;
+
+/**
+@type {DormandPrince.i18n_strings}
+*/
+DormandPrince.en = {
+  NAME: 'Dormand-Prince'
+};
+
+/**
+@private
+@type {DormandPrince.i18n_strings}
+*/
+DormandPrince.de_strings = {
+  NAME: 'Dormand-Prince'
+};
+
+/** Set of internationalized strings.
+@type {DormandPrince.i18n_strings}
+*/
+DormandPrince.i18n = goog.LOCALE === 'de' ? DormandPrince.de_strings :
+    DormandPrince.en;
+
+exports = DormandPrince;
@@ -0,0 +1,340 @@
+// Copyright 2016 Erik Neumann.  All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+goog.module('myphysicslab.lab.model.DragLaw');
+
+goog.require('goog.array');
+goog.require('goog.asserts');
+
+const AbstractSubject = goog.require('myphysicslab.lab.util.AbstractSubject');
+const CoordType = goog.require('myphysicslab.lab.model.CoordType');
+const Force = goog.require('myphysicslab.lab.model.Force');
+const ForceLaw = goog.require('myphysicslab.lab.model.ForceLaw');
+const MassObject = goog.require('myphysicslab.lab.model.MassObject');
+const Observer = goog.require('myphysicslab.lab.util.Observer');
+const ParameterNumber = goog.require('myphysicslab.lab.util.ParameterNumber');
+const SimList = goog.require('myphysicslab.lab.model.SimList');
+const SimObject = goog.require('myphysicslab.lab.model.SimObject');
+const Util = goog.require('myphysicslab.lab.util.Util');
+
+/** Applies quadratic drag forces to a set of MassObjects. Quadratic drag is like the
+air resistance on a fast moving object, which increases with the square of the speed.
+Compare to {@link myphysicslab.lab.model.DampingLaw} which is proportional to the
+velocity.
+
+The set of objects can be specified with the {@link #addBody} method, or the DragLaw
+can observe a SimList and automatically add all bodies that have mass to the set of
+objects.
+
+The drag force opposes both the translational velocity and rotational velocity of a
+MassObject. The translational force is `-c*|v|*(vx, vy)` where
+
++ `c` is the drag coefficient of the body
++ `(vx, vy)` is the translational velocity of the body
++ `|v|` is the speed of the body
+
+The torque is `-c*rotateRatio*|vw|*vw` where
+
++ `c` is the drag coefficient of the body
++ `rotateRatio` is a constant used to calculate rotational drag
++ `vw` is the angular velocity of the body
+
+Each body uses the drag coefficient of the DragLaw unless it is given its own drag
+coefficient with {@link #addBody} or {@link #setBodyDrag}. That way bodies of
+different shapes or sizes can have different amounts of drag.
+
+Parameters Created
+------------------
+
++ ParameterNumber named `DRAG`, see {@link #setDrag}
+
++ ParameterNumber named `ROTATE_RATIO`, see {@link #setRotateRatio}
+
+@implements {ForceLaw}
+@implements {Observer}
+*/
+class DragLaw extends AbstractSubject {
+/**
+@param {number} drag the drag coefficient used for bodies that don't have their own
+    drag coefficient
+@param {number=} rotateRatio the ratio used to calculate rotational drag, as
+    a fraction of translational drag
+@param {!SimList=} opt_simList optional SimList to observe for
+   when objects are added; also adds all existing bodies on that SimList.
+*/
+constructor(drag, rotateRatio, opt_simList) {
+  var id = DragLaw.NAME_ID++;
+  var nm = 'DRAG_LAW' + (id > 0 ? '_'+id : '');
+  super(nm);
+  /**
+  * @type {number}
+  * @private
+  */
+  this.drag_ = drag;
+  /** rotational drag is this fraction of drag
+  * @type {number}
+  * @private
+  */
+  this.rotateRatio_ = goog.isDef(rotateRatio) ? rotateRatio : 1.0;
+  /**
+  * @type {!Array<!MassObject>}
+  * @private
+  */
+  this.bods_ = [];
+  /** drag coefficient of each body, or `NaN` when the body uses the drag coefficient
+  * of the DragLaw
+  * @type {!Array<number>}
+  * @private
+  */
+  this.coefs_ = [];
+  /**
+  * @type {?SimList}
+  * @private
+  */
+  this.simList_ = null;
+  if (goog.isDefAndNotNull(opt_simList)) {
+    this.connect(opt_simList);
+  };
+  this.addParameter(new ParameterNumber(this, DragLaw.en.DRAG,
+      DragLaw.i18n.DRAG,
+      goog.bind(this.getDrag, this), goog.bind(this.setDrag, this))
+      .setSignifDigits(3));
+  this.addParameter(new ParameterNumber(this, DragLaw.en.ROTATE_RATIO,
+      DragLaw.i18n.ROTATE_RATIO,
+      goog.bind(this.getRotateRatio, this), goog.bind(this.setRotateRatio, this))
+      .setSignifDigits(3));
+};
+
+/** @override */
+toString() {
+  return Util.ADVANCED ? '' : this.toStringShort().slice(0, -1)
+      +', rotateRatio: '+Util.NF5(this.rotateRatio_)
+      +', bodies: '+this.bods_.length
+      + super.toString();
+};
+
+/** @override */
+toStringShort() {
+  return Util.ADVANCED ? '' :
+      super.toStringShort().slice(0, -1)
+      +', drag: '+Util.NF5(this.drag_)+'}';
+};
+
+/** @override */
+getClassName() {
+  return 'DragLaw';
+};
+
+/** Adds all the SimObjects to list of objects that DragLaw applies forces to,
+* but only those with mass.
+* @param {!Array<!SimObject>} bodies set of SimObjects to
+  possibly add
+*/
+addBodies(bodies) {
+  goog.array.forEach(bodies, function(b) { this.addBody(b); }, this);
+};
+
+/** Adds the SimObject to list of objects that DragLaw applies forces to, but only
+* if it has positive finite mass.
+* @param {!SimObject} obj the SimObject to possibly add
+* @param {number=} opt_drag the drag coefficient for this body; when not specified
+*     the body uses the drag coefficient of the DragLaw
+*/
+addBody(obj, opt_drag) {
+  if (!obj.isMassObject() || goog.array.contains(this.bods_, obj)) {
+    return;
+  }
+  var mobj = /** @type {!MassObject}*/(obj);
+  var m = mobj.getMass();
+  if (m > 0 && isFinite(m)) {
+    this.bods_.push(mobj);
+    this.coefs_.push(goog.isDef(opt_drag) ? opt_drag : Util.NaN);
+  }
+};
+
+/** @override */
+calculateForces() {
+  /** @type {!Array<!Force>} */
+  var forces = [];
+  goog.array.forEach(this.bods_, function(bod, i) {
+    var c = this.getBodyDrag(bod);
+    if (c == 0) {
+      return;
+    }
+    // translational drag: location is center of mass;
+    // direction/magnitude is  -c*|v|*body.vx, -c*|v|*body.vy
+    var v = bod.getVelocity();
+    var vw = bod.getAngularVelocity();
+    var f = new Force('drag', bod,
+        /*location=*/bod.getPosition(), CoordType.WORLD,
+        /*direction=*/v.multiply(-c * v.length()), CoordType.WORLD,
+        /*torque=*/-c * this.rotateRatio_ * Math.abs(vw) * vw);
+    forces.push(f);
+  }, this);
+  return forces;
+};
+
+/** Connect to the given SimList, so that the force applies to all objects in the
+SimList.
+* @param {!SimList} simList  the SimList to connect with
+*/
+connect(simList) {
+  this.addBodies(simList.toArray());
+  simList.addObserver(this);
+  this.simList_ = simList;
+};
+
+/** @override */
+disconnect() {
+  if (this.simList_ != null) {
+    this.simList_.removeObserver(this);
+    this.simList_ = null;
+  }
+};
+
+/** @override */
+getBodies() {
+  return goog.array.clone(this.bods_);
+};
+
+/** Returns the drag coefficient used for the given body.
+* @param {!MassObject} body the body of interest
+* @return {number} the drag coefficient used for the body
+* @throws {!Error} if the body is not one of the bodies of this DragLaw
+*/
+getBodyDrag(body) {
+  var idx = goog.array.indexOf(this.bods_, body);
+  if (idx < 0) {
+    throw new Error('body not found '+body);
+  }
+  var c = this.coefs_[idx];
+  return isNaN(c) ? this.drag_ : c;
+};
+
+/** Returns the drag coefficient used for bodies that don't have their own drag
+* coefficient.
+* @return {number} the drag coefficient
+*/
+getDrag() {
+  return this.drag_;
+};
+
+/** @override */
+getPotentialEnergy() {
+  return 0;
+};
+
+/** Returns the ratio used to calculate rotational drag, as fraction of translational
+drag.
+* @return {number} ratio used to calculate rotational drag
+*/
+getRotateRatio() {
+  return this.rotateRatio_;
+};
+
+/** @override */
+observe(event) {
+  var obj;
+  if (event.nameEquals(SimList.OBJECT_ADDED)) {
+    obj = /** @type {!SimObject} */ (event.getValue());
+    this.addBody(obj);
+  } else if (event.nameEquals(SimList.OBJECT_REMOVED)) {
+    obj = /** @type {!SimObject} */ (event.getValue());
+    this.removeBody(obj);
+  }
+};
+
+/** Removes the SimObject from the list of objects that DragLaw applies forces to.
+* @param {!SimObject} obj the SimObject to remove
+*/
+removeBody(obj) {
+  var idx = goog.array.indexOf(this.bods_, obj);
+  if (idx > -1) {
+    goog.array.removeAt(this.bods_, idx);
+    goog.array.removeAt(this.coefs_, idx);
+  }
+  goog.asserts.assert( !goog.array.contains(this.bods_, obj));
+};
+
+/** Sets the drag coefficient for the given body.
+* @param {!MassObject} body the body of interest
+* @param {number} value the drag coefficient for the body, or `NaN` to use the drag
+*     coefficient of the DragLaw
+* @throws {!Error} if the body is not one of the bodies of this DragLaw
+*/
+setBodyDrag(body, value) {
+  var idx = goog.array.indexOf(this.bods_, body);
+  if (idx < 0) {
+    throw new Error('body not found '+body);
+  }
+  this.coefs_[idx] = value;
+};
+
+/** Sets the drag coefficient used for bodies that don't have their own drag
+* coefficient.
+* @param {number} value the drag coefficient
+*/
+setDrag(value) {
+  this.drag_ = value;
+  this.broadcastParameter(DragLaw.en.DRAG);
+};
+
+/** Sets the ratio used to calculate rotational drag, as fraction of translational
+drag.
+* @param {number} value ratio used to calculate rotational drag
+*/
+setRotateRatio(value) {
+  this.rotateRatio_ = value;
+  this.broadcastParameter(DragLaw.en.ROTATE_RATIO);
+};
+
+} // end class
+
+/**
+* @type {number}
+*/
+DragLaw.NAME_ID = 0;
+
+/** Set of internationalized strings.
+@typedef {{
+  DRAG: string,
+  ROTATE_RATIO: string
+  }}
+*/
+DragLaw.i18n_strings;
+
+/**
+@type {DragLaw.i18n_strings}
+*/
+DragLaw.en = {
+  DRAG: 'drag',
+  ROTATE_RATIO: 'rotate ratio'
+};
+
+/**
+@private
+@type {DragLaw.i18n_strings}
+*/
+DragLaw.de_strings = {
+  DRAG: 'Luftwiderstand',
+  ROTATE_RATIO: 'Drehquotient'
+};
+
+/** Set of internationalized strings.
+@type {DragLaw.i18n_strings}
+*/
+DragLaw.i18n = goog.LOCALE === 'de' ? DragLaw.de_strings :
+    DragLaw.en;
+
+exports = DragLaw;
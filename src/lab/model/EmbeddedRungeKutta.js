@@ -0,0 +1,355 @@
+// Copyright 2016 Erik Neumann.  All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+goog.module('myphysicslab.lab.model.EmbeddedRungeKutta');
+
+const DiffEqSolver = goog.require('myphysicslab.lab.model.DiffEqSolver');
+const ODESim = goog.require('myphysicslab.lab.model.ODESim');
+const Util = goog.require('myphysicslab.lab.util.Util');
+
+/** Abstract base class for embedded Runge-Kutta methods, which solve ordinary
+differential equations expressed as an {@link ODESim} with automatic step size control.
+
+An embedded Runge-Kutta method computes two solutions of different order from the same
+set of evaluations of the differential equations. The difference between the two
+solutions is an estimate of the error of the step. The method is defined by its
+[Butcher tableau](https://en.wikipedia.org/wiki/Butcher_tableau) which is given to the
+constructor by the subclass. The higher order solution is used to advance the
+simulation (this is called 'local extrapolation').
+
+Step Size Control
+-----------------
+The `stepSize` requested in {@link #step} is divided into as many smaller steps as
+needed to keep the estimated error of each variable within its tolerance. The
+tolerance for a variable with value `y` is
+
+    absoluteTolerance + relativeTolerance * |y|
+
+The tolerances can be set for all variables, or separately for each variable, see
+{@link #setAbsoluteTolerance} and {@link #setRelativeTolerance}. A step whose error
+exceeds the tolerance is rejected and tried again with a smaller step size. After an
+accepted step the step size is increased if the error was small. The step size is
+remembered between calls to `step`, so that the next call starts with a step size
+that was successful.
+
+Computed variables (which have value `NaN` in the
+{@link myphysicslab.lab.model.VarsList#getValues} array) are ignored in the error
+estimate.
+
+The 'first same as last' (FSAL) optimization of some methods is not used, because the
+simulation state can be modified between steps, for example when handling collisions.
+
+* @abstract
+* @implements {DiffEqSolver}
+*/
+class EmbeddedRungeKutta {
+/**
+* @param {!ODESim} ode the set of differential equations to solve
+* @param {!Array<!Array<number>>} a  the Runge-Kutta matrix of the Butcher tableau:
+*     `a[i]` has the coefficients for stage `i+1`
+* @param {!Array<number>} b the weights for the higher order solution
+* @param {!Array<number>} bHat the weights for the lower order solution
+* @param {!Array<number>} c the nodes: the fraction of the step size at each stage
+* @param {number} lowerOrder the order of the lower order solution
+*/
+constructor(ode, a, b, bHat, c, lowerOrder) {
+  if (b.length != c.length || bHat.length != c.length || a.length != c.length - 1) {
+    throw new Error('inconsistent Butcher tableau');
+  }
+  /**  the set of differential equations to solve.
+  * @type {!ODESim}
+  * @private
+  */
+  this.ode_ = ode;
+  /**
+  * @type {!Array<!Array<number>>}
+  * @private
+  */
+  this.a_ = a;
+  /**
+  * @type {!Array<number>}
+  * @private
+  */
+  this.b_ = b;
+  /**
+  * @type {!Array<number>}
+  * @private
+  */
+  this.bHat_ = bHat;
+  /**
+  * @type {!Array<number>}
+  * @private
+  */
+  this.c_ = c;
+  /** Exponent for computing the new step size from the error estimate.
+  * @type {number}
+  * @private
+  */
+  this.exponent_ = -1/(lowerOrder + 1);
+  /** Default absolute tolerance.
+  * @type {number}
+  * @private
+  */
+  this.absTol_ = 1E-6;
+  /** Default relative tolerance.
+  * @type {number}
+  * @private
+  */
+  this.relTol_ = 1E-6;
+  /** Absolute tolerance for each variable, when different from the default.
+  * @type {!Array<number|undefined>}
+  * @private
+  */
+  this.absTols_ = [];
+  /** Relative tolerance for each variable, when different from the default.
+  * @type {!Array<number|undefined>}
+  * @private
+  */
+  this.relTols_ = [];
+  /** Step size to try first on the next step, or zero when not yet known.
+  * @type {number}
+  * @private
+  */
+  this.h_ = 0;
+  /** Number of accepted steps.
+  * @type {number}
+  * @private
+  */
+  this.numSteps_ = 0;
+  /** Number of rejected steps.
+  * @type {number}
+  * @private
+  */
+  this.numRejected_ = 0;
+  /** Evaluations of the differential equations at each stage, retained to avoid
+  * reallocation of arrays.
+  * @type {!Array<!Array<number>>}
+  * @private
+  */
+  this.k_ = [];
+  /**  array used within algorithm, retained to avoid reallocation of array.
+  * @type {!Array<number>}
+  * @private
+  */
+  this.inp_ = [];
+};
+
+/** @override */
+toString() {
+  return Util.ADVANCED ? '' : this.toStringShort().slice(0, -1)
+      +', absTol_: '+Util.NFE(this.absTol_)
+      +', relTol_: '+Util.NFE(this.relTol_)
+      +', h_: '+Util.NFE(this.h_)
+      +', numSteps_: '+this.numSteps_
+      +', numRejected_: '+this.numRejected_
+      +'}';
+};
+
+/** @override */
+toStringShort() {
+  return Util.ADVANCED ? '' :
+      this.getClassName()+'{ode_: '+this.ode_.toStringShort()+'}';
+};
+
+/** Returns name of class of this object.
+* @return {string} name of class of this object.
+* @abstract
+*/
+getClassName() {};
+
+/** Returns the absolute tolerance for the given variable, or the default absolute
+tolerance for all variables. Default is 1E-6.
+@param {number=} opt_index index of the variable in the VarsList
+@return {number} the absolute tolerance
+*/
+getAbsoluteTolerance(opt_index) {
+  if (opt_index !== undefined) {
+    var tol = this.absTols_[opt_index];
+    if (tol !== undefined) {
+      return tol;
+    }
+  }
+  return this.absTol_;
+};
+
+/** @abstract */
+getName(opt_localized) {};
+
+/** Returns the number of steps that were rejected because the estimated error was too
+large.
+@return {number} the number of rejected steps
+*/
+getRejectedSteps() {
+  return this.numRejected_;
+};
+
+/** Returns the relative tolerance for the given variable, or the default relative
+tolerance for all variables. Default is 1E-6.
+@param {number=} opt_index index of the variable in the VarsList
+@return {number} the relative tolerance
+*/
+getRelativeTolerance(opt_index) {
+  if (opt_index !== undefined) {
+    var tol = this.relTols_[opt_index];
+    if (tol !== undefined) {
+      return tol;
+    }
+  }
+  return this.relTol_;
+};
+
+/** Returns the number of accepted steps. Each call to {@link #step} takes one or more
+steps.
+@return {number} the number of accepted steps
+*/
+getSteps() {
+  return this.numSteps_;
+};
+
+/** @override */
+nameEquals(name) {
+  return this.getName() == Util.toName(name);
+};
+
+/** Sets the absolute tolerance for the given variable, or the default absolute
+tolerance for all variables. Setting the default tolerance does not change the
+tolerance of variables that were set individually.
+@param {number} value the absolute tolerance
+@param {number=} opt_index index of the variable in the VarsList
+*/
+setAbsoluteTolerance(value, opt_index) {
+  if (value < 0) {
+    throw new Error('tolerance must be non-negative '+value);
+  }
+  if (opt_index !== undefined) {
+    this.absTols_[opt_index] = value;
+  } else {
+    this.absTol_ = value;
+  }
+};
+
+/** Sets the relative tolerance for the given variable, or the default relative
+tolerance for all variables. Setting the default tolerance does not change the
+tolerance of variables that were set individually.
+@param {number} value the relative tolerance
+@param {number=} opt_index index of the variable in the VarsList
+*/
+setRelativeTolerance(value, opt_index) {
+  if (value < 0) {
+    throw new Error('tolerance must be non-negative '+value);
+  }
+  if (opt_index !== undefined) {
+    this.relTols_[opt_index] = value;
+  } else {
+    this.relTol_ = value;
+  }
+};
+
+/** @override */
+step(stepSize) {
+  var error, i, j, s;
+  var va = this.ode_.getVarsList();
+  var vars = va.getValues();
+  var N = vars.length;
+  var S = this.c_.length;
+  if (this.inp_.length < N || this.k_.length < S) {
+    this.inp_ = /** @type {!Array<number>}*/(new Array(N));
+    this.k_ = [];
+    for (s=0; s<S; s++) {
+      this.k_.push(/** @type {!Array<number>}*/(new Array(N)));
+    }
+  }
+  var inp = this.inp_;
+  var k = this.k_;
+  // t = time already advanced within this step
+  var t = 0;
+  var h = this.h_ > 0 ? Math.min(this.h_, stepSize) : stepSize;
+  while (t < stepSize) {
+    var last = false;
+    // if this step takes us past the end of the overall step, then shorten it
+    if (t + h >= stepSize - 1E-10*stepSize) {
+      h = stepSize - t;
+      last = true;
+    }
+    for (s=0; s<S; s++) {
+      for (i=0; i<N; i++) {
+        var sum = 0;
+        for (j=0; j<s; j++) {
+          sum += this.a_[s-1][j] * k[j][i];
+        }
+        inp[i] = vars[i] + h*sum;
+      }
+      Util.zeroArray(k[s]);
+      error = this.ode_.evaluate(inp, k[s], t + this.c_[s]*h);
+      if (error !== null) {
+        return error;
+      }
+    }
+    // find the higher order solution and the largest error relative to tolerance
+    var err = 0;
+    for (i=0; i<N; i++) {
+      var dy = 0;
+      var e = 0;
+      for (s=0; s<S; s++) {
+        dy += this.b_[s] * k[s][i];
+        e += (this.b_[s] - this.bHat_[s]) * k[s][i];
+      }
+      inp[i] = vars[i] + h*dy;
+      if (isNaN(inp[i])) {
+        // computed variables are NaN
+        continue;
+      }
+      var tol = this.getAbsoluteTolerance(i) + this.getRelativeTolerance(i)
+          * Math.max(Math.abs(vars[i]), Math.abs(inp[i]));
+      e = Math.abs(h*e);
+      if (e > 0) {
+        err = Math.max(err, tol > 0 ? e/tol : Util.POSITIVE_INFINITY);
+      }
+    }
+    // factor for changing the step size, with safety factor and limits
+    var factor = err > 0 ? 0.9 * Math.pow(err, this.exponent_) : 5;
+    factor = Math.min(5, Math.max(0.2, factor));
+    if (err <= 1) {
+      for (i=0; i<N; i++) {
+        vars[i] = inp[i];
+      }
+      this.numSteps_++;
+      t += h;
+      if (last) {
+        // The last step was shortened to end at stepSize; remember a larger step
+        // size only when there is no previous step size.
+        if (this.h_ == 0) {
+          this.h_ = h * factor;
+        } else if (factor < 1) {
+          this.h_ = Math.min(this.h_, h * factor);
+        }
+        break;
+      }
+      h = this.h_ = h * factor;
+    } else {
+      this.numRejected_++;
+      h = h * factor;
+      this.h_ = h;
+      if (h < 1E-15) {
+        throw new Error('time step too small '+h);
+      }
+    }
+  }
+  va.setValues(vars, /*continuous=*/true);
+  return null;
+};
+
+} // end class
+
+exports = EmbeddedRungeKutta;
@@ -0,0 +1,278 @@
+// Copyright 2016 Erik Neumann.  All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+goog.module('myphysicslab.lab.model.EventFunction');
+
+goog.require('goog.array');
+const GenericEvent = goog.require('myphysicslab.lab.util.GenericEvent');
+const Printable = goog.require('myphysicslab.lab.util.Printable');
+const Simulation = goog.require('myphysicslab.lab.model.Simulation');
+const Util = goog.require('myphysicslab.lab.util.Util');
+const VarsList = goog.require('myphysicslab.lab.model.VarsList');
+
+/** A scalar function of the simulation state whose zero crossings are *events*, for
+example when a ball hits the ground or a pendulum passes thru the vertical. An
+EventFunction is registered with {@link myphysicslab.lab.model.ODESim#addEventFunction}.
+
+During each step, the AdvanceStrategy evaluates the EventFunctions before and after the
+step, see {@link myphysicslab.lab.model.SimpleAdvance} and
+{@link myphysicslab.lab.model.CollisionAdvance}. When the sign of an EventFunction
+changes, the time of the zero crossing is found by root finding, and the simulation is
+advanced to just past that time. Then these things happen:
+
+1. The optional *action* function is called to modify the simulation variables, for
+    example to reverse the velocity of a bouncing ball. See {@link #setAction}.
+
+2. The ODESim broadcasts a {@link myphysicslab.lab.util.GenericEvent} whose name is
+    the name of the EventFunction, and whose value is the time of the event.
+
+3. If the EventFunction *stops* the simulation, then the advance ends at the time of
+    the event, instead of continuing to the end of the time step. An Observer of the
+    event can then for example pause the {@link myphysicslab.lab.app.SimRunner}. See
+    {@link #setStop}.
+
+Direction
+---------
+The *direction* specifies which zero crossings are events: `+1` for only increasing
+crossings (from negative to positive), `-1` for only decreasing crossings, or `0` for
+both. The state after an event is slightly past the zero crossing, so when the action
+reverses the motion the EventFunction would immediately cross zero again in the other
+direction. Specify the direction to avoid that second event.
+
+* @implements {Printable}
+*/
+class EventFunction {
+/**
+* @param {string} name the name of this EventFunction, which is also the name of the
+*     event broadcast; this will be underscorized so the English name can be passed in
+*     here. See {@link Util#toName}.
+* @param {string} localName the localized name of this EventFunction
+* @param {function(!Array<number>): number} fnc function of the simulation variables
+*     whose zero crossings are events; computed variables are `NaN` in the array
+* @param {number=} opt_direction which zero crossings are events: `+1` for increasing,
+*     `-1` for decreasing, or `0` for both (the default)
+*/
+constructor(name, localName, fnc, opt_direction) {
+  /**
+  * @type {string}
+  * @private
+  */
+  this.name_ = Util.validName(Util.toName(name));
+  /**
+  * @type {string}
+  * @private
+  */
+  this.localName_ = localName;
+  /**
+  * @type {function(!Array<number>): number}
+  * @private
+  */
+  this.function_ = fnc;
+  /**
+  * @type {number}
+  * @private
+  */
+  this.direction_ = opt_direction > 0 ? 1 : (opt_direction < 0 ? -1 : 0);
+  /** Function that modifies the simulation variables when the event occurs.
+  * @type {?function(!Array<number>)}
+  * @private
+  */
+  this.action_ = null;
+  /** Whether the advance ends at the time of the event.
+  * @type {boolean}
+  * @private
+  */
+  this.stop_ = false;
+  /** Time of the most recent event, or NaN when there has not been an event.
+  * @type {number}
+  * @private
+  */
+  this.eventTime_ = Util.NaN;
+};
+
+/** @override */
+toString() {
+  return Util.ADVANCED ? '' : this.toStringShort().slice(0, -1)
+      +', direction_: '+this.direction_
+      +', stop_: '+this.stop_
+      +', eventTime_: '+Util.NF(this.eventTime_)
+      +'}';
+};
+
+/** @override */
+toStringShort() {
+  return Util.ADVANCED ? '' : 'EventFunction{name_: "'+this.name_+'"}';
+};
+
+/** Returns true when the change in value of this EventFunction from `before` to
+`after` is a zero crossing in the specified direction. A value of exactly zero
+`before` is a crossing when the value moves away from zero in the specified direction,
+so that an event at the start of the simulation is found; see {@link #findCrossings}
+for how this is avoided just after an event.
+@param {number} before value of this EventFunction at the start of a step
+@param {number} after value of this EventFunction at the end of a step
+@return {boolean} whether there is a zero crossing during the step
+*/
+crosses(before, after) {
+  if (isNaN(before) || isNaN(after)) {
+    return false;
+  }
+  if (before == 0) {
+    return after > 0 ? this.direction_ >= 0 : after < 0 && this.direction_ <= 0;
+  }
+  if (before < 0 && after >= 0) {
+    return this.direction_ >= 0;
+  }
+  if (before > 0 && after <= 0) {
+    return this.direction_ <= 0;
+  }
+  return false;
+};
+
+/** Returns the EventFunctions that cross zero between the given starting values and
+the given simulation variables, see {@link #crosses}. An EventFunction whose starting
+value is exactly zero is ignored when its event happened at the starting time, because
+the value is zero as a result of that event.
+@param {!Array<!EventFunction>} eventFunctions the EventFunctions to check
+@param {!Array<number>} startValues the values of the EventFunctions at the start of
+    the step
+@param {number} startTime the simulation time at the start of the step
+@param {!Array<number>} vars the simulation variables at the end of the step
+@return {!Array<!EventFunction>} the EventFunctions that cross zero
+*/
+static findCrossings(eventFunctions, startValues, startTime, vars) {
+  return goog.array.filter(eventFunctions, function(ef, i) {
+      if (startValues[i] == 0 && ef.getEventTime() == startTime) {
+        return false;
+      }
+      return ef.crosses(startValues[i], ef.getValue(vars));
+    });
+};
+
+/** Returns the function that modifies the simulation variables when the event occurs.
+@return {?function(!Array<number>)} the action function, or null when there is none
+*/
+getAction() {
+  return this.action_;
+};
+
+/** Returns which zero crossings are events.
+@return {number} `+1` for increasing, `-1` for decreasing, or `0` for both
+*/
+getDirection() {
+  return this.direction_;
+};
+
+/** Returns the time of the most recent event.
+@return {number} time of the most recent event, or NaN when there has not been an event
+*/
+getEventTime() {
+  return this.eventTime_;
+};
+
+/** Returns the name of this EventFunction, which is also the name of the event that is
+broadcast.
+@param {boolean=} opt_localized `true` means return the localized version of the name;
+    default is `false` which means return the language independent name.
+@return {string} name of this EventFunction
+*/
+getName(opt_localized) {
+  return opt_localized ? this.localName_ : this.name_;
+};
+
+/** Whether the advance ends at the time of the event.
+@return {boolean} whether the advance ends at the time of the event
+*/
+getStop() {
+  return this.stop_;
+};
+
+/** Returns the value of this EventFunction for the given simulation variables.
+@param {!Array<number>} vars the simulation variables
+@return {number} value of this EventFunction
+*/
+getValue(vars) {
+  return this.function_(vars);
+};
+
+/** Handles the events of the EventFunctions that crossed zero, at the current time of
+the simulation: records the time of the event, calls the action function of each
+EventFunction, and broadcasts the event from the simulation.
+@param {!Array<!EventFunction>} eventFunctions the EventFunctions that crossed zero
+@param {!Simulation} sim the simulation where the events happened
+@param {!VarsList} varsList the variables of the simulation
+@return {boolean} whether any of the EventFunctions stops the advance
+*/
+static handleEvents(eventFunctions, sim, varsList) {
+  var time = varsList.getTime();
+  var vars = varsList.getValues();
+  var changed = false;
+  var stop = false;
+  goog.array.forEach(eventFunctions, function(ef) {
+    ef.setEventTime(time);
+    var action = ef.getAction();
+    if (action != null) {
+      action(vars);
+      changed = true;
+    }
+    stop = stop || ef.getStop();
+  });
+  if (changed) {
+    varsList.setValues(vars);
+  }
+  sim.modifyObjects();
+  goog.array.forEach(eventFunctions, function(ef) {
+    sim.broadcast(new GenericEvent(sim, ef.getName(), time));
+  });
+  return stop;
+};
+
+/** Returns true if this EventFunction has the given name.
+@param {string} name the English or language-independent version of the name
+@return {boolean} whether this EventFunction has the given name
+*/
+nameEquals(name) {
+  return this.name_ == Util.toName(name);
+};
+
+/** Sets the function that modifies the simulation variables when the event occurs.
+The function is given the array of simulation variables to change. The changed
+variables are then regarded as a discontinuous change of the simulation state.
+@param {?function(!Array<number>)} action the action function, or null for none
+@return {!EventFunction} this object for chaining setters
+*/
+setAction(action) {
+  this.action_ = action;
+  return this;
+};
+
+/** Records the time of an event; this is called by the AdvanceStrategy.
+@param {number} time the time of the event
+*/
+setEventTime(time) {
+  this.eventTime_ = time;
+};
+
+/** Sets whether the advance ends at the time of the event.
+@param {boolean} value whether the advance ends at the time of the event
+@return {!EventFunction} this object for chaining setters
+*/
+setStop(value) {
+  this.stop_ = value;
+  return this;
+};
+
+} // end class
+
+exports = EventFunction;
@@ -0,0 +1,349 @@
+// Copyright 2016 Erik Neumann.  All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+goog.module('myphysicslab.lab.model.ForceFieldLaw');
+
+goog.require('goog.array');
+goog.require('goog.asserts');
+
+const AbstractSubject = goog.require('myphysicslab.lab.util.AbstractSubject');
+const CoordType = goog.require('myphysicslab.lab.model.CoordType');
+const Force = goog.require('myphysicslab.lab.model.Force');
+const ForceLaw = goog.require('myphysicslab.lab.model.ForceLaw');
+const MassObject = goog.require('myphysicslab.lab.model.MassObject');
+const Observer = goog.require('myphysicslab.lab.util.Observer');
+const ParameterString = goog.require('myphysicslab.lab.util.ParameterString');
+const SimList = goog.require('myphysicslab.lab.model.SimList');
+const SimObject = goog.require('myphysicslab.lab.model.SimObject');
+const Simulation = goog.require('myphysicslab.lab.model.Simulation');
+const Terminal = goog.require('myphysicslab.lab.util.Terminal');
+const Util = goog.require('myphysicslab.lab.util.Util');
+const Vector = goog.require('myphysicslab.lab.util.Vector');
+
+/** Applies a force field given by user-defined equations to a set of MassObjects.
+There is an equation for each of the `x` and `y` components of the force. The equations
+are JavaScript string expressions which can use these variables:
+
++ `x, y` the position of the center of mass of the body
++ `vx, vy` the velocity of the center of mass of the body
++ `t` the current time of the Simulation, see {@link Simulation#getTime}. This is the
+    time at the start of the current step of the differential equation solver.
+
+For example, a force field that pushes bodies in circles around the origin could have
+the equations `-y` and `x`. The equations are checked to conform to
+[Safe Subset of JavaScript](myphysicslab.lab.util.Terminal.html#safesubsetofjavascript).
+
+The force is applied at the center of mass of each body. The set of objects can be
+specified with the {@link #addBody} method, or the ForceFieldLaw can observe a SimList
+and automatically add all bodies that have mass to the set of objects.
+
+The force field is not assumed to be conservative, so the potential energy is zero.
+
+NOTE: This class creates global variables named `x, y, vx, vy, t`.
+
+Parameters Created
+------------------
+
++ ParameterString named `X_EQUATION`, see {@link #setXEquation}
+
++ ParameterString named `Y_EQUATION`, see {@link #setYEquation}
+
+@implements {ForceLaw}
+@implements {Observer}
+*/
+class ForceFieldLaw extends AbstractSubject {
+/**
+@param {!Simulation} sim the Simulation which provides the current time
+@param {!SimList=} opt_simList optional SimList to observe for
+   when objects are added; also adds all existing bodies on that SimList.
+*/
+constructor(sim, opt_simList) {
+  var id = ForceFieldLaw.NAME_ID++;
+  var nm = 'FORCE_FIELD_LAW' + (id > 0 ? '_'+id : '');
+  super(nm);
+  /**
+  * @type {!Simulation}
+  * @private
+  */
+  this.sim_ = sim;
+  /**
+  * @type {string}
+  * @private
+  */
+  this.equationX_ = '0';
+  /**
+  * @type {string}
+  * @private
+  */
+  this.equationY_ = '0';
+  /**
+  * @type {!Array<!MassObject>}
+  * @private
+  */
+  this.bods_ = [];
+  /**
+  * @type {?SimList}
+  * @private
+  */
+  this.simList_ = null;
+  if (goog.isDefAndNotNull(opt_simList)) {
+    this.connect(opt_simList);
+  };
+  this.addParameter(new ParameterString(this, ForceFieldLaw.en.X_EQUATION,
+      ForceFieldLaw.i18n.X_EQUATION,
+      goog.bind(this.getXEquation, this), goog.bind(this.setXEquation, this)));
+  this.addParameter(new ParameterString(this, ForceFieldLaw.en.Y_EQUATION,
+      ForceFieldLaw.i18n.Y_EQUATION,
+      goog.bind(this.getYEquation, this), goog.bind(this.setYEquation, this)));
+};
+
+/** @override */
+toString() {
+  return Util.ADVANCED ? '' : this.toStringShort().slice(0, -1)
+      +', bodies: '+this.bods_.length
+      + super.toString();
+};
+
+/** @override */
+toStringShort() {
+  return Util.ADVANCED ? '' :
+      super.toStringShort().slice(0, -1)
+      +', equationX_: "'+this.equationX_+'"'
+      +', equationY_: "'+this.equationY_+'"}';
+};
+
+/** @override */
+getClassName() {
+  return 'ForceFieldLaw';
+};
+
+/** Adds all the SimObjects to list of objects that ForceFieldLaw applies forces to,
+* but only those with mass.
+* @param {!Array<!SimObject>} bodies set of SimObjects to
+  possibly add
+*/
+addBodies(bodies) {
+  goog.array.forEach(bodies, goog.bind(this.addBody, this));
+};
+
+/** Adds the SimObject to list of objects that ForceFieldLaw applies forces to, but
+* only if it has positive finite mass.
+* @param {!SimObject} obj the SimObject to possibly add
+*/
+addBody(obj) {
+  if (!obj.isMassObject() || goog.array.contains(this.bods_, obj)) {
+    return;
+  }
+  var mobj = /** @type {!MassObject}*/(obj);
+  var m = mobj.getMass();
+  if (m > 0 && isFinite(m)) {
+    this.bods_.push(mobj);
+  }
+};
+
+/** @override */
+calculateForces() {
+  /** @type {!Array<!Force>} */
+  var forces = [];
+  var t = this.sim_.getTime();
+  goog.array.forEach(this.bods_, function(bod) {
+    var cm = bod.getPosition();
+    var f = this.fieldAt(cm, bod.getVelocity(), t);
+    forces.push(new Force('force_field', bod,
+        /*location=*/cm, CoordType.WORLD,
+        /*direction=*/f, CoordType.WORLD));
+  }, this);
+  return forces;
+};
+
+/** Connect to the given SimList, so that the force applies to all objects in the
+SimList.
+* @param {!SimList} simList  the SimList to connect with
+*/
+connect(simList) {
+  this.addBodies(simList.toArray());
+  simList.addObserver(this);
+  this.simList_ = simList;
+};
+
+/** @override */
+disconnect() {
+  if (this.simList_ != null) {
+    this.simList_.removeObserver(this);
+    this.simList_ = null;
+  }
+};
+
+/** Returns the value of the equation with the given values of the variables.
+* @param {string} equation the equation to evaluate
+* @return {number} the value of the equation
+* @throws {!Error} if the equation does not give a finite number
+* @private
+*/
+static evaluate_(equation) {
+  var r = eval('"use strict"; '+equation);
+  if (goog.isNumber(r) && isFinite(r)) {
+    return r;
+  } else {
+    throw new Error('not a finite number "'+equation+'" when x='+window['x']
+        +', y='+window['y']+', vx='+window['vx']+', vy='+window['vy']
+        +', t='+window['t']);
+  }
+};
+
+/** Returns the force given by the equations at the given position, velocity and time.
+* @param {!Vector} position the position
+* @param {!Vector} velocity the velocity
+* @param {number} time the time
+* @return {!Vector} the force at that position, velocity and time
+* @throws {!Error} if an equation does not give a finite number
+*/
+fieldAt(position, velocity, time) {
+  window['x'] = position.getX();
+  window['y'] = position.getY();
+  window['vx'] = velocity.getX();
+  window['vy'] = velocity.getY();
+  window['t'] = time;
+  return new Vector(ForceFieldLaw.evaluate_(this.equationX_),
+      ForceFieldLaw.evaluate_(this.equationY_));
+};
+
+/** @override */
+getBodies() {
+  return goog.array.clone(this.bods_);
+};
+
+/** @override */
+getPotentialEnergy() {
+  return 0;
+};
+
+/** Returns the equation for the `x` component of the force.
+* @return {string} the equation for the `x` component of the force
+*/
+getXEquation() {
+  return this.equationX_;
+};
+
+/** Returns the equation for the `y` component of the force.
+* @return {string} the equation for the `y` component of the force
+*/
+getYEquation() {
+  return this.equationY_;
+};
+
+/** @override */
+observe(event) {
+  var obj;
+  if (event.nameEquals(SimList.OBJECT_ADDED)) {
+    obj = /** @type {!SimObject} */ (event.getValue());
+    this.addBody(obj);
+  } else if (event.nameEquals(SimList.OBJECT_REMOVED)) {
+    obj = /** @type {!SimObject} */ (event.getValue());
+    this.removeBody(obj);
+  }
+};
+
+/** Removes the SimObject from the list of objects that ForceFieldLaw applies forces
+* to.
+* @param {!SimObject} obj the SimObject to remove
+*/
+removeBody(obj) {
+  goog.array.remove(this.bods_, obj);
+  goog.asserts.assert( !goog.array.contains(this.bods_, obj));
+};
+
+/** Sets the equation for the `x` component of the force. A JavaScript expression
+which can use the variables `x, y, vx, vy, t`.
+* @param {string} value the equation for the `x` component of the force
+* @throws {!Error} if the equation fails checks for
+*    [Safe Subset of JavaScript](myphysicslab.lab.util.Terminal.html#safesubsetofjavascript)
+*/
+setXEquation(value) {
+  this.equationX_ = ForceFieldLaw.vetEquation_(value);
+  this.broadcastParameter(ForceFieldLaw.en.X_EQUATION);
+};
+
+/** Sets the equation for the `y` component of the force. A JavaScript expression
+which can use the variables `x, y, vx, vy, t`.
+* @param {string} value the equation for the `y` component of the force
+* @throws {!Error} if the equation fails checks for
+*    [Safe Subset of JavaScript](myphysicslab.lab.util.Terminal.html#safesubsetofjavascript)
+*/
+setYEquation(value) {
+  this.equationY_ = ForceFieldLaw.vetEquation_(value);
+  this.broadcastParameter(ForceFieldLaw.en.Y_EQUATION);
+};
+
+/** Checks that the equation conforms to the
+[Safe Subset of JavaScript](myphysicslab.lab.util.Terminal.html#safesubsetofjavascript)
+and uses only the allowed variables.
+* @param {string} value the equation to check
+* @return {string} the equation, with unicode characters replaced
+* @throws {!Error} if the equation fails the checks
+* @private
+*/
+static vetEquation_(value) {
+  value = Terminal.deUnicode(value);
+  Terminal.vetCommand(value, /*whiteList=*/ForceFieldLaw.VARIABLES,
+      /*blackList=*//\beval\b/g);
+  Terminal.vetBrackets(value);
+  return value;
+};
+
+} // end class
+
+/**
+* @type {number}
+*/
+ForceFieldLaw.NAME_ID = 0;
+
+/** Names of the variables that can be used in the equations.
+* @type {!Array<string>}
+* @const
+*/
+ForceFieldLaw.VARIABLES = ['x', 'y', 'vx', 'vy', 't'];
+
+/** Set of internationalized strings.
+@typedef {{
+  X_EQUATION: string,
+  Y_EQUATION: string
+  }}
+*/
+ForceFieldLaw.i18n_strings;
+
+/**
+@type {ForceFieldLaw.i18n_strings}
+*/
+ForceFieldLaw.en = {
+  X_EQUATION: 'X equation',
+  Y_EQUATION: 'Y equation'
+};
+
+/**
+@private
+@type {ForceFieldLaw.i18n_strings}
+*/
+ForceFieldLaw.de_strings = {
+  X_EQUATION: 'X Gleichung',
+  Y_EQUATION: 'Y Gleichung'
+};
+
+/** Set of internationalized strings.
+@type {ForceFieldLaw.i18n_strings}
+*/
+ForceFieldLaw.i18n = goog.LOCALE === 'de' ? ForceFieldLaw.de_strings :
+    ForceFieldLaw.en;
+
+exports = ForceFieldLaw;
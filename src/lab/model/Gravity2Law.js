@@ -15,6 +15,7 @@
 goog.module('myphysicslab.lab.model.Gravity2Law');
 
 goog.require('goog.array');
+goog.require('goog.asserts');
 
 const AbstractSubject = goog.require('myphysicslab.lab.util.AbstractSubject');
 const CoordType = goog.require('myphysicslab.lab.model.CoordType');
@@ -22,6 +23,7 @@ const Force = goog.require('myphysicslab.lab.model.Force');
 const ForceLaw = goog.require('myphysicslab.lab.model.ForceLaw');
 const MassObject = goog.require('myphysicslab.lab.model.MassObject');
 const Observer = goog.require('myphysicslab.lab.util.Observer');
+const ParameterBoolean = goog.require('myphysicslab.lab.util.ParameterBoolean');
 const ParameterNumber = goog.require('myphysicslab.lab.util.ParameterNumber');
 const SimList = goog.require('myphysicslab.lab.model.SimList');
 const SimObject = goog.require('myphysicslab.lab.model.SimObject');
@@ -40,11 +42,42 @@ The set of objects can be specified with the {@link #addBody} method, or the
 Gravity2Law can observe a SimList and automatically add all bodies that have
 mass to the set of objects.
 
+Barnes-Hut Approximation
+------------------------
+
+Calculating the attraction between every pair of objects takes time proportional to
+`n^2` for `n` objects. When {@link #setBarnesHut} is turned on, the forces and potential
+energy are instead estimated with the
+[Barnes-Hut algorithm](https://en.wikipedia.org/wiki/Barnes%E2%80%93Hut_simulation)
+which takes time proportional to `n log n`.
+
+The objects are sorted into a quadtree: each square region of space is divided into
+four smaller squares until each square holds at most one object. The force on an
+object from a group of distant objects is approximated by the force from their total
+mass placed at their center of mass. A square is treated as a single mass when the
+ratio `s / d` is less than the *opening angle*, where `s` is the width of the square
+and `d` is the distance from the object to the center of mass of the square. A square
+that contains the object itself is always opened.
+
+An opening angle of zero gives the exact pairwise result (but is slower than the
+pairwise calculation). Larger opening angles are faster and less accurate; a value of
+about 0.5 is typical. The {@link #getForceError} method compares the approximated
+forces against the exact pairwise forces; toggling {@link #setBarnesHut} allows
+comparing how the simulation behaves under each method.
+
+With Barnes-Hut turned on, there is one Force on each object for the total
+gravitational attraction of all the other objects, instead of a Force for each pair of
+objects.
+
 Parameters Created
 ------------------
 
 + ParameterNumber named `GRAVITY`, see {@link #setGravity}
 
++ ParameterBoolean named `BARNES_HUT`, see {@link #setBarnesHut}
+
++ ParameterNumber named `OPENING_ANGLE`, see {@link #setOpeningAngle}
+
 * @implements {ForceLaw}
 * @implements {Observer}
 */
@@ -63,6 +96,27 @@ constructor(gravity, opt_simList) {
   * @private
   */
   this.gravity_ = gravity;
+  /** Whether to use the Barnes-Hut approximation.
+  * @type {boolean}
+  * @private
+  */
+  this.barnesHut_ = false;
+  /** The opening angle of the Barnes-Hut approximation.
+  * @type {number}
+  * @private
+  */
+  this.openingAngle_ = 0.5;
+  /** The part of the potential energy that depends only on the masses and minimum
+  * heights of the bodies, see {@link #getPotentialEnergy}.
+  * @type {number}
+  * @private
+  */
+  this.energyOffset_ = 0;
+  /** The mass and minimum height of each body when `energyOffset_` was calculated.
+  * @type {!Array<number>}
+  * @private
+  */
+  this.offsetKey_ = [];
   /**
   * @type {!Array<!MassObject>}
   * @private
@@ -80,6 +134,13 @@ constructor(gravity, opt_simList) {
       Gravity2Law.i18n.GRAVITY,
       goog.bind(this.getGravity, this), goog.bind(this.setGravity, this))
       .setSignifDigits(4));
+  this.addParameter(new ParameterBoolean(this, Gravity2Law.en.BARNES_HUT,
+      Gravity2Law.i18n.BARNES_HUT,
+      goog.bind(this.getBarnesHut, this), goog.bind(this.setBarnesHut, this)));
+  this.addParameter(new ParameterNumber(this, Gravity2Law.en.OPENING_ANGLE,
+      Gravity2Law.i18n.OPENING_ANGLE,
+      goog.bind(this.getOpeningAngle, this), goog.bind(this.setOpeningAngle, this))
+      .setSignifDigits(3));
 };
 
 /** @override */
@@ -93,7 +154,9 @@ toString() {
 toStringShort() {
   return Util.ADVANCED ? '' :
       super.toStringShort().slice(0, -1)
-      +', gravity: '+Util.NF5(this.gravity_)+'}';
+      +', gravity: '+Util.NF5(this.gravity_)
+      +', barnesHut: '+this.barnesHut_
+      +', openingAngle: '+Util.NF5(this.openingAngle_)+'}';
 };
 
 /** @override */
@@ -124,8 +187,29 @@ addBody(obj) {
   }
 };
 
+/** Returns the bodies that currently have positive finite mass.
+* @return {!Array<!MassObject>}
+* @private
+*/
+bodiesWithMass_() {
+  return goog.array.filter(this.bods_, function(bod) {
+    var m = bod.getMass();
+    return m > 0 && isFinite(m);
+  });
+};
+
 /** @override */
 calculateForces() {
+  if (this.barnesHut_) {
+    var bodies = this.bodiesWithMass_();
+    var sums = this.treeSums_(bodies);
+    return goog.array.map(bodies, function(bod, i) {
+      var gm = this.gravity_ * bod.getMass();
+      return new Force('gravity', bod,
+          /*location=*/bod.getPosition(), CoordType.WORLD,
+          /*direction=*/new Vector(gm * sums[i][0], gm * sums[i][1]), CoordType.WORLD);
+    }, this);
+  }
   // Calculate the force between each pair of bodies.
   // Avoid duplicate calculations by only looking at the 'upper triangle' of the matrix:
   // in a matrix of bodies x bodies, only look at the entries above the diagonal.
@@ -178,11 +262,107 @@ disconnect() {
   }
 };
 
+/** Returns the sums over all other bodies of the acceleration and potential per unit
+of `G`, found by adding up every pair of bodies. See {@link #treeSums_}.
+* @param {!Array<!MassObject>} bodies the bodies, which must have positive finite mass
+* @return {!Array<!Array<number>>} for each body: the `x` and `y` components of
+*     the acceleration, and the potential
+* @private
+*/
+exactSums_(bodies) {
+  var n = bodies.length;
+  var sums = [];
+  for (var i=0; i<n; i++) {
+    sums.push([0, 0, 0]);
+  }
+  for (i=0; i<n; i++) {
+    var p1 = bodies[i].getPosition();
+    var m1 = bodies[i].getMass();
+    for (var k=i+1; k<n; k++) {
+      var m2 = bodies[k].getMass();
+      var v = bodies[k].getPosition().subtract(p1);
+      var r = v.length();
+      if (r > 0) {
+        var r3 = r * r * r;
+        sums[i][0] += m2 * v.getX() / r3;
+        sums[i][1] += m2 * v.getY() / r3;
+        sums[i][2] += m2 / r;
+        sums[k][0] -= m1 * v.getX() / r3;
+        sums[k][1] -= m1 * v.getY() / r3;
+        sums[k][2] += m1 / r;
+      }
+    }
+  }
+  return sums;
+};
+
+/** Returns whether the Barnes-Hut approximation is used.
+* @return {boolean} whether the Barnes-Hut approximation is used
+*/
+getBarnesHut() {
+  return this.barnesHut_;
+};
+
 /** @override */
 getBodies() {
   return goog.array.clone(this.bods_);
 };
 
+/** Returns the part of the potential energy that depends only on the masses and
+minimum heights of the bodies, which is the potential energy when every pair of bodies
+is at their minimum separation. This is remembered until a mass or minimum height
+changes, so that the Barnes-Hut approximation avoids looking at every pair of bodies.
+* @param {!Array<!MassObject>} bodies the bodies, which must have positive finite mass
+* @return {number} the sum of `G m1 m2 / (h1 + h2)` over every pair of bodies
+* @private
+*/
+getEnergyOffset_(bodies) {
+  var n = bodies.length;
+  var key = this.offsetKey_;
+  var same = key.length == 2*n;
+  for (var i=0; i<n && same; i++) {
+    same = key[2*i] == bodies[i].getMass() && key[2*i+1] == bodies[i].getMinHeight();
+  }
+  if (!same) {
+    key = [];
+    goog.array.forEach(bodies, function(bod) {
+      key.push(bod.getMass(), bod.getMinHeight());
+    });
+    var sum = 0;
+    for (i=0; i<n; i++) {
+      for (var k=i+1; k<n; k++) {
+        sum += key[2*i] * key[2*k] / (key[2*i+1] + key[2*k+1]);
+      }
+    }
+    this.offsetKey_ = key;
+    this.energyOffset_ = sum;
+  }
+  return this.gravity_ * this.energyOffset_;
+};
+
+/** Returns the error of the Barnes-Hut approximation of the forces, compared to the
+exact pairwise forces. This is the root-mean-square of the error of the force on each
+body, divided by the root-mean-square of the exact force on each body. The forces are
+calculated for the current positions of the bodies, regardless of whether Barnes-Hut is
+turned on. This looks at every pair of bodies, so is as slow as the exact calculation.
+* @return {number} the relative error of the approximated forces
+*/
+getForceError() {
+  var bodies = this.bodiesWithMass_();
+  var tree = this.treeSums_(bodies);
+  var exact = this.exactSums_(bodies);
+  var sumErr = 0;
+  var sumForce = 0;
+  goog.array.forEach(bodies, function(bod, i) {
+    var m = bod.getMass();
+    var exactForce = new Vector(exact[i][0], exact[i][1]).multiply(m);
+    var treeForce = new Vector(tree[i][0], tree[i][1]).multiply(m);
+    sumErr += treeForce.subtract(exactForce).lengthSquared();
+    sumForce += exactForce.lengthSquared();
+  });
+  return sumForce > 0 ? Math.sqrt(sumErr / sumForce) : 0;
+};
+
 /** Returns the strength of gravity, the `G` factor in `F = G m1 m2 / r^2`.
 * @return {number} the strength of gravity
 */
@@ -190,6 +370,13 @@ getGravity() {
   return this.gravity_;
 };
 
+/** Returns the opening angle of the Barnes-Hut approximation.
+* @return {number} the opening angle of the Barnes-Hut approximation
+*/
+getOpeningAngle() {
+  return this.openingAngle_;
+};
+
 /** Returns potential energy from gravity of the collection of MassObjects. Finds
 potential energy for each pair of objects and adds all these. Zero potential energy for
 each pair of objects is when they are at the minimum possible distance, as given by
@@ -232,9 +419,22 @@ from the PE to get a positive PE that goes to zero as the objects approach each
 As long as one of the objects has a non-zero minimum radius, then we can get a
 non-infinite number for the minimum PE.
 
+When Barnes-Hut is turned on, the `- G m1 m2 / r` part of the potential energy is
+estimated with the quadtree, in the same way as the forces.
+
 * @return {number} the potential energy due to this ForceLaw
 */
 getPotentialEnergy() {
+  if (this.barnesHut_) {
+    var bodies = this.bodiesWithMass_();
+    var sums = this.treeSums_(bodies);
+    // each pair of bodies is counted twice in the sums of potential
+    var sum = 0;
+    goog.array.forEach(bodies, function(bod, i) {
+      sum += bod.getMass() * sums[i][2];
+    });
+    return this.getEnergyOffset_(bodies) - this.gravity_ * sum / 2;
+  }
   var pe = 0;
   var bodies2 = goog.array.toArray(this.bods_);
   var j = 0;
@@ -274,6 +474,15 @@ observe(event) {
   }
 };
 
+/** Sets whether to use the Barnes-Hut approximation for the forces and potential
+energy, instead of looking at every pair of bodies.
+* @param {boolean} value whether to use the Barnes-Hut approximation
+*/
+setBarnesHut(value) {
+  this.barnesHut_ = value;
+  this.broadcastParameter(Gravity2Law.en.BARNES_HUT);
+};
+
 /** Specifies the set of MassObjects to apply forces on.
 * @param {!Array<!MassObject>} bodies the set of
     MassObjects to apply forces on.
@@ -290,6 +499,71 @@ setGravity(gravity) {
   this.broadcastParameter(Gravity2Law.en.GRAVITY);
 };
 
+/** Sets the opening angle of the Barnes-Hut approximation. A square region of the
+quadtree is treated as a single mass when its width divided by its distance is less
+than the opening angle. Zero gives the exact result; larger values are faster and less
+accurate.
+* @param {number} value the opening angle of the Barnes-Hut approximation
+*/
+setOpeningAngle(value) {
+  if (value < 0) {
+    throw new Error('opening angle must be non-negative '+value);
+  }
+  this.openingAngle_ = value;
+  this.broadcastParameter(Gravity2Law.en.OPENING_ANGLE);
+};
+
+/** Returns the sums over all other bodies of the acceleration and potential per unit
+of `G`, estimated with the Barnes-Hut quadtree. For body `i` the sums are
+
+    ax = sum m_k (x_k - x_i) / r^3
+    ay = sum m_k (y_k - y_i) / r^3
+    phi = sum m_k / r
+
+where `r` is the distance between body `i` and body `k`. The force on body `i` is then
+`G m_i (ax, ay)`.
+* @param {!Array<!MassObject>} bodies the bodies, which must have positive finite mass
+* @return {!Array<!Array<number>>} for each body: the `x` and `y` components of
+*     the acceleration, and the potential
+* @private
+*/
+treeSums_(bodies) {
+  var n = bodies.length;
+  if (n == 0) {
+    return [];
+  }
+  var xs = [];
+  var ys = [];
+  var ms = [];
+  var xlo = Util.POSITIVE_INFINITY;
+  var xhi = Util.NEGATIVE_INFINITY;
+  var ylo = Util.POSITIVE_INFINITY;
+  var yhi = Util.NEGATIVE_INFINITY;
+  goog.array.forEach(bodies, function(bod) {
+    var p = bod.getPosition();
+    xs.push(p.getX());
+    ys.push(p.getY());
+    ms.push(bod.getMass());
+    xlo = Math.min(xlo, p.getX());
+    xhi = Math.max(xhi, p.getX());
+    ylo = Math.min(ylo, p.getY());
+    yhi = Math.max(yhi, p.getY());
+  });
+  // enlarge the square slightly so that no body lies on its boundary
+  var half = Math.max(xhi - xlo, yhi - ylo, 1E-10) * 0.501;
+  var root = new QuadNode((xlo + xhi)/2, (ylo + yhi)/2, half);
+  for (var i=0; i<n; i++) {
+    root.insert(i, xs, ys, ms, 0);
+  }
+  var sums = [];
+  for (i=0; i<n; i++) {
+    var sum = [0, 0, 0];
+    root.accumulate(i, this.openingAngle_, xs, ys, ms, sum);
+    sums.push(sum);
+  }
+  return sums;
+};
+
 } // end class
 
 /**
@@ -299,7 +573,9 @@ Gravity2Law.NAME_ID = 0;
 
 /** Set of internationalized strings.
 @typedef {{
-  GRAVITY: string
+  BARNES_HUT: string,
+  GRAVITY: string,
+  OPENING_ANGLE: string
   }}
 */
 Gravity2Law.i18n_strings;
@@ -308,7 +584,9 @@ Gravity2Law.i18n_strings;
 @type {Gravity2Law.i18n_strings}
 */
 Gravity2Law.en = {
-  GRAVITY: 'gravity'
+  BARNES_HUT: 'Barnes-Hut',
+  GRAVITY: 'gravity',
+  OPENING_ANGLE: 'opening angle'
 };
 
 /**
@@ -316,7 +594,9 @@ Gravity2Law.en = {
 @type {Gravity2Law.i18n_strings}
 */
 Gravity2Law.de_strings = {
-  GRAVITY: 'Gravitation'
+  BARNES_HUT: 'Barnes-Hut',
+  GRAVITY: 'Gravitation',
+  OPENING_ANGLE: 'Öffnungswinkel'
 };
 
 /** Set of internationalized strings.
@@ -326,4 +606,181 @@ Gravity2Law.i18n = goog.LOCALE === 'de' ?
     Gravity2Law.de_strings :
     Gravity2Law.en;
 
+/** A square region of the quadtree used by the Barnes-Hut approximation in
+{@link Gravity2Law}. Each QuadNode keeps the total mass and center of mass of the bodies
+inside it. A QuadNode is either a leaf which holds at most one body, or has four
+children which divide the square into quarters.
+
+Bodies are referred to by their index in the arrays of positions and masses that
+are passed to each method.
+
+Note about private variables:  with Google Closure Compiler, a variable marked
+private can be accessed from any code in the file where it is defined.
+
+@private
+*/
+class QuadNode {
+/**
+* @param {number} x horizontal position of the center of the square
+* @param {number} y vertical position of the center of the square
+* @param {number} half half of the width of the square
+*/
+constructor(x, y, half) {
+  /**
+  * @type {number}
+  * @private
+  */
+  this.x_ = x;
+  /**
+  * @type {number}
+  * @private
+  */
+  this.y_ = y;
+  /**
+  * @type {number}
+  * @private
+  */
+  this.half_ = half;
+  /** total mass of bodies in this square
+  * @type {number}
+  * @private
+  */
+  this.mass_ = 0;
+  /** sum of mass times horizontal position of bodies in this square
+  * @type {number}
+  * @private
+  */
+  this.mx_ = 0;
+  /** sum of mass times vertical position of bodies in this square
+  * @type {number}
+  * @private
+  */
+  this.my_ = 0;
+  /** index of bodies in this leaf; more than one only when the maximum depth is
+  * reached, for example when bodies are at the same location.
+  * @type {!Array<number>}
+  * @private
+  */
+  this.bodies_ = [];
+  /** the four quarters of this square, or null when this is a leaf
+  * @type {?Array<!QuadNode>}
+  * @private
+  */
+  this.children_ = null;
+};
+
+/** Adds to the given sums the acceleration and potential per unit of `G` on body `i`
+from the bodies in this square. See {@link Gravity2Law#treeSums_}.
+* @param {number} i index of the body to find the sums for
+* @param {number} openingAngle the opening angle of the Barnes-Hut approximation
+* @param {!Array<number>} xs horizontal position of each body
+* @param {!Array<number>} ys vertical position of each body
+* @param {!Array<number>} ms mass of each body
+* @param {!Array<number>} sum the `x` and `y` components of the acceleration and the
+*     potential, which are added to
+*/
+accumulate(i, openingAngle, xs, ys, ms, sum) {
+  if (this.mass_ == 0) {
+    return;
+  }
+  var x = xs[i];
+  var y = ys[i];
+  if (this.children_ == null) {
+    goog.array.forEach(this.bodies_, function(k) {
+      if (k != i) {
+        QuadNode.addMass_(x, y, ms[k], xs[k], ys[k], sum);
+      }
+    });
+    return;
+  }
+  var cx = this.mx_ / this.mass_;
+  var cy = this.my_ / this.mass_;
+  var inside = Math.abs(x - this.x_) <= this.half_
+      && Math.abs(y - this.y_) <= this.half_;
+  var dx = cx - x;
+  var dy = cy - y;
+  if (!inside && 2 * this.half_ < openingAngle * Math.sqrt(dx*dx + dy*dy)) {
+    QuadNode.addMass_(x, y, this.mass_, cx, cy, sum);
+  } else {
+    goog.array.forEach(this.children_, function(child) {
+      child.accumulate(i, openingAngle, xs, ys, ms, sum);
+    });
+  }
+};
+
+/** Adds to the given sums the acceleration and potential per unit of `G` at a point
+from a mass at another point.
+* @param {number} x horizontal position of the point
+* @param {number} y vertical position of the point
+* @param {number} m the mass
+* @param {number} mx horizontal position of the mass
+* @param {number} my vertical position of the mass
+* @param {!Array<number>} sum the `x` and `y` components of the acceleration and the
+*     potential, which are added to
+* @private
+*/
+static addMass_(x, y, m, mx, my, sum) {
+  var dx = mx - x;
+  var dy = my - y;
+  var r = Math.sqrt(dx*dx + dy*dy);
+  if (r > 0) {
+    var r3 = r * r * r;
+    sum[0] += m * dx / r3;
+    sum[1] += m * dy / r3;
+    sum[2] += m / r;
+  }
+};
+
+/** Adds body `k` to this square, dividing the square into quarters when it holds
+more than one body.
+* @param {number} k index of the body to add
+* @param {!Array<number>} xs horizontal position of each body
+* @param {!Array<number>} ys vertical position of each body
+* @param {!Array<number>} ms mass of each body
+* @param {number} depth the depth of this square in the quadtree
+*/
+insert(k, xs, ys, ms, depth) {
+  this.mass_ += ms[k];
+  this.mx_ += ms[k] * xs[k];
+  this.my_ += ms[k] * ys[k];
+  if (this.children_ != null) {
+    this.quarter_(xs[k], ys[k]).insert(k, xs, ys, ms, depth+1);
+    return;
+  }
+  this.bodies_.push(k);
+  if (this.bodies_.length > 1 && depth < QuadNode.MAX_DEPTH) {
+    var h = this.half_ / 2;
+    this.children_ = [
+      new QuadNode(this.x_ - h, this.y_ - h, h),
+      new QuadNode(this.x_ + h, this.y_ - h, h),
+      new QuadNode(this.x_ - h, this.y_ + h, h),
+      new QuadNode(this.x_ + h, this.y_ + h, h)
+    ];
+    goog.array.forEach(this.bodies_, function(b) {
+      this.quarter_(xs[b], ys[b]).insert(b, xs, ys, ms, depth+1);
+    }, this);
+    this.bodies_ = [];
+  }
+};
+
+/** Returns the quarter of this square that contains the given point.
+* @param {number} x horizontal position of the point
+* @param {number} y vertical position of the point
+* @return {!QuadNode} the quarter of this square that contains the point
+* @private
+*/
+quarter_(x, y) {
+  goog.asserts.assert(this.children_ != null);
+  return this.children_[(x < this.x_ ? 0 : 1) + (y < this.y_ ? 0 : 2)];
+};
+
+} // end class
+
+/** Maximum depth of the quadtree, which limits how finely the squares are divided
+when bodies are very close together.
+* @type {number}
+* @const
+*/
+QuadNode.MAX_DEPTH = 40;
+
 exports = Gravity2Law;
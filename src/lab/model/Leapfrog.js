@@ -0,0 +1,87 @@
+// Copyright 2016 Erik Neumann.  All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+goog.module('myphysicslab.lab.model.Leapfrog');
+
+const ODESim = goog.require('myphysicslab.lab.model.ODESim');
+const SymplecticSolver = goog.require('myphysicslab.lab.model.SymplecticSolver');
+const Util = goog.require('myphysicslab.lab.util.Util');
+
+/** Leapfrog method for solving ordinary differential equations expressed as an
+{@link ODESim}; this is a second order symplectic method. Each step is a half step drift
+of the position, a full step kick of the velocity, and another half step drift of the
+position:
+
+    x1/2 = x0 + (h/2) v0
+    v1 = v0 + h a(x1/2)
+    x1 = x1/2 + (h/2) v1
+
+This is the 'drift-kick-drift' form of the method, also known as 'position Verlet'; the
+'kick-drift-kick' form is {@link myphysicslab.lab.model.VelocityVerlet}.
+
+See [Leapfrog integration](https://en.wikipedia.org/wiki/Leapfrog_integration).
+
+See {@link SymplecticSolver} about which simulations this can be used with. Uses
+1 evaluation of the differential equations for each step.
+*/
+class Leapfrog extends SymplecticSolver {
+/**
+* @param {!ODESim} ode the set of differential equations to solve
+*/
+constructor(ode) {
+  super(ode, /*kicks=*/[0, 1, 0], /*drifts=*/[1/2, 1/2]);
+};
+
+/** @override */
+getClassName() {
+  return 'Leapfrog';
+};
+
+/** @override */
+getName(opt_localized) {
+  return opt_localized ? Leapfrog.i18n.NAME :
+      Util.toName(Leapfrog.en.NAME);
+};
+
+} // end class
+
+/** Set of internationalized strings.
+@typedef {{
+  NAME: string
+  }}
+*/
+Leapfrog.i18n_strings;
+
+/**
+@type {Leapfrog.i18n_strings}
+*/
+Leapfrog.en = {
+  NAME: 'Leapfrog'
+};
+
+/**
+@private
+@type {Leapfrog.i18n_strings}
+*/
+Leapfrog.de_strings = {
+  NAME: 'Leapfrog'
+};
+
+/** Set of internationalized strings.
+@type {Leapfrog.i18n_strings}
+*/
+Leapfrog.i18n = goog.LOCALE === 'de' ? Leapfrog.de_strings :
+    Leapfrog.en;
+
+exports = Leapfrog;
@@ -0,0 +1,339 @@
+// Copyright 2016 Erik Neumann.  All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+goog.module('myphysicslab.lab.model.LorentzLaw');
+
+goog.require('goog.array');
+goog.require('goog.asserts');
+
+const AbstractSubject = goog.require('myphysicslab.lab.util.AbstractSubject');
+const CoordType = goog.require('myphysicslab.lab.model.CoordType');
+const Force = goog.require('myphysicslab.lab.model.Force');
+const ForceLaw = goog.require('myphysicslab.lab.model.ForceLaw');
+const MassObject = goog.require('myphysicslab.lab.model.MassObject');
+const Observer = goog.require('myphysicslab.lab.util.Observer');
+const ParameterNumber = goog.require('myphysicslab.lab.util.ParameterNumber');
+const SimList = goog.require('myphysicslab.lab.model.SimList');
+const SimObject = goog.require('myphysicslab.lab.model.SimObject');
+const Util = goog.require('myphysicslab.lab.util.Util');
+const Vector = goog.require('myphysicslab.lab.util.Vector');
+
+/** Applies the Lorentz force from a uniform magnetic field and a uniform electric
+field to a set of charged MassObjects. The magnetic field `B` is perpendicular to the
+plane of the simulation, with positive values pointing out of the screen. The electric
+field `E = (Ex, Ey)` is in the plane of the simulation. The equation for the force is
+
+    F = q (E + v x B) = q (Ex + vy B, Ey - vx B)
+
+where `q` is the charge of the object (see {@link MassObject#setCharge}) and
+`v = (vx, vy)` is the velocity of the object.
+
+The magnetic force is perpendicular to the velocity so it does no work. In a magnetic
+field alone, a charged object moves in a circle of radius `m |v| / |q B|` with angular
+frequency `q B / m`; this is called cyclotron motion.
+
+The potential energy from the electric field is `-q E . p` where `p` is the position of
+the object, which is zero at the origin.
+
+The set of objects can be specified with the {@link #addBody} method, or the LorentzLaw
+can observe a SimList and automatically add all bodies that have mass to the set of
+objects.
+
+Parameters Created
+------------------
+
++ ParameterNumber named `MAGNETIC_FIELD`, see {@link #setMagneticField}
+
++ ParameterNumber named `ELECTRIC_FIELD_X`, see {@link #setElectricFieldX}
+
++ ParameterNumber named `ELECTRIC_FIELD_Y`, see {@link #setElectricFieldY}
+
+* @implements {ForceLaw}
+* @implements {Observer}
+*/
+class LorentzLaw extends AbstractSubject {
+/**
+* @param {number} magneticField strength of the magnetic field, positive values point
+*     out of the screen
+* @param {!SimList=} opt_simList optional SimList to observe
+    for when objects are added; also adds all existing bodies on that SimList.
+*/
+constructor(magneticField, opt_simList) {
+  var id = LorentzLaw.NAME_ID++;
+  var nm = 'LORENTZ_LAW' + (id > 0 ? '_'+id : '');
+  super(nm);
+  /**
+  * @type {number}
+  * @private
+  */
+  this.magneticField_ = magneticField;
+  /**
+  * @type {!Vector}
+  * @private
+  */
+  this.electricField_ = Vector.ORIGIN;
+  /**
+  * @type {!Array<!MassObject>}
+  * @private
+  */
+  this.bods_ = [];
+  /**
+  * @type {?SimList}
+  * @private
+  */
+  this.simList_ = null;
+  if (goog.isDefAndNotNull(opt_simList)) {
+    this.connect(opt_simList);
+  };
+  this.addParameter(new ParameterNumber(this, LorentzLaw.en.MAGNETIC_FIELD,
+      LorentzLaw.i18n.MAGNETIC_FIELD,
+      goog.bind(this.getMagneticField, this), goog.bind(this.setMagneticField, this))
+      .setLowerLimit(Util.NEGATIVE_INFINITY));
+  this.addParameter(new ParameterNumber(this, LorentzLaw.en.ELECTRIC_FIELD_X,
+      LorentzLaw.i18n.ELECTRIC_FIELD_X,
+      goog.bind(this.getElectricFieldX, this),
+      goog.bind(this.setElectricFieldX, this))
+      .setLowerLimit(Util.NEGATIVE_INFINITY));
+  this.addParameter(new ParameterNumber(this, LorentzLaw.en.ELECTRIC_FIELD_Y,
+      LorentzLaw.i18n.ELECTRIC_FIELD_Y,
+      goog.bind(this.getElectricFieldY, this),
+      goog.bind(this.setElectricFieldY, this))
+      .setLowerLimit(Util.NEGATIVE_INFINITY));
+};
+
+/** @override */
+toString() {
+  return Util.ADVANCED ? '' : this.toStringShort().slice(0, -1)
+      +', electricField: '+this.electricField_
+      +', bodies: '+this.bods_.length
+      + super.toString();
+};
+
+/** @override */
+toStringShort() {
+  return Util.ADVANCED ? '' :
+      super.toStringShort().slice(0, -1)
+      +', magneticField: '+Util.NF5(this.magneticField_)+'}';
+};
+
+/** @override */
+getClassName() {
+  return 'LorentzLaw';
+};
+
+/** Adds all the SimObjects to list of objects that LorentzLaw applies forces to,
+* but only those with mass.
+* @param {!Array<!SimObject>} bodies set of SimObjects to
+  possibly add
+*/
+addBodies(bodies) {
+  goog.array.forEach(bodies, goog.bind(this.addBody, this));
+};
+
+/** Adds the SimObject to list of objects that LorentzLaw applies forces to, but only
+* if it has positive finite mass.
+* @param {!SimObject} obj the SimObject to possibly add
+*/
+addBody(obj) {
+  if (!obj.isMassObject() || goog.array.contains(this.bods_, obj)) {
+    return;
+  }
+  var mobj = /** @type {!MassObject}*/(obj);
+  var m = mobj.getMass();
+  if (m > 0 && isFinite(m)) {
+    this.bods_.push(mobj);
+  }
+};
+
+/** @override */
+calculateForces() {
+  /** @type {!Array<!Force>} */
+  var forces = [];
+  var b = this.magneticField_;
+  goog.array.forEach(this.bods_, function(bod) {
+    var q = bod.getCharge();
+    if (q == 0) {
+      return;
+    }
+    var v = bod.getVelocity();
+    // F = q (E + v x B)
+    var f = this.electricField_.add(new Vector(v.getY() * b, -v.getX() * b))
+        .multiply(q);
+    forces.push(new Force('lorentz', bod,
+        /*location=*/bod.getPosition(), CoordType.WORLD,
+        /*direction=*/f, CoordType.WORLD));
+  }, this);
+  return forces;
+};
+
+/** Connect to the given SimList, so that the force applies to all objects in the
+SimList. Also adds all existing bodies on that SimList.
+* @param {!SimList} simList  the SimList to connect with
+*/
+connect(simList) {
+  this.addBodies(simList.toArray());
+  simList.addObserver(this);
+  this.simList_ = simList;
+};
+
+/** @override */
+disconnect() {
+  if (this.simList_ != null) {
+    this.simList_.removeObserver(this);
+    this.simList_ = null;
+  }
+};
+
+/** @override */
+getBodies() {
+  return goog.array.clone(this.bods_);
+};
+
+/** Returns the uniform electric field.
+* @return {!Vector} the electric field
+*/
+getElectricField() {
+  return this.electricField_;
+};
+
+/** Returns the horizontal component of the uniform electric field.
+* @return {number} the horizontal component of the electric field
+*/
+getElectricFieldX() {
+  return this.electricField_.getX();
+};
+
+/** Returns the vertical component of the uniform electric field.
+* @return {number} the vertical component of the electric field
+*/
+getElectricFieldY() {
+  return this.electricField_.getY();
+};
+
+/** Returns the strength of the magnetic field, positive values point out of the
+* screen.
+* @return {number} the strength of the magnetic field
+*/
+getMagneticField() {
+  return this.magneticField_;
+};
+
+/** Returns the potential energy from the electric field, which is the sum of
+`-q E . p` for each object, where `p` is the position of the object. The magnetic field
+has no potential energy.
+* @return {number} the potential energy due to this ForceLaw
+*/
+getPotentialEnergy() {
+  var pe = 0;
+  goog.array.forEach(this.bods_, function(bod) {
+    pe -= bod.getCharge() * this.electricField_.dotProduct(bod.getPosition());
+  }, this);
+  return pe;
+};
+
+/** @override */
+observe(event) {
+  var obj;
+  if (event.nameEquals(SimList.OBJECT_ADDED)) {
+    obj = /** @type {!SimObject} */ (event.getValue());
+    this.addBody(obj);
+  } else if (event.nameEquals(SimList.OBJECT_REMOVED)) {
+    obj = /** @type {!SimObject} */ (event.getValue());
+    this.removeBody(obj);
+  }
+};
+
+/** Removes the SimObject from the list of objects that LorentzLaw applies forces to.
+* @param {!SimObject} obj the SimObject to remove
+*/
+removeBody(obj) {
+  goog.array.remove(this.bods_, obj);
+  goog.asserts.assert( !goog.array.contains(this.bods_, obj));
+};
+
+/** Sets the uniform electric field.
+* @param {!Vector} value the electric field
+*/
+setElectricField(value) {
+  this.electricField_ = value;
+  this.broadcastParameter(LorentzLaw.en.ELECTRIC_FIELD_X);
+  this.broadcastParameter(LorentzLaw.en.ELECTRIC_FIELD_Y);
+};
+
+/** Sets the horizontal component of the uniform electric field.
+* @param {number} value the horizontal component of the electric field
+*/
+setElectricFieldX(value) {
+  this.electricField_ = new Vector(value, this.electricField_.getY());
+  this.broadcastParameter(LorentzLaw.en.ELECTRIC_FIELD_X);
+};
+
+/** Sets the vertical component of the uniform electric field.
+* @param {number} value the vertical component of the electric field
+*/
+setElectricFieldY(value) {
+  this.electricField_ = new Vector(this.electricField_.getX(), value);
+  this.broadcastParameter(LorentzLaw.en.ELECTRIC_FIELD_Y);
+};
+
+/** Sets the strength of the magnetic field, positive values point out of the screen.
+* @param {number} value the strength of the magnetic field
+*/
+setMagneticField(value) {
+  this.magneticField_ = value;
+  this.broadcastParameter(LorentzLaw.en.MAGNETIC_FIELD);
+};
+
+} // end class
+
+/**
+* @type {number}
+*/
+LorentzLaw.NAME_ID = 0;
+
+/** Set of internationalized strings.
+@typedef {{
+  ELECTRIC_FIELD_X: string,
+  ELECTRIC_FIELD_Y: string,
+  MAGNETIC_FIELD: string
+  }}
+*/
+LorentzLaw.i18n_strings;
+
+/**
+@type {LorentzLaw.i18n_strings}
+*/
+LorentzLaw.en = {
+  ELECTRIC_FIELD_X: 'electric field X',
+  ELECTRIC_FIELD_Y: 'electric field Y',
+  MAGNETIC_FIELD: 'magnetic field'
+};
+
+/**
+@private
+@type {LorentzLaw.i18n_strings}
+*/
+LorentzLaw.de_strings = {
+  ELECTRIC_FIELD_X: 'elektrisches Feld X',
+  ELECTRIC_FIELD_Y: 'elektrisches Feld Y',
+  MAGNETIC_FIELD: 'Magnetfeld'
+};
+
+/** Set of internationalized strings.
+@type {LorentzLaw.i18n_strings}
+*/
+LorentzLaw.i18n = goog.LOCALE === 'de' ? LorentzLaw.de_strings :
+    LorentzLaw.en;
+
+exports = LorentzLaw;
@@ -0,0 +1,470 @@
+// Copyright 2016 Erik Neumann.  All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+goog.module('myphysicslab.lab.model.LyapunovEstimator');
+
+goog.require('goog.array');
+
+const AbstractSubject = goog.require('myphysicslab.lab.util.AbstractSubject');
+const DiffEqSolverSubject = goog.require('myphysicslab.lab.model.DiffEqSolverSubject');
+const FunctionVariable = goog.require('myphysicslab.lab.model.FunctionVariable');
+const Memorizable = goog.require('myphysicslab.lab.util.Memorizable');
+const ODEAdvance = goog.require('myphysicslab.lab.model.ODEAdvance');
+const ODESim = goog.require('myphysicslab.lab.model.ODESim');
+const Observer = goog.require('myphysicslab.lab.util.Observer');
+const ParameterNumber = goog.require('myphysicslab.lab.util.ParameterNumber');
+const SimpleAdvance = goog.require('myphysicslab.lab.model.SimpleAdvance');
+const Simulation = goog.require('myphysicslab.lab.model.Simulation');
+const Util = goog.require('myphysicslab.lab.util.Util');
+
+/** Estimates the largest
+[Lyapunov exponent](https://en.wikipedia.org/wiki/Lyapunov_exponent) of a simulation,
+which measures how quickly two nearby trajectories separate. A positive exponent
+indicates chaos: the separation grows exponentially like `exp(lambda t)`.
+
+The LyapunovEstimator runs a slightly perturbed copy of the reference simulation. The
+copy must be a separate instance of the same class as the reference simulation; it is
+not displayed, and is advanced by the LyapunovEstimator itself to keep in step with the
+reference simulation. The copy takes the same steps as the reference: it is advanced by
+the time that passed in the reference since it was last memorized, using the same type
+of DiffEqSolver as the AdvanceStrategy of the reference. When that DiffEqSolver is not
+available for the copy (for example an AdaptiveStepSolver), the copy keeps its previous
+DiffEqSolver. Every renormalization period the LyapunovEstimator finds the
+distance `d` between the two states in phase space, adds `ln(d / d0)` to a running
+sum, and moves the copy back towards the reference so that they are again separated by
+the initial distance `d0`, without changing the direction of the separation. The
+estimate of the Lyapunov exponent is the running sum divided by the elapsed time.
+
+The phase space consists of the variables of the reference simulation that are not
+computed, except for time. Variables that are angles can be specified in the
+constructor, so that when an angle is limited to the range `-pi` to `pi` the
+difference of angles is taken modulo `2 pi`.
+
+The estimate is available as a Variable which is added to the VarsList of the
+reference simulation, so that it can be shown in a graph. For the estimate to be
+updated, the LyapunovEstimator must be memorized after each step of the reference
+simulation, for example by
+
+    simRun.addMemo(lyapunovEstimator);
+
+The LyapunovEstimator observes the reference simulation: it starts over when the
+reference simulation is reset or one of its Parameters is changed, copying the values
+of all the Parameters to the copy of the simulation. It also starts over when it is
+memorized after time has gone backwards in the reference simulation (for example when
+a Timeline shows a past state), or after a variable of the phase space was changed
+discontinuously (for example by dragging an object), which is found from the sequence
+numbers of the variables. Angle variables are not checked, because limiting an angle
+to the range `-pi` to `pi` changes the angle discontinuously during normal running.
+
+Parameters Created
+------------------
+
++ ParameterNumber named `SEPARATION`, see {@link #setSeparation}
+
++ ParameterNumber named `RENORMALIZE_PERIOD`, see {@link #setRenormalizePeriod}
+
+Variables Created
+-----------------
+
++ Variable named `LYAPUNOV_EXPONENT`, see {@link #getExponent}. This is added to the
+  VarsList of the reference simulation.
+
+* @implements {Memorizable}
+* @implements {Observer}
+*/
+class LyapunovEstimator extends AbstractSubject {
+/**
+* @param {!ODESim} sim the reference simulation
+* @param {!ODESim} copy a separate instance of the same class as the reference
+*     simulation, which is perturbed from the reference simulation
+* @param {!ODEAdvance} advance the AdvanceStrategy of the reference simulation
+* @param {!Array<number>=} opt_angles indexes of the variables that are angles
+*/
+constructor(sim, copy, advance, opt_angles) {
+  super('LYAPUNOV_ESTIMATOR');
+  if (sim == copy) {
+    throw new Error('copy must be a separate instance of the simulation');
+  }
+  /**
+  * @type {!ODESim}
+  * @private
+  */
+  this.sim_ = sim;
+  /**
+  * @type {!ODESim}
+  * @private
+  */
+  this.copy_ = copy;
+  /**
+  * @type {!SimpleAdvance}
+  * @private
+  */
+  this.advance_ = new SimpleAdvance(copy);
+  /** the AdvanceStrategy of the reference simulation
+  * @type {!ODEAdvance}
+  * @private
+  */
+  this.refAdvance_ = advance;
+  /** makes a DiffEqSolver for the copy of the same type as the reference uses
+  * @type {!DiffEqSolverSubject}
+  * @private
+  */
+  this.solvers_ = new DiffEqSolverSubject(copy, null, this.advance_,
+      'LYAPUNOV_SOLVER');
+  /** indexes of the variables that are angles
+  * @type {!Array<number>}
+  * @private
+  */
+  this.angles_ = goog.isDef(opt_angles) ? opt_angles : [];
+  /** the distance in phase space between the reference and the copy after each
+  * renormalization
+  * @type {number}
+  * @private
+  */
+  this.separation_ = 1E-8;
+  /** how much simulation time passes between renormalizations
+  * @type {number}
+  * @private
+  */
+  this.period_ = 1;
+  /** indexes of the variables that make up the phase space
+  * @type {!Array<number>}
+  * @private
+  */
+  this.stateVars_ = [];
+  /** sequence numbers of the variables in the phase space that are not angles, when
+  * last checked
+  * @type {!Array<number>}
+  * @private
+  */
+  this.seqs_ = [];
+  /** sum of the logarithm of the growth in separation over each period
+  * @type {number}
+  * @private
+  */
+  this.sum_ = 0;
+  /** time when the estimate was started
+  * @type {number}
+  * @private
+  */
+  this.startTime_ = 0;
+  /** time of the most recent renormalization
+  * @type {number}
+  * @private
+  */
+  this.renormTime_ = 0;
+  /** the current estimate of the Lyapunov exponent
+  * @type {number}
+  * @private
+  */
+  this.exponent_ = 0;
+  var va = sim.getVarsList();
+  /** index of the Lyapunov exponent Variable in the VarsList of the reference
+  * simulation
+  * @type {number}
+  * @private
+  */
+  this.varIndex_ = va.addVariable(new FunctionVariable(va,
+      LyapunovEstimator.en.LYAPUNOV_EXPONENT,
+      LyapunovEstimator.i18n.LYAPUNOV_EXPONENT, goog.bind(this.getExponent, this)));
+  this.addParameter(new ParameterNumber(this, LyapunovEstimator.en.SEPARATION,
+      LyapunovEstimator.i18n.SEPARATION,
+      goog.bind(this.getSeparation, this), goog.bind(this.setSeparation, this))
+      .setSignifDigits(3));
+  this.addParameter(new ParameterNumber(this, LyapunovEstimator.en.RENORMALIZE_PERIOD,
+      LyapunovEstimator.i18n.RENORMALIZE_PERIOD,
+      goog.bind(this.getRenormalizePeriod, this),
+      goog.bind(this.setRenormalizePeriod, this)).setSignifDigits(3));
+  sim.addObserver(this);
+  this.reset();
+};
+
+/** @override */
+toString() {
+  return Util.ADVANCED ? '' : this.toStringShort().slice(0, -1)
+      +', sim_: '+this.sim_.toStringShort()
+      +', copy_: '+this.copy_.toStringShort()
+      +', angles_: ['+this.angles_+']'
+      +', varIndex_: '+this.varIndex_
+      + super.toString();
+};
+
+/** @override */
+toStringShort() {
+  return Util.ADVANCED ? '' :
+      super.toStringShort().slice(0, -1)
+      +', exponent_: '+Util.NF5(this.exponent_)
+      +', separation_: '+Util.NF5E(this.separation_)
+      +', period_: '+Util.NF5(this.period_)+'}';
+};
+
+/** @override */
+getClassName() {
+  return 'LyapunovEstimator';
+};
+
+/** Stops observing the reference simulation and removes the Lyapunov exponent
+Variable from the VarsList of the reference simulation.
+* @return {undefined}
+*/
+disconnect() {
+  this.sim_.removeObserver(this);
+  this.sim_.getVarsList().deleteVariables(this.varIndex_, 1);
+};
+
+/** Returns the distance in phase space between the reference and the copy.
+* @return {number} the distance in phase space between the reference and the copy
+*/
+getDistance() {
+  return Math.sqrt(goog.array.reduce(this.getDifference_(), function(sum, d) {
+      return sum + d * d;
+    }, 0));
+};
+
+/** Returns the difference between the copy and the reference of each variable in the
+phase space.
+* @return {!Array<number>} the difference of each variable in the phase space
+* @private
+*/
+getDifference_() {
+  var va = this.sim_.getVarsList();
+  var vc = this.copy_.getVarsList();
+  return goog.array.map(this.stateVars_, function(i) {
+    var d = vc.getValue(i) - va.getValue(i);
+    return goog.array.contains(this.angles_, i) ? Util.limitAngle(d) : d;
+  }, this);
+};
+
+/** Returns the sequence numbers of the variables in the phase space that are not
+angles.
+* @return {!Array<number>} sequence numbers of the non-angle variables in the phase
+*     space
+* @private
+*/
+getSequences_() {
+  var va = this.sim_.getVarsList();
+  return goog.array.map(goog.array.filter(this.stateVars_, function(i) {
+      return !goog.array.contains(this.angles_, i);
+    }, this), function(i) {
+      return va.getVariable(i).getSequence();
+    });
+};
+
+/** Returns the current estimate of the largest Lyapunov exponent. This is zero until
+the first renormalization period has passed.
+* @return {number} the current estimate of the largest Lyapunov exponent
+*/
+getExponent() {
+  return this.exponent_;
+};
+
+/** Returns how much simulation time passes between renormalizations.
+* @return {number} how much simulation time passes between renormalizations
+*/
+getRenormalizePeriod() {
+  return this.period_;
+};
+
+/** Returns the distance in phase space between the reference and the copy after each
+renormalization.
+* @return {number} the distance between the reference and the copy after each
+*     renormalization
+*/
+getSeparation() {
+  return this.separation_;
+};
+
+/** Returns the index of the Lyapunov exponent Variable in the VarsList of the
+reference simulation.
+* @return {number} index of the Lyapunov exponent Variable
+*/
+getVariableIndex() {
+  return this.varIndex_;
+};
+
+/** Sets the DiffEqSolver of the copy to the same type as the reference simulation
+uses, when that DiffEqSolver is available for the copy.
+* @return {undefined}
+* @private
+*/
+matchSolver_() {
+  var name = this.refAdvance_.getDiffEqSolver().getName();
+  if (this.advance_.getDiffEqSolver().nameEquals(name)) {
+    return;
+  }
+  var ps = this.solvers_.getParameterString(DiffEqSolverSubject.en.DIFF_EQ_SOLVER);
+  if (goog.array.contains(ps.getValues(), name)) {
+    this.solvers_.setDiffEqSolver(name);
+  }
+};
+
+/** Advances the copy of the simulation to the time of the reference simulation, and
+renormalizes the separation when the renormalization period has passed. Starts the
+estimate over instead when time has gone backwards or the reference has changed
+discontinuously.
+* @override
+*/
+memorize() {
+  var t = this.sim_.getTime();
+  var dt = t - this.copy_.getTime();
+  if (dt < 0 || !goog.array.equals(this.seqs_, this.getSequences_())) {
+    this.reset();
+    return;
+  }
+  if (dt > 0) {
+    this.matchSolver_();
+    this.advance_.advance(dt);
+  }
+  if (t - this.renormTime_ >= this.period_) {
+    this.renormalize_();
+    this.renormTime_ = t;
+    this.exponent_ = this.sum_ / (t - this.startTime_);
+  }
+};
+
+/** @override */
+observe(event) {
+  if (event.getSubject() == this.sim_) {
+    if (event.nameEquals(Simulation.RESET)
+        || goog.array.contains(this.sim_.getParameters(), event)) {
+      this.reset();
+    }
+  }
+};
+
+/** Adds the growth in separation to the running sum, and moves the copy back
+towards the reference so that they are separated by the initial distance.
+* @return {undefined}
+* @private
+*/
+renormalize_() {
+  var diff = this.getDifference_();
+  var d = this.getDistance();
+  if (d == 0) {
+    return;
+  }
+  this.sum_ += Math.log(d / this.separation_);
+  this.setCopy_(diff, this.separation_ / d);
+};
+
+/** Starts the estimate over: copies the Parameters and the state of the reference to
+the copy of the simulation, and perturbs the copy by the initial separation.
+* @return {undefined}
+*/
+reset() {
+  goog.array.forEach(this.sim_.getParameters(), function(p) {
+    this.copy_.getParameter(p.getName()).setFromString(p.getAsString());
+  }, this);
+  var va = this.sim_.getVarsList();
+  var timeIdx = va.timeIndex();
+  this.stateVars_ = goog.array.filter(goog.array.range(va.numVariables()),
+      function(i) {
+        return i != timeIdx && !va.getVariable(i).isComputed();
+      });
+  var n = this.stateVars_.length;
+  var diff = goog.array.repeat(1 / Math.sqrt(n), n);
+  if (timeIdx > -1) {
+    this.copy_.getVarsList().setTime(this.sim_.getTime());
+  }
+  this.setCopy_(diff, this.separation_);
+  this.sum_ = 0;
+  this.exponent_ = 0;
+  this.startTime_ = this.sim_.getTime();
+  this.renormTime_ = this.startTime_;
+  this.seqs_ = this.getSequences_();
+  va.incrSequence(this.varIndex_);
+};
+
+/** Sets the state of the copy to be the state of the reference plus the given
+difference times a factor.
+* @param {!Array<number>} diff the difference of each variable in the phase space
+* @param {number} factor the factor to multiply the difference by
+* @return {undefined}
+* @private
+*/
+setCopy_(diff, factor) {
+  var va = this.sim_.getVarsList();
+  var vc = this.copy_.getVarsList();
+  goog.array.forEach(this.stateVars_, function(idx, i) {
+    vc.setValue(idx, va.getValue(idx) + factor * diff[i]);
+  });
+  this.copy_.modifyObjects();
+};
+
+/** Sets how much simulation time passes between renormalizations. Starts the estimate
+over.
+* @param {number} value how much simulation time passes between renormalizations
+*/
+setRenormalizePeriod(value) {
+  if (value <= 0) {
+    throw new Error('renormalize period must be positive '+value);
+  }
+  this.period_ = value;
+  this.reset();
+  this.broadcastParameter(LyapunovEstimator.en.RENORMALIZE_PERIOD);
+};
+
+/** Sets the distance in phase space between the reference and the copy after each
+renormalization. This should be small enough that the separation grows according to
+the linearized equations of motion during each renormalization period. Starts the
+estimate over.
+* @param {number} value the distance between the reference and the copy after each
+*     renormalization
+*/
+setSeparation(value) {
+  if (value <= 0) {
+    throw new Error('separation must be positive '+value);
+  }
+  this.separation_ = value;
+  this.reset();
+  this.broadcastParameter(LyapunovEstimator.en.SEPARATION);
+};
+
+} // end class
+
+/** Set of internationalized strings.
+@typedef {{
+  LYAPUNOV_EXPONENT: string,
+  RENORMALIZE_PERIOD: string,
+  SEPARATION: string
+  }}
+*/
+LyapunovEstimator.i18n_strings;
+
+/**
+@type {LyapunovEstimator.i18n_strings}
+*/
+LyapunovEstimator.en = {
+  LYAPUNOV_EXPONENT: 'Lyapunov exponent',
+  RENORMALIZE_PERIOD: 'renormalize period',
+  SEPARATION: 'separation'
+};
+
+/**
+@private
+@type {LyapunovEstimator.i18n_strings}
+*/
+LyapunovEstimator.de_strings = {
+  LYAPUNOV_EXPONENT: 'Lyapunov-Exponent',
+  RENORMALIZE_PERIOD: 'Renormierungsperiode',
+  SEPARATION: 'Abstand'
+};
+
+/** Set of internationalized strings.
+@type {LyapunovEstimator.i18n_strings}
+*/
+LyapunovEstimator.i18n = goog.LOCALE === 'de' ? LyapunovEstimator.de_strings :
+    LyapunovEstimator.en;
+
+exports = LyapunovEstimator;
@@ -129,6 +129,13 @@ getBottomWorld() {}
 */
 getBoundsBody() {}
 
+/** Returns the electric charge of this object, used by force laws such as
+{@link myphysicslab.lab.model.CoulombLaw} and {@link myphysicslab.lab.model.LorentzLaw}.
+The default charge is zero.
+@return {number} the electric charge of this object
+*/
+getCharge() {}
+
 /** Returns the location of center of mass, in local body coordinates.
 @return {!Vector} the location of center of mass, in local body
         coordinates.
@@ -272,6 +279,12 @@ vertical coordinate.
 */
 getZeroEnergyLevel() {}
 
+/** Whether this body is sleeping. A sleeping body is at rest and is not moved by the
+simulation until it is woken up, see {@link myphysicslab.lab.engine2D.ContactSim}.
+@return {boolean} whether this body is sleeping
+*/
+isSleeping() {}
+
 /** Returns moment of inertia about center of mass. This measures how much force is
 needed to rotate the body about the center of mass.  **Note that this is the number set
 via {@link #setMomentAboutCM} multiplied by the mass of the body.**
@@ -344,6 +357,13 @@ setAngle(angle) {}
 */
 setAngularVelocity(angular_velocity) {}
 
+/** Sets the electric charge of this object, used by force laws such as
+{@link myphysicslab.lab.model.CoulombLaw} and {@link myphysicslab.lab.model.LorentzLaw}.
+@param {number} charge the electric charge of this object
+@return {!MassObject} this object for chaining setters
+*/
+setCharge(charge) {}
+
 /** Sets location of center of mass, in body coordinates.
 @param {number} x_body the horizontal position of the center of mass, in body
     coordinates.
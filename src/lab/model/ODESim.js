@@ -14,6 +14,7 @@
 
 goog.module('myphysicslab.lab.model.ODESim');
 
+const EventFunction = goog.require('myphysicslab.lab.model.EventFunction');
 const Simulation = goog.require('myphysicslab.lab.model.Simulation');
 const VarsList = goog.require('myphysicslab.lab.model.VarsList');
 
@@ -31,10 +32,42 @@ Time is stored in the VarsList. When the simulation state is advanced, the time
 advanced by the DiffEqSolver like any other variable. The time variable always has a
 rate of change of exactly 1.0, which is specified in the `evaluate` method.
 
+An ODESim can have {@link EventFunction}s, which are functions of the simulation state
+whose zero crossings are located during each step by the AdvanceStrategy, see
+{@link #addEventFunction}.
+
 * @interface
 */
 class ODESim extends Simulation {
 
+/** Called by the AdvanceStrategy once at the end of each time step, when the current
+state is an accepted state that the simulation will continue from. In contrast,
+{@link #modifyObjects} is also called for trial states that are later discarded, for
+example while searching for the time of a collision. Changes to the ODESim that depend
+on the course of the simulation, such as removing connectors that have broken, should
+happen here.
+@return {undefined}
+*/
+acceptStep() {}
+
+/** Adds an EventFunction whose zero crossings are events of this ODESim. When an event
+occurs, this ODESim broadcasts a {@link myphysicslab.lab.util.GenericEvent} with the
+name of the EventFunction and the time of the event as value. EventFunctions are only
+handled by an AdvanceStrategy that supports them, see
+{@link myphysicslab.lab.model.SimpleAdvance} and
+{@link myphysicslab.lab.model.CollisionAdvance}.
+@param {!EventFunction} eventFunction the EventFunction to add
+*/
+addEventFunction(eventFunction) {}
+
+/** Forgets the information that depends on how the simulation arrived at the current
+state, such as the state saved with {@link #saveState}. This is called when the
+variables have been set to a state that does not follow from the previous state, for
+example when {@link myphysicslab.lab.app.Timeline} shows a recorded past state.
+@return {undefined}
+*/
+clearHistory() {}
+
 /** Defines the differential equations of this ODESim; for an input set of variables,
 returns the current rate of change for each variable (the first derivative of each
 variable with respect to time).
@@ -57,12 +90,40 @@ used when finding collisions, see for example
 */
 evaluate(vars, change, timeStep) {}
 
+/** Returns the EventFunctions of this ODESim.
+@return {!Array<!EventFunction>} the EventFunctions of this ODESim
+*/
+getEventFunctions() {}
+
+/** Returns the indexes in the VarsList of the position variables, for an ODESim whose
+differential equations are second order. The rate of change of each position variable
+must be equal to the corresponding velocity variable given by
+{@link #getVelocityVariables}, and the rates of change of the velocity variables
+should depend only on the position variables and time. This allows using a
+symplectic DiffEqSolver such as {@link myphysicslab.lab.model.VelocityVerlet}.
+@return {!Array<number>} indexes of the position variables, or empty array when the
+    ODESim does not declare its position and velocity variables.
+*/
+getPositionVariables() {}
+
 /** Returns the VarsList that represents the current state of this Simulation.
 @return {!VarsList} the VarsList that represents the current
     state of this Simulation
 */
 getVarsList() {}
 
+/** Returns the indexes in the VarsList of the velocity variables, in the same order as
+the corresponding position variables of {@link #getPositionVariables}.
+@return {!Array<number>} indexes of the velocity variables, or empty array when the
+    ODESim does not declare its position and velocity variables.
+*/
+getVelocityVariables() {}
+
+/** Removes the EventFunction from this ODESim.
+@param {!EventFunction} eventFunction the EventFunction to remove
+*/
+removeEventFunction(eventFunction) {}
+
 /** Restores the Simulation state that was saved with {@link #saveState}.
 @return {undefined}
 */
@@ -0,0 +1,277 @@
+// Copyright 2016 Erik Neumann.  All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+goog.module('myphysicslab.lab.model.Rosenbrock');
+
+goog.require('goog.array');
+const DiffEqSolver = goog.require('myphysicslab.lab.model.DiffEqSolver');
+const ODESim = goog.require('myphysicslab.lab.model.ODESim');
+const Util = goog.require('myphysicslab.lab.util.Util');
+
+/** Implicit method for solving *stiff* ordinary differential equations expressed as
+an {@link ODESim}. A system is stiff when it has some motions that are much faster than
+the time step, for example a very stiff spring or a large damping force. Explicit
+methods like {@link myphysicslab.lab.model.RungeKutta} then become unstable and the
+simulation 'blows up' unless the time step is made very small. This implicit method is
+stable for any time step: fast motions are damped out, while slower motions are
+calculated accurately.
+
+This is the second order Rosenbrock method called ROS2, see J.G. Verwer, E.J. Spee,
+J.G. Blom, W. Hundsdorfer, 'A second order Rosenbrock method applied to photochemical
+dispersion problems', SIAM J. Sci. Comput. 20 (1999) p. 1456-1480. Each step solves two
+linear equations with the matrix `W = I - gamma h J` where `J` is the Jacobian matrix of
+the differential equations, `h` is the step size and `gamma = 1 + 1/sqrt(2)`:
+
+    W k1 = f(y0)
+    W k2 = f(y0 + h k1) - 2 k1
+    y1 = y0 + (3/2) h k1 + (1/2) h k2
+
+The Jacobian matrix is estimated numerically by evaluating the differential equations
+with each variable changed by a small amount, so `N+2` evaluations of the differential
+equations are needed for each step where `N` is the number of variables. The time
+variable is handled like any other variable. Computed variables are ignored.
+
+* @implements {DiffEqSolver}
+*/
+class Rosenbrock {
+/**
+* @param {!ODESim} ode the set of differential equations to solve
+*/
+constructor(ode) {
+  /**  the set of differential equations to solve.
+  * @type {!ODESim}
+  * @private
+  */
+  this.ode_ = ode;
+  /** The matrix `W = I - gamma h J`, and after factoring its LU decomposition.
+  * @type {!Array<!Array<number>>}
+  * @private
+  */
+  this.W_ = [];
+  /** Row permutation of the LU decomposition.
+  * @type {!Array<number>}
+  * @private
+  */
+  this.perm_ = [];
+};
+
+/** @override */
+toString() {
+  return Util.ADVANCED ? '' : this.toStringShort();
+};
+
+/** @override */
+toStringShort() {
+  return Util.ADVANCED ? '' : 'Rosenbrock{ode_: '+this.ode_.toStringShort()+'}';
+};
+
+/** @override */
+getName(opt_localized) {
+  return opt_localized ? Rosenbrock.i18n.NAME :
+      Util.toName(Rosenbrock.en.NAME);
+};
+
+/** @override */
+nameEquals(name) {
+  return this.getName() == Util.toName(name);
+};
+
+/** @override */
+step(stepSize) {
+  var error, i, j;
+  var va = this.ode_.getVarsList();
+  var vars = va.getValues();
+  // idx = indexes of variables that are not computed
+  var idx = [];
+  for (i=0; i<vars.length; i++) {
+    if (!isNaN(vars[i])) {
+      idx.push(i);
+    }
+  }
+  var n = idx.length;
+  var N = vars.length;
+  var f0 = Util.newNumberArray(N);
+  error = this.ode_.evaluate(vars, f0, 0);
+  if (error !== null) {
+    return error;
+  }
+  // Estimate the Jacobian matrix one column at a time, and form W = I - gamma h J
+  if (this.W_.length != n) {
+    this.W_ = [];
+    for (i=0; i<n; i++) {
+      this.W_.push(Util.newNumberArray(n));
+    }
+    this.perm_ = Util.newNumberArray(n);
+  }
+  var W = this.W_;
+  var gh = Rosenbrock.GAMMA * stepSize;
+  var inp = vars.slice();
+  var f1 = Util.newNumberArray(N);
+  for (j=0; j<n; j++) {
+    var vj = vars[idx[j]];
+    var delta = Math.sqrt(Rosenbrock.EPSILON) * Math.max(Math.abs(vj), 1);
+    inp[idx[j]] = vj + delta;
+    Util.zeroArray(f1);
+    error = this.ode_.evaluate(inp, f1, 0);
+    if (error !== null) {
+      return error;
+    }
+    inp[idx[j]] = vj;
+    for (i=0; i<n; i++) {
+      W[i][j] = (i == j ? 1 : 0) - gh * (f1[idx[i]] - f0[idx[i]]) / delta;
+    }
+  }
+  if (!Rosenbrock.factor_(W, this.perm_)) {
+    throw new Error('singular matrix in Rosenbrock solver');
+  }
+  // first stage: W k1 = f(y0)
+  var k1 = goog.array.map(idx, function(v) { return f0[v]; });
+  Rosenbrock.solve_(W, this.perm_, k1);
+  // second stage: W k2 = f(y0 + h k1) - 2 k1
+  for (i=0; i<n; i++) {
+    inp[idx[i]] = vars[idx[i]] + stepSize * k1[i];
+  }
+  Util.zeroArray(f1);
+  error = this.ode_.evaluate(inp, f1, stepSize);
+  if (error !== null) {
+    return error;
+  }
+  var k2 = goog.array.map(idx, function(v, i) { return f1[v] - 2*k1[i]; });
+  Rosenbrock.solve_(W, this.perm_, k2);
+  for (i=0; i<n; i++) {
+    vars[idx[i]] += stepSize * (1.5 * k1[i] + 0.5 * k2[i]);
+  }
+  va.setValues(vars, /*continuous=*/true);
+  return null;
+};
+
+/** Replaces the square matrix `A` with its LU decomposition, using Gaussian
+elimination with partial pivoting.
+@param {!Array<!Array<number>>} A the matrix to factor, is modified
+@param {!Array<number>} perm where the row permutation is stored
+@return {boolean} false if the matrix is singular
+@private
+*/
+static factor_(A, perm) {
+  var n = A.length;
+  for (var i=0; i<n; i++) {
+    perm[i] = i;
+  }
+  for (var c=0; c<n; c++) {
+    // find the pivot row
+    var p = c;
+    for (var r=c+1; r<n; r++) {
+      if (Math.abs(A[r][c]) > Math.abs(A[p][c])) {
+        p = r;
+      }
+    }
+    if (A[p][c] == 0) {
+      return false;
+    }
+    if (p != c) {
+      var tmp = A[p];
+      A[p] = A[c];
+      A[c] = tmp;
+      var t = perm[p];
+      perm[p] = perm[c];
+      perm[c] = t;
+    }
+    for (r=c+1; r<n; r++) {
+      var m = A[r][c] / A[c][c];
+      A[r][c] = m;
+      if (m != 0) {
+        for (var j=c+1; j<n; j++) {
+          A[r][j] -= m * A[c][j];
+        }
+      }
+    }
+  }
+  return true;
+};
+
+/** Solves `A x = b` where `A` has been factored by {@link #factor_}.
+@param {!Array<!Array<number>>} LU the LU decomposition of the matrix
+@param {!Array<number>} perm the row permutation of the LU decomposition
+@param {!Array<number>} b the right hand side vector, is replaced by the solution
+@private
+*/
+static solve_(LU, perm, b) {
+  var n = LU.length;
+  var i, j, sum;
+  var x = goog.array.map(perm, function(p) { return b[p]; });
+  // forward substitution with unit lower triangular matrix
+  for (i=0; i<n; i++) {
+    sum = x[i];
+    for (j=0; j<i; j++) {
+      sum -= LU[i][j] * x[j];
+    }
+    x[i] = sum;
+  }
+  // back substitution with upper triangular matrix
+  for (i=n-1; i>=0; i--) {
+    sum = x[i];
+    for (j=i+1; j<n; j++) {
+      sum -= LU[i][j] * x[j];
+    }
+    x[i] = sum / LU[i][i];
+  }
+  for (i=0; i<n; i++) {
+    b[i] = x[i];
+  }
+};
+
+} // end class
+
+/** The constant `gamma = 1 + 1/sqrt(2)` of the ROS2 method.
+* @type {number}
+* @const
+*/
+Rosenbrock.GAMMA = 1 + 1/Math.sqrt(2);
+
+/** Machine epsilon, used to choose the size of the change in each variable for
+* estimating the Jacobian matrix.
+* @type {number}
+* @const
+*/
+Rosenbrock.EPSILON = 2.220446049250313E-16;
+
+/** Set of internationalized strings.
+@typedef {{
+  NAME: string
+  }}
+*/
+Rosenbrock.i18n_strings;
+
+/**
+@type {Rosenbrock.i18n_strings}
+*/
+Rosenbrock.en = {
+  NAME: 'Rosenbrock'
+};
+
+/**
+@private
+@type {Rosenbrock.i18n_strings}
+*/
+Rosenbrock.de_strings = {
+  NAME: 'Rosenbrock'
+};
+
+/** Set of internationalized strings.
+@type {Rosenbrock.i18n_strings}
+*/
+Rosenbrock.i18n = goog.LOCALE === 'de' ? Rosenbrock.de_strings :
+    Rosenbrock.en;
+
+exports = Rosenbrock;
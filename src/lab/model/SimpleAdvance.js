@@ -14,8 +14,10 @@
 
 goog.module('myphysicslab.lab.model.SimpleAdvance');
 
+goog.require('goog.array');
 const DiffEqSolver = goog.require('myphysicslab.lab.model.DiffEqSolver');
-const GenericEvent = goog.require('myphysicslab.lab.util.GenericEvent');
+const EventFunction = goog.require('myphysicslab.lab.model.EventFunction');
+const MemoList = goog.require('myphysicslab.lab.util.MemoList');
 const ODEAdvance = goog.require('myphysicslab.lab.model.ODEAdvance');
 const ODESim = goog.require('myphysicslab.lab.model.ODESim');
 const RungeKutta = goog.require('myphysicslab.lab.model.RungeKutta');
@@ -25,7 +27,18 @@ const Util = goog.require('myphysicslab.lab.util.Util');
 
 The {@link #advance} method calls {@link DiffEqSolver#step} to advance the Simulation
 state, and then {@link myphysicslab.lab.model.Simulation#modifyObjects} to update the
-state of the {@link myphysicslab.lab.model.SimObject}s.
+state of the {@link myphysicslab.lab.model.SimObject}s. Finally
+{@link ODESim#acceptStep} is called because the new state is accepted.
+
+Events
+------
+When the ODESim has {@link EventFunction}s (see {@link ODESim#addEventFunction}) then
+each step checks whether any EventFunction crosses zero. The time of the zero crossing
+is found by bisection: the step is repeated from the starting state with smaller step
+sizes until the time is known within the event tolerance, see
+{@link #setEventTolerance}. The simulation is advanced to just past the zero crossing,
+where the event is handled as described in {@link EventFunction}. Then the step
+continues for the remaining time, unless the EventFunction stops the advance.
 
 * @implements {ODEAdvance}
 */
@@ -51,6 +64,11 @@ constructor(sim, opt_diffEqSolver) {
   * @private
   */
   this.timeStep_ = 0.025;
+  /** How accurately to find the time of an event.
+  * @type {number}
+  * @private
+  */
+  this.eventTolerance_ = 1E-10;
 };
 
 /** @override */
@@ -68,21 +86,90 @@ toStringShort() {
 /** @override */
 advance(timeStep, opt_memoList) {
   this.sim_.getSimList().removeTemporary(this.sim_.getTime());
-  var err = this.odeSolver_.step(timeStep);
-  if (err != null) {
-    throw new Error('error during advance '+err);
+  var eventFunctions = this.sim_.getEventFunctions();
+  if (eventFunctions.length > 0) {
+    this.advanceEvents_(timeStep, eventFunctions, opt_memoList);
+  } else {
+    this.step_(timeStep);
   }
   this.sim_.modifyObjects();
+  this.sim_.acceptStep();
   if (opt_memoList !== undefined) {
     opt_memoList.memorize();
   }
 };
 
+/** Advances the simulation by the time step, handling each event that occurs during
+the step.
+@param {number} timeStep the amount of time to advance
+@param {!Array<!EventFunction>} eventFunctions the EventFunctions of the simulation
+@param {!MemoList=} opt_memoList optional MemoList to call after each event
+@private
+*/
+advanceEvents_(timeStep, eventFunctions, opt_memoList) {
+  var va = this.sim_.getVarsList();
+  var remaining = timeStep;
+  var numEvents = 0;
+  while (remaining > 0) {
+    var startTime = this.sim_.getTime();
+    var startVars = va.getValues();
+    var startValues = goog.array.map(eventFunctions, function(ef) {
+        return ef.getValue(startVars);
+      });
+    this.step_(remaining);
+    var crossed = EventFunction.findCrossings(eventFunctions, startValues, startTime,
+        va.getValues());
+    if (crossed.length == 0) {
+      return;
+    }
+    // Bisection: there is no crossing at time lo and there is a crossing at time hi.
+    var lo = 0;
+    var hi = remaining;
+    var atHi = true;
+    while (hi - lo > this.eventTolerance_) {
+      var mid = (lo + hi)/2;
+      va.setValues(startVars, /*continuous=*/true);
+      this.step_(mid);
+      var c = EventFunction.findCrossings(eventFunctions, startValues, startTime,
+          va.getValues());
+      atHi = c.length > 0;
+      if (atHi) {
+        hi = mid;
+        crossed = c;
+      } else {
+        lo = mid;
+      }
+    }
+    if (!atHi) {
+      va.setValues(startVars, /*continuous=*/true);
+      this.step_(hi);
+    }
+    remaining -= hi;
+    numEvents += crossed.length;
+    if (numEvents > SimpleAdvance.MAX_EVENTS) {
+      throw new Error('SimpleAdvance: too many events '+numEvents);
+    }
+    if (EventFunction.handleEvents(crossed, this.sim_, va)) {
+      return;
+    }
+    if (remaining > 0 && opt_memoList !== undefined) {
+      opt_memoList.memorize();
+    }
+  }
+};
+
 /** @override */
 getDiffEqSolver() {
   return this.odeSolver_;
 };
 
+/** Returns how accurately to find the time of an event.
+@return {number} how accurately to find the time of an event, in seconds
+*/
+getEventTolerance() {
+  return this.eventTolerance_;
+};
+
 /** @override */
 getTime() {
   return this.sim_.getTime();
@@ -108,10 +195,40 @@ setDiffEqSolver(diffEqSolver) {
   this.odeSolver_ = diffEqSolver;
 };
 
+/** Sets how accurately to find the time of an event.
+@param {number} value how accurately to find the time of an event, in seconds
+*/
+setEventTolerance(value) {
+  if (value <= 0) {
+    throw new Error('event tolerance must be positive '+value);
+  }
+  this.eventTolerance_ = value;
+};
+
 /** @override */
 setTimeStep(timeStep) {
   this.timeStep_ = timeStep;
 };
 
+/** Advances the simulation state by calling the DiffEqSolver.
+@param {number} timeStep the amount of time to advance
+@private
+*/
+step_(timeStep) {
+  var err = this.odeSolver_.step(timeStep);
+  if (err != null) {
+    throw new Error('error during advance '+err);
+  }
+};
+
 } // end class
+
+/** Maximum number of events during a single call to {@link #advance}. This prevents an
+endless loop when events happen over and over, for example a ball that is bouncing with
+smaller and smaller bounces.
+* @type {number}
+* @const
+*/
+SimpleAdvance.MAX_EVENTS = 100;
+
 exports = SimpleAdvance;
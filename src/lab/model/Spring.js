@@ -41,6 +41,14 @@ length) but it temporarily disconnects from the second attachment point during e
 is at the first attachment point on `body1`, but the end point is rest-length away from
 start point in the direction of the second attachment point.
 
+## Breakable Spring
+
+A Spring can be made to break when the magnitude of its force, which is the stiffness
+times the stretch, exceeds a *break force*, see {@link #setBreakForce}. Breaking the
+Spring is done by the simulation; for example
+{@link myphysicslab.lab.engine2D.RigidBodySim} removes a broken Spring from its list of
+ForceLaws and from the SimList.
+
 * @implements {ForceLaw}
 * @implements {Line}
 */
@@ -105,6 +113,11 @@ constructor(name, body1, attach1_body, body2, attach2_body, restLength, stiffnes
   * @private
   */
   this.compressOnly_ = compressOnly || false;
+  /** force above which this Spring breaks
+  * @type {number}
+  * @private
+  */
+  this.breakForce_ = Util.POSITIVE_INFINITY;
 };
 
 /** @override */
@@ -198,6 +211,14 @@ getBoundsWorld() {
   return DoubleRect.make(this.getStartPoint(), this.getEndPoint());
 };
 
+/** Returns the force above which this Spring breaks.
+@return {number} the force above which this Spring breaks; infinity means the Spring
+    never breaks
+*/
+getBreakForce() {
+  return this.breakForce_;
+};
+
 /** Returns the amount of damping for this spring. Damping is proportional to the
 relative velocity of the two points.
 @return {number} amount of damping for this spring
@@ -277,6 +298,37 @@ getVector() {
   return this.getEndPoint().subtract(this.getStartPoint());
 };
 
+/** Whether the magnitude of the force of this Spring is more than the break force.
+See {@link #setBreakForce}.
+@return {boolean} whether this Spring should break
+*/
+isBroken() {
+  return Math.abs(this.stiffness_ * this.getStretch()) > this.breakForce_;
+};
+
+/** Returns `true` when the Spring is in 'compress only mode', where it disconnects
+from the second attachment point during extension.
+@return {boolean} whether the Spring is in compress only mode
+*/
+isCompressOnly() {
+  return this.compressOnly_;
+};
+
+/** Sets the force above which this Spring breaks. The force of the Spring is the
+stiffness times the stretch; damping is not included.
+@param {number} value the force above which this Spring breaks; infinity means the
+    Spring never breaks
+@return {!Spring} this Spring to allow chaining of setters
+@throws {!Error} if value is not positive
+*/
+setBreakForce(value) {
+  if (!(value > 0)) {
+    throw new Error('break force must be positive '+value);
+  }
+  this.breakForce_ = value;
+  return this;
+};
+
 /** Sets the value of damping for this spring. Damping is proportional to the relative
 velocity of the two points.
 @param {number} damping the value of damping for this spring
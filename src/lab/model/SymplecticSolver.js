@@ -0,0 +1,218 @@
+// Copyright 2016 Erik Neumann.  All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+goog.module('myphysicslab.lab.model.SymplecticSolver');
+
+goog.require('goog.array');
+
+const ConstantForceLaw = goog.require('myphysicslab.lab.model.ConstantForceLaw');
+const CoulombLaw = goog.require('myphysicslab.lab.model.CoulombLaw');
+const DiffEqSolver = goog.require('myphysicslab.lab.model.DiffEqSolver');
+const ForceLaw = goog.require('myphysicslab.lab.model.ForceLaw');
+const Gravity2Law = goog.require('myphysicslab.lab.model.Gravity2Law');
+const GravityLaw = goog.require('myphysicslab.lab.model.GravityLaw');
+const ODESim = goog.require('myphysicslab.lab.model.ODESim');
+const Util = goog.require('myphysicslab.lab.util.Util');
+
+/** Abstract base class for symplectic methods, which solve the differential equations
+of an {@link ODESim} that has declared its position and velocity variables, see
+{@link ODESim#getPositionVariables} and {@link ODESim#getVelocityVariables}.
+
+A symplectic method preserves the geometric structure of a conservative (Hamiltonian)
+system. The result is that the energy error stays bounded over long runs instead of
+steadily drifting as happens with non-symplectic methods like
+{@link myphysicslab.lab.model.RungeKutta}.
+
+Kicks and Drifts
+----------------
+The step is made of a sequence of alternating 'kicks' and 'drifts', as specified by
+the subclass:
+
++ A *kick* of size `k` evaluates the differential equations and changes each velocity
+by `k h a` where `h` is the step size and `a` is the acceleration (the rate of change of
+the velocity).
+
++ A *drift* of size `d` changes each position by `d h v` where `v` is the rate of
+change of the position found by the previous kick, adjusted for the change of velocity
+during the kick. This is the velocity, unless the ODESim sets a different rate of change
+of the position, as happens when an object is being dragged with the mouse. The time is
+advanced by `d h`.
+
+The kick sizes add up to 1, as do the drift sizes. A kick of size zero is skipped,
+except that the differential equations are always evaluated at the start of the step to
+find the rates of change of the positions.
+
+Variables that are neither position nor velocity (other than time) are changed during
+each kick by their rate of change. This is only first or second order accurate, but
+those variables do not affect the motion. Computed variables are not changed. If the
+ODESim does not declare any position and velocity variables, then only those other
+variables are changed.
+
+* @abstract
+* @implements {DiffEqSolver}
+*/
+class SymplecticSolver {
+/**
+* @param {!ODESim} ode the set of differential equations to solve
+* @param {!Array<number>} kicks the sizes of the kicks, as fractions of the step size
+* @param {!Array<number>} drifts the sizes of the drifts, as fractions of the step
+*     size; there must be one less drift than kicks.
+*/
+constructor(ode, kicks, drifts) {
+  if (drifts.length != kicks.length - 1) {
+    throw new Error('must have one less drift than kicks');
+  }
+  /**  the set of differential equations to solve.
+  * @type {!ODESim}
+  * @private
+  */
+  this.ode_ = ode;
+  /**
+  * @type {!Array<number>}
+  * @private
+  */
+  this.kicks_ = kicks;
+  /**
+  * @type {!Array<number>}
+  * @private
+  */
+  this.drifts_ = drifts;
+  /**  array used within algorithm, retained to avoid reallocation of array.
+  * @type {!Array<number>}
+  * @private
+  */
+  this.rate_ = [];
+  /** rate of change of each position variable during a drift.
+  * @type {!Array<number>}
+  * @private
+  */
+  this.posRate_ = [];
+};
+
+/** @override */
+toString() {
+  return Util.ADVANCED ? '' : this.toStringShort();
+};
+
+/** @override */
+toStringShort() {
+  return Util.ADVANCED ? '' :
+      this.getClassName()+'{ode_: '+this.ode_.toStringShort()+'}';
+};
+
+/** Returns name of class of this object.
+* @return {string} name of class of this object.
+* @abstract
+*/
+getClassName() {};
+
+/** @abstract */
+getName(opt_localized) {};
+
+/** @override */
+nameEquals(name) {
+  return this.getName() == Util.toName(name);
+};
+
+/** @override */
+step(stepSize) {
+  var error, i;
+  var va = this.ode_.getVarsList();
+  var vars = va.getValues();
+  var N = vars.length;
+  var pos = this.ode_.getPositionVariables();
+  var vel = this.ode_.getVelocityVariables();
+  if (pos.length != vel.length) {
+    throw new Error('number of position and velocity variables differ');
+  }
+  // find the variables that are not position, velocity, or time
+  var timeIdx = va.timeIndex();
+  var isOther = /** @type {!Array<boolean>}*/(new Array(N));
+  for (i=0; i<N; i++) {
+    isOther[i] = i != timeIdx && !isNaN(vars[i]);
+  }
+  for (i=0; i<pos.length; i++) {
+    isOther[pos[i]] = false;
+    isOther[vel[i]] = false;
+  }
+  if (this.rate_.length < N) {
+    this.rate_ = /** @type {!Array<number>}*/(new Array(N));
+  }
+  var rate = this.rate_;
+  var posRate = this.posRate_;
+  posRate.length = pos.length;
+  var startTime = this.ode_.getTime();
+  // t = time already advanced within this step
+  var t = 0;
+  for (var j=0, n=this.kicks_.length; j<n; j++) {
+    var k = this.kicks_[j] * stepSize;
+    if (k != 0 || j == 0) {
+      Util.zeroArray(rate);
+      error = this.ode_.evaluate(vars, rate, t);
+      if (error !== null) {
+        return error;
+      }
+      for (i=0; i<vel.length; i++) {
+        vars[vel[i]] += k * rate[vel[i]];
+      }
+      for (i=0; i<N; i++) {
+        if (isOther[i]) {
+          vars[i] += k * rate[i];
+        }
+      }
+      // The rate of change of position is the velocity, which was changed by the kick.
+      // When the ODESim sets both rates to zero (for example while dragging an
+      // object) then the position does not change.
+      for (i=0; i<pos.length; i++) {
+        posRate[i] = rate[pos[i]] + k * rate[vel[i]];
+      }
+    }
+    if (j < n - 1) {
+      var d = this.drifts_[j] * stepSize;
+      for (i=0; i<pos.length; i++) {
+        vars[pos[i]] += d * posRate[i];
+      }
+      t += d;
+      if (timeIdx > -1) {
+        vars[timeIdx] = startTime + t;
+      }
+    }
+  }
+  if (timeIdx > -1) {
+    vars[timeIdx] = startTime + stepSize;
+  }
+  va.setValues(vars, /*continuous=*/true);
+  return null;
+};
+
+/** Whether the forces of the ForceLaws depend only on the positions of the objects and
+time, so that an ODESim which uses them can declare its position and velocity variables,
+see {@link ODESim#getPositionVariables}. This is `true` only for ForceLaws that are known
+to not depend on velocity: {@link GravityLaw}, {@link Gravity2Law}, {@link CoulombLaw}
+and {@link ConstantForceLaw}. Other ForceLaws such as
+{@link myphysicslab.lab.model.DragLaw} or {@link myphysicslab.lab.model.ForceFieldLaw}
+can depend on velocity.
+* @param {!Array<!ForceLaw>} forceLaws the ForceLaws to check
+* @return {boolean} whether the forces of all the ForceLaws are independent of velocity
+*/
+static velocityIndependent(forceLaws) {
+  return goog.array.every(forceLaws, function(f) {
+      return f instanceof GravityLaw || f instanceof Gravity2Law
+          || f instanceof CoulombLaw || f instanceof ConstantForceLaw;
+  });
+};
+
+} // end class
+
+exports = SymplecticSolver;
@@ -0,0 +1,84 @@
+// Copyright 2016 Erik Neumann.  All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+goog.module('myphysicslab.lab.model.VelocityVerlet');
+
+const ODESim = goog.require('myphysicslab.lab.model.ODESim');
+const SymplecticSolver = goog.require('myphysicslab.lab.model.SymplecticSolver');
+const Util = goog.require('myphysicslab.lab.util.Util');
+
+/** Velocity Verlet method for solving ordinary differential equations expressed as an
+{@link ODESim}; this is a second order symplectic method. Each step is a half step kick
+of the velocity, a full step drift of the position, and another half step kick of the
+velocity:
+
+    v1/2 = v0 + (h/2) a(x0)
+    x1 = x0 + h v1/2
+    v1 = v1/2 + (h/2) a(x1)
+
+See [Verlet integration](https://en.wikipedia.org/wiki/Verlet_integration).
+
+See {@link SymplecticSolver} about which simulations this can be used with. Uses
+2 evaluations of the differential equations for each step.
+*/
+class VelocityVerlet extends SymplecticSolver {
+/**
+* @param {!ODESim} ode the set of differential equations to solve
+*/
+constructor(ode) {
+  super(ode, /*kicks=*/[1/2, 1/2], /*drifts=*/[1]);
+};
+
+/** @override */
+getClassName() {
+  return 'VelocityVerlet';
+};
+
+/** @override */
+getName(opt_localized) {
+  return opt_localized ? VelocityVerlet.i18n.NAME :
+      Util.toName(VelocityVerlet.en.NAME);
+};
+
+} // end class
+
+/** Set of internationalized strings.
+@typedef {{
+  NAME: string
+  }}
+*/
+VelocityVerlet.i18n_strings;
+
+/**
+@type {VelocityVerlet.i18n_strings}
+*/
+VelocityVerlet.en = {
+  NAME: 'Velocity Verlet'
+};
+
+/**
+@private
+@type {VelocityVerlet.i18n_strings}
+*/
+VelocityVerlet.de_strings = {
+  NAME: 'Geschwindigkeits-Verlet'
+};
+
+/** Set of internationalized strings.
+@type {VelocityVerlet.i18n_strings}
+*/
+VelocityVerlet.i18n = goog.LOCALE === 'de' ? VelocityVerlet.de_strings :
+    VelocityVerlet.en;
+
+exports = VelocityVerlet;
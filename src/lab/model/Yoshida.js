@@ -0,0 +1,103 @@
+// Copyright 2016 Erik Neumann.  All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+goog.module('myphysicslab.lab.model.Yoshida');
+
+const ODESim = goog.require('myphysicslab.lab.model.ODESim');
+const SymplecticSolver = goog.require('myphysicslab.lab.model.SymplecticSolver');
+const Util = goog.require('myphysicslab.lab.util.Util');
+
+/** Yoshida's 4th order symplectic method for solving ordinary differential equations
+expressed as an {@link ODESim}. Each step is made of three steps of
+{@link myphysicslab.lab.model.VelocityVerlet} with sizes `w1 h, w0 h, w1 h` where
+
+    w1 = 1/(2 - 2^(1/3))
+    w0 = -2^(1/3)/(2 - 2^(1/3))
+
+Note that the middle step goes backwards in time.
+
+See H. Yoshida, 'Construction of higher order symplectic integrators', Physics Letters A
+150 (1990) p. 262-268, and
+[Leapfrog integration](https://en.wikipedia.org/wiki/Leapfrog_integration).
+
+See {@link SymplecticSolver} about which simulations this can be used with. Uses
+4 evaluations of the differential equations for each step.
+*/
+class Yoshida extends SymplecticSolver {
+/**
+* @param {!ODESim} ode the set of differential equations to solve
+*/
+constructor(ode) {
+  var w0 = Yoshida.W0_;
+  var w1 = Yoshida.W1_;
+  super(ode, /*kicks=*/[w1/2, (w1 + w0)/2, (w0 + w1)/2, w1/2],
+      /*drifts=*/[w1, w0, w1]);
+};
+
+/** @override */
+getClassName() {
+  return 'Yoshida';
+};
+
+/** @override */
+getName(opt_localized) {
+  return opt_localized ? Yoshida.i18n.NAME :
+      Util.toName(Yoshida.en.NAME);
+};
+
+} // end class
+
+/** Size of the first and last substeps of the Yoshida method.
+* @type {number}
+* @const
+* @private
+*/
+Yoshida.W1_ = 1/(2 - Math.pow(2, 1/3));
+
+/** Size of the middle substep of the Yoshida method; this is negative.
+* @type {number}
+* @const
+* @private
+*/
+Yoshida.W0_ = -Math.pow(2, 1/3)/(2 - Math.pow(2, 1/3));
+
+/** Set of internationalized strings.
+@typedef {{
+  NAME: string
+  }}
+*/
+Yoshida.i18n_strings;
+
+/**
+@type {Yoshida.i18n_strings}
+*/
+Yoshida.en = {
+  NAME: 'Yoshida'
+};
+
+/**
+@private
+@type {Yoshida.i18n_strings}
+*/
+Yoshida.de_strings = {
+  NAME: 'Yoshida'
+};
+
+/** Set of internationalized strings.
+@type {Yoshida.i18n_strings}
+*/
+Yoshida.i18n = goog.LOCALE === 'de' ? Yoshida.de_strings :
+    Yoshida.en;
+
+exports = Yoshida;
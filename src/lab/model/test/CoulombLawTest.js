@@ -0,0 +1,126 @@
+// Copyright 2016 Erik Neumann.  All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+goog.module('myphysicslab.lab.model.test.CoulombLawTest');
+
+const CoulombLaw = goog.require('myphysicslab.lab.model.CoulombLaw');
+const Molecule3Sim = goog.require('myphysicslab.sims.springs.Molecule3Sim');
+const PointMass = goog.require('myphysicslab.lab.model.PointMass');
+const RungeKutta = goog.require('myphysicslab.lab.model.RungeKutta');
+const SimList = goog.require('myphysicslab.lab.model.SimList');
+const SimpleAdvance = goog.require('myphysicslab.lab.model.SimpleAdvance');
+const TestRig = goog.require('myphysicslab.test.TestRig');
+const Util = goog.require('myphysicslab.lab.util.Util');
+const Vector = goog.require('myphysicslab.lab.util.Vector');
+
+const assertEquals = TestRig.assertEquals;
+const assertRoughlyEquals = TestRig.assertRoughlyEquals;
+const assertTrue = TestRig.assertTrue;
+const schedule = TestRig.schedule;
+const startTest = TestRig.startTest;
+
+class CoulombLawTest {
+
+static test() {
+  schedule(CoulombLawTest.testForces);
+  schedule(CoulombLawTest.testEnergy);
+};
+
+static testForces() {
+  startTest(CoulombLawTest.groupName+'testForces');
+  var tol = 1E-14;
+  var simList = new SimList();
+  var p1 = PointMass.makeCircle(0.2, 'p1');
+  p1.setCharge(2);
+  var p2 = PointMass.makeCircle(0.2, 'p2');
+  p2.setCharge(3);
+  p2.setPosition(new Vector(2, 0));
+  assertEquals(2, p1.getCharge());
+  simList.add(p1, p2);
+  var coulomb = new CoulombLaw(1.5, simList);
+  assertEquals(2, coulomb.getBodies().length);
+  // like charges repel
+  var forces = coulomb.calculateForces();
+  assertEquals(2, forces.length);
+  assertEquals(p1, forces[0].getBody());
+  assertRoughlyEquals(-2.25, forces[0].getVector().getX(), tol);
+  assertRoughlyEquals(0, forces[0].getVector().getY(), tol);
+  assertEquals(p2, forces[1].getBody());
+  assertRoughlyEquals(2.25, forces[1].getVector().getX(), tol);
+  assertRoughlyEquals(4.5, coulomb.getPotentialEnergy(), tol);
+  // opposite charges attract
+  p2.setCharge(-3);
+  forces = coulomb.calculateForces();
+  assertRoughlyEquals(2.25, forces[0].getVector().getX(), tol);
+  assertRoughlyEquals(-4.5, coulomb.getPotentialEnergy(), tol);
+  // a fixed charge with infinite mass is included; an uncharged body has no force
+  var p3 = PointMass.makeCircle(0.2, 'p3').setMass(Util.POSITIVE_INFINITY);
+  p3.setPosition(new Vector(0, 1));
+  var p4 = PointMass.makeCircle(0.2, 'p4');
+  simList.add(p3, p4);
+  assertEquals(4, coulomb.getBodies().length);
+  assertEquals(2, coulomb.calculateForces().length);
+  p3.setCharge(1);
+  forces = coulomb.calculateForces();
+  assertEquals(6, forces.length);
+  // the force on p1 from p3 is downwards
+  assertEquals(p1, forces[2].getBody());
+  assertRoughlyEquals(-3, forces[2].getVector().getY(), tol);
+  simList.remove(p3);
+  assertEquals(3, coulomb.getBodies().length);
+  assertEquals(2, coulomb.calculateForces().length);
+};
+
+/** Two charged atoms start at rest and repel each other. The potential energy of the
+CoulombLaw is included in the energy of the simulation, so the total energy is
+constant.
+*/
+static testEnergy() {
+  startTest(CoulombLawTest.groupName+'testEnergy');
+  var sim = new Molecule3Sim();
+  var coulomb = new CoulombLaw(1, sim.getSimList());
+  sim.addForceLaw(coulomb);
+  var atom1 = PointMass.makeCircle(0.2, 'atom1').setMass(1);
+  atom1.setCharge(1);
+  atom1.setPosition(new Vector(-0.5, 0));
+  sim.addAtom(atom1);
+  var atom2 = PointMass.makeCircle(0.2, 'atom2').setMass(1);
+  atom2.setCharge(1);
+  atom2.setPosition(new Vector(0.5, 0));
+  sim.addAtom(atom2);
+  sim.saveInitialState();
+  var ei = sim.getEnergyInfo();
+  assertRoughlyEquals(1, ei.getPotential(), 1E-14);
+  assertEquals(0, ei.getTranslational());
+  var advance = new SimpleAdvance(sim, new RungeKutta(sim));
+  for (var i=0; i<40; i++) {
+    advance.advance(0.025);
+  }
+  ei = sim.getEnergyInfo();
+  assertTrue(ei.getTranslational() > 0.2);
+  assertRoughlyEquals(1, ei.getTotalEnergy(), 1E-6);
+  // the atoms move apart symmetrically
+  assertTrue(atom2.getPosition().getX() > 0.6);
+  assertRoughlyEquals(-atom2.getPosition().getX(), atom1.getPosition().getX(), 1E-10);
+};
+
+} // end class
+
+/**
+* @type {string}
+* @const
+*/
+CoulombLawTest.groupName = 'CoulombLawTest.';
+
+exports = CoulombLawTest;
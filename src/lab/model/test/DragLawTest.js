@@ -0,0 +1,125 @@
+// Copyright 2016 Erik Neumann.  All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+goog.module('myphysicslab.lab.model.test.DragLawTest');
+
+const ChainOfSpringsSim = goog.require('myphysicslab.sims.springs.ChainOfSpringsSim');
+const DragLaw = goog.require('myphysicslab.lab.model.DragLaw');
+const PointMass = goog.require('myphysicslab.lab.model.PointMass');
+const RungeKutta = goog.require('myphysicslab.lab.model.RungeKutta');
+const SimList = goog.require('myphysicslab.lab.model.SimList');
+const SimpleAdvance = goog.require('myphysicslab.lab.model.SimpleAdvance');
+const TestRig = goog.require('myphysicslab.test.TestRig');
+const Util = goog.require('myphysicslab.lab.util.Util');
+const Vector = goog.require('myphysicslab.lab.util.Vector');
+
+const assertEquals = TestRig.assertEquals;
+const assertRoughlyEquals = TestRig.assertRoughlyEquals;
+const assertThrows = TestRig.assertThrows;
+const schedule = TestRig.schedule;
+const startTest = TestRig.startTest;
+
+class DragLawTest {
+
+static test() {
+  schedule(DragLawTest.testDrag);
+  schedule(DragLawTest.testTerminalVelocity);
+};
+
+static testDrag() {
+  startTest(DragLawTest.groupName+'testDrag');
+  var tol = 1E-14;
+  var simList = new SimList();
+  var p1 = PointMass.makeCircle(0.5, 'p1');
+  p1.setVelocity(new Vector(3, 4), 2);
+  simList.add(p1);
+  var drag = new DragLaw(0.5, /*rotateRatio=*/1, simList);
+  var p2 = PointMass.makeCircle(0.5, 'p2');
+  p2.setVelocity(new Vector(-1, 0));
+  drag.addBody(p2, /*drag=*/2);
+  // bodies with infinite mass are not affected
+  var wall = PointMass.makeSquare(1, 'wall').setMass(Util.POSITIVE_INFINITY);
+  simList.add(wall);
+  assertEquals(2, drag.getBodies().length);
+  var forces = drag.calculateForces();
+  assertEquals(2, forces.length);
+  assertEquals(p1, forces[0].getBody());
+  // the drag force is proportional to the square of the speed
+  assertRoughlyEquals(-7.5, forces[0].getVector().getX(), tol);
+  assertRoughlyEquals(-10, forces[0].getVector().getY(), tol);
+  assertRoughlyEquals(-2, forces[0].getTorque(), tol);
+  // body p2 has its own drag coefficient
+  assertEquals(2, drag.getBodyDrag(p2));
+  assertRoughlyEquals(2, forces[1].getVector().getX(), tol);
+  assertRoughlyEquals(0, forces[1].getVector().getY(), tol);
+  drag.setDrag(1);
+  assertEquals(1, drag.getBodyDrag(p1));
+  assertEquals(2, drag.getBodyDrag(p2));
+  drag.setBodyDrag(p1, 0.1);
+  drag.setBodyDrag(p2, Util.NaN);
+  assertEquals(0.1, drag.getBodyDrag(p1));
+  assertEquals(1, drag.getBodyDrag(p2));
+  forces = drag.calculateForces();
+  assertRoughlyEquals(-1.5, forces[0].getVector().getX(), tol);
+  assertRoughlyEquals(1, forces[1].getVector().getX(), tol);
+  assertThrows(function() { drag.getBodyDrag(wall); });
+  assertThrows(function() { drag.setBodyDrag(wall, 1); });
+  // bodies with zero drag have no force
+  drag.setBodyDrag(p1, 0);
+  assertEquals(1, drag.calculateForces().length);
+  simList.remove(p1);
+  assertEquals(1, drag.getBodies().length);
+  assertEquals(p2, drag.getBodies()[0]);
+  drag.removeBody(p2);
+  assertEquals(0, drag.getBodies().length);
+  assertEquals(0, drag.getPotentialEnergy());
+};
+
+/** A mass falls until the drag force balances gravity, at the terminal velocity
+`sqrt(m g / c)`.
+*/
+static testTerminalVelocity() {
+  startTest(DragLawTest.groupName+'testTerminalVelocity');
+  var sim = new ChainOfSpringsSim();
+  sim.makeChain(1, /*attachRight=*/false);
+  // the spring has no force, so the mass falls freely
+  sim.setStiffness(0);
+  sim.setSpringDamping(0);
+  sim.setDamping(0);
+  assertEquals(4, sim.getGravity());
+  var atom = sim.getSimList().getPointMass('atom1');
+  assertEquals(5, atom.getMass());
+  var drag = new DragLaw(0.2);
+  drag.addBody(atom);
+  sim.addForceLaw(drag);
+  assertEquals(1, sim.getForceLaws().length);
+  var advance = new SimpleAdvance(sim, new RungeKutta(sim));
+  for (var i=0; i<800; i++) {
+    advance.advance(0.025);
+  }
+  assertRoughlyEquals(-10, atom.getVelocity().getY(), 1E-4);
+  assertRoughlyEquals(0, atom.getVelocity().getX(), 1E-10);
+  assertEquals(true, sim.removeForceLaw(drag));
+  assertEquals(0, sim.getForceLaws().length);
+};
+
+} // end class
+
+/**
+* @type {string}
+* @const
+*/
+DragLawTest.groupName = 'DragLawTest.';
+
+exports = DragLawTest;
@@ -0,0 +1,149 @@
+// Copyright 2016 Erik Neumann.  All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+goog.module('myphysicslab.lab.model.test.EmbeddedRungeKuttaTest');
+
+const BogackiShampine = goog.require('myphysicslab.lab.model.BogackiShampine');
+const CashKarp = goog.require('myphysicslab.lab.model.CashKarp');
+const DiffEqSolverSubject = goog.require('myphysicslab.lab.model.DiffEqSolverSubject');
+const DormandPrince = goog.require('myphysicslab.lab.model.DormandPrince');
+const EmbeddedRungeKutta = goog.require('myphysicslab.lab.model.EmbeddedRungeKutta');
+const SimpleAdvance = goog.require('myphysicslab.lab.model.SimpleAdvance');
+const SingleSpringSim = goog.require('myphysicslab.sims.springs.SingleSpringSim');
+const TestRig = goog.require('myphysicslab.test.TestRig');
+
+const assertEquals = TestRig.assertEquals;
+const assertRoughlyEquals = TestRig.assertRoughlyEquals;
+const assertTrue = TestRig.assertTrue;
+const assertThrows = TestRig.assertThrows;
+const schedule = TestRig.schedule;
+const startTest = TestRig.startTest;
+
+class EmbeddedRungeKuttaTest {
+
+static test() {
+  schedule(EmbeddedRungeKuttaTest.testAccuracy);
+  schedule(EmbeddedRungeKuttaTest.testTolerance);
+  schedule(EmbeddedRungeKuttaTest.testDiffEqSolverSubject);
+};
+
+/** Runs an undamped spring, which starts at rest at position -2, until the given
+time and checks the result against the exact solution `x = -2 cos(sqrt(k/m) t)`.
+@param {!SingleSpringSim} sim
+@param {!EmbeddedRungeKutta} solver
+@param {number} time
+@param {number} tol
+@private
+*/
+static checkSpring(sim, solver, time, tol) {
+  var advance = new SimpleAdvance(sim, solver);
+  while (sim.getTime() < time - 1E-10) {
+    advance.advance(0.025);
+  }
+  var w = Math.sqrt(sim.getSpringStiffness()/sim.getMass());
+  var t = sim.getTime();
+  assertRoughlyEquals(-2*Math.cos(w*t), sim.getVarsList().getValue(0), tol);
+  assertRoughlyEquals(2*w*Math.sin(w*t), sim.getVarsList().getValue(1), tol);
+};
+
+/**
+@param {number} damping
+@return {!SingleSpringSim}
+@private
+*/
+static makeSpring(damping) {
+  var sim = new SingleSpringSim();
+  sim.setDamping(damping);
+  return sim;
+};
+
+static testAccuracy() {
+  startTest(EmbeddedRungeKuttaTest.groupName+'testAccuracy');
+  var sim = EmbeddedRungeKuttaTest.makeSpring(0);
+  var solver = new DormandPrince(sim);
+  assertEquals('DORMAND_PRINCE', solver.getName());
+  assertTrue(solver.nameEquals('Dormand-Prince'));
+  EmbeddedRungeKuttaTest.checkSpring(sim, solver, 5, 1E-5);
+  assertTrue(solver.getSteps() > 0);
+
+  sim = EmbeddedRungeKuttaTest.makeSpring(0);
+  solver = new CashKarp(sim);
+  assertEquals('CASH_KARP', solver.getName());
+  EmbeddedRungeKuttaTest.checkSpring(sim, solver, 5, 1E-5);
+
+  sim = EmbeddedRungeKuttaTest.makeSpring(0);
+  solver = new BogackiShampine(sim);
+  assertEquals('BOGACKI_SHAMPINE', solver.getName());
+  EmbeddedRungeKuttaTest.checkSpring(sim, solver, 5, 1E-4);
+};
+
+static testTolerance() {
+  startTest(EmbeddedRungeKuttaTest.groupName+'testTolerance');
+  // loose tolerance takes one step for each call to step()
+  var sim = EmbeddedRungeKuttaTest.makeSpring(0.1);
+  var solver = new DormandPrince(sim);
+  assertEquals(1E-6, solver.getAbsoluteTolerance());
+  assertEquals(1E-6, solver.getRelativeTolerance(0));
+  solver.setAbsoluteTolerance(1);
+  solver.setRelativeTolerance(1);
+  var advance = new SimpleAdvance(sim, solver);
+  for (var i=0; i<40; i++) {
+    advance.advance(0.025);
+  }
+  assertRoughlyEquals(1, sim.getTime(), 1E-10);
+  assertEquals(40, solver.getSteps());
+  assertEquals(0, solver.getRejectedSteps());
+
+  // very tight tolerance on position only takes many more steps
+  sim = EmbeddedRungeKuttaTest.makeSpring(0);
+  solver = new BogackiShampine(sim);
+  solver.setAbsoluteTolerance(1);
+  solver.setRelativeTolerance(1);
+  solver.setAbsoluteTolerance(1E-12, /*index=*/0);
+  solver.setRelativeTolerance(0, /*index=*/0);
+  assertEquals(1E-12, solver.getAbsoluteTolerance(0));
+  assertEquals(0, solver.getRelativeTolerance(0));
+  assertEquals(1, solver.getAbsoluteTolerance(1));
+  assertEquals(1, solver.getAbsoluteTolerance());
+  EmbeddedRungeKuttaTest.checkSpring(sim, solver, 1, 1E-8);
+  assertTrue(solver.getSteps() > 400);
+  assertThrows(function() { solver.setAbsoluteTolerance(-1); });
+};
+
+static testDiffEqSolverSubject() {
+  startTest(EmbeddedRungeKuttaTest.groupName+'testDiffEqSolverSubject');
+  var sim = new SingleSpringSim();
+  var advance = new SimpleAdvance(sim);
+  var subject = new DiffEqSolverSubject(sim, sim, advance);
+  var ps = subject.getParameterString(DiffEqSolverSubject.en.DIFF_EQ_SOLVER);
+  var values = ps.getValues();
+  assertTrue(values.indexOf('DORMAND_PRINCE') > -1);
+  assertTrue(values.indexOf('CASH_KARP') > -1);
+  assertTrue(values.indexOf('BOGACKI_SHAMPINE') > -1);
+  ps.setValue('CASH_KARP');
+  assertTrue(advance.getDiffEqSolver() instanceof CashKarp);
+  subject.setDiffEqSolver('Dormand-Prince');
+  assertTrue(advance.getDiffEqSolver() instanceof DormandPrince);
+  assertEquals('DORMAND_PRINCE', ps.getValue());
+};
+
+} // end class
+
+/**
+* @type {string}
+* @const
+*/
+EmbeddedRungeKuttaTest.groupName = 'EmbeddedRungeKuttaTest.';
+
+exports = EmbeddedRungeKuttaTest;
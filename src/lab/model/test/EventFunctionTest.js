@@ -0,0 +1,224 @@
+// Copyright 2016 Erik Neumann.  All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+goog.module('myphysicslab.lab.model.test.EventFunctionTest');
+
+const EventFunction = goog.require('myphysicslab.lab.model.EventFunction');
+const GenericEvent = goog.require('myphysicslab.lab.util.GenericEvent');
+const GenericObserver = goog.require('myphysicslab.lab.util.GenericObserver');
+const SimpleAdvance = goog.require('myphysicslab.lab.model.SimpleAdvance');
+const SingleSpringSim = goog.require('myphysicslab.sims.springs.SingleSpringSim');
+const TestRig = goog.require('myphysicslab.test.TestRig');
+
+const assertEquals = TestRig.assertEquals;
+const assertRoughlyEquals = TestRig.assertRoughlyEquals;
+const assertTrue = TestRig.assertTrue;
+const assertFalse = TestRig.assertFalse;
+const assertThrows = TestRig.assertThrows;
+const schedule = TestRig.schedule;
+const startTest = TestRig.startTest;
+
+class EventFunctionTest {
+
+static test() {
+  schedule(EventFunctionTest.testCrosses);
+  schedule(EventFunctionTest.testEventTime);
+  schedule(EventFunctionTest.testStartAtZero);
+  schedule(EventFunctionTest.testAction);
+  schedule(EventFunctionTest.testStop);
+};
+
+/** Makes an undamped spring, which starts at rest at position -2, so that position is
+`x = -2 cos(w t)`.
+@return {!SingleSpringSim}
+@private
+*/
+static makeSpring() {
+  var sim = new SingleSpringSim();
+  sim.setDamping(0);
+  return sim;
+};
+
+/** Returns the frequency `w = sqrt(k/m)` of the spring.
+@param {!SingleSpringSim} sim
+@return {number}
+@private
+*/
+static frequency(sim) {
+  return Math.sqrt(sim.getSpringStiffness()/sim.getMass());
+};
+
+/** Observes the simulation, and returns the list of the times of events with the
+given name.
+@param {!SingleSpringSim} sim
+@param {string} name
+@return {!Array<number>}
+@private
+*/
+static recordEvents(sim, name) {
+  var times = [];
+  new GenericObserver(sim, function(evt) {
+      if (evt.nameEquals(name)) {
+        var ge = /** @type {!GenericEvent} */(evt);
+        times.push(/** @type {number} */(ge.getValue()));
+      }
+    }, 'records event times');
+  return times;
+};
+
+static testCrosses() {
+  startTest(EventFunctionTest.groupName+'testCrosses');
+  var fnc = function(vars) { return vars[0]; };
+  var ef = new EventFunction('zero position', 'Nullposition', fnc);
+  assertEquals('ZERO_POSITION', ef.getName());
+  assertEquals('Nullposition', ef.getName(/*localized=*/true));
+  assertTrue(ef.nameEquals('zero position'));
+  assertEquals(0, ef.getDirection());
+  assertTrue(isNaN(ef.getEventTime()));
+  assertEquals(3, ef.getValue([3, 4]));
+  assertTrue(ef.crosses(-1, 1));
+  assertTrue(ef.crosses(1, -1));
+  assertTrue(ef.crosses(1, 0));
+  // starting at zero is a crossing when the value moves away from zero
+  assertTrue(ef.crosses(0, 1));
+  assertTrue(ef.crosses(0, -1));
+  assertFalse(ef.crosses(0, 0));
+  assertFalse(ef.crosses(1, 2));
+  assertFalse(ef.crosses(-1, -2));
+  ef = new EventFunction('up', 'up', fnc, /*direction=*/5);
+  assertEquals(1, ef.getDirection());
+  assertTrue(ef.crosses(-1, 1));
+  assertFalse(ef.crosses(1, -1));
+  assertTrue(ef.crosses(0, 1));
+  assertFalse(ef.crosses(0, -1));
+  ef = new EventFunction('down', 'down', fnc, /*direction=*/-1);
+  assertFalse(ef.crosses(-1, 1));
+  assertTrue(ef.crosses(1, -1));
+  assertFalse(ef.crosses(0, 1));
+  assertTrue(ef.crosses(0, -1));
+};
+
+static testEventTime() {
+  startTest(EventFunctionTest.groupName+'testEventTime');
+  var sim = EventFunctionTest.makeSpring();
+  var w = EventFunctionTest.frequency(sim);
+  var ef = new EventFunction('zero position', 'zero position',
+      function(vars) { return vars[0]; });
+  sim.addEventFunction(ef);
+  sim.addEventFunction(ef);
+  assertEquals(1, sim.getEventFunctions().length);
+  var times = EventFunctionTest.recordEvents(sim, 'zero position');
+  var advance = new SimpleAdvance(sim);
+  for (var i=0; i<80; i++) {
+    advance.advance(0.025);
+  }
+  // the simulation is advanced to the end of each time step
+  assertRoughlyEquals(2, sim.getTime(), 1E-10);
+  // position is zero at a quarter period and three quarters of a period
+  assertEquals(2, times.length);
+  assertRoughlyEquals(Math.PI/(2*w), times[0], 1E-6);
+  assertRoughlyEquals(3*Math.PI/(2*w), times[1], 1E-6);
+  assertEquals(times[1], ef.getEventTime());
+  sim.removeEventFunction(ef);
+  assertEquals(0, sim.getEventFunctions().length);
+  assertThrows(function() { advance.setEventTolerance(0); });
+};
+
+static testStartAtZero() {
+  startTest(EventFunctionTest.groupName+'testStartAtZero');
+  // The spring starts at position zero with velocity 1, so that position is
+  // `x = sin(w t)/w`. The event at the start of the simulation is found.
+  var sim = EventFunctionTest.makeSpring();
+  var w = EventFunctionTest.frequency(sim);
+  var va = sim.getVarsList();
+  va.setValue(0, 0);
+  va.setValue(1, 1);
+  var ef = new EventFunction('zero position', 'zero position',
+      function(vars) { return vars[0]; });
+  sim.addEventFunction(ef);
+  var times = EventFunctionTest.recordEvents(sim, 'zero position');
+  var advance = new SimpleAdvance(sim);
+  for (var i=0; i<80; i++) {
+    advance.advance(0.025);
+  }
+  // position is zero at every half period, starting at time zero
+  var n = Math.floor(2*w/Math.PI) + 1;
+  assertEquals(n, times.length);
+  for (i=0; i<n; i++) {
+    assertRoughlyEquals(i*Math.PI/w, times[i], 1E-6);
+  }
+};
+
+static testAction() {
+  startTest(EventFunctionTest.groupName+'testAction');
+  // The block bounces off a wall at position zero: the velocity is reversed when the
+  // position increases thru zero.
+  var sim = EventFunctionTest.makeSpring();
+  var w = EventFunctionTest.frequency(sim);
+  var ef = new EventFunction('bounce', 'bounce',
+      function(vars) { return vars[0]; }, /*direction=*/1);
+  ef.setAction(function(vars) { vars[1] = -vars[1]; });
+  sim.addEventFunction(ef);
+  var times = EventFunctionTest.recordEvents(sim, 'bounce');
+  var advance = new SimpleAdvance(sim);
+  var maxX = -2;
+  for (var i=0; i<200; i++) {
+    advance.advance(0.025);
+    maxX = Math.max(maxX, sim.getVarsList().getValue(0));
+  }
+  assertRoughlyEquals(5, sim.getTime(), 1E-10);
+  assertTrue(maxX < 1E-6);
+  // a bounce every half period
+  assertEquals(4, times.length);
+  for (i=0; i<times.length; i++) {
+    assertRoughlyEquals((2*i + 1)*Math.PI/(2*w), times[i], 1E-5);
+  }
+  // energy is conserved by the bounce
+  assertRoughlyEquals(sim.getEnergyInfo().getInitialEnergy(),
+      sim.getEnergyInfo().getTotalEnergy(), 1E-5);
+};
+
+static testStop() {
+  startTest(EventFunctionTest.groupName+'testStop');
+  var sim = EventFunctionTest.makeSpring();
+  var w = EventFunctionTest.frequency(sim);
+  var ef = new EventFunction('zero position', 'zero position',
+      function(vars) { return vars[0]; });
+  ef.setStop(true);
+  assertTrue(ef.getStop());
+  sim.addEventFunction(ef);
+  var times = EventFunctionTest.recordEvents(sim, 'zero position');
+  var advance = new SimpleAdvance(sim);
+  // the advance ends at the time of the event
+  while (times.length == 0) {
+    advance.advance(0.025);
+  }
+  assertRoughlyEquals(Math.PI/(2*w), times[0], 1E-6);
+  assertRoughlyEquals(times[0], sim.getTime(), 1E-9);
+  assertRoughlyEquals(0, sim.getVarsList().getValue(0), 1E-6);
+  // the next advance continues from the event without another event
+  advance.advance(0.025);
+  assertEquals(1, times.length);
+  assertRoughlyEquals(times[0] + 0.025, sim.getTime(), 1E-9);
+};
+
+} // end class
+
+/**
+* @type {string}
+* @const
+*/
+EventFunctionTest.groupName = 'EventFunctionTest.';
+
+exports = EventFunctionTest;
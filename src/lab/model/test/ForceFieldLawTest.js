@@ -0,0 +1,105 @@
+// Copyright 2016 Erik Neumann.  All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+goog.module('myphysicslab.lab.model.test.ForceFieldLawTest');
+
+const ForceFieldLaw = goog.require('myphysicslab.lab.model.ForceFieldLaw');
+const Molecule3Sim = goog.require('myphysicslab.sims.springs.Molecule3Sim');
+const PointMass = goog.require('myphysicslab.lab.model.PointMass');
+const RungeKutta = goog.require('myphysicslab.lab.model.RungeKutta');
+const SimpleAdvance = goog.require('myphysicslab.lab.model.SimpleAdvance');
+const TestRig = goog.require('myphysicslab.test.TestRig');
+const Vector = goog.require('myphysicslab.lab.util.Vector');
+
+const assertEquals = TestRig.assertEquals;
+const assertRoughlyEquals = TestRig.assertRoughlyEquals;
+const assertThrows = TestRig.assertThrows;
+const schedule = TestRig.schedule;
+const startTest = TestRig.startTest;
+
+class ForceFieldLawTest {
+
+static test() {
+  schedule(ForceFieldLawTest.testEquations);
+  schedule(ForceFieldLawTest.testHarmonic);
+};
+
+static testEquations() {
+  startTest(ForceFieldLawTest.groupName+'testEquations');
+  var sim = new Molecule3Sim();
+  var field = new ForceFieldLaw(sim);
+  // the default force field is zero
+  var f = field.fieldAt(new Vector(1, 2), new Vector(3, 4), 5);
+  assertEquals(0, f.getX());
+  assertEquals(0, f.getY());
+  field.setXEquation('x + 2*vx - t');
+  field.setYEquation('Math.sin(y) * vy');
+  f = field.fieldAt(new Vector(1, 2), new Vector(3, 4), 5);
+  assertEquals(2, f.getX());
+  assertRoughlyEquals(Math.sin(2)*4, f.getY(), 1E-15);
+  assertEquals('x + 2*vx - t', field.getXEquation());
+  // the equations are also Parameters
+  field.getParameterString(ForceFieldLaw.en.X_EQUATION).setValue('-y');
+  assertEquals('-y', field.getXEquation());
+  // equations outside the safe subset of JavaScript are not allowed
+  assertThrows(function() { field.setXEquation('window.x'); });
+  assertThrows(function() { field.setXEquation('eval("1")'); });
+  assertThrows(function() { field.setYEquation('document.body'); });
+  assertThrows(function() { field.setYEquation('x["constructor"]'); });
+  assertEquals('-y', field.getXEquation());
+  assertEquals('Math.sin(y) * vy', field.getYEquation());
+  // an equation must give a finite number
+  field.setYEquation('1/(x - 1)');
+  assertThrows(function() { field.fieldAt(new Vector(1, 2), Vector.ORIGIN, 0); });
+};
+
+/** An atom moves in the force field `(-x, -y)` which is like a spring attached to the
+origin, so the atom oscillates with `x = 2 cos(t)`.
+*/
+static testHarmonic() {
+  startTest(ForceFieldLawTest.groupName+'testHarmonic');
+  var sim = new Molecule3Sim();
+  var field = new ForceFieldLaw(sim, sim.getSimList());
+  field.setXEquation('-x');
+  field.setYEquation('-y');
+  sim.addForceLaw(field);
+  var atom = PointMass.makeCircle(0.2, 'atom1').setMass(1);
+  atom.setPosition(new Vector(2, 0));
+  sim.addAtom(atom);
+  // the walls have infinite mass, so only the atom is affected
+  assertEquals(1, field.getBodies().length);
+  sim.saveInitialState();
+  var advance = new SimpleAdvance(sim, new RungeKutta(sim));
+  for (var i=0; i<80; i++) {
+    advance.advance(0.025);
+  }
+  assertRoughlyEquals(2, sim.getTime(), 1E-10);
+  assertRoughlyEquals(2*Math.cos(2), atom.getPosition().getX(), 1E-6);
+  assertRoughlyEquals(-2*Math.sin(2), atom.getVelocity().getX(), 1E-6);
+  assertRoughlyEquals(0, atom.getPosition().getY(), 1E-10);
+  // cleanSlate removes the atom and the ForceLaw
+  sim.cleanSlate();
+  assertEquals(0, sim.getForceLaws().length);
+  assertEquals(0, field.getBodies().length);
+};
+
+} // end class
+
+/**
+* @type {string}
+* @const
+*/
+ForceFieldLawTest.groupName = 'ForceFieldLawTest.';
+
+exports = ForceFieldLawTest;
@@ -0,0 +1,138 @@
+// Copyright 2016 Erik Neumann.  All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+goog.module('myphysicslab.lab.model.test.Gravity2LawTest');
+
+const Gravity2Law = goog.require('myphysicslab.lab.model.Gravity2Law');
+const PointMass = goog.require('myphysicslab.lab.model.PointMass');
+const RandomLCG = goog.require('myphysicslab.lab.util.RandomLCG');
+const SimList = goog.require('myphysicslab.lab.model.SimList');
+const TestRig = goog.require('myphysicslab.test.TestRig');
+const Vector = goog.require('myphysicslab.lab.util.Vector');
+
+const assertEquals = TestRig.assertEquals;
+const assertRoughlyEquals = TestRig.assertRoughlyEquals;
+const assertThrows = TestRig.assertThrows;
+const assertTrue = TestRig.assertTrue;
+const schedule = TestRig.schedule;
+const startTest = TestRig.startTest;
+
+class Gravity2LawTest {
+
+static test() {
+  schedule(Gravity2LawTest.testExact);
+  schedule(Gravity2LawTest.testBarnesHut);
+};
+
+/** Returns the total force on each body, in the order of the bodies.
+* @param {!Gravity2Law} law
+* @return {!Array<!Vector>}
+*/
+static totalForces(law) {
+  var bodies = law.getBodies();
+  var totals = bodies.map(function() { return Vector.ORIGIN; });
+  law.calculateForces().forEach(function(f) {
+    var i = bodies.indexOf(/** @type {!PointMass} */(f.getBody()));
+    totals[i] = totals[i].add(f.getVector());
+  });
+  return totals;
+};
+
+static testExact() {
+  startTest(Gravity2LawTest.groupName+'testExact');
+  var tol = 1E-12;
+  var simList = new SimList();
+  var positions = [new Vector(0, 0), new Vector(3, 0), new Vector(0, 4)];
+  for (var i=0; i<positions.length; i++) {
+    var p = PointMass.makeCircle(1, 'p'+i).setMass(i+1);
+    p.setPosition(positions[i]);
+    simList.add(p);
+  }
+  var law = new Gravity2Law(2, simList);
+  assertEquals(3, law.getBodies().length);
+  assertEquals(false, law.getBarnesHut());
+  assertEquals(0.5, law.getOpeningAngle());
+  // a Force for each body of each pair
+  assertEquals(6, law.calculateForces().length);
+  var exact = Gravity2LawTest.totalForces(law);
+  // force on p0 from p1 is 2*1*2/9 and from p2 is 2*1*3/16
+  assertRoughlyEquals(4/9, exact[0].getX(), tol);
+  assertRoughlyEquals(3/8, exact[0].getY(), tol);
+  var pe = law.getPotentialEnergy();
+  // with an opening angle of zero, Barnes-Hut gives the exact result
+  law.setOpeningAngle(0);
+  law.setBarnesHut(true);
+  assertEquals(3, law.calculateForces().length);
+  var approx = Gravity2LawTest.totalForces(law);
+  for (i=0; i<3; i++) {
+    assertRoughlyEquals(exact[i].getX(), approx[i].getX(), tol);
+    assertRoughlyEquals(exact[i].getY(), approx[i].getY(), tol);
+  }
+  assertRoughlyEquals(pe, law.getPotentialEnergy(), tol);
+  assertRoughlyEquals(0, law.getForceError(), tol);
+  // changing a mass changes the potential energy of both methods in the same way
+  simList.getPointMass('p1').setMass(5);
+  pe = law.getPotentialEnergy();
+  law.setBarnesHut(false);
+  assertRoughlyEquals(law.getPotentialEnergy(), pe, tol);
+  assertThrows(function() { law.setOpeningAngle(-1); });
+};
+
+static testBarnesHut() {
+  startTest(Gravity2LawTest.groupName+'testBarnesHut');
+  var simList = new SimList();
+  var random = new RandomLCG(12345);
+  for (var i=0; i<200; i++) {
+    var p = PointMass.makeCircle(0.1, 'p'+i).setMass(1 + random.nextFloat());
+    p.setPosition(new Vector(20*random.nextFloat() - 10, 20*random.nextFloat() - 10));
+    simList.add(p);
+  }
+  var law = new Gravity2Law(1, simList);
+  assertEquals(200, law.getBodies().length);
+  var pe = law.getPotentialEnergy();
+  law.setBarnesHut(true);
+  law.setOpeningAngle(0);
+  assertRoughlyEquals(0, law.getForceError(), 1E-10);
+  assertRoughlyEquals(pe, law.getPotentialEnergy(), 1E-8);
+  // the error grows with the opening angle
+  law.setOpeningAngle(0.3);
+  var err1 = law.getForceError();
+  assertTrue(err1 > 0);
+  assertTrue(err1 < 1E-3);
+  assertRoughlyEquals(pe, law.getPotentialEnergy(), 1E-4 * Math.abs(pe));
+  law.setOpeningAngle(1);
+  var err2 = law.getForceError();
+  assertTrue(err2 > err1);
+  assertTrue(err2 < 1E-2);
+  assertRoughlyEquals(pe, law.getPotentialEnergy(), 1E-3 * Math.abs(pe));
+  // two bodies at the same location do not attract each other
+  var q = PointMass.makeCircle(0.1, 'q').setMass(1);
+  q.setPosition(simList.getPointMass('p0').getPosition());
+  simList.add(q);
+  var forces = law.calculateForces();
+  assertEquals(201, forces.length);
+  forces.forEach(function(f) {
+    assertTrue(isFinite(f.getVector().length()));
+  });
+};
+
+} // end class
+
+/**
+* @type {string}
+* @const
+*/
+Gravity2LawTest.groupName = 'Gravity2LawTest.';
+
+exports = Gravity2LawTest;
@@ -0,0 +1,102 @@
+// Copyright 2016 Erik Neumann.  All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+goog.module('myphysicslab.lab.model.test.LorentzLawTest');
+
+const LorentzLaw = goog.require('myphysicslab.lab.model.LorentzLaw');
+const Molecule3Sim = goog.require('myphysicslab.sims.springs.Molecule3Sim');
+const PointMass = goog.require('myphysicslab.lab.model.PointMass');
+const RungeKutta = goog.require('myphysicslab.lab.model.RungeKutta');
+const SimpleAdvance = goog.require('myphysicslab.lab.model.SimpleAdvance');
+const TestRig = goog.require('myphysicslab.test.TestRig');
+const Vector = goog.require('myphysicslab.lab.util.Vector');
+
+const assertEquals = TestRig.assertEquals;
+const assertRoughlyEquals = TestRig.assertRoughlyEquals;
+const schedule = TestRig.schedule;
+const startTest = TestRig.startTest;
+
+class LorentzLawTest {
+
+static test() {
+  schedule(LorentzLawTest.testForce);
+  schedule(LorentzLawTest.testCyclotron);
+};
+
+static testForce() {
+  startTest(LorentzLawTest.groupName+'testForce');
+  var tol = 1E-14;
+  var p1 = PointMass.makeCircle(0.2, 'p1');
+  p1.setCharge(2);
+  p1.setPosition(new Vector(1, 2));
+  p1.setVelocity(new Vector(3, 4));
+  var p2 = PointMass.makeCircle(0.2, 'p2');
+  var lorentz = new LorentzLaw(0.5);
+  lorentz.addBody(p1);
+  lorentz.addBody(p2);
+  lorentz.setElectricField(new Vector(1, -1));
+  assertEquals(-1, lorentz.getElectricFieldY());
+  // the uncharged body has no force
+  var forces = lorentz.calculateForces();
+  assertEquals(1, forces.length);
+  assertEquals(p1, forces[0].getBody());
+  // F = q (E + v x B)
+  assertRoughlyEquals(6, forces[0].getVector().getX(), tol);
+  assertRoughlyEquals(-5, forces[0].getVector().getY(), tol);
+  // potential energy is -q E . p
+  assertRoughlyEquals(2, lorentz.getPotentialEnergy(), tol);
+  // the electric field is also available as Parameters
+  lorentz.getParameterNumber(LorentzLaw.en.ELECTRIC_FIELD_X).setValue(-2);
+  assertEquals(-2, lorentz.getElectricField().getX());
+  assertEquals(-1, lorentz.getElectricField().getY());
+  lorentz.getParameterNumber(LorentzLaw.en.MAGNETIC_FIELD).setValue(-1);
+  assertEquals(-1, lorentz.getMagneticField());
+};
+
+/** A charged atom in a magnetic field moves in a circle of radius `m v / (q B)` with
+angular frequency `q B / m`. Here the radius is 1 and the angular frequency is 2,
+and the atom moves clockwise around the origin starting at the top of the circle.
+*/
+static testCyclotron() {
+  startTest(LorentzLawTest.groupName+'testCyclotron');
+  var sim = new Molecule3Sim();
+  var lorentz = new LorentzLaw(4, sim.getSimList());
+  sim.addForceLaw(lorentz);
+  var atom = PointMass.makeCircle(0.2, 'atom1').setMass(2);
+  atom.setCharge(1);
+  atom.setPosition(new Vector(0, 1));
+  atom.setVelocity(new Vector(2, 0));
+  sim.addAtom(atom);
+  sim.saveInitialState();
+  var ke = sim.getEnergyInfo().getTranslational();
+  var advance = new SimpleAdvance(sim, new RungeKutta(sim));
+  for (var i=0; i<40; i++) {
+    advance.advance(0.025);
+  }
+  assertRoughlyEquals(1, sim.getTime(), 1E-10);
+  assertRoughlyEquals(Math.sin(2), atom.getPosition().getX(), 1E-5);
+  assertRoughlyEquals(Math.cos(2), atom.getPosition().getY(), 1E-5);
+  // the magnetic force does no work
+  assertRoughlyEquals(ke, sim.getEnergyInfo().getTranslational(), 1E-5);
+};
+
+} // end class
+
+/**
+* @type {string}
+* @const
+*/
+LorentzLawTest.groupName = 'LorentzLawTest.';
+
+exports = LorentzLawTest;
@@ -0,0 +1,167 @@
+// Copyright 2016 Erik Neumann.  All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+goog.module('myphysicslab.lab.model.test.LyapunovEstimatorTest');
+
+const LyapunovEstimator = goog.require('myphysicslab.lab.model.LyapunovEstimator');
+const ModifiedEuler = goog.require('myphysicslab.lab.model.ModifiedEuler');
+const PendulumSim = goog.require('myphysicslab.sims.pendulum.PendulumSim');
+const SimpleAdvance = goog.require('myphysicslab.lab.model.SimpleAdvance');
+const TestRig = goog.require('myphysicslab.test.TestRig');
+
+const assertEquals = TestRig.assertEquals;
+const assertRoughlyEquals = TestRig.assertRoughlyEquals;
+const assertThrows = TestRig.assertThrows;
+const assertTrue = TestRig.assertTrue;
+const schedule = TestRig.schedule;
+const startTest = TestRig.startTest;
+
+class LyapunovEstimatorTest {
+
+static test() {
+  schedule(LyapunovEstimatorTest.testInverted);
+  schedule(LyapunovEstimatorTest.testChaotic);
+  schedule(LyapunovEstimatorTest.testSolver);
+  schedule(LyapunovEstimatorTest.testDiscontinuity);
+};
+
+/** Advances the simulation and memorizes the LyapunovEstimator after each step.
+* @param {!SimpleAdvance} advance
+* @param {!LyapunovEstimator} lyap
+* @param {number} time how long to run
+*/
+static run(advance, lyap, time) {
+  var n = Math.round(time / 0.025);
+  for (var i=0; i<n; i++) {
+    advance.advance(0.025);
+    lyap.memorize();
+  }
+};
+
+static testInverted() {
+  startTest(LyapunovEstimatorTest.groupName+'testInverted');
+  // An undamped pendulum balanced upside down separates from nearby trajectories
+  // like exp(lambda t) where lambda = sqrt(g/L) = 2.
+  var sim = new PendulumSim('SIM');
+  sim.setDamping(0);
+  sim.setDriveAmplitude(0);
+  sim.setGravity(4);
+  var va = sim.getVarsList();
+  va.setValue(0, Math.PI);
+  va.setValue(1, 0);
+  var n = va.numVariables();
+  var advance = new SimpleAdvance(sim);
+  assertThrows(function() { new LyapunovEstimator(sim, sim, advance); });
+  var lyap = new LyapunovEstimator(sim, new PendulumSim('COPY'), advance,
+      /*angles=*/[0]);
+  assertEquals(n + 1, va.numVariables());
+  var v = va.getVariable(lyap.getVariableIndex());
+  assertEquals('LYAPUNOV_EXPONENT', v.getName());
+  assertTrue(v.isComputed());
+  assertEquals(0, v.getValue());
+  assertRoughlyEquals(1E-8, lyap.getDistance(), 1E-15);
+  lyap.setRenormalizePeriod(0.1);
+  LyapunovEstimatorTest.run(advance, lyap, 10);
+  assertRoughlyEquals(2, lyap.getExponent(), 0.05);
+  assertEquals(lyap.getExponent(), v.getValue());
+  // the separation is renormalized, so it grows by at most exp(0.2) in a period
+  assertTrue(lyap.getDistance() < 1.3E-8);
+  // changing a Parameter of the simulation starts over
+  sim.setGravity(1);
+  assertEquals(0, lyap.getExponent());
+  LyapunovEstimatorTest.run(advance, lyap, 10);
+  assertRoughlyEquals(1, lyap.getExponent(), 0.05);
+  assertThrows(function() { lyap.setSeparation(0); });
+  assertThrows(function() { lyap.setRenormalizePeriod(-1); });
+  lyap.disconnect();
+  assertEquals('DELETED', va.getVariable(lyap.getVariableIndex()).getName());
+};
+
+static testChaotic() {
+  startTest(LyapunovEstimatorTest.groupName+'testChaotic');
+  // the damped driven pendulum is chaotic with the default parameters, but a small
+  // oscillation with no driving force is not.
+  var sim = new PendulumSim('SIM');
+  sim.getVarsList().setValue(0, 0.1);
+  var advance = new SimpleAdvance(sim);
+  var lyap = new LyapunovEstimator(sim, new PendulumSim('COPY'), advance,
+      /*angles=*/[0]);
+  LyapunovEstimatorTest.run(advance, lyap, 300);
+  var chaotic = lyap.getExponent();
+  sim.setDriveAmplitude(0);
+  sim.setDamping(0);
+  LyapunovEstimatorTest.run(advance, lyap, 300);
+  var regular = lyap.getExponent();
+  assertTrue(chaotic > 0.1);
+  assertRoughlyEquals(0, regular, 0.01);
+};
+
+static testSolver() {
+  startTest(LyapunovEstimatorTest.groupName+'testSolver');
+  // The copy uses the same DiffEqSolver as the reference, so the separation grows only
+  // because of the perturbation. With different DiffEqSolvers the separation would grow
+  // by the difference in their errors, which is much larger than the perturbation.
+  var sim = new PendulumSim('SIM');
+  sim.setDamping(0);
+  sim.setDriveAmplitude(0);
+  sim.getVarsList().setValue(0, 1);
+  var advance = new SimpleAdvance(sim, new ModifiedEuler(sim));
+  var lyap = new LyapunovEstimator(sim, new PendulumSim('COPY'), advance,
+      /*angles=*/[0]);
+  lyap.setRenormalizePeriod(0.1);
+  LyapunovEstimatorTest.run(advance, lyap, 1);
+  assertTrue(lyap.getDistance() < 1.3E-8);
+};
+
+static testDiscontinuity() {
+  startTest(LyapunovEstimatorTest.groupName+'testDiscontinuity');
+  // Going back in time or changing the state discontinuously starts over. Limiting
+  // the angle to -pi to pi is discontinuous, but does not start over.
+  var sim = new PendulumSim('SIM');
+  var va = sim.getVarsList();
+  va.setValue(0, 3);
+  va.setValue(1, 5);
+  var advance = new SimpleAdvance(sim);
+  var lyap = new LyapunovEstimator(sim, new PendulumSim('COPY'), advance,
+      /*angles=*/[0]);
+  var seq = va.getVariable(0).getSequence();
+  LyapunovEstimatorTest.run(advance, lyap, 2);
+  assertTrue(va.getVariable(0).getSequence() > seq);
+  assertTrue(lyap.getExponent() != 0);
+  // dragging the pendulum sets the velocity to zero
+  va.setValue(1, 0);
+  lyap.memorize();
+  assertEquals(0, lyap.getExponent());
+  assertRoughlyEquals(1E-8, lyap.getDistance(), 1E-15);
+  LyapunovEstimatorTest.run(advance, lyap, 2);
+  assertTrue(lyap.getExponent() != 0);
+  // showing a past state, as a Timeline does
+  va.setTime(1);
+  lyap.memorize();
+  assertEquals(0, lyap.getExponent());
+  assertRoughlyEquals(1E-8, lyap.getDistance(), 1E-15);
+  LyapunovEstimatorTest.run(advance, lyap, 2);
+  assertTrue(lyap.getExponent() != 0);
+  assertRoughlyEquals(3, sim.getTime(), 1E-10);
+};
+
+} // end class
+
+/**
+* @type {string}
+* @const
+*/
+LyapunovEstimatorTest.groupName = 'LyapunovEstimatorTest.';
+
+exports = LyapunovEstimatorTest;
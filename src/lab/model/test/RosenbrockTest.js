@@ -0,0 +1,167 @@
+// Copyright 2016 Erik Neumann.  All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+goog.module('myphysicslab.lab.model.test.RosenbrockTest');
+
+const ChainOfSpringsSim = goog.require('myphysicslab.sims.springs.ChainOfSpringsSim');
+const DiffEqSolver = goog.require('myphysicslab.lab.model.DiffEqSolver');
+const DiffEqSolverSubject = goog.require('myphysicslab.lab.model.DiffEqSolverSubject');
+const Rosenbrock = goog.require('myphysicslab.lab.model.Rosenbrock');
+const RungeKutta = goog.require('myphysicslab.lab.model.RungeKutta');
+const SimpleAdvance = goog.require('myphysicslab.lab.model.SimpleAdvance');
+const SingleSpringSim = goog.require('myphysicslab.sims.springs.SingleSpringSim');
+const TestRig = goog.require('myphysicslab.test.TestRig');
+const Util = goog.require('myphysicslab.lab.util.Util');
+
+const assertEquals = TestRig.assertEquals;
+const assertRoughlyEquals = TestRig.assertRoughlyEquals;
+const assertTrue = TestRig.assertTrue;
+const schedule = TestRig.schedule;
+const startTest = TestRig.startTest;
+
+class RosenbrockTest {
+
+static test() {
+  schedule(RosenbrockTest.testOrder);
+  schedule(RosenbrockTest.testStiffSpring);
+  schedule(RosenbrockTest.testDamping);
+  schedule(RosenbrockTest.testStiffChain);
+  schedule(RosenbrockTest.testDiffEqSolverSubject);
+};
+
+/** Runs an undamped spring, which starts at rest at position -2, until time 5 with
+the given time step, and returns the error compared to the exact solution
+`x = -2 cos(w t)` where `w = sqrt(k/m)`. The error combines position and velocity
+so that it does not depend on the phase of the oscillation at the end time.
+@param {number} timeStep
+@return {number} the error in position and velocity
+@private
+*/
+static springError(timeStep) {
+  var sim = new SingleSpringSim();
+  sim.setDamping(0);
+  var advance = new SimpleAdvance(sim, new Rosenbrock(sim));
+  var n = Math.round(5/timeStep);
+  for (var i=0; i<n; i++) {
+    advance.advance(timeStep);
+  }
+  assertRoughlyEquals(5, sim.getTime(), 1E-10);
+  var w = Math.sqrt(sim.getSpringStiffness()/sim.getMass());
+  var t = sim.getTime();
+  var va = sim.getVarsList();
+  var ex = -2*Math.cos(w*t) - va.getValue(0);
+  var ev = (2*w*Math.sin(w*t) - va.getValue(1))/w;
+  return Math.sqrt(ex*ex + ev*ev);
+};
+
+/** Runs the simulation until time 10 with the default time step, and returns the
+largest absolute value of position seen. Returns infinity if the simulation blows up.
+@param {!SingleSpringSim} sim
+@param {!DiffEqSolver} solver
+@return {number} the largest absolute value of position
+@private
+*/
+static maxPosition(sim, solver) {
+  var advance = new SimpleAdvance(sim, solver);
+  var max = 0;
+  for (var i=0; i<400; i++) {
+    try {
+      advance.advance(0.025);
+    } catch(e) {
+      // the simulation throws an error when a variable becomes NaN
+      return Util.POSITIVE_INFINITY;
+    }
+    max = Math.max(max, Math.abs(sim.getVarsList().getValue(0)));
+  }
+  return max;
+};
+
+static testOrder() {
+  startTest(RosenbrockTest.groupName+'testOrder');
+  var solver = new Rosenbrock(new SingleSpringSim());
+  assertEquals('ROSENBROCK', solver.getName());
+  assertTrue(solver.nameEquals('Rosenbrock'));
+  // second order method: halving the time step divides the error by 4
+  var e1 = RosenbrockTest.springError(0.02);
+  var e2 = RosenbrockTest.springError(0.01);
+  assertTrue(e1 < 0.1);
+  assertRoughlyEquals(4, e1/e2, 0.2);
+};
+
+static testStiffSpring() {
+  startTest(RosenbrockTest.groupName+'testStiffSpring');
+  // the natural period of the spring is much shorter than the time step
+  var sim = new SingleSpringSim();
+  sim.setSpringStiffness(1E5);
+  assertTrue(RosenbrockTest.maxPosition(sim, new RungeKutta(sim)) > 1E10);
+  sim = new SingleSpringSim();
+  sim.setSpringStiffness(1E5);
+  assertTrue(RosenbrockTest.maxPosition(sim, new Rosenbrock(sim)) <= 2 + 1E-6);
+  // the fast oscillation is damped out
+  assertRoughlyEquals(0, sim.getVarsList().getValue(0), 1E-3);
+};
+
+static testDamping() {
+  startTest(RosenbrockTest.groupName+'testDamping');
+  // With very large damping the block creeps towards the rest position:
+  // x = -2 exp(-k t / b) approximately.
+  var sim = new SingleSpringSim();
+  sim.setDamping(1000);
+  assertTrue(RosenbrockTest.maxPosition(sim, new RungeKutta(sim)) > 1E10);
+  sim = new SingleSpringSim();
+  sim.setDamping(1000);
+  var max = RosenbrockTest.maxPosition(sim, new Rosenbrock(sim));
+  assertTrue(max <= 2);
+  var k = sim.getSpringStiffness();
+  assertRoughlyEquals(-2*Math.exp(-k*sim.getTime()/1000),
+      sim.getVarsList().getValue(0), 1E-3);
+};
+
+static testStiffChain() {
+  startTest(RosenbrockTest.groupName+'testStiffChain');
+  var sim = new ChainOfSpringsSim();
+  sim.makeChain(5, /*attachRight=*/true);
+  sim.setStiffness(1E5);
+  var advance = new SimpleAdvance(sim, new Rosenbrock(sim));
+  for (var i=0; i<200; i++) {
+    advance.advance(0.025);
+  }
+  assertRoughlyEquals(5, sim.getTime(), 1E-10);
+  var vars = sim.getVarsList().getValues();
+  for (i=0; i<vars.length; i++) {
+    // computed variables are NaN
+    assertTrue(isNaN(vars[i]) || Math.abs(vars[i]) < 1E4);
+  }
+};
+
+static testDiffEqSolverSubject() {
+  startTest(RosenbrockTest.groupName+'testDiffEqSolverSubject');
+  var sim = new SingleSpringSim();
+  var advance = new SimpleAdvance(sim);
+  var subject = new DiffEqSolverSubject(sim, sim, advance);
+  var ps = subject.getParameterString(DiffEqSolverSubject.en.DIFF_EQ_SOLVER);
+  assertTrue(ps.getValues().indexOf('ROSENBROCK') > -1);
+  ps.setValue('ROSENBROCK');
+  assertTrue(advance.getDiffEqSolver() instanceof Rosenbrock);
+};
+
+} // end class
+
+/**
+* @type {string}
+* @const
+*/
+RosenbrockTest.groupName = 'RosenbrockTest.';
+
+exports = RosenbrockTest;
@@ -34,6 +34,7 @@ class SpringTest {
 static test() {
   schedule(SpringTest.testSpring);
   schedule(SpringTest.testSpringCompressOnly);
+  schedule(SpringTest.testSpringBreak);
 };
 
 static testSpring() {
@@ -169,6 +170,31 @@ static testSpringCompressOnly() {
   assertEquals(1, s1.getStartPoint().getY());
 };
 
+static testSpringBreak() {
+  startTest(SpringTest.groupName+'testSpringBreak');
+  var p1 = PointMass.makeCircle(1, 'point1');
+  p1.setPosition(new Vector(0,  0));
+  var p2 = PointMass.makeCircle(1, 'point2');
+  p2.setPosition(new Vector(3,  0));
+  var s1 = new Spring('spring1',
+      p1, Vector.ORIGIN,
+      p2, Vector.ORIGIN,
+      /*restLength=*/2, /*stiffness=*/12);
+  assertEquals(Util.POSITIVE_INFINITY, s1.getBreakForce());
+  assertFalse(s1.isBroken());
+  // stretch is 1, so force is 12
+  assertEquals(s1, s1.setBreakForce(12.5));
+  assertEquals(12.5, s1.getBreakForce());
+  assertFalse(s1.isBroken());
+  s1.setBreakForce(11.5);
+  assertTrue(s1.isBroken());
+  // compressed by 1 also gives force of 12
+  p2.setPosition(new Vector(1,  0));
+  assertTrue(s1.isBroken());
+  assertThrows(function() { s1.setBreakForce(0); });
+  assertThrows(function() { s1.setBreakForce(-1); });
+};
+
 } // end class
 
 /**
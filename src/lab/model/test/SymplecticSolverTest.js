@@ -0,0 +1,255 @@
+// Copyright 2016 Erik Neumann.  All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+goog.module('myphysicslab.lab.model.test.SymplecticSolverTest');
+
+goog.require('goog.array');
+goog.require('goog.events.BrowserEvent');
+
+const ChainOfSpringsSim = goog.require('myphysicslab.sims.springs.ChainOfSpringsSim');
+const ContactSim = goog.require('myphysicslab.lab.engine2D.ContactSim');
+const DiffEqSolver = goog.require('myphysicslab.lab.model.DiffEqSolver');
+const DiffEqSolverSubject = goog.require('myphysicslab.lab.model.DiffEqSolverSubject');
+const DragLaw = goog.require('myphysicslab.lab.model.DragLaw');
+const GravityLaw = goog.require('myphysicslab.lab.model.GravityLaw');
+const Leapfrog = goog.require('myphysicslab.lab.model.Leapfrog');
+const PendulumSim = goog.require('myphysicslab.sims.pendulum.PendulumSim');
+const RungeKutta = goog.require('myphysicslab.lab.model.RungeKutta');
+const SimpleAdvance = goog.require('myphysicslab.lab.model.SimpleAdvance');
+const SingleSpringSim = goog.require('myphysicslab.sims.springs.SingleSpringSim');
+const TestRig = goog.require('myphysicslab.test.TestRig');
+const Util = goog.require('myphysicslab.lab.util.Util');
+const Vector = goog.require('myphysicslab.lab.util.Vector');
+const VelocityVerlet = goog.require('myphysicslab.lab.model.VelocityVerlet');
+const Yoshida = goog.require('myphysicslab.lab.model.Yoshida');
+
+const assertEquals = TestRig.assertEquals;
+const assertRoughlyEquals = TestRig.assertRoughlyEquals;
+const assertTrue = TestRig.assertTrue;
+const assertFalse = TestRig.assertFalse;
+const assertThrows = TestRig.assertThrows;
+const schedule = TestRig.schedule;
+const startTest = TestRig.startTest;
+
+class SymplecticSolverTest {
+
+static test() {
+  schedule(SymplecticSolverTest.testDeclaredVariables);
+  schedule(SymplecticSolverTest.testOrder);
+  schedule(SymplecticSolverTest.testEnergy);
+  schedule(SymplecticSolverTest.testDrag);
+  schedule(SymplecticSolverTest.testDiffEqSolverSubject);
+};
+
+/** Makes an undamped spring, which starts at rest at position -2.
+@return {!SingleSpringSim}
+@private
+*/
+static makeSpring() {
+  var sim = new SingleSpringSim();
+  sim.setDamping(0);
+  return sim;
+};
+
+/** Runs the undamped spring until time 5 with the given time step, and returns the
+error in position compared to the exact solution `x = -2 cos(sqrt(k/m) t)`.
+@param {function(!SingleSpringSim): !DiffEqSolver} makeSolver
+@param {number} timeStep
+@return {number} the error in position
+@private
+*/
+static springError(makeSolver, timeStep) {
+  var sim = SymplecticSolverTest.makeSpring();
+  var advance = new SimpleAdvance(sim, makeSolver(sim));
+  var n = Math.round(5/timeStep);
+  for (var i=0; i<n; i++) {
+    advance.advance(timeStep);
+  }
+  assertRoughlyEquals(5, sim.getTime(), 1E-10);
+  var w = Math.sqrt(sim.getSpringStiffness()/sim.getMass());
+  return Math.abs(-2*Math.cos(w*sim.getTime()) - sim.getVarsList().getValue(0));
+};
+
+/** Runs the undamped spring with a large time step for a long time, and returns the
+largest relative change in energy.
+@param {!DiffEqSolver} solver
+@param {!SingleSpringSim} sim
+@return {number} the largest relative change in energy
+@private
+*/
+static springEnergyError(solver, sim) {
+  var advance = new SimpleAdvance(sim, solver);
+  var e0 = sim.getEnergyInfo().getTotalEnergy();
+  var maxError = 0;
+  for (var i=0; i<5000; i++) {
+    advance.advance(0.2);
+    var e = sim.getEnergyInfo().getTotalEnergy();
+    maxError = Math.max(maxError, Math.abs(e - e0)/e0);
+  }
+  return maxError;
+};
+
+static testDeclaredVariables() {
+  startTest(SymplecticSolverTest.groupName+'testDeclaredVariables');
+  var sim = new PendulumSim();
+  // damping makes the acceleration depend on velocity
+  assertEquals(0, sim.getPositionVariables().length);
+  assertEquals(0, sim.getVelocityVariables().length);
+  sim.setDamping(0);
+  assertEquals(1, sim.getPositionVariables().length);
+  assertEquals(0, sim.getPositionVariables()[0]);
+  assertEquals(1, sim.getVelocityVariables()[0]);
+  var chain = new ChainOfSpringsSim();
+  chain.makeChain(2, /*attachRight=*/true);
+  assertEquals(0, chain.getPositionVariables().length);
+  chain.setDamping(0);
+  assertEquals(0, chain.getPositionVariables().length);
+  chain.setSpringDamping(0);
+  assertEquals('8,9,12,13', chain.getPositionVariables().join());
+  assertEquals('10,11,14,15', chain.getVelocityVariables().join());
+  // a ForceLaw that does not depend on velocity is allowed
+  var gravity = new GravityLaw(1);
+  chain.addForceLaw(gravity);
+  assertEquals('8,9,12,13', chain.getPositionVariables().join());
+  // a ForceLaw that can depend on velocity is not allowed
+  var drag = new DragLaw(0.1, 0);
+  chain.addForceLaw(drag);
+  assertEquals(0, chain.getPositionVariables().length);
+  assertEquals(0, chain.getVelocityVariables().length);
+  chain.removeForceLaw(drag);
+  assertEquals('8,9,12,13', chain.getPositionVariables().join());
+  assertEquals(0, new ContactSim().getPositionVariables().length);
+};
+
+static testOrder() {
+  startTest(SymplecticSolverTest.groupName+'testOrder');
+  var makeVerlet = function(sim) { return new VelocityVerlet(sim); };
+  var makeLeapfrog = function(sim) { return new Leapfrog(sim); };
+  var makeYoshida = function(sim) { return new Yoshida(sim); };
+  // second order methods: halving the time step divides the error by 4
+  var e1 = SymplecticSolverTest.springError(makeVerlet, 0.02);
+  var e2 = SymplecticSolverTest.springError(makeVerlet, 0.01);
+  assertTrue(e1 < 1E-2);
+  assertRoughlyEquals(4, e1/e2, 0.2);
+  e1 = SymplecticSolverTest.springError(makeLeapfrog, 0.02);
+  e2 = SymplecticSolverTest.springError(makeLeapfrog, 0.01);
+  assertTrue(e1 < 1E-2);
+  assertRoughlyEquals(4, e1/e2, 0.2);
+  // fourth order method: halving the time step divides the error by 16
+  e1 = SymplecticSolverTest.springError(makeYoshida, 0.04);
+  e2 = SymplecticSolverTest.springError(makeYoshida, 0.02);
+  assertTrue(e1 < 1E-4);
+  assertRoughlyEquals(16, e1/e2, 1);
+};
+
+static testEnergy() {
+  startTest(SymplecticSolverTest.groupName+'testEnergy');
+  // With a large time step, RungeKutta loses most of the energy over a long run,
+  // but the symplectic methods have a small bounded energy error.
+  var sim = SymplecticSolverTest.makeSpring();
+  assertTrue(SymplecticSolverTest.springEnergyError(new RungeKutta(sim), sim) > 0.5);
+  sim = SymplecticSolverTest.makeSpring();
+  assertTrue(SymplecticSolverTest.springEnergyError(new VelocityVerlet(sim), sim)
+      < 0.1);
+  sim = SymplecticSolverTest.makeSpring();
+  assertTrue(SymplecticSolverTest.springEnergyError(new Leapfrog(sim), sim) < 0.1);
+  sim = SymplecticSolverTest.makeSpring();
+  assertTrue(SymplecticSolverTest.springEnergyError(new Yoshida(sim), sim) < 0.01);
+  // the time variable is advanced exactly, even though Yoshida goes back in time
+  assertRoughlyEquals(1000, sim.getTime(), 1E-9);
+};
+
+static testDrag() {
+  startTest(SymplecticSolverTest.groupName+'testDrag');
+  // while dragging, the ODESim sets the rate of change of the position to zero, so the
+  // position does not drift even though the velocity is not zero.
+  var sim = new PendulumSim();
+  sim.setDamping(0);
+  var va = sim.getVarsList();
+  va.setValue(0, 0.5);
+  va.setValue(1, 1);
+  var bob = sim.getSimList().getPointMass('bob');
+  assertTrue(sim.startDrag(bob, Vector.ORIGIN, Vector.ORIGIN, null,
+      new goog.events.BrowserEvent()));
+  var solvers = [new VelocityVerlet(sim), new Leapfrog(sim), new Yoshida(sim)];
+  goog.array.forEach(solvers, function(solver) {
+    assertEquals(null, solver.step(0.1));
+    assertEquals(0.5, va.getValue(0));
+  });
+  sim.finishDrag(bob, Vector.ORIGIN, Vector.ORIGIN);
+  new VelocityVerlet(sim).step(0.1);
+  assertTrue(va.getValue(0) > 0.5);
+};
+
+static testDiffEqSolverSubject() {
+  startTest(SymplecticSolverTest.groupName+'testDiffEqSolverSubject');
+  var sim = new PendulumSim();
+  sim.setDamping(0);
+  var advance = new SimpleAdvance(sim);
+  var subject = new DiffEqSolverSubject(sim, sim, advance);
+  var ps = subject.getParameterString(DiffEqSolverSubject.en.DIFF_EQ_SOLVER);
+  var values = ps.getValues();
+  assertTrue(values.indexOf('VELOCITY_VERLET') > -1);
+  assertTrue(values.indexOf('LEAPFROG') > -1);
+  assertTrue(values.indexOf('YOSHIDA') > -1);
+  ps.setValue('YOSHIDA');
+  assertTrue(advance.getDiffEqSolver() instanceof Yoshida);
+  // setting damping removes the symplectic solvers
+  sim.setDamping(0.1);
+  assertFalse(ps.getValues().indexOf('YOSHIDA') > -1);
+  assertTrue(advance.getDiffEqSolver() instanceof RungeKutta);
+  // ContactSim does not declare position and velocity variables
+  var sim2 = new ContactSim();
+  subject = new DiffEqSolverSubject(sim2, sim2, new SimpleAdvance(sim2));
+  ps = subject.getParameterString(DiffEqSolverSubject.en.DIFF_EQ_SOLVER);
+  assertFalse(ps.getValues().indexOf('VELOCITY_VERLET') > -1);
+  // the choices change when the number of position variables changes
+  var chain = new ChainOfSpringsSim();
+  chain.setDamping(0);
+  chain.setSpringDamping(0);
+  chain.makeChain(0, /*attachRight=*/true);
+  advance = new SimpleAdvance(chain);
+  subject = new DiffEqSolverSubject(chain, chain, advance);
+  ps = subject.getParameterString(DiffEqSolverSubject.en.DIFF_EQ_SOLVER);
+  assertFalse(ps.getValues().indexOf('LEAPFROG') > -1);
+  assertThrows(function() { ps.setValue('LEAPFROG'); });
+  chain.makeChain(2, /*attachRight=*/true);
+  assertTrue(ps.getValues().indexOf('LEAPFROG') > -1);
+  ps.setValue('LEAPFROG');
+  assertTrue(advance.getDiffEqSolver() instanceof Leapfrog);
+  // an unavailable symplectic solver is replaced by RungeKutta
+  chain.makeChain(0, /*attachRight=*/true);
+  assertFalse(ps.getValues().indexOf('LEAPFROG') > -1);
+  assertTrue(advance.getDiffEqSolver() instanceof RungeKutta);
+  assertEquals('RUNGE_KUTTA', ps.getValue());
+  // adding a DragLaw removes the symplectic solvers, removing it restores them
+  chain.makeChain(2, /*attachRight=*/true);
+  ps.setValue('YOSHIDA');
+  var drag = new DragLaw(0.1, 0);
+  chain.addForceLaw(drag);
+  assertFalse(ps.getValues().indexOf('YOSHIDA') > -1);
+  assertTrue(advance.getDiffEqSolver() instanceof RungeKutta);
+  chain.removeForceLaw(drag);
+  assertTrue(ps.getValues().indexOf('YOSHIDA') > -1);
+};
+
+} // end class
+
+/**
+* @type {string}
+* @const
+*/
+SymplecticSolverTest.groupName = 'SymplecticSolverTest.';
+
+exports = SymplecticSolverTest;
@@ -1408,31 +1408,36 @@ static stdRegex(terminal) {
   terminal.addRegex('NF0|NF2|NF1S|NF3|NF5|NF5E|nf5|nf7|NF7|NF7E|NF9|NFE|NFSCI',
       'Util.', /*addToVars=*/false);
 
-  terminal.addRegex('CollisionAdvance|ConcreteVariable|ConcreteLine|ConstantForceLaw'
-      +'|CoordType|DampingLaw|EulersMethod|ExpressionVariable|Force|FunctionVariable'
-      +'|GravityLaw|Gravity2Law'
+  terminal.addRegex('BogackiShampine|CashKarp'
+      +'|CollisionAdvance|ConcreteVariable|ConcreteLine|ConstantForceLaw'
+      +'|CoordType|DampingLaw|DormandPrince|EulersMethod|EventFunction'
+      +'|ExpressionVariable|Force'
+      +'|FunctionVariable'
+      +'|GravityLaw|Gravity2Law|Leapfrog'
       +'|MassObject|ModifiedEuler|NumericalPath|PointMass'
-      +'|RungeKutta|ShapeType|SimList|SimpleAdvance|Spring|VarsList',
+      +'|Rosenbrock|RungeKutta|ShapeType|SimList|SimpleAdvance|Spring|VarsList'
+      +'|VelocityVerlet|Yoshida',
       'mpl$$lab$$model$$', /*addToVars=*/false);
 
   terminal.addRegex('CoordMap|DisplayClock|DisplayConnector|DisplayLine|DisplayList'
       +'|DisplayPath|DisplayShape|DisplayRope|DisplaySpring|DisplayText'
       +'|DrawingMode|DrawingStyle|EnergyBarGraph|HorizAlign|LabCanvas|LabView'
-      +'|ScreenRect|SimView|VerticalAlign',
+      +'|ScreenRect|SimView|SVGContext|VerticalAlign',
        'mpl$$lab$$view$$', /*addToVars=*/false);
 
-  terminal.addRegex('CircularEdge|CollisionHandling|ContactSim'
-       +'|EdgeRange|ExtraAccel|ImpulseSim|Joint|Polygon'
-       +'|RigidBodyCollision|RigidBodySim|Rope|Scrim|Shapes|StraightEdge'
-       +'|ThrusterSet|Vertex|Walls',
+  terminal.addRegex('AngleLimit|CircularEdge|CollisionHandling|ContactSim'
+       +'|EdgeRange|ExtraAccel|ImpulseSim|Joint|Motor|Polygon|PrismaticJoint'
+       +'|RigidBodyCollision|RigidBodySim|RigidBodySnapshot|Rope|Scrim|Shapes|SleepStats'
+       +'|StraightEdge|ThrusterSet|Vertex|Walls',
        'mpl$$lab$$engine2D$$', /*addToVars=*/false);
 
   terminal.addRegex('AutoScale|DisplayGraph|GraphColor|GraphLine'
        +'|GraphStyle|DisplayAxes|VarsHistory',
        'mpl$$lab$$graph$$', /*addToVars=*/false);
 
-  terminal.addRegex('EventHandler|MouseTracker|RigidBodyEventHandler'
-       +'|SimController|SimRunner|ViewPanner',
+  terminal.addRegex('BatchRunner|EventHandler|FrameRecorder|MouseTracker'
+       +'|RigidBodyEventHandler'
+       +'|SimController|SimRunner|SimSnapshot|Timeline|ViewPanner',
        'mpl$$lab$$app$$', /*addToVars=*/false);
 
   terminal.addRegex('ButtonControl|CheckBoxControl|ChoiceControl'
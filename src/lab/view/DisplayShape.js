@@ -194,6 +194,13 @@ constructor(massObject, proto) {
   * @private
   */
   this.fillStyle_;
+  /** The color or gradient used instead of {@link #fillStyle} when the massObject is
+  * sleeping, see {@link MassObject#isSleeping}. Set this to the empty string to draw
+  * a sleeping massObject the same as when it is awake.
+  * @type {string|!CanvasGradient|undefined}
+  * @private
+  */
+  this.sleepingFillStyle_;
   /** The color to use for drawing the border, or the empty string to not draw the
   * border. It should be a CSS3 color value (possibly including transparency).
   * The thickness of the border is set by {@link #thickness}.
@@ -296,6 +303,7 @@ toString() {
   return Util.ADVANCED ? '' : this.toStringShort().slice(0, -1)
       +', dragable_: '+this.dragable_
       +', fillStyle: "'+this.getFillStyle()+'"'
+      +', sleepingFillStyle: "'+this.getSleepingFillStyle()+'"'
       +', strokeStyle: "'+this.getStrokeStyle()+'"'
       +', thickness: '+Util.NF(this.getThickness())
       +', drawDragPoints: '+this.getDrawDragPoints()
@@ -360,6 +368,9 @@ draw(context, map) {
     context.clip();
   }
   var fillStyle = this.getFillStyle();
+  if (this.massObject_.isSleeping()) {
+    fillStyle = this.getSleepingFillStyle() || fillStyle;
+  }
   if (fillStyle) {
     context.fillStyle = fillStyle;
     context.fill();
@@ -655,6 +666,21 @@ getSimObjects() {
   return [ this.massObject_ ];
 };
 
+/** The color or gradient used instead of {@link #getFillStyle} when the MassObject is
+* sleeping, see {@link MassObject#isSleeping}. The empty string means a sleeping
+* MassObject is drawn the same as when it is awake.
+* @return {string|!CanvasGradient}
+*/
+getSleepingFillStyle() {
+  if (this.sleepingFillStyle_ !== undefined) {
+    return this.sleepingFillStyle_;
+  } else if (this.proto_ != null) {
+    return this.proto_.getSleepingFillStyle();
+  } else {
+    return '';
+  }
+};
+
 /** The color to use for drawing the border, or the empty string to not draw the
 * border. It should be a CSS3 color value (possibly including transparency).
 * The thickness of the border is set by {@link #getThickness}.
@@ -838,6 +864,17 @@ setPrototype(value) {
   return this;
 };
 
+/** The color or gradient used instead of {@link #getFillStyle} when the MassObject is
+* sleeping, see {@link MassObject#isSleeping}. The empty string means a sleeping
+* MassObject is drawn the same as when it is awake.
+* @param {string|!CanvasGradient} value
+* @return {!DisplayShape} this object for chaining setters
+*/
+setSleepingFillStyle(value) {
+  this.sleepingFillStyle_ = value;
+  return this;
+};
+
 /** The color to use for drawing the border, or the empty string to not draw the
 * border. It should be a CSS3 color value (possibly including transparency).
 * The thickness of the border is set by {@link #getThickness}.
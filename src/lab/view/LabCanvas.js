@@ -28,6 +28,7 @@ const Memorizable = goog.require('myphysicslab.lab.util.Memorizable');
 const ParameterNumber = goog.require('myphysicslab.lab.util.ParameterNumber');
 const ParameterString = goog.require('myphysicslab.lab.util.ParameterString');
 const ScreenRect = goog.require('myphysicslab.lab.view.ScreenRect');
+const SVGContext = goog.require('myphysicslab.lab.view.SVGContext');
 const Util = goog.require('myphysicslab.lab.util.Util');
 
 /** Manages an HTML canvas and contains a list of {@link LabView}s which are drawn into
@@ -92,6 +93,13 @@ The trails effect happens when `alpha` is less than 1 because we paint a translu
 rectangle over the old frame, which gradually makes the old image disappear after
 several iterations of painting.
 
+### Exporting Vector Graphics
+
+The current frame can be exported as an SVG document with {@link #toSVG}. The LabViews
+are painted into an {@link SVGContext} which records the drawing commands of each
+DisplayObject as SVG elements. See also {@link myphysicslab.lab.app.FrameRecorder}
+which captures a numbered sequence of PNG images.
+
 Parameters Created
 ------------------
 
@@ -519,6 +527,24 @@ setWidth(value) {
   this.broadcastParameter(LabCanvas.en.WIDTH);
 };
 
+/** Returns an SVG document that shows the current frame: the background color and each
+LabView. The trails effect is not included, the background color is opaque.
+@return {string} the SVG document
+*/
+toSVG() {
+  var svg = new SVGContext(this.getWidth(), this.getHeight(), this.getContext());
+  // SVGContext has the subset of CanvasRenderingContext2D that DisplayObjects use.
+  var context = /** @type {!CanvasRenderingContext2D} */(/** @type {?} */(svg));
+  if (this.background_ != '') {
+    context.fillStyle = this.background_;
+    context.fillRect(0, 0, this.getWidth(), this.getHeight());
+  }
+  goog.array.forEach(this.labViews_, function(view) {
+      view.paint(context);
+    });
+  return svg.toSVG();
+};
+
 } // end class
 
 /** Name of GenericEvent that is broadcast when the focus view changes.
@@ -0,0 +1,758 @@
+// Copyright 2016 Erik Neumann.  All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+goog.module('myphysicslab.lab.view.SVGContext');
+
+goog.require('goog.array');
+const Util = goog.require('myphysicslab.lab.util.Util');
+
+/** Records drawing commands as an [SVG](https://www.w3.org/TR/SVG/) document, for
+exporting vector graphics of a {@link myphysicslab.lab.view.LabCanvas}. SVGContext has
+the subset of the `CanvasRenderingContext2D` API that is used by the DisplayObjects,
+so it can be passed to {@link myphysicslab.lab.view.DisplayObject#draw} in place of an
+HTML canvas context. See {@link myphysicslab.lab.view.LabCanvas#toSVG}.
+
+Paths are converted to screen coordinates as they are made, using the transform that
+is in effect at the time, so that transforms can be changed while making a path as
+with an HTML canvas. Arcs and ellipses are approximated by cubic Bezier curves. The
+width of lines is scaled by the transform in effect when the path is stroked.
+
+Limitations:
+
++ `clearRect` does nothing, because an SVG document starts out transparent.
+
++ Only the most recent clipping path is used, instead of the intersection of clipping
+    paths.
+
++ Text is measured with the optional `CanvasRenderingContext2D` given to the
+    constructor. Without that, the width of text is estimated from the font size.
+
++ Images, such as the offscreen buffer of a
+    {@link myphysicslab.lab.graph.DisplayGraph}, are included as embedded raster images.
+    Only an HTML canvas or an image with a `src` URL can be drawn, other kinds of
+    images are skipped. Only the 3 and 5 argument forms of `drawImage` are supported.
+
++ Patterns made with {@link #createPattern} become SVG patterns. A `CanvasGradient` or
+    `CanvasPattern` made by an HTML canvas cannot be read, so it is drawn as gray.
+
+*/
+class SVGContext {
+/**
+* @param {number} width width of the SVG document in pixels
+* @param {number} height height of the SVG document in pixels
+* @param {?CanvasRenderingContext2D=} opt_measure a canvas context used to measure
+*     text, optional
+*/
+constructor(width, height, opt_measure) {
+  /**
+  * @type {number}
+  * @private
+  */
+  this.width_ = width;
+  /**
+  * @type {number}
+  * @private
+  */
+  this.height_ = height;
+  /**
+  * @type {?CanvasRenderingContext2D}
+  * @private
+  */
+  this.measure_ = opt_measure || null;
+  /** The SVG elements that have been drawn.
+  * @type {!Array<string>}
+  * @private
+  */
+  this.elements_ = [];
+  /** The SVG definitions, such as clipping paths.
+  * @type {!Array<string>}
+  * @private
+  */
+  this.defs_ = [];
+  /** The current path, in screen coordinates, as SVG path commands.
+  * @type {!Array<string>}
+  * @private
+  */
+  this.path_ = [];
+  /** Whether the current path has a current point.
+  * @type {boolean}
+  * @private
+  */
+  this.hasPoint_ = false;
+  /** The current transform `[a, b, c, d, e, f]` as in
+  * `CanvasRenderingContext2D.setTransform`.
+  * @type {!Array<number>}
+  * @private
+  */
+  this.matrix_ = [1, 0, 0, 1, 0, 0];
+  /**
+  * @type {!Array<number>}
+  * @private
+  */
+  this.lineDash_ = [];
+  /** Id of the current clipping path, or empty string when there is none.
+  * @type {string}
+  * @private
+  */
+  this.clipId_ = '';
+  /** Saved drawing states, see {@link #save}.
+  * @type {!Array<!Object>}
+  * @private
+  */
+  this.stack_ = [];
+  /** A color, or a pattern made by {@link #createPattern}.
+  * @type {string|!Object}
+  */
+  this.fillStyle = 'black';
+  /** A color, or a pattern made by {@link #createPattern}.
+  * @type {string|!Object}
+  */
+  this.strokeStyle = 'black';
+  /**
+  * @type {number}
+  */
+  this.lineWidth = 1;
+  /**
+  * @type {string}
+  */
+  this.font = '10px sans-serif';
+  /**
+  * @type {string}
+  */
+  this.textAlign = 'start';
+  /**
+  * @type {string}
+  */
+  this.textBaseline = 'alphabetic';
+  /**
+  * @type {number}
+  */
+  this.globalAlpha = 1;
+};
+
+/** @override */
+toString() {
+  return Util.ADVANCED ? '' : 'SVGContext{width_: '+this.width_
+      +', height_: '+this.height_
+      +', elements_.length: '+this.elements_.length
+      +'}';
+};
+
+/** Adds an elliptical arc to the current path.
+@param {number} x horizontal coordinate of the center
+@param {number} y vertical coordinate of the center
+@param {number} rx horizontal radius
+@param {number} ry vertical radius
+@param {number} rotation rotation of the ellipse in radians
+@param {number} startAngle starting angle in radians
+@param {number} endAngle ending angle in radians
+@param {boolean} anticlockwise whether the arc goes anticlockwise
+@private
+*/
+addArc_(x, y, rx, ry, rotation, startAngle, endAngle, anticlockwise) {
+  var TWO_PI = 2*Math.PI;
+  var sweep = endAngle - startAngle;
+  if (!anticlockwise) {
+    sweep = sweep >= TWO_PI ? TWO_PI : ((sweep % TWO_PI) + TWO_PI) % TWO_PI;
+  } else {
+    sweep = sweep <= -TWO_PI ? -TWO_PI : -(((-sweep % TWO_PI) + TWO_PI) % TWO_PI);
+  }
+  var cosR = Math.cos(rotation);
+  var sinR = Math.sin(rotation);
+  // transform a point on the unit circle to the ellipse
+  var point = function(u, v) {
+    return [x + rx*u*cosR - ry*v*sinR, y + rx*u*sinR + ry*v*cosR];
+  };
+  var p = point(Math.cos(startAngle), Math.sin(startAngle));
+  if (this.hasPoint_) {
+    this.lineTo(p[0], p[1]);
+  } else {
+    this.moveTo(p[0], p[1]);
+  }
+  // each Bezier curve covers at most a quarter circle
+  var n = Math.max(1, Math.ceil(Math.abs(sweep)/(Math.PI/2) - 1E-10));
+  var theta = sweep/n;
+  var k = 4/3 * Math.tan(theta/4);
+  var a = startAngle;
+  for (var i=0; i<n; i++) {
+    var b = a + theta;
+    var ca = Math.cos(a), sa = Math.sin(a), cb = Math.cos(b), sb = Math.sin(b);
+    var c1 = point(ca - k*sa, sa + k*ca);
+    var c2 = point(cb + k*sb, sb - k*cb);
+    var p2 = point(cb, sb);
+    this.path_.push('C'+this.screenPoint_(c1[0], c1[1])
+        +' '+this.screenPoint_(c2[0], c2[1])
+        +' '+this.screenPoint_(p2[0], p2[1]));
+    a = b;
+  }
+};
+
+/** Adds an SVG element with the clipping path and transparency that are in effect.
+@param {string} name the name of the element
+@param {string} attributes the attributes of the element
+@param {string=} opt_content content of the element
+@private
+*/
+addElement_(name, attributes, opt_content) {
+  if (this.globalAlpha < 1) {
+    attributes += ' opacity="'+SVGContext.fmt_(this.globalAlpha)+'"';
+  }
+  if (this.clipId_) {
+    attributes += ' clip-path="url(#'+this.clipId_+')"';
+  }
+  if (opt_content !== undefined) {
+    this.elements_.push('<'+name+' '+attributes+'>'+opt_content+'</'+name+'>');
+  } else {
+    this.elements_.push('<'+name+' '+attributes+'/>');
+  }
+};
+
+/** Adds a circular arc to the current path, see `CanvasRenderingContext2D.arc`.
+@param {number} x horizontal coordinate of the center
+@param {number} y vertical coordinate of the center
+@param {number} radius radius of the arc
+@param {number} startAngle starting angle in radians
+@param {number} endAngle ending angle in radians
+@param {boolean=} anticlockwise whether the arc goes anticlockwise
+*/
+arc(x, y, radius, startAngle, endAngle, anticlockwise) {
+  this.addArc_(x, y, radius, radius, 0, startAngle, endAngle, !!anticlockwise);
+};
+
+/** Starts a new path.
+@return {undefined}
+*/
+beginPath() {
+  this.path_ = [];
+  this.hasPoint_ = false;
+};
+
+/** Does nothing, because an SVG document starts out transparent.
+@param {number} x
+@param {number} y
+@param {number} w
+@param {number} h
+*/
+clearRect(x, y, w, h) {
+};
+
+/** Makes the current path the clipping path, until the drawing state is restored.
+@return {undefined}
+*/
+clip() {
+  var id = 'clip'+this.defs_.length;
+  this.defs_.push('<clipPath id="'+id+'"><path d="'+this.path_.join(' ')
+      +'"/></clipPath>');
+  this.clipId_ = id;
+};
+
+/** Closes the current subpath.
+@return {undefined}
+*/
+closePath() {
+  if (this.hasPoint_) {
+    this.path_.push('Z');
+  }
+};
+
+/** Returns a pattern that repeats the image, which can be used as the fill style or
+stroke style. As with an HTML canvas, the pattern is positioned by the transform that is
+in effect when the pattern is used.
+@param {!HTMLCanvasElement|!HTMLImageElement} image the image to repeat
+@param {?string} repetition `repeat, repeat-x, repeat-y` or `no-repeat`; `null` or
+    empty string means `repeat`
+@return {?Object} the pattern, or `null` when the image cannot be drawn
+*/
+createPattern(image, repetition) {
+  var href = SVGContext.imageHref_(image);
+  if (href == null) {
+    return null;
+  }
+  return new SVGPattern(href, image.width, image.height, repetition || 'repeat');
+};
+
+/** Draws an image, such as another canvas, as an embedded raster image. Does nothing
+when the image is not an HTML canvas or an image with a `src` URL.
+@param {!HTMLCanvasElement|!HTMLImageElement} image the image to draw
+@param {number} x horizontal position of the image
+@param {number} y vertical position of the image
+@param {number=} width width of the image
+@param {number=} height height of the image
+*/
+drawImage(image, x, y, width, height) {
+  var href = SVGContext.imageHref_(image);
+  if (href == null) {
+    return;
+  }
+  var w = width !== undefined ? width : image.width;
+  var h = height !== undefined ? height : image.height;
+  this.addElement_('image', 'transform="'+this.matrixString_()+'"'
+      +' x="'+SVGContext.fmt_(x)+'" y="'+SVGContext.fmt_(y)+'"'
+      +' width="'+SVGContext.fmt_(w)+'" height="'+SVGContext.fmt_(h)+'"'
+      +' preserveAspectRatio="none"'
+      +' xlink:href="'+SVGContext.escape_(href)+'"');
+};
+
+/** Adds an elliptical arc to the current path, see `CanvasRenderingContext2D.ellipse`.
+@param {number} x horizontal coordinate of the center
+@param {number} y vertical coordinate of the center
+@param {number} radiusX horizontal radius
+@param {number} radiusY vertical radius
+@param {number} rotation rotation of the ellipse in radians
+@param {number} startAngle starting angle in radians
+@param {number} endAngle ending angle in radians
+@param {boolean=} anticlockwise whether the arc goes anticlockwise
+*/
+ellipse(x, y, radiusX, radiusY, rotation, startAngle, endAngle, anticlockwise) {
+  this.addArc_(x, y, radiusX, radiusY, rotation, startAngle, endAngle,
+      !!anticlockwise);
+};
+
+/** Fills the current path with the fill style.
+@return {undefined}
+*/
+fill() {
+  this.fillPath_(this.path_.join(' '));
+};
+
+/** Adds an SVG path element that is filled with the fill style.
+@param {string} d the SVG path data
+@private
+*/
+fillPath_(d) {
+  if (d.length > 0) {
+    this.addElement_('path', 'd="'+d+'" fill="'+this.paint_(this.fillStyle)
+        +'" stroke="none"');
+  }
+};
+
+/** Fills a rectangle with the fill style, without changing the current path.
+@param {number} x horizontal position of the rectangle
+@param {number} y vertical position of the rectangle
+@param {number} w width of the rectangle
+@param {number} h height of the rectangle
+*/
+fillRect(x, y, w, h) {
+  this.fillPath_(this.rectPath_(x, y, w, h));
+};
+
+/** Draws text with the fill style, font, alignment and baseline in effect.
+@param {string} text the text to draw
+@param {number} x horizontal position of the text
+@param {number} y vertical position of the text
+*/
+fillText(text, x, y) {
+  var anchor = SVGContext.TEXT_ANCHOR[this.textAlign] || 'start';
+  var baseline = SVGContext.BASELINE[this.textBaseline] || 'alphabetic';
+  this.addElement_('text', 'transform="'+this.matrixString_()+'"'
+      +' x="'+SVGContext.fmt_(x)+'" y="'+SVGContext.fmt_(y)+'"'
+      +' style="font: '+SVGContext.escape_(this.font)+'"'
+      +' fill="'+this.paint_(this.fillStyle)+'"'
+      +' text-anchor="'+anchor+'" dominant-baseline="'+baseline+'"',
+      SVGContext.escape_(text));
+};
+
+/** Returns the line dash pattern.
+@return {!Array<number>} the line dash pattern
+*/
+getLineDash() {
+  return goog.array.clone(this.lineDash_);
+};
+
+/** Adds a straight line to the current path.
+@param {number} x horizontal coordinate of the end point
+@param {number} y vertical coordinate of the end point
+*/
+lineTo(x, y) {
+  if (!this.hasPoint_) {
+    this.moveTo(x, y);
+    return;
+  }
+  this.path_.push('L'+this.screenPoint_(x, y));
+};
+
+/** Returns the transform that is in effect, as an SVG transform attribute value.
+@return {string}
+@private
+*/
+matrixString_() {
+  return 'matrix('+goog.array.map(this.matrix_, SVGContext.fmt_).join(' ')+')';
+};
+
+/** Measures the width of text with the font in effect.
+@param {string} text the text to measure
+@return {{width: number}} object whose `width` property is the width of the text
+*/
+measureText(text) {
+  if (this.measure_ != null) {
+    this.measure_.save();
+    this.measure_.font = this.font;
+    var w = this.measure_.measureText(text).width;
+    this.measure_.restore();
+    return {width: w};
+  }
+  // estimate the width from the font size given in pixels or points
+  var m = this.font.match(/([0-9.]+)(px|pt)/);
+  var size = m != null ? Number(m[1]) * (m[2] == 'pt' ? 4/3 : 1) : 10;
+  return {width: 0.6 * size * text.length};
+};
+
+/** Starts a new subpath at the given point.
+@param {number} x horizontal coordinate of the point
+@param {number} y vertical coordinate of the point
+*/
+moveTo(x, y) {
+  this.path_.push('M'+this.screenPoint_(x, y));
+  this.hasPoint_ = true;
+};
+
+/** Returns the SVG paint for a fill style or stroke style. For a pattern made by
+{@link #createPattern}, adds an SVG pattern that uses the transform in effect.
+@param {string|!Object} style the fill style or stroke style
+@return {string} the SVG paint
+@private
+*/
+paint_(style) {
+  if (goog.isString(style)) {
+    return SVGContext.escape_(style);
+  } else if (style instanceof SVGPattern) {
+    var id = 'pattern'+this.defs_.length;
+    // In a direction that does not repeat, make the tile large enough that the image
+    // appears only once.
+    var w = style.repeatX() ? style.width : SVGContext.NO_REPEAT;
+    var h = style.repeatY() ? style.height : SVGContext.NO_REPEAT;
+    this.defs_.push('<pattern id="'+id+'" patternUnits="userSpaceOnUse"'
+        +' width="'+SVGContext.fmt_(w)+'" height="'+SVGContext.fmt_(h)+'"'
+        +' patternTransform="'+this.matrixString_()+'">'
+        +'<image width="'+SVGContext.fmt_(style.width)+'"'
+        +' height="'+SVGContext.fmt_(style.height)+'" preserveAspectRatio="none"'
+        +' xlink:href="'+SVGContext.escape_(style.href)+'"/></pattern>');
+    return 'url(#'+id+')';
+  } else {
+    // a CanvasGradient or CanvasPattern made by an HTML canvas cannot be read
+    return 'gray';
+  }
+};
+
+/** Adds a rectangle to the current path.
+@param {number} x horizontal position of the rectangle
+@param {number} y vertical position of the rectangle
+@param {number} w width of the rectangle
+@param {number} h height of the rectangle
+*/
+rect(x, y, w, h) {
+  this.path_.push(this.rectPath_(x, y, w, h));
+  this.hasPoint_ = true;
+};
+
+/** Returns SVG path data for a rectangle.
+@param {number} x horizontal position of the rectangle
+@param {number} y vertical position of the rectangle
+@param {number} w width of the rectangle
+@param {number} h height of the rectangle
+@return {string} SVG path data for the rectangle, in screen coordinates
+@private
+*/
+rectPath_(x, y, w, h) {
+  return 'M'+this.screenPoint_(x, y)
+      +' L'+this.screenPoint_(x+w, y)
+      +' L'+this.screenPoint_(x+w, y+h)
+      +' L'+this.screenPoint_(x, y+h)
+      +' Z';
+};
+
+/** Restores the drawing state that was saved by {@link #save}.
+@return {undefined}
+*/
+restore() {
+  var s = this.stack_.pop();
+  if (s === undefined) {
+    return;
+  }
+  this.fillStyle = s['fillStyle'];
+  this.strokeStyle = s['strokeStyle'];
+  this.lineWidth = s['lineWidth'];
+  this.font = s['font'];
+  this.textAlign = s['textAlign'];
+  this.textBaseline = s['textBaseline'];
+  this.globalAlpha = s['globalAlpha'];
+  this.lineDash_ = s['lineDash'];
+  this.matrix_ = s['matrix'];
+  this.clipId_ = s['clipId'];
+};
+
+/** Multiplies the current transform by a rotation.
+@param {number} angle the rotation angle in radians, clockwise on screen
+*/
+rotate(angle) {
+  var c = Math.cos(angle);
+  var s = Math.sin(angle);
+  this.transform(c, s, -s, c, 0, 0);
+};
+
+/** Saves the drawing state: styles, transform, line dash and clipping path.
+@return {undefined}
+*/
+save() {
+  this.stack_.push({
+    'fillStyle': this.fillStyle,
+    'strokeStyle': this.strokeStyle,
+    'lineWidth': this.lineWidth,
+    'font': this.font,
+    'textAlign': this.textAlign,
+    'textBaseline': this.textBaseline,
+    'globalAlpha': this.globalAlpha,
+    'lineDash': this.lineDash_,
+    'matrix': this.matrix_,
+    'clipId': this.clipId_
+  });
+};
+
+/** Multiplies the current transform by a scaling.
+@param {number} x horizontal scale factor
+@param {number} y vertical scale factor
+*/
+scale(x, y) {
+  this.transform(x, 0, 0, y, 0, 0);
+};
+
+/** Returns the given point transformed to screen coordinates, formatted for SVG path
+data.
+@param {number} x horizontal coordinate of the point
+@param {number} y vertical coordinate of the point
+@return {string} the transformed point
+@private
+*/
+screenPoint_(x, y) {
+  var m = this.matrix_;
+  return SVGContext.fmt_(m[0]*x + m[2]*y + m[4])+' '
+      +SVGContext.fmt_(m[1]*x + m[3]*y + m[5]);
+};
+
+/** Sets the line dash pattern.
+@param {!Array<number>} segments lengths of alternating dashes and gaps
+*/
+setLineDash(segments) {
+  this.lineDash_ = goog.array.clone(segments);
+};
+
+/** Sets the current transform, see `CanvasRenderingContext2D.setTransform`.
+@param {number} a horizontal scaling
+@param {number} b vertical skewing
+@param {number} c horizontal skewing
+@param {number} d vertical scaling
+@param {number} e horizontal translation
+@param {number} f vertical translation
+*/
+setTransform(a, b, c, d, e, f) {
+  this.matrix_ = [a, b, c, d, e, f];
+};
+
+/** Strokes the current path with the stroke style and line width.
+@return {undefined}
+*/
+stroke() {
+  this.strokePath_(this.path_.join(' '));
+};
+
+/** Adds an SVG path element that is stroked with the stroke style and line width.
+The line width and dash pattern are scaled by the current transform.
+@param {string} d the SVG path data
+@private
+*/
+strokePath_(d) {
+  if (d.length == 0) {
+    return;
+  }
+  var m = this.matrix_;
+  var scale = Math.sqrt(Math.abs(m[0]*m[3] - m[1]*m[2]));
+  var attr = 'd="'+d+'" fill="none" stroke="'+this.paint_(this.strokeStyle)
+      +'" stroke-width="'+SVGContext.fmt_(this.lineWidth * scale)+'"';
+  if (this.lineDash_.length > 0) {
+    attr += ' stroke-dasharray="'+goog.array.map(this.lineDash_, function(v) {
+        return SVGContext.fmt_(v * scale);
+      }).join(' ')+'"';
+  }
+  this.addElement_('path', attr);
+};
+
+/** Strokes a rectangle, without changing the current path.
+@param {number} x horizontal position of the rectangle
+@param {number} y vertical position of the rectangle
+@param {number} w width of the rectangle
+@param {number} h height of the rectangle
+*/
+strokeRect(x, y, w, h) {
+  this.strokePath_(this.rectPath_(x, y, w, h));
+};
+
+/** Returns the SVG document of everything that has been drawn.
+@return {string} the SVG document
+*/
+toSVG() {
+  return '<svg xmlns="http://www.w3.org/2000/svg"'
+      +' xmlns:xlink="http://www.w3.org/1999/xlink"'
+      +' width="'+this.width_+'" height="'+this.height_+'"'
+      +' viewBox="0 0 '+this.width_+' '+this.height_+'">\n'
+      +(this.defs_.length > 0 ? '<defs>'+this.defs_.join('')+'</defs>\n' : '')
+      +this.elements_.join('\n')
+      +'\n</svg>\n';
+};
+
+/** Multiplies the current transform by the given transform, see
+`CanvasRenderingContext2D.transform`.
+@param {number} a horizontal scaling
+@param {number} b vertical skewing
+@param {number} c horizontal skewing
+@param {number} d vertical scaling
+@param {number} e horizontal translation
+@param {number} f vertical translation
+*/
+transform(a, b, c, d, e, f) {
+  var m = this.matrix_;
+  this.matrix_ = [
+    m[0]*a + m[2]*b,
+    m[1]*a + m[3]*b,
+    m[0]*c + m[2]*d,
+    m[1]*c + m[3]*d,
+    m[0]*e + m[2]*f + m[4],
+    m[1]*e + m[3]*f + m[5]
+  ];
+};
+
+/** Multiplies the current transform by a translation.
+@param {number} x horizontal translation
+@param {number} y vertical translation
+*/
+translate(x, y) {
+  this.transform(1, 0, 0, 1, x, y);
+};
+
+/** Replaces characters that are special in XML.
+@param {string} text
+@return {string}
+@private
+*/
+static escape_(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+};
+
+/** Returns the URL of the image: a data URL for an HTML canvas, or the `src` of an
+image.
+@param {!HTMLCanvasElement|!HTMLImageElement} image
+@return {?string} the URL of the image, or `null` when the image has no URL
+@private
+*/
+static imageHref_(image) {
+  if (goog.isFunction(image.toDataURL)) {
+    return image.toDataURL('image/png');
+  } else if (goog.isString(image.src) && image.src.length > 0) {
+    return image.src;
+  }
+  return null;
+};
+
+/** Formats a number for SVG with at most 3 decimal places.
+@param {number} value
+@return {string}
+@private
+*/
+static fmt_(value) {
+  return String(Math.round(value*1000)/1000);
+};
+
+} // end class
+
+/** Size of a pattern tile in a direction where the pattern does not repeat.
+* @type {number}
+* @const
+*/
+SVGContext.NO_REPEAT = 1E6;
+
+/** SVG `text-anchor` corresponding to each canvas `textAlign`.
+* @type {!Object<string, string>}
+* @const
+*/
+SVGContext.TEXT_ANCHOR = {
+  'start': 'start',
+  'left': 'start',
+  'center': 'middle',
+  'end': 'end',
+  'right': 'end'
+};
+
+/** SVG `dominant-baseline` corresponding to each canvas `textBaseline`.
+* @type {!Object<string, string>}
+* @const
+*/
+SVGContext.BASELINE = {
+  'alphabetic': 'alphabetic',
+  'top': 'text-before-edge',
+  'hanging': 'hanging',
+  'middle': 'middle',
+  'ideographic': 'ideographic',
+  'bottom': 'text-after-edge'
+};
+
+/** A pattern made by {@link SVGContext#createPattern}.
+
+Note about private variables:  with Google Closure Compiler, a variable marked
+private can be accessed from any code in the file where it is defined.
+
+@private
+*/
+class SVGPattern {
+/**
+* @param {string} href the URL of the image
+* @param {number} width width of the image
+* @param {number} height height of the image
+* @param {string} repetition `repeat, repeat-x, repeat-y` or `no-repeat`
+*/
+constructor(href, width, height, repetition) {
+  /**
+  * @type {string}
+  */
+  this.href = href;
+  /**
+  * @type {number}
+  */
+  this.width = width;
+  /**
+  * @type {number}
+  */
+  this.height = height;
+  /**
+  * @type {string}
+  */
+  this.repetition = repetition;
+};
+
+/** Returns whether the pattern repeats horizontally.
+@return {boolean}
+*/
+repeatX() {
+  return this.repetition == 'repeat' || this.repetition == 'repeat-x';
+};
+
+/** Returns whether the pattern repeats vertically.
+@return {boolean}
+*/
+repeatY() {
+  return this.repetition == 'repeat' || this.repetition == 'repeat-y';
+};
+
+} // end class
+
+exports = SVGContext;
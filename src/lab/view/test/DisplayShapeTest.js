@@ -152,6 +152,7 @@ class DisplayShapeTest {
 
 static test() {
   schedule(DisplayShapeTest.testDisplayShape);
+  schedule(DisplayShapeTest.testSleeping);
 };
 
 /** @suppress {invalidCasts} */
@@ -200,6 +201,34 @@ static testDisplayShape() {
   assertEquals('blue', mockContext.fillStyle);
 };
 
+/** @suppress {invalidCasts} */
+static testSleeping() {
+  startTest(DisplayShapeTest.groupName+'testSleeping');
+  var mockContext = new MockContext(1E-14);
+  var screenRect = new ScreenRect(/*top=*/0, /*left=*/0, /*width=*/500,
+      /*height=*/300);
+  var simRect = new DoubleRect(/*left=*/-10, /*bottom=*/-10, /*right=*/10, /*top=*/10);
+  var map = CoordMap.make(screenRect, simRect, HorizAlign.LEFT,
+      VerticalAlign.FULL);
+  var point1 = PointMass.makeRectangle(2, 1.6);
+  var proto = new DisplayShape().setFillStyle('orange');
+  var shape1 = new DisplayShape(point1, proto);
+  assertEquals('', shape1.getSleepingFillStyle());
+  // without a sleeping fill style, a sleeping object is drawn as usual
+  point1.setSleeping(true);
+  shape1.draw(/** @type {!CanvasRenderingContext2D} */(mockContext), map);
+  assertEquals('orange', mockContext.fillStyle);
+  // sleeping fill style is inherited from the prototype
+  proto.setSleepingFillStyle('gray');
+  assertEquals('gray', shape1.getSleepingFillStyle());
+  shape1.draw(/** @type {!CanvasRenderingContext2D} */(mockContext), map);
+  assertEquals('gray', mockContext.fillStyle);
+  // the usual fill style is used when the object wakes up
+  point1.setSleeping(false);
+  shape1.draw(/** @type {!CanvasRenderingContext2D} */(mockContext), map);
+  assertEquals('orange', mockContext.fillStyle);
+};
+
 } // end class
 
 /**
@@ -0,0 +1,201 @@
+// Copyright 2016 Erik Neumann.  All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+goog.module('myphysicslab.lab.view.test.SVGContextTest');
+
+const DisplayShape = goog.require('myphysicslab.lab.view.DisplayShape');
+const DisplayText = goog.require('myphysicslab.lab.view.DisplayText');
+const DoubleRect = goog.require('myphysicslab.lab.util.DoubleRect');
+const LabCanvas = goog.require('myphysicslab.lab.view.LabCanvas');
+const PointMass = goog.require('myphysicslab.lab.model.PointMass');
+const SVGContext = goog.require('myphysicslab.lab.view.SVGContext');
+const SimView = goog.require('myphysicslab.lab.view.SimView');
+const TestRig = goog.require('myphysicslab.test.TestRig');
+const Vector = goog.require('myphysicslab.lab.util.Vector');
+
+const assertEquals = TestRig.assertEquals;
+const assertTrue = TestRig.assertTrue;
+const assertFalse = TestRig.assertFalse;
+const schedule = TestRig.schedule;
+const startTest = TestRig.startTest;
+
+class SVGContextTest {
+
+static test() {
+  schedule(SVGContextTest.testPath);
+  schedule(SVGContextTest.testArc);
+  schedule(SVGContextTest.testSaveRestore);
+  schedule(SVGContextTest.testText);
+  schedule(SVGContextTest.testImage);
+  schedule(SVGContextTest.testLabCanvas);
+};
+
+static testPath() {
+  startTest(SVGContextTest.groupName+'testPath');
+  var svg = new SVGContext(200, 100);
+  assertEquals('<svg xmlns="http://www.w3.org/2000/svg"'
+      +' xmlns:xlink="http://www.w3.org/1999/xlink" width="200" height="100"'
+      +' viewBox="0 0 200 100">\n\n</svg>\n', svg.toSVG());
+  // paths are converted to screen coordinates with the transform in effect
+  svg.translate(10, 20);
+  svg.scale(2, 2);
+  svg.beginPath();
+  svg.moveTo(0, 0);
+  svg.lineTo(5, 0);
+  svg.lineTo(5, 5);
+  svg.closePath();
+  svg.strokeStyle = 'red';
+  svg.lineWidth = 1.5;
+  svg.setLineDash([2, 1]);
+  svg.stroke();
+  assertTrue(svg.toSVG().indexOf('<path d="M10 20 L20 20 L20 30 Z" fill="none"'
+      +' stroke="red" stroke-width="3" stroke-dasharray="4 2"/>') > -1);
+  svg.setTransform(1, 0, 0, 1, 0, 0);
+  svg.fillStyle = 'blue';
+  svg.fillRect(1, 2, 3, 4);
+  assertTrue(svg.toSVG().indexOf('<path d="M1 2 L4 2 L4 6 L1 6 Z" fill="blue"'
+      +' stroke="none"/>') > -1);
+  // a path with no points draws nothing
+  svg = new SVGContext(200, 100);
+  svg.beginPath();
+  svg.stroke();
+  svg.fill();
+  assertFalse(svg.toSVG().indexOf('<path') > -1);
+};
+
+static testArc() {
+  startTest(SVGContextTest.groupName+'testArc');
+  var svg = new SVGContext(100, 100);
+  svg.beginPath();
+  svg.arc(50, 50, 10, 0, 2*Math.PI, false);
+  svg.fill();
+  var s = svg.toSVG();
+  // a full circle is made of four cubic Bezier curves, starting and ending at angle 0
+  assertTrue(s.indexOf('d="M60 50 C') > -1);
+  assertEquals(4, s.split('C').length - 1);
+  assertTrue(s.indexOf(' 60 50"') > -1);
+};
+
+static testSaveRestore() {
+  startTest(SVGContextTest.groupName+'testSaveRestore');
+  var svg = new SVGContext(100, 100);
+  svg.fillStyle = 'red';
+  svg.setLineDash([3, 3]);
+  svg.save();
+  svg.fillStyle = 'green';
+  svg.translate(10, 10);
+  svg.setLineDash([]);
+  svg.globalAlpha = 0.5;
+  svg.fillRect(0, 0, 1, 1);
+  svg.restore();
+  assertEquals('red', svg.fillStyle);
+  assertEquals(1, svg.globalAlpha);
+  assertEquals(2, svg.getLineDash().length);
+  svg.fillRect(0, 0, 1, 1);
+  var s = svg.toSVG();
+  assertTrue(s.indexOf('<path d="M10 10 L11 10 L11 11 L10 11 Z" fill="green"'
+      +' stroke="none" opacity="0.5"/>') > -1);
+  assertTrue(s.indexOf('<path d="M0 0 L1 0 L1 1 L0 1 Z" fill="red"'
+      +' stroke="none"/>') > -1);
+  // restore without save does nothing
+  svg.restore();
+  assertEquals('red', svg.fillStyle);
+};
+
+static testText() {
+  startTest(SVGContextTest.groupName+'testText');
+  var svg = new SVGContext(100, 100);
+  svg.font = '12px sans-serif';
+  svg.textAlign = 'center';
+  svg.textBaseline = 'middle';
+  svg.translate(5, 5);
+  svg.fillText('a<b & "c"', 1, 2);
+  assertTrue(svg.toSVG().indexOf('<text transform="matrix(1 0 0 1 5 5)" x="1" y="2"'
+      +' style="font: 12px sans-serif" fill="black" text-anchor="middle"'
+      +' dominant-baseline="middle">a&lt;b &amp; &quot;c&quot;</text>') > -1);
+  // without a canvas context, text width is estimated from the font size
+  assertEquals(0.6*12*4, svg.measureText('abcd').width);
+};
+
+static testImage() {
+  startTest(SVGContextTest.groupName+'testImage');
+  var svg = new SVGContext(100, 100);
+  // an image without a URL cannot be drawn
+  var img = /** @type {!HTMLImageElement} */(document.createElement('img'));
+  img.width = 20;
+  img.height = 10;
+  assertEquals(null, svg.createPattern(img, 'repeat'));
+  svg.drawImage(img, 0, 0);
+  assertEquals(-1, svg.toSVG().indexOf('<image'));
+  img.src = 'truck.png';
+  var href = img.src;
+  svg.drawImage(img, 1, 2);
+  assertTrue(svg.toSVG().indexOf('<image transform="matrix(1 0 0 1 0 0)" x="1" y="2"'
+      +' width="20" height="10" preserveAspectRatio="none" xlink:href="'+href+'"/>')
+      > -1);
+  // a pattern uses the transform in effect when it is used
+  var pattern = svg.createPattern(img, 'repeat');
+  assertTrue(pattern != null);
+  svg.fillStyle = /** @type {!Object} */(pattern);
+  svg.translate(5, 5);
+  svg.fillRect(0, 0, 1, 1);
+  var s = svg.toSVG();
+  assertTrue(s.indexOf('<pattern id="pattern0" patternUnits="userSpaceOnUse"'
+      +' width="20" height="10" patternTransform="matrix(1 0 0 1 5 5)">'
+      +'<image width="20" height="10" preserveAspectRatio="none"'
+      +' xlink:href="'+href+'"/></pattern>') > -1);
+  assertTrue(s.indexOf('fill="url(#pattern0)"') > -1);
+  // a pattern that does not repeat has a large tile
+  svg.strokeStyle = /** @type {!Object} */(svg.createPattern(img, 'no-repeat'));
+  svg.strokeRect(0, 0, 1, 1);
+  s = svg.toSVG();
+  assertTrue(s.indexOf('<pattern id="pattern1" patternUnits="userSpaceOnUse"'
+      +' width="1000000" height="1000000"') > -1);
+  assertTrue(s.indexOf('stroke="url(#pattern1)"') > -1);
+  // a gradient made by an HTML canvas cannot be read, and is drawn as gray
+  svg.fillStyle = {};
+  svg.fillRect(0, 0, 1, 1);
+  assertTrue(svg.toSVG().indexOf('fill="gray"') > -1);
+};
+
+static testLabCanvas() {
+  startTest(SVGContextTest.groupName+'testLabCanvas');
+  var canvas = /** @type {!HTMLCanvasElement} */(document.createElement('canvas'));
+  var labCanvas = new LabCanvas(canvas, 'lc');
+  labCanvas.setSize(200, 200);
+  labCanvas.setBackground('white');
+  var simView = new SimView('simView', new DoubleRect(-5, -5, 5, 5));
+  labCanvas.addView(simView);
+  var point = PointMass.makeCircle(2, 'point');
+  point.setPosition(new Vector(1, 1));
+  var shape = new DisplayShape(point);
+  shape.setFillStyle('orange');
+  simView.getDisplayList().add(shape);
+  simView.getDisplayList().add(new DisplayText('hello', new Vector(-3, -3)));
+  var s = labCanvas.toSVG();
+  assertTrue(s.indexOf('width="200" height="200" viewBox="0 0 200 200"') > -1);
+  assertTrue(s.indexOf('<path d="M0 0 L200 0 L200 200 L0 200 Z" fill="white"') > -1);
+  assertTrue(s.indexOf('fill="orange"') > -1);
+  assertTrue(s.indexOf('>hello</text>') > -1);
+};
+
+} // end class
+
+/**
+* @type {string}
+* @const
+*/
+SVGContextTest.groupName = 'SVGContextTest.';
+
+exports = SVGContextTest;
@@ -33,6 +33,7 @@ const EasyScriptParser = goog.require('myphysicslab.lab.util.EasyScriptParser');
 const EnergyBarGraph = goog.require('myphysicslab.lab.graph.EnergyBarGraph');
 const EnergySystem = goog.require('myphysicslab.lab.model.EnergySystem');
 const EventHandler = goog.require('myphysicslab.lab.app.EventHandler');
+const FrameRecorder = goog.require('myphysicslab.lab.app.FrameRecorder');
 const GenericObserver = goog.require('myphysicslab.lab.util.GenericObserver');
 const LabControl = goog.require('myphysicslab.lab.controls.LabControl');
 const LabelControl = goog.require('myphysicslab.lab.controls.LabelControl');
@@ -45,14 +46,17 @@ const ParameterNumber = goog.require('myphysicslab.lab.util.ParameterNumber');
 const SimController = goog.require('myphysicslab.lab.app.SimController');
 const SimList = goog.require('myphysicslab.lab.model.SimList');
 const SimRunner = goog.require('myphysicslab.lab.app.SimRunner');
+const SimSnapshot = goog.require('myphysicslab.lab.app.SimSnapshot');
 const SimView = goog.require('myphysicslab.lab.view.SimView');
 const SliderControl = goog.require('myphysicslab.lab.controls.SliderControl');
+const SpectrumGraph = goog.require('myphysicslab.sims.common.SpectrumGraph');
 const StandardGraph1 = goog.require('myphysicslab.sims.common.StandardGraph1');
 const Subject = goog.require('myphysicslab.lab.util.Subject');
 const SubjectList = goog.require('myphysicslab.lab.util.SubjectList');
 const TabLayout = goog.require('myphysicslab.sims.common.TabLayout');
 const Terminal = goog.require('myphysicslab.lab.util.Terminal');
 const TimeGraph1 = goog.require('myphysicslab.sims.common.TimeGraph1');
+const Timeline = goog.require('myphysicslab.lab.app.Timeline');
 const ToggleControl = goog.require('myphysicslab.lab.controls.ToggleControl');
 const Util = goog.require('myphysicslab.lab.util.Util');
 const VarsList = goog.require('myphysicslab.lab.model.VarsList');
@@ -146,6 +150,10 @@ constructor(elem_ids, simRect, sim, advance, eventHandler, energySystem, opt_nam
   this.simRun.addErrorObserver(this.simCtrl);
   /** @type {!Clock} */
   this.clock = this.simRun.getClock();
+  /** @type {!Timeline} */
+  this.timeline = new Timeline(this.simRun, sim);
+  /** @type {!FrameRecorder} */
+  this.recorder = new FrameRecorder(this.simRun, simCanvas);
 
   /** @type {?EnergyBarGraph} */
   this.energyGraph = null;
@@ -187,8 +195,14 @@ constructor(elem_ids, simRect, sim, advance, eventHandler, energySystem, opt_nam
   this.timeGraph = new TimeGraph1(sim.getVarsList(), this.layout.timeGraphCanvas,
       this.layout.time_graph_controls, this.layout.div_time_graph, this.simRun);
 
+  /** @type {!SpectrumGraph} */
+  this.spectrumGraph = new SpectrumGraph(this.timeGraph.line1,
+      this.layout.timeGraphCanvas, this.layout.time_graph_controls);
+
   /** @type {!EasyScriptParser} */
   this.easyScript;
+  /** @type {!SimSnapshot} */
+  this.snapshot;
 };
 
 /** @override */
@@ -203,13 +217,17 @@ toString() {
     +', axes: '+this.axes.toStringShort()
     +', simRun: '+this.simRun.toStringShort()
     +', clock: '+this.clock.toStringShort()
+    +', timeline: '+this.timeline.toStringShort()
+    +', recorder: '+this.recorder.toStringShort()
     +', energyGraph: '+(this.energyGraph == null ? 'null' :
         this.energyGraph.toStringShort())
     +', displayClock: '+this.displayClock.toStringShort()
     +', graph: '+this.graph.toStringShort()
     +', timeGraph: '+this.timeGraph.toStringShort()
+    +', spectrumGraph: '+this.spectrumGraph.toStringShort()
     +', layout: '+this.layout.toStringShort()
     +', easyScript: '+this.easyScript.toStringShort()
+    +', snapshot: '+this.snapshot.toStringShort()
     +', terminal: '+this.terminal
     + super.toString();
 };
@@ -246,6 +264,18 @@ addStandardControls() {
   this.addControl(new ChoiceControl(ps));
   var bm = CommonControls.makeBackgroundMenu(this.layout.simCanvas);
   this.addControl(bm);
+  goog.array.forEach(CommonControls.makeTimelineControls(this.timeline),
+      function(c) { this.addControl(c); }, this);
+  this.addControl(new ButtonControl(FrameRecorder.i18n.RECORD,
+      goog.bind(function() {
+        if (this.recorder.getRecording()) {
+          this.recorder.stop();
+        } else {
+          this.recorder.start();
+        }
+      }, this)));
+  this.addControl(new ButtonControl(FrameRecorder.i18n.SAVE_SVG,
+      goog.bind(function() { this.recorder.saveSVG(); }, this)));
   // show compile time so user can ensure loading latest version
   if (Util.DEBUG) {
     this.addControl(new LabelControl('compiled '+Util.COMPILE_TIME));
@@ -262,8 +292,9 @@ defineNames(myName) {
   if (!Util.ADVANCED) {
     this.terminal.addWhiteList(myName);
     this.terminal.addRegex('advance|axes|clock|diffEqSolver|displayClock|energyGraph'
-        +'|graph|layout|sim|simCtrl|simList|simRect|simRun|simView|statusView'
-        +'|timeGraph|easyScript|terminal|varsList|displayList',
+        +'|graph|layout|recorder|sim|simCtrl|simList|simRect|simRun|simView|statusView'
+        +'|timeGraph|spectrumGraph|timeline|easyScript|snapshot|terminal|varsList'
+        +'|displayList',
         myName+'.');
     this.terminal.addRegex('simCanvas',
         myName+'.layout.');
@@ -282,6 +313,7 @@ makeEasyScript(opt_dependent) {
   }
   this.easyScript = CommonControls.makeEasyScript(this.getSubjects(), dependent,
       this.simRun, this.terminal);
+  this.snapshot = new SimSnapshot(this.sim, this.simRun, this.easyScript);
 };
 
 /** @override */
@@ -292,12 +324,15 @@ getSubjects() {
     this.diffEqSolver,
     this.simRun,
     this.clock,
+    this.timeline,
+    this.recorder,
     this.simView,
     this.statusView,
     this.varsList
   ];
   return goog.array.concat(subjects, this.layout.getSubjects(),
-      this.graph.getSubjects(), this.timeGraph.getSubjects());
+      this.graph.getSubjects(), this.timeGraph.getSubjects(),
+      this.spectrumGraph.getSubjects());
 };
 
 /**
@@ -309,6 +344,10 @@ addURLScriptButton() {
     CommonControls.makeURLScriptButton(this.easyScript, this.simRun));
   this.timeGraph.addControl(
     CommonControls.makeURLScriptButton(this.easyScript, this.simRun));
+  this.addControl(new ButtonControl(SimSnapshot.i18n.SAVE_SNAPSHOT,
+      goog.bind(function() { this.snapshot.saveFile(); }, this)));
+  this.addControl(new ButtonControl(SimSnapshot.i18n.LOAD_SNAPSHOT,
+      goog.bind(this.snapshot.loadFile, this.snapshot)));
 };
 
 /**
@@ -16,6 +16,7 @@ goog.module('myphysicslab.sims.common.CommonControls');
 
 const AbstractSubject = goog.require('myphysicslab.lab.util.AbstractSubject');
 const ButtonControl = goog.require('myphysicslab.lab.controls.ButtonControl');
+const CheckBoxControl = goog.require('myphysicslab.lab.controls.CheckBoxControl');
 const ChoiceControlBase = goog.require('myphysicslab.lab.controls.ChoiceControlBase');
 const DisplayAxes = goog.require('myphysicslab.lab.graph.DisplayAxes');
 const DisplayClock = goog.require('myphysicslab.lab.view.DisplayClock');
@@ -25,12 +26,15 @@ const GenericObserver = goog.require('myphysicslab.lab.util.GenericObserver');
 const GroupControl = goog.require('myphysicslab.lab.controls.GroupControl');
 const HorizAlign = goog.require('myphysicslab.lab.view.HorizAlign');
 const LabCanvas = goog.require('myphysicslab.lab.view.LabCanvas');
+const LabControl = goog.require('myphysicslab.lab.controls.LabControl');
 const LabView = goog.require('myphysicslab.lab.view.LabView');
 const ParameterBoolean = goog.require('myphysicslab.lab.util.ParameterBoolean');
 const SimRunner = goog.require('myphysicslab.lab.app.SimRunner');
 const SimView = goog.require('myphysicslab.lab.view.SimView');
+const SliderControl = goog.require('myphysicslab.lab.controls.SliderControl');
 const Subject = goog.require('myphysicslab.lab.util.Subject');
 const Terminal = goog.require('myphysicslab.lab.util.Terminal');
+const Timeline = goog.require('myphysicslab.lab.app.Timeline');
 const ToggleControl = goog.require('myphysicslab.lab.controls.ToggleControl');
 const Util = goog.require('myphysicslab.lab.util.Util');
 const Vector = goog.require('myphysicslab.lab.util.Vector');
@@ -424,6 +428,21 @@ static makeShowPanZoomParam(panZoomDiv, subject) {
   return pb;
 };
 
+/** Makes controls for rewinding the simulation with a {@link Timeline}: a checkbox to
+turn recording on or off, a slider for the timeline position, and a button to step back.
+* @param {!Timeline} timeline
+* @return {!Array<!LabControl>}
+*/
+static makeTimelineControls(timeline) {
+  var pb = timeline.getParameterBoolean(Timeline.en.RECORD_TIMELINE);
+  var pn = timeline.getParameterNumber(Timeline.en.TIMELINE_POSITION);
+  return [
+    new CheckBoxControl(pb),
+    new SliderControl(pn, 0, 1, /*multiply=*/false, timeline.getCapacity() - 1),
+    new ButtonControl(Timeline.i18n.STEP_BACK, goog.bind(timeline.stepBack, timeline))
+  ];
+};
+
 /** Creates a 'share' button that allows the user to copy the URL for the current
 page including the script that will set all of the available Parameters.
 Presents the user with a prompt showing a text box with the URL + script.
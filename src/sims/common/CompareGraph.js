@@ -14,6 +14,8 @@
 
 goog.module('myphysicslab.sims.common.CompareGraph');
 
+goog.require('goog.array');
+
 const AbstractSubject = goog.require('myphysicslab.lab.util.AbstractSubject');
 const AutoScale = goog.require('myphysicslab.lab.graph.AutoScale');
 const ButtonControl = goog.require('myphysicslab.lab.controls.ButtonControl');
@@ -24,6 +26,7 @@ const DisplayAxes = goog.require('myphysicslab.lab.graph.DisplayAxes');
 const DisplayGraph = goog.require('myphysicslab.lab.graph.DisplayGraph');
 const DoubleRect = goog.require('myphysicslab.lab.util.DoubleRect');
 const DrawingMode = goog.require('myphysicslab.lab.view.DrawingMode');
+const EnergySystem = goog.require('myphysicslab.lab.model.EnergySystem');
 const GenericEvent = goog.require('myphysicslab.lab.util.GenericEvent');
 const GenericObserver = goog.require('myphysicslab.lab.util.GenericObserver');
 const GraphLine = goog.require('myphysicslab.lab.graph.GraphLine');
@@ -42,6 +45,7 @@ const Subject = goog.require('myphysicslab.lab.util.Subject');
 const SubjectList = goog.require('myphysicslab.lab.util.SubjectList');
 const Terminal = goog.require('myphysicslab.lab.util.Terminal');
 const Util = goog.require('myphysicslab.lab.util.Util');
+const VarsList = goog.require('myphysicslab.lab.model.VarsList');
 const VerticalAlign = goog.require('myphysicslab.lab.view.VerticalAlign');
 
 /** Creates a graph showing two GraphLines corresponding to two Simulations, where the
@@ -51,6 +55,20 @@ controls to modify the graph. The menu choices are only connected to the first
 GraphLine. The second GraphLine should be externally synchronized to show the same
 variables as the first GraphLine.
 
+Compare Energy Mode
+-------------------
+When both Simulations have a total energy variable, there is a 'compare energy' mode
+which graphs total energy versus time for both Simulations, see
+{@link #setCompareEnergy}. This is useful for comparing how well different
+DiffEqSolvers conserve energy: for example a symplectic solver like
+{@link myphysicslab.lab.model.VelocityVerlet} has a bounded energy error, while the
+energy slowly drifts with {@link myphysicslab.lab.model.RungeKutta}.
+
+Parameters Created
+------------------
++ ParameterBoolean named `COMPARE_ENERGY`, see {@link #setCompareEnergy}. Only created
+when both Simulations have a total energy variable.
+
 * @implements {SubjectList}
 */
 class CompareGraph extends AbstractSubject {
@@ -155,6 +173,27 @@ constructor(line1, line2, graphCanvas, div_controls, div_graph, simRun) {
   /** @type {!ParameterBoolean} */
   var pb = CommonControls.makeShowPanZoomParam(panzoom, this);
   this.addControl(new CheckBoxControl(pb));
+
+  /** Whether graphing total energy versus time for both GraphLines.
+  * @type {boolean}
+  * @private
+  */
+  this.compareEnergy_ = false;
+  /** The X and Y variables of the GraphLines to restore when leaving compare energy
+  * mode.
+  * @type {!Array<number>}
+  * @private
+  */
+  this.savedVariables_ = [];
+  if (CompareGraph.energyIndex_(line1.getVarsList()) > -1
+      && CompareGraph.energyIndex_(line2.getVarsList()) > -1) {
+    pb = new ParameterBoolean(this, CompareGraph.en.COMPARE_ENERGY,
+        CompareGraph.i18n.COMPARE_ENERGY,
+        goog.bind(this.getCompareEnergy, this),
+        goog.bind(this.setCompareEnergy, this));
+    this.addParameter(pb);
+    this.addControl(new CheckBoxControl(pb));
+  }
 };
 
 /** @override */
@@ -176,11 +215,66 @@ getClassName() {
   return 'CompareGraph';
 };
 
+/** Returns whether graphing total energy versus time for both GraphLines.
+* @return {boolean} whether in compare energy mode
+*/
+getCompareEnergy() {
+  return this.compareEnergy_;
+};
+
 /** @override */
 getSubjects() {
   return [ this, this.line1, this.line2, this.view, this.autoScale ];
 };
 
+/** Sets whether to graph total energy versus time for both GraphLines. When turned off,
+the GraphLines go back to showing the variables they showed before. The graph is
+cleared when the mode changes.
+* @param {boolean} value whether to graph total energy versus time
+* @throws {!Error} if a Simulation does not have a total energy variable
+*/
+setCompareEnergy(value) {
+  if (value == this.compareEnergy_) {
+    return;
+  }
+  var lines = [this.line1, this.line2];
+  if (value) {
+    this.savedVariables_ = [];
+    goog.array.forEach(lines, function(line) {
+      var va = line.getVarsList();
+      var energyIdx = CompareGraph.energyIndex_(va);
+      if (energyIdx < 0) {
+        throw new Error('no total energy variable in '+va.toStringShort());
+      }
+      this.savedVariables_.push(line.getXVariable(), line.getYVariable());
+      line.setXVariable(va.timeIndex());
+      line.setYVariable(energyIdx);
+    }, this);
+  } else {
+    goog.array.forEach(lines, function(line, i) {
+      line.setXVariable(this.savedVariables_[2*i]);
+      line.setYVariable(this.savedVariables_[2*i + 1]);
+    }, this);
+  }
+  this.compareEnergy_ = value;
+  this.line1.reset();
+  this.line2.reset();
+  this.autoScale.reset();
+  this.broadcastParameter(CompareGraph.en.COMPARE_ENERGY);
+};
+
+/** Returns index of the total energy variable in the VarsList, or -1 if there is no
+total energy variable.
+* @param {!VarsList} varsList
+* @return {number} index of the total energy variable, or -1 if not found
+* @private
+*/
+static energyIndex_(varsList) {
+  return goog.array.findIndex(varsList.toArray(), function(v) {
+    return v.nameEquals(EnergySystem.en.TOTAL_ENERGY);
+  });
+};
+
 /** Add the control to the set of simulation controls.
 * @param {!LabControl} control
 * @return {!LabControl} the control that was passed in
@@ -195,4 +289,32 @@ addControl(control) {
 
 } // end class
 
+/** Set of internationalized strings.
+@typedef {{
+  COMPARE_ENERGY: string
+  }}
+*/
+CompareGraph.i18n_strings;
+
+/**
+@type {CompareGraph.i18n_strings}
+*/
+CompareGraph.en = {
+  COMPARE_ENERGY: 'compare energy'
+};
+
+/**
+@private
+@type {CompareGraph.i18n_strings}
+*/
+CompareGraph.de_strings = {
+  COMPARE_ENERGY: 'Energie vergleichen'
+};
+
+/** Set of internationalized strings.
+@type {CompareGraph.i18n_strings}
+*/
+CompareGraph.i18n = goog.LOCALE === 'de' ? CompareGraph.de_strings :
+    CompareGraph.en;
+
 exports = CompareGraph;
@@ -0,0 +1,272 @@
+// Copyright 2016 Erik Neumann.  All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+goog.module('myphysicslab.sims.common.SpectrumGraph');
+
+goog.require('goog.array');
+
+const AbstractSubject = goog.require('myphysicslab.lab.util.AbstractSubject');
+const AutoScale = goog.require('myphysicslab.lab.graph.AutoScale');
+const CheckBoxControl = goog.require('myphysicslab.lab.controls.CheckBoxControl');
+const ChoiceControl = goog.require('myphysicslab.lab.controls.ChoiceControl');
+const CommonControls = goog.require('myphysicslab.sims.common.CommonControls');
+const DisplayAxes = goog.require('myphysicslab.lab.graph.DisplayAxes');
+const DisplayGraph = goog.require('myphysicslab.lab.graph.DisplayGraph');
+const DisplayText = goog.require('myphysicslab.lab.view.DisplayText');
+const DoubleRect = goog.require('myphysicslab.lab.util.DoubleRect');
+const GenericObserver = goog.require('myphysicslab.lab.util.GenericObserver');
+const GraphLine = goog.require('myphysicslab.lab.graph.GraphLine');
+const HorizAlign = goog.require('myphysicslab.lab.view.HorizAlign');
+const LabCanvas = goog.require('myphysicslab.lab.view.LabCanvas');
+const LabControl = goog.require('myphysicslab.lab.controls.LabControl');
+const LabView = goog.require('myphysicslab.lab.view.LabView');
+const NumericControl = goog.require('myphysicslab.lab.controls.NumericControl');
+const ParameterBoolean = goog.require('myphysicslab.lab.util.ParameterBoolean');
+const SimView = goog.require('myphysicslab.lab.view.SimView');
+const SpectrumLine = goog.require('myphysicslab.lab.graph.SpectrumLine');
+const SubjectList = goog.require('myphysicslab.lab.util.SubjectList');
+const Util = goog.require('myphysicslab.lab.util.Util');
+const VarsHistory = goog.require('myphysicslab.lab.graph.VarsHistory');
+const Vector = goog.require('myphysicslab.lab.util.Vector');
+const VerticalAlign = goog.require('myphysicslab.lab.view.VerticalAlign');
+
+/** Creates a graph of the frequency spectrum of a variable's history, with labels
+showing the frequencies of the largest peaks. Uses a {@link SpectrumLine} which is
+updated as the simulation runs. Creates an AutoScale that ensures the spectrum is
+visible. Creates several controls to modify the graph.
+
+The graph shares a LabCanvas with another graph, usually the time graph whose GraphLine
+is the source of the history. When the spectrum is shown, the other LabViews are
+removed from the LabCanvas but are still memorized, so that the source continues to
+collect data. See {@link #setShowSpectrum}.
+
+Parameters Created
+------------------
+
++ ParameterBoolean named `SHOW_SPECTRUM`, see {@link #setShowSpectrum}
+
+* @implements {SubjectList}
+*/
+class SpectrumGraph extends AbstractSubject {
+/**
+* @param {!GraphLine|!VarsHistory} source the GraphLine or VarsHistory which provides
+*     the history of the variable
+* @param {!LabCanvas} graphCanvas the LabCanvas where the graph should appear
+* @param {!Element} div_controls the HTML div where controls should be added
+*/
+constructor(source, graphCanvas, div_controls) {
+  super('SPECTRUM_GRAPH_LAYOUT');
+  /** @type {!LabCanvas} */
+  this.canvas = graphCanvas;
+  /** @type {!SimView} */
+  this.view = new SimView('SPECTRUM_VIEW', new DoubleRect(0, 0, 1, 1));
+  this.view.setHorizAlign(HorizAlign.FULL);
+  this.view.setVerticalAlign(VerticalAlign.FULL);
+  /** @type {!DisplayAxes} */
+  this.axes = CommonControls.makeAxes(this.view, /*bottomLeft=*/true);
+  /** @type {!SpectrumLine} */
+  this.line = new SpectrumLine('SPECTRUM_LINE', source);
+  this.line.setHotSpotColor('');
+  this.view.addMemo(this.line);
+  /** @type {!AutoScale} */
+  this.autoScale = new AutoScale('SPECTRUM_AUTO_SCALE', this.line, this.view);
+  this.autoScale.extraMargin = 0.05;
+  /** @type {!DisplayGraph} */
+  this.displayGraph = new DisplayGraph(this.line);
+  // the SpectrumLine replaces all its points on each update
+  this.displayGraph.setUseBuffer(false);
+  this.displayGraph.setScreenRect(this.view.getScreenRect());
+  this.view.getDisplayList().prepend(this.displayGraph);
+  // inform displayGraph when the screen rect changes.
+  new GenericObserver(this.view, goog.bind(function(evt) {
+      if (evt.nameEquals(LabView.SCREEN_RECT_CHANGED)) {
+        this.displayGraph.setScreenRect(this.view.getScreenRect());
+      }
+    }, this), 'resize DisplayGraph');
+  /** Labels showing the frequency of each peak.
+  * @type {!Array<!DisplayText>}
+  * @private
+  */
+  this.peakLabels_ = [];
+  /** The LabViews that were removed from the LabCanvas to show the spectrum.
+  * @type {!Array<!LabView>}
+  * @private
+  */
+  this.hiddenViews_ = [];
+  /**
+  * @type {boolean}
+  * @private
+  */
+  this.showSpectrum_ = false;
+  this.axes.setHorizName(SpectrumGraph.i18n.FREQUENCY);
+  this.axes.setVerticalName(this.line.getYVarName());
+  new GenericObserver(this.line, goog.bind(function(evt) {
+    if (evt.nameEquals(SpectrumLine.SPECTRUM_UPDATED)) {
+      // the range of the new spectrum can be smaller than the previous spectrum
+      this.autoScale.reset();
+      this.updatePeakLabels_();
+    } else if (evt.nameEquals(GraphLine.RESET)) {
+      this.updatePeakLabels_();
+    } else if (evt.nameEquals(GraphLine.en.Y_VARIABLE)) {
+      this.axes.setVerticalName(this.line.getYVarName());
+    }
+  }, this), 'update spectrum peak labels and axes');
+
+  /** @type {!Array<!LabControl>} */
+  this.controls_ = [];
+  /** @type {!Element} */
+  this.div_controls = div_controls;
+  this.addParameter(new ParameterBoolean(this, SpectrumGraph.en.SHOW_SPECTRUM,
+      SpectrumGraph.i18n.SHOW_SPECTRUM,
+      goog.bind(this.getShowSpectrum, this), goog.bind(this.setShowSpectrum, this)));
+  this.addControl(new CheckBoxControl(
+      this.getParameterBoolean(SpectrumGraph.en.SHOW_SPECTRUM)));
+  var pn = this.line.getParameterNumber(SpectrumLine.en.WINDOW_SIZE);
+  this.addControl(new ChoiceControl(pn));
+  var ps = this.line.getParameterString(SpectrumLine.en.WINDOW_FUNCTION);
+  this.addControl(new ChoiceControl(ps));
+  pn = this.line.getParameterNumber(SpectrumLine.en.UPDATE_INTERVAL);
+  this.addControl(new NumericControl(pn));
+  pn = this.line.getParameterNumber(SpectrumLine.en.MAX_FREQUENCY);
+  this.addControl(new NumericControl(pn));
+  pn = this.line.getParameterNumber(SpectrumLine.en.NUM_PEAKS);
+  this.addControl(new NumericControl(pn));
+};
+
+/** @override */
+toString() {
+  return Util.ADVANCED ? '' : this.toStringShort().slice(0, -1)
+      +', canvas: '+this.canvas.toStringShort()
+      +', view: '+this.view.toStringShort()
+      +', line: '+this.line.toStringShort()
+      +', axes: '+this.axes.toStringShort()
+      +', autoScale: '+this.autoScale.toStringShort()
+      +', displayGraph: '+this.displayGraph.toStringShort()
+      + super.toString();
+};
+
+/** @override */
+getClassName() {
+  return 'SpectrumGraph';
+};
+
+/** Add the control to the set of simulation controls.
+* @param {!LabControl} control
+* @return {!LabControl} the control that was passed in
+*/
+addControl(control) {
+  var element = control.getElement();
+  element.style.display = 'block';
+  this.div_controls.appendChild(element);
+  this.controls_.push(control);
+  return control;
+};
+
+/** Returns whether the spectrum is shown in the LabCanvas.
+* @return {boolean} whether the spectrum is shown
+*/
+getShowSpectrum() {
+  return this.showSpectrum_;
+};
+
+/** @override */
+getSubjects() {
+  return [ this, this.line, this.view, this.autoScale ];
+};
+
+/** Sets whether the spectrum is shown in the LabCanvas. When shown, the other LabViews
+of the LabCanvas are removed, but they continue to be memorized so that the source of
+the spectrum keeps collecting data. When hidden, those LabViews are restored.
+* @param {boolean} value whether to show the spectrum
+*/
+setShowSpectrum(value) {
+  if (value != this.showSpectrum_) {
+    this.showSpectrum_ = value;
+    if (value) {
+      this.hiddenViews_ = this.canvas.getViews();
+      goog.array.forEach(this.hiddenViews_, function(view) {
+        this.canvas.removeView(view);
+        this.canvas.addMemo(view);
+      }, this);
+      this.canvas.addView(this.view);
+    } else {
+      this.canvas.removeView(this.view);
+      goog.array.forEach(this.hiddenViews_, function(view) {
+        this.canvas.removeMemo(view);
+        this.canvas.addView(view);
+      }, this);
+      this.hiddenViews_ = [];
+    }
+    this.broadcastParameter(SpectrumGraph.en.SHOW_SPECTRUM);
+  }
+};
+
+/** Moves the peak labels to the current peaks of the spectrum, making more labels
+when needed and hiding the unused labels.
+* @return {undefined}
+* @private
+*/
+updatePeakLabels_() {
+  var peaks = this.line.getPeaks();
+  while (this.peakLabels_.length < peaks.length) {
+    var label = new DisplayText();
+    label.setTextAlign('center');
+    label.setTextBaseline('bottom');
+    this.peakLabels_.push(label);
+    this.view.getDisplayList().add(label);
+  }
+  goog.array.forEach(this.peakLabels_, function(label, i) {
+    if (i < peaks.length) {
+      label.setText(Util.NF(peaks[i].getX()));
+      label.setPosition(peaks[i]);
+    } else {
+      label.setText('');
+    }
+  });
+};
+
+} // end class
+
+/** Set of internationalized strings.
+@typedef {{
+  FREQUENCY: string,
+  SHOW_SPECTRUM: string
+  }}
+*/
+SpectrumGraph.i18n_strings;
+
+/**
+@type {SpectrumGraph.i18n_strings}
+*/
+SpectrumGraph.en = {
+  FREQUENCY: 'frequency',
+  SHOW_SPECTRUM: 'show spectrum'
+};
+
+/**
+@private
+@type {SpectrumGraph.i18n_strings}
+*/
+SpectrumGraph.de_strings = {
+  FREQUENCY: 'Frequenz',
+  SHOW_SPECTRUM: 'Spektrum zeigen'
+};
+
+/** Set of internationalized strings.
+@type {SpectrumGraph.i18n_strings}
+*/
+SpectrumGraph.i18n = goog.LOCALE === 'de' ? SpectrumGraph.de_strings :
+    SpectrumGraph.en;
+
+exports = SpectrumGraph;
@@ -24,6 +24,7 @@ const DisplayAxes = goog.require('myphysicslab.lab.graph.DisplayAxes');
 const DisplayGraph = goog.require('myphysicslab.lab.graph.DisplayGraph');
 const DisplayList = goog.require('myphysicslab.lab.view.DisplayList');
 const DoubleRect = goog.require('myphysicslab.lab.util.DoubleRect');
+const DrawingMode = goog.require('myphysicslab.lab.view.DrawingMode');
 const GenericEvent = goog.require('myphysicslab.lab.util.GenericEvent');
 const GenericObserver = goog.require('myphysicslab.lab.util.GenericObserver');
 const GraphColor = goog.require('myphysicslab.lab.graph.GraphColor');
@@ -36,6 +37,7 @@ const NumericControl = goog.require('myphysicslab.lab.controls.NumericControl');
 const ParameterBoolean = goog.require('myphysicslab.lab.util.ParameterBoolean');
 const ParameterNumber = goog.require('myphysicslab.lab.util.ParameterNumber');
 const ParameterString = goog.require('myphysicslab.lab.util.ParameterString');
+const PoincareLine = goog.require('myphysicslab.lab.graph.PoincareLine');
 const SimController = goog.require('myphysicslab.lab.app.SimController');
 const SimRunner = goog.require('myphysicslab.lab.app.SimRunner');
 const SimView = goog.require('myphysicslab.lab.view.SimView');
@@ -51,6 +53,10 @@ to show the GraphLine. Adds the SimView to `graphCanvas`. Creates an AutoScale t
 modifies the SimView to contain the GraphLine.
 Creates several controls to modify the graph.
 
+The GraphLine is a {@link PoincareLine}, so the graph can show a Poincaré section by
+choosing a section variable. The graph is drawn with dots while a section variable is
+chosen, and with lines otherwise.
+
 * @implements {SubjectList}
 */
 class StandardGraph1 extends AbstractSubject {
@@ -79,8 +85,8 @@ constructor(varsList, graphCanvas, div_controls, div_graph, simRun, displayStyle
   /** @type {!DisplayList} */
   this.displayList = this.view.getDisplayList();
 
-  /** @type {!GraphLine} */
-  this.line = new GraphLine('X_Y_GRAPH_LINE', varsList);
+  /** @type {!PoincareLine} */
+  this.line = new PoincareLine('X_Y_GRAPH_LINE', varsList);
   this.line.setXVariable(0);
   this.line.setYVariable(1);
   this.line.setColor('lime');
@@ -98,6 +104,12 @@ constructor(varsList, graphCanvas, div_controls, div_graph, simRun, displayStyle
   }, this);
   new GenericObserver(this.line, updateAxes, 'update axes names');
   updateAxes(new GenericEvent(this.line, GraphLine.i18n.X_VARIABLE));
+  new GenericObserver(this.line, goog.bind(function(evt) {
+    if (evt.nameEquals(PoincareLine.en.SECTION_VARIABLE)) {
+      this.line.setDrawingMode(this.line.getSectionVariable() > -1 ?
+          DrawingMode.DOTS : DrawingMode.LINES);
+    }
+  }, this), 'draw Poincare section with dots');
 
   /** @type {!AutoScale} */
   this.autoScale = new AutoScale('X_Y_AUTO_SCALE', this.line, this.view);
@@ -139,6 +151,12 @@ constructor(varsList, graphCanvas, div_controls, div_graph, simRun, displayStyle
   this.addControl(new NumericControl(pn));
   ps = this.line.getParameterString(GraphLine.en.DRAWING_MODE);
   this.addControl(new ChoiceControl(ps));
+  pn = this.line.getParameterNumber(PoincareLine.en.SECTION_VARIABLE);
+  this.addControl(new ChoiceControl(pn));
+  pn = this.line.getParameterNumber(PoincareLine.en.SECTION_VALUE);
+  this.addControl(new NumericControl(pn));
+  pn = this.line.getParameterNumber(PoincareLine.en.SECTION_DIRECTION);
+  this.addControl(new ChoiceControl(pn));
 
   /** SimController which pans the graph with no modifier keys pressed.
   * @type {!SimController}
@@ -26,8 +26,10 @@ const DoubleRect = goog.require('myphysicslab.lab.util.DoubleRect');
 const Engine2DApp = goog.require('myphysicslab.sims.engine2D.Engine2DApp');
 const GravityLaw = goog.require('myphysicslab.lab.model.GravityLaw');
 const JointUtil = goog.require('myphysicslab.lab.engine2D.JointUtil');
+const Motor = goog.require('myphysicslab.lab.engine2D.Motor');
 const NumericControl = goog.require('myphysicslab.lab.controls.NumericControl');
 const ParameterNumber = goog.require('myphysicslab.lab.util.ParameterNumber');
+const RigidBody = goog.require('myphysicslab.lab.engine2D.RigidBody');
 const Shapes = goog.require('myphysicslab.lab.engine2D.Shapes');
 const Spring = goog.require('myphysicslab.lab.model.Spring');
 const TabLayout = goog.require('myphysicslab.sims.common.TabLayout');
@@ -38,6 +40,12 @@ const Walls = goog.require('myphysicslab.lab.engine2D.Walls');
 /** Simulation of a car suspension modelled in two different ways: each wheel has either
 two springs, or a rigid rod and a spring.
 
+With the two springs formation, each wheel is driven by a {@link Motor} which turns the
+wheel relative to the car. The Motors are off until their maximum torque is set. While
+the Motors are on there is friction between the wheels and the ground so that the car can
+be driven. With the rod and spring formation the wheel is part of the rod, so there are
+no Motors and no friction.
+
 This app has a {@link #configure} function which looks at a set of options
 and rebuilds the simulation accordingly. UI controls are created to change the options.
 
@@ -46,6 +54,10 @@ Parameters Created
 
 + ParameterNumber named `FORMATION`, see {@link #setFormation}.
 
++ ParameterNumber named `MAX_TORQUE`, see {@link #setMaxTorque}
+
++ ParameterNumber named `MOTOR_SPEED`, see {@link #setMotorSpeed}
+
 + ParameterNumber named `SPRING_DAMPING`, see {@link #setSpringDamping}
 
 + ParameterNumber named `STIFFNESS`, see {@link #setStiffness}
@@ -76,6 +88,15 @@ constructor(elem_ids) {
   this.gravityLaw = new GravityLaw(10, this.simList);
   /** @type {!Array<!Spring>} */
   this.springs = [];
+  /** @type {!Array<!Motor>} */
+  this.motors = [];
+  /** target angular velocity of the wheels relative to the car; negative is
+  * clockwise, which drives the car to the right
+  * @type {number}
+  */
+  this.motorSpeed = -10;
+  /** @type {number} */
+  this.maxTorque = 0;
   /** @type {CarSuspensionApp.Formation} */
   this.formation = CarSuspensionApp.Formation.ROD_SPRING;
   /** @type {number} */
@@ -111,6 +132,17 @@ constructor(elem_ids) {
      goog.bind(this.getStiffness, this), goog.bind(this.setStiffness, this)));
   this.addControl(new NumericControl(pn));
 
+  this.addParameter(pn = new ParameterNumber(this, CarSuspensionApp.en.MOTOR_SPEED,
+      CarSuspensionApp.i18n.MOTOR_SPEED,
+     goog.bind(this.getMotorSpeed, this), goog.bind(this.setMotorSpeed, this)));
+  pn.setLowerLimit(Util.NEGATIVE_INFINITY);
+  this.addControl(new NumericControl(pn));
+
+  this.addParameter(pn = new ParameterNumber(this, CarSuspensionApp.en.MAX_TORQUE,
+      CarSuspensionApp.i18n.MAX_TORQUE,
+     goog.bind(this.getMaxTorque, this), goog.bind(this.setMaxTorque, this)));
+  this.addControl(new NumericControl(pn));
+
   pn = this.gravityLaw.getParameterNumber(GravityLaw.en.GRAVITY);
   this.addControl(new NumericControl(pn));
   this.watchEnergyChange(pn);
@@ -154,6 +186,18 @@ getSubjects() {
   return goog.array.concat(this.dampingLaw, this.gravityLaw, subjects);
 };
 
+/**
+* @param {!RigidBody} car
+* @param {!RigidBody} wheel
+* @private
+*/
+addMotor(car, wheel) {
+  var m = new Motor(car, wheel, this.motorSpeed, this.maxTorque,
+      'motor'+(this.motors.length+1));
+  this.mySim.addMotor(m);
+  this.motors.push(m);
+};
+
 /**
 * @param {!Spring} s
 * @private
@@ -174,6 +218,7 @@ configure() {
   this.mySim.cleanSlate();
   this.advance.reset();
   this.springs = [];
+  this.motors = [];
   var car = Shapes.makeBlock(5.0, 2.0, CarSuspensionApp.en.CAR,
       CarSuspensionApp.i18n.CAR);
   car.setMass(this.carMass);
@@ -210,6 +255,8 @@ configure() {
           car, new Vector(2.1, -1.0),
           wheel2, Vector.ORIGIN,
           this.springLength, this.stiffness));
+      this.addMotor(car, wheel1);
+      this.addMotor(car, wheel2);
       break;
     case CarSuspensionApp.Formation.ROD_SPRING:
       var p1 = Shapes.makePendulum(0.05, this.springLength, 0.4,
@@ -251,6 +298,7 @@ configure() {
   this.mySim.addForceLaw(this.gravityLaw);
   this.gravityLaw.connect(this.mySim.getSimList());
   this.mySim.setElasticity(elasticity);
+  this.updateFriction_();
   this.mySim.saveInitialState();
   this.clock.setTime(this.mySim.getTime());
   this.clock.setRealTime(this.mySim.getTime());
@@ -273,6 +321,45 @@ setFormation(value) {
   this.broadcastParameter(CarSuspensionApp.en.FORMATION);
 };
 
+/** Returns the maximum torque of the motors that turn the wheels.
+* @return {number}
+*/
+getMaxTorque() {
+  return this.maxTorque;
+};
+
+/** Sets the maximum torque of the motors that turn the wheels; zero turns the motors
+* off. The wheels have friction with the ground only while the motors are on.
+* @param {number} value
+*/
+setMaxTorque(value) {
+  this.maxTorque = value;
+  for (var i=0; i<this.motors.length; i++) {
+    this.motors[i].setMaxTorque(this.maxTorque);
+  }
+  this.updateFriction_();
+  this.broadcastParameter(CarSuspensionApp.en.MAX_TORQUE);
+};
+
+/** Returns the target angular velocity of the wheels relative to the car.
+* @return {number}
+*/
+getMotorSpeed() {
+  return this.motorSpeed;
+};
+
+/** Sets the target angular velocity of the wheels relative to the car; negative is
+* clockwise, which drives the car to the right.
+* @param {number} value
+*/
+setMotorSpeed(value) {
+  this.motorSpeed = value;
+  for (var i=0; i<this.motors.length; i++) {
+    this.motors[i].setSpeed(this.motorSpeed);
+  }
+  this.broadcastParameter(CarSuspensionApp.en.MOTOR_SPEED);
+};
+
 /**
 * @return {number}
 */
@@ -309,6 +396,19 @@ setStiffness(value) {
   this.broadcastParameter(CarSuspensionApp.en.STIFFNESS);
 };
 
+/** Turns on friction when the motors are on, so that the wheels have traction when
+* they are driven by the motors. Otherwise there is no friction.
+* @return {undefined}
+* @private
+*/
+updateFriction_() {
+  if (this.motors.length > 0 && this.maxTorque > 0) {
+    this.mySim.setFriction(1, 0.8);
+  } else {
+    this.mySim.setFriction(0, 0);
+  }
+};
+
 } // end class
 
 /**
@@ -324,6 +424,8 @@ CarSuspensionApp.Formation = {
   CAR_MASS: string,
   FORMATION: string,
   LENGTH: string,
+  MAX_TORQUE: string,
+  MOTOR_SPEED: string,
   ROD_SPRING: string,
   SPRING_DAMPING: string,
   STIFFNESS: string,
@@ -342,6 +444,8 @@ CarSuspensionApp.en = {
   CAR_MASS: 'car mass',
   FORMATION: 'formation',
   LENGTH: 'spring length',
+  MAX_TORQUE: 'max torque',
+  MOTOR_SPEED: 'motor speed',
   ROD_SPRING: 'rod and spring',
   SPRING_DAMPING: 'spring damping',
   STIFFNESS: 'spring stiffness',
@@ -359,6 +463,8 @@ CarSuspensionApp.de_strings = {
   CAR_MASS: 'Auto Masse',
   FORMATION: 'Formation',
   LENGTH: 'Federlänge',
+  MAX_TORQUE: 'maximales Drehmoment',
+  MOTOR_SPEED: 'Motordrehzahl',
   ROD_SPRING: 'Stange und Feder',
   SPRING_DAMPING: 'Federdämpfung',
   STIFFNESS: 'Federsteifheit',
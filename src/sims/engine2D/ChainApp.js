@@ -58,6 +58,8 @@ Parameters Created
 
 + ParameterNumber named `BLOCK_WIDTH`, see {@link #setBlockWidth}.
 
++ ParameterNumber named `BREAK_FORCE`, see {@link #setBreakForce}.
+
 */
 class ChainApp extends Engine2DApp {
 /**
@@ -93,7 +95,8 @@ constructor(elem_ids) {
       fixedRight: true,
       blockWidth: 1.0,
       blockHeight: 3.0,
-      numLinks: 7
+      numLinks: 7,
+      breakForce: 0
     };
   /** @type {boolean} */
   this.extraBody = true;
@@ -154,6 +157,11 @@ constructor(elem_ids) {
       goog.bind(this.getBlockWidth, this), goog.bind(this.setBlockWidth, this)));
   this.addControl(new NumericControl(pn));
 
+  this.addParameter(pn = new ParameterNumber(this, ChainConfig.en.BREAK_FORCE,
+      ChainConfig.i18n.BREAK_FORCE,
+      goog.bind(this.getBreakForce, this), goog.bind(this.setBreakForce, this)));
+  this.addControl(new NumericControl(pn));
+
   pn = this.gravityLaw.getParameterNumber(GravityLaw.en.GRAVITY);
   this.addControl(new NumericControl(pn));
   this.watchEnergyChange(pn);
@@ -417,6 +425,23 @@ setBlockWidth(value) {
   this.broadcastParameter(ChainConfig.en.BLOCK_WIDTH);
 };
 
+/**
+* @return {number}
+*/
+getBreakForce() {
+  return this.options.breakForce || 0;
+};
+
+/** Sets the force above which the Joints of the chain break; zero means the Joints
+never break.
+* @param {number} value
+*/
+setBreakForce(value) {
+  this.options.breakForce = value;
+  this.config();
+  this.broadcastParameter(ChainConfig.en.BREAK_FORCE);
+};
+
 } // end class
 
 /**
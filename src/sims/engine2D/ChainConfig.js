@@ -18,6 +18,7 @@ const ContactSim = goog.require('myphysicslab.lab.engine2D.ContactSim');
 const CoordType = goog.require('myphysicslab.lab.model.CoordType');
 const DisplayShape = goog.require('myphysicslab.lab.view.DisplayShape');
 const DoubleRect = goog.require('myphysicslab.lab.util.DoubleRect');
+const Joint = goog.require('myphysicslab.lab.engine2D.Joint');
 const JointUtil = goog.require('myphysicslab.lab.engine2D.JointUtil');
 const Shapes = goog.require('myphysicslab.lab.engine2D.Shapes');
 const Vector = goog.require('myphysicslab.lab.util.Vector');
@@ -32,7 +33,9 @@ constructor() {
   throw new Error();
 };
 
-/**
+/** Makes a chain of blocks connected by Joints. When `options.breakForce` is
+* positive, the Joints break when their force exceeds that amount, see
+* {@link Joint#setBreakForce}.
 * @param {!ContactSim} sim
 * @param {!ChainConfig.options} options
 * @return {!DoubleRect} rectangle that contains all chain links, in sim coords
@@ -81,6 +84,16 @@ static makeChain(sim, options) {
         /*normalType=*/CoordType.BODY);
     }
   }
+  var breakForce = options.breakForce || 0;
+  if (breakForce > 0) {
+    goog.array.forEach(sim.getConnectors(), function(connector) {
+      if (connector instanceof Joint
+          && (goog.array.contains(links, connector.getBody1())
+          || goog.array.contains(links, connector.getBody2()))) {
+        connector.setBreakForce(breakForce);
+      }
+    });
+  }
   sim.alignConnectors();
   /* find rectangle that contains all chain links */
   var r = DoubleRect.EMPTY_RECT;
@@ -101,7 +114,8 @@ static makeChain(sim, options) {
     fixedRight: boolean,
     blockWidth: number,
     blockHeight: number,
-    numLinks: number
+    numLinks: number,
+    breakForce: (number|undefined)
   }}
 */
 ChainConfig.options;
@@ -117,6 +131,7 @@ ChainConfig.options;
   FIXED_LEFT_Y: string,
   BLOCK_LENGTH: string,
   BLOCK_WIDTH: string,
+  BREAK_FORCE: string,
   CHAIN: string,
   WALL_WIDTH: string,
   }}
@@ -136,6 +151,7 @@ ChainConfig.en = {
   FIXED_LEFT_Y: 'fixed point left Y',
   BLOCK_LENGTH: 'block length',
   BLOCK_WIDTH: 'block width',
+  BREAK_FORCE: 'break force',
   CHAIN: 'chain',
   WALL_WIDTH: 'wall width'
 };
@@ -154,6 +170,7 @@ ChainConfig.de_strings = {
   FIXED_LEFT_Y: 'Fixpunkt links Y',
   BLOCK_LENGTH: 'Blocklänge',
   BLOCK_WIDTH: 'Blockbreite',
+  BREAK_FORCE: 'Bruchkraft',
   CHAIN: 'Kette',
   WALL_WIDTH: 'Wand breite'
 };
@@ -0,0 +1,260 @@
+// Copyright 2016 Erik Neumann.  All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+goog.module('myphysicslab.sims.engine2D.CollisionFilterSetter');
+
+goog.require('goog.array');
+
+const AbstractSubject = goog.require('myphysicslab.lab.util.AbstractSubject');
+const ParameterNumber = goog.require('myphysicslab.lab.util.ParameterNumber');
+const ParameterString = goog.require('myphysicslab.lab.util.ParameterString');
+const Polygon = goog.require('myphysicslab.lab.engine2D.Polygon');
+const RigidBodySim = goog.require('myphysicslab.lab.engine2D.RigidBodySim');
+const Util = goog.require('myphysicslab.lab.util.Util');
+
+/** Provides Parameters for setting the collision category, mask and group of a set of
+Polygons in a RigidBodySim, so that collision filtering can be set from EasyScript. See
+[Collision Filtering](myphysicslab.lab.engine2D.Polygon.html#collisionfiltering) in
+Polygon.
+
+The set of Polygons is given by a regular expression that is matched against the names
+of the Polygons, see {@link #setBodies}. Setting the category, mask or group then sets
+that property on each of those Polygons. For example, this EasyScript turns off
+collisions between all the Polygons whose names start with `LINK`:
+
+    COLLISION_BODIES=LINK.*;COLLISION_GROUP=-1
+
+The category, mask and group that are reported are those of the first matching
+Polygon. When there are no matching Polygons, the last value that was set is reported.
+
+### Parameters Created
+
++ ParameterString named `COLLISION_BODIES`, see {@link #setBodies}
+
++ ParameterNumber named `COLLISION_CATEGORY`, see {@link #setCategory}
+
++ ParameterNumber named `COLLISION_MASK`, see {@link #setMask}
+
++ ParameterNumber named `COLLISION_GROUP`, see {@link #setGroup}
+
+*/
+class CollisionFilterSetter extends AbstractSubject {
+/**
+@param {!RigidBodySim} sim
+*/
+constructor(sim) {
+  super('COLLISION_FILTER');
+  /**
+  * @type {!RigidBodySim}
+  * @private
+  */
+  this.sim_ = sim;
+  /** regular expression for names of the Polygons to set
+  * @type {string}
+  * @private
+  */
+  this.bodies_ = '';
+  /** regular expression that matches the entire name of the Polygons to set, or null
+  * to match no Polygons
+  * @type {?RegExp}
+  * @private
+  */
+  this.regexp_ = null;
+  /** last category that was set
+  * @type {number}
+  * @private
+  */
+  this.category_ = 0x0001;
+  /** last mask that was set
+  * @type {number}
+  * @private
+  */
+  this.mask_ = 0xFFFF;
+  /** last group that was set
+  * @type {number}
+  * @private
+  */
+  this.group_ = 0;
+  this.addParameter(new ParameterString(this, CollisionFilterSetter.en.BODIES,
+      CollisionFilterSetter.i18n.BODIES,
+      goog.bind(this.getBodies, this), goog.bind(this.setBodies, this)));
+  this.addParameter(new ParameterNumber(this, CollisionFilterSetter.en.CATEGORY,
+      CollisionFilterSetter.i18n.CATEGORY,
+      goog.bind(this.getCategory, this), goog.bind(this.setCategory, this))
+      .setDecimalPlaces(0).setUpperLimit(0xFFFF));
+  this.addParameter(new ParameterNumber(this, CollisionFilterSetter.en.MASK,
+      CollisionFilterSetter.i18n.MASK,
+      goog.bind(this.getMask, this), goog.bind(this.setMask, this))
+      .setDecimalPlaces(0).setUpperLimit(0xFFFF));
+  this.addParameter(new ParameterNumber(this, CollisionFilterSetter.en.GROUP,
+      CollisionFilterSetter.i18n.GROUP,
+      goog.bind(this.getGroup, this), goog.bind(this.setGroup, this))
+      .setDecimalPlaces(0).setLowerLimit(Util.NEGATIVE_INFINITY));
+};
+
+/** @override */
+toString() {
+  return Util.ADVANCED ? '' : this.toStringShort().slice(0, -1)
+      +', sim: '+this.sim_.toStringShort()
+      +', bodies_: "'+this.bodies_+'"'
+      + super.toString();
+};
+
+/** @override */
+getClassName() {
+  return 'CollisionFilterSetter';
+};
+
+/** Returns the regular expression that picks the Polygons to set, by matching the
+names of the Polygons.
+@return {string} regular expression for names of the Polygons to set
+*/
+getBodies() {
+  return this.bodies_;
+};
+
+/** Returns the collision category bits of the first matching Polygon, or the last
+value that was set when there are no matching Polygons.
+@return {number} the collision category bits
+*/
+getCategory() {
+  var p = this.findBodies_()[0];
+  return p ? p.getCollisionCategory() : this.category_;
+};
+
+/** Returns the collision group of the first matching Polygon, or the last value that
+was set when there are no matching Polygons.
+@return {number} the collision group
+*/
+getGroup() {
+  var p = this.findBodies_()[0];
+  return p ? p.getCollisionGroup() : this.group_;
+};
+
+/** Returns the collision mask bits of the first matching Polygon, or the last value
+that was set when there are no matching Polygons.
+@return {number} the collision mask bits
+*/
+getMask() {
+  var p = this.findBodies_()[0];
+  return p ? p.getCollisionMask() : this.mask_;
+};
+
+/** Returns the Polygons whose names match the regular expression.
+@return {!Array<!Polygon>}
+@private
+*/
+findBodies_() {
+  var re = this.regexp_;
+  if (re == null) {
+    return [];
+  }
+  return goog.array.filter(this.sim_.getBodies(), function(p) {
+    return re.test(p.getName());
+  });
+};
+
+/** Sets the regular expression that picks the Polygons to set, by matching the names
+of the Polygons. The regular expression must match the entire language-independent
+name, which is in upper case. The empty string matches no Polygons.
+@param {string} value regular expression for names of the Polygons to set
+@throws {!Error} if value is not a valid regular expression
+*/
+setBodies(value) {
+  value = value.toUpperCase();
+  this.regexp_ = value == '' ? null : new RegExp('^('+value+')$');
+  this.bodies_ = value;
+  this.broadcastParameter(CollisionFilterSetter.en.BODIES);
+  // the reported category, mask and group are from the first matching Polygon
+  this.broadcastParameter(CollisionFilterSetter.en.CATEGORY);
+  this.broadcastParameter(CollisionFilterSetter.en.MASK);
+  this.broadcastParameter(CollisionFilterSetter.en.GROUP);
+};
+
+/** Sets the collision category bits of the matching Polygons, see
+{@link Polygon#setCollisionCategory}.
+@param {number} value the collision category bits, an integer from 0 to `0xFFFF`
+*/
+setCategory(value) {
+  goog.array.forEach(this.findBodies_(), function(p) {
+    p.setCollisionCategory(value);
+  });
+  this.category_ = value;
+  this.broadcastParameter(CollisionFilterSetter.en.CATEGORY);
+};
+
+/** Sets the collision group of the matching Polygons, see
+{@link Polygon#setCollisionGroup}.
+@param {number} value the collision group, an integer
+*/
+setGroup(value) {
+  goog.array.forEach(this.findBodies_(), function(p) {
+    p.setCollisionGroup(value);
+  });
+  this.group_ = value;
+  this.broadcastParameter(CollisionFilterSetter.en.GROUP);
+};
+
+/** Sets the collision mask bits of the matching Polygons, see
+{@link Polygon#setCollisionMask}.
+@param {number} value the collision mask bits, an integer from 0 to `0xFFFF`
+*/
+setMask(value) {
+  goog.array.forEach(this.findBodies_(), function(p) {
+    p.setCollisionMask(value);
+  });
+  this.mask_ = value;
+  this.broadcastParameter(CollisionFilterSetter.en.MASK);
+};
+
+} // end class
+
+/** Set of internationalized strings.
+@typedef {{
+  BODIES: string,
+  CATEGORY: string,
+  MASK: string,
+  GROUP: string
+  }}
+*/
+CollisionFilterSetter.i18n_strings;
+
+/**
+@type {CollisionFilterSetter.i18n_strings}
+*/
+CollisionFilterSetter.en = {
+  BODIES: 'collision bodies',
+  CATEGORY: 'collision category',
+  MASK: 'collision mask',
+  GROUP: 'collision group'
+};
+
+/**
+@private
+@type {CollisionFilterSetter.i18n_strings}
+*/
+CollisionFilterSetter.de_strings = {
+  BODIES: 'Kollision Körper',
+  CATEGORY: 'Kollision Kategorie',
+  MASK: 'Kollision Maske',
+  GROUP: 'Kollision Gruppe'
+};
+
+/** Set of internationalized strings.
+@type {CollisionFilterSetter.i18n_strings}
+*/
+CollisionFilterSetter.i18n = goog.LOCALE === 'de' ? CollisionFilterSetter.de_strings :
+    CollisionFilterSetter.en;
+
+exports = CollisionFilterSetter;
@@ -22,6 +22,7 @@ const ButtonControl = goog.require('myphysicslab.lab.controls.ButtonControl');
 const CheckBoxControl = goog.require('myphysicslab.lab.controls.CheckBoxControl');
 const ChoiceControl = goog.require('myphysicslab.lab.controls.ChoiceControl');
 const Clock = goog.require('myphysicslab.lab.util.Clock');
+const CollisionFilterSetter = goog.require('myphysicslab.sims.engine2D.CollisionFilterSetter');
 const CollisionHandling = goog.require('myphysicslab.lab.engine2D.CollisionHandling');
 const CommonControls = goog.require('myphysicslab.sims.common.CommonControls');
 const DiffEqSolverSubject = goog.require('myphysicslab.lab.model.DiffEqSolverSubject');
@@ -43,9 +44,11 @@ const Polygon = goog.require('myphysicslab.lab.engine2D.Polygon');
 const RigidBodyEventHandler = goog.require('myphysicslab.lab.app.RigidBodyEventHandler');
 const RigidBodyObserver = goog.require('myphysicslab.sims.engine2D.RigidBodyObserver');
 const RigidBodySim = goog.require('myphysicslab.lab.engine2D.RigidBodySim');
+const RigidBodySnapshot = goog.require('myphysicslab.lab.engine2D.RigidBodySnapshot');
 const EasyScriptParser = goog.require('myphysicslab.lab.util.EasyScriptParser');
 const SimController = goog.require('myphysicslab.lab.app.SimController');
 const SimRunner = goog.require('myphysicslab.lab.app.SimRunner');
+const SimSnapshot = goog.require('myphysicslab.lab.app.SimSnapshot');
 const SimList = goog.require('myphysicslab.lab.model.SimList');
 const SimView = goog.require('myphysicslab.lab.view.SimView');
 const SliderControl = goog.require('myphysicslab.lab.controls.SliderControl');
@@ -55,6 +58,7 @@ const SubjectList = goog.require('myphysicslab.lab.util.SubjectList');
 const TabLayout = goog.require('myphysicslab.sims.common.TabLayout');
 const Terminal = goog.require('myphysicslab.lab.util.Terminal');
 const TimeGraph1 = goog.require('myphysicslab.sims.common.TimeGraph1');
+const Timeline = goog.require('myphysicslab.lab.app.Timeline');
 const ToggleControl = goog.require('myphysicslab.lab.controls.ToggleControl');
 const Util = goog.require('myphysicslab.lab.util.Util');
 const VarsList = goog.require('myphysicslab.lab.model.VarsList');
@@ -142,6 +146,8 @@ constructor(elem_ids, simRect, sim, advance, opt_name) {
   this.simRun.addCanvas(simCanvas);
   /** @type {!Clock} */
   this.clock = this.simRun.getClock();
+  /** @type {!Timeline} */
+  this.timeline = new Timeline(this.simRun, sim);
   /** @type {!RigidBodyEventHandler} */
   this.rbeh = new RigidBodyEventHandler(sim, this.clock);
   /** @type {!SimController} */
@@ -152,6 +158,8 @@ constructor(elem_ids, simRect, sim, advance, opt_name) {
 
   /** @type {!ElasticitySetter} */
   this.elasticity = new ElasticitySetter(sim);
+  /** @type {!CollisionFilterSetter} */
+  this.collisionFilter = new CollisionFilterSetter(sim);
 
   /** @type {!EnergyBarGraph} */
   this.energyGraph = new EnergyBarGraph(sim);
@@ -188,12 +196,15 @@ constructor(elem_ids, simRect, sim, advance, opt_name) {
 
   /** @type {!EasyScriptParser} */
   this.easyScript;
+  /** @type {!RigidBodySnapshot} */
+  this.snapshot;
 };
 
 /** @override */
 toString() {
   return Util.ADVANCED ? '' : ', sim: '+this.sim.toStringShort()
       +', elasticity: '+this.elasticity.toStringShort()
+      +', collisionFilter: '+this.collisionFilter.toStringShort()
       +', simList: '+this.simList.toStringShort()
       +', simCtrl: '+this.simCtrl.toStringShort()
       +', advance: '+this.advance
@@ -203,6 +214,7 @@ toString() {
       +', axes: '+this.axes.toStringShort()
       +', simRun: '+this.simRun.toStringShort()
       +', clock: '+this.clock.toStringShort()
+      +', timeline: '+this.timeline.toStringShort()
       +', displayClock: '+this.displayClock.toStringShort()
       +', energyGraph: '+this.energyGraph.toStringShort()
       +', rbeh: '+this.rbeh
@@ -211,6 +223,7 @@ toString() {
       +', timeGraph: '+this.timeGraph
       +', layout: '+this.layout
       +', easyScript: '+this.easyScript.toStringShort()
+      +', snapshot: '+this.snapshot.toStringShort()
       +', terminal: '+this.terminal
       + super.toString();
 };
@@ -226,7 +239,8 @@ defineNames(myName) {
     this.terminal.addWhiteList(myName);
     this.terminal.addRegex('advance|axes|clock|diffEqSolver|displayClock|energyGraph'
     +'|graph|layout|sim|simCtrl|simList|simRect|simRun|simView|statusView|timeGraph'
-    +'|displayList|easyScript|terminal|statusList|elasticity|varsList|rbo',
+    +'|timeline|displayList|easyScript|snapshot|terminal|statusList|elasticity|varsList|rbo'
+    +'|collisionFilter',
         myName+'.');
     this.terminal.addRegex('simCanvas',
         myName+'.layout.');
@@ -255,9 +269,11 @@ getSubjects() {
     this,
     this.sim,
     this.elasticity,
+    this.collisionFilter,
     this.diffEqSolver,
     this.simRun,
     this.clock,
+    this.timeline,
     this.simView,
     this.statusView,
     this.varsList
@@ -278,6 +294,7 @@ makeEasyScript(opt_dependent) {
   }
   this.easyScript = CommonControls.makeEasyScript(this.getSubjects(), dependent,
       this.simRun, this.terminal);
+  this.snapshot = new RigidBodySnapshot(this.sim, this.simRun, this.easyScript);
 };
 
 /**
@@ -324,6 +341,10 @@ addURLScriptButton() {
     CommonControls.makeURLScriptButton(this.easyScript, this.simRun));
   this.timeGraph.addControl(
     CommonControls.makeURLScriptButton(this.easyScript, this.simRun));
+  this.addControl(new ButtonControl(SimSnapshot.i18n.SAVE_SNAPSHOT,
+      goog.bind(function() { this.snapshot.saveFile(); }, this)));
+  this.addControl(new ButtonControl(SimSnapshot.i18n.LOAD_SNAPSHOT,
+      goog.bind(this.snapshot.loadFile, this.snapshot)));
 };
 
 /** Adds the standard set of engine2D controls.
@@ -345,6 +366,8 @@ addStandardControls() {
   this.addControl(new ChoiceControl(ps));
   var bm = CommonControls.makeBackgroundMenu(this.layout.simCanvas);
   this.addControl(bm);
+  goog.array.forEach(CommonControls.makeTimelineControls(this.timeline),
+      function(c) { this.addControl(c); }, this);
   //ps = this.sim.getParameterString(RigidBodySim.en.COLLISION_HANDLING);
   //this.addControl(new ChoiceControl(ps));
   // show compile time so user can ensure loading latest version
@@ -25,7 +25,9 @@ const Util = goog.require('myphysicslab.lab.util.Util');
 const Vector = goog.require('myphysicslab.lab.util.Vector');
 const Walls = goog.require('myphysicslab.lab.engine2D.Walls');
 
-/** Demonstrates collision handling for fast moving object with very thin walls.
+/** Demonstrates collision handling for fast moving object with very thin walls. The
+ball uses continuous collision detection, see
+{@link myphysicslab.lab.engine2D.Polygon#setContinuousCollision}.
 */
 class FastBallApp extends Engine2DApp {
 /**
@@ -44,6 +46,7 @@ constructor(elem_ids) {
   p.setMass(0.1);
   p.setPosition(new Vector(-5,  0),  0);
   p.setVelocity(new Vector(200,  153),  0);
+  p.setContinuousCollision(true);
   this.mySim.addBody(p);
   this.displayList.findShape(p).setFillStyle('green');
   this.mySim.setElasticity(0.9);
@@ -30,17 +30,20 @@ const ForceLaw = goog.require('myphysicslab.lab.model.ForceLaw');
 const GearsConfig = goog.require('myphysicslab.sims.engine2D.GearsConfig');
 const GravityLaw = goog.require('myphysicslab.lab.model.GravityLaw');
 const JointUtil = goog.require('myphysicslab.lab.engine2D.JointUtil');
+const Motor = goog.require('myphysicslab.lab.engine2D.Motor');
 const NumericControl = goog.require('myphysicslab.lab.controls.NumericControl');
 const ParameterBoolean = goog.require('myphysicslab.lab.util.ParameterBoolean');
 const ParameterNumber = goog.require('myphysicslab.lab.util.ParameterNumber');
 const RigidBody = goog.require('myphysicslab.lab.engine2D.RigidBody');
+const Scrim = goog.require('myphysicslab.lab.engine2D.Scrim');
 const TabLayout = goog.require('myphysicslab.sims.common.TabLayout');
 const Util = goog.require('myphysicslab.lab.util.Util');
 const Vector = goog.require('myphysicslab.lab.util.Vector');
 const Walls = goog.require('myphysicslab.lab.engine2D.Walls');
 
 /** Simulation of two interlocking gears. One of the gears has a constant turning
-force applied.
+force applied. When the gears are pinned, the left gear can also be driven by a
+{@link Motor} at a target speed; the Motor is off until its maximum torque is set.
 
 This app has a config() method which looks at a set of options
 and rebuilds the simulation accordingly. UI controls are created to change the options.
@@ -77,6 +80,12 @@ constructor(elem_ids) {
   this.gearRight;
   /** @type {?ForceLaw } */
   this.turnForceLaw = null;
+  /** @type {number} */
+  this.motorSpeed = 1;
+  /** @type {number} */
+  this.maxTorque = 0;
+  /** @type {?Motor} */
+  this.motor = null;
 
   this.addPlaybackControls();
   /** @type {!ParameterBoolean} */
@@ -99,6 +108,17 @@ constructor(elem_ids) {
   pn.setLowerLimit(Util.NEGATIVE_INFINITY);
   this.addControl(new NumericControl(pn));
 
+  this.addParameter(pn = new ParameterNumber(this, GearsConfig.en.MOTOR_SPEED,
+      GearsConfig.i18n.MOTOR_SPEED,
+      goog.bind(this.getMotorSpeed, this), goog.bind(this.setMotorSpeed, this)));
+  pn.setLowerLimit(Util.NEGATIVE_INFINITY);
+  this.addControl(new NumericControl(pn));
+
+  this.addParameter(pn = new ParameterNumber(this, GearsConfig.en.MAX_TORQUE,
+      GearsConfig.i18n.MAX_TORQUE,
+      goog.bind(this.getMaxTorque, this), goog.bind(this.setMaxTorque, this)));
+  this.addControl(new NumericControl(pn));
+
   pn = this.gravityLaw.getParameterNumber(GravityLaw.en.GRAVITY);
   this.addControl(new NumericControl(pn));
   this.watchEnergyChange(pn);
@@ -188,8 +208,12 @@ config() {
           CoordType.WORLD);
       this.gearRight.setZeroEnergyLevel();
     }
+    this.motor = new Motor(Scrim.getScrim(), this.gearLeft, this.motorSpeed,
+        this.maxTorque, 'motor');
+    this.mySim.addMotor(this.motor);
     this.gravityLaw.setGravity(0);
   } else {
+    this.motor = null;
     // gears freely moving, dropping onto floor
     var zel = Walls.make(this.mySim, /*width=*/60, /*height=*/12, /*thickness=*/1.0);
     this.gravityLaw.setZeroEnergyLevel(zel);
@@ -230,6 +254,43 @@ setTurningForce(value) {
   this.broadcastParameter(GearsConfig.en.TURNING_FORCE);
 };
 
+/** Returns the maximum torque of the motor that turns the left gear.
+* @return {number}
+*/
+getMaxTorque() {
+  return this.maxTorque;
+};
+
+/** Sets the maximum torque of the motor that turns the left gear; zero turns the
+* motor off. The motor is used only when the gears are pinned.
+* @param {number} value
+*/
+setMaxTorque(value) {
+  this.maxTorque = value;
+  if (this.motor != null) {
+    this.motor.setMaxTorque(value);
+  }
+  this.broadcastParameter(GearsConfig.en.MAX_TORQUE);
+};
+
+/** Returns the target angular velocity of the motor that turns the left gear.
+* @return {number}
+*/
+getMotorSpeed() {
+  return this.motorSpeed;
+};
+
+/** Sets the target angular velocity of the motor that turns the left gear.
+* @param {number} value
+*/
+setMotorSpeed(value) {
+  this.motorSpeed = value;
+  if (this.motor != null) {
+    this.motor.setSpeed(value);
+  }
+  this.broadcastParameter(GearsConfig.en.MOTOR_SPEED);
+};
+
 /** @return {boolean} */
 getPinnedGears() {
   return this.pinnedGears;
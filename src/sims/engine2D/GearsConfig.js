@@ -130,6 +130,8 @@ static addGear(p, r1, depth, numTeeth, outPercent, inPercent, startEdges) {
 @typedef {{
   LEFT_GEAR: string,
   RIGHT_GEAR: string,
+  MAX_TORQUE: string,
+  MOTOR_SPEED: string,
   PINNED_GEARS: string,
   TURNING_FORCE: string,
   TWO_GEARS: string
@@ -143,6 +145,8 @@ GearsConfig.i18n_strings;
 GearsConfig.en = {
   LEFT_GEAR: 'left gear',
   RIGHT_GEAR: 'right gear',
+  MAX_TORQUE: 'max torque',
+  MOTOR_SPEED: 'motor speed',
   PINNED_GEARS: 'pinned gears',
   TURNING_FORCE: 'turning force',
   TWO_GEARS: 'two gears'
@@ -155,6 +159,8 @@ GearsConfig.en = {
 GearsConfig.de_strings = {
   LEFT_GEAR: 'linkes Zahnrad',
   RIGHT_GEAR: 'rechtes Zahnrad',
+  MAX_TORQUE: 'maximales Drehmoment',
+  MOTOR_SPEED: 'Motordrehzahl',
   PINNED_GEARS: 'verstiftet Zahnräder',
   TURNING_FORCE: 'drehende Kraft',
   TWO_GEARS: 'zwei Zahnräder'
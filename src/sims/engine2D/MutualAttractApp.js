@@ -24,6 +24,7 @@ const DoubleRect = goog.require('myphysicslab.lab.util.DoubleRect');
 const Engine2DApp = goog.require('myphysicslab.sims.engine2D.Engine2DApp');
 const Gravity2Law = goog.require('myphysicslab.lab.model.Gravity2Law');
 const NumericControl = goog.require('myphysicslab.lab.controls.NumericControl');
+const ParameterBoolean = goog.require('myphysicslab.lab.util.ParameterBoolean');
 const ParameterNumber = goog.require('myphysicslab.lab.util.ParameterNumber');
 const Polygon = goog.require('myphysicslab.lab.engine2D.Polygon');
 const Shapes = goog.require('myphysicslab.lab.engine2D.Shapes');
@@ -64,6 +65,8 @@ constructor(elem_ids) {
   this.circleBody = true;
 
   this.addPlaybackControls();
+  /** @type {!ParameterBoolean} */
+  var pb;
   /** @type {!ParameterNumber} */
   var pn;
   var choices = [];
@@ -81,6 +84,12 @@ constructor(elem_ids) {
   pn = this.gravityLaw.getParameterNumber(Gravity2Law.en.GRAVITY);
   this.addControl(new NumericControl(pn));
   this.watchEnergyChange(pn);
+  pb = this.gravityLaw.getParameterBoolean(Gravity2Law.en.BARNES_HUT);
+  this.addControl(new CheckBoxControl(pb));
+  this.watchEnergyChange(pb);
+  pn = this.gravityLaw.getParameterNumber(Gravity2Law.en.OPENING_ANGLE);
+  this.addControl(new NumericControl(pn));
+  this.watchEnergyChange(pn);
   pn = this.dampingLaw.getParameterNumber(DampingLaw.en.DAMPING);
   this.addControl(new NumericControl(pn));
 
@@ -32,6 +32,7 @@ const ParameterNumber = goog.require('myphysicslab.lab.util.ParameterNumber');
 const PileConfig = goog.require('myphysicslab.sims.engine2D.PileConfig');
 const Polygon = goog.require('myphysicslab.lab.engine2D.Polygon');
 const RandomLCG = goog.require('myphysicslab.lab.util.RandomLCG');
+const RigidBodySim = goog.require('myphysicslab.lab.engine2D.RigidBodySim');
 const Shapes = goog.require('myphysicslab.lab.engine2D.Shapes');
 const SixThrusters = goog.require('myphysicslab.sims.engine2D.SixThrusters');
 const TabLayout = goog.require('myphysicslab.sims.common.TabLayout');
@@ -66,6 +67,14 @@ to eliminate velocity at contacts" has eliminated the wiggling in the above case
 case that is still problematic is when using inverse square gravity: with gravity=10 you
 need to reduce the timeStep to 0.01 to stop endless collisions.
 
+## Sleeping Blocks
+
+Once the pile has settled, the blocks are put to sleep so that no more time is spent
+calculating contact forces for them, see the section about sleeping bodies in
+{@link ContactSim}. Sleeping blocks are drawn in gray. A sleeping block wakes up when
+another block hits it or when it is dragged with the mouse. Sleeping can be turned off
+with the 'sleep enabled' checkbox.
+
 @todo  remove the 'endless loop' checkbox, and instead just have the 'loop time'
 numeric control.  To make the UI simpler by having one less UI item.
 
@@ -88,6 +97,8 @@ constructor(elem_ids) {
   this.layout.simCanvas.setBackground('black');
   this.layout.simCanvas.setAlpha(CommonControls.SHORT_TRAILS);
   this.rbo.protoPolygon.setNameColor('gray').setNameFont('10pt sans-serif');
+  this.rbo.protoPolygon.setSleepingFillStyle('dimGray');
+  this.mySim.setSleepEnabled(true);
   this.elasticity.setElasticity(0.8);
   this.mySim.setShowForces(false);
   this.mySim.setDistanceTol(0.01);
@@ -161,6 +172,9 @@ constructor(elem_ids) {
       goog.bind(this.getRandomSeed, this), goog.bind(this.setRandomSeed, this))
       .setDecimalPlaces(0).setLowerLimit(Util.NEGATIVE_INFINITY));
 
+  pb = this.mySim.getParameterBoolean(RigidBodySim.en.SLEEP_ENABLED);
+  this.addControl(new CheckBoxControl(pb));
+
   pn = this.gravityLaw.getParameterNumber(GravityLaw.en.GRAVITY);
   this.addControl(new NumericControl(pn));
   this.watchEnergyChange(pn);
@@ -109,6 +109,12 @@ constructor(elem_ids) {
   pn = this.gravityLaw.getParameterNumber(Gravity2Law.en.GRAVITY);
   this.addControl(new NumericControl(pn));
   this.watchEnergyChange(pn);
+  pb = this.gravityLaw.getParameterBoolean(Gravity2Law.en.BARNES_HUT);
+  this.addControl(new CheckBoxControl(pb));
+  this.watchEnergyChange(pb);
+  pn = this.gravityLaw.getParameterNumber(Gravity2Law.en.OPENING_ANGLE);
+  this.addControl(new NumericControl(pn));
+  this.watchEnergyChange(pn);
 
   pn = this.dampingLaw.getParameterNumber(DampingLaw.en.DAMPING);
   this.addControl(new NumericControl(pn));
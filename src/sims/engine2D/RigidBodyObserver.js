@@ -14,6 +14,7 @@
 
 goog.module('myphysicslab.sims.engine2D.RigidBodyObserver');
 
+const AngleLimit = goog.require('myphysicslab.lab.engine2D.AngleLimit');
 const ConcreteLine = goog.require('myphysicslab.lab.model.ConcreteLine');
 const Connector = goog.require('myphysicslab.lab.engine2D.Connector');
 const DisplayConnector = goog.require('myphysicslab.lab.view.DisplayConnector');
@@ -33,6 +34,7 @@ const PathEndPoint = goog.require('myphysicslab.lab.engine2D.PathEndPoint');
 const PathJoint = goog.require('myphysicslab.lab.engine2D.PathJoint');
 const PointMass = goog.require('myphysicslab.lab.model.PointMass');
 const Polygon = goog.require('myphysicslab.lab.engine2D.Polygon');
+const PrismaticJoint = goog.require('myphysicslab.lab.engine2D.PrismaticJoint');
 const RigidBodyEventHandler = goog.require('myphysicslab.lab.app.RigidBodyEventHandler');
 const Rope = goog.require('myphysicslab.lab.engine2D.Rope');
 const SimList = goog.require('myphysicslab.lab.model.SimList');
@@ -269,7 +271,8 @@ addBody(obj) {
   } else if (obj instanceof PathEndPoint) {
     p = /** @type {!Connector} */(obj);
     this.add_(new DisplayConnector(p, this.protoPathEndPoint), obj);
-  } else if (obj instanceof Joint || obj instanceof PathJoint) {
+  } else if (obj instanceof Joint || obj instanceof PathJoint
+      || obj instanceof PrismaticJoint || obj instanceof AngleLimit) {
     p = /** @type {!Connector} */(obj);
     this.add_(new DisplayConnector(p, this.protoJoint), obj);
   } else if (obj instanceof PointMass) {
@@ -0,0 +1,895 @@
+// Copyright 2016 Erik Neumann.  All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+goog.module('myphysicslab.sims.engine2D.SceneConfig');
+
+goog.require('goog.array');
+goog.require('goog.object');
+const AngleLimit = goog.require('myphysicslab.lab.engine2D.AngleLimit');
+const CircularEdge = goog.require('myphysicslab.lab.engine2D.CircularEdge');
+const ConcreteVertex = goog.require('myphysicslab.lab.engine2D.ConcreteVertex');
+const ContactSim = goog.require('myphysicslab.lab.engine2D.ContactSim');
+const CoordType = goog.require('myphysicslab.lab.model.CoordType');
+const CoulombLaw = goog.require('myphysicslab.lab.model.CoulombLaw');
+const DampingLaw = goog.require('myphysicslab.lab.model.DampingLaw');
+const DisplayList = goog.require('myphysicslab.lab.view.DisplayList');
+const DisplayShape = goog.require('myphysicslab.lab.view.DisplayShape');
+const DragLaw = goog.require('myphysicslab.lab.model.DragLaw');
+const FluidLaw = goog.require('myphysicslab.lab.engine2D.FluidLaw');
+const ForceFieldLaw = goog.require('myphysicslab.lab.model.ForceFieldLaw');
+const Gravity2Law = goog.require('myphysicslab.lab.model.Gravity2Law');
+const GravityLaw = goog.require('myphysicslab.lab.model.GravityLaw');
+const Joint = goog.require('myphysicslab.lab.engine2D.Joint');
+const LorentzLaw = goog.require('myphysicslab.lab.model.LorentzLaw');
+const Motor = goog.require('myphysicslab.lab.engine2D.Motor');
+const Polygon = goog.require('myphysicslab.lab.engine2D.Polygon');
+const PrismaticJoint = goog.require('myphysicslab.lab.engine2D.PrismaticJoint');
+const RigidBody = goog.require('myphysicslab.lab.engine2D.RigidBody');
+const Rope = goog.require('myphysicslab.lab.engine2D.Rope');
+const Scrim = goog.require('myphysicslab.lab.engine2D.Scrim');
+const Shapes = goog.require('myphysicslab.lab.engine2D.Shapes');
+const Spring = goog.require('myphysicslab.lab.model.Spring');
+const StraightEdge = goog.require('myphysicslab.lab.engine2D.StraightEdge');
+const ThrusterSet = goog.require('myphysicslab.lab.engine2D.ThrusterSet');
+const Util = goog.require('myphysicslab.lab.util.Util');
+const Vector = goog.require('myphysicslab.lab.util.Vector');
+
+/** Builds a ContactSim world from a declarative JSON scene, and dumps the current
+world of a ContactSim back out as a JSON scene. This lets a scene be authored and kept
+in a file instead of being built by JavaScript code as in {@link ChainConfig} or
+{@link PileConfig}.
+
+Vectors are given as an array of two numbers `[x, y]`. An infinite number such as the
+mass of a fixed body is given as the string `"Infinity"` because JSON has no way to
+represent infinity. Here is an example scene with a ball hanging by a rope from a fixed
+point above a floor:
+
+    {
+     "version": 1,
+     "bodies": [
+      {"name": "floor", "shape": "block", "width": 6, "height": 0.5,
+        "position": [0, -2], "mass": "Infinity",
+        "style": {"fillStyle": "lightGray"}},
+      {"name": "ball", "shape": "ball", "radius": 0.3, "position": [1, 0],
+        "velocity": [0, 1], "style": {"fillStyle": "red"}}
+     ],
+     "connectors": [
+      {"type": "rope", "body1": "SCRIM", "attach1": [0, 1], "body2": "ball",
+        "attach2": [0, 0], "length": 1.5}
+     ],
+     "forceLaws": [
+      {"type": "gravity", "gravity": 9.8}
+     ],
+     "elasticity": 0.8
+    }
+
+### Bodies
+
+Each entry in `bodies` makes a {@link Polygon}. The `shape` property picks one of the
+{@link Shapes} methods, which take these properties:
+
++ `ball`: `radius`
++ `block`, `block2`, `roundBlock`: `width, height`
++ `frame`: `width, height, thickness`
++ `hexagon`: `size`
++ `pendulum`: `width, length, radius`
++ `roundCornerBlock`: `width, height, radius`
++ `wall`: `width, height, edge` where `edge` is one of the
+    {@link Shapes#TOP_EDGE edge index} constants.
+
+The shape `polygon` makes an arbitrary Polygon from a list of `paths`. Each path has a
+`start` point and a list of `edges`, each edge going from the end of the previous edge
+`to` a point. A straight edge has an `outsideIsUp` property, a circular edge has
+`center, clockwise, outsideIsOut` properties; see {@link Polygon#addStraightEdge} and
+{@link Polygon#addCircularEdge}. All points are in body coordinates.
+
+    {"name": "wedge", "shape": "polygon", "paths": [{"start": [0, 0], "edges": [
+      {"to": [1, 0], "outsideIsUp": false},
+      {"to": [0, 1], "center": [0, 0], "clockwise": false, "outsideIsOut": true},
+      {"to": [0, 0], "outsideIsUp": false}]}]}
+
+These optional properties can be given for any shape: `centroid, centerOfMass,
+momentAboutCM` (divided by the mass as in {@link Polygon#setMomentAboutCM}),
+`specialEdge` (an object with `index, radius` properties as in
+{@link Polygon#setSpecialEdge}), `mass, position, angle, velocity, angularVelocity,
+elasticity, continuousCollision, zeroEnergyLevel`, the collision filter properties
+`collisionCategory, collisionMask, collisionGroup` as in
+[Collision Filtering](myphysicslab.lab.engine2D.Polygon.html#collisionfiltering),
+`sensor` to make the body a [sensor](myphysicslab.lab.engine2D.Polygon.html#sensors),
+`charge` as in {@link myphysicslab.lab.model.MassObject#setCharge}, and `nonCollide`
+which is a list of names of bodies that the body does not collide with as in
+{@link Polygon#addNonCollide}.
+
+The `style` property sets the look of the {@link DisplayShape} that shows the body:
+`fillStyle, strokeStyle, thickness, borderDash, drawCenterOfMass, drawDragPoints,
+nameColor, nameFont, nameRotate, sleepingFillStyle, zIndex`. When the DisplayList has no
+DisplayShape for the body, one is added to the DisplayList. Usually a
+{@link RigidBodyObserver} already added the DisplayShape, and also shows the connectors
+and forces.
+
+### Connectors
+
+Each entry in `connectors` has a `type` property:
+
++ `joint` makes a {@link Joint} with properties `body1, attach1, body2, attach2,
+    normalType, normal`. The `normalType` is either `body` or `world`, default is
+    `body`. When `normal` is omitted a pair of Joints is made with normals `(0, 1)`
+    and `(1, 0)`, as in {@link myphysicslab.lab.engine2D.JointUtil#attachRigidBody}.
+
++ `rope` makes a {@link Rope} with properties `body1, attach1, body2, attach2, length`
+    and optional `rod` which is `true` for a rod of fixed length.
+
++ `spring` makes a {@link Spring} with properties `name, body1, attach1, body2,
+    attach2, restLength, stiffness` and optional `damping, compressOnly`.
+
++ `angleLimit` makes an {@link AngleLimit} with properties `body1, attach1, body2,
+    attach2, minAngle, maxAngle` and optional `name`.
+
++ `prismatic` makes a {@link PrismaticJoint} with properties `body1, attach1, body2,
+    attach2, axis` and optional `minTravel, maxTravel, name`. The bodies keep the
+    relative angle that they have when the scene is loaded.
+
+Bodies are specified by name. The name `SCRIM` specifies the fixed {@link Scrim}, then
+the attachment point is in world coordinates. A Joint, Rope or Spring can have optional
+`breakForce` property, and a Joint or Rope can have optional `breakImpulse` property.
+The bodies are not moved to align with the Joints and Ropes; call
+{@link ContactSim#alignConnectors} after loading when the positions of the bodies do
+not already satisfy the connectors.
+
+### Force Laws
+
+Each entry in `forceLaws` has a `type` property:
+
++ `gravity` makes a {@link GravityLaw} with property `gravity` and optional
+    `zeroEnergyLevel`.
++ `damping` makes a {@link DampingLaw} with properties `damping, rotateRatio`.
++ `gravity2` makes a {@link Gravity2Law} with property `gravity` and optional
+    `barnesHut, openingAngle`.
++ `fluid` makes a {@link FluidLaw} with properties `surface, density, gravity` and
+    optional `viscosity, dragCoefficient, angularDrag`.
++ `coulomb` makes a {@link CoulombLaw} with property `coulomb`.
++ `lorentz` makes a {@link LorentzLaw} with property `magneticField` and optional
+    `electricField`.
++ `drag` makes a {@link DragLaw} with properties `drag, rotateRatio` and optional
+    `bodyDrag` which is an object that gives the drag coefficient of a body by name,
+    as in {@link DragLaw#setBodyDrag}.
++ `forceField` makes a {@link ForceFieldLaw} with properties `xEquation, yEquation`.
++ `thrusters` makes a {@link ThrusterSet} with properties `body, magnitude` and a list
+    of `thrusters` each with `location, direction` in body coordinates.
+
+### Motors
+
+Each entry in `motors` makes a {@link Motor} with properties `body1, body2` and
+optional `speed, maxTorque, name`.
+
+The optional top-level `elasticity` property is set on all bodies before the
+elasticity of each body is set.
+
+### Saving
+
+{@link #save} writes every body as a `polygon` shape so that any Polygon can be saved,
+regardless of how it was made. The Connectors and ForceLaws must be of the types listed
+above, otherwise an Error is thrown. A pair of Joints is saved as two Joints with
+normals. Only the `nonCollide` bodies that are in the simulation are saved.
+
+*/
+class SceneConfig {
+/**
+* @private
+*/
+constructor() {
+  throw new Error();
+};
+
+/** Adds the bodies, connectors and force laws of a scene to the ContactSim, and sets
+the style of the DisplayShapes that show the bodies. See {@link SceneConfig} for the
+format of the scene. The scene is added to whatever is already in the simulation; call
+{@link ContactSim#cleanSlate} beforehand to start from an empty world.
+@param {!ContactSim} sim the ContactSim to add the scene to
+@param {!DisplayList} displayList the DisplayList where the DisplayShapes are found or
+    added
+@param {string} json the scene, as JSON text
+@return {!Array<!Polygon>} the bodies that were added, in order of the scene
+@throws {!Error} when the scene is not valid
+*/
+static load(sim, displayList, json) {
+  var scene = /** @type {!Object} */(JSON.parse(json));
+  if (scene['version'] != SceneConfig.VERSION) {
+    throw new Error('unknown scene version '+scene['version']);
+  }
+  var bodies = goog.array.map(scene['bodies'] || [], function(b) {
+    var p = SceneConfig.makeBody_(b);
+    sim.addBody(p);
+    return p;
+  });
+  if (goog.isDef(scene['elasticity'])) {
+    sim.setElasticity(scene['elasticity']);
+  }
+  goog.array.forEach(scene['bodies'] || [], function(b, i) {
+    var p = bodies[i];
+    if (goog.isDef(b['elasticity'])) {
+      p.setElasticity(b['elasticity']);
+    }
+    var ds = displayList.find(p);
+    if (!(ds instanceof DisplayShape)) {
+      ds = new DisplayShape(p);
+      displayList.add(ds);
+    }
+    SceneConfig.setStyle_(ds, b['style'] || {});
+    if (goog.isDef(b['nonCollide'])) {
+      p.addNonCollide(goog.array.map(b['nonCollide'], function(name) {
+        return SceneConfig.findBody_(sim, name);
+      }));
+    }
+  });
+  goog.array.forEach(scene['connectors'] || [], function(c) {
+    SceneConfig.addConnector_(sim, c);
+  });
+  goog.array.forEach(scene['forceLaws'] || [], function(f) {
+    SceneConfig.addForceLaw_(sim, f);
+  });
+  goog.array.forEach(scene['motors'] || [], function(m) {
+    var maxTorque = goog.isDef(m['maxTorque']) ? Number(m['maxTorque']) : undefined;
+    sim.addMotor(new Motor(SceneConfig.findBody_(sim, m['body1']),
+        SceneConfig.findBody_(sim, m['body2']), m['speed'], maxTorque, m['name']));
+  });
+  return bodies;
+};
+
+/** Returns the bodies, connectors, force laws and motors of the ContactSim, and the
+style of the DisplayShapes that show the bodies, as a scene in JSON text. See
+[Saving](#saving).
+@param {!ContactSim} sim the ContactSim to save
+@param {!DisplayList} displayList the DisplayList where the DisplayShapes are found
+@return {string} the scene, as JSON text
+@throws {!Error} when the ContactSim has a Connector or ForceLaw that cannot be saved
+*/
+static save(sim, displayList) {
+  var simBodies = sim.getBodies();
+  var bodies = goog.array.map(simBodies, function(body) {
+    var b = SceneConfig.saveBody_(body);
+    var nonCollide = goog.array.filter(body.getNonCollide(), function(other) {
+      return other instanceof Scrim || goog.array.contains(simBodies, other);
+    });
+    if (nonCollide.length > 0) {
+      b['nonCollide'] = goog.array.map(nonCollide, function(other) {
+        return other.getName();
+      });
+    }
+    var ds = displayList.find(body);
+    if (ds instanceof DisplayShape) {
+      b['style'] = SceneConfig.saveStyle_(ds);
+    }
+    return b;
+  });
+  var connectors = [];
+  goog.array.forEach(sim.getConnectors(), function(c) {
+    if (c instanceof Joint) {
+      var j = {
+        'type': 'joint',
+        'body1': c.getBody1().getName(),
+        'attach1': SceneConfig.array_(c.getAttach1()),
+        'body2': c.getBody2().getName(),
+        'attach2': SceneConfig.array_(c.getAttach2()),
+        'normalType': c.getNormalType() == CoordType.WORLD ? 'world' : 'body',
+        'normal': SceneConfig.array_(c.getNormal())
+      };
+      SceneConfig.saveBreak_(j, c.getBreakForce(), c.getBreakImpulse());
+      connectors.push(j);
+    } else if (c instanceof Rope) {
+      var r = {
+        'type': 'rope',
+        'body1': c.getBody1().getName(),
+        'attach1': SceneConfig.array_(c.getAttach1()),
+        'body2': c.getBody2().getName(),
+        'attach2': SceneConfig.array_(c.getAttach2()),
+        'length': c.getRestLength(),
+        'rod': c.isRod()
+      };
+      SceneConfig.saveBreak_(r, c.getBreakForce(), c.getBreakImpulse());
+      connectors.push(r);
+    } else if (c instanceof AngleLimit) {
+      connectors.push({
+        'type': 'angleLimit',
+        'name': c.getName(),
+        'body1': c.getBody1().getName(),
+        'attach1': SceneConfig.array_(c.getAttach1()),
+        'body2': c.getBody2().getName(),
+        'attach2': SceneConfig.array_(c.getAttach2()),
+        'minAngle': c.getMinAngle(),
+        'maxAngle': c.getMaxAngle()
+      });
+    } else if (c instanceof PrismaticJoint) {
+      var pj = {
+        'type': 'prismatic',
+        'name': c.getName(),
+        'body1': c.getBody1().getName(),
+        'attach1': SceneConfig.array_(c.getAttach1()),
+        'body2': c.getBody2().getName(),
+        'attach2': SceneConfig.array_(c.getAttach2()),
+        'axis': SceneConfig.array_(c.getAxis())
+      };
+      if (isFinite(c.getMinTravel())) {
+        pj['minTravel'] = c.getMinTravel();
+      }
+      if (isFinite(c.getMaxTravel())) {
+        pj['maxTravel'] = c.getMaxTravel();
+      }
+      connectors.push(pj);
+    } else {
+      throw new Error('cannot save connector '+c.toStringShort());
+    }
+  });
+  var forceLaws = [];
+  goog.array.forEach(sim.getForceLaws(), function(f) {
+    if (f instanceof Spring) {
+      var s = {
+        'type': 'spring',
+        'name': f.getName(),
+        'body1': f.getBody1().getName(),
+        'attach1': SceneConfig.array_(f.getAttach1()),
+        'body2': f.getBody2().getName(),
+        'attach2': SceneConfig.array_(f.getAttach2()),
+        'restLength': f.getRestLength(),
+        'stiffness': f.getStiffness(),
+        'damping': f.getDamping(),
+        'compressOnly': f.isCompressOnly()
+      };
+      SceneConfig.saveBreak_(s, f.getBreakForce(), Util.POSITIVE_INFINITY);
+      connectors.push(s);
+    } else if (f instanceof GravityLaw) {
+      var g = {'type': 'gravity', 'gravity': f.getGravity()};
+      if (f.getZeroEnergyLevel() != 0) {
+        g['zeroEnergyLevel'] = f.getZeroEnergyLevel();
+      }
+      forceLaws.push(g);
+    } else if (f instanceof DampingLaw) {
+      forceLaws.push({
+        'type': 'damping',
+        'damping': f.getDamping(),
+        'rotateRatio': f.getRotateRatio()
+      });
+    } else if (f instanceof Gravity2Law) {
+      forceLaws.push({
+        'type': 'gravity2',
+        'gravity': f.getGravity(),
+        'barnesHut': f.getBarnesHut(),
+        'openingAngle': f.getOpeningAngle()
+      });
+    } else if (f instanceof FluidLaw) {
+      forceLaws.push({
+        'type': 'fluid',
+        'surface': f.getSurface(),
+        'density': f.getDensity(),
+        'gravity': f.getGravity(),
+        'viscosity': f.getViscosity(),
+        'dragCoefficient': f.getDragCoefficient(),
+        'angularDrag': f.getAngularDrag()
+      });
+    } else if (f instanceof CoulombLaw) {
+      forceLaws.push({'type': 'coulomb', 'coulomb': f.getCoulomb()});
+    } else if (f instanceof LorentzLaw) {
+      forceLaws.push({
+        'type': 'lorentz',
+        'magneticField': f.getMagneticField(),
+        'electricField': SceneConfig.array_(f.getElectricField())
+      });
+    } else if (f instanceof DragLaw) {
+      var drag = {
+        'type': 'drag',
+        'drag': f.getDrag(),
+        'rotateRatio': f.getRotateRatio()
+      };
+      var bodyDrag = {};
+      var dragBodies = f.getBodies();
+      for (var k=0; k<dragBodies.length; k++) {
+        var c = f.getBodyDrag(dragBodies[k]);
+        if (c != f.getDrag()) {
+          bodyDrag[dragBodies[k].getName()] = c;
+        }
+      }
+      if (!goog.object.isEmpty(bodyDrag)) {
+        drag['bodyDrag'] = bodyDrag;
+      }
+      forceLaws.push(drag);
+    } else if (f instanceof ForceFieldLaw) {
+      forceLaws.push({
+        'type': 'forceField',
+        'xEquation': f.getXEquation(),
+        'yEquation': f.getYEquation()
+      });
+    } else if (f instanceof ThrusterSet) {
+      var mag = f.getMagnitude();
+      var thrusters = [];
+      for (var i=0, n=f.getNumThrusters(); i<n; i++) {
+        var dir = f.getDirectionBody(i);
+        thrusters.push({
+          'location': SceneConfig.array_(f.getLocationBody(i)),
+          // the direction is scaled by the magnitude
+          'direction': SceneConfig.array_(mag != 0 ? dir.multiply(1/mag) : dir)
+        });
+      }
+      forceLaws.push({
+        'type': 'thrusters',
+        'body': f.getBodies()[0].getName(),
+        'magnitude': mag,
+        'thrusters': thrusters
+      });
+    } else {
+      throw new Error('cannot save force law '+f.toStringShort());
+    }
+  });
+  var motors = goog.array.map(sim.getMotors(), function(m) {
+    return {
+      'name': m.getName(),
+      'body1': m.getBody1().getName(),
+      'body2': m.getBody2().getName(),
+      'speed': m.getSpeed(),
+      'maxTorque': SceneConfig.number_(m.getMaxTorque())
+    };
+  });
+  return JSON.stringify({
+    'version': SceneConfig.VERSION,
+    'bodies': bodies,
+    'connectors': connectors,
+    'forceLaws': forceLaws,
+    'motors': motors
+  }, null, 1);
+};
+
+/** Adds a Joint, Rope, Spring, AngleLimit or PrismaticJoint to the simulation.
+@param {!ContactSim} sim
+@param {!Object} c the connector in the scene
+@private
+*/
+static addConnector_(sim, c) {
+  var body1 = SceneConfig.findBody_(sim, c['body1']);
+  var body2 = SceneConfig.findBody_(sim, c['body2']);
+  var attach1 = SceneConfig.vector_(c['attach1']);
+  var attach2 = SceneConfig.vector_(c['attach2']);
+  switch (c['type']) {
+    case 'joint':
+      var normalType = c['normalType'] == 'world' ? CoordType.WORLD : CoordType.BODY;
+      var joints;
+      if (goog.isDef(c['normal'])) {
+        var joint = new Joint(body1, attach1, body2, attach2, normalType,
+            SceneConfig.vector_(c['normal']));
+        sim.addConnector(joint);
+        joints = [joint];
+      } else {
+        joints = goog.array.map([Vector.NORTH, Vector.EAST], function(normal) {
+          var joint = new Joint(body1, attach1, body2, attach2, normalType, normal);
+          sim.addConnector(joint);
+          return joint;
+        });
+      }
+      goog.array.forEach(joints, function(joint) {
+        if (goog.isDef(c['breakForce'])) {
+          joint.setBreakForce(Number(c['breakForce']));
+        }
+        if (goog.isDef(c['breakImpulse'])) {
+          joint.setBreakImpulse(Number(c['breakImpulse']));
+        }
+      });
+      break;
+    case 'rope':
+      var rope = new Rope(body1, attach1, body2, attach2, c['length'],
+          c['rod'] ? Rope.ROD : Rope.ROPE);
+      if (goog.isDef(c['breakForce'])) {
+        rope.setBreakForce(Number(c['breakForce']));
+      }
+      if (goog.isDef(c['breakImpulse'])) {
+        rope.setBreakImpulse(Number(c['breakImpulse']));
+      }
+      sim.addConnector(rope);
+      break;
+    case 'spring':
+      var spring = new Spring(c['name'], body1, attach1, body2, attach2,
+          c['restLength'], c['stiffness'], c['compressOnly'] || false);
+      spring.setDamping(c['damping'] || 0);
+      if (goog.isDef(c['breakForce'])) {
+        spring.setBreakForce(Number(c['breakForce']));
+      }
+      sim.addForceLaw(spring);
+      sim.getSimList().add(spring);
+      break;
+    case 'angleLimit':
+      sim.addConnector(new AngleLimit(body1, attach1, body2, attach2, c['minAngle'],
+          c['maxAngle'], c['name']));
+      break;
+    case 'prismatic':
+      sim.addConnector(new PrismaticJoint(body1, attach1, body2, attach2,
+          SceneConfig.vector_(c['axis']), c['minTravel'], c['maxTravel'], c['name']));
+      break;
+    default:
+      throw new Error('unknown connector type '+c['type']);
+  }
+};
+
+/** Adds a ForceLaw to the simulation.
+@param {!ContactSim} sim
+@param {!Object} f the force law in the scene
+@private
+*/
+static addForceLaw_(sim, f) {
+  switch (f['type']) {
+    case 'gravity':
+      var gravity = new GravityLaw(f['gravity'], sim.getSimList());
+      if (goog.isDef(f['zeroEnergyLevel'])) {
+        gravity.setZeroEnergyLevel(f['zeroEnergyLevel']);
+      }
+      sim.addForceLaw(gravity);
+      break;
+    case 'damping':
+      sim.addForceLaw(new DampingLaw(f['damping'], f['rotateRatio'],
+          sim.getSimList()));
+      break;
+    case 'gravity2':
+      var gravity2 = new Gravity2Law(f['gravity'], sim.getSimList());
+      if (goog.isDef(f['barnesHut'])) {
+        gravity2.setBarnesHut(f['barnesHut']);
+      }
+      if (goog.isDef(f['openingAngle'])) {
+        gravity2.setOpeningAngle(f['openingAngle']);
+      }
+      sim.addForceLaw(gravity2);
+      break;
+    case 'fluid':
+      var fluid = new FluidLaw(f['surface'], f['density'], f['gravity'],
+          sim.getSimList());
+      fluid.setViscosity(f['viscosity'] || 0);
+      fluid.setDragCoefficient(f['dragCoefficient'] || 0);
+      fluid.setAngularDrag(f['angularDrag'] || 0);
+      sim.addForceLaw(fluid);
+      break;
+    case 'coulomb':
+      sim.addForceLaw(new CoulombLaw(f['coulomb'], sim.getSimList()));
+      break;
+    case 'lorentz':
+      var lorentz = new LorentzLaw(f['magneticField'], sim.getSimList());
+      lorentz.setElectricField(SceneConfig.vector_(f['electricField'] || [0, 0]));
+      sim.addForceLaw(lorentz);
+      break;
+    case 'drag':
+      var dragLaw = new DragLaw(f['drag'], f['rotateRatio'], sim.getSimList());
+      goog.object.forEach(f['bodyDrag'] || {}, function(c, name) {
+        dragLaw.setBodyDrag(sim.getBody(name), c);
+      });
+      sim.addForceLaw(dragLaw);
+      break;
+    case 'forceField':
+      var field = new ForceFieldLaw(sim, sim.getSimList());
+      field.setXEquation(f['xEquation'] || '0');
+      field.setYEquation(f['yEquation'] || '0');
+      sim.addForceLaw(field);
+      break;
+    case 'thrusters':
+      var thrusters = f['thrusters'] || [];
+      var body = SceneConfig.findBody_(sim, f['body']);
+      var ts = new ThrusterSet(thrusters.length, body, f['magnitude']);
+      goog.array.forEach(thrusters, function(t, i) {
+        ts.setThruster(i, SceneConfig.vector_(t['location']),
+            SceneConfig.vector_(t['direction']));
+      });
+      sim.addForceLaw(ts);
+      break;
+    default:
+      throw new Error('unknown force law type '+f['type']);
+  }
+};
+
+/** Returns the vector as an array of two numbers.
+@param {!Vector} v
+@return {!Array<number>}
+@private
+*/
+static array_(v) {
+  return [v.getX(), v.getY()];
+};
+
+/** Returns the body of the simulation with the given name, or the Scrim.
+@param {!ContactSim} sim
+@param {string} name name of the body, or `SCRIM`
+@return {!RigidBody}
+@throws {!Error} when there is no body with the given name
+@private
+*/
+static findBody_(sim, name) {
+  var scrim = Scrim.getScrim();
+  return scrim.nameEquals(name) ? scrim : sim.getBody(name);
+};
+
+/** Makes a Polygon from a body in the scene.
+@param {!Object} b the body in the scene
+@return {!Polygon}
+@private
+*/
+static makeBody_(b) {
+  var name = b['name'];
+  var p;
+  switch (b['shape']) {
+    case 'ball':
+      p = Shapes.makeBall(b['radius'], name);
+      break;
+    case 'block':
+      p = Shapes.makeBlock(b['width'], b['height'], name);
+      break;
+    case 'block2':
+      p = Shapes.makeBlock2(b['width'], b['height'], name);
+      break;
+    case 'frame':
+      p = Shapes.makeFrame(b['width'], b['height'], b['thickness'], name);
+      break;
+    case 'hexagon':
+      p = Shapes.makeHexagon(b['size'], name);
+      break;
+    case 'pendulum':
+      p = Shapes.makePendulum(b['width'], b['length'], b['radius'], name);
+      break;
+    case 'roundBlock':
+      p = Shapes.makeRoundBlock(b['width'], b['height'], name);
+      break;
+    case 'roundCornerBlock':
+      p = Shapes.makeRoundCornerBlock(b['width'], b['height'], b['radius'], name);
+      break;
+    case 'wall':
+      p = Shapes.makeWall(b['width'], b['height'], b['edge'], name);
+      break;
+    case 'polygon':
+      p = new Polygon(name);
+      goog.array.forEach(b['paths'], function(path) {
+        p.startPath(new ConcreteVertex(SceneConfig.vector_(path['start'])));
+        goog.array.forEach(path['edges'], function(e) {
+          var to = SceneConfig.vector_(e['to']);
+          if (goog.isDef(e['center'])) {
+            p.addCircularEdge(to, SceneConfig.vector_(e['center']), e['clockwise'],
+                e['outsideIsOut']);
+          } else {
+            p.addStraightEdge(to, e['outsideIsUp']);
+          }
+        });
+        p.closePath();
+      });
+      p.finish();
+      break;
+    default:
+      throw new Error('unknown shape '+b['shape']);
+  }
+  if (goog.isDef(b['centroid'])) {
+    p.setCentroid(SceneConfig.vector_(b['centroid']));
+  }
+  if (goog.isDef(b['centerOfMass'])) {
+    var cm = SceneConfig.vector_(b['centerOfMass']);
+    p.setCenterOfMass(cm.getX(), cm.getY());
+  }
+  if (goog.isDef(b['momentAboutCM'])) {
+    p.setMomentAboutCM(b['momentAboutCM']);
+  }
+  var special = b['specialEdge'];
+  if (goog.isDef(special)) {
+    p.setSpecialEdge(special['index'], special['radius']);
+  }
+  if (goog.isDef(b['mass'])) {
+    p.setMass(Number(b['mass']));
+  }
+  p.setPosition(SceneConfig.vector_(b['position'] || [0, 0]), b['angle'] || 0);
+  p.setVelocity(SceneConfig.vector_(b['velocity'] || [0, 0]),
+      b['angularVelocity'] || 0);
+  if (b['continuousCollision']) {
+    p.setContinuousCollision(true);
+  }
+  if (goog.isDef(b['zeroEnergyLevel'])) {
+    p.setZeroEnergyLevel(b['zeroEnergyLevel']);
+  }
+  if (goog.isDef(b['charge'])) {
+    p.setCharge(b['charge']);
+  }
+  if (goog.isDef(b['collisionCategory'])) {
+    p.setCollisionCategory(b['collisionCategory']);
+  }
+  if (goog.isDef(b['collisionMask'])) {
+    p.setCollisionMask(b['collisionMask']);
+  }
+  if (goog.isDef(b['collisionGroup'])) {
+    p.setCollisionGroup(b['collisionGroup']);
+  }
+  if (b['sensor']) {
+    p.setSensor(true);
+  }
+  return p;
+};
+
+/** Returns the number, or a string when the number is infinite, because JSON has no
+way to represent infinity.
+@param {number} value
+@return {number|string}
+@private
+*/
+static number_(value) {
+  return isFinite(value) ? value : String(value);
+};
+
+/** Returns a Polygon as a body in the scene, with shape `polygon`.
+@param {!Polygon} p
+@return {!Object}
+@private
+*/
+static saveBody_(p) {
+  var paths = [];
+  var path = null;
+  var lastEdge = null;
+  goog.array.forEach(p.getEdges(), function(edge) {
+    // a new path starts where an Edge does not continue from the previous Edge
+    if (lastEdge == null || lastEdge.getVertex2() != edge.getVertex1()) {
+      path = {'start': SceneConfig.array_(edge.getVertex1().locBody()), 'edges': []};
+      paths.push(path);
+    }
+    var e = {'to': SceneConfig.array_(edge.getVertex2().locBody())};
+    if (edge instanceof CircularEdge) {
+      e['center'] = SceneConfig.array_(edge.getCenterBody());
+      e['clockwise'] = edge.isClockwise();
+      e['outsideIsOut'] = edge.outsideIsOut();
+    } else if (edge instanceof StraightEdge) {
+      e['outsideIsUp'] = edge.outsideIsUp();
+    }
+    path['edges'].push(e);
+    lastEdge = edge;
+  });
+  var mass = p.getMass();
+  var b = {
+    'name': p.getName(),
+    'shape': 'polygon',
+    'paths': paths,
+    'centroid': SceneConfig.array_(p.getCentroidBody()),
+    'centerOfMass': SceneConfig.array_(p.getCenterOfMassBody()),
+    'mass': SceneConfig.number_(mass)
+  };
+  if (isFinite(mass)) {
+    b['momentAboutCM'] = p.momentAboutCM()/mass;
+  }
+  var special = p.getSpecialEdge();
+  if (special != null) {
+    b['specialEdge'] = {
+      'index': goog.array.indexOf(p.getEdges(), special),
+      'radius': p.getCentroidRadius()
+    };
+  }
+  var v = p.getVelocity();
+  b['position'] = SceneConfig.array_(p.getPosition());
+  b['angle'] = p.getAngle();
+  b['velocity'] = SceneConfig.array_(v);
+  b['angularVelocity'] = p.getAngularVelocity();
+  b['elasticity'] = p.getElasticity();
+  if (p.getContinuousCollision()) {
+    b['continuousCollision'] = true;
+  }
+  var zel = p.getZeroEnergyLevel();
+  if (zel != null) {
+    b['zeroEnergyLevel'] = zel;
+  }
+  if (p.getCharge() != 0) {
+    b['charge'] = p.getCharge();
+  }
+  b['collisionCategory'] = p.getCollisionCategory();
+  b['collisionMask'] = p.getCollisionMask();
+  b['collisionGroup'] = p.getCollisionGroup();
+  if (p.isSensor()) {
+    b['sensor'] = true;
+  }
+  return b;
+};
+
+/** Sets the break force and break impulse of a connector in the scene, when they are
+finite.
+@param {!Object} c the connector in the scene
+@param {number} breakForce
+@param {number} breakImpulse
+@private
+*/
+static saveBreak_(c, breakForce, breakImpulse) {
+  if (isFinite(breakForce)) {
+    c['breakForce'] = breakForce;
+  }
+  if (isFinite(breakImpulse)) {
+    c['breakImpulse'] = breakImpulse;
+  }
+};
+
+/** Returns the style of the DisplayShape as a style in the scene. Gradients and
+images are not saved.
+@param {!DisplayShape} ds
+@return {!Object}
+@private
+*/
+static saveStyle_(ds) {
+  var style = {};
+  var fill = ds.getFillStyle();
+  if (goog.isString(fill)) {
+    style['fillStyle'] = fill;
+  }
+  var sleepingFill = ds.getSleepingFillStyle();
+  if (goog.isString(sleepingFill)) {
+    style['sleepingFillStyle'] = sleepingFill;
+  }
+  style['strokeStyle'] = ds.getStrokeStyle();
+  style['thickness'] = ds.getThickness();
+  style['borderDash'] = ds.getBorderDash();
+  style['drawCenterOfMass'] = ds.getDrawCenterOfMass();
+  style['drawDragPoints'] = ds.getDrawDragPoints();
+  style['nameColor'] = ds.getNameColor();
+  style['nameFont'] = ds.getNameFont();
+  style['nameRotate'] = ds.getNameRotate();
+  style['zIndex'] = ds.getZIndex();
+  return style;
+};
+
+/** Sets the style of the DisplayShape from a style in the scene.
+@param {!DisplayShape} ds
+@param {!Object} style the style in the scene
+@private
+*/
+static setStyle_(ds, style) {
+  if (goog.isDef(style['fillStyle'])) {
+    ds.setFillStyle(style['fillStyle']);
+  }
+  if (goog.isDef(style['sleepingFillStyle'])) {
+    ds.setSleepingFillStyle(style['sleepingFillStyle']);
+  }
+  if (goog.isDef(style['strokeStyle'])) {
+    ds.setStrokeStyle(style['strokeStyle']);
+  }
+  if (goog.isDef(style['thickness'])) {
+    ds.setThickness(style['thickness']);
+  }
+  if (goog.isDef(style['borderDash'])) {
+    ds.setBorderDash(style['borderDash']);
+  }
+  if (goog.isDef(style['drawCenterOfMass'])) {
+    ds.setDrawCenterOfMass(style['drawCenterOfMass']);
+  }
+  if (goog.isDef(style['drawDragPoints'])) {
+    ds.setDrawDragPoints(style['drawDragPoints']);
+  }
+  if (goog.isDef(style['nameColor'])) {
+    ds.setNameColor(style['nameColor']);
+  }
+  if (goog.isDef(style['nameFont'])) {
+    ds.setNameFont(style['nameFont']);
+  }
+  if (goog.isDef(style['nameRotate'])) {
+    ds.setNameRotate(style['nameRotate']);
+  }
+  if (goog.isDef(style['zIndex'])) {
+    ds.setZIndex(style['zIndex']);
+  }
+};
+
+/** Returns a Vector from an array of two numbers.
+@param {!Array<number>} a
+@return {!Vector}
+@private
+*/
+static vector_(a) {
+  return new Vector(a[0], a[1]);
+};
+
+} // end class
+
+/** Version number of the scene format.
+* @type {number}
+* @const
+*/
+SceneConfig.VERSION = 1;
+
+exports = SceneConfig;
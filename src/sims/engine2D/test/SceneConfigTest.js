@@ -0,0 +1,375 @@
+// Copyright 2016 Erik Neumann.  All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+goog.module('myphysicslab.sims.engine2D.test.SceneConfigTest');
+
+goog.require('goog.array');
+
+const AngleLimit = goog.require('myphysicslab.lab.engine2D.AngleLimit');
+const ConstantForceLaw = goog.require('myphysicslab.lab.model.ConstantForceLaw');
+const ContactSim = goog.require('myphysicslab.lab.engine2D.ContactSim');
+const CoulombLaw = goog.require('myphysicslab.lab.model.CoulombLaw');
+const DisplayList = goog.require('myphysicslab.lab.view.DisplayList');
+const DisplayShape = goog.require('myphysicslab.lab.view.DisplayShape');
+const DragLaw = goog.require('myphysicslab.lab.model.DragLaw');
+const FluidLaw = goog.require('myphysicslab.lab.engine2D.FluidLaw');
+const ForceFieldLaw = goog.require('myphysicslab.lab.model.ForceFieldLaw');
+const Gravity2Law = goog.require('myphysicslab.lab.model.Gravity2Law');
+const Joint = goog.require('myphysicslab.lab.engine2D.Joint');
+const LorentzLaw = goog.require('myphysicslab.lab.model.LorentzLaw');
+const Motor = goog.require('myphysicslab.lab.engine2D.Motor');
+const PrismaticJoint = goog.require('myphysicslab.lab.engine2D.PrismaticJoint');
+const Rope = goog.require('myphysicslab.lab.engine2D.Rope');
+const Scrim = goog.require('myphysicslab.lab.engine2D.Scrim');
+const SceneConfig = goog.require('myphysicslab.sims.engine2D.SceneConfig');
+const Shapes = goog.require('myphysicslab.lab.engine2D.Shapes');
+const Spring = goog.require('myphysicslab.lab.model.Spring');
+const TestRig = goog.require('myphysicslab.test.TestRig');
+const ThrusterSet = goog.require('myphysicslab.lab.engine2D.ThrusterSet');
+const Util = goog.require('myphysicslab.lab.util.Util');
+const Vector = goog.require('myphysicslab.lab.util.Vector');
+
+const assertEquals = TestRig.assertEquals;
+const assertFalse = TestRig.assertFalse;
+const assertRoughlyEquals = TestRig.assertRoughlyEquals;
+const assertThrows = TestRig.assertThrows;
+const assertTrue = TestRig.assertTrue;
+const schedule = TestRig.schedule;
+const startTest = TestRig.startTest;
+
+class SceneConfigTest {
+
+static test() {
+  schedule(SceneConfigTest.testLoad);
+  schedule(SceneConfigTest.testRoundTrip);
+  schedule(SceneConfigTest.testRoundTripLimits);
+  schedule(SceneConfigTest.testDragAndForceField);
+  schedule(SceneConfigTest.testErrors);
+};
+
+/** Returns a scene that uses every kind of body, connector and force law.
+@return {string}
+*/
+static makeScene() {
+  return JSON.stringify({
+    'version': 1,
+    'bodies': [
+      {'name': 'floor', 'shape': 'wall', 'width': 6, 'height': 1,
+        'edge': Shapes.TOP_EDGE, 'position': [0, -2.5], 'mass': 'Infinity',
+        'style': {'fillStyle': 'lightGray', 'zIndex': -1}},
+      {'name': 'ball', 'shape': 'ball', 'radius': 0.25, 'position': [1, 0],
+        'velocity': [0, 1], 'elasticity': 0.5, 'continuousCollision': true,
+        'charge': -2,
+        'style': {'fillStyle': 'red', 'strokeStyle': 'black', 'thickness': 2}},
+      {'name': 'block', 'shape': 'block', 'width': 1, 'height': 0.5, 'mass': 2,
+        'position': [-1, 0], 'angle': 0.3, 'angularVelocity': -1,
+        'collisionGroup': -1},
+      {'name': 'wedge', 'shape': 'polygon', 'paths': [{'start': [0, 0], 'edges': [
+          {'to': [1, 0], 'outsideIsUp': false},
+          {'to': [0, 1], 'center': [0, 0], 'clockwise': false, 'outsideIsOut': true},
+          {'to': [0, 0], 'outsideIsUp': false}]}],
+        'position': [0, 1.5], 'momentAboutCM': 0.2, 'zeroEnergyLevel': -2,
+        'collisionGroup': -1, 'collisionCategory': 2, 'collisionMask': 0xFFFD}
+    ],
+    'connectors': [
+      {'type': 'rope', 'body1': 'SCRIM', 'attach1': [1, 1.5], 'body2': 'ball',
+        'attach2': [0, 0], 'length': 1.6, 'breakForce': 50},
+      {'type': 'joint', 'body1': 'block', 'attach1': [0.5, 0], 'body2': 'wedge',
+        'attach2': [0, 0]},
+      {'type': 'spring', 'name': 'spring1', 'body1': 'SCRIM', 'attach1': [-2, 2],
+        'body2': 'block', 'attach2': [0, 0], 'restLength': 1, 'stiffness': 3,
+        'damping': 0.1}
+    ],
+    'forceLaws': [
+      {'type': 'gravity', 'gravity': 9.8},
+      {'type': 'damping', 'damping': 0.05, 'rotateRatio': 0.15},
+      {'type': 'thrusters', 'body': 'block', 'magnitude': 2, 'thrusters': [
+        {'location': [0, 0], 'direction': [1, 0]},
+        {'location': [0.5, 0], 'direction': [0, -1]}]},
+      {'type': 'fluid', 'surface': -1, 'density': 1.5, 'gravity': 9.8,
+        'viscosity': 0.2},
+      {'type': 'coulomb', 'coulomb': 3},
+      {'type': 'lorentz', 'magneticField': 0.5, 'electricField': [1, 0]}
+    ],
+    'elasticity': 0.8
+  });
+};
+
+static testLoad() {
+  startTest(SceneConfigTest.groupName+'testLoad');
+  var sim = new ContactSim();
+  var displayList = new DisplayList();
+  var bodies = SceneConfig.load(sim, displayList, SceneConfigTest.makeScene());
+  assertEquals(4, bodies.length);
+  assertEquals(4, sim.getBodies().length);
+  var floor = sim.getBody('floor');
+  assertEquals(Util.POSITIVE_INFINITY, floor.getMass());
+  assertTrue(floor.getSpecialEdge() != null);
+  assertEquals(-2.5, floor.getPosition().getY());
+  assertEquals(0.8, floor.getElasticity());
+  var ball = sim.getBody('ball');
+  assertEquals(1, ball.getMass());
+  assertEquals(1, ball.getVelocity().getY());
+  // the elasticity of a body overrides the scene elasticity
+  assertEquals(0.5, ball.getElasticity());
+  assertTrue(ball.getContinuousCollision());
+  assertEquals(-2, ball.getCharge());
+  assertEquals(0, sim.getBody('block').getCharge());
+  var block = sim.getBody('block');
+  assertEquals(2, block.getMass());
+  assertEquals(0.3, block.getAngle());
+  assertEquals(-1, block.getAngularVelocity());
+  var wedge = sim.getBody('wedge');
+  assertEquals(3, wedge.getEdges().length);
+  assertRoughlyEquals(0.2, wedge.momentAboutCM(), 1e-10);
+  assertEquals(-2, wedge.getZeroEnergyLevel());
+  assertEquals(2, wedge.getCollisionCategory());
+  assertEquals(0xFFFD, wedge.getCollisionMask());
+  assertTrue(wedge.doesNotCollide(block));
+  assertFalse(wedge.doesNotCollide(ball));
+  // a DisplayShape is made for each body, with the given style
+  assertEquals(4, displayList.length());
+  assertEquals('lightGray', displayList.findShape(floor).getFillStyle());
+  assertEquals(-1, displayList.findShape(floor).getZIndex());
+  assertEquals('red', displayList.findShape(ball).getFillStyle());
+  assertEquals(2, displayList.findShape(ball).getThickness());
+  // a rope and a pair of joints
+  var connectors = sim.getConnectors();
+  assertEquals(3, connectors.length);
+  var rope = connectors[0];
+  assertTrue(rope instanceof Rope);
+  if (rope instanceof Rope) {
+    assertEquals(50, rope.getBreakForce());
+  }
+  assertTrue(connectors[1] instanceof Joint);
+  assertTrue(connectors[2] instanceof Joint);
+  // spring, gravity, damping, thrusters, fluid, coulomb, lorentz
+  var forceLaws = sim.getForceLaws();
+  assertEquals(7, forceLaws.length);
+  var spring = forceLaws[0];
+  assertTrue(spring instanceof Spring);
+  if (spring instanceof Spring) {
+    assertEquals('SPRING1', spring.getName());
+    assertEquals(0.1, spring.getDamping());
+  }
+  var thrusters = forceLaws[3];
+  assertTrue(thrusters instanceof ThrusterSet);
+  if (thrusters instanceof ThrusterSet) {
+    assertEquals(2, thrusters.getNumThrusters());
+    assertEquals(-2, thrusters.getDirectionBody(1).getY());
+  }
+  var fluid = forceLaws[4];
+  assertTrue(fluid instanceof FluidLaw);
+  if (fluid instanceof FluidLaw) {
+    assertEquals(-1, fluid.getSurface());
+    assertEquals(1.5, fluid.getDensity());
+    assertEquals(0.2, fluid.getViscosity());
+    assertEquals(0, fluid.getDragCoefficient());
+    // the fluid applies to the bodies with finite mass
+    assertEquals(3, fluid.getBodies().length);
+  }
+  var coulomb = forceLaws[5];
+  assertTrue(coulomb instanceof CoulombLaw);
+  if (coulomb instanceof CoulombLaw) {
+    assertEquals(3, coulomb.getCoulomb());
+    // the floor with infinite mass can be a fixed charge
+    assertEquals(4, coulomb.getBodies().length);
+  }
+  var lorentz = forceLaws[6];
+  assertTrue(lorentz instanceof LorentzLaw);
+  if (lorentz instanceof LorentzLaw) {
+    assertEquals(0.5, lorentz.getMagneticField());
+    assertEquals(1, lorentz.getElectricFieldX());
+  }
+};
+
+static testRoundTrip() {
+  startTest(SceneConfigTest.groupName+'testRoundTrip');
+  var sim1 = new ContactSim();
+  var displayList1 = new DisplayList();
+  SceneConfig.load(sim1, displayList1, SceneConfigTest.makeScene());
+  var json1 = SceneConfig.save(sim1, displayList1);
+  var scene = JSON.parse(json1);
+  assertEquals(SceneConfig.VERSION, scene['version']);
+  // every body is saved as a polygon
+  assertEquals(4, scene['bodies'].length);
+  assertTrue(scene['bodies'].every(function(b) { return b['shape'] == 'polygon'; }));
+  assertEquals('Infinity', scene['bodies'][0]['mass']);
+  assertEquals(Shapes.TOP_EDGE, scene['bodies'][0]['specialEdge']['index']);
+  // the pair of joints is saved as two joints with normals; the spring is saved with
+  // the connectors
+  assertEquals(4, scene['connectors'].length);
+  assertEquals('joint', scene['connectors'][1]['type']);
+  assertEquals('spring', scene['connectors'][3]['type']);
+  assertEquals(6, scene['forceLaws'].length);
+  assertEquals('fluid', scene['forceLaws'][3]['type']);
+  assertEquals('lorentz', scene['forceLaws'][5]['type']);
+  assertEquals(-2, scene['bodies'][1]['charge']);
+  assertFalse(goog.isDef(scene['bodies'][2]['charge']));
+  // load the saved scene into another simulation, and save it again
+  var sim2 = new ContactSim();
+  var displayList2 = new DisplayList();
+  SceneConfig.load(sim2, displayList2, json1);
+  var json2 = SceneConfig.save(sim2, displayList2);
+  assertEquals(json1, json2);
+  // the two simulations are the same
+  var vars1 = sim1.getVarsList().getValues();
+  var vars2 = sim2.getVarsList().getValues();
+  assertEquals(vars1.length, vars2.length);
+  for (var i=0; i<vars1.length; i++) {
+    assertRoughlyEquals(vars1[i], vars2[i], 1e-10);
+  }
+  var wedge1 = sim1.getBody('wedge');
+  var wedge2 = sim2.getBody('wedge');
+  assertRoughlyEquals(wedge1.momentAboutCM(), wedge2.momentAboutCM(), 1e-10);
+  assertEquals(wedge1.getCentroidRadius(), wedge2.getCentroidRadius());
+  assertEquals('red', displayList2.findShape('ball').getFillStyle());
+};
+
+static testRoundTripLimits() {
+  startTest(SceneConfigTest.groupName+'testRoundTripLimits');
+  var sim1 = new ContactSim();
+  var displayList1 = new DisplayList();
+  var arm = Shapes.makeBlock(1, 0.2, 'arm');
+  var slider = Shapes.makeBlock(0.5, 0.5, 'slider');
+  var ball = Shapes.makeBall(0.2, 'ball');
+  slider.setPosition(new Vector(2, 0));
+  ball.setPosition(new Vector(0, 2));
+  sim1.addBody(arm);
+  sim1.addBody(slider);
+  sim1.addBody(ball);
+  goog.array.forEach([arm, slider, ball], function(p) {
+    displayList1.add(new DisplayShape(p));
+  });
+  ball.addNonCollide([arm]);
+  sim1.addConnector(new AngleLimit(Scrim.getScrim(), Vector.ORIGIN, arm, Vector.ORIGIN,
+      -0.5, 1.5));
+  sim1.addConnector(new PrismaticJoint(Scrim.getScrim(), new Vector(2, 0), slider,
+      Vector.ORIGIN, Vector.NORTH, -1, 1));
+  sim1.addMotor(new Motor(Scrim.getScrim(), arm, 2, 10));
+  var gravity2 = new Gravity2Law(3, sim1.getSimList());
+  gravity2.setBarnesHut(true);
+  gravity2.setOpeningAngle(0.7);
+  sim1.addForceLaw(gravity2);
+  var json1 = SceneConfig.save(sim1, displayList1);
+  var sim2 = new ContactSim();
+  var displayList2 = new DisplayList();
+  SceneConfig.load(sim2, displayList2, json1);
+  assertEquals(json1, SceneConfig.save(sim2, displayList2));
+  // the non-collide list is kept
+  assertTrue(sim2.getBody('ball').doesNotCollide(sim2.getBody('arm')));
+  assertFalse(sim2.getBody('ball').doesNotCollide(sim2.getBody('slider')));
+  var connectors = sim2.getConnectors();
+  assertEquals(2, connectors.length);
+  var limit = connectors[0];
+  assertTrue(limit instanceof AngleLimit);
+  if (limit instanceof AngleLimit) {
+    assertEquals(-0.5, limit.getMinAngle());
+    assertEquals(1.5, limit.getMaxAngle());
+  }
+  var prismatic = connectors[1];
+  assertTrue(prismatic instanceof PrismaticJoint);
+  if (prismatic instanceof PrismaticJoint) {
+    assertEquals(1, prismatic.getAxis().getY());
+    assertEquals(2, prismatic.getAttach1().getX());
+    assertEquals(1, prismatic.getMaxTravel());
+  }
+  var motors = sim2.getMotors();
+  assertEquals(1, motors.length);
+  assertEquals(2, motors[0].getSpeed());
+  assertEquals(10, motors[0].getMaxTorque());
+  var g2 = sim2.getForceLaws()[0];
+  assertTrue(g2 instanceof Gravity2Law);
+  if (g2 instanceof Gravity2Law) {
+    assertTrue(g2.getBarnesHut());
+    assertEquals(0.7, g2.getOpeningAngle());
+  }
+};
+
+static testDragAndForceField() {
+  startTest(SceneConfigTest.groupName+'testDragAndForceField');
+  var sim1 = new ContactSim();
+  var displayList1 = new DisplayList();
+  SceneConfig.load(sim1, displayList1, JSON.stringify({
+    'version': 1,
+    'bodies': [
+      {'name': 'ball', 'shape': 'ball', 'radius': 0.25},
+      {'name': 'block', 'shape': 'block', 'width': 1, 'height': 0.5}
+    ],
+    'forceLaws': [
+      {'type': 'drag', 'drag': 0.3, 'rotateRatio': 0.5, 'bodyDrag': {'block': 2}},
+      {'type': 'forceField', 'xEquation': '-y', 'yEquation': 'x'}
+    ]
+  }));
+  var forceLaws = sim1.getForceLaws();
+  assertEquals(2, forceLaws.length);
+  var drag = forceLaws[0];
+  assertTrue(drag instanceof DragLaw);
+  if (drag instanceof DragLaw) {
+    assertEquals(0.3, drag.getDrag());
+    assertEquals(0.5, drag.getRotateRatio());
+    assertEquals(0.3, drag.getBodyDrag(sim1.getBody('ball')));
+    assertEquals(2, drag.getBodyDrag(sim1.getBody('block')));
+  }
+  var field = forceLaws[1];
+  assertTrue(field instanceof ForceFieldLaw);
+  if (field instanceof ForceFieldLaw) {
+    assertEquals('-y', field.getXEquation());
+    assertEquals('x', field.getYEquation());
+  }
+  // load the saved scene into another simulation, and save it again
+  var json1 = SceneConfig.save(sim1, displayList1);
+  var sim2 = new ContactSim();
+  var displayList2 = new DisplayList();
+  SceneConfig.load(sim2, displayList2, json1);
+  assertEquals(json1, SceneConfig.save(sim2, displayList2));
+};
+
+static testErrors() {
+  startTest(SceneConfigTest.groupName+'testErrors');
+  var sim = new ContactSim();
+  var displayList = new DisplayList();
+  assertThrows(function() {
+    SceneConfig.load(sim, displayList, '{"version": 2}');
+  });
+  assertThrows(function() {
+    SceneConfig.load(sim, displayList,
+        '{"version": 1, "bodies": [{"name": "x", "shape": "star"}]}');
+  });
+  assertEquals(0, sim.getBodies().length);
+  // a connector cannot refer to a body that does not exist
+  assertThrows(function() {
+    SceneConfig.load(sim, displayList, '{"version": 1, "connectors": ['
+        +'{"type": "rope", "body1": "SCRIM", "attach1": [0, 0], "body2": "nobody",'
+        +' "attach2": [0, 0], "length": 1}]}');
+  });
+  // a ConstantForceLaw cannot be saved
+  var block = Shapes.makeBlock(1, 1, 'block');
+  sim.addBody(block);
+  assertTrue(SceneConfig.save(sim, displayList).length > 0);
+  sim.addForceLaw(new ConstantForceLaw(null));
+  assertThrows(function() {
+    SceneConfig.save(sim, displayList);
+  });
+};
+
+} // end class
+
+/**
+* @type {string}
+* @const
+*/
+SceneConfigTest.groupName = 'SceneConfigTest.';
+
+exports = SceneConfigTest;
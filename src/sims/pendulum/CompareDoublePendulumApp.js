@@ -44,6 +44,7 @@ const GraphLine = goog.require('myphysicslab.lab.graph.GraphLine');
 const GravityLaw = goog.require('myphysicslab.lab.model.GravityLaw');
 const Joint = goog.require('myphysicslab.lab.engine2D.Joint');
 const LabControl = goog.require('myphysicslab.lab.controls.LabControl');
+const LyapunovEstimator = goog.require('myphysicslab.lab.model.LyapunovEstimator');
 const NumericControl = goog.require('myphysicslab.lab.controls.NumericControl');
 const Parameter = goog.require('myphysicslab.lab.util.Parameter');
 const ParameterBoolean = goog.require('myphysicslab.lab.util.ParameterBoolean');
@@ -84,6 +85,12 @@ The angles shown in graphs are modified for the ContactSim so that they are equi
 to the corresponding RigidDoublePendulumSim angles. The adjustment is given by
 {@link RigidDoublePendulumSim#getGamma1} and {@link RigidDoublePendulumSim#getGamma2}.
 
+A {@link LyapunovEstimator} runs a hidden copy of the RigidDoublePendulumSim to estimate
+its largest Lyapunov exponent, which is available as a variable in the graphs. There
+is no estimate for the ContactSim, because perturbing each variable of its RigidBodys
+would pull apart the Joints; the ContactSim is not graphed when the Lyapunov exponent
+is chosen.
+
 Creates instance objects such as the simulation and display objects;
 defines regular expressions for easy Terminal scripting of these objects using short
 names instead of fully qualified property names.
@@ -171,6 +178,13 @@ constructor(elem_ids, centered) {
   this.simRun.addCanvas(simCanvas);
   /** @type {!Clock} */
   this.clock = this.simRun.getClock();
+  var lyapParts = centered ? RigidDoublePendulumSim.makeCentered(0.25 * Math.PI, 0)
+        : RigidDoublePendulumSim.makeOffset(0.25 * Math.PI, 0);
+  /** @type {!LyapunovEstimator} */
+  this.lyapunov = new LyapunovEstimator(this.sim1,
+      new RigidDoublePendulumSim(lyapParts, 'LYAPUNOV_SIM'), this.advance1,
+      /*angles=*/[0, 2]);
+  this.simRun.addMemo(this.lyapunov);
   /** @type {!RigidBodyEventHandler} */
   this.rbeh = new RigidBodyEventHandler(this.sim2, this.clock);
   /** @type {!SimController} */
@@ -289,6 +303,9 @@ constructor(elem_ids, centered) {
   pn = this.sim1.getParameterNumber(RigidDoublePendulumSim.en.ANGLE_2);
   this.addControl(new SliderControl(pn, -Math.PI, Math.PI, /*multiply=*/false));
 
+  pn = this.lyapunov.getParameterNumber(LyapunovEstimator.en.RENORMALIZE_PERIOD);
+  this.addControl(new NumericControl(pn));
+
   pb = this.sim2.getParameterBoolean(RigidBodySim.en.SHOW_FORCES);
   this.addControl(new CheckBoxControl(pb));
 
@@ -352,10 +369,14 @@ constructor(elem_ids, centered) {
   line2.setColor('red');
   line2.setDrawingMode(DrawingMode.DOTS);
 
+  var lyapIndex = this.lyapunov.getVariableIndex();
   /** translate variable index of sim1 to equivalent variable of sim2
   * @type {function(number): number}
   */
   var translate = function(v1) {
+    if (v1 == lyapIndex) {
+      return -1; // no Lyapunov exponent for sim2
+    }
     switch (v1) {
       case 0: return 8; // angle1
       case 1: return 9; // angle1 velocity
@@ -439,6 +460,7 @@ constructor(elem_ids, centered) {
     this.sim2,
     this.simRun,
     this.clock,
+    this.lyapunov,
     this.simView,
     this.statusView,
     this.gravityLaw,
@@ -462,6 +484,7 @@ toString() {
   return Util.ADVANCED ? '' : this.toStringShort().slice(0, -1)
       +', sim1: '+this.sim1.toStringShort()
       +', sim2: '+this.sim2.toStringShort()
+      +', lyapunov: '+this.lyapunov.toStringShort()
       +', terminal: '+this.terminal
       +', graph: '+this.graph
       +', timeGraph: '+this.timeGraph
@@ -483,7 +506,7 @@ defineNames(myName) {
     return;
   this.terminal.addWhiteList(myName);
   this.terminal.addRegex('advance1|advance2|axes|clock|displayClock'
-      +'|energyGraph1|energyGraph2|graph|layout|sim1|sim2|simCtrl|simList'
+      +'|energyGraph1|energyGraph2|graph|layout|lyapunov|sim1|sim2|simCtrl|simList'
       +'|simRect|simRun|simView|statusView|timeGraph|easyScript'
       +'|displayList|bob0|bob1|joint0|joint1|terminal|rbo',
       myName+'.');
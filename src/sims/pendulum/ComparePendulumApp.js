@@ -26,6 +26,7 @@ const CommonControls = goog.require('myphysicslab.sims.common.CommonControls');
 const CompareGraph = goog.require('myphysicslab.sims.common.CompareGraph');
 const CompareTimeGraph = goog.require('myphysicslab.sims.common.CompareTimeGraph');
 const ConcreteLine = goog.require('myphysicslab.lab.model.ConcreteLine');
+const DiffEqSolverSubject = goog.require('myphysicslab.lab.model.DiffEqSolverSubject');
 const DisplayArc = goog.require('myphysicslab.lab.view.DisplayArc');
 const DisplayAxes = goog.require('myphysicslab.lab.graph.DisplayAxes');
 const DisplayClock = goog.require('myphysicslab.lab.view.DisplayClock');
@@ -41,6 +42,7 @@ const EventHandler = goog.require('myphysicslab.lab.app.EventHandler');
 const GenericObserver = goog.require('myphysicslab.lab.util.GenericObserver');
 const GraphLine = goog.require('myphysicslab.lab.graph.GraphLine');
 const LabControl = goog.require('myphysicslab.lab.controls.LabControl');
+const LyapunovEstimator = goog.require('myphysicslab.lab.model.LyapunovEstimator');
 const NumericControl = goog.require('myphysicslab.lab.controls.NumericControl');
 const Parameter = goog.require('myphysicslab.lab.util.Parameter');
 const ParameterBoolean = goog.require('myphysicslab.lab.util.ParameterBoolean');
@@ -73,6 +75,15 @@ for a slight difference of initial conditions. This demonstrates the sensitivity
 chaotic systems to initial condtions.  The driven pendulum simulation used is
 {@link PendulumSim}.
 
+Each simulation has its own DiffEqSolver. To compare how well two DiffEqSolvers conserve
+energy: set the angle difference to zero, turn off damping and driving force, choose a
+different DiffEqSolver for each simulation, and turn on the 'compare energy' mode of
+the {@link CompareGraph}.
+
+Each simulation has a {@link LyapunovEstimator} which runs a hidden copy of that
+simulation to estimate its largest Lyapunov exponent, which is available as a variable
+in the graphs.
+
 Creates instance objects such as the simulation and display objects;
 defines regular expressions for easy Terminal scripting of these objects using short
 names instead of fully qualified property names.
@@ -163,6 +174,20 @@ constructor(elem_ids) {
   this.simRun.addCanvas(simCanvas);
   /** @type {!Clock} */
   this.clock = this.simRun.getClock();
+  /** @type {!LyapunovEstimator} */
+  this.lyapunov1 = new LyapunovEstimator(this.sim1, new PendulumSim('LYAPUNOV_SIM_1'),
+      this.advance1, /*angles=*/[0]);
+  this.simRun.addMemo(this.lyapunov1);
+  /** @type {!LyapunovEstimator} */
+  this.lyapunov2 = new LyapunovEstimator(this.sim2, new PendulumSim('LYAPUNOV_SIM_2'),
+      this.advance2, /*angles=*/[0]);
+  this.simRun.addMemo(this.lyapunov2);
+  // match the parameters on lyapunov2 to those of lyapunov1
+  new GenericObserver(this.lyapunov1, goog.bind(function(evt) {
+    if (evt instanceof ParameterNumber) {
+      this.lyapunov2.getParameterNumber(evt.getName()).setValue(evt.getValue());
+    }
+  }, this), 'lyapunov2 follows lyapunov1');
 
   var displayRod2 = new DisplayLine(this.simList2.getConcreteLine('rod'));
   this.displayList.add(displayRod2);
@@ -215,6 +240,9 @@ constructor(elem_ids) {
   pn = this.sim1.getParameterNumber(PendulumSim.en.GRAVITY);
   this.addControl(new SliderControl(pn, 0, 20, /*multiply=*/false));
 
+  pn = this.lyapunov1.getParameterNumber(LyapunovEstimator.en.RENORMALIZE_PERIOD);
+  this.addControl(new NumericControl(pn));
+
   /** @type {!EnergyBarGraph} */
   this.energyGraph = new EnergyBarGraph(this.sim1);
   /** @type {!ParameterBoolean} */
@@ -241,6 +269,16 @@ constructor(elem_ids) {
   this.addControl(new NumericControl(pn));
   pn = this.simRun.getClock().getParameterNumber(Clock.en.TIME_RATE);
   this.addControl(new NumericControl(pn));
+  /** @type {!DiffEqSolverSubject} */
+  this.diffEqSolver1 = new DiffEqSolverSubject(this.sim1, this.sim1, this.advance1,
+      'DIFF_EQ_SUBJECT_1');
+  ps = this.diffEqSolver1.getParameterString(DiffEqSolverSubject.en.DIFF_EQ_SOLVER);
+  this.addControl(new ChoiceControl(ps, ComparePendulumApp.i18n.SOLVER_1));
+  /** @type {!DiffEqSolverSubject} */
+  this.diffEqSolver2 = new DiffEqSolverSubject(this.sim2, this.sim2, this.advance2,
+      'DIFF_EQ_SUBJECT_2');
+  ps = this.diffEqSolver2.getParameterString(DiffEqSolverSubject.en.DIFF_EQ_SOLVER);
+  this.addControl(new ChoiceControl(ps, ComparePendulumApp.i18n.SOLVER_2));
   var bm = CommonControls.makeBackgroundMenu(this.layout.simCanvas);
   this.addControl(bm);
 
@@ -332,6 +370,10 @@ constructor(elem_ids) {
     this.sim2,
     this.simRun,
     this.clock,
+    this.diffEqSolver1,
+    this.diffEqSolver2,
+    this.lyapunov1,
+    this.lyapunov2,
     this.simView,
     this.statusView,
     this.sim1.getVarsList(),
@@ -354,6 +396,8 @@ toString() {
   return Util.ADVANCED ? '' : this.toStringShort().slice(0, -1)
       +', sim1: '+this.sim1.toStringShort()
       +', sim2: '+this.sim2.toStringShort()
+      +', lyapunov1: '+this.lyapunov1.toStringShort()
+      +', lyapunov2: '+this.lyapunov2.toStringShort()
       +', terminal: '+this.terminal
       +', graph: '+this.graph
       +', timeGraph: '+this.timeGraph
@@ -374,8 +418,10 @@ defineNames(myName) {
   if (Util.ADVANCED)
     return;
   this.terminal.addWhiteList(myName);
-  this.terminal.addRegex('advance1|advance2|axes|clock|displayClock|displayList'
-      +'|energyGraph|graph|layout|sim1|sim2|simCtrl|simList|simList2'
+  this.terminal.addRegex('advance1|advance2|axes|clock|diffEqSolver1|diffEqSolver2'
+      +'|displayClock|displayList'
+      +'|energyGraph|graph|layout|lyapunov1|lyapunov2|sim1|sim2|simCtrl|simList'
+      +'|simList2'
       +'|simRect|simRun|simView|statusView|timeGraph|easyScript|terminal',
       myName+'.');
   this.terminal.addRegex('simCanvas',
@@ -450,7 +496,9 @@ setAngleDelta(value) {
 
 /** Set of internationalized strings.
 @typedef {{
-  ANGLE_DELTA: string
+  ANGLE_DELTA: string,
+  SOLVER_1: string,
+  SOLVER_2: string
   }}
 */
 ComparePendulumApp.i18n_strings;
@@ -459,7 +507,9 @@ ComparePendulumApp.i18n_strings;
 @type {ComparePendulumApp.i18n_strings}
 */
 ComparePendulumApp.en = {
-  ANGLE_DELTA: 'angle difference'
+  ANGLE_DELTA: 'angle difference',
+  SOLVER_1: 'blue solver',
+  SOLVER_2: 'red solver'
 };
 
 /**
@@ -467,7 +517,9 @@ ComparePendulumApp.en = {
 @type {ComparePendulumApp.i18n_strings}
 */
 ComparePendulumApp.de_strings = {
-  ANGLE_DELTA: 'Winkeldifferenz'
+  ANGLE_DELTA: 'Winkeldifferenz',
+  SOLVER_1: 'Löser blau',
+  SOLVER_2: 'Löser rot'
 };
 
 /** Set of internationalized strings.
@@ -14,6 +14,8 @@
 
 goog.module('myphysicslab.sims.pendulum.DoublePendulumApp');
 
+goog.require('goog.array');
+
 const AbstractApp = goog.require('myphysicslab.sims.common.AbstractApp');
 const CommonControls = goog.require('myphysicslab.sims.common.CommonControls');
 const ConcreteLine = goog.require('myphysicslab.lab.model.ConcreteLine');
@@ -21,6 +23,8 @@ const DisplayLine = goog.require('myphysicslab.lab.view.DisplayLine');
 const DisplayShape = goog.require('myphysicslab.lab.view.DisplayShape');
 const DoublePendulumSim = goog.require('myphysicslab.sims.pendulum.DoublePendulumSim');
 const DoubleRect = goog.require('myphysicslab.lab.util.DoubleRect');
+const LyapunovEstimator = goog.require('myphysicslab.lab.model.LyapunovEstimator');
+const NumericControl = goog.require('myphysicslab.lab.controls.NumericControl');
 const ParameterNumber = goog.require('myphysicslab.lab.util.ParameterNumber');
 const PointMass = goog.require('myphysicslab.lab.model.PointMass');
 const SimpleAdvance = goog.require('myphysicslab.lab.model.SimpleAdvance');
@@ -30,6 +34,9 @@ const Util = goog.require('myphysicslab.lab.util.Util');
 const Vector = goog.require('myphysicslab.lab.util.Vector');
 
 /** Displays the {@link DoublePendulumSim} simulation.
+
+A {@link LyapunovEstimator} runs a hidden copy of the simulation to estimate the
+largest Lyapunov exponent, which is available as a variable in the graphs.
 */
 class DoublePendulumApp extends AbstractApp {
 /**
@@ -73,6 +80,11 @@ constructor(elem_ids) {
     this.displayList.add(this.marker1Shape);
   }
 
+  /** @type {!LyapunovEstimator} */
+  this.lyapunov = new LyapunovEstimator(sim, new DoublePendulumSim('LYAPUNOV_SIM'),
+      this.advance, /*angles=*/[0, 2]);
+  this.simRun.addMemo(this.lyapunov);
+
   this.graph.line.setXVariable(0); // angle-1
   this.graph.line.setYVariable(2); // angle-2
   // test of polar graph feature
@@ -98,6 +110,9 @@ constructor(elem_ids) {
   pn = sim.getParameterNumber(DoublePendulumSim.en.GRAVITY);
   this.addControl(new SliderControl(pn, 0, 20, /*multiply=*/false));
 
+  pn = this.lyapunov.getParameterNumber(LyapunovEstimator.en.RENORMALIZE_PERIOD);
+  this.addControl(new NumericControl(pn));
+
   this.addStandardControls();
 
   this.makeEasyScript();
@@ -111,6 +126,7 @@ toString() {
       +', bob2: '+this.bob2.toStringShort()
       +', rod1: '+this.rod2.toStringShort()
       +', rod2: '+this.rod2.toStringShort()
+      +', lyapunov: '+this.lyapunov.toStringShort()
       + super.toString();
 };
 
@@ -122,10 +138,16 @@ getClassName() {
 /** @override */
 defineNames(myName) {
   super.defineNames(myName);
-  this.terminal.addRegex('rod1|rod2|bob1|bob2',
+  this.terminal.addRegex('rod1|rod2|bob1|bob2|lyapunov',
       myName+'.');
 };
 
+/** @override */
+getSubjects() {
+  var subjects = super.getSubjects();
+  return goog.array.concat(this.lyapunov, subjects);
+};
+
 } // end class
 
 /**
@@ -22,17 +22,26 @@ const ConcreteLine = goog.require('myphysicslab.lab.model.ConcreteLine');
 const EnergyInfo = goog.require('myphysicslab.lab.model.EnergyInfo');
 const EnergySystem = goog.require('myphysicslab.lab.model.EnergySystem');
 const EventHandler = goog.require('myphysicslab.lab.app.EventHandler');
+const Force = goog.require('myphysicslab.lab.model.Force');
+const ForceLaw = goog.require('myphysicslab.lab.model.ForceLaw');
+const GenericEvent = goog.require('myphysicslab.lab.util.GenericEvent');
 const MutableVector = goog.require('myphysicslab.lab.util.MutableVector');
 const ParameterNumber = goog.require('myphysicslab.lab.util.ParameterNumber');
 const PointMass = goog.require('myphysicslab.lab.model.PointMass');
 const RandomLCG = goog.require('myphysicslab.lab.util.RandomLCG');
 const Spring = goog.require('myphysicslab.lab.model.Spring');
+const SymplecticSolver = goog.require('myphysicslab.lab.model.SymplecticSolver');
 const Util = goog.require('myphysicslab.lab.util.Util');
 const VarsList = goog.require('myphysicslab.lab.model.VarsList');
 const Vector = goog.require('myphysicslab.lab.util.Vector');
 
 /** Simulation of a chain of springs and masses stretched between two fixed points.
 
+Other forces can be applied to the masses by adding a
+{@link myphysicslab.lab.model.ForceLaw} with {@link #addForceLaw}, for example a
+{@link myphysicslab.lab.model.DragLaw} or a
+{@link myphysicslab.lab.model.ForceFieldLaw}.
+
 * @implements {EnergySystem}
 * @implements {EventHandler}
 */
@@ -109,6 +118,11 @@ constructor(opt_name) {
   * @private
   */
   this.springs_ = [];
+  /**
+  * @type {!Array<!ForceLaw>}
+  * @private
+  */
+  this.forceLaws_ = [];
   this.addParameter(new ParameterNumber(this, ChainOfSpringsSim.en.GRAVITY,
       ChainOfSpringsSim.i18n.GRAVITY,
       goog.bind(this.getGravity, this), goog.bind(this.setGravity, this)));
@@ -284,6 +298,44 @@ makeChain(numAtoms, attachRight)  {
   this.modifyObjects();
 };
 
+/** Adds the ForceLaw to the list of ForceLaws operating in this simulation, if it is
+not already on the list. The forces that the ForceLaw applies to the atoms are added to
+the other forces on the atoms; forces on other objects are ignored.
+Broadcasts a {@link #FORCE_LAW_ADDED} event with the ForceLaw as value.
+@param {!ForceLaw} forceLaw the ForceLaw to add
+*/
+addForceLaw(forceLaw) {
+  if (!goog.array.contains(this.forceLaws_, forceLaw)) {
+    this.forceLaws_.push(forceLaw);
+  }
+  // discontinuous change to energy; 1 = KE, 2 = PE, 3 = TE
+  this.getVarsList().incrSequence(1, 2, 3);
+  this.broadcast(new GenericEvent(this, ChainOfSpringsSim.FORCE_LAW_ADDED,
+      forceLaw));
+};
+
+/** Returns the list of ForceLaws operating in this simulation.
+* @return {!Array<!ForceLaw>} list of ForceLaws operating in this simulation
+*/
+getForceLaws() {
+  return goog.array.clone(this.forceLaws_);
+};
+
+/** Removes the ForceLaw from the list of ForceLaws operating in this simulation.
+Broadcasts a {@link #FORCE_LAW_REMOVED} event with the ForceLaw as value.
+* @param {!ForceLaw} forceLaw the ForceLaw to remove
+* @return {boolean} whether the ForceLaw was removed
+*/
+removeForceLaw(forceLaw) {
+  forceLaw.disconnect();
+  // discontinuous change to energy; 1 = KE, 2 = PE, 3 = TE
+  this.getVarsList().incrSequence(1, 2, 3);
+  var removed = goog.array.remove(this.forceLaws_, forceLaw);
+  this.broadcast(new GenericEvent(this, ChainOfSpringsSim.FORCE_LAW_REMOVED,
+      forceLaw));
+  return removed;
+};
+
 /** Arranges atoms in a straight line between the fixed points (even if the fixed
 * points are not connected to the chain).
 * @return {undefined}
@@ -334,6 +386,9 @@ getEnergyInfo_(vars) {
     // gravity potential = m g (y - floor)
     pe += this.gravity_ * atom.getMass() * atom.getPosition().getY();
   }, this);
+  goog.array.forEach(this.forceLaws_, function(forceLaw) {
+    pe += forceLaw.getPotentialEnergy();
+  });
   return new EnergyInfo(pe + this.potentialOffset_, ke);
 };
 
@@ -421,6 +476,12 @@ evaluate(vars, change, timeStep) {
   Util.zeroArray(change);
   this.moveObjects(vars);
   change[0] = 1; // time
+  // forces from ForceLaws such as DragLaw or ForceFieldLaw
+  /** @type {!Array<!Force>} */
+  var lawForces = [];
+  goog.array.forEach(this.forceLaws_, function(forceLaw) {
+    goog.array.extend(lawForces, forceLaw.calculateForces());
+  });
   goog.array.forEach(this.atoms_, function(atom, listIdx) {
     if (this.dragAtom_ == listIdx) {
       return;
@@ -441,12 +502,56 @@ evaluate(vars, change, timeStep) {
     // add gravity force
     force.add(new Vector(0, -this.gravity_*mass));
     force.add(new Vector(vars[idx+2], vars[idx+3]).multiply(-this.damping_));
+    goog.array.forEach(lawForces, function(f) {
+      if (f.getBody() == atom) {
+        force.add(f.getVector());
+      }
+    });
     change[idx+2] = force.getX()/mass; // Vx'
     change[idx+3] = force.getY()/mass; // Vy'
   }, this);
   return null;
 };
 
+/** @override */
+getPositionVariables() {
+  // 0    1  2  3    4     5     6    7     8   9  10  11  12  13  14  15  16 ...
+  // time KE PE TE fix1x fix1y fix2x fix2y U0x U0y V0x V0y U1x U1y V1x V1y U2x ...
+  var r = [];
+  if (!this.separable_()) {
+    return r;
+  }
+  for (var i=0, n=this.atoms_.length; i<n; i++) {
+    var idx = 4*i + 8;
+    r.push(idx, idx+1);
+  }
+  return r;
+};
+
+/** @override */
+getVelocityVariables() {
+  var r = [];
+  if (!this.separable_()) {
+    return r;
+  }
+  for (var i=0, n=this.atoms_.length; i<n; i++) {
+    var idx = 4*i + 8;
+    r.push(idx+2, idx+3);
+  }
+  return r;
+};
+
+/** Whether the acceleration depends only on the positions and time, so that the
+position and velocity variables can be declared. Damping, and ForceLaws that can depend
+on velocity, make the acceleration depend on the velocity.
+* @return {boolean}
+* @private
+*/
+separable_() {
+  return this.damping_ == 0 && this.springDamping_ == 0
+      && SymplecticSolver.velocityIndependent(this.forceLaws_);
+};
+
 /** Return gravity strength.
 @return {number} gravity strength
 */
@@ -643,4 +748,16 @@ ChainOfSpringsSim.de_strings = {
 ChainOfSpringsSim.i18n = goog.LOCALE === 'de' ? ChainOfSpringsSim.de_strings :
     ChainOfSpringsSim.en;
 
+/** Name of event broadcast from {@link #addForceLaw}.
+* @type {string}
+* @const
+*/
+ChainOfSpringsSim.FORCE_LAW_ADDED = 'FORCE_LAW_ADDED';
+
+/** Name of event broadcast from {@link #removeForceLaw}.
+* @type {string}
+* @const
+*/
+ChainOfSpringsSim.FORCE_LAW_REMOVED = 'FORCE_LAW_REMOVED';
+
 exports = ChainOfSpringsSim;
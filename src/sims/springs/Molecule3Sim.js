@@ -24,11 +24,15 @@ const ConcreteLine = goog.require('myphysicslab.lab.model.ConcreteLine');
 const EnergyInfo = goog.require('myphysicslab.lab.model.EnergyInfo');
 const EnergySystem = goog.require('myphysicslab.lab.model.EnergySystem');
 const EventHandler = goog.require('myphysicslab.lab.app.EventHandler');
+const Force = goog.require('myphysicslab.lab.model.Force');
+const ForceLaw = goog.require('myphysicslab.lab.model.ForceLaw');
+const GenericEvent = goog.require('myphysicslab.lab.util.GenericEvent');
 const MoleculeCollision = goog.require('myphysicslab.sims.springs.MoleculeCollision');
 const MutableVector = goog.require('myphysicslab.lab.util.MutableVector');
 const ParameterNumber = goog.require('myphysicslab.lab.util.ParameterNumber');
 const PointMass = goog.require('myphysicslab.lab.model.PointMass');
 const Spring = goog.require('myphysicslab.lab.model.Spring');
+const SymplecticSolver = goog.require('myphysicslab.lab.model.SymplecticSolver');
 const Util = goog.require('myphysicslab.lab.util.Util');
 const VarsList = goog.require('myphysicslab.lab.model.VarsList');
 const Vector = goog.require('myphysicslab.lab.util.Vector');
@@ -41,6 +45,11 @@ length) can be set separately from the others.
 This uses the same physics as {@link myphysicslab.sims.springs.Molecule1Sim} but allows
 for more springs and masses.
 
+Other forces can be applied to the atoms by adding a
+{@link myphysicslab.lab.model.ForceLaw} with {@link #addForceLaw}, for example a
+{@link myphysicslab.lab.model.DragLaw} or a
+{@link myphysicslab.lab.model.ForceFieldLaw}.
+
 Variables and Parameters
 -------------------------
 
@@ -268,6 +277,11 @@ constructor(opt_name) {
   * @private
   */
   this.springs_ = [];
+  /**
+  * @type {!Array<!ForceLaw>}
+  * @private
+  */
+  this.forceLaws_ = [];
   this.addParameter(new ParameterNumber(this, Molecule3Sim.en.GRAVITY,
       Molecule3Sim.i18n.GRAVITY,
       goog.bind(this.getGravity, this), goog.bind(this.setGravity, this)));
@@ -389,6 +403,44 @@ addSpring(spring) {
   this.getSimList().add(spring);
 };
 
+/** Adds the ForceLaw to the list of ForceLaws operating in this simulation, if it is
+not already on the list. The forces that the ForceLaw applies to the atoms are added to
+the other forces on the atoms; forces on other objects are ignored.
+Broadcasts a {@link #FORCE_LAW_ADDED} event with the ForceLaw as value.
+@param {!ForceLaw} forceLaw the ForceLaw to add
+*/
+addForceLaw(forceLaw) {
+  if (!goog.array.contains(this.forceLaws_, forceLaw)) {
+    this.forceLaws_.push(forceLaw);
+  }
+  // discontinuous change to energy; 1 = KE, 2 = PE, 3 = TE
+  this.getVarsList().incrSequence(1, 2, 3);
+  this.broadcast(new GenericEvent(this, Molecule3Sim.FORCE_LAW_ADDED,
+      forceLaw));
+};
+
+/** Returns the list of ForceLaws operating in this simulation.
+* @return {!Array<!ForceLaw>} list of ForceLaws operating in this simulation
+*/
+getForceLaws() {
+  return goog.array.clone(this.forceLaws_);
+};
+
+/** Removes the ForceLaw from the list of ForceLaws operating in this simulation.
+Broadcasts a {@link #FORCE_LAW_REMOVED} event with the ForceLaw as value.
+* @param {!ForceLaw} forceLaw the ForceLaw to remove
+* @return {boolean} whether the ForceLaw was removed
+*/
+removeForceLaw(forceLaw) {
+  forceLaw.disconnect();
+  // discontinuous change to energy; 1 = KE, 2 = PE, 3 = TE
+  this.getVarsList().incrSequence(1, 2, 3);
+  var removed = goog.array.remove(this.forceLaws_, forceLaw);
+  this.broadcast(new GenericEvent(this, Molecule3Sim.FORCE_LAW_REMOVED,
+      forceLaw));
+  return removed;
+};
+
 /** Returns the set of {@link Spring}'s in the simulation.
 * @return {!Array<!Spring>}
 */
@@ -412,7 +464,7 @@ setWalls(walls) {
   this.getSimList().add(this.walls_);
 };
 
-/** Removes all springs and atoms from the simulation.
+/** Removes all springs, atoms and ForceLaws from the simulation.
 * @return {undefined}
 */
 cleanSlate() {
@@ -432,6 +484,9 @@ cleanSlate() {
   goog.array.clear(this.atoms_);
   this.getSimList().removeAll(this.springs_);
   goog.array.clear(this.springs_);
+  // remove force laws AFTER the atoms, so that a ForceLaw observing the SimList
+  // hears the remove events
+  goog.array.forEachRight(this.forceLaws_, this.removeForceLaw, this);
 };
 
 /** @override */
@@ -463,6 +518,9 @@ getEnergyInfo_(vars) {
     pe += this.gravity_ * atom.getMass() *
         (atom.getPosition().getY() - (bottom + atom.getHeight()/2));
   }, this);
+  goog.array.forEach(this.forceLaws_, function(forceLaw) {
+    pe += forceLaw.getPotentialEnergy();
+  });
   return new EnergyInfo(pe + this.potentialOffset_, ke);
 };
 
@@ -663,6 +721,12 @@ evaluate(vars, change, timeStep) {
   this.moveObjects(vars);
   change[0] = 1; // time
   var walls = this.walls_.getBoundsWorld();
+  // forces from ForceLaws such as DragLaw or ForceFieldLaw
+  /** @type {!Array<!Force>} */
+  var lawForces = [];
+  goog.array.forEach(this.forceLaws_, function(forceLaw) {
+    goog.array.extend(lawForces, forceLaw.calculateForces());
+  });
   // vars: 0   1   2   3   4   5   6   7    8  9   10  11  12  13  14
   //      time KE  PE  TE  F1  F2  F3  U1x U1y V1x V1y U2x U2y V2x V2y
   goog.array.forEach(this.atoms_, function(atom, listIdx) {
@@ -690,6 +754,11 @@ evaluate(vars, change, timeStep) {
     // add damping force
     var d = new Vector(vx, vy);
     force.add(d.multiply(-this.damping_));
+    goog.array.forEach(lawForces, function(f) {
+      if (f.getBody() == atom) {
+        force.add(f.getVector());
+      }
+    });
 
     var ax = force.getX()/mass;
     if (ax<0 && Math.abs(bounds.getLeft()-walls.getLeft())<this.distTol_
@@ -718,6 +787,45 @@ evaluate(vars, change, timeStep) {
   return null;
 };
 
+/** @override */
+getPositionVariables() {
+  // vars: 0   1   2   3   4   5   6   7    8  9   10  11  12  13  14
+  //      time KE  PE  TE  F1  F2  F3  U1x U1y V1x V1y U2x U2y V2x V2y
+  var r = [];
+  if (!this.separable_()) {
+    return r;
+  }
+  for (var i=0, n=this.atoms_.length; i<n; i++) {
+    var idx = Molecule3Sim.START_VAR + 4*i;
+    r.push(idx, idx+1);
+  }
+  return r;
+};
+
+/** @override */
+getVelocityVariables() {
+  var r = [];
+  if (!this.separable_()) {
+    return r;
+  }
+  for (var i=0, n=this.atoms_.length; i<n; i++) {
+    var idx = Molecule3Sim.START_VAR + 4*i;
+    r.push(idx+2, idx+3);
+  }
+  return r;
+};
+
+/** Whether the acceleration depends only on the positions and time, so that the
+position and velocity variables can be declared. Damping, and ForceLaws that can depend
+on velocity, make the acceleration depend on the velocity.
+* @return {boolean}
+* @private
+*/
+separable_() {
+  return this.damping_ == 0
+      && SymplecticSolver.velocityIndependent(this.forceLaws_);
+};
+
 /** Return gravity strength.
 @return {number} gravity strength
 */
@@ -838,4 +946,16 @@ Molecule3Sim.de_strings = {
 Molecule3Sim.i18n = goog.LOCALE === 'de' ? Molecule3Sim.de_strings :
     Molecule3Sim.en;
 
+/** Name of event broadcast from {@link #addForceLaw}.
+* @type {string}
+* @const
+*/
+Molecule3Sim.FORCE_LAW_ADDED = 'FORCE_LAW_ADDED';
+
+/** Name of event broadcast from {@link #removeForceLaw}.
+* @type {string}
+* @const
+*/
+Molecule3Sim.FORCE_LAW_REMOVED = 'FORCE_LAW_REMOVED';
+
 exports = Molecule3Sim;
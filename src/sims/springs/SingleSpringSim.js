@@ -331,6 +331,18 @@ evaluate(vars, change, timeStep) {
   return null;
 };
 
+/** @override */
+getPositionVariables() {
+  // Damping makes the acceleration depend on the velocity, so the position and
+  // velocity variables are declared only when there is no damping.
+  return this.damping_ == 0 ? [0] : [];
+};
+
+/** @override */
+getVelocityVariables() {
+  return this.damping_ == 0 ? [1] : [];
+};
+
 /**
 @return {number}
 */
@@ -0,0 +1,276 @@
+// Copyright 2016 Erik Neumann.  All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+goog.module('myphysicslab.test.BreakTest');
+
+const CollisionAdvance = goog.require('myphysicslab.lab.model.CollisionAdvance');
+const CollisionHandling = goog.require('myphysicslab.lab.engine2D.CollisionHandling');
+const ContactSim = goog.require('myphysicslab.lab.engine2D.ContactSim');
+const CoordType = goog.require('myphysicslab.lab.model.CoordType');
+const Engine2DTestRig = goog.require('myphysicslab.test.Engine2DTestRig');
+const ExtraAccel = goog.require('myphysicslab.lab.engine2D.ExtraAccel');
+const GravityLaw = goog.require('myphysicslab.lab.model.GravityLaw');
+const Joint = goog.require('myphysicslab.lab.engine2D.Joint');
+const JointUtil = goog.require('myphysicslab.lab.engine2D.JointUtil');
+const Rope = goog.require('myphysicslab.lab.engine2D.Rope');
+const RungeKutta = goog.require('myphysicslab.lab.model.RungeKutta');
+const Scrim = goog.require('myphysicslab.lab.engine2D.Scrim');
+const Shapes = goog.require('myphysicslab.lab.engine2D.Shapes');
+const Spring = goog.require('myphysicslab.lab.model.Spring');
+const TestRig = goog.require('myphysicslab.test.TestRig');
+const Util = goog.require('myphysicslab.lab.util.Util');
+const Vector = goog.require('myphysicslab.lab.util.Vector');
+
+const makeVars = Engine2DTestRig.makeVars;
+const runTest = Engine2DTestRig.runTest;
+const schedule = TestRig.schedule;
+const setBodyVars = Engine2DTestRig.setBodyVars;
+const setTestName = Engine2DTestRig.setTestName;
+
+/** Tests breakable Joints, Ropes and Springs, which are removed from the simulation
+when their force or impulse exceeds a break force or break impulse. Once a connector
+breaks the body falls freely under gravity, so the expected results are from elementary
+physics.
+*/
+class BreakTest {
+/**
+@private
+*/
+constructor() { throw new Error(); };
+
+static test() {
+  schedule(BreakTest.joint_holds);
+  schedule(BreakTest.joint_breaks);
+  schedule(BreakTest.double_joint_breaks);
+  schedule(BreakTest.rope_snaps);
+  schedule(BreakTest.spring_breaks);
+};
+
+/** Sets common simulation options.
+@param {!ContactSim} sim
+@param {!CollisionAdvance} advance
+@private
+*/
+static commonSetup(sim, advance) {
+  sim.setCollisionAccuracy(0.6);
+  sim.setCollisionHandling(CollisionHandling.SERIAL_GROUPED_LASTPASS);
+  sim.setDistanceTol(0.01);
+  sim.setVelocityTol(0.5);
+  sim.setExtraAccel(ExtraAccel.VELOCITY_AND_DISTANCE_JOINTS);
+  advance.setJointSmallImpacts(true);
+  advance.setTimeStep(0.025);
+  advance.setDiffEqSolver(new RungeKutta(sim));
+};
+
+/** Block of mass 1 hangs at rest from a double Joint at its top edge, which is at the
+origin. The weight of the block is 10, which is the force on the vertical Joint.
+@param {!ContactSim} sim
+@param {!CollisionAdvance} advance
+@param {number} breakForce the break force of the Joints
+@private
+*/
+static jointSetup(sim, advance, breakForce) {
+  BreakTest.commonSetup(sim, advance);
+  var block = Shapes.makeBlock(0.5, 1, 'block');
+  block.setPosition(new Vector(0, -0.5), 0);
+  sim.addBody(block);
+  JointUtil.attachFixedPoint(sim, block, new Vector(0, 0.5), CoordType.WORLD);
+  goog.array.forEach(sim.getConnectors(), function(connector) {
+    if (connector instanceof Joint) {
+      connector.setBreakForce(breakForce);
+    }
+  });
+  sim.addForceLaw(new GravityLaw(10, sim.getSimList()));
+};
+
+/** Block hangs from Joints with a break force of 20, which is more than its weight.
+@param {!ContactSim} sim
+@param {!CollisionAdvance} advance
+@export
+*/
+static joint_holds_setup(sim, advance) {
+  BreakTest.jointSetup(sim, advance, 20);
+};
+
+/** The Joints do not break, and the block does not move.
+@return {undefined}
+@private
+*/
+static joint_holds() {
+  setTestName(BreakTest.groupName+'joint_holds');
+  var sim = new ContactSim();
+  var advance = new CollisionAdvance(sim);
+  BreakTest.joint_holds_setup(sim, advance);
+  var vars = makeVars(6);
+  setBodyVars(sim, vars, 0, 0, 0, -0.5, 0, 0, 0);
+  runTest(sim, advance, /*runUntil=*/1.0,
+      /*expectedVars=*/vars, /*tolerance=*/0.001);
+};
+
+/** Block hangs from Joints with a break force of 5, which is less than its weight.
+@param {!ContactSim} sim
+@param {!CollisionAdvance} advance
+@export
+*/
+static joint_breaks_setup(sim, advance) {
+  BreakTest.jointSetup(sim, advance, 5);
+};
+
+/** The Joints break after the first time step of 0.025, and then the block falls
+freely for the remaining time.
+@return {undefined}
+@private
+*/
+static joint_breaks() {
+  setTestName(BreakTest.groupName+'joint_breaks');
+  var sim = new ContactSim();
+  var advance = new CollisionAdvance(sim);
+  BreakTest.joint_breaks_setup(sim, advance);
+  var vars = makeVars(6);
+  var t = 1.0 - 0.025;
+  setBodyVars(sim, vars, 0, 0, 0, -0.5 - 5*t*t, -10*t, 0, 0);
+  runTest(sim, advance, /*runUntil=*/1.0,
+      /*expectedVars=*/vars, /*tolerance=*/0.001);
+};
+
+/** Block of mass 1 hangs at rest from a double Joint at its center, which is at the
+origin. The normals of the two Joints are at 45 degrees to vertical, so each Joint has
+a force of `10/sqrt(2) = 7.07` and the combined force is the weight of the block, 10.
+The Joints have a break force of 8, which is more than the force on each Joint but
+less than the combined force.
+@param {!ContactSim} sim
+@param {!CollisionAdvance} advance
+@export
+*/
+static double_joint_breaks_setup(sim, advance) {
+  BreakTest.commonSetup(sim, advance);
+  var block = Shapes.makeBlock(0.5, 1, 'block');
+  block.setPosition(Vector.ORIGIN, 0);
+  sim.addBody(block);
+  goog.array.forEach([new Vector(1, 1), new Vector(1, -1)], function(normal) {
+    var joint = JointUtil.addSingleFixedJoint(sim, block, Vector.ORIGIN,
+        CoordType.WORLD, normal.normalize());
+    joint.setBreakForce(8);
+  });
+  sim.addForceLaw(new GravityLaw(10, sim.getSimList()));
+};
+
+/** The double Joint breaks after the first time step of 0.025 because the combined
+force is more than the break force, and then the block falls freely for the remaining
+time.
+@return {undefined}
+@private
+*/
+static double_joint_breaks() {
+  setTestName(BreakTest.groupName+'double_joint_breaks');
+  var sim = new ContactSim();
+  var advance = new CollisionAdvance(sim);
+  BreakTest.double_joint_breaks_setup(sim, advance);
+  var vars = makeVars(6);
+  var t = 1.0 - 0.025;
+  setBodyVars(sim, vars, 0, 0, 0, -5*t*t, -10*t, 0, 0);
+  runTest(sim, advance, /*runUntil=*/1.0,
+      /*expectedVars=*/vars, /*tolerance=*/0.001);
+  Engine2DTestRig.checkValue('connectors', sim.getConnectors().length, 0, 0);
+};
+
+/** Ball of mass 1 is tied by a flexible Rope of length 1 to the origin. The ball
+starts at rest half way down the Rope and falls until the Rope is tight. The Rope has a
+break impulse of 1, which is less than the impulse needed to stop the falling ball.
+@param {!ContactSim} sim
+@param {!CollisionAdvance} advance
+@export
+*/
+static rope_snaps_setup(sim, advance) {
+  BreakTest.commonSetup(sim, advance);
+  var ball = Shapes.makeBall(0.2, 'ball');
+  ball.setPosition(new Vector(0, -0.5), 0);
+  sim.addBody(ball);
+  var rope = new Rope(Scrim.getScrim(), Vector.ORIGIN, ball, Vector.ORIGIN,
+      /*length=*/1, Rope.ROPE);
+  rope.setBreakImpulse(1);
+  sim.addConnector(rope);
+  sim.addForceLaw(new GravityLaw(10, sim.getSimList()));
+  sim.setElasticity(0);
+};
+
+/** The Rope breaks when it becomes tight. The Rope applies its impulse before it
+breaks, so the inelastic ball stops at the end of the Rope at time `sqrt(0.1)` and then
+falls freely from rest.
+@return {undefined}
+@private
+*/
+static rope_snaps() {
+  setTestName(BreakTest.groupName+'rope_snaps');
+  var sim = new ContactSim();
+  var advance = new CollisionAdvance(sim);
+  BreakTest.rope_snaps_setup(sim, advance);
+  var vars = makeVars(6);
+  var t = 1.0 - Math.sqrt(0.1);
+  setBodyVars(sim, vars, 0, 0, 0, -1 - 5*t*t, -10*t, Util.NaN, Util.NaN);
+  runTest(sim, advance, /*runUntil=*/1.0,
+      /*expectedVars=*/vars, /*tolerance=*/0.02);
+};
+
+/** Block of mass 1 hangs from a Spring with rest length 1 and stiffness 20, and starts
+at rest with the Spring at its rest length. The Spring has a break force of 8.
+@param {!ContactSim} sim
+@param {!CollisionAdvance} advance
+@export
+*/
+static spring_breaks_setup(sim, advance) {
+  BreakTest.commonSetup(sim, advance);
+  var block = Shapes.makeBlock(0.5, 1, 'block');
+  block.setPosition(new Vector(0, -1.5), 0);
+  sim.addBody(block);
+  var spring = new Spring('spring', Scrim.getScrim(), Vector.ORIGIN,
+      block, new Vector(0, 0.5), /*restLength=*/1, /*stiffness=*/20);
+  spring.setBreakForce(8);
+  sim.addForceLaw(spring);
+  sim.getSimList().add(spring);
+  sim.addForceLaw(new GravityLaw(10, sim.getSimList()));
+};
+
+/** The block oscillates on the Spring around a stretch of 0.5, so the stretch is
+`0.5 (1 - cos(w t))` where `w = sqrt(20)`. The stretch passes 0.4 at time 0.306, and
+the Spring is removed at the end of that time step at time 0.325. The block then falls
+freely.
+@return {undefined}
+@private
+*/
+static spring_breaks() {
+  setTestName(BreakTest.groupName+'spring_breaks');
+  var sim = new ContactSim();
+  var advance = new CollisionAdvance(sim);
+  BreakTest.spring_breaks_setup(sim, advance);
+  var vars = makeVars(6);
+  var w = Math.sqrt(20);
+  var t1 = 0.325;
+  var y1 = -1.5 - 0.5*(1 - Math.cos(w*t1));
+  var v1 = -0.5*w*Math.sin(w*t1);
+  var t = 1.0 - t1;
+  setBodyVars(sim, vars, 0, 0, 0, y1 + v1*t - 5*t*t, v1 - 10*t, 0, 0);
+  runTest(sim, advance, /*runUntil=*/1.0,
+      /*expectedVars=*/vars, /*tolerance=*/0.001);
+};
+
+} // end class
+
+/**
+* @type {string}
+* @const
+*/
+BreakTest.groupName = 'BreakTest.';
+
+exports = BreakTest;
@@ -14,14 +14,20 @@
 
 goog.module('myphysicslab.test.Engine2DTests');
 
+const BreakTest = goog.require('myphysicslab.test.BreakTest');
 const CircleCircleTest = goog.require('myphysicslab.test.CircleCircleTest');
 const CircleStraightTest = goog.require('myphysicslab.test.CircleStraightTest');
 const DoNothingTest = goog.require('myphysicslab.test.DoNothingTest');
+const FrictionTest = goog.require('myphysicslab.test.FrictionTest');
+const JointLimitTest = goog.require('myphysicslab.test.JointLimitTest');
 const JointTest = goog.require('myphysicslab.test.JointTest');
 const MiscellanyTest = goog.require('myphysicslab.test.MiscellanyTest');
+const MotorTest = goog.require('myphysicslab.test.MotorTest');
 const MultipleCollisionTest = goog.require('myphysicslab.test.MultipleCollisionTest');
 const PileTest = goog.require('myphysicslab.test.PileTest');
 const RopeTest = goog.require('myphysicslab.test.RopeTest');
+const SensorTest = goog.require('myphysicslab.test.SensorTest');
+const SleepTest = goog.require('myphysicslab.test.SleepTest');
 const SpeedTest = goog.require('myphysicslab.test.SpeedTest');
 const StraightStraightTest = goog.require('myphysicslab.test.StraightStraightTest');
 const TestRig = goog.require('myphysicslab.test.TestRig');
@@ -46,10 +52,16 @@ static runTests() {
   CircleStraightTest.test();
   CircleCircleTest.test();
   JointTest.test();
+  JointLimitTest.test();
   RopeTest.test();
+  BreakTest.test();
+  SensorTest.test();
   MultipleCollisionTest.test();
   PileTest.test();
+  SleepTest.test();
   MiscellanyTest.test();
+  FrictionTest.test();
+  MotorTest.test();
   DoNothingTest.test();
   SpeedTest.test();
   TestRig.schedule(TestRig.finishTests);
@@ -0,0 +1,227 @@
+// Copyright 2016 Erik Neumann.  All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+goog.module('myphysicslab.test.FrictionTest');
+
+const CollisionAdvance = goog.require('myphysicslab.lab.model.CollisionAdvance');
+const CollisionHandling = goog.require('myphysicslab.lab.engine2D.CollisionHandling');
+const ConstantForceLaw = goog.require('myphysicslab.lab.model.ConstantForceLaw');
+const ContactSim = goog.require('myphysicslab.lab.engine2D.ContactSim');
+const CoordType = goog.require('myphysicslab.lab.model.CoordType');
+const Engine2DTestRig = goog.require('myphysicslab.test.Engine2DTestRig');
+const ExtraAccel = goog.require('myphysicslab.lab.engine2D.ExtraAccel');
+const Force = goog.require('myphysicslab.lab.model.Force');
+const GravityLaw = goog.require('myphysicslab.lab.model.GravityLaw');
+const Polygon = goog.require('myphysicslab.lab.engine2D.Polygon');
+const RungeKutta = goog.require('myphysicslab.lab.model.RungeKutta');
+const Shapes = goog.require('myphysicslab.lab.engine2D.Shapes');
+const TestRig = goog.require('myphysicslab.test.TestRig');
+const Util = goog.require('myphysicslab.lab.util.Util');
+const Vector = goog.require('myphysicslab.lab.util.Vector');
+
+const makeVars = Engine2DTestRig.makeVars;
+const runTest = Engine2DTestRig.runTest;
+const schedule = TestRig.schedule;
+const setBodyVars = Engine2DTestRig.setBodyVars;
+const setTestName = Engine2DTestRig.setTestName;
+
+/** Tests Coulomb friction at contacts and collisions. The expected results are from
+the elementary physics of friction: a sliding body decelerates at `mu_k g`, a body
+stays at rest while the applied force is less than `mu_s m g`, and a ball that lands
+with no bounce on a high friction floor rolls without slipping.
+*/
+class FrictionTest {
+/**
+@private
+*/
+constructor() { throw new Error(); };
+
+static test() {
+  schedule(FrictionTest.block_slides_to_stop);
+  schedule(FrictionTest.static_friction_holds);
+  schedule(FrictionTest.kinetic_friction_push);
+  schedule(FrictionTest.ball_lands_rolling);
+};
+
+/** Makes a fixed floor whose top is at y = 0, and sets common simulation options.
+@param {!ContactSim} sim
+@param {!CollisionAdvance} advance
+@private
+*/
+static commonSetup(sim, advance) {
+  sim.setCollisionAccuracy(0.6);
+  sim.setCollisionHandling(CollisionHandling.SERIAL_GROUPED_LASTPASS);
+  sim.setDistanceTol(0.01);
+  sim.setVelocityTol(0.5);
+  sim.setExtraAccel(ExtraAccel.VELOCITY_AND_DISTANCE);
+  advance.setTimeStep(0.025);
+  advance.setDiffEqSolver(new RungeKutta(sim));
+  var floor = Shapes.makeBlock(20, 1, 'floor');
+  floor.setMass(Util.POSITIVE_INFINITY);
+  floor.setPosition(new Vector(0,  -0.5),  0);
+  sim.addBody(floor);
+  sim.addForceLaw(new GravityLaw(10, sim.getSimList()));
+};
+
+/** Block resting on the floor with a unit square block on it, with the given
+coefficients of friction.
+@param {!ContactSim} sim
+@param {!CollisionAdvance} advance
+@param {number} staticFriction
+@param {number} kineticFriction
+@return {!Polygon} the block
+@private
+*/
+static blockSetup(sim, advance, staticFriction, kineticFriction) {
+  FrictionTest.commonSetup(sim, advance);
+  var block = Shapes.makeBlock(1, 1, 'block');
+  block.setPosition(new Vector(0,  0.505),  0);
+  sim.addBody(block);
+  block.setZeroEnergyLevel(0.505);
+  sim.setElasticity(0);
+  sim.setFriction(staticFriction, kineticFriction);
+  return block;
+};
+
+/** Block sliding on the floor with initial velocity 3 and kinetic friction 0.5
+decelerates at 5, so it stops at time 0.6 after sliding a distance 0.9.
+@param {!ContactSim} sim
+@param {!CollisionAdvance} advance
+@export
+*/
+static block_slides_to_stop_setup(sim, advance) {
+  var block = FrictionTest.blockSetup(sim, advance, 0.6, 0.5);
+  block.setVelocity(new Vector(3, 0), 0);
+  sim.initializeFromBody(block);
+};
+
+/**
+@return {undefined}
+@private
+*/
+static block_slides_to_stop() {
+  setTestName(FrictionTest.groupName+'block_slides_to_stop');
+  var sim = new ContactSim();
+  var advance = new CollisionAdvance(sim);
+  FrictionTest.block_slides_to_stop_setup(sim, advance);
+  var vars = makeVars(6*2);
+  setBodyVars(sim, vars, 1, 0.9, 0, 0.505, 0, 0, 0);
+  runTest(sim, advance, /*runUntil=*/1.5,
+      /*expectedVars=*/vars, /*tolerance=*/0.02,
+      /*expectedEnergyDiff=*/-4.5, /*energyTol=*/0.1,
+      /*expectedCollisions=*/-1);
+};
+
+/** Block resting on the floor is pushed horizontally by a force of 5, which is less
+than the maximum static friction force of 6, so the block does not move.
+@param {!ContactSim} sim
+@param {!CollisionAdvance} advance
+@export
+*/
+static static_friction_holds_setup(sim, advance) {
+  var block = FrictionTest.blockSetup(sim, advance, 0.6, 0.5);
+  var f = new Force('push', block,
+      /*location=*/Vector.ORIGIN, CoordType.BODY,
+      /*direction=*/new Vector(5, 0), CoordType.WORLD);
+  sim.addForceLaw(new ConstantForceLaw(f));
+};
+
+/**
+@return {undefined}
+@private
+*/
+static static_friction_holds() {
+  setTestName(FrictionTest.groupName+'static_friction_holds');
+  var sim = new ContactSim();
+  var advance = new CollisionAdvance(sim);
+  FrictionTest.static_friction_holds_setup(sim, advance);
+  var vars = makeVars(6*2);
+  setBodyVars(sim, vars, 1, 0, 0, 0.505, 0, 0, 0);
+  runTest(sim, advance, /*runUntil=*/2.0,
+      /*expectedVars=*/vars, /*tolerance=*/0.005);
+};
+
+/** Block resting on the floor is pushed horizontally by a force of 8, which is more
+than the maximum static friction force of 6, so the block slides with acceleration
+`8 - 5 = 3` because of the kinetic friction force of 5.
+@param {!ContactSim} sim
+@param {!CollisionAdvance} advance
+@export
+*/
+static kinetic_friction_push_setup(sim, advance) {
+  var block = FrictionTest.blockSetup(sim, advance, 0.6, 0.5);
+  var f = new Force('push', block,
+      /*location=*/Vector.ORIGIN, CoordType.BODY,
+      /*direction=*/new Vector(8, 0), CoordType.WORLD);
+  sim.addForceLaw(new ConstantForceLaw(f));
+};
+
+/**
+@return {undefined}
+@private
+*/
+static kinetic_friction_push() {
+  setTestName(FrictionTest.groupName+'kinetic_friction_push');
+  var sim = new ContactSim();
+  var advance = new CollisionAdvance(sim);
+  FrictionTest.kinetic_friction_push_setup(sim, advance);
+  var vars = makeVars(6*2);
+  setBodyVars(sim, vars, 1, 1.5, 3, 0.505, 0, 0, 0);
+  runTest(sim, advance, /*runUntil=*/1.0,
+      /*expectedVars=*/vars, /*tolerance=*/0.02);
+};
+
+/** Ball moving horizontally with speed 3 falls onto a high friction floor with zero
+elasticity. The friction impulse at the collision makes the ball roll without slipping,
+which for a disk leaves `2/3` of the horizontal velocity. Then the ball continues
+rolling at constant speed.
+@param {!ContactSim} sim
+@param {!CollisionAdvance} advance
+@export
+*/
+static ball_lands_rolling_setup(sim, advance) {
+  FrictionTest.commonSetup(sim, advance);
+  var ball = Shapes.makeBall(0.5, 'ball');
+  ball.setPosition(new Vector(-3,  1.5),  0);
+  ball.setVelocity(new Vector(3, 0), 0);
+  sim.addBody(ball);
+  ball.setZeroEnergyLevel(0.5);
+  sim.setElasticity(0);
+  sim.setFriction(1.0, 1.0);
+};
+
+/**
+@return {undefined}
+@private
+*/
+static ball_lands_rolling() {
+  setTestName(FrictionTest.groupName+'ball_lands_rolling');
+  var sim = new ContactSim();
+  var advance = new CollisionAdvance(sim);
+  FrictionTest.ball_lands_rolling_setup(sim, advance);
+  var vars = makeVars(6*2);
+  setBodyVars(sim, vars, 1, Util.NaN, 2, 0.505, 0, Util.NaN, -4);
+  runTest(sim, advance, /*runUntil=*/1.5,
+      /*expectedVars=*/vars, /*tolerance=*/0.02);
+};
+
+} // end class
+
+/**
+* @type {string}
+* @const
+*/
+FrictionTest.groupName = 'FrictionTest.';
+
+exports = FrictionTest;
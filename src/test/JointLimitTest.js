@@ -0,0 +1,285 @@
+// Copyright 2016 Erik Neumann.  All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+goog.module('myphysicslab.test.JointLimitTest');
+
+const AngleLimit = goog.require('myphysicslab.lab.engine2D.AngleLimit');
+const CollisionAdvance = goog.require('myphysicslab.lab.model.CollisionAdvance');
+const CollisionHandling = goog.require('myphysicslab.lab.engine2D.CollisionHandling');
+const ContactSim = goog.require('myphysicslab.lab.engine2D.ContactSim');
+const CoordType = goog.require('myphysicslab.lab.model.CoordType');
+const Engine2DTestRig = goog.require('myphysicslab.test.Engine2DTestRig');
+const ExtraAccel = goog.require('myphysicslab.lab.engine2D.ExtraAccel');
+const GravityLaw = goog.require('myphysicslab.lab.model.GravityLaw');
+const JointUtil = goog.require('myphysicslab.lab.engine2D.JointUtil');
+const Polygon = goog.require('myphysicslab.lab.engine2D.Polygon');
+const PrismaticJoint = goog.require('myphysicslab.lab.engine2D.PrismaticJoint');
+const RungeKutta = goog.require('myphysicslab.lab.model.RungeKutta');
+const Scrim = goog.require('myphysicslab.lab.engine2D.Scrim');
+const Shapes = goog.require('myphysicslab.lab.engine2D.Shapes');
+const TestRig = goog.require('myphysicslab.test.TestRig');
+const Vector = goog.require('myphysicslab.lab.util.Vector');
+
+const makeVars = Engine2DTestRig.makeVars;
+const runTest = Engine2DTestRig.runTest;
+const schedule = TestRig.schedule;
+const setBodyVars = Engine2DTestRig.setBodyVars;
+const setTestName = Engine2DTestRig.setTestName;
+
+/** Tests the AngleLimit which limits the relative rotation of hinged bodies, and the
+PrismaticJoint which lets a body slide along an axis on another body. The bodies are
+inelastic, so they come to rest at the limits.
+*/
+class JointLimitTest {
+/**
+@private
+*/
+constructor() { throw new Error(); };
+
+static test() {
+  schedule(JointLimitTest.lower_angle_limit);
+  schedule(JointLimitTest.upper_angle_limit);
+  schedule(JointLimitTest.elbow);
+  schedule(JointLimitTest.slider);
+  schedule(JointLimitTest.telescope);
+};
+
+/** Sets common simulation options.
+@param {!ContactSim} sim
+@param {!CollisionAdvance} advance
+@private
+*/
+static commonSetup(sim, advance) {
+  sim.setCollisionAccuracy(0.6);
+  sim.setCollisionHandling(CollisionHandling.SERIAL_GROUPED_LASTPASS);
+  sim.setDistanceTol(0.01);
+  sim.setVelocityTol(0.5);
+  sim.setExtraAccel(ExtraAccel.VELOCITY_AND_DISTANCE_JOINTS);
+  advance.setJointSmallImpacts(true);
+  advance.setTimeStep(0.025);
+  advance.setDiffEqSolver(new RungeKutta(sim));
+};
+
+/** Makes an inelastic arm of length 2, which is hinged at the top end.
+@param {string} name
+@return {!Polygon}
+@private
+*/
+static makeArm(name) {
+  var arm = Shapes.makeBlock(0.2, 2, name);
+  arm.setElasticity(0);
+  return arm;
+};
+
+/** Horizontal arm is hinged at its top end to the origin, and falls under gravity
+until the relative angle reaches the given limit.
+@param {!ContactSim} sim
+@param {!CollisionAdvance} advance
+@param {number} angle starting angle of the arm
+@param {number} minAngle
+@param {number} maxAngle
+@private
+*/
+static armSetup(sim, advance, angle, minAngle, maxAngle) {
+  JointLimitTest.commonSetup(sim, advance);
+  var arm = JointLimitTest.makeArm('arm');
+  arm.setPosition(new Vector(Math.sin(angle), -Math.cos(angle)), angle);
+  sim.addBody(arm);
+  var top = new Vector(0, 1);
+  JointUtil.attachFixedPoint(sim, arm, top, CoordType.WORLD);
+  sim.addConnector(new AngleLimit(Scrim.getScrim(), Vector.ORIGIN, arm, top,
+      minAngle, maxAngle));
+  sim.addForceLaw(new GravityLaw(10, sim.getSimList()));
+};
+
+/** Arm starts horizontal at angle `pi/2` and falls clockwise to the lower limit of
+`pi/4`.
+@param {!ContactSim} sim
+@param {!CollisionAdvance} advance
+@export
+*/
+static lower_angle_limit_setup(sim, advance) {
+  JointLimitTest.armSetup(sim, advance, Math.PI/2, Math.PI/4, Math.PI);
+};
+
+/** The arm comes to rest at the lower limit.
+@return {undefined}
+@private
+*/
+static lower_angle_limit() {
+  setTestName(JointLimitTest.groupName+'lower_angle_limit');
+  var sim = new ContactSim();
+  var advance = new CollisionAdvance(sim);
+  JointLimitTest.lower_angle_limit_setup(sim, advance);
+  var vars = makeVars(6);
+  var s = Math.sqrt(2)/2;
+  setBodyVars(sim, vars, 0, s, 0, -s, 0, Math.PI/4, 0);
+  runTest(sim, advance, /*runUntil=*/3.0,
+      /*expectedVars=*/vars, /*tolerance=*/0.01);
+};
+
+/** Arm starts horizontal at angle `-pi/2` and falls counter-clockwise to the upper
+limit of `-pi/4`.
+@param {!ContactSim} sim
+@param {!CollisionAdvance} advance
+@export
+*/
+static upper_angle_limit_setup(sim, advance) {
+  JointLimitTest.armSetup(sim, advance, -Math.PI/2, -Math.PI, -Math.PI/4);
+};
+
+/** The arm comes to rest at the upper limit.
+@return {undefined}
+@private
+*/
+static upper_angle_limit() {
+  setTestName(JointLimitTest.groupName+'upper_angle_limit');
+  var sim = new ContactSim();
+  var advance = new CollisionAdvance(sim);
+  JointLimitTest.upper_angle_limit_setup(sim, advance);
+  var vars = makeVars(6);
+  var s = Math.sqrt(2)/2;
+  setBodyVars(sim, vars, 0, -s, 0, -s, 0, -Math.PI/4, 0);
+  runTest(sim, advance, /*runUntil=*/3.0,
+      /*expectedVars=*/vars, /*tolerance=*/0.01);
+};
+
+/** Two horizontal arms: the upper arm is hinged at its top end to the origin, and the
+lower arm is hinged at its top end to the bottom end of the upper arm. The upper arm
+cannot fall below angle `pi/4`, and the elbow cannot bend so that the lower arm falls
+below the upper arm.
+@param {!ContactSim} sim
+@param {!CollisionAdvance} advance
+@export
+*/
+static elbow_setup(sim, advance) {
+  JointLimitTest.commonSetup(sim, advance);
+  var upper = JointLimitTest.makeArm('upper');
+  upper.setPosition(new Vector(1, 0), Math.PI/2);
+  sim.addBody(upper);
+  var lower = JointLimitTest.makeArm('lower');
+  lower.setPosition(new Vector(3, 0), Math.PI/2);
+  sim.addBody(lower);
+  var top = new Vector(0, 1);
+  var bottom = new Vector(0, -1);
+  JointUtil.attachFixedPoint(sim, upper, top, CoordType.WORLD);
+  sim.addConnector(new AngleLimit(Scrim.getScrim(), Vector.ORIGIN, upper, top,
+      Math.PI/4, Math.PI));
+  JointUtil.attachRigidBody(sim, upper, bottom, lower, top, CoordType.WORLD);
+  sim.addConnector(new AngleLimit(upper, bottom, lower, top, 0, Math.PI/2));
+  sim.addForceLaw(new GravityLaw(10, sim.getSimList()));
+};
+
+/** Both arms come to rest near angle `pi/4`, resting on both limits. Each contact
+rests at a gap of half the distance tolerance, which is 0.005 radians for an AngleLimit;
+the gaps add up for the lower arm.
+@return {undefined}
+@private
+*/
+static elbow() {
+  setTestName(JointLimitTest.groupName+'elbow');
+  var sim = new ContactSim();
+  var advance = new CollisionAdvance(sim);
+  JointLimitTest.elbow_setup(sim, advance);
+  var vars = makeVars(6*2);
+  var a1 = Math.PI/4 + 0.005;
+  var a2 = a1 + 0.005;
+  setBodyVars(sim, vars, 0, Math.sin(a1), 0, -Math.cos(a1), 0, a1, 0);
+  setBodyVars(sim, vars, 1, 2*Math.sin(a1) + Math.sin(a2), 0,
+      -2*Math.cos(a1) - Math.cos(a2), 0, a2, 0);
+  runTest(sim, advance, /*runUntil=*/4.0,
+      /*expectedVars=*/vars, /*tolerance=*/0.01);
+};
+
+/** Block slides along a fixed axis that slopes down at 45 degrees. The block is
+attached at its right edge, so gravity creates a torque that the PrismaticJoint must
+resist. The travel is limited to at most 1.
+@param {!ContactSim} sim
+@param {!CollisionAdvance} advance
+@export
+*/
+static slider_setup(sim, advance) {
+  JointLimitTest.commonSetup(sim, advance);
+  var block = Shapes.makeBlock(1, 0.5, 'block');
+  block.setElasticity(0);
+  sim.addBody(block);
+  var attach = new Vector(0.5, 0);
+  sim.addConnector(new PrismaticJoint(Scrim.getScrim(), block.bodyToWorld(attach),
+      block, attach, new Vector(1, -1), /*minTravel=*/-1, /*maxTravel=*/1));
+  sim.alignConnectors();
+  sim.addForceLaw(new GravityLaw(10, sim.getSimList()));
+};
+
+/** The block comes to rest at the travel limit without rotating.
+@return {undefined}
+@private
+*/
+static slider() {
+  setTestName(JointLimitTest.groupName+'slider');
+  var sim = new ContactSim();
+  var advance = new CollisionAdvance(sim);
+  JointLimitTest.slider_setup(sim, advance);
+  var vars = makeVars(6);
+  var s = Math.sqrt(2)/2;
+  setBodyVars(sim, vars, 0, s, 0, -s, 0, 0, 0);
+  runTest(sim, advance, /*runUntil=*/2.0,
+      /*expectedVars=*/vars, /*tolerance=*/0.01);
+};
+
+/** Two blocks of equal mass float in space, the second block slides along the first
+block and starts moving with velocity 2. The travel is limited to at most 1.
+@param {!ContactSim} sim
+@param {!CollisionAdvance} advance
+@export
+*/
+static telescope_setup(sim, advance) {
+  JointLimitTest.commonSetup(sim, advance);
+  var block1 = Shapes.makeBlock(2, 0.5, 'block1');
+  block1.setElasticity(0);
+  sim.addBody(block1);
+  var block2 = Shapes.makeBlock(2, 0.3, 'block2');
+  block2.setElasticity(0);
+  block2.setVelocity(new Vector(2, 0), 0);
+  sim.addBody(block2);
+  sim.addConnector(new PrismaticJoint(block1, Vector.ORIGIN, block2, Vector.ORIGIN,
+      /*axis=*/Vector.EAST, /*minTravel=*/-1, /*maxTravel=*/1));
+  sim.alignConnectors();
+};
+
+/** The second block reaches the travel limit at time 0.5. After the inelastic
+collision both blocks move together with velocity 1.
+@return {undefined}
+@private
+*/
+static telescope() {
+  setTestName(JointLimitTest.groupName+'telescope');
+  var sim = new ContactSim();
+  var advance = new CollisionAdvance(sim);
+  JointLimitTest.telescope_setup(sim, advance);
+  var vars = makeVars(6*2);
+  setBodyVars(sim, vars, 0, 1.5, 1, 0, 0, 0, 0);
+  setBodyVars(sim, vars, 1, 2.5, 1, 0, 0, 0, 0);
+  runTest(sim, advance, /*runUntil=*/2.0,
+      /*expectedVars=*/vars, /*tolerance=*/0.01);
+};
+
+} // end class
+
+/**
+* @type {string}
+* @const
+*/
+JointLimitTest.groupName = 'JointLimitTest.';
+
+exports = JointLimitTest;
@@ -0,0 +1,212 @@
+// Copyright 2016 Erik Neumann.  All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+goog.module('myphysicslab.test.MotorTest');
+
+const CollisionAdvance = goog.require('myphysicslab.lab.model.CollisionAdvance');
+const CollisionHandling = goog.require('myphysicslab.lab.engine2D.CollisionHandling');
+const ContactSim = goog.require('myphysicslab.lab.engine2D.ContactSim');
+const CoordType = goog.require('myphysicslab.lab.model.CoordType');
+const Engine2DTestRig = goog.require('myphysicslab.test.Engine2DTestRig');
+const ExtraAccel = goog.require('myphysicslab.lab.engine2D.ExtraAccel');
+const GravityLaw = goog.require('myphysicslab.lab.model.GravityLaw');
+const JointUtil = goog.require('myphysicslab.lab.engine2D.JointUtil');
+const Motor = goog.require('myphysicslab.lab.engine2D.Motor');
+const RungeKutta = goog.require('myphysicslab.lab.model.RungeKutta');
+const Scrim = goog.require('myphysicslab.lab.engine2D.Scrim');
+const Shapes = goog.require('myphysicslab.lab.engine2D.Shapes');
+const TestRig = goog.require('myphysicslab.test.TestRig');
+const Util = goog.require('myphysicslab.lab.util.Util');
+const Vector = goog.require('myphysicslab.lab.util.Vector');
+
+const makeVars = Engine2DTestRig.makeVars;
+const runTest = Engine2DTestRig.runTest;
+const schedule = TestRig.schedule;
+const setBodyVars = Engine2DTestRig.setBodyVars;
+const setTestName = Engine2DTestRig.setTestName;
+
+/** Tests the Motor which drives the relative rotation of two bodies. The expected
+results are from elementary physics: a Motor without a torque limit quickly reaches its
+target speed; a Motor at its maximum torque gives constant angular acceleration; and
+the torques between two free bodies conserve angular momentum.
+*/
+class MotorTest {
+/**
+@private
+*/
+constructor() { throw new Error(); };
+
+static test() {
+  schedule(MotorTest.wheel_spins_up);
+  schedule(MotorTest.torque_limit);
+  schedule(MotorTest.two_bodies);
+  schedule(MotorTest.holds_pendulum);
+};
+
+/** Sets common simulation options.
+@param {!ContactSim} sim
+@param {!CollisionAdvance} advance
+@private
+*/
+static commonSetup(sim, advance) {
+  sim.setCollisionAccuracy(0.6);
+  sim.setCollisionHandling(CollisionHandling.SERIAL_GROUPED_LASTPASS);
+  sim.setDistanceTol(0.01);
+  sim.setVelocityTol(0.5);
+  sim.setExtraAccel(ExtraAccel.VELOCITY_AND_DISTANCE_JOINTS);
+  advance.setJointSmallImpacts(true);
+  advance.setTimeStep(0.025);
+  advance.setDiffEqSolver(new RungeKutta(sim));
+};
+
+/** Wheel of radius 0.5 and mass 1 is pinned at its center to a fixed point, and turned
+by a Motor with the given maximum torque and a target speed of 3.
+@param {!ContactSim} sim
+@param {!CollisionAdvance} advance
+@param {number} maxTorque
+@private
+*/
+static wheelSetup(sim, advance, maxTorque) {
+  MotorTest.commonSetup(sim, advance);
+  var wheel = Shapes.makeBall(0.5, 'wheel');
+  sim.addBody(wheel);
+  JointUtil.attachFixedPoint(sim, wheel, Vector.ORIGIN, CoordType.WORLD);
+  sim.addMotor(new Motor(Scrim.getScrim(), wheel, /*speed=*/3, maxTorque));
+};
+
+/** Wheel turned by a Motor with unlimited torque.
+@param {!ContactSim} sim
+@param {!CollisionAdvance} advance
+@export
+*/
+static wheel_spins_up_setup(sim, advance) {
+  MotorTest.wheelSetup(sim, advance, Util.POSITIVE_INFINITY);
+};
+
+/** Wheel turned by a Motor with unlimited torque reaches the target speed within a
+few time steps, and the Joints keep the wheel in place.
+@return {undefined}
+@private
+*/
+static wheel_spins_up() {
+  setTestName(MotorTest.groupName+'wheel_spins_up');
+  var sim = new ContactSim();
+  var advance = new CollisionAdvance(sim);
+  MotorTest.wheel_spins_up_setup(sim, advance);
+  var vars = makeVars(6);
+  setBodyVars(sim, vars, 0, 0, 0, 0, 0, Util.NaN, 3);
+  runTest(sim, advance, /*runUntil=*/1.0,
+      /*expectedVars=*/vars, /*tolerance=*/0.01);
+};
+
+/** Wheel turned by a Motor with maximum torque 0.25. The wheel has moment of inertia
+`m r^2 / 2 = 0.125`, so the angular acceleration is 2 until the target speed of 3 is
+reached.
+@param {!ContactSim} sim
+@param {!CollisionAdvance} advance
+@export
+*/
+static torque_limit_setup(sim, advance) {
+  MotorTest.wheelSetup(sim, advance, 0.25);
+};
+
+/** At time 1 the wheel has angular velocity 2 and angle 1.
+@return {undefined}
+@private
+*/
+static torque_limit() {
+  setTestName(MotorTest.groupName+'torque_limit');
+  var sim = new ContactSim();
+  var advance = new CollisionAdvance(sim);
+  MotorTest.torque_limit_setup(sim, advance);
+  var vars = makeVars(6);
+  setBodyVars(sim, vars, 0, 0, 0, 0, 0, 1, 2);
+  runTest(sim, advance, /*runUntil=*/1.0,
+      /*expectedVars=*/vars, /*tolerance=*/0.01);
+};
+
+/** Two identical balls floating in space are connected only by a Motor with a target
+relative speed of 2.
+@param {!ContactSim} sim
+@param {!CollisionAdvance} advance
+@export
+*/
+static two_bodies_setup(sim, advance) {
+  MotorTest.commonSetup(sim, advance);
+  var ball1 = Shapes.makeBall(0.5, 'ball1');
+  ball1.setPosition(new Vector(-2, 0), 0);
+  sim.addBody(ball1);
+  var ball2 = Shapes.makeBall(0.5, 'ball2');
+  ball2.setPosition(new Vector(2, 0), 0);
+  sim.addBody(ball2);
+  sim.addMotor(new Motor(ball1, ball2, /*speed=*/2));
+};
+
+/** The Motor torques are equal and opposite, so angular momentum is conserved: the
+balls turn in opposite directions with speed 1.
+@return {undefined}
+@private
+*/
+static two_bodies() {
+  setTestName(MotorTest.groupName+'two_bodies');
+  var sim = new ContactSim();
+  var advance = new CollisionAdvance(sim);
+  MotorTest.two_bodies_setup(sim, advance);
+  var vars = makeVars(6*2);
+  setBodyVars(sim, vars, 0, -2, 0, 0, 0, Util.NaN, -1);
+  setBodyVars(sim, vars, 1, 2, 0, 0, 0, Util.NaN, 1);
+  runTest(sim, advance, /*runUntil=*/1.0,
+      /*expectedVars=*/vars, /*tolerance=*/0.01);
+};
+
+/** Pendulum is pinned at the end of its stick to a fixed point, and starts
+horizontal. A Motor with target speed zero holds it up against gravity.
+@param {!ContactSim} sim
+@param {!CollisionAdvance} advance
+@export
+*/
+static holds_pendulum_setup(sim, advance) {
+  MotorTest.commonSetup(sim, advance);
+  var pendulum = Shapes.makePendulum(0.05, 2, 0.3, 'pendulum');
+  pendulum.setPosition(new Vector(2, 0), Math.PI/2);
+  sim.addBody(pendulum);
+  JointUtil.attachFixedPoint(sim, pendulum, new Vector(0, 2), CoordType.WORLD);
+  sim.addForceLaw(new GravityLaw(10, sim.getSimList()));
+  sim.addMotor(new Motor(Scrim.getScrim(), pendulum, /*speed=*/0));
+};
+
+/** The pendulum does not move.
+@return {undefined}
+@private
+*/
+static holds_pendulum() {
+  setTestName(MotorTest.groupName+'holds_pendulum');
+  var sim = new ContactSim();
+  var advance = new CollisionAdvance(sim);
+  MotorTest.holds_pendulum_setup(sim, advance);
+  var vars = makeVars(6);
+  setBodyVars(sim, vars, 0, 2, 0, 0, 0, Math.PI/2, 0);
+  runTest(sim, advance, /*runUntil=*/2.0,
+      /*expectedVars=*/vars, /*tolerance=*/0.005);
+};
+
+} // end class
+
+/**
+* @type {string}
+* @const
+*/
+MotorTest.groupName = 'MotorTest.';
+
+exports = MotorTest;
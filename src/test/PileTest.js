@@ -59,6 +59,7 @@ static test() {
 
 static testPerformance() {
   schedule(PileTest.pile_10_perf);
+  schedule(PileTest.pile_10_no_broad_phase_perf);
   if (0 == 1 && Util.isChrome()) {
     // this test is too slow on non-Chrome browsers
     schedule(PileTest.pile_20_perf);
@@ -509,13 +510,16 @@ static pile_10_random_blocks_setup(sim, advance) {
 };
 
 /** Runs pile_10_random_blocks_setup.
+@param {boolean=} opt_broadPhase whether to use broad-phase collision culling,
+    default is true; see {@link myphysicslab.lab.engine2D.ImpulseSim#setBroadPhase}
 @return {undefined}
 */
-static pile_10_random_blocks() {
+static pile_10_random_blocks(opt_broadPhase) {
   setTestName(PileTest.groupName+'pile_10_random_blocks');
   var sim = new ContactSim();
   var advance = new CollisionAdvance(sim);
   PileTest.pile_10_random_blocks_setup(sim, advance);
+  sim.setBroadPhase(opt_broadPhase !== false);
   var vars = makeVars(14*6);
   setBodyVars(sim, vars, 0, -5, 0, -5, 0, -0.7853982, 0);
   setBodyVars(sim, vars, 1, 5, 0, -5, 0, 0.7853982, 0);
@@ -561,6 +565,22 @@ static pile_10_perf() {
   TestRig.reportTestResults(duration < timeLimit, 'performance', s);
 };
 
+/** Performance test that runs pile_10_random_blocks with broad-phase collision culling
+turned off, for comparison with {@link #pile_10_perf}. The results of the simulation
+should be identical.
+*/
+static pile_10_no_broad_phase_perf() {
+  var testName = 'pile_10_no_broad_phase_perf';
+  var expected = TestRig.perfExpected(testName);
+  var startTime = Util.systemTime();
+  PileTest.pile_10_random_blocks(/*broadPhase=*/false);
+  var duration = Util.systemTime() - startTime;
+  setTestName(PileTest.groupName+testName);
+  var s = TestRig.perfResult(duration, expected);
+  var timeLimit = TestRig.getPerfLimit(expected);
+  TestRig.reportTestResults(duration < timeLimit, 'performance', s);
+};
+
 /** Makes a V-shaped set of walls for shapes to fall into, and sets various simulation
 parameters.
 * @param {!ContactSim} sim
@@ -0,0 +1,228 @@
+// Copyright 2016 Erik Neumann.  All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+goog.module('myphysicslab.test.SensorTest');
+
+const CollisionAdvance = goog.require('myphysicslab.lab.model.CollisionAdvance');
+const CollisionHandling = goog.require('myphysicslab.lab.engine2D.CollisionHandling');
+const ContactSim = goog.require('myphysicslab.lab.engine2D.ContactSim');
+const Engine2DTestRig = goog.require('myphysicslab.test.Engine2DTestRig');
+const ExtraAccel = goog.require('myphysicslab.lab.engine2D.ExtraAccel');
+const GenericEvent = goog.require('myphysicslab.lab.util.GenericEvent');
+const GravityLaw = goog.require('myphysicslab.lab.model.GravityLaw');
+const Observer = goog.require('myphysicslab.lab.util.Observer');
+const RigidBodySim = goog.require('myphysicslab.lab.engine2D.RigidBodySim');
+const RungeKutta = goog.require('myphysicslab.lab.model.RungeKutta');
+const Shapes = goog.require('myphysicslab.lab.engine2D.Shapes');
+const TestRig = goog.require('myphysicslab.test.TestRig');
+const Util = goog.require('myphysicslab.lab.util.Util');
+const Vector = goog.require('myphysicslab.lab.util.Vector');
+
+const checkValue = Engine2DTestRig.checkValue;
+const makeVars = Engine2DTestRig.makeVars;
+const runTest = Engine2DTestRig.runTest;
+const schedule = TestRig.schedule;
+const setBodyVars = Engine2DTestRig.setBodyVars;
+const setTestName = Engine2DTestRig.setTestName;
+
+/** Observer that counts the sensor events broadcast by a RigidBodySim, and remembers
+the time of the last `SENSOR_ENTER` and `SENSOR_LEAVE` events.
+@implements {Observer}
+*/
+class SensorCounter {
+  /**
+  * @param {!RigidBodySim} sim
+  */
+  constructor(sim) {
+    /**
+    * @type {!RigidBodySim}
+    */
+    this.sim = sim;
+    /**
+    * @type {number}
+    */
+    this.numEnter = 0;
+    /**
+    * @type {number}
+    */
+    this.numStay = 0;
+    /**
+    * @type {number}
+    */
+    this.numLeave = 0;
+    /**
+    * @type {number}
+    */
+    this.enterTime = Util.NaN;
+    /**
+    * @type {number}
+    */
+    this.leaveTime = Util.NaN;
+    sim.addObserver(this);
+  };
+  /** @override */
+  observe(event) {
+    if (event instanceof GenericEvent) {
+      switch (event.getName()) {
+        case RigidBodySim.SENSOR_ENTER:
+          this.numEnter++;
+          this.enterTime = this.sim.getTime();
+          break;
+        case RigidBodySim.SENSOR_STAY:
+          this.numStay++;
+          break;
+        case RigidBodySim.SENSOR_LEAVE:
+          this.numLeave++;
+          this.leaveTime = this.sim.getTime();
+          break;
+      }
+    }
+  };
+  /** @override */
+  toStringShort() {
+    return 'SensorCounter';
+  };
+} // end class
+
+/** Tests sensor Polygons, which detect the bodies that pass through them without
+colliding. A ball falls through a fixed sensor block, so the expected motion is free
+fall, and the sensor events happen when the ball crosses the top and bottom of the
+sensor.
+*/
+class SensorTest {
+/**
+@private
+*/
+constructor() { throw new Error(); };
+
+static test() {
+  schedule(SensorTest.ball_passes);
+  schedule(SensorTest.ball_filtered);
+  schedule(SensorTest.trial_state_no_event);
+};
+
+/** Ball of radius 0.2 and mass 1 falls from rest at the origin through a fixed sensor
+block which is 0.5 high with its center at `y = -1`.
+@param {!ContactSim} sim
+@param {!CollisionAdvance} advance
+@export
+*/
+static ball_passes_setup(sim, advance) {
+  sim.setCollisionAccuracy(0.6);
+  sim.setCollisionHandling(CollisionHandling.SERIAL_GROUPED_LASTPASS);
+  sim.setDistanceTol(0.01);
+  sim.setVelocityTol(0.5);
+  sim.setExtraAccel(ExtraAccel.VELOCITY_AND_DISTANCE);
+  advance.setTimeStep(0.025);
+  advance.setDiffEqSolver(new RungeKutta(sim));
+  var sensor = Shapes.makeBlock(2, 0.5, 'sensor');
+  sensor.setMass(Util.POSITIVE_INFINITY);
+  sensor.setPosition(new Vector(0,  -1),  0);
+  sensor.setSensor(true);
+  sim.addBody(sensor);
+  var ball = Shapes.makeBall(0.2, 'ball');
+  ball.setPosition(new Vector(0,  0),  0);
+  sim.addBody(ball);
+  sim.addForceLaw(new GravityLaw(10, sim.getSimList()));
+};
+
+/** The ball falls freely through the sensor. The bottom of the ball reaches the top of
+the sensor at time `sqrt(0.11)`, and the top of the ball leaves the bottom of the
+sensor at time `sqrt(0.29)`. The events happen at the end of the time step where the
+ball crosses.
+@return {undefined}
+@private
+*/
+static ball_passes() {
+  setTestName(SensorTest.groupName+'ball_passes');
+  var sim = new ContactSim();
+  var advance = new CollisionAdvance(sim);
+  SensorTest.ball_passes_setup(sim, advance);
+  var counter = new SensorCounter(sim);
+  var vars = makeVars(6*2);
+  setBodyVars(sim, vars, 0, 0, 0, -1, 0, 0, 0);
+  setBodyVars(sim, vars, 1, 0, 0, -5, -10, 0, 0);
+  runTest(sim, advance, /*runUntil=*/1.0,
+      /*expectedVars=*/vars, /*tolerance=*/0.001);
+  checkValue('enter', counter.numEnter, 1, 0);
+  checkValue('leave', counter.numLeave, 1, 0);
+  checkValue('enter time', counter.enterTime, Math.sqrt(0.11), 0.025);
+  checkValue('leave time', counter.leaveTime, Math.sqrt(0.29), 0.025);
+  // one stay event for each time step that the ball is inside the sensor
+  checkValue('stay', counter.numStay,
+      Math.round((counter.leaveTime - counter.enterTime)/0.025) - 1, 0);
+  checkValue('inside', sim.getSensorBodies(sim.getBody('sensor')).length, 0, 0);
+};
+
+/** Collision filtering applies to sensors: the sensor does not detect the ball when
+the ball's collision category is not in the sensor's collision mask.
+@return {undefined}
+@private
+*/
+static ball_filtered() {
+  setTestName(SensorTest.groupName+'ball_filtered');
+  var sim = new ContactSim();
+  var advance = new CollisionAdvance(sim);
+  SensorTest.ball_passes_setup(sim, advance);
+  sim.getBody('ball').setCollisionCategory(0x0002);
+  sim.getBody('sensor').setCollisionMask(0x0001);
+  var counter = new SensorCounter(sim);
+  var vars = makeVars(6*2);
+  setBodyVars(sim, vars, 0, 0, 0, -1, 0, 0, 0);
+  setBodyVars(sim, vars, 1, 0, 0, -5, -10, 0, 0);
+  runTest(sim, advance, /*runUntil=*/1.0,
+      /*expectedVars=*/vars, /*tolerance=*/0.001);
+  checkValue('enter', counter.numEnter, 0, 0);
+  checkValue('stay', counter.numStay, 0, 0);
+  checkValue('leave', counter.numLeave, 0, 0);
+};
+
+/** A trial state where the ball overlaps the sensor, like those visited by
+CollisionAdvance while searching for a collision, does not cause sensor events when the
+simulation then backs up to the earlier state. The sensor events happen later as usual.
+@return {undefined}
+@private
+*/
+static trial_state_no_event() {
+  setTestName(SensorTest.groupName+'trial_state_no_event');
+  var sim = new ContactSim();
+  var advance = new CollisionAdvance(sim);
+  SensorTest.ball_passes_setup(sim, advance);
+  var counter = new SensorCounter(sim);
+  runTest(sim, advance, /*runUntil=*/0.2);
+  sim.saveState();
+  advance.getDiffEqSolver().step(0.2);
+  sim.modifyObjects();
+  sim.restoreState();
+  sim.modifyObjects();
+  checkValue('enter', counter.numEnter, 0, 0);
+  checkValue('leave', counter.numLeave, 0, 0);
+  var vars = makeVars(6*2);
+  setBodyVars(sim, vars, 0, 0, 0, -1, 0, 0, 0);
+  setBodyVars(sim, vars, 1, 0, 0, -5, -10, 0, 0);
+  runTest(sim, advance, /*runUntil=*/1.0,
+      /*expectedVars=*/vars, /*tolerance=*/0.001);
+  checkValue('enter', counter.numEnter, 1, 0);
+  checkValue('leave', counter.numLeave, 1, 0);
+};
+
+} // end class
+
+/**
+* @type {string}
+* @const
+*/
+SensorTest.groupName = 'SensorTest.';
+
+exports = SensorTest;
@@ -0,0 +1,245 @@
+// Copyright 2016 Erik Neumann.  All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+goog.module('myphysicslab.test.SleepTest');
+
+goog.require('goog.array');
+
+const CollisionAdvance = goog.require('myphysicslab.lab.model.CollisionAdvance');
+const CollisionHandling = goog.require('myphysicslab.lab.engine2D.CollisionHandling');
+const ContactSim = goog.require('myphysicslab.lab.engine2D.ContactSim');
+const Engine2DTestRig = goog.require('myphysicslab.test.Engine2DTestRig');
+const ExtraAccel = goog.require('myphysicslab.lab.engine2D.ExtraAccel');
+const GravityLaw = goog.require('myphysicslab.lab.model.GravityLaw');
+const RungeKutta = goog.require('myphysicslab.lab.model.RungeKutta');
+const Shapes = goog.require('myphysicslab.lab.engine2D.Shapes');
+const TestRig = goog.require('myphysicslab.test.TestRig');
+const Util = goog.require('myphysicslab.lab.util.Util');
+const Vector = goog.require('myphysicslab.lab.util.Vector');
+
+const checkValue = Engine2DTestRig.checkValue;
+const makeVars = Engine2DTestRig.makeVars;
+const runTest = Engine2DTestRig.runTest;
+const schedule = TestRig.schedule;
+const setBodyVars = Engine2DTestRig.setBodyVars;
+const setTestName = Engine2DTestRig.setTestName;
+
+/** Tests sleeping bodies in ContactSim: a body that comes to rest falls asleep, and
+wakes up when it is hit by another body, when its velocity is set, or when the external
+forces on it change. The sleeping bodies are counted by the SleepStats of the
+ContactSim.
+*/
+class SleepTest {
+/**
+@private
+*/
+constructor() { throw new Error(); };
+
+static test() {
+  schedule(SleepTest.block_sleeps);
+  schedule(SleepTest.trial_state_no_sleep);
+  schedule(SleepTest.ball_wakes_block);
+  schedule(SleepTest.velocity_wakes_block);
+  schedule(SleepTest.force_wakes_block);
+};
+
+/** Sets common simulation options, makes a fixed floor whose top is at zero, and
+turns on sleeping.
+@param {!ContactSim} sim
+@param {!CollisionAdvance} advance
+@private
+*/
+static commonSetup(sim, advance) {
+  sim.setCollisionAccuracy(0.6);
+  sim.setCollisionHandling(CollisionHandling.SERIAL_GROUPED_LASTPASS);
+  sim.setDistanceTol(0.01);
+  sim.setVelocityTol(0.5);
+  sim.setExtraAccel(ExtraAccel.VELOCITY_AND_DISTANCE);
+  sim.setSleepEnabled(true);
+  sim.setSleepTime(0.5);
+  sim.setSleepVelocity(0.1);
+  advance.setTimeStep(0.025);
+  advance.setDiffEqSolver(new RungeKutta(sim));
+  var floor = Shapes.makeBlock(20, 1, 'floor');
+  floor.setMass(Util.POSITIVE_INFINITY);
+  floor.setPosition(new Vector(0,  -0.5),  0);
+  sim.addBody(floor);
+  sim.addForceLaw(new GravityLaw(10, sim.getSimList()));
+};
+
+/** Unit square block of mass 1 rests on the floor, at a gap of half the distance
+tolerance.
+@param {!ContactSim} sim
+@param {!CollisionAdvance} advance
+@export
+*/
+static block_sleeps_setup(sim, advance) {
+  SleepTest.commonSetup(sim, advance);
+  var block = Shapes.makeBlock(1, 1, 'block');
+  block.setPosition(new Vector(0,  0.505),  0);
+  sim.addBody(block);
+  block.setZeroEnergyLevel(0.505);
+  sim.setElasticity(0);
+};
+
+/** Sets the expected variables of the floor and the block resting on the floor at the
+given horizontal position and velocity.
+@param {!ContactSim} sim
+@param {!Array<number>} vars
+@param {number} x horizontal position of the block
+@param {number} vx horizontal velocity of the block
+@private
+*/
+static restingVars(sim, vars, x, vx) {
+  setBodyVars(sim, vars, 0, 0, 0, -0.5, 0, 0, 0);
+  // contacts rest at a gap of half the distance tolerance
+  setBodyVars(sim, vars, 1, x, vx, 0.505, 0, 0, 0);
+};
+
+/** The block falls asleep after resting for the sleep time, and stays asleep.
+@return {undefined}
+@private
+*/
+static block_sleeps() {
+  setTestName(SleepTest.groupName+'block_sleeps');
+  var sim = new ContactSim();
+  var advance = new CollisionAdvance(sim);
+  SleepTest.block_sleeps_setup(sim, advance);
+  var vars = makeVars(6*2);
+  SleepTest.restingVars(sim, vars, 0, 0);
+  runTest(sim, advance, /*runUntil=*/2.0,
+      /*expectedVars=*/vars, /*tolerance=*/0.002);
+  var stats = sim.getSleepStats();
+  checkValue('sleeping bodies', stats.numSleepingBodies, 1, 0);
+  checkValue('sleeps', stats.numSleeps, 1, 0);
+  checkValue('wakes', stats.numWakes, 0, 0);
+};
+
+/** A trial state past the sleep time, like those visited by CollisionAdvance while
+searching for a collision, does not put the block to sleep when the simulation then
+backs up to the earlier state. The block falls asleep later as usual.
+@return {undefined}
+@private
+*/
+static trial_state_no_sleep() {
+  setTestName(SleepTest.groupName+'trial_state_no_sleep');
+  var sim = new ContactSim();
+  var advance = new CollisionAdvance(sim);
+  SleepTest.block_sleeps_setup(sim, advance);
+  runTest(sim, advance, /*runUntil=*/0.3);
+  sim.saveState();
+  advance.getDiffEqSolver().step(0.5);
+  sim.modifyObjects();
+  sim.restoreState();
+  sim.modifyObjects();
+  checkValue('sleeps', sim.getSleepStats().numSleeps, 0, 0);
+  var vars = makeVars(6*2);
+  SleepTest.restingVars(sim, vars, 0, 0);
+  runTest(sim, advance, /*runUntil=*/2.0,
+      /*expectedVars=*/vars, /*tolerance=*/0.002);
+  checkValue('sleeps', sim.getSleepStats().numSleeps, 1, 0);
+};
+
+/** Ball of mass 1 is dropped from above onto the block resting on the floor. The ball
+hits the block at time 0.6, after the block has fallen asleep.
+@param {!ContactSim} sim
+@param {!CollisionAdvance} advance
+@export
+*/
+static ball_wakes_block_setup(sim, advance) {
+  SleepTest.block_sleeps_setup(sim, advance);
+  var ball = Shapes.makeBall(0.2, 'ball');
+  ball.setPosition(new Vector(0,  3),  0);
+  sim.addBody(ball);
+  sim.setElasticity(0);
+};
+
+/** The inelastic collision wakes up the block; then the ball and the block come to rest
+and fall asleep together as a single island.
+@return {undefined}
+@private
+*/
+static ball_wakes_block() {
+  setTestName(SleepTest.groupName+'ball_wakes_block');
+  var sim = new ContactSim();
+  var advance = new CollisionAdvance(sim);
+  SleepTest.ball_wakes_block_setup(sim, advance);
+  var vars = makeVars(6*3);
+  SleepTest.restingVars(sim, vars, 0, 0);
+  setBodyVars(sim, vars, 2, 0, 0, 1.21, 0, Util.NaN, Util.NaN);
+  runTest(sim, advance, /*runUntil=*/3.0,
+      /*expectedVars=*/vars, /*tolerance=*/0.005);
+  var stats = sim.getSleepStats();
+  checkValue('islands', stats.numIslands, 1, 0);
+  checkValue('sleeping bodies', stats.numSleepingBodies, 2, 0);
+  checkValue('sleeps', stats.numSleeps, 2, 0);
+  checkValue('wakes', stats.numWakes, 1, 0);
+};
+
+/** After the block falls asleep, its velocity is set as when it is dragged while the
+simulation is paused. The block wakes up and slides without friction along the floor.
+@return {undefined}
+@private
+*/
+static velocity_wakes_block() {
+  setTestName(SleepTest.groupName+'velocity_wakes_block');
+  var sim = new ContactSim();
+  var advance = new CollisionAdvance(sim);
+  SleepTest.block_sleeps_setup(sim, advance);
+  runTest(sim, advance, /*runUntil=*/1.0);
+  var block = sim.getBody('block');
+  checkValue('sleeping', block.isSleeping() ? 1 : 0, 1, 0);
+  block.setVelocity(new Vector(1, 0), 0);
+  sim.initializeFromBody(block);
+  checkValue('sleeping', block.isSleeping() ? 1 : 0, 0, 0);
+  var vars = makeVars(6*2);
+  SleepTest.restingVars(sim, vars, 1, 1);
+  runTest(sim, advance, /*runUntil=*/2.0,
+      /*expectedVars=*/vars, /*tolerance=*/0.002);
+  checkValue('wakes', sim.getSleepStats().numWakes, 1, 0);
+};
+
+/** After the block falls asleep, gravity is doubled. The changed acceleration of the
+block wakes it up; it stays resting on the floor and falls asleep again.
+@return {undefined}
+@private
+*/
+static force_wakes_block() {
+  setTestName(SleepTest.groupName+'force_wakes_block');
+  var sim = new ContactSim();
+  var advance = new CollisionAdvance(sim);
+  SleepTest.block_sleeps_setup(sim, advance);
+  runTest(sim, advance, /*runUntil=*/1.0);
+  var gravity = /** @type {!GravityLaw} */(goog.array.find(sim.getForceLaws(),
+      function(f) { return f instanceof GravityLaw; }));
+  gravity.setGravity(20);
+  var vars = makeVars(6*2);
+  SleepTest.restingVars(sim, vars, 0, 0);
+  runTest(sim, advance, /*runUntil=*/2.0,
+      /*expectedVars=*/vars, /*tolerance=*/0.002);
+  var stats = sim.getSleepStats();
+  checkValue('sleeping bodies', stats.numSleepingBodies, 1, 0);
+  checkValue('sleeps', stats.numSleeps, 2, 0);
+  checkValue('wakes', stats.numWakes, 1, 0);
+};
+
+} // end class
+
+/**
+* @type {string}
+* @const
+*/
+SleepTest.groupName = 'SleepTest.';
+
+exports = SleepTest;
@@ -25,6 +25,7 @@ const Engine2DTestRig = goog.require('myphysicslab.test.Engine2DTestRig');
 const ExtraAccel = goog.require('myphysicslab.lab.engine2D.ExtraAccel');
 const ImpulseSim = goog.require('myphysicslab.lab.engine2D.ImpulseSim');
 const ModifiedEuler = goog.require('myphysicslab.lab.model.ModifiedEuler');
+const Polygon = goog.require('myphysicslab.lab.engine2D.Polygon');
 const RungeKutta = goog.require('myphysicslab.lab.model.RungeKutta');
 const Shapes = goog.require('myphysicslab.lab.engine2D.Shapes');
 const TestRig = goog.require('myphysicslab.test.TestRig');
@@ -53,6 +54,13 @@ static test() {
   schedule(SpeedTest.ball_vs_wall_1);
   schedule(SpeedTest.ball_vs_circle_0);
   schedule(SpeedTest.small_small);
+  schedule(SpeedTest.ball_thru_circle);
+  schedule(SpeedTest.block_thru_circle);
+  schedule(SpeedTest.ball_thru_moving_circle);
+  schedule(SpeedTest.ball_thru_wall);
+  schedule(SpeedTest.ball_tunnels_thru_circle);
+  schedule(SpeedTest.spinning_rod);
+  schedule(SpeedTest.spinning_rod_no_broad_phase);
 };
 
 /**
@@ -221,6 +229,257 @@ static small_small() {
       /*expectedCollisions=*/1);
 };
 
+/** Tiny ball moves at high speed towards a small fixed ball, which it would pass
+entirely thru in a single time step. The fixed ball has radius 0.3, so the collision is
+only found by using continuous collision detection on the moving body.
+@param {!ContactSim} sim
+@param {!CollisionAdvance} advance
+@param {!Polygon} body the moving body, which starts at (-2, 0) with velocity 100
+@private
+*/
+static thruCircleSetup(sim, advance, body) {
+  SpeedTest.commonSetup1(sim, advance, /*damping=*/0);
+  body.setPosition(new Vector(-2,  0),  body.getAngle());
+  body.setVelocity(new Vector(100,  0),  0);
+  body.setContinuousCollision(true);
+  sim.addBody(body);
+  var b = Shapes.makeBall(0.3, 'fixBall');
+  b.setMass(Util.POSITIVE_INFINITY);
+  b.setPosition(new Vector(0,  0),  0);
+  sim.addBody(b);
+  sim.setElasticity(1.0);
+};
+
+/** Ball of radius 0.05 moves at high speed towards a small fixed ball.
+@param {!ContactSim} sim
+@param {!CollisionAdvance} advance
+@export
+*/
+static ball_thru_circle_setup(sim, advance) {
+  SpeedTest.thruCircleSetup(sim, advance, Shapes.makeBall(0.05, 'ball'));
+};
+
+/** The ball hits the fixed ball head on at `x = -0.35`, and bounces straight back with
+the same speed. The position is a bit further back than that because the collision
+happens at a small gap distance.
+@return {undefined}
+@private
+*/
+static ball_thru_circle() {
+  setTestName(SpeedTest.groupName+'ball_thru_circle');
+  var sim = new ContactSim();
+  var advance = new CollisionAdvance(sim);
+  SpeedTest.ball_thru_circle_setup(sim, advance);
+  var vars = makeVars(6*2);
+  // position = -2 + 2*(2 - 0.35) - 100*0.2
+  setBodyVars(sim, vars, 0, -18.7, -100, 0, 0, Util.NaN, Util.NaN);
+  setBodyVars(sim, vars, 1, 0, 0, 0, 0, 0, 0);
+  runTest(sim, advance, /*runUntil=*/0.2,
+      /*expectedVars=*/vars, /*tolerance=*/0.02,
+      /*expectedEnergyDiff=*/0.0, /*energyTol=*/0.00001,
+      /*expectedCollisions=*/1);
+};
+
+/** Square block of width 0.1, rotated so that a corner leads, moves at high speed
+towards a small fixed ball.
+@param {!ContactSim} sim
+@param {!CollisionAdvance} advance
+@export
+*/
+static block_thru_circle_setup(sim, advance) {
+  var block = Shapes.makeBlock(0.1, 0.1, 'block');
+  block.setAngle(Math.PI/4);
+  SpeedTest.thruCircleSetup(sim, advance, block);
+};
+
+/** The corner of the block hits the fixed ball head on when the center of the block is
+at `x = -0.3 - 0.05*sqrt(2)`, and the block bounces straight back with the same speed and
+without rotating.
+@return {undefined}
+@private
+*/
+static block_thru_circle() {
+  setTestName(SpeedTest.groupName+'block_thru_circle');
+  var sim = new ContactSim();
+  var advance = new CollisionAdvance(sim);
+  SpeedTest.block_thru_circle_setup(sim, advance);
+  var vars = makeVars(6*2);
+  var x1 = -0.3 - 0.05*Math.sqrt(2);
+  setBodyVars(sim, vars, 0, -2 + 2*(2 + x1) - 100*0.2, -100, 0, 0, Math.PI/4, 0);
+  setBodyVars(sim, vars, 1, 0, 0, 0, 0, 0, 0);
+  runTest(sim, advance, /*runUntil=*/0.2,
+      /*expectedVars=*/vars, /*tolerance=*/0.02,
+      /*expectedEnergyDiff=*/0.0, /*energyTol=*/0.00001,
+      /*expectedCollisions=*/1);
+};
+
+/** Ball of radius 0.05 moves at high speed towards a ball of radius 0.3 and mass 10
+times larger, which moves towards it at a tenth of the speed.
+@param {!ContactSim} sim
+@param {!CollisionAdvance} advance
+@export
+*/
+static ball_thru_moving_circle_setup(sim, advance) {
+  SpeedTest.commonSetup1(sim, advance, /*damping=*/0);
+  var p = Shapes.makeBall(0.05, 'ball');
+  p.setMass(0.1);
+  p.setPosition(new Vector(-2,  0),  0);
+  p.setVelocity(new Vector(100,  0),  0);
+  p.setContinuousCollision(true);
+  sim.addBody(p);
+  var b = Shapes.makeBall(0.3, 'movingBall');
+  b.setMass(1);
+  b.setPosition(new Vector(0,  0),  0);
+  b.setVelocity(new Vector(-10,  0),  0);
+  sim.addBody(b);
+  sim.setElasticity(1.0);
+};
+
+/** The balls collide head on at time `0.015` when the ball is at `x = -0.5` and the
+moving ball is at `x = -0.15`. After the collision the ball moves back with the same
+speed, and the moving ball moves forward with the same speed.
+@return {undefined}
+@private
+*/
+static ball_thru_moving_circle() {
+  setTestName(SpeedTest.groupName+'ball_thru_moving_circle');
+  var sim = new ContactSim();
+  var advance = new CollisionAdvance(sim);
+  SpeedTest.ball_thru_moving_circle_setup(sim, advance);
+  var vars = makeVars(6*2);
+  // position = -0.5 - 100*(0.2 - 0.015)
+  setBodyVars(sim, vars, 0, -19, -100, 0, 0, Util.NaN, Util.NaN);
+  // position = -0.15 + 10*(0.2 - 0.015)
+  setBodyVars(sim, vars, 1, 1.7, 10, 0, 0, Util.NaN, Util.NaN);
+  runTest(sim, advance, /*runUntil=*/0.2,
+      /*expectedVars=*/vars, /*tolerance=*/0.02,
+      /*expectedEnergyDiff=*/0.0, /*energyTol=*/0.00001,
+      /*expectedCollisions=*/1);
+};
+
+/** Ball of radius 0.05 moves at high speed towards a fixed wall of thickness 0.01, like
+the walls in {@link myphysicslab.sims.engine2D.FastBallApp}.
+@param {!ContactSim} sim
+@param {!CollisionAdvance} advance
+@export
+*/
+static ball_thru_wall_setup(sim, advance) {
+  SpeedTest.commonSetup1(sim, advance, /*damping=*/0);
+  var p = Shapes.makeBall(0.05, 'ball');
+  p.setPosition(new Vector(-2,  0),  0);
+  p.setVelocity(new Vector(100,  0),  0);
+  p.setContinuousCollision(true);
+  sim.addBody(p);
+  var w = Shapes.makeBlock(0.01, 4, 'wall');
+  w.setMass(Util.POSITIVE_INFINITY);
+  w.setPosition(new Vector(0,  0),  0);
+  sim.addBody(w);
+  sim.setElasticity(1.0);
+};
+
+/** The ball hits the wall head on at `x = -0.055`, and bounces straight back with the
+same speed. The path of a Vertex of the ball crosses the wall, and the swept circle of the
+ball should find that same single collision.
+@return {undefined}
+@private
+*/
+static ball_thru_wall() {
+  setTestName(SpeedTest.groupName+'ball_thru_wall');
+  var sim = new ContactSim();
+  var advance = new CollisionAdvance(sim);
+  SpeedTest.ball_thru_wall_setup(sim, advance);
+  var vars = makeVars(6*2);
+  // position = -2 + 2*(2 - 0.055) - 100*0.2
+  setBodyVars(sim, vars, 0, -18.11, -100, 0, 0, Util.NaN, Util.NaN);
+  setBodyVars(sim, vars, 1, 0, 0, 0, 0, 0, 0);
+  runTest(sim, advance, /*runUntil=*/0.2,
+      /*expectedVars=*/vars, /*tolerance=*/0.02,
+      /*expectedEnergyDiff=*/0.0, /*energyTol=*/0.00001,
+      /*expectedCollisions=*/1);
+};
+
+/** Same as ball_thru_circle but without continuous collision detection: the ball
+passes entirely thru the fixed ball during a single time step, so no collision is found.
+@return {undefined}
+@private
+*/
+static ball_tunnels_thru_circle() {
+  setTestName(SpeedTest.groupName+'ball_tunnels_thru_circle');
+  var sim = new ContactSim();
+  var advance = new CollisionAdvance(sim);
+  SpeedTest.ball_thru_circle_setup(sim, advance);
+  sim.getBody('ball').setContinuousCollision(false);
+  var vars = makeVars(6*2);
+  // position = -2 + 100*0.2
+  setBodyVars(sim, vars, 0, 18, 100, 0, 0, Util.NaN, Util.NaN);
+  setBodyVars(sim, vars, 1, 0, 0, 0, 0, 0, 0);
+  runTest(sim, advance, /*runUntil=*/0.2,
+      /*expectedVars=*/vars, /*tolerance=*/0.02,
+      /*expectedEnergyDiff=*/0.0, /*energyTol=*/0.00001,
+      /*expectedCollisions=*/0);
+};
+
+/** A thin rod spins so fast that during the first time step the path of a Vertex at
+the end of the rod crosses a small fixed block. At the end of that time step the
+bounding rectangle of the rod is far from the block.
+@param {!ContactSim} sim
+@param {!CollisionAdvance} advance
+@export
+*/
+static spinning_rod_setup(sim, advance) {
+  SpeedTest.commonSetup1(sim, advance, /*damping=*/0);
+  var rod = Shapes.makeBlock(2, 0.05, 'rod');
+  rod.setPosition(new Vector(0,  0),  80 * Math.PI / 180);
+  // turns 90 degrees in a time step
+  rod.setVelocity(new Vector(0,  0),  (Math.PI / 2) / 0.025);
+  sim.addBody(rod);
+  var block = Shapes.makeBlock(0.06, 0.06, 'block');
+  block.setMass(Util.POSITIVE_INFINITY);
+  block.setPosition(new Vector(0.05,  0.898),  0);
+  sim.addBody(block);
+  sim.setElasticity(1.0);
+};
+
+/** The rod hits the block during the first time step and bounces away. Broad-phase
+collision culling must allow for how far the rod turns during a time step, otherwise
+the rod passes thru the block.
+@return {undefined}
+@private
+*/
+static spinning_rod() {
+  setTestName(SpeedTest.groupName+'spinning_rod');
+  var sim = new ContactSim();
+  var advance = new CollisionAdvance(sim);
+  SpeedTest.spinning_rod_setup(sim, advance);
+  var vars = makeVars(6*2);
+  setBodyVars(sim, vars, 0, 6.6060, 33.1575, -0.8383, -4.2077, -3.4297, -24.4655);
+  setBodyVars(sim, vars, 1, 0.05, 0, 0.898, 0, 0, 0);
+  runTest(sim, advance, /*runUntil=*/0.2,
+      /*expectedVars=*/vars, /*tolerance=*/0.001,
+      /*expectedEnergyDiff=*/0.0, /*energyTol=*/0.001,
+      /*expectedCollisions=*/1);
+};
+
+/** Same as spinning_rod but without broad-phase collision culling; the results should
+be identical.
+@return {undefined}
+@private
+*/
+static spinning_rod_no_broad_phase() {
+  setTestName(SpeedTest.groupName+'spinning_rod_no_broad_phase');
+  var sim = new ContactSim();
+  var advance = new CollisionAdvance(sim);
+  SpeedTest.spinning_rod_setup(sim, advance);
+  sim.setBroadPhase(false);
+  var vars = makeVars(6*2);
+  setBodyVars(sim, vars, 0, 6.6060, 33.1575, -0.8383, -4.2077, -3.4297, -24.4655);
+  setBodyVars(sim, vars, 1, 0.05, 0, 0.898, 0, 0, 0);
+  runTest(sim, advance, /*runUntil=*/0.2,
+      /*expectedVars=*/vars, /*tolerance=*/0.001,
+      /*expectedEnergyDiff=*/0.0, /*energyTol=*/0.001,
+      /*expectedCollisions=*/1);
+};
+
 } // end class
 
 /**
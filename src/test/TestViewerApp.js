@@ -16,14 +16,20 @@ goog.module('myphysicslab.test.TestViewerApp');
 
 goog.require('goog.array');
 
+const BreakTest = goog.require('myphysicslab.test.BreakTest');
 const CircleCircleTest = goog.require('myphysicslab.test.CircleCircleTest');
 const CircleStraightTest = goog.require('myphysicslab.test.CircleStraightTest');
 const DoNothingTest = goog.require('myphysicslab.test.DoNothingTest');
+const FrictionTest = goog.require('myphysicslab.test.FrictionTest');
+const JointLimitTest = goog.require('myphysicslab.test.JointLimitTest');
 const JointTest = goog.require('myphysicslab.test.JointTest');
 const MiscellanyTest = goog.require('myphysicslab.test.MiscellanyTest');
+const MotorTest = goog.require('myphysicslab.test.MotorTest');
 const MultipleCollisionTest = goog.require('myphysicslab.test.MultipleCollisionTest');
 const PileTest = goog.require('myphysicslab.test.PileTest');
 const RopeTest = goog.require('myphysicslab.test.RopeTest');
+const SensorTest = goog.require('myphysicslab.test.SensorTest');
+const SleepTest = goog.require('myphysicslab.test.SleepTest');
 const SpeedTest = goog.require('myphysicslab.test.SpeedTest');
 const StraightStraightTest = goog.require('myphysicslab.test.StraightStraightTest');
 
@@ -304,10 +310,16 @@ constructor(elem_ids) {
   this.addGroup_(CircleCircleTest, 'Circle/Circle');
   this.addGroup_(DoNothingTest, 'DoNothingGrinder');
   this.addGroup_(MiscellanyTest, 'Miscellany');
+  this.addGroup_(FrictionTest, 'Friction');
+  this.addGroup_(MotorTest, 'Motor');
   this.addGroup_(PileTest, 'Pile');
+  this.addGroup_(SleepTest, 'Sleeping Bodies');
   this.addGroup_(MultipleCollisionTest, 'Multiple Collision');
   this.addGroup_(JointTest, 'Joints');
+  this.addGroup_(JointLimitTest, 'Joint Limits');
   this.addGroup_(RopeTest, 'Ropes');
+  this.addGroup_(BreakTest, 'Breakable Connectors');
+  this.addGroup_(SensorTest, 'Sensors');
   this.addGroup_(SpeedTest, 'Speed');
 
   /** @type {!ParameterNumber} */
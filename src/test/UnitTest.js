@@ -36,17 +36,36 @@ const UtilTest = goog.require('myphysicslab.lab.util.test.UtilTest');
 const VectorTest = goog.require('myphysicslab.lab.util.test.VectorTest');
 
 const ConcreteLineTest = goog.require('myphysicslab.lab.model.test.ConcreteLineTest');
+const CoulombLawTest = goog.require('myphysicslab.lab.model.test.CoulombLawTest');
+const DragLawTest = goog.require('myphysicslab.lab.model.test.DragLawTest');
+const EmbeddedRungeKuttaTest = goog.require('myphysicslab.lab.model.test.EmbeddedRungeKuttaTest');
 const EnergyInfoTest = goog.require('myphysicslab.lab.model.test.EnergyInfoTest');
+const EventFunctionTest = goog.require('myphysicslab.lab.model.test.EventFunctionTest');
+const ForceFieldLawTest = goog.require('myphysicslab.lab.model.test.ForceFieldLawTest');
+const Gravity2LawTest = goog.require('myphysicslab.lab.model.test.Gravity2LawTest');
+const LorentzLawTest = goog.require('myphysicslab.lab.model.test.LorentzLawTest');
+const LyapunovEstimatorTest = goog.require('myphysicslab.lab.model.test.LyapunovEstimatorTest');
 const NumericalPathTest = goog.require('myphysicslab.lab.model.test.NumericalPathTest');
 const PointMassTest = goog.require('myphysicslab.lab.model.test.PointMassTest');
+const RosenbrockTest = goog.require('myphysicslab.lab.model.test.RosenbrockTest');
 const SimListTest = goog.require('myphysicslab.lab.model.test.SimListTest');
 const SpringTest = goog.require('myphysicslab.lab.model.test.SpringTest');
+const SymplecticSolverTest = goog.require('myphysicslab.lab.model.test.SymplecticSolverTest');
 const VarsListTest = goog.require('myphysicslab.lab.model.test.VarsListTest');
 
+const BatchRunnerTest = goog.require('myphysicslab.lab.app.test.BatchRunnerTest');
+const SimSnapshotTest = goog.require('myphysicslab.lab.app.test.SimSnapshotTest');
+const TimelineTest = goog.require('myphysicslab.lab.app.test.TimelineTest');
+
+const PoincareLineTest = goog.require('myphysicslab.lab.graph.test.PoincareLineTest');
+const SpectrumLineTest = goog.require('myphysicslab.lab.graph.test.SpectrumLineTest');
+
 const CircularEdgeTest = goog.require('myphysicslab.lab.engine2D.test.CircularEdgeTest');
 const EdgeSetTest = goog.require('myphysicslab.lab.engine2D.test.EdgeSetTest');
+const FluidLawTest = goog.require('myphysicslab.lab.engine2D.test.FluidLawTest');
 const PolygonTest = goog.require('myphysicslab.lab.engine2D.test.PolygonTest');
 const RigidBodySimTest = goog.require('myphysicslab.lab.engine2D.test.RigidBodySimTest');
+const RigidBodySnapshotTest = goog.require('myphysicslab.lab.engine2D.test.RigidBodySnapshotTest');
 const StraightEdgeTest = goog.require('myphysicslab.lab.engine2D.test.StraightEdgeTest');
 const UtilEngineTest = goog.require('myphysicslab.lab.engine2D.test.UtilEngineTest');
 const VertexTest = goog.require('myphysicslab.lab.engine2D.test.VertexTest');
@@ -59,7 +78,9 @@ const DisplaySpringTest = goog.require('myphysicslab.lab.view.test.DisplaySpring
 const LabCanvasTest = goog.require('myphysicslab.lab.view.test.LabCanvasTest');
 const ScreenRectTest = goog.require('myphysicslab.lab.view.test.ScreenRectTest');
 const SimViewTest = goog.require('myphysicslab.lab.view.test.SimViewTest');
+const SVGContextTest = goog.require('myphysicslab.lab.view.test.SVGContextTest');
 
+const	SceneConfigTest = goog.require('myphysicslab.sims.engine2D.test.SceneConfigTest');
 const	DoublePendulumTest = goog.require('myphysicslab.sims.pendulum.test.DoublePendulumTest');
 const	RollerTest = goog.require('myphysicslab.sims.roller.test.RollerTest');
 const	SingleSpringTest = goog.require('myphysicslab.sims.springs.test.SingleSpringTest');
@@ -99,17 +120,36 @@ static runTests() {
   VectorTest.test();
 
   ConcreteLineTest.test();
+  CoulombLawTest.test();
+  DragLawTest.test();
+  EmbeddedRungeKuttaTest.test();
   EnergyInfoTest.test();
+  EventFunctionTest.test();
+  ForceFieldLawTest.test();
+  Gravity2LawTest.test();
+  LorentzLawTest.test();
+  LyapunovEstimatorTest.test();
   NumericalPathTest.test();
   PointMassTest.test();
+  RosenbrockTest.test();
   SimListTest.test();
   SpringTest.test();
+  SymplecticSolverTest.test();
   VarsListTest.test();
 
+  BatchRunnerTest.test();
+  SimSnapshotTest.test();
+  TimelineTest.test();
+
+  PoincareLineTest.test();
+  SpectrumLineTest.test();
+
   CircularEdgeTest.test();
   EdgeSetTest.test();
+  FluidLawTest.test();
   PolygonTest.test();
   RigidBodySimTest.test();
+  RigidBodySnapshotTest.test();
   StraightEdgeTest.test();
   UtilEngineTest.test();
   VertexTest.test();
@@ -122,7 +162,9 @@ static runTests() {
   LabCanvasTest.test();
   ScreenRectTest.test();
   SimViewTest.test();
+  SVGContextTest.test();
 
+  SceneConfigTest.test();
   DoublePendulumTest.test();
   RollerTest.test();
   SingleSpringTest.test();